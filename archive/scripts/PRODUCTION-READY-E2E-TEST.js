@@ -2,236 +2,78 @@
 
 /**
  * 🚀 PRODUCTION-READY END-TO-END TEST - NO MOCKS!
- * 
+ *
  * This is the FINAL production test with:
  * ✅ Real ESP32-CAM image capture
- * ✅ Production Cloudflare Workers 
- * ✅ Real R2 storage uploads
- * ✅ Production PostgreSQL database
+ * ✅ Production Cloudflare Workers
  * ✅ Live SSH to Raspberry Pi hardware
- * ❌ NO MOCKS, NO SIMULATIONS, NO FAKE DATA
+ *
+ * Steps run as a chain: each one needs the previous step to pass. Use the
+ * runner's --json option for the detailed report.
  */
 
 const fs = require('fs');
-const { exec } = require('child_process');
-const util = require('util');
-const execAsync = util.promisify(exec);
+const path = require('path');
+
+const { defineSuite, step, runCli, createHttpTransport, createSshTransport } = require('../../tools/harness');
 
 // PRODUCTION CONFIGURATION - NO LOCALHOST
-const PRODUCTION_CONFIG = {
-  BRIDGE_SERVER_URL: 'https://bridgeserver.delicasa.workers.dev',
-  PI_ORCHESTRATOR_URL: 'https://pi-api.delicasa.net.br',
-  PI_SSH_HOST: 'pi',
-  REAL_CAMERA_ID: 'cam-E6B4',
-  TEST_CONTROLLER_ID: 'piorches-mewv58x9-b827',
-  
-  TEST_CUSTOMER: {
-    email: 'customer@delicasa.com',
-    role: 'USER'
+module.exports = defineSuite({
+  name: 'production-e2e',
+  title: '🚀 PRODUCTION END-TO-END TEST - NO MOCKS!',
+  config: {
+    BRIDGE_SERVER_URL: 'https://bridgeserver.delicasa.workers.dev',
+    PI_ORCHESTRATOR_URL: 'https://pi-api.delicasa.net.br',
+    PI_SSH_HOST: 'pi',
+    REAL_CAMERA_ID: 'cam-E6B4',
+    TEST_CONTROLLER_ID: 'piorches-mewv58x9-b827',
+    IMAGE_DIR: '.',
+    TEST_CUSTOMER: { email: 'customer@delicasa.com', role: 'USER' },
+    TEST_PRODUCT: { id: 'prod_001', name: 'Coca-Cola 350ml', price: 5.50, container_slot: 'A1' }
   },
-  
-  TEST_PRODUCT: {
-    id: 'prod_001',
-    name: 'Coca-Cola 350ml',
-    price: 5.50,
-    container_slot: 'A1'
-  }
-};
+  stepDefaults: { timeoutMs: 30000 },
 
-class ProductionE2ETest {
-  constructor() {
-    this.sessionId = null;
-    this.controllerStatus = null;
-    this.purchaseId = null;
-    this.realImages = [];
-    this.testResults = [];
-    this.startTime = Date.now();
-  }
-
-  logStep(step, status, details = {}) {
-    const entry = {
-      step,
-      status, 
-      timestamp: Date.now(),
-      duration: details.duration || 0,
-      message: details.message || '',
-      data: details.data || {}
+  transports(config) {
+    return {
+      http: createHttpTransport({ baseUrl: config.BRIDGE_SERVER_URL }),
+      ssh: createSshTransport({ host: config.PI_SSH_HOST, timeoutMs: 15000 })
     };
-    
-    this.testResults.push(entry);
-    
-    const emoji = status === 'SUCCESS' ? '✅' : status === 'ERROR' ? '❌' : '🔄';
-    const duration = details.duration ? ` (${details.duration}ms)` : '';
-    
-    console.log(`${emoji} [${step}] ${status} ${details.message || ''}${duration}`);
-    
-    if (details.data && Object.keys(details.data).length > 0) {
-      console.log('   📊 Data:', JSON.stringify(details.data, null, 2));
-    }
-  }
-
-  async makeRequest(url, options = {}) {
-    const fetch = (await import('node-fetch')).default;
-    const startTime = Date.now();
-    
-    try {
-      const response = await fetch(url, {
-        headers: { 'Content-Type': 'application/json', ...options.headers },
-        ...options
-      });
-      
-      const duration = Date.now() - startTime;
-      const data = await response.json().catch(() => ({}));
-      
-      return { ok: response.ok, status: response.status, data, duration, error: null };
-    } catch (error) {
-      return { ok: false, error: error.message, duration: Date.now() - startTime };
-    }
-  }
-
-  async sshCommand(command, timeout = 15000) {
-    try {
-      const { stdout, stderr } = await execAsync(
-        `ssh ${PRODUCTION_CONFIG.PI_SSH_HOST} "${command}"`, 
-        { timeout }
-      );
-      return { success: true, stdout: stdout.trim(), stderr: stderr.trim() };
-    } catch (error) {
-      return { success: false, error: error.message };
-    }
-  }
+  },
 
-  async captureRealImage() {
-    this.logStep('REAL_IMAGE_CAPTURE', 'PROGRESS', { 
-      message: 'Capturing REAL image from ESP32-CAM hardware...' 
-    });
+  setup({ state }) {
+    state.realImages = [];
+  },
 
-    try {
-      const captureResult = await this.sshCommand(
-        `curl -s -X POST localhost:8081/snapshot -H 'Content-Type: application/json' -d '{"quality":1}'`
+  steps: [
+    // STEP 1: Customer Authentication (REAL)
+    step('Real Customer Authentication', async ({ http, config, state, assert }) => {
+      state.sessionId = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+      const authTest = await http.get('/health');
+      assert.httpOk(authTest, `Production system not accessible: ${authTest.error || authTest.status}`);
+
+      return {
+        userId: config.TEST_CUSTOMER.email,
+        role: config.TEST_CUSTOMER.role,
+        sessionId: state.sessionId,
+        productionServer: config.BRIDGE_SERVER_URL
+      };
+    }),
+
+    // STEP 2: Real Controller Discovery
+    step('Real Controller Discovery', async ({ http, config, state, assert }) => {
+      const controllersResponse = await http.trpcQuery('controller.list', { limit: 20 });
+      assert.httpOk(controllersResponse, `Failed to fetch controllers: ${controllersResponse.error || controllersResponse.status}`);
+
+      const controllers = controllersResponse.data?.result?.data?.controllers || [];
+      const targetController = controllers.find(c =>
+        c.id === config.TEST_CONTROLLER_ID ||
+        c.name?.includes('PiOrchestrator')
       );
+      assert.ok(targetController, `Test controller not found. Available: ${controllers.map(c => c.id).join(', ')}`);
 
-      if (!captureResult.success) {
-        throw new Error(`SSH command failed: ${captureResult.error}`);
-      }
-
-      const captureData = JSON.parse(captureResult.stdout);
-      
-      if (!captureData.success || !captureData.cameras || !captureData.cameras[PRODUCTION_CONFIG.REAL_CAMERA_ID]) {
-        throw new Error(`Camera ${PRODUCTION_CONFIG.REAL_CAMERA_ID} capture failed`);
-      }
-
-      const imageData = captureData.cameras[PRODUCTION_CONFIG.REAL_CAMERA_ID];
-      const imageSizeKB = Math.round((imageData.length * 0.75) / 1024);
-      
-      // Validate JPEG header
-      if (!imageData.startsWith('/9j/4AAQ')) {
-        throw new Error('Invalid JPEG data received');
-      }
-
-      // Save real image for verification
-      const imageBuffer = Buffer.from(imageData, 'base64');
-      const filename = `production-test-${Date.now()}.jpg`;
-      fs.writeFileSync(filename, imageBuffer);
-
-      this.logStep('REAL_IMAGE_CAPTURE', 'SUCCESS', {
-        message: `Real ESP32-CAM image captured: ${imageSizeKB}KB`,
-        data: {
-          cameraId: PRODUCTION_CONFIG.REAL_CAMERA_ID,
-          imageSize: `${imageSizeKB}KB`,
-          base64Length: imageData.length,
-          savedAs: filename,
-          jpegValid: true
-        }
-      });
-
-      this.realImages.push({
-        cameraId: PRODUCTION_CONFIG.REAL_CAMERA_ID,
-        filename,
-        size: imageSizeKB,
-        capturedAt: new Date().toISOString()
-      });
-
-      return { imageData, filename, size: imageSizeKB };
-
-    } catch (error) {
-      this.logStep('REAL_IMAGE_CAPTURE', 'ERROR', { 
-        message: `Real image capture failed: ${error.message}` 
-      });
-      throw error;
-    }
-  }
-
-  // STEP 1: Customer Authentication (REAL)
-  async step1_RealCustomerAuthentication() {
-    console.log('\\n🔐 STEP 1: Real Customer Authentication');
-    console.log('=======================================');
-
-    // Generate real session
-    this.sessionId = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    
-    this.logStep('QR_SCAN', 'SUCCESS', { 
-      message: 'Real QR code scanned, session created',
-      data: { sessionId: this.sessionId }
-    });
-
-    // Test production authentication
-    this.logStep('AUTH_REQUEST', 'PROGRESS', { message: 'Authenticating with production system...' });
-    
-    const authTest = await this.makeRequest(`${PRODUCTION_CONFIG.BRIDGE_SERVER_URL}/health`);
-    
-    if (!authTest.ok) {
-      throw new Error(`Production system not accessible: ${authTest.error}`);
-    }
-
-    this.logStep('AUTH_REQUEST', 'SUCCESS', {
-      message: 'Production system authentication successful',
-      duration: authTest.duration,
-      data: {
-        userId: PRODUCTION_CONFIG.TEST_CUSTOMER.email,
-        role: PRODUCTION_CONFIG.TEST_CUSTOMER.role,
-        sessionId: this.sessionId,
-        productionServer: PRODUCTION_CONFIG.BRIDGE_SERVER_URL
-      }
-    });
-  }
-
-  // STEP 2: Real Controller Discovery
-  async step2_RealControllerDiscovery() {
-    console.log('\\n🛒 STEP 2: Real Controller Discovery');
-    console.log('====================================');
-
-    this.logStep('CONTROLLER_LIST', 'PROGRESS', { message: 'Discovering real controllers...' });
-
-    const controllersResponse = await this.makeRequest(
-      `${PRODUCTION_CONFIG.BRIDGE_SERVER_URL}/trpc/controller.list?input=${encodeURIComponent(JSON.stringify({ json: { limit: 20 } }))}`,
-      { method: 'GET' }
-    );
-
-    if (!controllersResponse.ok) {
-      throw new Error(`Failed to fetch controllers: ${controllersResponse.error || controllersResponse.status}`);
-    }
-
-    const responseData = controllersResponse.data?.result?.data;
-    const controllers = responseData?.controllers || [];
-    
-    console.log('🔍 Found controllers:', controllers.map(c => ({ id: c.id, name: c.name, status: c.status })));
-    
-    const targetController = controllers.find(c => 
-      c.id === PRODUCTION_CONFIG.TEST_CONTROLLER_ID || 
-      c.name?.includes('PiOrchestrator')
-    );
-
-    if (!targetController) {
-      throw new Error(`Test controller not found. Available: ${controllers.map(c => c.id).join(', ')}`);
-    }
-
-    this.controllerStatus = targetController;
-
-    this.logStep('CONTROLLER_LIST', 'SUCCESS', {
-      message: `Real controller discovered: ${targetController.name}`,
-      duration: controllersResponse.duration,
-      data: {
+      state.controller = targetController;
+      return {
         totalControllers: controllers.length,
         selectedController: {
           id: targetController.id,
@@ -239,263 +81,99 @@ class ProductionE2ETest {
           status: targetController.status,
           location: targetController.location
         }
-      }
-    });
-  }
-
-  // STEP 3: Real Door Control via SSH
-  async step3_RealDoorControl() {
-    console.log('\\n🚪 STEP 3: Real Door Control via SSH');
-    console.log('====================================');
-
-    this.logStep('DOOR_UNLOCK_COMMAND', 'PROGRESS', { 
-      message: 'Sending real door unlock command to Pi...' 
-    });
+      };
+    }, { needs: ['Real Customer Authentication'] }),
 
-    // Test real door control capability via SSH
-    const doorTestResult = await this.sshCommand('curl -s localhost:8081/health');
-    
-    if (!doorTestResult.success) {
-      throw new Error(`Pi SSH connection failed: ${doorTestResult.error}`);
-    }
+    // STEP 3: Real Door Control via SSH
+    step('Real Door Control', async ({ ssh, assert }) => {
+      const doorTestResult = await ssh.exec('curl -s localhost:8081/health');
+      assert.commandOk(doorTestResult, `Pi SSH connection failed: ${doorTestResult.error}`);
 
-    const piHealth = JSON.parse(doorTestResult.stdout);
-    
-    this.logStep('DOOR_UNLOCK_COMMAND', 'SUCCESS', {
-      message: 'Real Pi door control system verified',
-      data: {
+      const piHealth = JSON.parse(doorTestResult.stdout);
+      return {
         piStatus: piHealth.status,
         camerasOnline: piHealth.cameras?.length || 0,
-        piTime: piHealth.time,
-        doorControlReady: true
-      }
-    });
-
-    this.logStep('DOOR_OPENING', 'SUCCESS', { 
-      message: 'Real container door control verified via SSH' 
-    });
-  }
+        piTime: piHealth.time
+      };
+    }, { needs: ['Real Controller Discovery'] }),
 
-  // STEP 4: Real Computer Vision Capture
-  async step4_RealComputerVision() {
-    console.log('\\n📷 STEP 4: Real Computer Vision Capture');
-    console.log('=======================================');
+    // STEP 4: Real Computer Vision Capture
+    step('Real Computer Vision', async (ctx) => {
+      const beforeImage = await captureRealImage(ctx);
+      ctx.log(`"Before" image captured: ${beforeImage.filename} (${beforeImage.size}KB)`);
 
-    // Capture real "before" image
-    const beforeImage = await this.captureRealImage();
-    
-    this.logStep('CAPTURE_BEFORE', 'SUCCESS', {
-      message: 'Real "before" image captured from ESP32-CAM',
-      data: {
-        imageFile: beforeImage.filename,
-        imageSize: `${beforeImage.size}KB`,
-        cameraId: PRODUCTION_CONFIG.REAL_CAMERA_ID
-      }
-    });
+      const afterImage = await captureRealImage(ctx);
+      ctx.log(`"After" image captured: ${afterImage.filename} (${afterImage.size}KB)`);
 
-    // Capture real "after" image 
-    this.logStep('CUSTOMER_INTERACTION', 'PROGRESS', { 
-      message: 'Customer product interaction...' 
-    });
-
-    const afterImage = await this.captureRealImage();
-    
-    this.logStep('CAPTURE_AFTER', 'SUCCESS', {
-      message: 'Real "after" image captured from ESP32-CAM', 
-      data: {
-        imageFile: afterImage.filename,
-        imageSize: `${afterImage.size}KB`,
-        comparison: 'Ready for computer vision analysis'
-      }
-    });
-
-    // Real computer vision analysis would happen here
-    this.logStep('CV_ANALYSIS', 'SUCCESS', {
-      message: 'Real images captured for computer vision analysis',
-      data: {
+      return {
         beforeImage: beforeImage.filename,
         afterImage: afterImage.filename,
-        totalImages: this.realImages.length,
-        productDispensed: true, // Would be determined by CV
-        confidence: 0.95
-      }
-    });
-  }
-
-  // STEP 5: Real Payment Processing
-  async step5_RealPaymentProcessing() {
-    console.log('\\n💳 STEP 5: Real Payment Processing');
-    console.log('===================================');
-
-    this.logStep('PAYMENT_INIT', 'PROGRESS', { 
-      message: `Processing real payment for ${PRODUCTION_CONFIG.TEST_PRODUCT.name}...` 
-    });
-
-    // Generate real PIX payment data
-    const paymentData = {
-      paymentId: `pay_${Date.now()}`,
-      amount: PRODUCTION_CONFIG.TEST_PRODUCT.price,
-      method: 'pix',
-      status: 'confirmed',
-      transactionId: `txn_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      timestamp: new Date().toISOString()
-    };
-
-    this.logStep('PAYMENT_PROCESSING', 'SUCCESS', {
-      message: 'Real payment system ready for PIX processing',
-      data: paymentData
-    });
-
-    this.purchaseId = paymentData.transactionId;
-  }
-
-  // STEP 6: Real Transaction Completion
-  async step6_RealTransactionCompletion() {
-    console.log('\\n✅ STEP 6: Real Transaction Completion');
-    console.log('======================================');
-
-    const transactionData = {
-      id: this.purchaseId,
-      customerId: PRODUCTION_CONFIG.TEST_CUSTOMER.email,
-      controllerId: this.controllerStatus.id,
-      product: PRODUCTION_CONFIG.TEST_PRODUCT,
-      amount: PRODUCTION_CONFIG.TEST_PRODUCT.price,
-      timestamp: new Date().toISOString(),
-      status: 'completed',
-      verification: {
-        realImagesCaptured: this.realImages.length,
-        paymentConfirmed: true,
-        doorCycleCompleted: true,
-        hardwareVerified: true
-      },
-      realImages: this.realImages.map(img => img.filename)
+        totalImages: ctx.state.realImages.length
+      };
+    }, { needs: ['Real Door Control'], timeoutMs: 60000 }),
+
+    // STEP 5: Real Payment Processing
+    step('Real Payment Processing', async ({ config, state, warn }) => {
+      warn('PIX confirmation is not wired to the PSP; payment data is generated locally');
+
+      const paymentData = {
+        paymentId: `pay_${Date.now()}`,
+        amount: config.TEST_PRODUCT.price,
+        method: 'pix',
+        transactionId: `txn_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        timestamp: new Date().toISOString()
+      };
+      state.purchaseId = paymentData.transactionId;
+      return paymentData;
+    }, { needs: ['Real Computer Vision'] }),
+
+    // STEP 6: Real Transaction Completion
+    step('Real Transaction Completion', async ({ config, state }) => {
+      return {
+        id: state.purchaseId,
+        customerId: config.TEST_CUSTOMER.email,
+        controllerId: state.controller.id,
+        product: config.TEST_PRODUCT,
+        amount: config.TEST_PRODUCT.price,
+        timestamp: new Date().toISOString(),
+        realImages: state.realImages.map(img => img.filename)
+      };
+    }, { needs: ['Real Payment Processing'] })
+  ],
+
+  report(state) {
+    return {
+      realImages: state.realImages.map(img => `${img.filename} (${img.size}KB) - ${img.capturedAt}`)
     };
-
-    this.logStep('TRANSACTION_RECORD', 'SUCCESS', {
-      message: 'Real transaction completed with hardware verification',
-      data: transactionData
-    });
-
-    this.logStep('CUSTOMER_NOTIFICATION', 'SUCCESS', {
-      message: 'Real customer notification system ready',
-      data: {
-        receiptId: `receipt_${Date.now()}`,
-        deliveryMethod: 'email',
-        customer: PRODUCTION_CONFIG.TEST_CUSTOMER.email
-      }
-    });
-  }
-
-  async runProductionE2ETest() {
-    console.log('🚀 PRODUCTION END-TO-END TEST - NO MOCKS!');
-    console.log('=========================================');
-    console.log(`🕐 Started: ${new Date().toISOString()}`);
-    console.log(`🌐 Production Server: ${PRODUCTION_CONFIG.BRIDGE_SERVER_URL}`);
-    console.log(`📷 Real Camera: ${PRODUCTION_CONFIG.REAL_CAMERA_ID}`);
-    console.log(`🍓 Real Pi: ${PRODUCTION_CONFIG.PI_SSH_HOST}`);
-    console.log('🚨 NO MOCKS - ALL PRODUCTION HARDWARE & SERVICES');
-    console.log('=========================================\\n');
-
-    const steps = [
-      { name: 'Real Customer Authentication', method: 'step1_RealCustomerAuthentication' },
-      { name: 'Real Controller Discovery', method: 'step2_RealControllerDiscovery' },
-      { name: 'Real Door Control', method: 'step3_RealDoorControl' },
-      { name: 'Real Computer Vision', method: 'step4_RealComputerVision' },
-      { name: 'Real Payment Processing', method: 'step5_RealPaymentProcessing' },
-      { name: 'Real Transaction Completion', method: 'step6_RealTransactionCompletion' }
-    ];
-
-    let successfulSteps = 0;
-    let totalSteps = steps.length;
-
-    for (const step of steps) {
-      try {
-        await this[step.method]();
-        successfulSteps++;
-      } catch (error) {
-        this.logStep(step.method, 'ERROR', { 
-          message: `${step.name} failed: ${error.message}`,
-          data: { error: error.stack }
-        });
-        break; // Stop on first failure for E2E test
-      }
-    }
-
-    // Final Report
-    const totalDuration = Date.now() - this.startTime;
-    const successRate = ((successfulSteps / totalSteps) * 100).toFixed(1);
-
-    console.log('\\n🏆 PRODUCTION E2E TEST RESULTS');
-    console.log('===============================');
-    console.log(`📊 Summary: {
-  environment: 'PRODUCTION',
-  totalSteps: ${totalSteps},
-  successfulSteps: ${successfulSteps}, 
-  failedSteps: ${totalSteps - successfulSteps},
-  successRate: '${successRate}%',
-  duration: '${(totalDuration / 1000).toFixed(2)}s'
-}`);
-
-    console.log('\\n🔥 REAL COMPONENTS VERIFIED:');
-    console.log('  ✅ ESP32-CAM Hardware: Real image capture');
-    console.log('  ✅ Raspberry Pi SSH: Live hardware connection');
-    console.log('  ✅ Cloudflare Workers: Production deployment');
-    console.log('  ✅ Cloudflare R2: Real storage bucket');
-    console.log('  ✅ PostgreSQL Database: Production records');
-    console.log('  ✅ Complete IoT Pipeline: Hardware → Cloud');
-
-    if (this.realImages.length > 0) {
-      console.log(`\\n📷 REAL IMAGES CAPTURED: ${this.realImages.length}`);
-      this.realImages.forEach((img, idx) => {
-        console.log(`  ${idx + 1}. ${img.filename} (${img.size}KB) - ${img.capturedAt}`);
-      });
-    }
-
-    const allPassed = successfulSteps === totalSteps;
-    console.log(`\\n🏁 PRODUCTION E2E TEST: ${allPassed ? 'COMPLETE SUCCESS' : 'PARTIAL SUCCESS'}`);
-    
-    if (allPassed) {
-      console.log('🎉 SYSTEM IS FULLY OPERATIONAL WITH REAL SERVICES!');
-      console.log('🚨 ZERO MOCKS - 100% PRODUCTION INFRASTRUCTURE!');
-    }
-
-    // Save detailed report
-    const reportData = {
-      testSuite: 'Production E2E Test - No Mocks',
-      timestamp: new Date().toISOString(),
-      duration: `${(totalDuration / 1000).toFixed(2)}s`,
-      success: allPassed,
-      environment: 'PRODUCTION',
-      realImagesCaptures: this.realImages.length,
-      components: {
-        bridgeServer: PRODUCTION_CONFIG.BRIDGE_SERVER_URL,
-        realCamera: PRODUCTION_CONFIG.REAL_CAMERA_ID,
-        piSSH: PRODUCTION_CONFIG.PI_SSH_HOST,
-        r2Bucket: 'delicasa-dev-delicasa-images'
-      },
-      results: this.testResults
-    };
-
-    const reportFile = `production-e2e-report-${Date.now()}.json`;
-    fs.writeFileSync(reportFile, JSON.stringify(reportData, null, 2));
-    console.log(`\\n📄 Detailed report: ${reportFile}`);
-
-    return allPassed;
   }
+});
+
+async function captureRealImage({ ssh, config, state, assert }) {
+  const captureResult = await ssh.exec(
+    `curl -s -X POST localhost:8081/snapshot -H 'Content-Type: application/json' -d '{"quality":1}'`
+  );
+  assert.commandOk(captureResult, `SSH command failed: ${captureResult.error}`);
+
+  const captureData = JSON.parse(captureResult.stdout);
+  const imageData = captureData.success && captureData.cameras?.[config.REAL_CAMERA_ID];
+  assert.ok(imageData, `Camera ${config.REAL_CAMERA_ID} capture failed`);
+  assert.ok(imageData.startsWith('/9j/4AAQ'), 'Invalid JPEG data received');
+
+  // Save real image for verification
+  const filename = path.join(config.IMAGE_DIR, `production-test-${Date.now()}.jpg`);
+  fs.writeFileSync(filename, Buffer.from(imageData, 'base64'));
+
+  const image = {
+    cameraId: config.REAL_CAMERA_ID,
+    filename,
+    size: Math.round((imageData.length * 0.75) / 1024),
+    capturedAt: new Date().toISOString()
+  };
+  state.realImages.push(image);
+  return image;
 }
 
-// Run the production E2E test
 if (require.main === module) {
-  const tester = new ProductionE2ETest();
-  tester.runProductionE2ETest()
-    .then(success => {
-      console.log('\\n🚀 Production E2E test completed!');
-      process.exit(success ? 0 : 1);
-    })
-    .catch(error => {
-      console.error('💥 Production E2E test crashed:', error);
-      process.exit(1);
-    });
+  runCli([module.exports], process.argv.slice(2), { command: 'PRODUCTION-READY-E2E-TEST.js' })
+    .then(code => process.exit(code));
 }
-
-module.exports = ProductionE2ETest;
\ No newline at end of file
@@ -2,408 +2,176 @@
 
 /**
  * 📷 DeliCasa ESP32-CAM Image Capture Test
- * 
+ *
  * Tests the complete image capture pipeline:
  * 1. ESP32-CAM Device Discovery (MQTT)
  * 2. Image Capture Request (tRPC → MQTT)
  * 3. Image Processing & Storage
  * 4. Computer Vision Analysis
- * 
+ *
  * Flow: BridgeServer → PiOrchestrator → MQTT → ESP32-CAM → Image Return
  */
 
-const { exec } = require('child_process');
-const util = require('util');
-const execAsync = util.promisify(exec);
-
-class CameraCaptureTest {
-  constructor() {
-    this.config = {
-      BRIDGE_URL: 'http://localhost:8080',
-      PI_API_URL: 'https://pi-api.delicasa.net.br',
-      PI_SSH_HOST: 'pi',
-      TEST_TIMEOUT: 30000
+const {
+  defineSuite,
+  step,
+  sleep,
+  runCli,
+  createHttpTransport,
+  createSshTransport,
+  createMqttTransport
+} = require('../../tools/harness');
+
+module.exports = defineSuite({
+  name: 'camera-capture',
+  title: '📷 DeliCasa ESP32-CAM Image Capture Test Suite',
+  config: {
+    BRIDGE_URL: 'http://localhost:8080',
+    PI_API_URL: 'https://pi-api.delicasa.net.br',
+    PI_SSH_HOST: 'pi'
+  },
+  stepDefaults: { timeoutMs: 30000 },
+
+  transports(config) {
+    const ssh = createSshTransport({ host: config.PI_SSH_HOST });
+    return {
+      http: createHttpTransport({ baseUrl: config.PI_API_URL }),
+      ssh,
+      mqtt: createMqttTransport({ via: ssh })
     };
+  },
 
-    this.results = {
-      startTime: Date.now(),
-      tests: [],
-      cameras: [],
-      captures: []
-    };
-  }
-
-  async log(step, status, details = {}) {
-    const entry = { step, status, timestamp: Date.now(), ...details };
-    this.results.tests.push(entry);
-    
-    const emoji = status === 'SUCCESS' ? '✅' : status === 'ERROR' ? '❌' : '🔄';
-    const duration = details.duration ? `(${details.duration}ms)` : '';
-    console.log(`${emoji} [${step}] ${status} ${details.message || ''} ${duration}`);
-    
-    if (details.data && process.env.VERBOSE) {
-      console.log('   📊', JSON.stringify(details.data, null, 2));
-    }
-  }
+  setup({ state }) {
+    state.cameras = [];
+    state.captures = [];
+  },
 
-  async makeRequest(url, options = {}) {
-    const fetch = (await import('node-fetch')).default;
-    const startTime = Date.now();
-    
-    try {
-      const response = await fetch(url, {
-        headers: { 'Content-Type': 'application/json', ...options.headers },
-        ...options
-      });
-      
-      const duration = Date.now() - startTime;
-      const data = await response.json().catch(() => ({}));
-      
-      return { ok: response.ok, status: response.status, data, duration };
-    } catch (error) {
-      return { ok: false, error: error.message, duration: Date.now() - startTime };
-    }
-  }
-
-  async sshCommand(command, timeout = 10000) {
-    try {
-      const { stdout, stderr } = await execAsync(
-        `ssh ${this.config.PI_SSH_HOST} "${command}"`, 
-        { timeout }
-      );
-      return { success: true, stdout: stdout.trim(), stderr: stderr.trim() };
-    } catch (error) {
-      return { success: false, error: error.message };
-    }
-  }
+  steps: [
+    // Test 1: Camera Discovery & Status
+    step('Camera Discovery', async ({ http, ssh, assert, state, log }) => {
+      const piResponse = await http.get('/health');
+      assert.httpOk(piResponse, `Pi API not accessible: ${piResponse.error || piResponse.status}`);
+      log(`Pi API accessible (${piResponse.durationMs}ms)`);
 
-  // Test 1: Camera Discovery & Status
-  async test_CameraDiscovery() {
-    console.log('\n📷 TEST 1: ESP32-CAM Discovery & Status');
-    console.log('============================================');
+      const cameraStatus = await ssh.exec('curl -s localhost:8081/health 2>/dev/null');
+      assert.commandOk(cameraStatus, 'Failed to get camera status');
 
-    // Check Pi Orchestrator cameras API
-    await this.log('PI_CAMERA_API', 'PROGRESS', { message: 'Checking Pi camera API...' });
-    
-    const piResponse = await this.makeRequest(`${this.config.PI_API_URL}/health`);
-    if (!piResponse.ok) {
-      await this.log('PI_CAMERA_API', 'ERROR', { 
-        message: 'Pi API not accessible',
-        data: { error: piResponse.error }
-      });
-      return false;
-    }
-
-    await this.log('PI_CAMERA_API', 'SUCCESS', { 
-      message: 'Pi API accessible',
-      duration: piResponse.duration
-    });
-
-    // Get camera status via SSH
-    await this.log('CAMERA_STATUS', 'PROGRESS', { message: 'Getting camera status via SSH...' });
-    
-    const cameraStatus = await this.sshCommand('curl -s localhost:8081/health 2>/dev/null');
-    
-    if (!cameraStatus.success) {
-      await this.log('CAMERA_STATUS', 'ERROR', { 
-        message: 'Failed to get camera status',
-        data: { error: cameraStatus.error }
-      });
-      return false;
-    }
-
-    try {
-      const healthData = JSON.parse(cameraStatus.stdout || '{}');
-      const cameras = healthData.cameras || [];
-      this.results.cameras = cameras;
-      
-      await this.log('CAMERA_STATUS', 'SUCCESS', { 
-        message: `Found ${cameras.length} camera(s)`,
-        data: { cameras: cameras.map(c => ({ id: c.device_id, status: c.status, rssi: c.wifi_rssi })) }
-      });
-
-      if (cameras.length === 0) {
-        await this.log('CAMERA_DISCOVERY', 'ERROR', { message: 'No cameras found' });
-        return false;
+      let healthData;
+      try {
+        healthData = JSON.parse(cameraStatus.stdout || '{}');
+      } catch (error) {
+        assert.fail('Failed to parse camera data', { error: error.message, raw: cameraStatus.stdout });
       }
 
-      return true;
-    } catch (error) {
-      await this.log('CAMERA_STATUS', 'ERROR', { 
-        message: 'Failed to parse camera data',
-        data: { error: error.message, raw: cameraStatus.stdout }
-      });
-      return false;
-    }
-  }
-
-  // Test 2: MQTT Camera Communication
-  async test_MQTTCommunication() {
-    console.log('\n📡 TEST 2: MQTT Camera Communication');
-    console.log('====================================');
-
-    // Test MQTT broker connectivity
-    await this.log('MQTT_BROKER', 'PROGRESS', { message: 'Testing MQTT broker...' });
-    
-    const mqttTest = await this.sshCommand('mosquitto_pub -h localhost -t delicasa/test -m "ping" && echo "MQTT_OK"');
-    
-    if (!mqttTest.success || !mqttTest.stdout.includes('MQTT_OK')) {
-      await this.log('MQTT_BROKER', 'ERROR', { 
-        message: 'MQTT broker not working',
-        data: { error: mqttTest.error || mqttTest.stderr }
-      });
-      return false;
-    }
-
-    await this.log('MQTT_BROKER', 'SUCCESS', { message: 'MQTT broker operational' });
-
-    // Test camera MQTT topics
-    await this.log('MQTT_TOPICS', 'PROGRESS', { message: 'Testing camera MQTT topics...' });
-    
-    const topicTest = await this.sshCommand('timeout 3 mosquitto_sub -h localhost -t "delicasa/camera/+/status" -C 1 2>/dev/null | head -1 || echo "NO_MESSAGES"');
-    
-    if (topicTest.stdout.includes('NO_MESSAGES')) {
-      await this.log('MQTT_TOPICS', 'SUCCESS', { 
-        message: 'MQTT topics ready (no recent messages - expected)',
-        data: { note: 'This is normal when no recent camera activity' }
-      });
-    } else {
-      await this.log('MQTT_TOPICS', 'SUCCESS', { 
-        message: 'MQTT camera topics active',
-        data: { recentMessage: topicTest.stdout }
-      });
-    }
-
-    return true;
-  }
-
-  // Test 3: Image Capture Request
-  async test_ImageCaptureRequest() {
-    console.log('\n📸 TEST 3: Image Capture Request Flow');
-    console.log('====================================');
-
-    if (this.results.cameras.length === 0) {
-      await this.log('CAPTURE_REQUEST', 'ERROR', { message: 'No cameras available for testing' });
-      return false;
-    }
-
-    const testCamera = this.results.cameras[0];
-    await this.log('CAPTURE_REQUEST', 'PROGRESS', { 
-      message: `Requesting capture from camera ${testCamera.device_id}...`
-    });
-
-    // Simulate image capture request via MQTT
-    const captureCommand = `mosquitto_pub -h localhost -t "delicasa/camera/${testCamera.device_id}/capture" -m '{"quality":"high","timestamp":"${new Date().toISOString()}","requestId":"test_${Date.now()}"}'`;
-    
-    const captureRequest = await this.sshCommand(captureCommand);
-    
-    if (!captureRequest.success) {
-      await this.log('CAPTURE_REQUEST', 'ERROR', { 
-        message: 'Failed to send capture request',
-        data: { error: captureRequest.error }
-      });
-      return false;
-    }
-
-    await this.log('CAPTURE_REQUEST', 'SUCCESS', { 
-      message: 'Capture request sent via MQTT',
-      data: { camera: testCamera.device_id, command: 'sent' }
-    });
+      state.cameras = healthData.cameras || [];
+      log(`Found ${state.cameras.length} camera(s)`);
+      assert.atLeast(state.cameras.length, 1, 'No cameras found');
 
-    // Wait and check for response (simulate)
-    await this.log('CAPTURE_WAIT', 'PROGRESS', { message: 'Waiting for camera response...' });
-    await new Promise(resolve => setTimeout(resolve, 2000));
+      return { cameras: state.cameras.map(c => ({ id: c.device_id, status: c.status, rssi: c.wifi_rssi })) };
+    }),
 
-    // Simulate successful capture (in real system, this would be an MQTT response)
-    const captureId = `capture_${Date.now()}_${testCamera.device_id}`;
-    this.results.captures.push({
-      id: captureId,
-      camera: testCamera.device_id,
-      timestamp: new Date().toISOString(),
-      status: 'completed',
-      simulated: true
-    });
+    // Test 2: MQTT Camera Communication
+    step('MQTT Communication', async ({ mqtt, assert, log }) => {
+      const ping = await mqtt.publish('delicasa/test', 'ping');
+      assert.commandOk(ping, 'MQTT broker not working');
+      log('MQTT broker operational');
 
-    await this.log('CAPTURE_COMPLETE', 'SUCCESS', { 
-      message: 'Image capture completed',
-      data: { 
-        captureId,
-        camera: testCamera.device_id,
-        size: '2.1MB (simulated)',
-        resolution: '1600x1200 (simulated)'
+      const recent = await mqtt.waitForMessages('delicasa/camera/+/status', { timeoutMs: 3000 });
+      if (recent.ok) {
+        log('MQTT camera topics active', { recentMessage: recent.messages[0].payload });
+      } else {
+        log('MQTT topics ready (no recent messages - expected when cameras are idle)');
       }
-    });
 
-    return true;
-  }
+      return { recentMessages: recent.messages.length };
+    }, { retries: 1 }),
 
-  // Test 4: Image Processing & Storage
-  async test_ImageProcessing() {
-    console.log('\n🖼️  TEST 4: Image Processing & Storage');
-    console.log('=====================================');
+    // Test 3: Image Capture Request
+    step('Image Capture Request', async ({ mqtt, assert, state, log, warn }) => {
+      const testCamera = state.cameras[0];
+      const requestId = `test_${Date.now()}`;
 
-    if (this.results.captures.length === 0) {
-      await this.log('IMAGE_PROCESSING', 'ERROR', { message: 'No captures available for processing' });
-      return false;
-    }
-
-    const capture = this.results.captures[0];
-    
-    // Test image processing tools availability
-    await this.log('PROCESSING_TOOLS', 'PROGRESS', { message: 'Checking image processing tools...' });
-    
-    const toolsCheck = await this.sshCommand('which convert imagemagick python3 2>/dev/null | wc -l');
-    
-    if (!toolsCheck.success) {
-      await this.log('PROCESSING_TOOLS', 'ERROR', { 
-        message: 'Failed to check processing tools',
-        data: { error: toolsCheck.error }
+      const captureRequest = await mqtt.publish(`delicasa/camera/${testCamera.device_id}/capture`, {
+        quality: 'high',
+        timestamp: new Date().toISOString(),
+        requestId
       });
-      return false;
-    }
-
-    const toolCount = parseInt(toolsCheck.stdout) || 0;
-    await this.log('PROCESSING_TOOLS', 'SUCCESS', { 
-      message: `Found ${toolCount} processing tools`,
-      data: { note: 'ImageMagick, Python available for image processing' }
-    });
-
-    // Simulate image analysis
-    await this.log('IMAGE_ANALYSIS', 'PROGRESS', { message: 'Running computer vision analysis...' });
-    await new Promise(resolve => setTimeout(resolve, 1500));
-
-    await this.log('IMAGE_ANALYSIS', 'SUCCESS', { 
-      message: 'Computer vision analysis completed',
-      data: {
+      assert.commandOk(captureRequest, 'Failed to send capture request');
+      log(`Capture request sent to camera ${testCamera.device_id}`);
+
+      // No capture acknowledgement exists on the broker yet; the capture is recorded as simulated
+      warn('Capture completion is simulated');
+      await sleep(2000);
+      const capture = {
+        id: `capture_${Date.now()}_${testCamera.device_id}`,
+        camera: testCamera.device_id,
+        requestId,
+        timestamp: new Date().toISOString(),
+        status: 'completed',
+        simulated: true
+      };
+      state.captures.push(capture);
+
+      return capture;
+    }, { needs: ['Camera Discovery', 'MQTT Communication'] }),
+
+    // Test 4: Image Processing & Storage
+    step('Image Processing', async ({ ssh, assert, state, log, warn }) => {
+      const capture = state.captures[0];
+
+      const toolsCheck = await ssh.exec('which convert imagemagick python3 2>/dev/null | wc -l');
+      assert.commandOk(toolsCheck, 'Failed to check processing tools');
+      const toolCount = parseInt(toolsCheck.stdout) || 0;
+      log(`Found ${toolCount} processing tools`);
+
+      // Computer vision runs server-side and is not reachable from here yet
+      warn('Computer vision analysis is simulated');
+      await sleep(1500);
+      return {
         captureId: capture.id,
-        analysis: {
-          objectsDetected: ['bottle', 'container'],
-          confidence: 0.94,
-          productMatch: true,
-          anomalies: false
-        },
-        processingTime: '1.2s (simulated)'
+        toolCount,
+        analysis: { objectsDetected: ['bottle', 'container'], confidence: 0.94, simulated: true }
+      };
+    }, { needs: ['Image Capture Request'] }),
+
+    // Test 5: End-to-End Camera Workflow
+    step('End-to-End Workflow', async ({ warn, log }) => {
+      warn('Workflow timings are simulated');
+
+      const workflowSteps = [
+        { name: 'Camera Discovery', duration: 500 },
+        { name: 'MQTT Connection', duration: 300 },
+        { name: 'Capture Request', duration: 800 },
+        { name: 'Image Transfer', duration: 1200 },
+        { name: 'CV Processing', duration: 1500 },
+        { name: 'Result Storage', duration: 400 }
+      ];
+
+      let totalTime = 0;
+      for (const workflowStep of workflowSteps) {
+        await sleep(workflowStep.duration);
+        totalTime += workflowStep.duration;
+        log(`${workflowStep.name} completed (${workflowStep.duration}ms)`);
       }
-    });
 
-    return true;
-  }
-
-  // Test 5: End-to-End Camera Workflow
-  async test_EndToEndWorkflow() {
-    console.log('\n🔄 TEST 5: Complete Camera Workflow');
-    console.log('===================================');
-
-    await this.log('E2E_WORKFLOW', 'PROGRESS', { message: 'Testing complete camera workflow...' });
-
-    const workflowSteps = [
-      { name: 'Camera Discovery', duration: 500 },
-      { name: 'MQTT Connection', duration: 300 },
-      { name: 'Capture Request', duration: 800 },
-      { name: 'Image Transfer', duration: 1200 },
-      { name: 'CV Processing', duration: 1500 },
-      { name: 'Result Storage', duration: 400 }
-    ];
-
-    let totalTime = 0;
-    for (const step of workflowSteps) {
-      await this.log('E2E_STEP', 'PROGRESS', { message: `${step.name}...` });
-      await new Promise(resolve => setTimeout(resolve, step.duration));
-      totalTime += step.duration;
-      await this.log('E2E_STEP', 'SUCCESS', { 
-        message: `${step.name} completed`,
-        duration: step.duration
-      });
-    }
-
-    await this.log('E2E_WORKFLOW', 'SUCCESS', { 
-      message: 'Complete workflow successful',
-      data: {
+      return {
         totalSteps: workflowSteps.length,
-        totalTime: `${totalTime}ms`,
-        averageStepTime: `${Math.round(totalTime / workflowSteps.length)}ms`
-      }
-    });
-
-    return true;
-  }
-
-  async runAllTests() {
-    console.log('📷 DeliCasa ESP32-CAM Image Capture Test Suite');
-    console.log('===============================================');
-    console.log(`🕐 Started: ${new Date().toISOString()}`);
-    console.log(`📡 Pi API: ${this.config.PI_API_URL}`);
-    console.log(`🔗 SSH Host: ${this.config.PI_SSH_HOST}`);
-    console.log('===============================================\n');
-
-    const tests = [
-      { name: 'Camera Discovery', method: 'test_CameraDiscovery' },
-      { name: 'MQTT Communication', method: 'test_MQTTCommunication' },
-      { name: 'Image Capture Request', method: 'test_ImageCaptureRequest' },
-      { name: 'Image Processing', method: 'test_ImageProcessing' },
-      { name: 'End-to-End Workflow', method: 'test_EndToEndWorkflow' }
-    ];
-
-    let passed = 0;
-    let failed = 0;
-
-    for (const test of tests) {
-      try {
-        const result = await this[test.method]();
-        if (result) {
-          passed++;
-        } else {
-          failed++;
-        }
-      } catch (error) {
-        await this.log(test.method, 'ERROR', { 
-          message: `Test crashed: ${error.message}`,
-          data: { error: error.stack }
-        });
-        failed++;
-      }
-    }
-
-    // Final Report
-    console.log('\n📊 ESP32-CAM TEST RESULTS');
-    console.log('==========================');
-    console.log(`📈 Summary: {
-  totalTests: ${tests.length},
-  passed: ${passed},
-  failed: ${failed},
-  successRate: '${((passed / tests.length) * 100).toFixed(1)}%',
-  duration: '${((Date.now() - this.results.startTime) / 1000).toFixed(2)}s'
-}`);
-
-    if (this.results.cameras.length > 0) {
-      console.log(`📷 Cameras Found: ${this.results.cameras.length}`);
-      this.results.cameras.forEach(cam => {
-        console.log(`  - ${cam.device_id}: ${cam.status} (RSSI: ${cam.wifi_rssi}dBm)`);
-      });
-    }
-
-    if (this.results.captures.length > 0) {
-      console.log(`📸 Captures Processed: ${this.results.captures.length}`);
-      this.results.captures.forEach(cap => {
-        console.log(`  - ${cap.id}: ${cap.status}`);
-      });
-    }
-
-    console.log(`\n🏁 Test Suite ${failed === 0 ? 'PASSED' : 'FAILED'}`);
-    
-    return failed === 0;
+        totalTime,
+        averageStepTime: Math.round(totalTime / workflowSteps.length),
+        simulated: true
+      };
+    }, { needs: ['Image Processing'] })
+  ],
+
+  report(state) {
+    return {
+      cameras: state.cameras.map(cam => `${cam.device_id}: ${cam.status} (RSSI: ${cam.wifi_rssi}dBm)`),
+      captures: state.captures.map(cap => `${cap.id}: ${cap.status}`)
+    };
   }
-}
+});
 
-// Run the tests
 if (require.main === module) {
-  const tester = new CameraCaptureTest();
-  tester.runAllTests()
-    .then(success => process.exit(success ? 0 : 1))
-    .catch(error => {
-      console.error('💥 Test suite crashed:', error);
-      process.exit(1);
-    });
+  runCli([module.exports], process.argv.slice(2), { command: 'camera-capture-test.js' })
+    .then(code => process.exit(code));
 }
-
-module.exports = CameraCaptureTest;
\ No newline at end of file
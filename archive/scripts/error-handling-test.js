@@ -2,543 +2,142 @@
 
 /**
  * ⚠️ DeliCasa Error Handling & Edge Case Validation Test
- * 
+ *
  * Tests system resilience and error recovery for critical failure scenarios:
  * 1. Network Connectivity Issues
  * 2. Hardware Failures (Pi, ESP32, GPIO)
  * 3. Database Connection Failures
  * 4. Authentication & Security Issues
- * 5. Payment Processing Errors
- * 6. Image Capture & Processing Failures
- * 7. Resource Exhaustion & Performance Issues
- * 8. Concurrent Access & Race Conditions
+ * 5. Resource Exhaustion & Performance Issues
+ * 6. Recovery & Failover
+ *
+ * Each scenario is its own step. Scenarios that provoke a failure pass when
+ * the failure is observed.
  */
 
-class ErrorHandlingTest {
-  constructor() {
-    this.config = {
-      BRIDGE_URL: 'http://localhost:8080',
-      PI_API_URL: 'https://pi-api.delicasa.net.br',
-      PI_SSH_HOST: 'pi',
-      INVALID_URL: 'http://invalid-host:9999',
-      TEST_TIMEOUT: 15000
+const { defineSuite, step, runCli, createHttpTransport, createSshTransport } = require('../../tools/harness');
+
+const HARDWARE_FAULT_INJECTION = 'Needs hardware fault injection, which the test rig does not provide';
+
+module.exports = defineSuite({
+  name: 'error-handling',
+  title: '⚠️ DeliCasa Error Handling & Edge Case Validation',
+  config: {
+    BRIDGE_URL: 'http://localhost:8080',
+    PI_API_URL: 'https://pi-api.delicasa.net.br',
+    INVALID_URL: 'http://invalid-host:9999',
+    INVALID_SSH_HOST: 'invalid-pi-host'
+  },
+  stepDefaults: { timeoutMs: 15000 },
+
+  transports(config) {
+    return {
+      http: createHttpTransport({ baseUrl: config.BRIDGE_URL, timeoutMs: 5000 }),
+      invalidSsh: createSshTransport({ host: config.INVALID_SSH_HOST, timeoutMs: 3000 })
     };
+  },
+
+  steps: [
+    // Network Connectivity & Timeout Handling
+    step('Invalid Host Connection', async ({ http, config, assert }) => {
+      const result = await http.get(`${config.INVALID_URL}/health`, { timeoutMs: 2000 });
+      assert.equal(result.ok, false, 'Request to an invalid host succeeded');
+      return { error: result.error };
+    }),
+
+    step('Request Timeout', async ({ http, assert }) => {
+      const result = await http.get('/health', { timeoutMs: 1 });
+      assert.ok(result.timedOut, 'A 1ms request did not time out');
+      return { error: result.error };
+    }),
+
+    step('Service Recovery', async ({ http, assert }) => {
+      const result = await http.get('/health');
+      assert.httpOk(result, 'Service did not recover after network errors');
+    }, { retries: 2 }),
+
+    // Hardware Failure Simulation
+    step('Pi SSH Connection Failure', async ({ invalidSsh, assert }) => {
+      const result = await invalidSsh.exec('echo test');
+      assert.equal(result.ok, false, 'SSH to an invalid host succeeded');
+      return { error: result.error };
+    }),
+
+    step('ESP32-CAM Communication Failure', async ({ skip }) => skip(HARDWARE_FAULT_INJECTION)),
+
+    step('GPIO Control Failure', async ({ skip }) => skip(HARDWARE_FAULT_INJECTION)),
+
+    // Database & Data Integrity Issues
+    step('Database Connection Timeout', async ({ http, assert }) => {
+      const result = await http.trpcQuery('controller.list', { limit: 20 }, { timeoutMs: 50 });
+      assert.ok(result.timedOut, 'controller.list answered within 50ms; timeout path not exercised');
+    }),
+
+    step('Invalid Data Handling', async ({ http, assert }) => {
+      const result = await http.post('/trpc/controller.list', 'invalid-json-data');
+      assert.equal(result.ok, false, 'Malformed data was accepted');
+      return { status: result.status };
+    }),
+
+    step('Data Recovery', async ({ http, assert }) => {
+      const result = await http.get('/health');
+      assert.httpOk(result, 'System still unstable after data errors');
+    }),
+
+    // Security & Authentication Edge Cases
+    step('Invalid Authentication Token', async ({ http, assert }) => {
+      const result = await http.get('/health', { headers: { Authorization: 'Bearer invalid-token-12345' } });
+      assert.httpOk(result, 'Public endpoint rejected a request carrying an invalid token');
+    }),
+
+    step('SQL Injection Attempt', async ({ http, assert }) => {
+      const result = await http.trpcQuery('controller.list', { limit: "'; DROP TABLE controllers; --" });
+      assert.equal(result.ok, false, 'Malicious input passed validation');
+      return { status: result.status };
+    }),
+
+    step('Rate Limiting', async ({ http, log }) => {
+      const results = await Promise.all(Array.from({ length: 20 }, () => http.get('/health', { timeoutMs: 1000 })));
+      const blocked = results.filter(r => !r.ok).length;
+      log(blocked === 0 ? 'Rate limiting not triggered (or very high limits)' : `${blocked} requests blocked`);
+      return { requests: results.length, blocked };
+    }),
+
+    // Resource Exhaustion & Performance Limits
+    step('Large Payload', async ({ http, assert }) => {
+      await http.post('/health', { data: 'x'.repeat(10000) });
+      const after = await http.get('/health');
+      assert.httpOk(after, 'Service unhealthy after a large payload');
+    }),
+
+    step('Concurrent Connections', async ({ http, assert }) => {
+      const connectionCount = 50;
+      const results = await Promise.all(Array.from({ length: connectionCount }, () => http.get('/health')));
+      const successCount = results.filter(r => r.ok).length;
+      assert.ok(successCount / connectionCount > 0.8, `Only ${successCount}/${connectionCount} connections succeeded`);
+      return { connectionCount, successCount };
+    }),
+
+    // Recovery & Failover Mechanisms
+    step('Service Health Recovery', async ({ http, assert }) => {
+      const result = await http.get('/health');
+      assert.httpOk(result);
+      assert.equal(result.data?.status, 'OK', `Health status is ${result.data?.status}`);
+    }),
+
+    step('Controller Failover', async ({ http, assert }) => {
+      const result = await http.trpcQuery('controller.list', { limit: 10 });
+      assert.httpOk(result, 'Controller list unavailable');
+
+      const controllers = result.data?.result?.data?.controllers || [];
+      const online = controllers.filter(c => c.status === 'online');
+      assert.atLeast(online.length, 1, 'No controllers online for failover');
+      return { online: online.length, total: controllers.length };
+    })
+  ]
+});
 
-    this.results = {
-      startTime: Date.now(),
-      tests: [],
-      errorScenarios: [],
-      recoveryActions: []
-    };
-  }
-
-  async log(step, status, details = {}) {
-    const entry = { step, status, timestamp: Date.now(), ...details };
-    this.results.tests.push(entry);
-    
-    const emoji = status === 'SUCCESS' ? '✅' : status === 'ERROR' ? '❌' : status === 'EXPECTED' ? '⚠️' : '🔄';
-    const duration = details.duration ? `(${details.duration}ms)` : '';
-    console.log(`${emoji} [${step}] ${status} ${details.message || ''} ${duration}`);
-    
-    if (details.data && process.env.VERBOSE) {
-      console.log('   📊', JSON.stringify(details.data, null, 2));
-    }
-  }
-
-  async makeRequest(url, options = {}) {
-    const fetch = (await import('node-fetch')).default;
-    const startTime = Date.now();
-    
-    try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), options.timeout || 5000);
-      
-      const response = await fetch(url, {
-        headers: { 'Content-Type': 'application/json', ...options.headers },
-        signal: controller.signal,
-        ...options
-      });
-      
-      clearTimeout(timeoutId);
-      const duration = Date.now() - startTime;
-      const data = await response.json().catch(() => ({}));
-      
-      return { ok: response.ok, status: response.status, data, duration, error: null };
-    } catch (error) {
-      return { ok: false, error: error.message, duration: Date.now() - startTime };
-    }
-  }
-
-  async testErrorScenario(scenarioName, testFunction, expectedOutcome) {
-    await this.log('ERROR_SCENARIO', 'PROGRESS', { message: `Testing ${scenarioName}...` });
-    
-    try {
-      const result = await testFunction();
-      
-      if (result.success === expectedOutcome.expectFailure ? false : true) {
-        await this.log('ERROR_SCENARIO', 'SUCCESS', { 
-          message: `${scenarioName}: Handled correctly`,
-          data: { 
-            scenario: scenarioName,
-            expected: expectedOutcome.expectFailure ? 'failure' : 'success',
-            actual: result.success ? 'success' : 'failure',
-            recovery: result.recovery || 'none'
-          }
-        });
-        return true;
-      } else {
-        await this.log('ERROR_SCENARIO', 'ERROR', { 
-          message: `${scenarioName}: Unexpected outcome`,
-          data: result
-        });
-        return false;
-      }
-    } catch (error) {
-      await this.log('ERROR_SCENARIO', 'ERROR', { 
-        message: `${scenarioName}: Test crashed - ${error.message}`,
-        data: { error: error.stack }
-      });
-      return false;
-    }
-  }
-
-  // Test 1: Network Connectivity Issues
-  async test_NetworkConnectivity() {
-    console.log('\n🌐 TEST 1: Network Connectivity & Timeout Handling');
-    console.log('==================================================');
-
-    const scenarios = [
-      {
-        name: 'Invalid Host Connection',
-        test: async () => {
-          const result = await this.makeRequest(this.config.INVALID_URL + '/health', { timeout: 2000 });
-          return { 
-            success: false, 
-            recovery: result.error?.includes('ENOTFOUND') ? 'DNS resolution failed - expected' : 'Unknown error'
-          };
-        },
-        expected: { expectFailure: true }
-      },
-      {
-        name: 'Request Timeout',
-        test: async () => {
-          // Simulate slow endpoint
-          const result = await this.makeRequest(`${this.config.BRIDGE_URL}/health`, { timeout: 1 });
-          return { 
-            success: result.ok,
-            recovery: result.error?.includes('aborted') ? 'Request timeout - retry logic should activate' : 'No timeout occurred'
-          };
-        },
-        expected: { expectFailure: true }
-      },
-      {
-        name: 'Service Recovery',
-        test: async () => {
-          // Test that service recovers after network issue
-          const result = await this.makeRequest(`${this.config.BRIDGE_URL}/health`);
-          return { 
-            success: result.ok,
-            recovery: result.ok ? 'Service recovered successfully' : 'Service still down'
-          };
-        },
-        expected: { expectFailure: false }
-      }
-    ];
-
-    let passed = 0;
-    for (const scenario of scenarios) {
-      const success = await this.testErrorScenario(scenario.name, scenario.test, scenario.expected);
-      if (success) passed++;
-    }
-
-    return passed === scenarios.length;
-  }
-
-  // Test 2: Hardware Failure Simulation
-  async test_HardwareFailures() {
-    console.log('\n🔧 TEST 2: Hardware Failure Simulation');
-    console.log('=====================================');
-
-    const scenarios = [
-      {
-        name: 'Pi SSH Connection Failure',
-        test: async () => {
-          try {
-            const { exec } = require('child_process');
-            const util = require('util');
-            const execAsync = util.promisify(exec);
-            
-            // Try SSH to invalid host
-            await execAsync('ssh invalid-pi-host "echo test"', { timeout: 3000 });
-            return { success: true, recovery: 'SSH connection succeeded (unexpected)' };
-          } catch (error) {
-            return { 
-              success: false, 
-              recovery: error.message.includes('Could not resolve hostname') ? 
-                'SSH failure detected - fallback mechanisms should activate' : 
-                'Unknown SSH error'
-            };
-          }
-        },
-        expected: { expectFailure: true }
-      },
-      {
-        name: 'ESP32-CAM Communication Failure',
-        test: async () => {
-          // Simulate MQTT message to non-existent camera
-          const fakeDeviceId = 'cam-NONEXISTENT';
-          await new Promise(resolve => setTimeout(resolve, 1000)); // Simulate timeout
-          
-          return { 
-            success: false, 
-            recovery: 'Camera timeout - system should retry or use backup camera'
-          };
-        },
-        expected: { expectFailure: true }
-      },
-      {
-        name: 'GPIO Control Failure',
-        test: async () => {
-          // Simulate GPIO permission error
-          return { 
-            success: false, 
-            recovery: 'GPIO access denied - system should log error and alert maintenance'
-          };
-        },
-        expected: { expectFailure: true }
-      }
-    ];
-
-    let passed = 0;
-    for (const scenario of scenarios) {
-      const success = await this.testErrorScenario(scenario.name, scenario.test, scenario.expected);
-      if (success) passed++;
-    }
-
-    return passed === scenarios.length;
-  }
-
-  // Test 3: Database & Data Issues
-  async test_DatabaseFailures() {
-    console.log('\n🗄️ TEST 3: Database & Data Integrity Issues');
-    console.log('===========================================');
-
-    const scenarios = [
-      {
-        name: 'Database Connection Timeout',
-        test: async () => {
-          // Simulate database timeout by making request with very short timeout
-          const result = await this.makeRequest(`${this.config.BRIDGE_URL}/trpc/controller.list?input=%7B%22json%22%3A%7B%22limit%22%3A20%7D%7D`, { 
-            timeout: 50 // Very short timeout to simulate DB slowness
-          });
-          return { 
-            success: result.ok,
-            recovery: result.error?.includes('aborted') ? 'Database timeout - connection pool should retry' : 'No timeout'
-          };
-        },
-        expected: { expectFailure: true }
-      },
-      {
-        name: 'Invalid Data Handling',
-        test: async () => {
-          // Send malformed data
-          const result = await this.makeRequest(`${this.config.BRIDGE_URL}/trpc/controller.list`, {
-            method: 'POST',
-            body: 'invalid-json-data'
-          });
-          return { 
-            success: result.ok,
-            recovery: !result.ok ? 'Malformed data rejected - validation working' : 'Malformed data accepted (bad)'
-          };
-        },
-        expected: { expectFailure: true }
-      },
-      {
-        name: 'Data Recovery Test',
-        test: async () => {
-          // Test normal operation after errors
-          const result = await this.makeRequest(`${this.config.BRIDGE_URL}/health`);
-          return { 
-            success: result.ok,
-            recovery: result.ok ? 'System recovered from data errors' : 'System still unstable'
-          };
-        },
-        expected: { expectFailure: false }
-      }
-    ];
-
-    let passed = 0;
-    for (const scenario of scenarios) {
-      const success = await this.testErrorScenario(scenario.name, scenario.test, scenario.expected);
-      if (success) passed++;
-    }
-
-    return passed === scenarios.length;
-  }
-
-  // Test 4: Security & Authentication Edge Cases
-  async test_SecurityEdgeCases() {
-    console.log('\n🔐 TEST 4: Security & Authentication Edge Cases');
-    console.log('==============================================');
-
-    const scenarios = [
-      {
-        name: 'Invalid Authentication Token',
-        test: async () => {
-          const result = await this.makeRequest(`${this.config.BRIDGE_URL}/health`, {
-            headers: { 'Authorization': 'Bearer invalid-token-12345' }
-          });
-          return { 
-            success: result.ok, // Health endpoint should still work
-            recovery: 'Invalid token should be ignored for public endpoints'
-          };
-        },
-        expected: { expectFailure: false }
-      },
-      {
-        name: 'SQL Injection Attempt',
-        test: async () => {
-          const maliciousInput = "'; DROP TABLE controllers; --";
-          const result = await this.makeRequest(
-            `${this.config.BRIDGE_URL}/trpc/controller.list?input=${encodeURIComponent(JSON.stringify({ json: { limit: maliciousInput } }))}`
-          );
-          return { 
-            success: !result.ok, // Should fail due to validation
-            recovery: !result.ok ? 'SQL injection blocked by validation' : 'Security vulnerability detected!'
-          };
-        },
-        expected: { expectFailure: true }
-      },
-      {
-        name: 'Rate Limiting Test',
-        test: async () => {
-          // Send multiple rapid requests
-          const promises = Array.from({ length: 20 }, () => 
-            this.makeRequest(`${this.config.BRIDGE_URL}/health`, { timeout: 1000 })
-          );
-          
-          const results = await Promise.all(promises);
-          const allSucceeded = results.every(r => r.ok);
-          
-          return { 
-            success: allSucceeded, // Should handle burst traffic
-            recovery: allSucceeded ? 'Rate limiting not triggered (or very high limits)' : 'Some requests blocked by rate limiting'
-          };
-        },
-        expected: { expectFailure: false }
-      }
-    ];
-
-    let passed = 0;
-    for (const scenario of scenarios) {
-      const success = await this.testErrorScenario(scenario.name, scenario.test, scenario.expected);
-      if (success) passed++;
-    }
-
-    return passed === scenarios.length;
-  }
-
-  // Test 5: Resource Exhaustion & Performance
-  async test_ResourceExhaustion() {
-    console.log('\n💾 TEST 5: Resource Exhaustion & Performance Limits');
-    console.log('==================================================');
-
-    const scenarios = [
-      {
-        name: 'Memory Usage Test',
-        test: async () => {
-          // Create large payload to test memory handling
-          const largeData = 'x'.repeat(10000); // 10KB string
-          const result = await this.makeRequest(`${this.config.BRIDGE_URL}/health`, {
-            method: 'POST',
-            body: JSON.stringify({ data: largeData })
-          });
-          return { 
-            success: true, // Just testing it doesn't crash
-            recovery: 'Large payload handled without system crash'
-          };
-        },
-        expected: { expectFailure: false }
-      },
-      {
-        name: 'Concurrent Connection Test',
-        test: async () => {
-          // Test many simultaneous connections
-          const connectionCount = 50;
-          const promises = Array.from({ length: connectionCount }, (_, i) => 
-            this.makeRequest(`${this.config.BRIDGE_URL}/health`, { timeout: 5000 })
-              .catch(error => ({ ok: false, error: error.message }))
-          );
-          
-          const results = await Promise.all(promises);
-          const successCount = results.filter(r => r.ok).length;
-          const successRate = successCount / connectionCount;
-          
-          return { 
-            success: successRate > 0.8, // 80% success rate acceptable
-            recovery: `${successCount}/${connectionCount} connections successful (${Math.round(successRate * 100)}%)`
-          };
-        },
-        expected: { expectFailure: false }
-      }
-    ];
-
-    let passed = 0;
-    for (const scenario of scenarios) {
-      const success = await this.testErrorScenario(scenario.name, scenario.test, scenario.expected);
-      if (success) passed++;
-    }
-
-    return passed === scenarios.length;
-  }
-
-  // Test 6: Recovery & Failover Mechanisms
-  async test_RecoveryMechanisms() {
-    console.log('\n🔄 TEST 6: Recovery & Failover Mechanisms');
-    console.log('========================================');
-
-    const scenarios = [
-      {
-        name: 'Service Health Recovery',
-        test: async () => {
-          // Test that service reports healthy status after errors
-          const result = await this.makeRequest(`${this.config.BRIDGE_URL}/health`);
-          return { 
-            success: result.ok && result.data?.status === 'OK',
-            recovery: result.ok ? 'Service health check passed' : 'Service health check failed'
-          };
-        },
-        expected: { expectFailure: false }
-      },
-      {
-        name: 'Controller Failover Test',
-        test: async () => {
-          // Test multiple controller availability
-          const result = await this.makeRequest(
-            `${this.config.BRIDGE_URL}/trpc/controller.list?input=${encodeURIComponent(JSON.stringify({ json: { limit: 10 } }))}`
-          );
-          
-          if (result.ok && result.data?.result?.data?.controllers) {
-            const controllers = result.data.result.data.controllers;
-            const onlineControllers = controllers.filter(c => c.status === 'online');
-            
-            return { 
-              success: onlineControllers.length > 0,
-              recovery: `${onlineControllers.length}/${controllers.length} controllers online for failover`
-            };
-          }
-          
-          return { 
-            success: false,
-            recovery: 'Controller list unavailable'
-          };
-        },
-        expected: { expectFailure: false }
-      }
-    ];
-
-    let passed = 0;
-    for (const scenario of scenarios) {
-      const success = await this.testErrorScenario(scenario.name, scenario.test, scenario.expected);
-      if (success) passed++;
-    }
-
-    return passed === scenarios.length;
-  }
-
-  async runAllTests() {
-    console.log('⚠️ DeliCasa Error Handling & Edge Case Validation');
-    console.log('==================================================');
-    console.log(`🕐 Started: ${new Date().toISOString()}`);
-    console.log(`🔗 Bridge Server: ${this.config.BRIDGE_URL}`);
-    console.log(`📡 Pi API: ${this.config.PI_API_URL}`);
-    console.log('==================================================\n');
-
-    const testSuites = [
-      { name: 'Network Connectivity', method: 'test_NetworkConnectivity' },
-      { name: 'Hardware Failures', method: 'test_HardwareFailures' },
-      { name: 'Database Failures', method: 'test_DatabaseFailures' },
-      { name: 'Security Edge Cases', method: 'test_SecurityEdgeCases' },
-      { name: 'Resource Exhaustion', method: 'test_ResourceExhaustion' },
-      { name: 'Recovery Mechanisms', method: 'test_RecoveryMechanisms' }
-    ];
-
-    let passedSuites = 0;
-    let totalScenarios = 0;
-    let passedScenarios = 0;
-
-    for (const testSuite of testSuites) {
-      try {
-        const suiteStartTime = Date.now();
-        const result = await this[testSuite.method]();
-        const suiteDuration = Date.now() - suiteStartTime;
-        
-        await this.log('TEST_SUITE', result ? 'SUCCESS' : 'ERROR', { 
-          message: `${testSuite.name}: ${result ? 'PASSED' : 'FAILED'}`,
-          duration: suiteDuration
-        });
-        
-        if (result) {
-          passedSuites++;
-        }
-        
-        // Count scenarios (rough estimate based on typical test structure)
-        const scenarioCount = 3; // Each test typically has ~3 scenarios
-        totalScenarios += scenarioCount;
-        if (result) passedScenarios += scenarioCount;
-        
-      } catch (error) {
-        await this.log('TEST_SUITE', 'ERROR', { 
-          message: `${testSuite.name}: CRASHED - ${error.message}`,
-          data: { error: error.stack }
-        });
-      }
-    }
-
-    // Final Report
-    console.log('\n⚠️ ERROR HANDLING TEST RESULTS');
-    console.log('===============================');
-    console.log(`📊 Test Suites Summary: {
-  totalSuites: ${testSuites.length},
-  passedSuites: ${passedSuites},
-  failedSuites: ${testSuites.length - passedSuites},
-  suiteSuccessRate: '${((passedSuites / testSuites.length) * 100).toFixed(1)}%'
-}`);
-
-    console.log(`🧪 Scenarios Summary: {
-  totalScenarios: ~${totalScenarios},
-  passedScenarios: ~${passedScenarios},
-  failedScenarios: ~${totalScenarios - passedScenarios},
-  scenarioSuccessRate: '${((passedScenarios / totalScenarios) * 100).toFixed(1)}%'
-}`);
-
-    console.log(`⏱️ Performance: {
-  totalDuration: '${((Date.now() - this.results.startTime) / 1000).toFixed(2)}s',
-  averageSuiteTime: '${(((Date.now() - this.results.startTime) / testSuites.length) / 1000).toFixed(2)}s'
-}`);
-
-    const overallSuccess = passedSuites === testSuites.length;
-    console.log(`\n🏁 Error Handling Test Suite ${overallSuccess ? 'PASSED' : 'FAILED'}`);
-    
-    if (overallSuccess) {
-      console.log('🛡️ System demonstrates robust error handling and recovery capabilities');
-    } else {
-      console.log('⚠️ System has error handling gaps that need attention');
-    }
-    
-    return overallSuccess;
-  }
-}
-
-// Run the tests
 if (require.main === module) {
-  const tester = new ErrorHandlingTest();
-  tester.runAllTests()
-    .then(success => process.exit(success ? 0 : 1))
-    .catch(error => {
-      console.error('💥 Error handling test suite crashed:', error);
-      process.exit(1);
-    });
+  runCli([module.exports], process.argv.slice(2), { command: 'error-handling-test.js' })
+    .then(code => process.exit(code));
 }
-
-module.exports = ErrorHandlingTest;
\ No newline at end of file
@@ -25,7 +25,7 @@ async function finalJwtR2Test() {
   console.log('======================================================\n');
 
   try {
-    // Load the JWT token
+    // Load the JWT token (mint it with: node tools/scripts/token.js mint bridge --aud bridge-legacy --out jwt-token.txt)
     const jwtToken = fs.readFileSync('jwt-token.txt', 'utf8').trim();
     console.log('🔐 JWT Token loaded:', jwtToken.substring(0, 50) + '...');
     
@@ -2,183 +2,75 @@
 
 /**
  * 🔧 DeliCasa Hardware Integration Test
- * 
+ *
  * This test focuses specifically on hardware control through the tRPC system:
  * 1. Controller Status & Communication
  * 2. Door Control Commands (GPIO)
  * 3. Camera Capture via MQTT
  * 4. Image Processing & Storage
  * 5. Hardware Health Monitoring
- * 
+ *
  * Tests the complete IoT chain:
  * tRPC → BridgeServer → PiOrchestrator → MQTT → ESP32 Hardware
  */
 
-const { exec } = require('child_process');
-const util = require('util');
-const execAsync = util.promisify(exec);
-
-class DeliCasaHardwareTest {
-  constructor() {
-    this.config = {
-      BRIDGE_URL: 'http://localhost:8080',
-      PI_SSH_HOST: 'pi',
-      TEST_CONTROLLER_ID: 'raspberr',
-      EXPECTED_CAPABILITIES: ['door_control', 'image_capture', 'mqtt_communication'],
-      TEST_TIMEOUT: 60000 // 60 seconds
-    };
-
-    this.results = {
-      startTime: Date.now(),
-      tests: [],
-      hardwareStatus: {},
-      errors: []
+const {
+  defineSuite,
+  step,
+  sleep,
+  runCli,
+  createHttpTransport,
+  createSshTransport,
+  createMqttTransport
+} = require('../../tools/harness');
+
+module.exports = defineSuite({
+  name: 'hardware-integration',
+  title: '🔧 DeliCasa Hardware Integration Test Suite',
+  config: {
+    BRIDGE_URL: 'http://localhost:8080',
+    PI_SSH_HOST: 'pi',
+    TEST_CONTROLLER_ID: 'raspberr'
+  },
+  stepDefaults: { timeoutMs: 60000 },
+
+  transports(config) {
+    const ssh = createSshTransport({ host: config.PI_SSH_HOST });
+    return {
+      http: createHttpTransport({ baseUrl: config.BRIDGE_URL }),
+      ssh,
+      mqtt: createMqttTransport({ via: ssh })
     };
-  }
-
-  async log(test, status, details = {}) {
-    const entry = {
-      test,
-      status,
-      timestamp: Date.now(),
-      ...details
-    };
-    
-    this.results.tests.push(entry);
-    
-    const emoji = status === 'PASS' ? '✅' : status === 'FAIL' ? '❌' : '🔄';
-    const message = details.message || '';
-    const duration = details.duration ? `(${details.duration}ms)` : '';
-    
-    console.log(`${emoji} [${test}] ${status} ${message} ${duration}`);
-    
-    if (details.data && process.env.VERBOSE) {
-      console.log(`   📊`, JSON.stringify(details.data, null, 2));
-    }
-  }
-
-  async makeRequest(url, options = {}) {
-    const fetch = (await import('node-fetch')).default;
-    const startTime = Date.now();
-    
-    try {
-      const response = await fetch(url, {
-        headers: { 'Content-Type': 'application/json', ...options.headers },
-        ...options
-      });
-      
-      const duration = Date.now() - startTime;
-      const data = await response.json().catch(() => ({}));
-      
-      return { ok: response.ok, status: response.status, data, duration };
-    } catch (error) {
-      return { ok: false, error: error.message, duration: Date.now() - startTime };
-    }
-  }
-
-  async tRPCCall(procedure, input = {}, isQuery = false) {
-    const url = `${this.config.BRIDGE_URL}/trpc/${procedure}`;
-    
-    if (isQuery) {
-      // For tRPC queries, use GET with input as query parameters
-      const searchParams = new URLSearchParams();
-      if (Object.keys(input).length > 0) {
-        searchParams.append('input', JSON.stringify({ json: input }));
-      }
-      const queryUrl = searchParams.toString() ? `${url}?${searchParams}` : url;
-      return this.makeRequest(queryUrl, { method: 'GET' });
-    } else {
-      // For tRPC mutations, use POST with body
-      return this.makeRequest(url, {
-        method: 'POST',
-        body: JSON.stringify({ json: input })
-      });
-    }
-  }
-
-  async sshCommand(command, timeout = 10000) {
-    try {
-      const { stdout, stderr } = await execAsync(
-        `ssh ${this.config.PI_SSH_HOST} "${command}"`, 
-        { timeout }
+  },
+
+  steps: [
+    // System Health & Controller Status
+    step('BridgeServer Health', async ({ http, assert }) => {
+      const bridgeHealth = await http.get('/health');
+      assert.httpOk(bridgeHealth, 'BridgeServer not responding');
+      return bridgeHealth.data;
+    }, { retries: 2 }),
+
+    step('tRPC Health', async ({ http, assert }) => {
+      const trpcHealth = await http.trpcQuery('health.check');
+      assert.httpOk(trpcHealth, 'tRPC health check failed');
+    }, { needs: ['BridgeServer Health'] }),
+
+    step('Controller List', async ({ http, config, state, assert, log }) => {
+      const controllers = await http.trpcQuery('controller.list', { limit: 20 });
+      assert.httpOk(controllers, 'Failed to get controller list');
+
+      const controllerList = controllers.data?.result?.data?.controllers || [];
+      const testController = controllerList.find(c =>
+        c.id === config.TEST_CONTROLLER_ID ||
+        c.id?.includes('raspberr') ||
+        c.name?.includes('PiOrchestrator')
       );
-      return { success: true, stdout: stdout.trim(), stderr: stderr.trim() };
-    } catch (error) {
-      return { success: false, error: error.message };
-    }
-  }
-
-  // Test 1: System Health & Controller Status
-  async test_01_SystemHealth() {
-    console.log('\n🏥 TEST 1: System Health & Controller Status');
-
-    // Test BridgeServer health
-    await this.log('BRIDGE_HEALTH', 'RUNNING', { message: 'Checking BridgeServer health...' });
-    const bridgeHealth = await this.makeRequest(`${this.config.BRIDGE_URL}/health`);
-    
-    if (!bridgeHealth.ok) {
-      await this.log('BRIDGE_HEALTH', 'FAIL', { 
-        message: 'BridgeServer not responding', 
-        data: { error: bridgeHealth.error } 
-      });
-      throw new Error('BridgeServer not available');
-    }
-
-    await this.log('BRIDGE_HEALTH', 'PASS', { 
-      message: 'BridgeServer healthy',
-      duration: bridgeHealth.duration,
-      data: bridgeHealth.data 
-    });
+      assert.ok(testController, `Test controller not found. Available: ${controllerList.map(c => c.id).join(', ')}`);
 
-    // Test tRPC health endpoint
-    await this.log('TRPC_HEALTH', 'RUNNING', { message: 'Testing tRPC health endpoint...' });
-    const tRPCHealth = await this.tRPCCall('health.check', {}, true);
-    
-    if (!tRPCHealth.ok) {
-      await this.log('TRPC_HEALTH', 'FAIL', { 
-        message: 'tRPC health check failed',
-        data: { error: tRPCHealth.error }
-      });
-    } else {
-      await this.log('TRPC_HEALTH', 'PASS', { 
-        message: 'tRPC responding correctly',
-        duration: tRPCHealth.duration 
-      });
-    }
-
-    // Get controller list
-    await this.log('CONTROLLER_LIST', 'RUNNING', { message: 'Fetching controller list...' });
-    const controllers = await this.tRPCCall('controller.list', { limit: 20 }, true);
-    
-    if (!controllers.ok) {
-      await this.log('CONTROLLER_LIST', 'FAIL', { 
-        message: 'Failed to get controller list',
-        data: { error: controllers.error }
-      });
-      throw new Error('Cannot fetch controllers');
-    }
-
-    const responseData = controllers.data?.result?.data;
-    const controllerList = responseData?.controllers || [];
-    const testController = controllerList.find(c => 
-      c.id === this.config.TEST_CONTROLLER_ID || 
-      c.id?.includes('raspberr') ||
-      c.name?.includes('PiOrchestrator')
-    );
-
-    if (!testController) {
-      await this.log('CONTROLLER_LIST', 'FAIL', { 
-        message: `Test controller not found. Available: ${controllerList.map(c => c.id).join(', ')}`
-      });
-      throw new Error('Test controller not available');
-    }
-
-    this.results.hardwareStatus.controller = testController;
-
-    await this.log('CONTROLLER_LIST', 'PASS', { 
-      message: `Found test controller: ${testController.id}`,
-      duration: controllers.duration,
-      data: { 
+      state.controller = testController;
+      log(`Found test controller: ${testController.id}`);
+      return {
         totalControllers: controllerList.length,
         testController: {
           id: testController.id,
@@ -186,353 +78,116 @@ class DeliCasaHardwareTest {
           status: testController.status,
           capabilities: testController.capabilities
         }
-      }
-    });
-  }
-
-  // Test 2: Pi Orchestrator Communication  
-  async test_02_PiCommunication() {
-    console.log('\n🍓 TEST 2: Pi Orchestrator Communication');
-
-    const controller = this.results.hardwareStatus.controller;
-
-    // Test SSH connection to Pi
-    await this.log('SSH_CONNECTION', 'RUNNING', { message: 'Testing SSH connection to Pi...' });
-    const sshTest = await this.sshCommand('echo "SSH connection test"');
-    
-    if (!sshTest.success) {
-      await this.log('SSH_CONNECTION', 'FAIL', { 
-        message: 'SSH connection failed',
-        data: { error: sshTest.error }
-      });
-      return; // Non-fatal, continue with other tests
-    }
-
-    await this.log('SSH_CONNECTION', 'PASS', { message: 'SSH connection successful' });
-
-    // Test Pi Orchestrator service status
-    await this.log('PI_SERVICE_STATUS', 'RUNNING', { message: 'Checking Pi Orchestrator service...' });
-    const serviceCheck = await this.sshCommand('ps aux | grep piorch | grep -v grep');
-    
-    if (!serviceCheck.success || !serviceCheck.stdout) {
-      await this.log('PI_SERVICE_STATUS', 'FAIL', { 
-        message: 'Pi Orchestrator service not running' 
-      });
-    } else {
-      await this.log('PI_SERVICE_STATUS', 'PASS', { 
-        message: 'Pi Orchestrator service running',
-        data: { process: serviceCheck.stdout.split('\n')[0] }
-      });
-    }
-
-    // Test Pi local API if accessible
-    await this.log('PI_LOCAL_API', 'RUNNING', { message: 'Testing Pi local API...' });
-    const piApiTest = await this.sshCommand('curl -s http://localhost:8081/health || curl -s http://localhost:8083/health');
-    
-    if (piApiTest.success && piApiTest.stdout) {
+      };
+    }, { needs: ['BridgeServer Health'] }),
+
+    // Pi Orchestrator Communication
+    step('SSH Connection', async ({ ssh, assert }) => {
+      assert.commandOk(await ssh.exec('echo "SSH connection test"'), 'SSH connection failed');
+    }, { retries: 1 }),
+
+    step('Pi Orchestrator Service', async ({ ssh, assert }) => {
+      const serviceCheck = await ssh.exec('pgrep -af piorch');
+      assert.ok(serviceCheck.ok && serviceCheck.stdout, 'Pi Orchestrator service not running');
+      return { process: serviceCheck.stdout.split('\n')[0] };
+    }, { needs: ['SSH Connection'] }),
+
+    step('Pi Local API', async ({ ssh, assert }) => {
+      const piApiTest = await ssh.exec('curl -s http://localhost:8081/health || curl -s http://localhost:8083/health');
+      assert.ok(piApiTest.ok && piApiTest.stdout, 'Pi local API not responding');
       try {
-        const healthData = JSON.parse(piApiTest.stdout);
-        await this.log('PI_LOCAL_API', 'PASS', { 
-          message: 'Pi local API responding',
-          data: healthData 
-        });
-      } catch (e) {
-        await this.log('PI_LOCAL_API', 'PASS', { message: 'Pi API responding (non-JSON)' });
+        return JSON.parse(piApiTest.stdout);
+      } catch {
+        return { raw: piApiTest.stdout };
       }
-    } else {
-      await this.log('PI_LOCAL_API', 'FAIL', { 
-        message: 'Pi local API not responding' 
-      });
-    }
-  }
-
-  // Test 3: Door Control System
-  async test_03_DoorControl() {
-    console.log('\n🚪 TEST 3: Door Control System');
-
-    const controller = this.results.hardwareStatus.controller;
-    
-    // Check if controller has door control capability
-    await this.log('DOOR_CAPABILITY_CHECK', 'RUNNING', { message: 'Checking door control capability...' });
-    
-    const hasDoorControl = controller.capabilities?.includes('door_control') ||
-                          controller.capabilities?.includes('camera') || // Legacy naming
-                          true; // For testing, assume capability exists
-
-    if (!hasDoorControl) {
-      await this.log('DOOR_CAPABILITY_CHECK', 'FAIL', { 
-        message: 'Controller does not support door control',
-        data: { capabilities: controller.capabilities }
-      });
-      return;
-    }
+    }, { needs: ['SSH Connection'] }),
 
-    await this.log('DOOR_CAPABILITY_CHECK', 'PASS', { 
-      message: 'Door control capability confirmed' 
-    });
-
-    // Test door control via SSH (simulated)
-    await this.log('DOOR_CONTROL_TEST', 'RUNNING', { message: 'Testing door control mechanism...' });
-    
-    // In a real system, this would send GPIO commands
-    // For testing, we'll check if GPIO tools are available
-    const gpioTest = await this.sshCommand('which gpio || echo "GPIO tools not installed"');
-    
-    if (gpioTest.success) {
-      await this.log('DOOR_CONTROL_TEST', 'PASS', { 
-        message: 'GPIO control available',
-        data: { gpioStatus: gpioTest.stdout }
-      });
-      
-      // Test simulated door open/close cycle
-      await this.log('DOOR_CYCLE_TEST', 'RUNNING', { message: 'Simulating door open/close cycle...' });
-      
-      // Simulate door operations (in real system, this would trigger GPIO)
-      await new Promise(resolve => setTimeout(resolve, 1000)); // Open delay
-      await this.log('DOOR_OPEN_SIM', 'PASS', { message: 'Door open simulation successful' });
-      
-      await new Promise(resolve => setTimeout(resolve, 2000)); // Wait period
-      await this.log('DOOR_WAIT_SIM', 'PASS', { message: 'Door wait period completed' });
-      
-      await new Promise(resolve => setTimeout(resolve, 1000)); // Close delay  
-      await this.log('DOOR_CLOSE_SIM', 'PASS', { message: 'Door close simulation successful' });
-      
-      await this.log('DOOR_CYCLE_TEST', 'PASS', { message: 'Complete door cycle simulation successful' });
-    } else {
-      await this.log('DOOR_CONTROL_TEST', 'FAIL', { 
-        message: 'GPIO control not available for testing' 
-      });
-    }
-  }
-
-  // Test 4: Camera & MQTT System
-  async test_04_CameraMQTT() {
-    console.log('\n📷 TEST 4: Camera & MQTT System');
-
-    const controller = this.results.hardwareStatus.controller;
-
-    // Check MQTT broker status on Pi
-    await this.log('MQTT_BROKER_CHECK', 'RUNNING', { message: 'Checking MQTT broker status...' });
-    const mqttCheck = await this.sshCommand('systemctl is-active mosquitto || ps aux | grep mosquitto | grep -v grep');
-    
-    if (mqttCheck.success && mqttCheck.stdout) {
-      await this.log('MQTT_BROKER_CHECK', 'PASS', { 
-        message: 'MQTT broker running',
-        data: { status: mqttCheck.stdout }
-      });
-    } else {
-      await this.log('MQTT_BROKER_CHECK', 'FAIL', { message: 'MQTT broker not running' });
-    }
-
-    // Test MQTT client tools
-    await this.log('MQTT_CLIENT_TEST', 'RUNNING', { message: 'Testing MQTT client connectivity...' });
-    const mqttClientTest = await this.sshCommand(
-      'timeout 5s mosquitto_pub -h localhost -t test/topic -m "test" && echo "MQTT_PUB_OK" || echo "MQTT_PUB_FAIL"'
-    );
-    
-    if (mqttClientTest.success && mqttClientTest.stdout.includes('MQTT_PUB_OK')) {
-      await this.log('MQTT_CLIENT_TEST', 'PASS', { message: 'MQTT publish test successful' });
-    } else {
-      await this.log('MQTT_CLIENT_TEST', 'FAIL', { 
-        message: 'MQTT client test failed',
-        data: { output: mqttClientTest.stdout }
-      });
-    }
-
-    // Simulate image capture request through tRPC
-    await this.log('IMAGE_CAPTURE_REQUEST', 'RUNNING', { 
-      message: 'Simulating image capture request...' 
-    });
-
-    // In the real system, this would trigger: tRPC → Pi → MQTT → ESP32-CAM
-    // For testing, we simulate the process
-    const captureRequest = {
-      controllerId: controller.id,
-      deviceId: 'esp32_cam_001',
-      quality: 'high',
-      timestamp: new Date().toISOString()
-    };
-
-    // Simulate capture processing time
-    await new Promise(resolve => setTimeout(resolve, 2000));
-
-    await this.log('IMAGE_CAPTURE_REQUEST', 'PASS', { 
-      message: 'Image capture simulation completed',
-      data: {
-        captureRequest,
-        simulatedResponse: {
-          imageId: `img_${Date.now()}`,
-          size: '1.8MB',
-          resolution: '1600x1200',
-          processingTimeMs: 2000
-        }
+    // Door Control System
+    step('Door Control', async ({ ssh, state, assert, warn, log }) => {
+      const capabilities = state.controller.capabilities || [];
+      if (!capabilities.includes('door_control') && !capabilities.includes('camera')) {
+        warn(`Controller does not advertise door_control (capabilities: ${capabilities.join(', ') || 'none'})`);
       }
-    });
-
-    // Test image processing capabilities
-    await this.log('IMAGE_PROCESSING', 'RUNNING', { message: 'Testing image processing tools...' });
-    
-    const imageToolsTest = await this.sshCommand('which convert || which ffmpeg || echo "No image tools"');
-    if (imageToolsTest.success && !imageToolsTest.stdout.includes('No image tools')) {
-      await this.log('IMAGE_PROCESSING', 'PASS', { 
-        message: 'Image processing tools available',
-        data: { tools: imageToolsTest.stdout }
-      });
-    } else {
-      await this.log('IMAGE_PROCESSING', 'FAIL', { message: 'Image processing tools not available' });
-    }
-  }
-
-  // Test 5: Performance & Load Testing
-  async test_05_PerformanceLoad() {
-    console.log('\n⚡ TEST 5: Performance & Load Testing');
-
-    // Test multiple concurrent tRPC calls
-    await this.log('CONCURRENT_TRPC', 'RUNNING', { message: 'Testing concurrent tRPC calls...' });
-    
-    const concurrentRequests = 5;
-    const startTime = Date.now();
-    
-    const promises = Array.from({ length: concurrentRequests }, (_, i) => 
-      this.tRPCCall('health.check', {}, true).catch(e => ({ ok: false, error: e.message }))
-    );
-    
-    const results = await Promise.all(promises);
-    const successfulRequests = results.filter(r => r.ok).length;
-    const totalTime = Date.now() - startTime;
-    
-    if (successfulRequests === concurrentRequests) {
-      await this.log('CONCURRENT_TRPC', 'PASS', { 
-        message: `All ${concurrentRequests} concurrent requests successful`,
-        duration: totalTime,
-        data: {
-          totalRequests: concurrentRequests,
-          successfulRequests,
-          averageResponseTime: Math.round(totalTime / concurrentRequests),
-          throughput: Math.round((concurrentRequests * 1000) / totalTime)
-        }
-      });
-    } else {
-      await this.log('CONCURRENT_TRPC', 'FAIL', { 
-        message: `Only ${successfulRequests}/${concurrentRequests} requests succeeded`,
-        data: { failedRequests: results.filter(r => !r.ok) }
-      });
-    }
 
-    // Test system resource usage on Pi
-    await this.log('SYSTEM_RESOURCES', 'RUNNING', { message: 'Checking Pi system resources...' });
-    
-    const resourceCheck = await this.sshCommand(`
-      echo "CPU: $(top -bn1 | grep "Cpu(s)" | awk '{print $2}' | cut -d'%' -f1)%"
-      echo "Memory: $(free | grep Mem | awk '{printf "%.1f%%", $3/$2 * 100.0}')"
-      echo "Disk: $(df -h / | awk 'NR==2{printf "%s", $5}')"
-      echo "Load: $(uptime | awk -F'load average:' '{print $2}')"
-    `);
-
-    if (resourceCheck.success) {
-      await this.log('SYSTEM_RESOURCES', 'PASS', { 
-        message: 'System resources checked',
-        data: { 
-          resources: resourceCheck.stdout.split('\n').filter(line => line.trim())
-        }
-      });
-    } else {
-      await this.log('SYSTEM_RESOURCES', 'FAIL', { message: 'Could not check system resources' });
-    }
-  }
-
-  // Generate Test Report
-  generateReport() {
-    console.log('\n📊 HARDWARE INTEGRATION TEST REPORT');
-    console.log('=' .repeat(60));
-    
-    const totalTests = this.results.tests.filter(t => ['PASS', 'FAIL'].includes(t.status)).length;
-    const passedTests = this.results.tests.filter(t => t.status === 'PASS').length;
-    const failedTests = this.results.tests.filter(t => t.status === 'FAIL').length;
-    const totalDuration = Date.now() - this.results.startTime;
-
-    const report = {
-      summary: {
-        totalTests,
-        passed: passedTests,
-        failed: failedTests,
-        successRate: `${((passedTests / totalTests) * 100).toFixed(1)}%`,
-        duration: `${(totalDuration / 1000).toFixed(2)}s`
-      },
-      controller: this.results.hardwareStatus.controller,
-      details: this.results.tests
-    };
-
-    console.log('📈 Summary:', report.summary);
-    
-    if (this.results.hardwareStatus.controller) {
-      console.log('🎛️  Test Controller:', {
-        id: this.results.hardwareStatus.controller.id,
-        name: this.results.hardwareStatus.controller.name,
-        status: this.results.hardwareStatus.controller.status,
-        capabilities: this.results.hardwareStatus.controller.capabilities
-      });
-    }
-
-    console.log('\n🔍 Test Results:');
-    this.results.tests
-      .filter(t => ['PASS', 'FAIL'].includes(t.status))
-      .forEach(test => {
-        const status = test.status === 'PASS' ? '✅' : '❌';
-        const duration = test.duration ? ` (${test.duration}ms)` : '';
-        console.log(`  ${status} ${test.test}: ${test.message}${duration}`);
-      });
-
-    return report;
-  }
-
-  // Main Test Execution
-  async runAllTests() {
-    console.log('🔧 DeliCasa Hardware Integration Test Suite');
-    console.log('=' .repeat(80));
-    console.log(`🕐 Started: ${new Date().toISOString()}`);
-    console.log(`⚙️  Configuration:`, {
-      bridgeServer: this.config.BRIDGE_URL,
-      piHost: this.config.PI_SSH_HOST,
-      testController: this.config.TEST_CONTROLLER_ID
-    });
-    console.log('=' .repeat(80));
-
-    try {
-      await this.test_01_SystemHealth();
-      await this.test_02_PiCommunication();
-      await this.test_03_DoorControl();
-      await this.test_04_CameraMQTT();
-      await this.test_05_PerformanceLoad();
-
-      console.log('\n🎉 HARDWARE INTEGRATION TESTS COMPLETED');
-      
-    } catch (error) {
-      console.log(`\n💥 CRITICAL TEST FAILURE: ${error.message}`);
-      this.results.errors.push({ error: error.message, timestamp: Date.now() });
-    }
-
-    const report = this.generateReport();
-    const success = report.summary.failed === 0;
-    
-    console.log(`\n🏁 Test Suite ${success ? 'PASSED' : 'FAILED'}`);
-    
-    return { success, report };
+      const gpioTest = await ssh.exec('which gpio');
+      assert.commandOk(gpioTest, 'GPIO control not available for testing');
+      log(`GPIO tools at ${gpioTest.stdout}`);
+
+      // Opening the door is not safe to automate; the cycle timing is simulated
+      warn('Door open/close cycle is simulated');
+      await sleep(4000);
+      return { gpio: gpioTest.stdout, simulated: true };
+    }, { needs: ['Controller List', 'SSH Connection'] }),
+
+    // Camera & MQTT System
+    step('MQTT Broker', async ({ ssh, assert }) => {
+      const mqttCheck = await ssh.exec('systemctl is-active mosquitto || pgrep -a mosquitto');
+      assert.ok(mqttCheck.ok && mqttCheck.stdout, 'MQTT broker not running');
+      return { status: mqttCheck.stdout };
+    }, { needs: ['SSH Connection'] }),
+
+    step('MQTT Publish', async ({ mqtt, assert }) => {
+      assert.commandOk(await mqtt.publish('test/topic', 'test', { timeoutMs: 5000 }), 'MQTT publish failed');
+    }, { needs: ['MQTT Broker'] }),
+
+    step('Image Capture Request', async ({ state, warn }) => {
+      // The real path is tRPC → Pi → MQTT → ESP32-CAM; it has no test hook yet
+      warn('Image capture is simulated');
+      const captureRequest = {
+        controllerId: state.controller.id,
+        deviceId: 'esp32_cam_001',
+        quality: 'high',
+        timestamp: new Date().toISOString()
+      };
+      await sleep(2000);
+      return { captureRequest, imageId: `img_${Date.now()}`, simulated: true };
+    }, { needs: ['Controller List', 'MQTT Publish'] }),
+
+    step('Image Processing Tools', async ({ ssh, assert }) => {
+      const imageToolsTest = await ssh.exec('which convert || which ffmpeg');
+      assert.commandOk(imageToolsTest, 'Image processing tools not available');
+      return { tools: imageToolsTest.stdout };
+    }, { needs: ['SSH Connection'] }),
+
+    // Performance & Load Testing
+    step('Concurrent tRPC Calls', async ({ http, assert }) => {
+      const concurrentRequests = 5;
+      const startTime = Date.now();
+      const results = await Promise.all(
+        Array.from({ length: concurrentRequests }, () => http.trpcQuery('health.check'))
+      );
+      const totalTime = Date.now() - startTime;
+      const successfulRequests = results.filter(r => r.ok).length;
+
+      assert.equal(successfulRequests, concurrentRequests, `Only ${successfulRequests}/${concurrentRequests} requests succeeded`);
+      return {
+        totalRequests: concurrentRequests,
+        averageResponseTime: Math.round(totalTime / concurrentRequests),
+        throughput: Math.round((concurrentRequests * 1000) / totalTime)
+      };
+    }, { needs: ['tRPC Health'] }),
+
+    step('Pi System Resources', async ({ ssh, assert }) => {
+      const resourceCheck = await ssh.exec(`
+        echo "CPU: $(top -bn1 | grep "Cpu(s)" | awk '{print $2}' | cut -d'%' -f1)%"
+        echo "Memory: $(free | grep Mem | awk '{printf "%.1f%%", $3/$2 * 100.0}')"
+        echo "Disk: $(df -h / | awk 'NR==2{printf "%s", $5}')"
+        echo "Load: $(uptime | awk -F'load average:' '{print $2}')"
+      `);
+      assert.commandOk(resourceCheck, 'Could not check system resources');
+      return { resources: resourceCheck.stdout.split('\n').map(line => line.trim()).filter(Boolean) };
+    }, { needs: ['SSH Connection'] })
+  ],
+
+  report(state) {
+    const controller = state.controller;
+    return controller
+      ? { controller: { id: controller.id, name: controller.name, status: controller.status, capabilities: controller.capabilities } }
+      : { controller: null };
   }
-}
+});
 
-// Execute if run directly
 if (require.main === module) {
-  const test = new DeliCasaHardwareTest();
-  
-  test.runAllTests()
-    .then(({ success, report }) => {
-      process.exit(success ? 0 : 1);
-    })
-    .catch(error => {
-      console.error('💥 Test execution failed:', error);
-      process.exit(1);
-    });
+  runCli([module.exports], process.argv.slice(2), { command: 'hardware-integration-test.js' })
+    .then(code => process.exit(code));
 }
-
-module.exports = DeliCasaHardwareTest;
\ No newline at end of file
@@ -2,501 +2,237 @@
 
 /**
  * 💳 DeliCasa Payment Processing Integration Test
- * 
+ *
  * Tests the complete payment pipeline for Brazilian market:
  * 1. PIX Payment Generation
  * 2. Payment Verification & Confirmation
  * 3. Transaction Recording
  * 4. Receipt Generation
  * 5. Refund/Error Handling
- * 
+ *
  * Flow: Customer → PIX QR Code → Bank → Payment Confirmation → Transaction Complete
+ *
+ * PIX charges are created and paid on a PSP implementing the BCB PIX API;
+ * by default the fake PSP of tools/mock-server (sandbox payment endpoint).
+ * Recording, receipts, error handling and load steps are still simulations
+ * and log a warning saying so.
  */
 
-class PaymentProcessingTest {
-  constructor() {
-    this.config = {
-      BRIDGE_URL: 'http://localhost:8080',
-      PAYMENT_PROVIDER: 'PIX', // Brazilian instant payment system
-      TEST_AMOUNTS: [1.50, 5.99, 12.75, 25.00], // Real values in BRL
-      TEST_TIMEOUT: 30000
-    };
-
-    this.results = {
-      startTime: Date.now(),
-      tests: [],
-      transactions: [],
-      payments: []
+const { defineSuite, step, sleep, runCli, createHttpTransport } = require('../../tools/harness');
+
+module.exports = defineSuite({
+  name: 'payment-processing',
+  title: '💳 DeliCasa Payment Processing Integration Test',
+  config: {
+    BRIDGE_URL: 'http://localhost:8080',
+    PAYMENT_PROVIDER: 'PIX', // Brazilian instant payment system
+    PIX_PSP_URL: 'http://localhost:8090',
+    PIX_CLIENT_ID: 'delicasa-mock-psp',
+    PIX_CLIENT_SECRET: 'delicasa-mock-psp-secret',
+    PIX_KEY: 'delicasa@pix.com.br',
+    TEST_AMOUNTS: [150, 599, 1275, 2500] // BRL in centavos, as Money stores them
+  },
+  stepDefaults: { timeoutMs: 30000 },
+
+  transports(config) {
+    return {
+      http: createHttpTransport({ baseUrl: config.BRIDGE_URL }),
+      psp: createHttpTransport({ baseUrl: config.PIX_PSP_URL })
     };
-  }
-
-  async log(step, status, details = {}) {
-    const entry = { step, status, timestamp: Date.now(), ...details };
-    this.results.tests.push(entry);
-    
-    const emoji = status === 'SUCCESS' ? '✅' : status === 'ERROR' ? '❌' : '🔄';
-    const duration = details.duration ? `(${details.duration}ms)` : '';
-    console.log(`${emoji} [${step}] ${status} ${details.message || ''} ${duration}`);
-    
-    if (details.data && process.env.VERBOSE) {
-      console.log('   💰', JSON.stringify(details.data, null, 2));
-    }
-  }
-
-  async makeRequest(url, options = {}) {
-    const fetch = (await import('node-fetch')).default;
-    const startTime = Date.now();
-    
-    try {
-      const response = await fetch(url, {
-        headers: { 'Content-Type': 'application/json', ...options.headers },
-        ...options
-      });
-      
-      const duration = Date.now() - startTime;
-      const data = await response.json().catch(() => ({}));
-      
-      return { ok: response.ok, status: response.status, data, duration };
-    } catch (error) {
-      return { ok: false, error: error.message, duration: Date.now() - startTime };
-    }
-  }
-
-  // Test 1: Payment System Health
-  async test_PaymentSystemHealth() {
-    console.log('\\n💳 TEST 1: Payment System Health Check');
-    console.log('======================================');
-
-    await this.log('PAYMENT_HEALTH', 'PROGRESS', { message: 'Checking payment system health...' });
-    
-    // Check BridgeServer payment endpoints
-    const healthCheck = await this.makeRequest(`${this.config.BRIDGE_URL}/health`);
-    
-    if (!healthCheck.ok) {
-      await this.log('PAYMENT_HEALTH', 'ERROR', { 
-        message: 'Payment system not accessible',
-        data: { error: healthCheck.error }
-      });
-      return false;
-    }
-
-    await this.log('PAYMENT_HEALTH', 'SUCCESS', { 
-      message: 'Payment system accessible',
-      duration: healthCheck.duration
-    });
-
-    // Simulate payment provider connection check
-    await this.log('PIX_PROVIDER', 'PROGRESS', { message: 'Checking PIX provider connectivity...' });
-    await new Promise(resolve => setTimeout(resolve, 500)); // Simulate network check
-
-    await this.log('PIX_PROVIDER', 'SUCCESS', { 
-      message: 'PIX payment provider ready',
-      data: { 
-        provider: 'Central Bank of Brazil (BCB)',
-        protocol: 'PIX_API_v2',
-        status: 'operational'
-      }
-    });
-
-    return true;
-  }
-
-  // Test 2: PIX Payment Generation
-  async test_PIXPaymentGeneration() {
-    console.log('\\n🏦 TEST 2: PIX Payment Generation');
-    console.log('=================================');
-
-    for (const amount of this.config.TEST_AMOUNTS) {
-      await this.log('PIX_GENERATION', 'PROGRESS', { 
-        message: `Generating PIX payment for R$ ${amount.toFixed(2)}...`
-      });
-
-      // Simulate PIX payment generation
-      const pixData = this.generatePIXPayment(amount);
-      
-      await this.log('PIX_GENERATION', 'SUCCESS', { 
-        message: `PIX payment generated for R$ ${amount.toFixed(2)}`,
-        data: {
-          amount: `R$ ${amount.toFixed(2)}`,
-          pixKey: pixData.pixKey,
-          qrCode: `${pixData.qrCode.substring(0, 50)}...`,
-          expiresIn: pixData.expiresIn,
-          transactionId: pixData.transactionId
-        }
-      });
-
-      this.results.payments.push(pixData);
-    }
-
-    await this.log('PIX_BATCH', 'SUCCESS', { 
-      message: `Generated ${this.config.TEST_AMOUNTS.length} PIX payments`,
-      data: { 
-        totalAmount: `R$ ${this.config.TEST_AMOUNTS.reduce((sum, amount) => sum + amount, 0).toFixed(2)}`,
-        averageGenTime: '150ms'
-      }
-    });
-
-    return true;
-  }
-
-  // Test 3: Payment Verification Flow
-  async test_PaymentVerification() {
-    console.log('\\n🔍 TEST 3: Payment Verification Flow');
-    console.log('====================================');
-
-    if (this.results.payments.length === 0) {
-      await this.log('PAYMENT_VERIFY', 'ERROR', { message: 'No payments available for verification' });
-      return false;
-    }
-
-    const testPayment = this.results.payments[0];
-    
-    await this.log('PAYMENT_VERIFY', 'PROGRESS', { 
-      message: `Verifying payment ${testPayment.transactionId}...`
-    });
-
-    // Simulate payment verification process
-    const verificationSteps = [
-      { name: 'Bank Authorization', duration: 800, status: 'approved' },
-      { name: 'Fraud Detection', duration: 600, status: 'clear' },
-      { name: 'Amount Validation', duration: 200, status: 'confirmed' },
-      { name: 'Account Balance Check', duration: 400, status: 'sufficient' }
-    ];
-
-    for (const step of verificationSteps) {
-      await this.log('VERIFY_STEP', 'PROGRESS', { message: `${step.name}...` });
-      await new Promise(resolve => setTimeout(resolve, step.duration));
-      
-      await this.log('VERIFY_STEP', 'SUCCESS', { 
-        message: `${step.name}: ${step.status}`,
-        duration: step.duration
+  },
+
+  setup({ state }) {
+    state.payments = [];
+    state.transactions = [];
+  },
+
+  steps: [
+    // Test 1: Payment System Health
+    step('Payment System Health', async ({ http, psp, config, state, assert, log }) => {
+      const healthCheck = await http.get('/health');
+      assert.httpOk(healthCheck, 'Payment system not accessible');
+      log(`Payment system accessible (${healthCheck.durationMs}ms)`);
+
+      const credentials = Buffer.from(`${config.PIX_CLIENT_ID}:${config.PIX_CLIENT_SECRET}`).toString('base64');
+      const token = await psp.post('/oauth/token', 'grant_type=client_credentials', {
+        headers: { Authorization: `Basic ${credentials}`, 'Content-Type': 'application/x-www-form-urlencoded' }
       });
-    }
-
-    await this.log('PAYMENT_VERIFY', 'SUCCESS', { 
-      message: 'Payment verification completed',
-      data: {
-        transactionId: testPayment.transactionId,
-        status: 'verified',
-        amount: testPayment.amount,
-        verificationTime: verificationSteps.reduce((sum, step) => sum + step.duration, 0) + 'ms'
+      assert.httpOk(token, 'PIX PSP did not issue an access token');
+      state.pspHeaders = { Authorization: `Bearer ${token.data.access_token}` };
+      return { psp: config.PIX_PSP_URL, protocol: 'PIX_API_v2' };
+    }),
+
+    // Test 2: PIX Payment Generation
+    step('PIX Payment Generation', async ({ psp, config, state, assert, log }) => {
+      for (const [index, amount] of config.TEST_AMOUNTS.entries()) {
+        const txid = `delicasa${Date.now()}${index}`.padEnd(26, '0');
+        const charge = await psp.put(`/v2/cob/${txid}`, {
+          calendario: { expiracao: 15 * 60 },
+          valor: { original: toDecimalString(amount) },
+          chave: config.PIX_KEY,
+          solicitacaoPagador: `DeliCasa teste ${index + 1}`
+        }, { headers: state.pspHeaders });
+        assert.httpStatus(charge, 201, `PIX charge for ${formatBRL(amount)} was not created`);
+        assert.ok(/^000201.*6304[0-9A-F]{4}$/.test(charge.data.pixCopiaECola || ''), 'Charge has no BR Code', { charge: charge.data });
+
+        state.payments.push({ txid, amount, brCode: charge.data.pixCopiaECola });
+        log(`PIX charge created for ${formatBRL(amount)}`, {
+          txid,
+          brCode: `${charge.data.pixCopiaECola.substring(0, 50)}...`,
+          expiresIn: `${charge.data.calendario.expiracao}s`
+        });
       }
-    });
-
-    return true;
-  }
-
-  // Test 4: Transaction Recording
-  async test_TransactionRecording() {
-    console.log('\\n📝 TEST 4: Transaction Recording & Database');
-    console.log('===========================================');
-
-    const transaction = {
-      id: `txn_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      customerId: 'customer@delicasa.com',
-      amount: this.config.TEST_AMOUNTS[1], // R$ 5.99
-      paymentMethod: 'PIX',
-      status: 'completed',
-      timestamp: new Date().toISOString(),
-      location: 'Test Vending Machine #1'
-    };
-
-    await this.log('TXN_RECORD', 'PROGRESS', { 
-      message: `Recording transaction ${transaction.id}...`
-    });
-
-    // Simulate database transaction recording
-    await new Promise(resolve => setTimeout(resolve, 300));
 
-    await this.log('TXN_RECORD', 'SUCCESS', { 
-      message: 'Transaction recorded in database',
-      data: {
+      const totalAmount = config.TEST_AMOUNTS.reduce((sum, amount) => sum + amount, 0);
+      return { generated: state.payments.length, totalAmount: formatBRL(totalAmount) };
+    }, { needs: ['Payment System Health'] }),
+
+    // Test 3: Payment Verification Flow
+    step('Payment Verification', async ({ psp, state, assert, log }) => {
+      const testPayment = state.payments[0];
+
+      const paid = await psp.post(`/sandbox/cob/${testPayment.txid}/pay`, {});
+      assert.httpOk(paid, `Sandbox payment of ${testPayment.txid} failed`);
+      log(`Payer paid ${testPayment.txid}`, { endToEndId: paid.data.endToEndId });
+
+      const charge = await psp.get(`/v2/cob/${testPayment.txid}`, { headers: state.pspHeaders });
+      assert.httpOk(charge);
+      assert.equal(charge.data.status, 'CONCLUIDA', `Charge ${testPayment.txid} is ${charge.data.status}`);
+
+      return {
+        txid: testPayment.txid,
+        endToEndId: charge.data.pix[0].endToEndId,
+        status: charge.data.status,
+        amount: formatBRL(testPayment.amount)
+      };
+    }, { needs: ['PIX Payment Generation'] }),
+
+    // Test 4: Transaction Recording
+    step('Transaction Recording', async ({ config, state, warn }) => {
+      warn('Database recording and retrieval are simulated');
+
+      const transaction = {
+        id: `txn_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        customerId: 'customer@delicasa.com',
+        amount: config.TEST_AMOUNTS[1], // R$ 5,99
+        paymentMethod: 'PIX',
+        status: 'completed',
+        timestamp: new Date().toISOString(),
+        location: 'Test Vending Machine #1'
+      };
+
+      await sleep(500);
+      state.transactions.push(transaction);
+
+      return { transactionId: transaction.id, amount: formatBRL(transaction.amount), simulated: true };
+    }),
+
+    // Test 5: Receipt Generation
+    step('Receipt Generation', async ({ state, warn }) => {
+      const transaction = state.transactions[0];
+      warn('Receipt delivery is simulated');
+
+      const receiptData = {
+        receiptId: `receipt_${Date.now()}`,
         transactionId: transaction.id,
-        customer: transaction.customerId,
-        amount: `R$ ${transaction.amount.toFixed(2)}`,
-        method: transaction.paymentMethod,
-        status: transaction.status
-      }
-    });
-
-    // Test transaction retrieval
-    await this.log('TXN_RETRIEVE', 'PROGRESS', { message: 'Testing transaction retrieval...' });
-    await new Promise(resolve => setTimeout(resolve, 200));
-
-    await this.log('TXN_RETRIEVE', 'SUCCESS', { 
-      message: 'Transaction successfully retrieved',
-      data: { retrievalTime: '45ms', cacheHit: true }
-    });
-
-    this.results.transactions.push(transaction);
-    return true;
-  }
-
-  // Test 5: Receipt Generation
-  async test_ReceiptGeneration() {
-    console.log('\\n🧾 TEST 5: Digital Receipt Generation');
-    console.log('====================================');
-
-    if (this.results.transactions.length === 0) {
-      await this.log('RECEIPT_GEN', 'ERROR', { message: 'No transactions available for receipt generation' });
-      return false;
-    }
-
-    const transaction = this.results.transactions[0];
-    
-    await this.log('RECEIPT_GEN', 'PROGRESS', { 
-      message: `Generating receipt for transaction ${transaction.id}...`
-    });
-
-    // Simulate receipt generation process
-    const receiptData = {
-      receiptId: `receipt_${Date.now()}`,
-      transactionId: transaction.id,
-      customer: transaction.customerId,
-      amount: transaction.amount,
-      timestamp: transaction.timestamp,
-      qrCode: this.generateReceiptQR(transaction),
-      format: 'PDF',
-      deliveryMethod: ['email', 'sms'],
-      taxInfo: {
-        taxRate: 0.17, // Brazilian tax rate
-        taxAmount: (transaction.amount * 0.17).toFixed(2)
-      }
-    };
+        qrCode: generateReceiptQR(transaction),
+        format: 'PDF',
+        deliveryMethod: ['email', 'sms'],
+        taxInfo: {
+          taxRate: 0.17, // Brazilian tax rate
+          taxAmount: Math.round(transaction.amount * 0.17) // centavos, rounded half-up
+        }
+      };
 
-    await this.log('RECEIPT_GEN', 'SUCCESS', { 
-      message: 'Digital receipt generated',
-      data: {
+      await sleep(400);
+      return {
         receiptId: receiptData.receiptId,
         format: receiptData.format,
         delivery: receiptData.deliveryMethod.join(', '),
-        taxAmount: `R$ ${receiptData.taxInfo.taxAmount}`
-      }
-    });
-
-    // Test receipt delivery
-    await this.log('RECEIPT_DELIVERY', 'PROGRESS', { message: 'Delivering receipt to customer...' });
-    await new Promise(resolve => setTimeout(resolve, 400));
-
-    await this.log('RECEIPT_DELIVERY', 'SUCCESS', { 
-      message: 'Receipt delivered successfully',
-      data: { 
-        emailSent: true, 
-        smsSent: true,
-        deliveryTime: '1.2s'
-      }
-    });
-
-    return true;
-  }
-
-  // Test 6: Error Handling & Edge Cases
-  async test_ErrorHandling() {
-    console.log('\\n⚠️  TEST 6: Error Handling & Edge Cases');
-    console.log('=======================================');
-
-    const errorScenarios = [
-      {
-        name: 'Insufficient Funds',
-        type: 'payment_declined',
-        expectedResponse: 'DECLINED',
-        recovery: 'Show alternative payment methods'
-      },
-      {
-        name: 'Network Timeout',
-        type: 'network_error',
-        expectedResponse: 'RETRY',
-        recovery: 'Automatic retry with exponential backoff'
-      },
-      {
-        name: 'Invalid PIX Key',
-        type: 'validation_error',
-        expectedResponse: 'INVALID',
-        recovery: 'Request new payment method'
-      },
-      {
-        name: 'Bank System Maintenance',
-        type: 'service_unavailable',
-        expectedResponse: 'UNAVAILABLE',
-        recovery: 'Queue payment for later processing'
-      }
-    ];
-
-    let handledErrors = 0;
-    
-    for (const scenario of errorScenarios) {
-      await this.log('ERROR_TEST', 'PROGRESS', { 
-        message: `Testing ${scenario.name}...`
-      });
-
-      await new Promise(resolve => setTimeout(resolve, 300));
-
-      await this.log('ERROR_TEST', 'SUCCESS', { 
-        message: `${scenario.name} handled correctly`,
-        data: {
-          errorType: scenario.type,
-          response: scenario.expectedResponse,
-          recovery: scenario.recovery
-        }
-      });
-
-      handledErrors++;
-    }
-
-    await this.log('ERROR_HANDLING', 'SUCCESS', { 
-      message: 'All error scenarios handled correctly',
-      data: {
-        totalScenarios: errorScenarios.length,
-        handledCorrectly: handledErrors,
-        successRate: '100%'
+        taxAmount: formatBRL(receiptData.taxInfo.taxAmount),
+        simulated: true
+      };
+    }, { needs: ['Transaction Recording'] }),
+
+    // Test 6: Error Handling & Edge Cases
+    step('Error Handling', async ({ log, warn }) => {
+      warn('Error scenarios are simulated');
+
+      const errorScenarios = [
+        { name: 'Insufficient Funds', type: 'payment_declined', expectedResponse: 'DECLINED' },
+        { name: 'Network Timeout', type: 'network_error', expectedResponse: 'RETRY' },
+        { name: 'Invalid PIX Key', type: 'validation_error', expectedResponse: 'INVALID' },
+        { name: 'Bank System Maintenance', type: 'service_unavailable', expectedResponse: 'UNAVAILABLE' }
+      ];
+
+      for (const scenario of errorScenarios) {
+        await sleep(300);
+        log(`${scenario.name} → ${scenario.expectedResponse}`);
       }
-    });
-
-    return true;
-  }
-
-  // Test 7: Performance & Load Testing
-  async test_PaymentPerformance() {
-    console.log('\\n⚡ TEST 7: Payment Performance Testing');
-    console.log('=====================================');
-
-    await this.log('PERF_TEST', 'PROGRESS', { message: 'Running payment performance tests...' });
 
-    // Simulate concurrent payment processing
-    const concurrentPayments = 10;
-    const startTime = Date.now();
-    
-    const paymentPromises = Array.from({ length: concurrentPayments }, (_, i) => 
-      this.simulatePaymentProcess(2.50 + i) // Different amounts
-    );
+      return { totalScenarios: errorScenarios.length, simulated: true };
+    }),
 
-    await this.log('CONCURRENT_PAY', 'PROGRESS', { 
-      message: `Processing ${concurrentPayments} concurrent payments...`
-    });
+    // Test 7: Performance & Load Testing
+    step('Performance Testing', async ({ assert, warn }) => {
+      warn('Concurrent payment processing is simulated');
 
-    const results = await Promise.all(paymentPromises);
-    const totalTime = Date.now() - startTime;
-    const successfulPayments = results.filter(r => r.success).length;
+      const concurrentPayments = 10;
+      const startTime = Date.now();
+      const results = await Promise.all(
+        Array.from({ length: concurrentPayments }, (_, i) => simulatePaymentProcess(250 + i * 100))
+      );
+      const totalTime = Date.now() - startTime;
+      const successful = results.filter(r => r.success).length;
 
-    await this.log('CONCURRENT_PAY', 'SUCCESS', { 
-      message: `Concurrent payments completed`,
-      data: {
+      assert.equal(successful, concurrentPayments, `${concurrentPayments - successful} of ${concurrentPayments} payments failed`);
+      return {
         totalPayments: concurrentPayments,
-        successful: successfulPayments,
-        failed: concurrentPayments - successfulPayments,
-        totalTime: `${totalTime}ms`,
-        avgTimePerPayment: `${Math.round(totalTime / concurrentPayments)}ms`,
-        throughput: `${Math.round(concurrentPayments / (totalTime / 1000))} payments/sec`
-      }
-    });
-
-    return successfulPayments === concurrentPayments;
-  }
-
-  // Helper Methods
-  generatePIXPayment(amount) {
-    const transactionId = `pix_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        totalTime,
+        throughput: `${Math.round(concurrentPayments / (totalTime / 1000))} payments/sec`,
+        simulated: true
+      };
+    })
+  ],
+
+  report(state) {
+    const totalAmount = state.payments.reduce((sum, p) => sum + p.amount, 0);
     return {
-      transactionId,
-      amount: `R$ ${amount.toFixed(2)}`,
-      pixKey: 'delicasa@pix.com.br',
-      qrCode: `00020126580014BR.GOV.BCB.PIX0136${transactionId}520400005303986540${amount.toFixed(2)}5802BR5913DeliCasa6008BRASILIA62070503***6304`,
-      expiresIn: '15 minutes',
-      created: new Date().toISOString()
+      pixPaymentsGenerated: state.payments.length,
+      totalAmount: formatBRL(totalAmount),
+      transactionsRecorded: state.transactions.length
     };
   }
+});
 
-  generateReceiptQR(transaction) {
-    return `RECEIPT:${transaction.id}:${transaction.amount}:${transaction.timestamp}`;
-  }
+// Helper Methods
+const brlFormat = new Intl.NumberFormat('pt-BR', { style: 'currency', currency: 'BRL' });
 
-  async simulatePaymentProcess(amount) {
-    const processingTime = Math.random() * 1000 + 500; // 500-1500ms
-    await new Promise(resolve => setTimeout(resolve, processingTime));
-    
-    return {
-      success: Math.random() > 0.05, // 95% success rate
-      amount,
-      processingTime
-    };
-  }
+function formatBRL(centavos) {
+  return brlFormat.format(centavos / 100);
+}
 
-  async runAllTests() {
-    console.log('💳 DeliCasa Payment Processing Integration Test');
-    console.log('==============================================');
-    console.log(`🕐 Started: ${new Date().toISOString()}`);
-    console.log(`💰 Payment Provider: ${this.config.PAYMENT_PROVIDER} (Brazilian PIX)`);
-    console.log(`🎯 Test Amounts: R$ ${this.config.TEST_AMOUNTS.join(', R$ ')}`);
-    console.log('==============================================\\n');
-
-    const tests = [
-      { name: 'Payment System Health', method: 'test_PaymentSystemHealth' },
-      { name: 'PIX Payment Generation', method: 'test_PIXPaymentGeneration' },
-      { name: 'Payment Verification', method: 'test_PaymentVerification' },
-      { name: 'Transaction Recording', method: 'test_TransactionRecording' },
-      { name: 'Receipt Generation', method: 'test_ReceiptGeneration' },
-      { name: 'Error Handling', method: 'test_ErrorHandling' },
-      { name: 'Performance Testing', method: 'test_PaymentPerformance' }
-    ];
-
-    let passed = 0;
-    let failed = 0;
-
-    for (const test of tests) {
-      try {
-        const result = await this[test.method]();
-        if (result) {
-          passed++;
-        } else {
-          failed++;
-        }
-      } catch (error) {
-        await this.log(test.method, 'ERROR', { 
-          message: `Test crashed: ${error.message}`,
-          data: { error: error.stack }
-        });
-        failed++;
-      }
-    }
-
-    // Final Report
-    console.log('\\n💰 PAYMENT PROCESSING TEST RESULTS');
-    console.log('===================================');
-    console.log(`📊 Summary: {
-  totalTests: ${tests.length},
-  passed: ${passed},
-  failed: ${failed},
-  successRate: '${((passed / tests.length) * 100).toFixed(1)}%',
-  duration: '${((Date.now() - this.results.startTime) / 1000).toFixed(2)}s'
-}`);
-
-    if (this.results.payments.length > 0) {
-      const totalAmount = this.results.payments.reduce((sum, p) => {
-        return sum + parseFloat(p.amount.replace('R$ ', ''));
-      }, 0);
-      console.log(`💳 PIX Payments Generated: ${this.results.payments.length}`);
-      console.log(`💰 Total Amount Processed: R$ ${totalAmount.toFixed(2)}`);
-    }
-
-    if (this.results.transactions.length > 0) {
-      console.log(`🧾 Transactions Recorded: ${this.results.transactions.length}`);
-    }
-
-    console.log(`\\n🏁 Payment Test Suite ${failed === 0 ? 'PASSED' : 'FAILED'}`);
-    
-    return failed === 0;
-  }
+// PIX API amounts are decimal strings ("12.75")
+function toDecimalString(centavos) {
+  return `${Math.trunc(centavos / 100)}.${String(centavos % 100).padStart(2, '0')}`;
 }
 
-// Run the tests
-if (require.main === module) {
-  const tester = new PaymentProcessingTest();
-  tester.runAllTests()
-    .then(success => process.exit(success ? 0 : 1))
-    .catch(error => {
-      console.error('💥 Payment test suite crashed:', error);
-      process.exit(1);
-    });
+function generateReceiptQR(transaction) {
+  return `RECEIPT:${transaction.id}:${transaction.amount}:${transaction.timestamp}`;
 }
 
-module.exports = PaymentProcessingTest;
\ No newline at end of file
+async function simulatePaymentProcess(amount) {
+  const processingTime = Math.random() * 1000 + 500; // 500-1500ms
+  await sleep(processingTime);
+
+  return {
+    success: Math.random() > 0.05, // 95% success rate
+    amount,
+    processingTime
+  };
+}
+
+if (require.main === module) {
+  runCli([module.exports], process.argv.slice(2), { command: 'payment-processing-test.js' })
+    .then(code => process.exit(code));
+}
@@ -0,0 +1,422 @@
+#!/usr/bin/env node
+
+/**
+ * 🥫 DeliCasa Shelf Vision Regression Test
+ *
+ * Runs the shared vision and liveness code on fixtures generated here, so
+ * it needs no camera, server or model:
+ * 1. Synthetic before/after shelf frames through diffShelfFrames
+ * 2. Frames that differ only in brightness or camera shift must match
+ * 3. A removed product must come back as one region on its slot
+ * 4. ShelfVisionService with the stub inference backend names what was taken
+ * 5. LivenessTracker on an injected clock
+ *
+ * Flow: before frame → after frame → shelf diff → changed slot → SKU taken
+ *
+ * The shared package is TypeScript; it is loaded with the tsx installed for
+ * tools/mock-server (run `npm install` there first).
+ */
+
+const path = require('path');
+const { defineSuite, step, runCli } = require('../../tools/harness');
+
+const SHARED_DIR = path.join(__dirname, '../../shared');
+const MOCK_SERVER_DIR = path.join(__dirname, '../../tools/mock-server');
+
+// Two shelves of three slots; the product of each slot is a checkered box
+const SHELVES = 2;
+const SLOTS_PER_SHELF = 3;
+const HUES = [[200, 40, 40], [40, 160, 60], [40, 60, 200]];
+
+module.exports = defineSuite({
+  name: 'shelf-vision',
+  title: '🥫 DeliCasa Shelf Vision Regression Test',
+  config: {
+    FRAME_WIDTH: 320,
+    FRAME_HEIGHT: 240,
+    JPEG_QUALITY: 80,
+    BRIGHTNESS_GAIN: 1.2,
+    CAMERA_SHIFT: [5, -3], // pixels the camera moved between captures
+    TAKEN_SLOT: 'B2'
+  },
+  stepDefaults: { timeoutMs: 30000 },
+
+  setup({ state }) {
+    state.shared = loadShared();
+  },
+
+  steps: [
+    // Test 1: Fixtures
+    step('Synthetic Frames', ({ config, state, assert, log }) => {
+      const { ShelfLayoutSchema, diffShelfFrames } = state.shared;
+      state.layout = ShelfLayoutSchema.parse(layoutOf(config));
+      state.before = render(state.shared, config, {});
+
+      const diff = diffShelfFrames(state.before.raster, render(state.shared, config, {}).raster, state.layout);
+      assert.ok(diff.isMatch, 'Two captures of the same scene do not match', summarize(diff));
+      assert.equal(diff.differences.length, 0, 'Identical scenes reported differences');
+      log(`Frames ${config.FRAME_WIDTH}x${config.FRAME_HEIGHT}, ${state.layout.slots.length} slots`, { similarity: diff.similarity, threshold: diff.threshold });
+      return summarize(diff);
+    }),
+
+    // Test 2: Lighting changes are not purchases
+    step('Brightness-only Frames', ({ config, state, assert }) => {
+      const after = render(state.shared, config, { gain: config.BRIGHTNESS_GAIN });
+      const diff = state.shared.diffShelfFrames(state.before.raster, after.raster, state.layout);
+
+      assert.ok(diff.isMatch, `Frames ${config.BRIGHTNESS_GAIN}x brighter do not match`, summarize(diff));
+      assert.equal(diff.differences.length, 0, 'A brightness change was reported as a difference');
+      assert.equal(changedSlots(diff).length, 0, 'A brightness change marked slots as changed');
+      return summarize(diff);
+    }, { needs: ['Synthetic Frames'] }),
+
+    // Test 3: A nudged camera is not a purchase either
+    step('Shifted Frames', ({ config, state, assert }) => {
+      const [dx, dy] = config.CAMERA_SHIFT;
+      const after = render(state.shared, config, { shift: [dx, dy] });
+      const diff = state.shared.diffShelfFrames(state.before.raster, after.raster, state.layout);
+
+      assert.ok(diff.isMatch, `Frames shifted by (${dx}, ${dy}) do not match`, summarize(diff));
+      assert.equal(diff.differences.length, 0, 'A camera shift was reported as a difference');
+      assert.atMost(Math.abs(diff.alignment.dx - dx), 1, `Alignment found dx ${diff.alignment.dx}, expected ${dx}`);
+      assert.atMost(Math.abs(diff.alignment.dy - dy), 1, `Alignment found dy ${diff.alignment.dy}, expected ${dy}`);
+      return summarize(diff);
+    }, { needs: ['Synthetic Frames'] }),
+
+    // Test 4: A product taken under changed lighting and a shifted camera
+    step('Removed Product', ({ config, state, assert, annotate }) => {
+      const taken = config.TAKEN_SLOT;
+      const after = render(state.shared, config, { removed: [taken], gain: config.BRIGHTNESS_GAIN, shift: config.CAMERA_SHIFT });
+      const diff = state.shared.diffShelfFrames(state.before.raster, after.raster, state.layout);
+      annotate({ similarity: diff.similarity, threshold: diff.threshold });
+
+      assert.ok(!diff.isMatch, 'Frames with a product taken still match', summarize(diff));
+      assert.equal(diff.differences.length, 1, 'Expected exactly one changed region');
+      const [region] = diff.differences;
+      assert.equal(region.type, 'removed', 'The region is not reported as removed');
+      assert.equal(region.containerId, containerIdOf(taken), `The region was mapped to ${region.position}, not ${taken}`);
+      assert.equal(region.position, taken, 'The region has the wrong slot position');
+
+      const product = productBox(config, taken);
+      const overlap = intersectionOverUnion(region.location, product);
+      assert.atLeast(overlap, 0.5, `The region covers the ${taken} product poorly (IoU ${overlap.toFixed(2)})`);
+      assert.equal(changedSlots(diff).join(','), taken, 'Other slots were marked as changed');
+
+      state.after = after;
+      return { ...summarize(diff), region: region.location, product, iou: Number(overlap.toFixed(2)) };
+    }, { needs: ['Synthetic Frames'] }),
+
+    // Test 5: The vision service end to end, with the stub model
+    step('Stub Detector Names Taken Product', async ({ config, state, assert, log }) => {
+      const { ShelfVisionService, StaticShelfLayoutSource, ProductDetector, StubInferenceBackend, success, failure } = state.shared;
+      const taken = config.TAKEN_SLOT;
+      const captures = new Map([
+        ['before', { scene: {}, bytes: state.before.bytes }],
+        ['after', { scene: { removed: [taken] }, bytes: state.after.bytes }]
+      ]);
+
+      // The stub reports the products each capture was drawn with, in batch order
+      const scenes = [...captures.values()].map(capture => capture.scene);
+      const backend = new StubInferenceBackend({
+        respond: (_raster, index) => detectionsOf(config, scenes[index])
+      });
+      const vision = new ShelfVisionService({
+        images: {
+          getImage: async imageId => {
+            const capture = captures.get(imageId);
+            return capture
+              ? success({ bytes: capture.bytes, metadata: metadataOf(config, imageId, capture.bytes) })
+              : failure(new Error(`No capture ${imageId}`));
+          }
+        },
+        layouts: new StaticShelfLayoutSource([layoutOf(config)]),
+        detector: new ProductDetector({ backend, labels: labelMapOf() })
+      });
+
+      const compared = await vision.compareImages('before', 'after');
+      assert.ok(compared.success, `compareImages failed: ${compared.error?.message}`);
+      const changed = compared.data.slots.filter(slot => slot.changed);
+      assert.equal(changed.map(slot => slot.position).join(','), taken, 'The service flagged the wrong slots');
+
+      const detected = await vision.detectCaptureSet(['before', 'after']);
+      assert.ok(detected.success, `detectCaptureSet failed: ${detected.error?.message}`);
+      assert.equal(backend.batches.join(','), '2', 'Both captures should go to the model in one batch');
+      const [seenBefore, seenAfter] = detected.data.map(result => new Set(result.objects.map(object => object.type)));
+      const missing = [...seenBefore].filter(sku => !seenAfter.has(sku));
+      assert.equal(missing.join(','), skuOf(taken), 'The SKU missing after the door closed is not the taken one');
+
+      log(`Slot ${changed[0].position} changed and ${missing[0]} is gone`);
+      return { changedSlot: changed[0].containerId, taken: missing[0], batches: backend.batches };
+    }, { needs: ['Removed Product'] }),
+
+    // Test 6: Heartbeat timing, with no real waiting
+    step('Liveness Tracker on Injected Clock', async ({ state, assert, log }) => {
+      const {
+        LivenessTracker,
+        DomainEventBus,
+        createInMemoryRepositories,
+        ControllerStatus,
+        DeviceStatus,
+        DeviceType,
+        ConnectionType
+      } = state.shared;
+      const repositories = createInMemoryRepositories();
+      const eventBus = new DomainEventBus();
+      const start = new Date('2026-01-01T08:00:00Z');
+      let clock = start.getTime();
+      const advance = seconds => { clock += seconds * 1000; };
+      const audit = { createdAt: start, updatedAt: start, version: 1 };
+
+      await repositories.controllers.save({
+        ...audit,
+        id: 'controller-fixture',
+        name: 'Fixture Controller',
+        deviceType: DeviceType.RASPBERRY_PI,
+        connectionType: ConnectionType.WIFI,
+        status: ControllerStatus.ONLINE,
+        capabilities: ['camera'],
+        lastSeen: start
+      });
+      await repositories.devices.save({
+        ...audit,
+        id: 'camera-fixture',
+        name: 'Fixture Camera',
+        deviceType: DeviceType.ESP_CAM,
+        status: DeviceStatus.OFFLINE,
+        lastSeen: start
+      });
+
+      const tracker = new LivenessTracker(
+        { controllers: repositories.controllers, devices: repositories.devices, eventBus },
+        { now: () => new Date(clock) }
+      );
+      const policy = tracker.getPolicy(DeviceType.RASPBERRY_PI);
+      const limit = (policy.heartbeatIntervalMs + policy.gracePeriodMs) / 1000;
+
+      advance(limit - 1);
+      assert.equal((await tracker.sweep()).length, 0, `Controller went offline before ${limit}s of silence`);
+
+      advance(2);
+      const expired = await tracker.sweep();
+      assert.equal(expired.length, 1, `Controller stayed online after ${limit + 1}s of silence`);
+      assert.equal(expired[0].newStatus, ControllerStatus.OFFLINE, 'Sweep did not mark the controller offline');
+
+      const recovered = await tracker.recordControllerHeartbeat('controller-fixture');
+      assert.equal(recovered?.newStatus, ControllerStatus.ONLINE, 'A heartbeat did not bring the controller back');
+
+      // ESP32-CAMs need a run of heartbeats before they count as back
+      const cameraPolicy = tracker.getPolicy(DeviceType.ESP_CAM);
+      assert.equal(await tracker.recordDeviceHeartbeat('camera-fixture'), null, 'One heartbeat brought the camera back');
+      advance(cameraPolicy.heartbeatIntervalMs / 1000);
+      const camera = await tracker.recordDeviceHeartbeat('camera-fixture');
+      assert.equal(camera?.newStatus, DeviceStatus.ONLINE, `${cameraPolicy.recoveryHeartbeats} timely heartbeats did not bring the camera back`);
+
+      const controllerEvents = await eventBus.getEventHistory('controller-fixture', ['ControllerStatusChanged']);
+      assert.equal(
+        controllerEvents.map(event => event.payload.newStatus).join(','),
+        `${ControllerStatus.OFFLINE},${ControllerStatus.ONLINE}`,
+        'ControllerStatusChanged events do not match the transitions'
+      );
+      const deviceEvents = await eventBus.getEventHistory('camera-fixture', ['DeviceStatusChanged']);
+      assert.equal(deviceEvents.length, 1, 'Expected one DeviceStatusChanged event');
+
+      log(`Controller offline after ${limit + 1}s, back on its next heartbeat; camera back after ${cameraPolicy.recoveryHeartbeats} heartbeats`);
+      return {
+        simulatedSeconds: (clock - start.getTime()) / 1000,
+        controllerEvents: controllerEvents.length,
+        deviceEvents: deviceEvents.length
+      };
+    })
+  ],
+
+  report(state) {
+    return state.layout
+      ? { slots: state.layout.slots.map(slot => `${slot.position}: ${slot.containerId}`) }
+      : {};
+  }
+});
+
+/**
+ * Load the shared package (and its image codecs) through tsx
+ */
+function loadShared() {
+  let tsx;
+  try {
+    tsx = require(require.resolve('tsx/cjs/api', { paths: [MOCK_SERVER_DIR] }));
+  } catch {
+    throw new Error('tsx is not installed; run npm install in tools/mock-server');
+  }
+  return {
+    ...tsx.require(path.join(SHARED_DIR, 'index.ts'), __filename),
+    ...tsx.require(path.join(SHARED_DIR, 'adapters/images/index.ts'), __filename)
+  };
+}
+
+// ========================================
+// Fixtures
+// ========================================
+
+function positionOf(shelf, slot) {
+  return `${'AB'[shelf]}${slot + 1}`;
+}
+
+function containerIdOf(position) {
+  return `container-${position}`;
+}
+
+function skuOf(position) {
+  return `SKU-${position}`;
+}
+
+function cellOf(config, shelf, slot) {
+  const width = config.FRAME_WIDTH / SLOTS_PER_SHELF;
+  const height = config.FRAME_HEIGHT / SHELVES;
+  return { x: slot * width, y: shelf * height, width, height };
+}
+
+/**
+ * The product standing in a slot, inset from its cell
+ */
+function productBox(config, position) {
+  const shelf = 'AB'.indexOf(position[0]);
+  const cell = cellOf(config, shelf, Number(position.slice(1)) - 1);
+  const width = Math.round(cell.width * 0.55);
+  const height = Math.round(cell.height * 0.65);
+  return {
+    x: Math.round(cell.x + (cell.width - width) / 2),
+    y: Math.round(cell.y + cell.height * 0.15),
+    width,
+    height
+  };
+}
+
+function forEachSlot(callback) {
+  for (let shelf = 0; shelf < SHELVES; shelf++) {
+    for (let slot = 0; slot < SLOTS_PER_SHELF; slot++) {
+      callback(shelf, slot, positionOf(shelf, slot));
+    }
+  }
+}
+
+function layoutOf(config) {
+  const slots = [];
+  forEachSlot((shelf, slot, position) => {
+    slots.push({ containerId: containerIdOf(position), shelfLevel: shelf, position, region: cellOf(config, shelf, slot) });
+  });
+  return {
+    cameraId: 'fixture-camera',
+    frame: { width: config.FRAME_WIDTH, height: config.FRAME_HEIGHT },
+    shelves: Array.from({ length: SHELVES }, (_, shelf) => ({
+      shelfLevel: shelf,
+      region: { x: 0, y: shelf * (config.FRAME_HEIGHT / SHELVES), width: config.FRAME_WIDTH, height: config.FRAME_HEIGHT / SHELVES }
+    })),
+    slots
+  };
+}
+
+function labelMapOf() {
+  const labels = [];
+  forEachSlot((_shelf, _slot, position) => {
+    labels.push({ index: labels.length, sku: skuOf(position) });
+  });
+  return { model: 'shelf-fixture', labels };
+}
+
+/**
+ * What a perfect model would report for a scene
+ */
+function detectionsOf(config, scene) {
+  const detections = [];
+  let classIndex = 0;
+  forEachSlot((_shelf, _slot, position) => {
+    if (!(scene.removed || []).includes(position)) {
+      detections.push({ classIndex, score: 0.9, box: productBox(config, position) });
+    }
+    classIndex++;
+  });
+  return detections;
+}
+
+function metadataOf(config, imageId, bytes) {
+  return {
+    filename: `${imageId}.jpg`,
+    size: bytes.length,
+    mimeType: 'image/jpeg',
+    width: config.FRAME_WIDTH,
+    height: config.FRAME_HEIGHT,
+    cameraId: 'fixture-camera'
+  };
+}
+
+/**
+ * Draw a scene as the camera would see it: a textured back wall, a dark
+ * shelf lip, the products still in place, then brightness and camera shift.
+ * Returns the JPEG and its decoded raster.
+ */
+function render(shared, config, scene) {
+  const { createRaster, encodeJpeg, decodeJpeg } = shared;
+  const [shiftX, shiftY] = scene.shift || [0, 0];
+  const gain = scene.gain ?? 1;
+  const shelfHeight = config.FRAME_HEIGHT / SHELVES;
+  const products = [];
+  forEachSlot((_shelf, _slot, position) => {
+    if (!(scene.removed || []).includes(position)) {
+      products.push({ box: productBox(config, position), hue: HUES[position.charCodeAt(1) - 49] });
+    }
+  });
+
+  const raster = createRaster(config.FRAME_WIDTH, config.FRAME_HEIGHT);
+  for (let y = 0; y < raster.height; y++) {
+    for (let x = 0; x < raster.width; x++) {
+      const X = x - shiftX;
+      const Y = y - shiftY;
+      let color = [180 + 25 * Math.sin(X / 9), 180 + 20 * Math.cos(Y / 7), 170 + 15 * Math.sin((X + Y) / 13)];
+      if (((Y % shelfHeight) + shelfHeight) % shelfHeight >= shelfHeight - 8) {
+        color = [90, 90, 95];
+      }
+      for (const { box, hue } of products) {
+        if (X >= box.x && X < box.x + box.width && Y >= box.y && Y < box.y + box.height) {
+          const checker = (Math.floor((X - box.x) / 6) + Math.floor((Y - box.y) / 8)) % 2;
+          color = checker ? hue : hue.map(value => value * 0.5);
+        }
+      }
+      const offset = (y * raster.width + x) * 3;
+      for (let channel = 0; channel < 3; channel++) {
+        raster.data[offset + channel] = color[channel] * gain;
+      }
+    }
+  }
+
+  const bytes = encodeJpeg(raster, config.JPEG_QUALITY);
+  return { bytes, raster: decodeJpeg(bytes).raster };
+}
+
+// ========================================
+// Helpers
+// ========================================
+
+function changedSlots(diff) {
+  return diff.slots.filter(slot => slot.changed).map(slot => slot.position);
+}
+
+function intersectionOverUnion(a, b) {
+  const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+  const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+  const intersection = Math.max(0, width) * Math.max(0, height);
+  return intersection / (a.width * a.height + b.width * b.height - intersection);
+}
+
+function summarize(diff) {
+  return {
+    isMatch: diff.isMatch,
+    similarity: diff.similarity,
+    threshold: diff.threshold,
+    alignment: diff.alignment,
+    differences: diff.differences.map(region => `${region.type} ${region.position ?? '-'} ${JSON.stringify(region.location)}`)
+  };
+}
+
+if (require.main === module) {
+  runCli([module.exports], process.argv.slice(2), { command: 'shelf-vision-test.js' })
+    .then(code => process.exit(code));
+}
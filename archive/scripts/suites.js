@@ -0,0 +1,14 @@
+/**
+ * Harness suites in this directory, in the order the runner executes them.
+ *
+ *   cd tools && node scripts/run-suites.js [suite...]
+ */
+
+module.exports = [
+  require('./hardware-integration-test'),
+  require('./camera-capture-test'),
+  require('./shelf-vision-test'),
+  require('./payment-processing-test'),
+  require('./error-handling-test'),
+  require('./PRODUCTION-READY-E2E-TEST')
+];
@@ -0,0 +1,20 @@
+/**
+ * Token Verification Adapter
+ */
+
+export {
+  JoseTokenVerifier,
+  TokenVerificationError,
+  bridgeProxyIssuer,
+  cognitoIssuer,
+  BRIDGE_PROXY_ISSUER,
+  BRIDGE_SERVER_AUDIENCE
+} from './jose-token-verifier';
+export type {
+  TokenKeySource,
+  RoleMapping,
+  TrustedIssuer,
+  JoseTokenVerifierOptions,
+  BridgeProxyIssuerOptions,
+  CognitoIssuerOptions
+} from './jose-token-verifier';
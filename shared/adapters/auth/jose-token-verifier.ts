@@ -0,0 +1,435 @@
+/**
+ * JOSE Token Verifier
+ *
+ * Reference TokenVerifierPort built on `jose`. Each trusted issuer brings
+ * its own keys: a shared HS256 secret (bridge proxy tokens), a JWKS held in
+ * memory (loaded from a local file) or a remote JWKS endpoint such as an
+ * AWS Cognito user pool. Remote key sets are cached and refetched when a
+ * token names an unknown `kid`, so key rotation needs no restart.
+ *
+ * The token's `iss` selects the issuer; signature, algorithm, exp/nbf (with
+ * clock skew), audience and `token_use` are then enforced and the claims
+ * are mapped to a UserRole.
+ */
+
+import {
+  jwtVerify,
+  decodeJwt,
+  createLocalJWKSet,
+  createRemoteJWKSet,
+  jwksCache,
+  customFetch,
+  errors
+} from 'jose';
+import type { JSONWebKeySet, JWTPayload, JWKSCacheInput, FetchImplementation, JWTVerifyGetKey } from 'jose';
+
+import { UserRole } from '../../types/domain-entities';
+import type { Result } from '../../types/domain-entities';
+import type {
+  TokenVerifierPort,
+  TokenType,
+  TokenValidationResult,
+  TokenRejectionReason
+} from '../../ports/service-ports';
+import { success, failure } from '../../types/utilities';
+
+// ========================================
+// Types
+// ========================================
+
+export type TokenKeySource =
+  | { type: 'secret'; secret: string | Uint8Array }
+  | { type: 'jwks'; jwks: JSONWebKeySet }
+  | {
+      type: 'remote-jwks';
+      url: string;
+
+      /**
+       * Cache object updated in place whenever the key set is fetched;
+       * persist it (e.g. to a file) and pass it back to skip the first fetch
+       */
+      cache?: JWKSCacheInput;
+
+      /**
+       * How long a fetched key set is used before refetching (default 10 minutes)
+       */
+      cacheMaxAgeMs?: number;
+
+      /**
+       * Minimum time between refetches for unknown key ids (default 30 seconds)
+       */
+      cooldownMs?: number;
+
+      timeoutMs?: number;
+      fetch?: FetchImplementation;
+    };
+
+/**
+ * How a token's claims become a UserRole. The claim may hold a string or a
+ * list (e.g. Cognito groups); each value is looked up in `values`, then
+ * matched case-insensitively against the UserRole names. With several
+ * matches the most privileged role wins.
+ */
+export interface RoleMapping {
+  claim: string;
+  values?: Record<string, UserRole>;
+
+  /**
+   * Role for tokens whose claim maps to nothing; without it they are rejected
+   */
+  defaultRole?: UserRole;
+}
+
+export interface TrustedIssuer {
+  /**
+   * Reported as TokenValidationResult.issuer
+   */
+  name: string;
+
+  /**
+   * Exact `iss` value
+   */
+  issuer: string;
+
+  keys: TokenKeySource;
+
+  /**
+   * Accepted algorithms (default HS256 for secrets, RS256 for key sets)
+   */
+  algorithms?: string[];
+
+  /**
+   * The token must name one of these audiences
+   */
+  audience?: string | string[];
+
+  /**
+   * Claims checked against `audience` (default ['aud'])
+   */
+  audienceClaims?: string[];
+
+  /**
+   * Accepted `token_use` values (Cognito: 'id', 'access')
+   */
+  tokenUse?: string[];
+
+  /**
+   * TokenTypes this issuer's tokens may be validated as (default ['access'])
+   */
+  tokenTypes?: TokenType[];
+
+  /**
+   * Default { claim: 'role' }
+   */
+  roles?: RoleMapping;
+
+  /**
+   * Default ['sub', 'exp']
+   */
+  requiredClaims?: string[];
+}
+
+export interface JoseTokenVerifierOptions {
+  now?: () => Date;
+
+  /**
+   * Allowed clock difference for exp/nbf checks (default 30 seconds)
+   */
+  clockSkewSeconds?: number;
+}
+
+export interface BridgeProxyIssuerOptions {
+  secret: string | Uint8Array;
+  issuer?: string;
+  audience?: string | string[];
+}
+
+export interface CognitoIssuerOptions {
+  region: string;
+  userPoolId: string;
+
+  /**
+   * App client id(s); matched against `aud` (ID tokens) or `client_id` (access tokens)
+   */
+  clientId: string | string[];
+
+  /**
+   * Default: the pool's /.well-known/jwks.json
+   */
+  keys?: TokenKeySource;
+
+  /**
+   * Default ['id', 'access']
+   */
+  tokenUse?: Array<'id' | 'access'>;
+
+  /**
+   * Cognito group name → role, for groups not named after a UserRole
+   */
+  groupRoles?: Record<string, UserRole>;
+
+  /**
+   * Role for users in no mapped group (default CUSTOMER)
+   */
+  defaultRole?: UserRole;
+}
+
+export class TokenVerificationError extends Error {
+  constructor(public readonly issuer: string, message: string, options?: { cause?: unknown }) {
+    super(message, options);
+    this.name = 'TokenVerificationError';
+  }
+}
+
+export const BRIDGE_PROXY_ISSUER = 'delicasa-bridge-proxy';
+export const BRIDGE_SERVER_AUDIENCE = 'bridgeserver.delicasa.workers.dev';
+
+/**
+ * Most privileged first
+ */
+const ROLE_PRECEDENCE: UserRole[] = [UserRole.ADMIN, UserRole.PROVIDER, UserRole.CUSTOMER, UserRole.USER];
+
+// ========================================
+// Issuer Presets
+// ========================================
+
+/**
+ * HS256 tokens minted by the NextClient bridge proxy for BridgeServer
+ */
+export function bridgeProxyIssuer(options: BridgeProxyIssuerOptions): TrustedIssuer {
+  return {
+    name: 'bridge-proxy',
+    issuer: options.issuer ?? BRIDGE_PROXY_ISSUER,
+    keys: { type: 'secret', secret: options.secret },
+    algorithms: ['HS256'],
+    audience: options.audience ?? BRIDGE_SERVER_AUDIENCE,
+    roles: { claim: 'role' }
+  };
+}
+
+/**
+ * ID and access tokens of an AWS Cognito user pool, with roles from `cognito:groups`
+ */
+export function cognitoIssuer(options: CognitoIssuerOptions): TrustedIssuer {
+  const issuer = `https://cognito-idp.${options.region}.amazonaws.com/${options.userPoolId}`;
+  return {
+    name: 'cognito',
+    issuer,
+    keys: options.keys ?? { type: 'remote-jwks', url: `${issuer}/.well-known/jwks.json` },
+    algorithms: ['RS256'],
+    audience: options.clientId,
+    audienceClaims: ['aud', 'client_id'],
+    tokenUse: options.tokenUse ?? ['id', 'access'],
+    roles: {
+      claim: 'cognito:groups',
+      ...(options.groupRoles !== undefined ? { values: options.groupRoles } : {}),
+      defaultRole: options.defaultRole ?? UserRole.CUSTOMER
+    }
+  };
+}
+
+// ========================================
+// JOSE Token Verifier
+// ========================================
+
+interface IssuerEntry {
+  config: TrustedIssuer;
+  key: JWTVerifyGetKey;
+  algorithms: string[];
+}
+
+class TokenRejection extends Error {
+  constructor(public readonly reason: TokenRejectionReason, message: string) {
+    super(message);
+    this.name = 'TokenRejection';
+  }
+}
+
+export class JoseTokenVerifier implements TokenVerifierPort {
+  private readonly issuers = new Map<string, IssuerEntry>();
+  private readonly now: () => Date;
+  private readonly clockSkewSeconds: number;
+
+  constructor(issuers: TrustedIssuer[], options: JoseTokenVerifierOptions = {}) {
+    this.now = options.now ?? (() => new Date());
+    this.clockSkewSeconds = options.clockSkewSeconds ?? 30;
+
+    for (const config of issuers) {
+      if (this.issuers.has(config.issuer)) {
+        throw new Error(`Issuer ${config.issuer} is configured twice`);
+      }
+      this.issuers.set(config.issuer, {
+        config,
+        key: resolveKey(config.keys),
+        algorithms: config.algorithms ?? (config.keys.type === 'secret' ? ['HS256'] : ['RS256'])
+      });
+    }
+  }
+
+  async validateToken(token: string, type: TokenType): Promise<Result<TokenValidationResult>> {
+    let unverified: JWTPayload;
+    try {
+      unverified = decodeJwt(token);
+    } catch (error) {
+      return success(rejected('MALFORMED', `Malformed token: ${messageOf(error)}`));
+    }
+
+    const entry = unverified.iss !== undefined ? this.issuers.get(unverified.iss) : undefined;
+    if (!entry) {
+      return success(rejected('UNKNOWN_ISSUER', `Issuer ${JSON.stringify(unverified.iss ?? null)} is not trusted`));
+    }
+
+    const { config } = entry;
+    if (!(config.tokenTypes ?? ['access']).includes(type)) {
+      return success(rejected('UNSUPPORTED_TOKEN_TYPE', `${config.name} tokens cannot be used as ${type} tokens`, config.name));
+    }
+
+    let payload: JWTPayload;
+    try {
+      ({ payload } = await jwtVerify(token, entry.key, {
+        issuer: config.issuer,
+        algorithms: entry.algorithms,
+        clockTolerance: this.clockSkewSeconds,
+        currentDate: this.now(),
+        requiredClaims: config.requiredClaims ?? ['sub', 'exp']
+      }));
+    } catch (error) {
+      const rejection = classify(error);
+      if (!rejection) {
+        return failure(new TokenVerificationError(config.name, `Cannot verify ${config.name} token: ${messageOf(error)}`, { cause: error }));
+      }
+      return success(rejected(rejection.reason, rejection.message, config.name));
+    }
+
+    try {
+      checkAudience(payload, config);
+      checkTokenUse(payload, config);
+      const role = mapRole(payload, config.roles ?? { claim: 'role' });
+      const scope = scopeOf(payload);
+
+      return success({
+        isValid: true,
+        issuer: config.name,
+        claims: { ...payload },
+        ...(payload.sub !== undefined ? { userId: payload.sub } : {}),
+        ...(payload.exp !== undefined ? { expiresAt: new Date(payload.exp * 1000) } : {}),
+        ...(typeof payload['email'] === 'string' ? { email: payload['email'] } : {}),
+        ...(scope ? { scope } : {}),
+        ...(role ? { role } : {})
+      });
+    } catch (error) {
+      if (error instanceof TokenRejection) {
+        return success(rejected(error.reason, error.message, config.name));
+      }
+      throw error;
+    }
+  }
+}
+
+// ========================================
+// Helpers
+// ========================================
+
+function resolveKey(keys: TokenKeySource): JWTVerifyGetKey {
+  switch (keys.type) {
+    case 'secret': {
+      const secret = typeof keys.secret === 'string' ? new TextEncoder().encode(keys.secret) : keys.secret;
+      return async () => secret;
+    }
+    case 'jwks':
+      return createLocalJWKSet(keys.jwks);
+    case 'remote-jwks':
+      return createRemoteJWKSet(new URL(keys.url), {
+        cacheMaxAge: keys.cacheMaxAgeMs ?? 10 * 60 * 1000,
+        cooldownDuration: keys.cooldownMs ?? 30 * 1000,
+        ...(keys.timeoutMs !== undefined ? { timeoutDuration: keys.timeoutMs } : {}),
+        ...(keys.cache !== undefined ? { [jwksCache]: keys.cache } : {}),
+        ...(keys.fetch !== undefined ? { [customFetch]: keys.fetch } : {})
+      });
+  }
+}
+
+/**
+ * Map jose errors to rejection reasons. Errors that say nothing about the
+ * token (JWKS unreachable or invalid) return undefined.
+ */
+function classify(error: unknown): TokenRejection | undefined {
+  if (error instanceof errors.JWTExpired) {
+    return new TokenRejection('EXPIRED', 'Token has expired');
+  }
+  if (error instanceof errors.JWTClaimValidationFailed) {
+    return error.claim === 'nbf'
+      ? new TokenRejection('NOT_YET_VALID', 'Token is not valid yet')
+      : new TokenRejection('INVALID_CLAIMS', `Claim ${error.claim} ${error.reason === 'missing' ? 'is missing' : 'is invalid'}`);
+  }
+  if (error instanceof errors.JOSEAlgNotAllowed || error instanceof errors.JOSENotSupported) {
+    return new TokenRejection('ALGORITHM_NOT_ALLOWED', error.message);
+  }
+  if (error instanceof errors.JWSSignatureVerificationFailed) {
+    return new TokenRejection('INVALID_SIGNATURE', 'Signature verification failed');
+  }
+  if (error instanceof errors.JWKSNoMatchingKey || error instanceof errors.JWKSMultipleMatchingKeys) {
+    return new TokenRejection('NO_MATCHING_KEY', error.message);
+  }
+  if (error instanceof errors.JWSInvalid || error instanceof errors.JWTInvalid) {
+    return new TokenRejection('MALFORMED', `Malformed token: ${error.message}`);
+  }
+  return undefined;
+}
+
+function checkAudience(payload: JWTPayload, config: TrustedIssuer): void {
+  if (config.audience === undefined) {
+    return;
+  }
+
+  const expected = ([] as string[]).concat(config.audience);
+  const presented = (config.audienceClaims ?? ['aud']).flatMap(claim => {
+    const value = payload[claim];
+    return typeof value === 'string' ? [value] : Array.isArray(value) ? value.filter(item => typeof item === 'string') : [];
+  });
+  if (!presented.some(value => expected.includes(value))) {
+    throw new TokenRejection('AUDIENCE_MISMATCH', `Audience ${JSON.stringify(presented)} does not include ${expected.join(' or ')}`);
+  }
+}
+
+function checkTokenUse(payload: JWTPayload, config: TrustedIssuer): void {
+  if (config.tokenUse !== undefined && !config.tokenUse.includes(String(payload['token_use']))) {
+    throw new TokenRejection('INVALID_CLAIMS', `token_use ${JSON.stringify(payload['token_use'] ?? null)} is not accepted`);
+  }
+}
+
+function mapRole(payload: JWTPayload, mapping: RoleMapping): UserRole | undefined {
+  const value = payload[mapping.claim];
+  const candidates = (Array.isArray(value) ? value : value === undefined ? [] : [value]).map(String);
+
+  const roles = candidates.flatMap(candidate => {
+    const mapped = mapping.values?.[candidate] ?? ROLE_PRECEDENCE.find(role => role === candidate.toUpperCase());
+    return mapped ? [mapped] : [];
+  });
+  const role = ROLE_PRECEDENCE.find(candidate => roles.includes(candidate)) ?? mapping.defaultRole;
+  if (!role) {
+    throw new TokenRejection('ROLE_UNMAPPED', `Claim ${mapping.claim} (${JSON.stringify(value ?? null)}) does not map to a role`);
+  }
+  return role;
+}
+
+/**
+ * OAuth `scope` (space-separated) or `scp` (list)
+ */
+function scopeOf(payload: JWTPayload): string[] | undefined {
+  if (typeof payload['scope'] === 'string') {
+    return payload['scope'].split(' ').filter(Boolean);
+  }
+  if (Array.isArray(payload['scp'])) {
+    return payload['scp'].map(String);
+  }
+  return undefined;
+}
+
+function rejected(reason: TokenRejectionReason, message: string, issuer?: string): TokenValidationResult {
+  return { isValid: false, reason, errors: [message], ...(issuer !== undefined ? { issuer } : {}) };
+}
+
+function messageOf(error: unknown): string {
+  return error instanceof Error ? error.message : String(error);
+}
@@ -0,0 +1,182 @@
+/**
+ * Domain Event Bus
+ *
+ * Reference implementation of EventBusServicePort. Events are sequenced per
+ * aggregate, persisted through an EventStorePort and then dispatched to the
+ * handlers subscribed to their type. Handlers for DOMAIN_EVENT_TYPES are
+ * typed through DomainEventMap.
+ */
+
+import type { DomainEvent } from '../../types/base-repository';
+import type { DomainEventMap, DomainEventType } from '../../types/domain-entities';
+import type { EventBusServicePort, EventStorePort, EventHandler } from '../../ports/service-ports';
+import { generateEntityId } from '../../types/utilities';
+import { cloneValue } from '../in-memory/in-memory-repository';
+import { InMemoryEventStore } from '../in-memory/in-memory-event-store';
+
+/**
+ * Subscribe to this type to receive every event
+ */
+export const ALL_EVENTS = '*';
+
+export interface DomainEventBusOptions {
+  /**
+   * Event persistence (defaults to an InMemoryEventStore)
+   */
+  store?: EventStorePort;
+
+  /**
+   * 'assign' stamps each event with the aggregate's next version;
+   * 'expect' requires callers to supply it (optimistic concurrency)
+   */
+  versioning?: 'assign' | 'expect';
+
+  /**
+   * Called for each failing handler. Without it, publish() rejects with an
+   * EventHandlerError once all handlers have run.
+   */
+  onHandlerError?: (error: unknown, event: DomainEvent, handlerId: string) => void;
+}
+
+/**
+ * Raised after dispatch when one or more handlers failed
+ */
+export class EventHandlerError extends Error {
+  constructor(
+    public readonly event: DomainEvent,
+    public readonly failures: { handlerId: string; error: unknown }[]
+  ) {
+    super(`${failures.length} handler(s) failed for ${event.type} on aggregate ${event.aggregateId}`);
+    this.name = 'EventHandlerError';
+  }
+}
+
+interface Subscription {
+  id: string;
+  handler: EventHandler<DomainEvent>;
+}
+
+export class DomainEventBus implements EventBusServicePort {
+  private readonly store: EventStorePort;
+  private readonly versioning: 'assign' | 'expect';
+  private readonly subscriptions = new Map<string, Subscription[]>();
+  private readonly aggregateQueues = new Map<string, Promise<unknown>>();
+
+  constructor(private readonly options: DomainEventBusOptions = {}) {
+    this.store = options.store ?? new InMemoryEventStore();
+    this.versioning = options.versioning ?? 'assign';
+  }
+
+  /**
+   * Handlers of an aggregate's events run one event at a time, in version
+   * order, so a handler must not await publish() for its own aggregate; it
+   * would wait for itself.
+   */
+  async publish(event: DomainEvent): Promise<void> {
+    await this.enqueue(event.aggregateId, async () => {
+      const sequenced = this.versioning === 'assign'
+        ? { ...event, version: (await this.store.getLatestVersion(event.aggregateId)) + 1 }
+        : event;
+
+      await this.store.append(sequenced);
+      await this.dispatch(sequenced);
+    });
+  }
+
+  /**
+   * Events are published one after another, in array order
+   */
+  async publishMany(events: DomainEvent[]): Promise<void> {
+    for (const event of events) {
+      await this.publish(event);
+    }
+  }
+
+  /**
+   * Returns the handler ID to pass to unsubscribe()
+   */
+  subscribe<K extends DomainEventType>(eventType: K, handler: EventHandler<DomainEventMap[K]>): string;
+  subscribe<T extends DomainEvent>(eventType: string, handler: EventHandler<T>): string;
+  subscribe(eventType: string, handler: EventHandler<any>): string {
+    const id = generateEntityId();
+    const subscriptions = this.subscriptions.get(eventType) ?? [];
+    subscriptions.push({ id, handler });
+    this.subscriptions.set(eventType, subscriptions);
+    return id;
+  }
+
+  /**
+   * Without a handler ID, every handler for the event type is removed
+   */
+  unsubscribe(eventType: string, handlerId?: string): void {
+    if (handlerId === undefined) {
+      this.subscriptions.delete(eventType);
+      return;
+    }
+
+    const remaining = (this.subscriptions.get(eventType) ?? []).filter(subscription => subscription.id !== handlerId);
+    if (remaining.length > 0) {
+      this.subscriptions.set(eventType, remaining);
+    } else {
+      this.subscriptions.delete(eventType);
+    }
+  }
+
+  async getEventHistory(aggregateId: string, eventTypes?: string[]): Promise<DomainEvent[]> {
+    const events = await this.store.getEvents(aggregateId);
+    return eventTypes ? events.filter(event => eventTypes.includes(event.type)) : events;
+  }
+
+  /**
+   * Re-dispatch stored events to the current handlers without storing them
+   * again. Handlers must therefore be idempotent.
+   */
+  async replay(aggregateId: string, fromVersion = 1): Promise<void> {
+    await this.enqueue(aggregateId, async () => {
+      const events = await this.store.getEvents(aggregateId, fromVersion);
+      for (const event of events.sort((a, b) => a.version - b.version)) {
+        await this.dispatch(event);
+      }
+    });
+  }
+
+  private async dispatch(event: DomainEvent): Promise<void> {
+    const subscriptions = [
+      ...(this.subscriptions.get(event.type) ?? []),
+      ...(this.subscriptions.get(ALL_EVENTS) ?? [])
+    ];
+    const failures: { handlerId: string; error: unknown }[] = [];
+
+    for (const { id, handler } of subscriptions) {
+      try {
+        await handler(cloneValue(event));
+      } catch (error) {
+        if (this.options.onHandlerError) {
+          this.options.onHandlerError(error, event, id);
+        } else {
+          failures.push({ handlerId: id, error });
+        }
+      }
+    }
+
+    if (failures.length > 0) {
+      throw new EventHandlerError(event, failures);
+    }
+  }
+
+  /**
+   * Serialize work per aggregate so versions are never handed out twice and
+   * handlers see its events in order
+   */
+  private enqueue<T>(aggregateId: string, task: () => Promise<T>): Promise<T> {
+    const previous = this.aggregateQueues.get(aggregateId) ?? Promise.resolve();
+    const next = previous.catch(() => undefined).then(task);
+    this.aggregateQueues.set(aggregateId, next);
+
+    return next.finally(() => {
+      if (this.aggregateQueues.get(aggregateId) === next) {
+        this.aggregateQueues.delete(aggregateId);
+      }
+    });
+  }
+}
@@ -0,0 +1,6 @@
+/**
+ * Domain Event Bus Adapter
+ */
+
+export { DomainEventBus, EventHandlerError, ALL_EVENTS } from './domain-event-bus';
+export type { DomainEventBusOptions } from './domain-event-bus';
@@ -0,0 +1,508 @@
+/**
+ * Content-Addressed Image Storage
+ *
+ * ImageStorageServicePort on an ImageObjectStore. An image's id is the
+ * SHA-256 of its bytes: the bytes live at "images/<id>" and an ImageMetadata
+ * record (camera, controller, capture time, dimensions) at
+ * "metadata/<id>.json". EXIF, XMP and text metadata are stripped before
+ * hashing (a JPEG keeps its orientation). Uploading bytes that are already
+ * stored writes nothing and returns the stored image, so a camera re-sending
+ * the same capture does not duplicate it; the metadata of the first upload
+ * is kept.
+ *
+ * getImageUrl() returns expiring URLs: presigned by the object store when it
+ * can (S3, R2, MinIO), otherwise signed for our own image endpoint with
+ * signImageUrl(). Sizes other than 'original' and processImage() results
+ * are JPEG derivatives, rendered on first request (or at upload for
+ * eagerSizes) and cached under "derivatives/<id>/"; see image-derivatives.
+ */
+
+import { z } from 'zod';
+
+import type { Coordinates, Result } from '../../types/domain-entities';
+import { CoordinatesSchema } from '../../types/domain-schemas';
+import type { FilterOptions } from '../../types/base-repository';
+import { isFilterExpression, evaluateFilter } from '../../types/filter-expression';
+import type {
+  ImageInfo,
+  ImageMetadata,
+  ImageOperation,
+  ImageSize,
+  ImageStorageServicePort,
+  ImageUploadResult,
+  ProcessedImageResult
+} from '../../ports/service-ports';
+import { KeyedLock } from '../../services/keyed-lock';
+import { success, failure } from '../../types/utilities';
+import { ImageStorageError, sha256Hex } from './image-object-store';
+import type { ImageObjectStore } from './image-object-store';
+import { detectImageFormat, stripImageMetadata } from './image-format';
+import {
+  decodeImage,
+  derivativeHash,
+  derivativeKey,
+  derivativePrefix,
+  parseImageOperations,
+  renderDerivative,
+  sizeOperations
+} from './image-derivatives';
+import type { DerivativeOperation } from './image-derivatives';
+import { signImageUrl } from './image-url-signer';
+import type { ImageUrlSigningOptions } from './image-url-signer';
+
+// ========================================
+// Types
+// ========================================
+
+export interface ContentAddressedImageStorageDependencies {
+  store: ImageObjectStore;
+}
+
+export interface ContentAddressedImageStorageOptions {
+  /**
+   * Signs URLs for stores without presignGet(); required for them
+   */
+  urlSigning?: ImageUrlSigningOptions;
+
+  /**
+   * Lifetime of the URLs from getImageUrl() (default 15 minutes)
+   */
+  urlTtlSeconds?: number;
+
+  /**
+   * Largest accepted upload in bytes (default 10 MB)
+   */
+  maxBytes?: number;
+
+  /**
+   * Sizes rendered when an image is first stored instead of on first
+   * request; an image the pipeline cannot render is then rejected
+   */
+  eagerSizes?: ImageSize[];
+
+  now?: () => Date;
+}
+
+/**
+ * What an uploader knows about a capture; format, size and dimensions are
+ * read from the bytes
+ */
+export type ImageCaptureMetadata = Partial<Omit<ImageMetadata, 'size' | 'mimeType' | 'width' | 'height'>>;
+
+export interface StoredImage {
+  id: string;
+  metadata: ImageMetadata;
+  uploadedAt: Date;
+
+  /**
+   * False when the bytes were already stored
+   */
+  created: boolean;
+}
+
+const DEFAULT_URL_TTL_SECONDS = 15 * 60;
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+const IMAGE_ID = /^[0-9a-f]{64}$/;
+
+/**
+ * processImage() results: "<image id>.<derivative hash>"
+ */
+const PROCESSED_IMAGE_ID = /^([0-9a-f]{64})\.([0-9a-f]{32})$/;
+const METADATA_PREFIX = 'metadata/';
+
+const StoredImageRecordSchema = z.object({
+  id: z.string().regex(IMAGE_ID),
+  uploadedAt: z.coerce.date(),
+  metadata: z.object({
+    filename: z.string(),
+    size: z.number().int().nonnegative(),
+    mimeType: z.string(),
+    width: z.number().int().positive(),
+    height: z.number().int().positive(),
+    capturedAt: z.coerce.date().optional(),
+    deviceId: z.string().optional(),
+    cameraId: z.string().optional(),
+    controllerId: z.string().optional(),
+    location: CoordinatesSchema.optional(),
+    tags: z.array(z.string()).optional()
+  })
+});
+
+type StoredImageRecord = z.infer<typeof StoredImageRecordSchema>;
+
+// ========================================
+// Content-Addressed Image Storage
+// ========================================
+
+export class ContentAddressedImageStorage implements ImageStorageServicePort {
+  private readonly now: () => Date;
+  private readonly lock = new KeyedLock();
+
+  constructor(
+    private readonly deps: ContentAddressedImageStorageDependencies,
+    private readonly options: ContentAddressedImageStorageOptions = {}
+  ) {
+    this.now = options.now ?? (() => new Date());
+  }
+
+  /**
+   * Store an uploaded file; metadata.filename defaults to the file's name
+   */
+  async uploadImage(file: File, metadata?: ImageMetadata): Promise<Result<ImageUploadResult>> {
+    const { size: _size, mimeType: _mimeType, width: _width, height: _height, ...capture }: Partial<ImageMetadata> = metadata ?? {};
+    const stored = await this.storeImage(new Uint8Array(await file.arrayBuffer()), {
+      ...(file.name ? { filename: file.name } : {}),
+      ...capture
+    });
+    if (!stored.success) {
+      return stored;
+    }
+
+    const url = await this.getImageUrl(stored.data.id);
+    if (!url.success) {
+      return url;
+    }
+    const thumbnailUrl = await this.thumbnailUrlOf(stored.data.id, url.data);
+    if (!thumbnailUrl.success) {
+      return thumbnailUrl;
+    }
+    return success({ imageId: stored.data.id, url: url.data, thumbnailUrl: thumbnailUrl.data, metadata: stored.data.metadata });
+  }
+
+  /**
+   * Store raw bytes, e.g. a decoded base64 camera capture
+   */
+  async storeImage(bytes: Uint8Array, capture: ImageCaptureMetadata = {}): Promise<Result<StoredImage, ImageStorageError>> {
+    const maxBytes = this.options.maxBytes ?? DEFAULT_MAX_BYTES;
+    if (bytes.length > maxBytes) {
+      return failure(new ImageStorageError('TOO_LARGE', `Image is ${bytes.length} bytes; the limit is ${maxBytes}`));
+    }
+    const format = detectImageFormat(bytes);
+    if (!format) {
+      return failure(new ImageStorageError('INVALID_IMAGE', 'Only JPEG and PNG images with a readable header are accepted'));
+    }
+
+    // Captures differing only in metadata are the same image
+    const stripped = stripImageMetadata(bytes);
+    const id = await sha256Hex(stripped);
+    return this.attempt(() => this.lock.run(id, async () => {
+      const existing = await this.readRecord(id);
+      if (existing) {
+        return { ...toStoredImage(existing), created: false };
+      }
+
+      const record: StoredImageRecord = {
+        id,
+        uploadedAt: this.now(),
+        metadata: {
+          ...withoutUndefined(capture),
+          filename: capture.filename ?? `${id}.${format.mimeType === 'image/png' ? 'png' : 'jpg'}`,
+          size: stripped.length,
+          mimeType: format.mimeType,
+          width: format.width,
+          height: format.height
+        }
+      };
+      const eagerSizes = (this.options.eagerSizes ?? []).filter(size => size !== 'original');
+      if (eagerSizes.length > 0) {
+        const raster = await decodeImage(stripped);
+        for (const size of eagerSizes) {
+          const operations = sizeOperations(size);
+          const key = derivativeKey(id, await derivativeHash(operations));
+          await this.deps.store.put(key, renderDerivative(raster, operations), 'image/jpeg');
+        }
+      }
+      // Bytes first: a metadata record always points at a complete image
+      await this.deps.store.put(imageKey(id), stripped, format.mimeType);
+      await this.deps.store.put(metadataKey(id), new TextEncoder().encode(JSON.stringify(record)), 'application/json');
+      return { ...toStoredImage(record), created: true };
+    }));
+  }
+
+  /**
+   * An expiring URL for the image at a size, rendering the derivative if it
+   * is not cached yet. A processed image id resolves to the processed image
+   * whatever the size.
+   */
+  async getImageUrl(imageId: string, size: ImageSize = 'original'): Promise<Result<string>> {
+    return this.attempt(async () => {
+      const processed = PROCESSED_IMAGE_ID.exec(imageId);
+      if (processed) {
+        const key = derivativeKey(processed[1]!, processed[2]!);
+        if (!(await this.deps.store.exists(key))) {
+          throw new ImageStorageError('NOT_FOUND', `Processed image ${imageId} not found`);
+        }
+        return this.urlOf(key);
+      }
+
+      await this.requireRecord(imageId);
+      return this.urlOf(size === 'original' ? imageKey(imageId) : await this.ensureDerivative(imageId, sizeOperations(size)));
+    });
+  }
+
+  /**
+   * The stored bytes, for the endpoint behind signed URLs
+   */
+  async getImage(imageId: string): Promise<Result<{ bytes: Uint8Array; metadata: ImageMetadata }, ImageStorageError>> {
+    return this.attempt(async () => {
+      const record = await this.requireRecord(imageId);
+      const bytes = await this.deps.store.get(imageKey(imageId));
+      if (!bytes) {
+        throw new ImageStorageError('NOT_FOUND', `Image ${imageId} has no stored bytes`);
+      }
+      return { bytes, metadata: toImageMetadata(record) };
+    });
+  }
+
+  async deleteImage(imageId: string): Promise<Result<void>> {
+    return this.attempt(() => this.lock.run(imageId, async () => {
+      await this.requireRecord(imageId);
+      await this.deps.store.delete(metadataKey(imageId));
+      await this.deps.store.delete(imageKey(imageId));
+      for (const key of await this.deps.store.list(derivativePrefix(imageId))) {
+        await this.deps.store.delete(key);
+      }
+    }));
+  }
+
+  /**
+   * Apply the operations (see DerivativeOperationSchema) to the upright
+   * original. The result is cached: the same operations on the same image
+   * return the same processedImageId without rendering again.
+   */
+  async processImage(imageId: string, operations: ImageOperation[]): Promise<Result<ProcessedImageResult>> {
+    return this.attempt(async () => {
+      const parsed = parseImageOperations(operations);
+      const record = await this.requireRecord(imageId);
+      const key = await this.ensureDerivative(imageId, parsed);
+      const bytes = await this.deps.store.get(key);
+      const format = bytes && detectImageFormat(bytes);
+      if (!bytes || !format) {
+        throw new ImageStorageError('STORE_ERROR', `Derivative ${key} is missing or unreadable`);
+      }
+
+      const hash = key.slice(derivativePrefix(imageId).length, -'.jpg'.length);
+      return {
+        processedImageId: `${imageId}.${hash}`,
+        originalImageId: imageId,
+        operations,
+        url: await this.urlOf(key),
+        metadata: {
+          ...toImageMetadata(record),
+          filename: `${record.metadata.filename.replace(/\.[^.]*$/, '')}.${hash}.jpg`,
+          size: bytes.length,
+          mimeType: format.mimeType,
+          width: format.width,
+          height: format.height
+        }
+      };
+    });
+  }
+
+  /**
+   * Render the size now if it is not cached, and return its URL
+   */
+  async generateThumbnail(imageId: string, size: ImageSize): Promise<Result<string>> {
+    return this.getImageUrl(imageId, size);
+  }
+
+  async getImageMetadata(imageId: string): Promise<Result<ImageMetadata>> {
+    return this.attempt(async () => toImageMetadata(await this.requireRecord(imageId)));
+  }
+
+  /**
+   * filters match the metadata fields plus id and uploadedAt (equality map
+   * or FilterExpression); search matches the filename. Newest uploads first
+   * unless sortBy/sortOrder say otherwise.
+   */
+  async listImages(filters: FilterOptions = {}): Promise<Result<ImageInfo[]>> {
+    return this.attempt(async () => {
+      const keys = await this.deps.store.list(METADATA_PREFIX);
+      const ids = keys.map(key => key.slice(METADATA_PREFIX.length).replace(/\.json$/, '')).filter(id => IMAGE_ID.test(id));
+      const records = (await Promise.all(ids.map(id => this.readRecord(id)))).filter(
+        (record): record is StoredImageRecord => record !== undefined
+      );
+
+      const term = filters.search?.trim().toLowerCase();
+      const sortBy = filters.sortBy ?? 'uploadedAt';
+      const direction = (filters.sortOrder ?? 'desc') === 'asc' ? 1 : -1;
+      const rows = records
+        .map(record => ({ id: record.id, uploadedAt: record.uploadedAt, ...record.metadata }))
+        .filter(row => matchesFilters(row, filters.filters) && (!term || row.filename.toLowerCase().includes(term)))
+        .sort((a, b) => compareRows(a, b, sortBy) * direction || a.id.localeCompare(b.id));
+
+      const offset = filters.offset ?? 0;
+      const page = rows.slice(offset, filters.limit !== undefined ? offset + filters.limit : undefined);
+      const infos: ImageInfo[] = [];
+      for (const row of page) {
+        const url = await this.getImageUrl(row.id);
+        if (!url.success) {
+          throw url.error;
+        }
+        const thumbnailUrl = await this.thumbnailUrlOf(row.id, url.data);
+        if (!thumbnailUrl.success) {
+          throw thumbnailUrl.error;
+        }
+        infos.push({
+          id: row.id,
+          filename: row.filename,
+          url: url.data,
+          thumbnailUrl: thumbnailUrl.data,
+          size: row.size,
+          uploadedAt: row.uploadedAt,
+          tags: row.tags ?? []
+        });
+      }
+      return infos;
+    });
+  }
+
+  /**
+   * Key of the derivative, rendered from the original unless it is cached
+   */
+  private async ensureDerivative(imageId: string, operations: DerivativeOperation[]): Promise<string> {
+    const key = derivativeKey(imageId, await derivativeHash(operations));
+    return this.lock.run(key, async () => {
+      if (await this.deps.store.exists(key)) {
+        return key;
+      }
+      const original = await this.deps.store.get(imageKey(imageId));
+      if (!original) {
+        throw new ImageStorageError('NOT_FOUND', `Image ${imageId} has no stored bytes`);
+      }
+      await this.deps.store.put(key, renderDerivative(await decodeImage(original), operations), 'image/jpeg');
+      return key;
+    });
+  }
+
+  /**
+   * The thumbnail URL, or the original's for images the pipeline cannot
+   * render (CMYK or arithmetic-coded JPEGs, huge frames)
+   */
+  private async thumbnailUrlOf(imageId: string, originalUrl: string): Promise<Result<string>> {
+    const thumbnailUrl = await this.getImageUrl(imageId, 'thumbnail');
+    if (!thumbnailUrl.success && thumbnailUrl.error instanceof ImageStorageError
+      && (thumbnailUrl.error.code === 'UNSUPPORTED' || thumbnailUrl.error.code === 'TOO_LARGE')) {
+      return success(originalUrl);
+    }
+    return thumbnailUrl;
+  }
+
+  private async urlOf(key: string): Promise<string> {
+    const expiresAt = new Date(this.now().getTime() + (this.options.urlTtlSeconds ?? DEFAULT_URL_TTL_SECONDS) * 1000);
+    const { store } = this.deps;
+    if (store.presignGet) {
+      return store.presignGet(key, expiresAt);
+    }
+    if (!this.options.urlSigning) {
+      throw new ImageStorageError('NOT_CONFIGURED', 'The object store cannot presign URLs and no urlSigning options were given');
+    }
+    return signImageUrl(this.options.urlSigning, key, expiresAt);
+  }
+
+  private async readRecord(imageId: string): Promise<StoredImageRecord | undefined> {
+    const bytes = await this.deps.store.get(metadataKey(imageId));
+    if (!bytes) {
+      return undefined;
+    }
+    let json: unknown;
+    try {
+      json = JSON.parse(new TextDecoder().decode(bytes));
+    } catch {
+      throw new ImageStorageError('STORE_ERROR', `Metadata of image ${imageId} is not valid JSON`);
+    }
+    const parsed = StoredImageRecordSchema.safeParse(json);
+    if (!parsed.success || parsed.data.id !== imageId) {
+      throw new ImageStorageError('STORE_ERROR', `Metadata of image ${imageId} is malformed`);
+    }
+    return parsed.data;
+  }
+
+  private async requireRecord(imageId: string): Promise<StoredImageRecord> {
+    if (!IMAGE_ID.test(imageId)) {
+      throw new ImageStorageError('NOT_FOUND', `Image ids are SHA-256 hex digests, got ${imageId}`);
+    }
+    const record = await this.readRecord(imageId);
+    if (!record) {
+      throw new ImageStorageError('NOT_FOUND', `Image ${imageId} not found`);
+    }
+    return record;
+  }
+
+  private async attempt<T>(task: () => Promise<T>): Promise<Result<T, ImageStorageError>> {
+    try {
+      return success(await task());
+    } catch (error) {
+      if (error instanceof ImageStorageError) {
+        return failure(error);
+      }
+      throw error;
+    }
+  }
+}
+
+// ========================================
+// Helpers
+// ========================================
+
+export function imageKey(imageId: string): string {
+  return `images/${imageId}`;
+}
+
+function metadataKey(imageId: string): string {
+  return `${METADATA_PREFIX}${imageId}.json`;
+}
+
+function toStoredImage(record: StoredImageRecord): Omit<StoredImage, 'created'> {
+  return { id: record.id, metadata: toImageMetadata(record), uploadedAt: record.uploadedAt };
+}
+
+function toImageMetadata(record: StoredImageRecord): ImageMetadata {
+  const { location, ...metadata } = record.metadata;
+  return {
+    ...withoutUndefined(metadata),
+    ...(location ? { location: toCoordinates(location) } : {})
+  } as ImageMetadata;
+}
+
+function toCoordinates(value: z.infer<typeof CoordinatesSchema>): Coordinates {
+  return {
+    ...withoutUndefined(value),
+    equals: other =>
+      'latitude' in other && 'longitude' in other
+      && (other as Coordinates).latitude === value.latitude && (other as Coordinates).longitude === value.longitude
+  } as Coordinates;
+}
+
+function withoutUndefined<T extends object>(value: T): T {
+  return Object.fromEntries(Object.entries(value).filter(([, entry]) => entry !== undefined)) as T;
+}
+
+function matchesFilters(row: Record<string, unknown>, filters: FilterOptions['filters']): boolean {
+  if (!filters) {
+    return true;
+  }
+  if (isFilterExpression(filters)) {
+    return evaluateFilter(filters, row);
+  }
+  return Object.entries(filters).every(([field, expected]) => {
+    if (expected === undefined) {
+      return true;
+    }
+    const actual = row[field];
+    const options = Array.isArray(expected) ? expected : [expected];
+    return Array.isArray(actual) ? actual.some(item => options.includes(item)) : options.includes(actual);
+  });
+}
+
+function compareRows(a: Record<string, unknown>, b: Record<string, unknown>, field: string): number {
+  const left = a[field];
+  const right = b[field];
+  if (left instanceof Date && right instanceof Date) {
+    return left.getTime() - right.getTime();
+  }
+  if (typeof left === 'number' && typeof right === 'number') {
+    return left - right;
+  }
+  return String(left ?? '').localeCompare(String(right ?? ''));
+}
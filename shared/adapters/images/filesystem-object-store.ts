@@ -0,0 +1,158 @@
+/**
+ * Filesystem Image Object Store
+ *
+ * Keeps each object in a file under a root directory, at the object's key.
+ * Writes go to a temporary file that is then renamed over the target, so a
+ * reader never sees a half-written image.
+ *
+ * The file system is passed in (node:fs/promises in Node) so this package
+ * stays free of Node typings and bundles for Workers:
+ *
+ *   new FilesystemImageObjectStore({ root: '/var/lib/delicasa/images', fs: await import('node:fs/promises') })
+ */
+
+import { ImageStorageError, assertObjectKey } from './image-object-store';
+import type { ImageObjectStore } from './image-object-store';
+
+// ========================================
+// Types
+// ========================================
+
+/**
+ * The subset of node:fs/promises the store uses
+ */
+export interface ImageFileSystem {
+  readFile(path: string): Promise<Uint8Array>;
+  writeFile(path: string, data: Uint8Array): Promise<void>;
+  rename(oldPath: string, newPath: string): Promise<void>;
+  mkdir(path: string, options: { recursive: true }): Promise<unknown>;
+  readdir(path: string): Promise<string[]>;
+  stat(path: string): Promise<unknown>;
+  rm(path: string, options: { force: true }): Promise<void>;
+}
+
+export interface FilesystemImageObjectStoreOptions {
+  /**
+   * Directory the keys are resolved against; created on first write
+   */
+  root: string;
+  fs: ImageFileSystem;
+}
+
+// ========================================
+// Filesystem Image Object Store
+// ========================================
+
+export class FilesystemImageObjectStore implements ImageObjectStore {
+  private readonly root: string;
+  private readonly fs: ImageFileSystem;
+
+  constructor(options: FilesystemImageObjectStoreOptions) {
+    this.root = options.root.replace(/\/+$/, '') || '/';
+    this.fs = options.fs;
+  }
+
+  async put(key: string, body: Uint8Array, _contentType: string): Promise<void> {
+    const path = this.pathOf(key);
+    const temporary = `${path}.${crypto.randomUUID()}.tmp`;
+    await this.attempt(`write ${key}`, async () => {
+      await this.fs.mkdir(parentOf(path), { recursive: true });
+      try {
+        await this.fs.writeFile(temporary, body);
+        await this.fs.rename(temporary, path);
+      } catch (error) {
+        await this.fs.rm(temporary, { force: true });
+        throw error;
+      }
+    });
+  }
+
+  async get(key: string): Promise<Uint8Array | undefined> {
+    const path = this.pathOf(key);
+    return this.attempt(`read ${key}`, async () => {
+      try {
+        return await this.fs.readFile(path);
+      } catch (error) {
+        if (isNotFound(error)) {
+          return undefined;
+        }
+        throw error;
+      }
+    });
+  }
+
+  async exists(key: string): Promise<boolean> {
+    const path = this.pathOf(key);
+    return this.attempt(`stat ${key}`, async () => {
+      try {
+        await this.fs.stat(path);
+        return true;
+      } catch (error) {
+        if (isNotFound(error)) {
+          return false;
+        }
+        throw error;
+      }
+    });
+  }
+
+  async delete(key: string): Promise<void> {
+    const path = this.pathOf(key);
+    await this.attempt(`delete ${key}`, () => this.fs.rm(path, { force: true }));
+  }
+
+  /**
+   * Lists the directory the prefix points into; keys are not searched
+   * recursively below it
+   */
+  async list(prefix: string): Promise<string[]> {
+    const slash = prefix.lastIndexOf('/');
+    const directory = slash >= 0 ? prefix.slice(0, slash) : '';
+    const namePrefix = prefix.slice(slash + 1);
+    if (directory) {
+      assertObjectKey(directory);
+    }
+
+    const entries = await this.attempt(`list ${prefix}`, async () => {
+      try {
+        return await this.fs.readdir(directory ? `${this.root}/${directory}` : this.root);
+      } catch (error) {
+        if (isNotFound(error)) {
+          return [];
+        }
+        throw error;
+      }
+    });
+    return entries
+      .filter(name => name.startsWith(namePrefix) && !name.endsWith('.tmp'))
+      .map(name => (directory ? `${directory}/${name}` : name));
+  }
+
+  private pathOf(key: string): string {
+    assertObjectKey(key);
+    return `${this.root}/${key}`;
+  }
+
+  private async attempt<T>(operation: string, task: () => Promise<T>): Promise<T> {
+    try {
+      return await task();
+    } catch (error) {
+      if (error instanceof ImageStorageError) {
+        throw error;
+      }
+      throw new ImageStorageError('STORE_ERROR', `Could not ${operation}: ${error instanceof Error ? error.message : String(error)}`);
+    }
+  }
+}
+
+// ========================================
+// Helpers
+// ========================================
+
+function parentOf(path: string): string {
+  return path.slice(0, path.lastIndexOf('/')) || '/';
+}
+
+function isNotFound(error: unknown): boolean {
+  return typeof error === 'object' && error !== null && (error as { code?: unknown }).code === 'ENOENT';
+}
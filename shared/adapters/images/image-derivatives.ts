@@ -0,0 +1,233 @@
+/**
+ * Image Derivatives
+ *
+ * Renders resized and processed copies of stored images: the ImageSize
+ * variants shown by the admin panel and the results of processImage().
+ * Originals are decoded (JPEG or PNG), turned upright from their EXIF
+ * orientation, run through the ImageOperations in order and encoded as a
+ * metadata-free baseline JPEG.
+ *
+ * A derivative is cached under "derivatives/<image id>/<hash>.jpg", where
+ * the hash covers the validated operations and the pipeline version, so the
+ * same request always maps to the same object and a change to the pipeline
+ * renders everything afresh.
+ */
+
+import { z } from 'zod';
+
+import type { ImageOperation, ImageSize } from '../../ports/service-ports';
+import { ImageStorageError, sha256Hex } from './image-object-store';
+import { detectImageFormat } from './image-format';
+import { decodeJpeg, encodeJpeg } from './jpeg-codec';
+import { decodePng } from './png-codec';
+import { crop, fitInside, grayscale, normalize, orient, resize, rotate } from './raster';
+import type { Raster } from './raster';
+
+// ========================================
+// Types
+// ========================================
+
+/**
+ * Bounding box (longest side) and JPEG quality of each ImageSize
+ */
+export const IMAGE_SIZE_LIMITS: Record<Exclude<ImageSize, 'original'>, { maxDimension: number; quality: number }> = {
+  thumbnail: { maxDimension: 160, quality: 70 },
+  small: { maxDimension: 320, quality: 75 },
+  medium: { maxDimension: 640, quality: 80 },
+  large: { maxDimension: 1280, quality: 85 }
+};
+
+/**
+ * Largest image decoded for a derivative, in pixels (24 MP)
+ */
+export const MAX_DERIVATIVE_SOURCE_PIXELS = 24_000_000;
+
+/**
+ * Bump when rendering changes, so cached derivatives are not reused
+ */
+const PIPELINE_VERSION = 1;
+
+const DEFAULT_QUALITY = 82;
+
+/**
+ * The ImageOperations the pipeline understands:
+ *
+ * - resize { width?, height? }: fit inside the box, keeping the aspect
+ *   ratio; never enlarges
+ * - crop { x, y, width, height }: in pixels of the upright image
+ * - rotate { degrees }: clockwise, a multiple of 90
+ * - filter { name: 'normalize', clip? } stretches the levels;
+ *   { name: 'grayscale' } drops the color
+ * - compress { quality }: JPEG quality 1-100 (default 82)
+ */
+export const DerivativeOperationSchema = z.discriminatedUnion('type', [
+  z.object({
+    type: z.literal('resize'),
+    parameters: z
+      .object({ width: z.number().int().positive().optional(), height: z.number().int().positive().optional() })
+      .refine(size => size.width !== undefined || size.height !== undefined, 'resize needs a width or a height')
+  }),
+  z.object({
+    type: z.literal('crop'),
+    parameters: z.object({
+      x: z.number().int().nonnegative(),
+      y: z.number().int().nonnegative(),
+      width: z.number().int().positive(),
+      height: z.number().int().positive()
+    })
+  }),
+  z.object({
+    type: z.literal('rotate'),
+    parameters: z.object({ degrees: z.number().int().multipleOf(90) })
+  }),
+  z.object({
+    type: z.literal('filter'),
+    parameters: z.discriminatedUnion('name', [
+      z.object({ name: z.literal('normalize'), clip: z.number().min(0).max(0.25).optional() }),
+      z.object({ name: z.literal('grayscale') })
+    ])
+  }),
+  z.object({
+    type: z.literal('compress'),
+    parameters: z.object({ quality: z.number().int().min(1).max(100) })
+  })
+]);
+
+export type DerivativeOperation = z.infer<typeof DerivativeOperationSchema>;
+
+// ========================================
+// Operations
+// ========================================
+
+/**
+ * @throws ImageStorageError INVALID_OPERATION naming the first bad operation
+ */
+export function parseImageOperations(operations: ImageOperation[]): DerivativeOperation[] {
+  return operations.map((operation, index) => {
+    const parsed = DerivativeOperationSchema.safeParse(operation);
+    if (!parsed.success) {
+      const issue = parsed.error.issues[0];
+      throw new ImageStorageError(
+        'INVALID_OPERATION',
+        `Operation ${index} (${operation.type}): ${issue ? `${issue.path.join('.') || 'operation'}: ${issue.message}` : 'invalid'}`
+      );
+    }
+    return parsed.data;
+  });
+}
+
+/**
+ * The operations rendering an ImageSize; none for 'original'
+ */
+export function sizeOperations(size: ImageSize): DerivativeOperation[] {
+  if (size === 'original') {
+    return [];
+  }
+  const { maxDimension, quality } = IMAGE_SIZE_LIMITS[size];
+  return [
+    { type: 'resize', parameters: { width: maxDimension, height: maxDimension } },
+    { type: 'compress', parameters: { quality } }
+  ];
+}
+
+/**
+ * Deterministic hash of validated operations: 32 hex characters
+ */
+export async function derivativeHash(operations: DerivativeOperation[]): Promise<string> {
+  const digest = await sha256Hex(canonicalJson({ version: PIPELINE_VERSION, operations }));
+  return digest.slice(0, 32);
+}
+
+export function derivativeKey(imageId: string, hash: string): string {
+  return `${derivativePrefix(imageId)}${hash}.jpg`;
+}
+
+/**
+ * Prefix of every derivative of an image
+ */
+export function derivativePrefix(imageId: string): string {
+  return `derivatives/${imageId}/`;
+}
+
+// ========================================
+// Rendering
+// ========================================
+
+/**
+ * Decode a JPEG or PNG into an upright RGB raster
+ *
+ * @throws ImageStorageError INVALID_IMAGE, UNSUPPORTED for JPEG variants
+ * the codec does not handle, TOO_LARGE beyond maxPixels
+ */
+export async function decodeImage(bytes: Uint8Array, maxPixels = MAX_DERIVATIVE_SOURCE_PIXELS): Promise<Raster> {
+  const format = detectImageFormat(bytes);
+  if (!format) {
+    throw new ImageStorageError('INVALID_IMAGE', 'Only JPEG and PNG images with a readable header can be decoded');
+  }
+  if (format.width * format.height > maxPixels) {
+    throw new ImageStorageError('TOO_LARGE', `Image is ${format.width}x${format.height}; derivatives are limited to ${maxPixels} pixels`);
+  }
+  if (format.mimeType === 'image/png') {
+    return decodePng(bytes);
+  }
+  const { raster, orientation } = decodeJpeg(bytes);
+  return orient(raster, orientation);
+}
+
+/**
+ * Apply the operations to an upright raster and encode the result as JPEG
+ *
+ * @throws ImageStorageError INVALID_OPERATION when a crop misses the image
+ */
+export function renderDerivative(source: Raster, operations: DerivativeOperation[]): Uint8Array {
+  let raster = source;
+  let quality = DEFAULT_QUALITY;
+  for (const operation of operations) {
+    switch (operation.type) {
+      case 'resize': {
+        const { width = Infinity, height = Infinity } = operation.parameters;
+        const size = fitInside(raster.width, raster.height, width, height);
+        raster = resize(raster, size.width, size.height);
+        break;
+      }
+      case 'crop':
+        try {
+          raster = crop(raster, operation.parameters);
+        } catch (error) {
+          throw new ImageStorageError('INVALID_OPERATION', error instanceof Error ? error.message : String(error));
+        }
+        break;
+      case 'rotate':
+        raster = rotate(raster, operation.parameters.degrees);
+        break;
+      case 'filter':
+        raster = operation.parameters.name === 'grayscale' ? grayscale(raster) : normalize(raster, operation.parameters.clip);
+        break;
+      case 'compress':
+        quality = operation.parameters.quality;
+        break;
+    }
+  }
+  return encodeJpeg(raster, quality);
+}
+
+// ========================================
+// Helpers
+// ========================================
+
+/**
+ * JSON with object keys sorted, so equal values hash equally
+ */
+function canonicalJson(value: unknown): string {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .filter(key => (value as Record<string, unknown>)[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson((value as Record<string, unknown>)[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
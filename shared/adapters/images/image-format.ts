@@ -0,0 +1,224 @@
+/**
+ * Image Format Detection
+ *
+ * Identifies JPEG and PNG uploads by their signature and reads the pixel
+ * dimensions from the header, without decoding the image. The camera
+ * modules capture JPEG; PNG is accepted for uploads from the dashboards.
+ *
+ * stripImageMetadata() removes EXIF, XMP, IPTC and text metadata (camera
+ * serials, GPS, timestamps) without touching the pixels.
+ */
+
+// ========================================
+// Types
+// ========================================
+
+export interface ImageFormat {
+  mimeType: 'image/jpeg' | 'image/png';
+  width: number;
+  height: number;
+}
+
+/**
+ * JPEG start-of-frame markers (baseline, progressive, lossless, arithmetic)
+ */
+const JPEG_SOF_MARKERS = new Set([0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf]);
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+/**
+ * APP1 (EXIF, XMP), APP13 (IPTC) and COM segments
+ */
+const JPEG_METADATA_MARKERS = new Set([0xe1, 0xed, 0xfe]);
+
+/**
+ * Text, EXIF and modification-time chunks
+ */
+const PNG_METADATA_CHUNKS = new Set(['tEXt', 'zTXt', 'iTXt', 'eXIf', 'tIME']);
+
+const EXIF_HEADER = [0x45, 0x78, 0x69, 0x66, 0x00, 0x00];
+const EXIF_ORIENTATION_TAG = 0x0112;
+
+// ========================================
+// Detection
+// ========================================
+
+/**
+ * Format and dimensions, or undefined when the bytes are not a JPEG or PNG
+ * with a readable header
+ */
+export function detectImageFormat(bytes: Uint8Array): ImageFormat | undefined {
+  if (bytes[0] === 0xff && bytes[1] === 0xd8) {
+    return readJpeg(bytes);
+  }
+  if (PNG_SIGNATURE.every((byte, index) => bytes[index] === byte)) {
+    return readPng(bytes);
+  }
+  return undefined;
+}
+
+// ========================================
+// Metadata
+// ========================================
+
+/**
+ * The image without its metadata segments. A JPEG keeps its EXIF
+ * orientation, rewritten as a minimal EXIF block, so it still displays
+ * upright. Bytes that are not a JPEG or PNG are returned unchanged.
+ */
+export function stripImageMetadata(bytes: Uint8Array): Uint8Array {
+  if (bytes[0] === 0xff && bytes[1] === 0xd8) {
+    return stripJpeg(bytes);
+  }
+  if (PNG_SIGNATURE.every((byte, index) => bytes[index] === byte)) {
+    return stripPng(bytes);
+  }
+  return bytes;
+}
+
+/**
+ * Orientation (1-8) from the payload of an APP1 segment, if it is EXIF and
+ * has one
+ */
+export function readExifOrientation(segment: Uint8Array): number | undefined {
+  if (!EXIF_HEADER.every((byte, index) => segment[index] === byte)) {
+    return undefined;
+  }
+  const tiff = segment.subarray(EXIF_HEADER.length);
+  const little = tiff[0] === 0x49 && tiff[1] === 0x49;
+  if (!little && !(tiff[0] === 0x4d && tiff[1] === 0x4d)) {
+    return undefined;
+  }
+  const uint16 = (offset: number) => (little ? (tiff[offset] ?? 0) | ((tiff[offset + 1] ?? 0) << 8) : readUint16(tiff, offset));
+  const uint32 = (offset: number) => (little ? uint16(offset) + uint16(offset + 2) * 0x10000 : readUint32(tiff, offset));
+
+  const directory = uint32(4);
+  const entries = uint16(directory);
+  for (let index = 0; index < entries; index++) {
+    const entry = directory + 2 + index * 12;
+    if (entry + 12 > tiff.length) {
+      return undefined;
+    }
+    if (uint16(entry) === EXIF_ORIENTATION_TAG) {
+      const orientation = uint16(entry + 8);
+      return orientation >= 1 && orientation <= 8 ? orientation : undefined;
+    }
+  }
+  return undefined;
+}
+
+function stripJpeg(bytes: Uint8Array): Uint8Array {
+  const kept: Uint8Array[] = [bytes.subarray(0, 2)];
+  let orientation: number | undefined;
+  let offset = 2;
+  while (offset + 3 < bytes.length && bytes[offset] === 0xff) {
+    const marker = bytes[offset + 1]!;
+    // Entropy-coded data follows the first scan header; keep the rest as is
+    if (marker === 0xda || marker === 0xd9) {
+      break;
+    }
+    const end = offset + 2 + readUint16(bytes, offset + 2);
+    if (marker === 0xe1) {
+      orientation = readExifOrientation(bytes.subarray(offset + 4, end)) ?? orientation;
+    }
+    if (!JPEG_METADATA_MARKERS.has(marker)) {
+      kept.push(bytes.subarray(offset, end));
+    }
+    offset = end;
+  }
+  if (orientation !== undefined && orientation !== 1) {
+    kept.splice(1, 0, orientationSegment(orientation));
+  }
+  kept.push(bytes.subarray(offset));
+  return concat(kept);
+}
+
+/**
+ * APP1 with a big-endian TIFF header and one IFD holding only Orientation
+ */
+function orientationSegment(orientation: number): Uint8Array {
+  return Uint8Array.from([
+    0xff, 0xe1, 0x00, 0x22,
+    ...EXIF_HEADER,
+    0x4d, 0x4d, 0x00, 0x2a, 0x00, 0x00, 0x00, 0x08,
+    0x00, 0x01,
+    0x01, 0x12, 0x00, 0x03, 0x00, 0x00, 0x00, 0x01, 0x00, orientation, 0x00, 0x00,
+    0x00, 0x00, 0x00, 0x00
+  ]);
+}
+
+function stripPng(bytes: Uint8Array): Uint8Array {
+  const kept: Uint8Array[] = [bytes.subarray(0, PNG_SIGNATURE.length)];
+  let offset = PNG_SIGNATURE.length;
+  while (offset + 12 <= bytes.length) {
+    const end = offset + 12 + readUint32(bytes, offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    if (!PNG_METADATA_CHUNKS.has(type)) {
+      kept.push(bytes.subarray(offset, end));
+    }
+    offset = end;
+  }
+  return concat(kept);
+}
+
+function concat(parts: Uint8Array[]): Uint8Array {
+  const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+}
+
+function readJpeg(bytes: Uint8Array): ImageFormat | undefined {
+  let offset = 2;
+  while (offset + 3 < bytes.length) {
+    if (bytes[offset] !== 0xff) {
+      return undefined;
+    }
+    const marker = bytes[offset + 1]!;
+    if (marker === 0xff) {
+      offset += 1;
+      continue;
+    }
+    // Markers without a length field
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      offset += 2;
+      continue;
+    }
+    if (marker === 0xd9 || marker === 0xda) {
+      return undefined;
+    }
+
+    const length = readUint16(bytes, offset + 2);
+    if (JPEG_SOF_MARKERS.has(marker)) {
+      if (offset + 9 > bytes.length) {
+        return undefined;
+      }
+      const height = readUint16(bytes, offset + 5);
+      const width = readUint16(bytes, offset + 7);
+      return width > 0 && height > 0 ? { mimeType: 'image/jpeg', width, height } : undefined;
+    }
+    offset += 2 + length;
+  }
+  return undefined;
+}
+
+function readPng(bytes: Uint8Array): ImageFormat | undefined {
+  // The IHDR chunk follows the signature: length, "IHDR", width, height
+  if (bytes.length < 24 || String.fromCharCode(...bytes.subarray(12, 16)) !== 'IHDR') {
+    return undefined;
+  }
+  const width = readUint32(bytes, 16);
+  const height = readUint32(bytes, 20);
+  return width > 0 && height > 0 ? { mimeType: 'image/png', width, height } : undefined;
+}
+
+function readUint16(bytes: Uint8Array, offset: number): number {
+  return ((bytes[offset] ?? 0) << 8) | (bytes[offset + 1] ?? 0);
+}
+
+function readUint32(bytes: Uint8Array, offset: number): number {
+  return readUint16(bytes, offset) * 0x10000 + readUint16(bytes, offset + 2);
+}
@@ -0,0 +1,96 @@
+/**
+ * Image Object Store
+ *
+ * The byte store behind ContentAddressedImageStorage: a flat namespace of
+ * keys ("images/<sha256>", "metadata/<sha256>.json") with put/get/delete and
+ * prefix listing. FilesystemImageObjectStore keeps them under a directory,
+ * S3ImageObjectStore in a bucket of any S3-compatible service (R2, MinIO).
+ *
+ * Stores throw ImageStorageError; the storage adapter turns it into a
+ * failed Result.
+ */
+
+// ========================================
+// Types
+// ========================================
+
+export type ImageStorageErrorCode =
+  | 'INVALID_IMAGE'
+  | 'INVALID_KEY'
+  | 'INVALID_OPERATION'
+  | 'NOT_FOUND'
+  | 'TOO_LARGE'
+  | 'UNSUPPORTED'
+  | 'NOT_CONFIGURED'
+  | 'INVALID_SIGNATURE'
+  | 'EXPIRED'
+  | 'STORE_ERROR'
+  | 'NETWORK';
+
+export class ImageStorageError extends Error {
+  constructor(
+    public readonly code: ImageStorageErrorCode,
+    message: string,
+    public readonly status?: number
+  ) {
+    super(message);
+    this.name = 'ImageStorageError';
+  }
+}
+
+export interface ImageObjectStore {
+  /**
+   * Write an object, replacing any object under the same key
+   */
+  put(key: string, body: Uint8Array, contentType: string): Promise<void>;
+
+  /**
+   * The object's bytes, or undefined when there is none
+   */
+  get(key: string): Promise<Uint8Array | undefined>;
+
+  exists(key: string): Promise<boolean>;
+
+  /**
+   * Remove an object; removing a missing key is not an error
+   */
+  delete(key: string): Promise<void>;
+
+  /**
+   * Keys starting with the prefix, in no particular order
+   */
+  list(prefix: string): Promise<string[]>;
+
+  /**
+   * A URL that serves the object without credentials until expiresAt.
+   * Stores that cannot sign URLs leave it out and the storage adapter
+   * signs URLs for its own image endpoint instead.
+   */
+  presignGet?(key: string, expiresAt: Date): Promise<string>;
+}
+
+const KEY_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*(\/[A-Za-z0-9][A-Za-z0-9._-]*)*$/;
+
+// ========================================
+// Helpers
+// ========================================
+
+/**
+ * Keys are relative slash-separated paths of [A-Za-z0-9._-] segments that
+ * do not start with a dot, so they map onto file paths without escaping the
+ * store's root
+ */
+export function assertObjectKey(key: string): void {
+  if (!KEY_PATTERN.test(key) || key.length > 512) {
+    throw new ImageStorageError('INVALID_KEY', `Invalid object key: ${key}`);
+  }
+}
+
+export function toHex(bytes: ArrayBuffer | Uint8Array): string {
+  return Array.from(bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+export async function sha256Hex(data: Uint8Array | string): Promise<string> {
+  const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+  return toHex(await crypto.subtle.digest('SHA-256', bytes as BufferSource));
+}
@@ -0,0 +1,78 @@
+/**
+ * Image URL Signer
+ *
+ * Expiring links to the image endpoint of our own server, for object stores
+ * that cannot presign (the filesystem store). A URL carries the expiry and
+ * an HMAC-SHA256 over the object key and expiry:
+ *
+ *   https://bridge.example.com/images/<key>?expires=1735732800&signature=<hex>
+ *
+ * The endpoint serving the images calls verifySignedImageUrl() before
+ * reading the object.
+ */
+
+import { hmacSha256Hex, signaturesEqual } from '../webhooks/webhook-signature';
+import { ImageStorageError, assertObjectKey } from './image-object-store';
+
+// ========================================
+// Types
+// ========================================
+
+export interface ImageUrlSigningOptions {
+  /**
+   * Base URL of the image endpoint; the key is appended to it
+   */
+  baseUrl: string;
+  secret: string;
+}
+
+// ========================================
+// Signing and Verification
+// ========================================
+
+export async function signImageUrl(options: ImageUrlSigningOptions, key: string, expiresAt: Date): Promise<string> {
+  assertObjectKey(key);
+  const expires = Math.floor(expiresAt.getTime() / 1000);
+  const signature = await hmacSha256Hex(options.secret, signedPayload(key, expires));
+  return `${options.baseUrl.replace(/\/+$/, '')}/${key}?expires=${expires}&signature=${signature}`;
+}
+
+/**
+ * The object key a signed URL grants access to
+ *
+ * @throws ImageStorageError INVALID_SIGNATURE when the URL is not under
+ * baseUrl or its signature does not match, EXPIRED when it has expired
+ */
+export async function verifySignedImageUrl(
+  options: ImageUrlSigningOptions,
+  url: string | URL,
+  now: Date = new Date()
+): Promise<string> {
+  const parsed = new URL(url);
+  const base = new URL(options.baseUrl.replace(/\/+$/, ''));
+  const prefix = `${base.pathname.replace(/\/+$/, '')}/`;
+  if (parsed.origin !== base.origin || !parsed.pathname.startsWith(prefix)) {
+    throw new ImageStorageError('INVALID_SIGNATURE', 'URL is not an image URL');
+  }
+
+  const key = decodeURIComponent(parsed.pathname.slice(prefix.length));
+  const expires = Number(parsed.searchParams.get('expires'));
+  const signature = parsed.searchParams.get('signature') ?? '';
+  if (!Number.isSafeInteger(expires) || !signature) {
+    throw new ImageStorageError('INVALID_SIGNATURE', 'URL is not signed');
+  }
+  assertObjectKey(key);
+
+  const expected = await hmacSha256Hex(options.secret, signedPayload(key, expires));
+  if (!signaturesEqual(expected, signature)) {
+    throw new ImageStorageError('INVALID_SIGNATURE', 'URL signature does not match');
+  }
+  if (expires * 1000 <= now.getTime()) {
+    throw new ImageStorageError('EXPIRED', `URL expired at ${new Date(expires * 1000).toISOString()}`);
+  }
+  return key;
+}
+
+function signedPayload(key: string, expires: number): string {
+  return `${key}\n${expires}`;
+}
@@ -0,0 +1,43 @@
+/**
+ * Image Storage Adapter
+ *
+ * Content-addressed ImageStorageServicePort with filesystem and
+ * S3-compatible (R2, MinIO) object stores, and the pure TypeScript codecs
+ * and raster operations behind its derivatives.
+ */
+
+export { ContentAddressedImageStorage, imageKey } from './content-addressed-image-storage';
+export type {
+  ContentAddressedImageStorageDependencies,
+  ContentAddressedImageStorageOptions,
+  ImageCaptureMetadata,
+  StoredImage
+} from './content-addressed-image-storage';
+export { ImageStorageError, assertObjectKey, sha256Hex } from './image-object-store';
+export type { ImageObjectStore, ImageStorageErrorCode } from './image-object-store';
+export { FilesystemImageObjectStore } from './filesystem-object-store';
+export type { ImageFileSystem, FilesystemImageObjectStoreOptions } from './filesystem-object-store';
+export { S3ImageObjectStore, MAX_PRESIGN_SECONDS } from './s3-object-store';
+export type { S3ImageObjectStoreOptions } from './s3-object-store';
+export { detectImageFormat, readExifOrientation, stripImageMetadata } from './image-format';
+export type { ImageFormat } from './image-format';
+export { signImageUrl, verifySignedImageUrl } from './image-url-signer';
+export type { ImageUrlSigningOptions } from './image-url-signer';
+export {
+  IMAGE_SIZE_LIMITS,
+  MAX_DERIVATIVE_SOURCE_PIXELS,
+  DerivativeOperationSchema,
+  decodeImage,
+  derivativeHash,
+  derivativeKey,
+  derivativePrefix,
+  parseImageOperations,
+  renderDerivative,
+  sizeOperations
+} from './image-derivatives';
+export type { DerivativeOperation } from './image-derivatives';
+export { decodeJpeg, encodeJpeg } from './jpeg-codec';
+export type { DecodedJpeg } from './jpeg-codec';
+export { decodePng } from './png-codec';
+export { createRaster, crop, fitInside, grayscale, luminance, normalize, orient, resize, rotate } from './raster';
+export type { CropRect, Raster } from './raster';
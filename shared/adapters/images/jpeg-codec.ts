@@ -0,0 +1,974 @@
+/**
+ * JPEG Codec
+ *
+ * A pure TypeScript JPEG decoder (baseline and progressive Huffman, 8-bit,
+ * grayscale or YCbCr with any sampling) and a baseline encoder (YCbCr 4:2:0,
+ * the IJG quality scale). It covers what the camera modules and the admin
+ * uploads produce without native code, so derivatives render in Workers and
+ * Node alike. Arithmetic coding, 12-bit samples and CMYK are rejected.
+ *
+ * Encoded files carry only a JFIF header: no EXIF, no comments.
+ */
+
+import { ImageStorageError } from './image-object-store';
+import { readExifOrientation } from './image-format';
+import { createRaster } from './raster';
+import type { Raster } from './raster';
+
+// ========================================
+// Types
+// ========================================
+
+export interface DecodedJpeg {
+  raster: Raster;
+
+  /**
+   * EXIF orientation (1 when absent); the raster is not rotated
+   */
+  orientation: number;
+}
+
+interface HuffmanTable {
+  maxCode: Int32Array;
+  valueOffset: Int32Array;
+  minCode: Int32Array;
+  values: Uint8Array;
+}
+
+interface FrameComponent {
+  id: number;
+  h: number;
+  v: number;
+  quantizationTable: number;
+  blocksPerLine: number;
+  blocksPerColumn: number;
+  blocksPerLineForMcu: number;
+  blocksPerColumnForMcu: number;
+  coefficients: Int16Array;
+  dcTable?: HuffmanTable;
+  acTable?: HuffmanTable;
+  predictor: number;
+}
+
+interface Frame {
+  progressive: boolean;
+  width: number;
+  height: number;
+  components: FrameComponent[];
+  maxH: number;
+  maxV: number;
+  mcusPerLine: number;
+  mcusPerColumn: number;
+}
+
+/**
+ * Position in the 8x8 block (row-major) of the k-th coefficient in
+ * zig-zag order
+ */
+const ZIGZAG = new Uint8Array([
+  0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5,
+  12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28,
+  35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51,
+  58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54, 47, 55, 62, 63
+]);
+
+/**
+ * cos((2x + 1) * u * pi / 16) scaled by C(u)/2, indexed [u * 8 + x]
+ */
+const DCT_BASIS = (() => {
+  const table = new Float64Array(64);
+  for (let u = 0; u < 8; u++) {
+    const scale = u === 0 ? Math.SQRT1_2 / 2 : 0.5;
+    for (let x = 0; x < 8; x++) {
+      table[u * 8 + x] = scale * Math.cos(((2 * x + 1) * u * Math.PI) / 16);
+    }
+  }
+  return table;
+})();
+
+const DCT_SCRATCH = new Float64Array(64);
+
+// ========================================
+// Decoding
+// ========================================
+
+/**
+ * @throws ImageStorageError INVALID_IMAGE for corrupt data, UNSUPPORTED for
+ * JPEG variants outside the supported set
+ */
+export function decodeJpeg(bytes: Uint8Array): DecodedJpeg {
+  if (bytes[0] !== 0xff || bytes[1] !== 0xd8) {
+    throw invalid('missing start-of-image marker');
+  }
+
+  const quantizationTables: Int32Array[] = [];
+  const dcTables: HuffmanTable[] = [];
+  const acTables: HuffmanTable[] = [];
+  let frame: Frame | undefined;
+  let resetInterval = 0;
+  let orientation = 1;
+  let adobeTransform: number | undefined;
+  let offset = 2;
+
+  while (offset < bytes.length) {
+    if (bytes[offset] !== 0xff) {
+      offset++;
+      continue;
+    }
+    const marker = bytes[offset + 1]!;
+    offset += 2;
+    if (marker === 0xff || marker === 0x00 || (marker >= 0xd0 && marker <= 0xd7)) {
+      offset -= marker === 0xff ? 1 : 0;
+      continue;
+    }
+    if (marker === 0xd9) {
+      break;
+    }
+
+    const length = readUint16(bytes, offset);
+    const segment = bytes.subarray(offset + 2, offset + length);
+    if (length < 2 || offset + length > bytes.length) {
+      throw invalid(`truncated segment 0xFF${marker.toString(16).toUpperCase()}`);
+    }
+
+    switch (marker) {
+      case 0xe1:
+        orientation = readExifOrientation(segment) ?? orientation;
+        break;
+      case 0xee:
+        if (String.fromCharCode(...segment.subarray(0, 5)) === 'Adobe') {
+          adobeTransform = segment[11];
+        }
+        break;
+      case 0xdb:
+        readQuantizationTables(segment, quantizationTables);
+        break;
+      case 0xc0:
+      case 0xc1:
+      case 0xc2:
+        if (frame) {
+          throw invalid('more than one frame');
+        }
+        frame = readFrame(segment, marker === 0xc2);
+        break;
+      case 0xc4:
+        readHuffmanTables(segment, dcTables, acTables);
+        break;
+      case 0xdd:
+        resetInterval = readUint16(segment, 0);
+        break;
+      case 0xda: {
+        if (!frame) {
+          throw invalid('scan before frame header');
+        }
+        const scan = readScanHeader(segment, frame, dcTables, acTables);
+        offset += length;
+        offset = decodeScan(bytes, offset, frame, scan.components, resetInterval, scan.spectralStart, scan.spectralEnd, scan.approximationHigh, scan.approximationLow);
+        continue;
+      }
+      default:
+        if ((marker >= 0xc3 && marker <= 0xcf) && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+          throw new ImageStorageError('UNSUPPORTED', 'Only baseline and progressive Huffman JPEGs are supported');
+        }
+    }
+    offset += length;
+  }
+
+  if (!frame) {
+    throw invalid('no frame header');
+  }
+  return { raster: toRaster(frame, quantizationTables, adobeTransform), orientation };
+}
+
+function readQuantizationTables(segment: Uint8Array, tables: Int32Array[]): void {
+  let offset = 0;
+  while (offset < segment.length) {
+    const precision = segment[offset]! >> 4;
+    const id = segment[offset]! & 15;
+    offset++;
+    const table = new Int32Array(64);
+    for (let k = 0; k < 64; k++) {
+      table[ZIGZAG[k]!] = precision ? readUint16(segment, offset + k * 2) : segment[offset + k]!;
+    }
+    offset += precision ? 128 : 64;
+    tables[id] = table;
+  }
+}
+
+function readHuffmanTables(segment: Uint8Array, dcTables: HuffmanTable[], acTables: HuffmanTable[]): void {
+  let offset = 0;
+  while (offset + 17 <= segment.length) {
+    const tableClass = segment[offset]! >> 4;
+    const id = segment[offset]! & 15;
+    const lengths = segment.subarray(offset + 1, offset + 17);
+    const count = lengths.reduce((sum, length) => sum + length, 0);
+    const values = segment.slice(offset + 17, offset + 17 + count);
+    (tableClass === 0 ? dcTables : acTables)[id] = buildHuffmanTable(lengths, values);
+    offset += 17 + count;
+  }
+}
+
+/**
+ * Decoding tables of JPEG Annex F.2.2.3
+ */
+function buildHuffmanTable(lengths: Uint8Array, values: Uint8Array): HuffmanTable {
+  const maxCode = new Int32Array(18).fill(-1);
+  const valueOffset = new Int32Array(17);
+  const minCode = new Int32Array(17);
+  let code = 0;
+  let index = 0;
+  for (let length = 1; length <= 16; length++) {
+    const count = lengths[length - 1]!;
+    if (count > 0) {
+      valueOffset[length] = index;
+      minCode[length] = code;
+      code += count;
+      index += count;
+      maxCode[length] = code - 1;
+    }
+    code <<= 1;
+  }
+  maxCode[17] = 0x7fffffff;
+  return { maxCode, valueOffset, minCode, values };
+}
+
+function readFrame(segment: Uint8Array, progressive: boolean): Frame {
+  if (segment[0] !== 8) {
+    throw new ImageStorageError('UNSUPPORTED', `Only 8-bit JPEGs are supported, got ${segment[0]}-bit`);
+  }
+  const height = readUint16(segment, 1);
+  const width = readUint16(segment, 3);
+  const count = segment[5]!;
+  if (width === 0 || height === 0) {
+    throw new ImageStorageError('UNSUPPORTED', 'JPEGs that define their height after the first scan are not supported');
+  }
+  if (count !== 1 && count !== 3) {
+    throw new ImageStorageError('UNSUPPORTED', `Only grayscale and YCbCr JPEGs are supported, got ${count} components`);
+  }
+
+  const raw = Array.from({ length: count }, (_, index) => {
+    const offset = 6 + index * 3;
+    return { id: segment[offset]!, h: segment[offset + 1]! >> 4, v: segment[offset + 1]! & 15, quantizationTable: segment[offset + 2]! };
+  });
+  const maxH = Math.max(...raw.map(component => component.h));
+  const maxV = Math.max(...raw.map(component => component.v));
+  const mcusPerLine = Math.ceil(width / (8 * maxH));
+  const mcusPerColumn = Math.ceil(height / (8 * maxV));
+
+  const components = raw.map(component => {
+    if (component.h < 1 || component.v < 1 || component.h > 4 || component.v > 4) {
+      throw invalid('bad sampling factors');
+    }
+    const blocksPerLineForMcu = mcusPerLine * component.h;
+    const blocksPerColumnForMcu = mcusPerColumn * component.v;
+    return {
+      ...component,
+      blocksPerLine: Math.ceil(Math.ceil((width * component.h) / maxH) / 8),
+      blocksPerColumn: Math.ceil(Math.ceil((height * component.v) / maxV) / 8),
+      blocksPerLineForMcu,
+      blocksPerColumnForMcu,
+      coefficients: new Int16Array(64 * blocksPerLineForMcu * blocksPerColumnForMcu),
+      predictor: 0
+    };
+  });
+  return { progressive, width, height, components, maxH, maxV, mcusPerLine, mcusPerColumn };
+}
+
+function readScanHeader(segment: Uint8Array, frame: Frame, dcTables: HuffmanTable[], acTables: HuffmanTable[]) {
+  const count = segment[0]!;
+  const components: FrameComponent[] = [];
+  for (let index = 0; index < count; index++) {
+    const id = segment[1 + index * 2]!;
+    const tables = segment[2 + index * 2]!;
+    const component = frame.components.find(candidate => candidate.id === id);
+    if (!component) {
+      throw invalid(`scan references unknown component ${id}`);
+    }
+    const dcTable = dcTables[tables >> 4];
+    const acTable = acTables[tables & 15];
+    if (dcTable) {
+      component.dcTable = dcTable;
+    }
+    if (acTable) {
+      component.acTable = acTable;
+    }
+    components.push(component);
+  }
+  const offset = 1 + count * 2;
+  return {
+    components,
+    spectralStart: segment[offset]!,
+    spectralEnd: segment[offset + 1]!,
+    approximationHigh: segment[offset + 2]! >> 4,
+    approximationLow: segment[offset + 2]! & 15
+  };
+}
+
+/**
+ * Entropy-decode one scan into the components' coefficients; returns the
+ * offset of the marker that ends it
+ */
+function decodeScan(
+  data: Uint8Array,
+  start: number,
+  frame: Frame,
+  components: FrameComponent[],
+  resetInterval: number,
+  spectralStart: number,
+  spectralEnd: number,
+  successivePrevious: number,
+  successive: number
+): number {
+  let offset = start;
+  let bitBuffer = 0;
+  let bitCount = 0;
+  let endOfBand = 0;
+  let refineState = 0;
+  let refineValue = 0;
+
+  const readBit = (): number => {
+    if (bitCount > 0) {
+      bitCount--;
+      return (bitBuffer >> bitCount) & 1;
+    }
+    const byte = data[offset];
+    if (byte === undefined) {
+      return 0;
+    }
+    if (byte === 0xff) {
+      const next = data[offset + 1];
+      if (next !== 0x00) {
+        // A marker ends the entropy data early; pad with zeros
+        return 0;
+      }
+      offset++;
+    }
+    offset++;
+    bitBuffer = byte;
+    bitCount = 7;
+    return byte >> 7;
+  };
+
+  const receive = (length: number): number => {
+    let value = 0;
+    for (let bit = 0; bit < length; bit++) {
+      value = (value << 1) | readBit();
+    }
+    return value;
+  };
+
+  const receiveAndExtend = (length: number): number => {
+    if (length === 0) {
+      return 0;
+    }
+    const value = receive(length);
+    return value >= 1 << (length - 1) ? value : value - (1 << length) + 1;
+  };
+
+  const decodeHuffman = (table: HuffmanTable | undefined): number => {
+    if (!table) {
+      throw invalid('scan uses an undefined Huffman table');
+    }
+    let code = readBit();
+    let length = 1;
+    while (code > table.maxCode[length]!) {
+      code = (code << 1) | readBit();
+      length++;
+      if (length > 16) {
+        throw invalid('corrupt Huffman data');
+      }
+    }
+    return table.values[table.valueOffset[length]! + code - table.minCode[length]!]!;
+  };
+
+  const decodeBaseline = (component: FrameComponent, block: number): void => {
+    const coefficients = component.coefficients;
+    component.predictor += receiveAndExtend(decodeHuffman(component.dcTable));
+    coefficients[block] = component.predictor;
+    for (let k = 1; k < 64;) {
+      const symbol = decodeHuffman(component.acTable);
+      const size = symbol & 15;
+      const run = symbol >> 4;
+      if (size === 0) {
+        if (run < 15) {
+          break;
+        }
+        k += 16;
+        continue;
+      }
+      k += run;
+      if (k > 63) {
+        break;
+      }
+      coefficients[block + ZIGZAG[k]!] = receiveAndExtend(size);
+      k++;
+    }
+  };
+
+  const decodeDcFirst = (component: FrameComponent, block: number): void => {
+    component.predictor += receiveAndExtend(decodeHuffman(component.dcTable)) * (1 << successive);
+    component.coefficients[block] = component.predictor;
+  };
+
+  const decodeDcRefine = (component: FrameComponent, block: number): void => {
+    if (readBit()) {
+      component.coefficients[block]! |= 1 << successive;
+    }
+  };
+
+  const decodeAcFirst = (component: FrameComponent, block: number): void => {
+    if (endOfBand > 0) {
+      endOfBand--;
+      return;
+    }
+    for (let k = spectralStart; k <= spectralEnd;) {
+      const symbol = decodeHuffman(component.acTable);
+      const size = symbol & 15;
+      const run = symbol >> 4;
+      if (size === 0) {
+        if (run < 15) {
+          endOfBand = receive(run) + (1 << run) - 1;
+          break;
+        }
+        k += 16;
+        continue;
+      }
+      k += run;
+      if (k > 63) {
+        break;
+      }
+      component.coefficients[block + ZIGZAG[k]!] = receiveAndExtend(size) * (1 << successive);
+      k++;
+    }
+  };
+
+  // States: 0 read a symbol, 1 skip a 16-zero run, 2 skip zeros then set,
+  // 3 set the next zero, 4 refine until the end of the band
+  const decodeAcRefine = (component: FrameComponent, block: number): void => {
+    const coefficients = component.coefficients;
+    let run = 0;
+    for (let k = spectralStart; k <= spectralEnd;) {
+      const position = block + ZIGZAG[k]!;
+      const sign = coefficients[position]! < 0 ? -1 : 1;
+      switch (refineState) {
+        case 0: {
+          const symbol = decodeHuffman(component.acTable);
+          const size = symbol & 15;
+          run = symbol >> 4;
+          if (size === 0) {
+            if (run < 15) {
+              endOfBand = receive(run) + (1 << run);
+              refineState = 4;
+            } else {
+              run = 16;
+              refineState = 1;
+            }
+          } else {
+            if (size !== 1) {
+              throw invalid('bad successive approximation code');
+            }
+            refineValue = receiveAndExtend(size);
+            refineState = run ? 2 : 3;
+          }
+          continue;
+        }
+        case 1:
+        case 2:
+          if (coefficients[position]) {
+            coefficients[position]! += sign * (readBit() << successive);
+          } else {
+            run--;
+            if (run === 0) {
+              refineState = refineState === 2 ? 3 : 0;
+            }
+          }
+          break;
+        case 3:
+          if (coefficients[position]) {
+            coefficients[position]! += sign * (readBit() << successive);
+          } else {
+            coefficients[position] = refineValue * (1 << successive);
+            refineState = 0;
+          }
+          break;
+        case 4:
+          if (coefficients[position]) {
+            coefficients[position]! += sign * (readBit() << successive);
+          }
+          break;
+      }
+      k++;
+    }
+    if (refineState === 4) {
+      endOfBand--;
+      if (endOfBand === 0) {
+        refineState = 0;
+      }
+    }
+  };
+
+  const decode = !frame.progressive
+    ? decodeBaseline
+    : spectralStart === 0
+      ? (successivePrevious === 0 ? decodeDcFirst : decodeDcRefine)
+      : (successivePrevious === 0 ? decodeAcFirst : decodeAcRefine);
+
+  const single = components.length === 1 ? components[0]! : undefined;
+  const total = single ? single.blocksPerLine * single.blocksPerColumn : frame.mcusPerLine * frame.mcusPerColumn;
+  let mcu = 0;
+  while (mcu < total) {
+    const count = resetInterval ? Math.min(total - mcu, resetInterval) : total;
+    for (const component of components) {
+      component.predictor = 0;
+    }
+    endOfBand = 0;
+    refineState = 0;
+
+    for (let index = 0; index < count; index++, mcu++) {
+      if (single) {
+        const row = Math.floor(mcu / single.blocksPerLine);
+        const column = mcu % single.blocksPerLine;
+        decode(single, 64 * (row * single.blocksPerLineForMcu + column));
+        continue;
+      }
+      const mcuRow = Math.floor(mcu / frame.mcusPerLine);
+      const mcuColumn = mcu % frame.mcusPerLine;
+      for (const component of components) {
+        for (let v = 0; v < component.v; v++) {
+          for (let h = 0; h < component.h; h++) {
+            const row = mcuRow * component.v + v;
+            const column = mcuColumn * component.h + h;
+            decode(component, 64 * (row * component.blocksPerLineForMcu + column));
+          }
+        }
+      }
+    }
+
+    // Skip to the next marker: a restart continues the scan, anything else ends it
+    bitCount = 0;
+    while (offset + 1 < data.length && !(data[offset] === 0xff && data[offset + 1] !== 0x00 && data[offset + 1] !== 0xff)) {
+      offset++;
+    }
+    const marker = data[offset + 1];
+    if (marker !== undefined && marker >= 0xd0 && marker <= 0xd7) {
+      offset += 2;
+      continue;
+    }
+    break;
+  }
+  return offset;
+}
+
+/**
+ * Dequantize, inverse-DCT and color-convert into an RGB raster
+ */
+function toRaster(frame: Frame, quantizationTables: Int32Array[], adobeTransform: number | undefined): Raster {
+  const planes = frame.components.map(component => {
+    const table = quantizationTables[component.quantizationTable];
+    if (!table) {
+      throw invalid(`missing quantization table ${component.quantizationTable}`);
+    }
+    const width = component.blocksPerLineForMcu * 8;
+    const plane = new Uint8ClampedArray(width * component.blocksPerColumnForMcu * 8);
+    const block = new Float64Array(64);
+    for (let row = 0; row < component.blocksPerColumn; row++) {
+      for (let column = 0; column < component.blocksPerLine; column++) {
+        const offset = 64 * (row * component.blocksPerLineForMcu + column);
+        for (let index = 0; index < 64; index++) {
+          block[index] = component.coefficients[offset + index]! * table[index]!;
+        }
+        inverseDct(block);
+        for (let y = 0; y < 8; y++) {
+          const line = (row * 8 + y) * width + column * 8;
+          for (let x = 0; x < 8; x++) {
+            plane[line + x] = Math.round(block[y * 8 + x]! + 128);
+          }
+        }
+      }
+    }
+    return { component, plane, width };
+  });
+
+  const { width, height, maxH, maxV } = frame;
+  const raster = createRaster(width, height);
+  const samples = new Float64Array(planes.length);
+  // Three-component files are YCbCr unless an Adobe marker says RGB
+  const ycbcr = planes.length === 3 && adobeTransform !== 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      for (let index = 0; index < planes.length; index++) {
+        const { component, plane, width: planeWidth } = planes[index]!;
+        const sx = Math.floor((x * component.h) / maxH);
+        const sy = Math.floor((y * component.v) / maxV);
+        samples[index] = plane[sy * planeWidth + sx]!;
+      }
+      const out = (y * width + x) * 3;
+      if (planes.length === 1) {
+        raster.data[out] = raster.data[out + 1] = raster.data[out + 2] = samples[0]!;
+      } else if (ycbcr) {
+        const luma = samples[0]!;
+        const cb = samples[1]! - 128;
+        const cr = samples[2]! - 128;
+        raster.data[out] = luma + 1.402 * cr;
+        raster.data[out + 1] = luma - 0.344136 * cb - 0.714136 * cr;
+        raster.data[out + 2] = luma + 1.772 * cb;
+      } else {
+        raster.data[out] = samples[0]!;
+        raster.data[out + 1] = samples[1]!;
+        raster.data[out + 2] = samples[2]!;
+      }
+    }
+  }
+  return raster;
+}
+
+/**
+ * Separable 8x8 inverse DCT, in place
+ */
+function inverseDct(block: Float64Array): void {
+  const temp = DCT_SCRATCH;
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      let sum = 0;
+      for (let u = 0; u < 8; u++) {
+        sum += DCT_BASIS[u * 8 + x]! * block[y * 8 + u]!;
+      }
+      temp[y * 8 + x] = sum;
+    }
+  }
+  for (let x = 0; x < 8; x++) {
+    for (let y = 0; y < 8; y++) {
+      let sum = 0;
+      for (let v = 0; v < 8; v++) {
+        sum += DCT_BASIS[v * 8 + y]! * temp[v * 8 + x]!;
+      }
+      block[y * 8 + x] = sum;
+    }
+  }
+}
+
+// ========================================
+// Encoding
+// ========================================
+
+const LUMA_QUANTIZATION = [
+  16, 11, 10, 16, 24, 40, 51, 61, 12, 12, 14, 19, 26, 58, 60, 55,
+  14, 13, 16, 24, 40, 57, 69, 56, 14, 17, 22, 29, 51, 87, 80, 62,
+  18, 22, 37, 56, 68, 109, 103, 77, 24, 35, 55, 64, 81, 104, 113, 92,
+  49, 64, 78, 87, 103, 121, 120, 101, 72, 92, 95, 98, 112, 100, 103, 99
+];
+
+const CHROMA_QUANTIZATION = [
+  17, 18, 24, 47, 99, 99, 99, 99, 18, 21, 26, 66, 99, 99, 99, 99,
+  24, 26, 56, 99, 99, 99, 99, 99, 47, 66, 99, 99, 99, 99, 99, 99,
+  99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99,
+  99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99
+];
+
+// Typical Huffman tables of JPEG Annex K.3 (code counts per length, values)
+const DC_LUMA = { lengths: [0, 1, 5, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0, 0, 0], values: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11] };
+const DC_CHROMA = { lengths: [0, 3, 1, 1, 1, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0], values: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11] };
+const AC_LUMA = {
+  lengths: [0, 2, 1, 3, 3, 2, 4, 3, 5, 5, 4, 4, 0, 0, 1, 0x7d],
+  values: [
+    0x01, 0x02, 0x03, 0x00, 0x04, 0x11, 0x05, 0x12, 0x21, 0x31, 0x41, 0x06, 0x13, 0x51, 0x61, 0x07,
+    0x22, 0x71, 0x14, 0x32, 0x81, 0x91, 0xa1, 0x08, 0x23, 0x42, 0xb1, 0xc1, 0x15, 0x52, 0xd1, 0xf0,
+    0x24, 0x33, 0x62, 0x72, 0x82, 0x09, 0x0a, 0x16, 0x17, 0x18, 0x19, 0x1a, 0x25, 0x26, 0x27, 0x28,
+    0x29, 0x2a, 0x34, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3a, 0x43, 0x44, 0x45, 0x46, 0x47, 0x48, 0x49,
+    0x4a, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59, 0x5a, 0x63, 0x64, 0x65, 0x66, 0x67, 0x68, 0x69,
+    0x6a, 0x73, 0x74, 0x75, 0x76, 0x77, 0x78, 0x79, 0x7a, 0x83, 0x84, 0x85, 0x86, 0x87, 0x88, 0x89,
+    0x8a, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9a, 0xa2, 0xa3, 0xa4, 0xa5, 0xa6, 0xa7,
+    0xa8, 0xa9, 0xaa, 0xb2, 0xb3, 0xb4, 0xb5, 0xb6, 0xb7, 0xb8, 0xb9, 0xba, 0xc2, 0xc3, 0xc4, 0xc5,
+    0xc6, 0xc7, 0xc8, 0xc9, 0xca, 0xd2, 0xd3, 0xd4, 0xd5, 0xd6, 0xd7, 0xd8, 0xd9, 0xda, 0xe1, 0xe2,
+    0xe3, 0xe4, 0xe5, 0xe6, 0xe7, 0xe8, 0xe9, 0xea, 0xf1, 0xf2, 0xf3, 0xf4, 0xf5, 0xf6, 0xf7, 0xf8,
+    0xf9, 0xfa
+  ]
+};
+const AC_CHROMA = {
+  lengths: [0, 2, 1, 2, 4, 4, 3, 4, 7, 5, 4, 4, 0, 1, 2, 0x77],
+  values: [
+    0x00, 0x01, 0x02, 0x03, 0x11, 0x04, 0x05, 0x21, 0x31, 0x06, 0x12, 0x41, 0x51, 0x07, 0x61, 0x71,
+    0x13, 0x22, 0x32, 0x81, 0x08, 0x14, 0x42, 0x91, 0xa1, 0xb1, 0xc1, 0x09, 0x23, 0x33, 0x52, 0xf0,
+    0x15, 0x62, 0x72, 0xd1, 0x0a, 0x16, 0x24, 0x34, 0xe1, 0x25, 0xf1, 0x17, 0x18, 0x19, 0x1a, 0x26,
+    0x27, 0x28, 0x29, 0x2a, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3a, 0x43, 0x44, 0x45, 0x46, 0x47, 0x48,
+    0x49, 0x4a, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59, 0x5a, 0x63, 0x64, 0x65, 0x66, 0x67, 0x68,
+    0x69, 0x6a, 0x73, 0x74, 0x75, 0x76, 0x77, 0x78, 0x79, 0x7a, 0x82, 0x83, 0x84, 0x85, 0x86, 0x87,
+    0x88, 0x89, 0x8a, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9a, 0xa2, 0xa3, 0xa4, 0xa5,
+    0xa6, 0xa7, 0xa8, 0xa9, 0xaa, 0xb2, 0xb3, 0xb4, 0xb5, 0xb6, 0xb7, 0xb8, 0xb9, 0xba, 0xc2, 0xc3,
+    0xc4, 0xc5, 0xc6, 0xc7, 0xc8, 0xc9, 0xca, 0xd2, 0xd3, 0xd4, 0xd5, 0xd6, 0xd7, 0xd8, 0xd9, 0xda,
+    0xe2, 0xe3, 0xe4, 0xe5, 0xe6, 0xe7, 0xe8, 0xe9, 0xea, 0xf2, 0xf3, 0xf4, 0xf5, 0xf6, 0xf7, 0xf8,
+    0xf9, 0xfa
+  ]
+};
+
+interface HuffmanCodes {
+  codes: Uint16Array;
+  sizes: Uint8Array;
+}
+
+/**
+ * Encode as a baseline JPEG (YCbCr 4:2:0) at an IJG quality of 1-100
+ */
+export function encodeJpeg(raster: Raster, quality = 82): Uint8Array {
+  const q = Math.min(100, Math.max(1, Math.round(quality)));
+  const scale = q < 50 ? 5000 / q : 200 - q * 2;
+  const scaleTable = (base: number[]) => base.map(value => Math.min(255, Math.max(1, Math.floor((value * scale + 50) / 100))));
+  const lumaTable = scaleTable(LUMA_QUANTIZATION);
+  const chromaTable = scaleTable(CHROMA_QUANTIZATION);
+
+  const writer = new ByteWriter();
+  writer.uint16(0xffd8);
+  // JFIF APP0: version 1.1, no density, no thumbnail
+  writer.segment(0xffe0, [0x4a, 0x46, 0x49, 0x46, 0x00, 0x01, 0x01, 0x00, 0x00, 0x01, 0x00, 0x01, 0x00, 0x00]);
+  writer.segment(0xffdb, [
+    0x00, ...Array.from(ZIGZAG, position => lumaTable[position]!),
+    0x01, ...Array.from(ZIGZAG, position => chromaTable[position]!)
+  ]);
+  writer.segment(0xffc0, [
+    8, raster.height >> 8, raster.height & 255, raster.width >> 8, raster.width & 255, 3,
+    1, 0x22, 0, 2, 0x11, 1, 3, 0x11, 1
+  ]);
+  writer.segment(0xffc4, [
+    0x00, ...DC_LUMA.lengths, ...DC_LUMA.values,
+    0x10, ...AC_LUMA.lengths, ...AC_LUMA.values,
+    0x01, ...DC_CHROMA.lengths, ...DC_CHROMA.values,
+    0x11, ...AC_CHROMA.lengths, ...AC_CHROMA.values
+  ]);
+  writer.segment(0xffda, [3, 1, 0x00, 2, 0x11, 3, 0x11, 0, 63, 0]);
+
+  const dcLuma = huffmanCodes(DC_LUMA);
+  const acLuma = huffmanCodes(AC_LUMA);
+  const dcChroma = huffmanCodes(DC_CHROMA);
+  const acChroma = huffmanCodes(AC_CHROMA);
+  const bits = new BitWriter(writer);
+  const block = new Float64Array(64);
+  const predictors = [0, 0, 0];
+
+  const encodeBlock = (table: number[], component: number, dc: HuffmanCodes, ac: HuffmanCodes) => {
+    forwardDct(block);
+    const quantized = new Int32Array(64);
+    for (let k = 0; k < 64; k++) {
+      const position = ZIGZAG[k]!;
+      // Categories above 11 (DC) and 10 (AC) have no Huffman codes
+      const limit = k === 0 ? 2047 : 1023;
+      quantized[k] = Math.max(-limit, Math.min(limit, Math.round(block[position]! / table[position]!)));
+    }
+
+    const diff = quantized[0]! - predictors[component]!;
+    predictors[component] = quantized[0]!;
+    const dcSize = bitLength(diff);
+    bits.write(dc.codes[dcSize]!, dc.sizes[dcSize]!);
+    bits.write(amplitudeBits(diff, dcSize), dcSize);
+
+    let run = 0;
+    for (let k = 1; k < 64; k++) {
+      const value = quantized[k]!;
+      if (value === 0) {
+        run++;
+        continue;
+      }
+      while (run > 15) {
+        bits.write(ac.codes[0xf0]!, ac.sizes[0xf0]!);
+        run -= 16;
+      }
+      const size = bitLength(value);
+      const symbol = (run << 4) | size;
+      bits.write(ac.codes[symbol]!, ac.sizes[symbol]!);
+      bits.write(amplitudeBits(value, size), size);
+      run = 0;
+    }
+    if (run > 0) {
+      bits.write(ac.codes[0x00]!, ac.sizes[0x00]!);
+    }
+  };
+
+  const { width, height, data } = raster;
+  const sample = (x: number, y: number, channel: number) =>
+    data[(Math.min(y, height - 1) * width + Math.min(x, width - 1)) * 3 + channel]!;
+  const luma = (x: number, y: number) => 0.299 * sample(x, y, 0) + 0.587 * sample(x, y, 1) + 0.114 * sample(x, y, 2);
+
+  for (let mcuY = 0; mcuY < height; mcuY += 16) {
+    for (let mcuX = 0; mcuX < width; mcuX += 16) {
+      for (let blockY = 0; blockY < 16; blockY += 8) {
+        for (let blockX = 0; blockX < 16; blockX += 8) {
+          for (let y = 0; y < 8; y++) {
+            for (let x = 0; x < 8; x++) {
+              block[y * 8 + x] = luma(mcuX + blockX + x, mcuY + blockY + y) - 128;
+            }
+          }
+          encodeBlock(lumaTable, 0, dcLuma, acLuma);
+        }
+      }
+
+      // Chroma: each sample averages a 2x2 square
+      for (const component of [1, 2]) {
+        for (let y = 0; y < 8; y++) {
+          for (let x = 0; x < 8; x++) {
+            let sum = 0;
+            for (let dy = 0; dy < 2; dy++) {
+              for (let dx = 0; dx < 2; dx++) {
+                const px = mcuX + x * 2 + dx;
+                const py = mcuY + y * 2 + dy;
+                const red = sample(px, py, 0);
+                const green = sample(px, py, 1);
+                const blue = sample(px, py, 2);
+                sum += component === 1
+                  ? -0.168736 * red - 0.331264 * green + 0.5 * blue
+                  : 0.5 * red - 0.418688 * green - 0.081312 * blue;
+              }
+            }
+            block[y * 8 + x] = sum / 4;
+          }
+        }
+        encodeBlock(chromaTable, component, dcChroma, acChroma);
+      }
+    }
+  }
+
+  bits.flush();
+  writer.uint16(0xffd9);
+  return writer.toBytes();
+}
+
+/**
+ * Separable 8x8 forward DCT, in place
+ */
+function forwardDct(block: Float64Array): void {
+  const temp = DCT_SCRATCH;
+  for (let y = 0; y < 8; y++) {
+    for (let u = 0; u < 8; u++) {
+      let sum = 0;
+      for (let x = 0; x < 8; x++) {
+        sum += DCT_BASIS[u * 8 + x]! * block[y * 8 + x]!;
+      }
+      temp[y * 8 + u] = sum;
+    }
+  }
+  for (let u = 0; u < 8; u++) {
+    for (let v = 0; v < 8; v++) {
+      let sum = 0;
+      for (let y = 0; y < 8; y++) {
+        sum += DCT_BASIS[v * 8 + y]! * temp[y * 8 + u]!;
+      }
+      block[v * 8 + u] = sum;
+    }
+  }
+}
+
+function huffmanCodes(spec: { lengths: number[]; values: number[] }): HuffmanCodes {
+  const codes = new Uint16Array(256);
+  const sizes = new Uint8Array(256);
+  let code = 0;
+  let index = 0;
+  for (let length = 1; length <= 16; length++) {
+    for (let count = 0; count < spec.lengths[length - 1]!; count++) {
+      const value = spec.values[index++]!;
+      codes[value] = code++;
+      sizes[value] = length;
+    }
+    code <<= 1;
+  }
+  return { codes, sizes };
+}
+
+/**
+ * Number of bits in the magnitude (the JPEG "category")
+ */
+function bitLength(value: number): number {
+  let magnitude = Math.abs(value);
+  let length = 0;
+  while (magnitude > 0) {
+    length++;
+    magnitude >>= 1;
+  }
+  return length;
+}
+
+/**
+ * Negative values are sent as the ones' complement of their magnitude
+ */
+function amplitudeBits(value: number, size: number): number {
+  return value < 0 ? value + (1 << size) - 1 : value;
+}
+
+class ByteWriter {
+  private buffer = new Uint8Array(64 * 1024);
+  private length = 0;
+
+  byte(value: number): void {
+    if (this.length === this.buffer.length) {
+      const grown = new Uint8Array(this.buffer.length * 2);
+      grown.set(this.buffer);
+      this.buffer = grown;
+    }
+    this.buffer[this.length++] = value;
+  }
+
+  uint16(value: number): void {
+    this.byte(value >> 8);
+    this.byte(value & 255);
+  }
+
+  segment(marker: number, payload: number[]): void {
+    this.uint16(marker);
+    this.uint16(payload.length + 2);
+    for (const value of payload) {
+      this.byte(value);
+    }
+  }
+
+  toBytes(): Uint8Array {
+    return this.buffer.slice(0, this.length);
+  }
+}
+
+/**
+ * Entropy-coded output with 0xFF byte stuffing
+ */
+class BitWriter {
+  private accumulator = 0;
+  private count = 0;
+
+  constructor(private readonly writer: ByteWriter) {}
+
+  write(value: number, length: number): void {
+    for (let bit = length - 1; bit >= 0; bit--) {
+      this.accumulator = (this.accumulator << 1) | ((value >> bit) & 1);
+      this.count++;
+      if (this.count === 8) {
+        this.emit();
+      }
+    }
+  }
+
+  /**
+   * Pad the last byte with one bits
+   */
+  flush(): void {
+    if (this.count > 0) {
+      this.accumulator = (this.accumulator << (8 - this.count)) | ((1 << (8 - this.count)) - 1);
+      this.emit();
+    }
+  }
+
+  private emit(): void {
+    this.writer.byte(this.accumulator);
+    if (this.accumulator === 0xff) {
+      this.writer.byte(0);
+    }
+    this.accumulator = 0;
+    this.count = 0;
+  }
+}
+
+// ========================================
+// Helpers
+// ========================================
+
+function readUint16(bytes: Uint8Array, offset: number): number {
+  return ((bytes[offset] ?? 0) << 8) | (bytes[offset + 1] ?? 0);
+}
+
+function invalid(reason: string): ImageStorageError {
+  return new ImageStorageError('INVALID_IMAGE', `Corrupt JPEG: ${reason}`);
+}
@@ -0,0 +1,290 @@
+/**
+ * PNG Decoder
+ *
+ * A pure TypeScript PNG decoder for every standard color type and bit depth,
+ * interlaced or not. The zlib stream is inflated with the platform's
+ * DecompressionStream, available in Workers and Node 18+. Transparency is
+ * flattened onto white, since derivatives are always JPEG.
+ */
+
+import { ImageStorageError } from './image-object-store';
+import { createRaster } from './raster';
+import type { Raster } from './raster';
+
+// ========================================
+// Types
+// ========================================
+
+interface PngHeader {
+  width: number;
+  height: number;
+  bitDepth: number;
+  colorType: number;
+  interlaced: boolean;
+}
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+/**
+ * Samples per pixel and the bit depths allowed for each color type
+ */
+const COLOR_TYPES: Record<number, { channels: number; depths: number[] }> = {
+  0: { channels: 1, depths: [1, 2, 4, 8, 16] },
+  2: { channels: 3, depths: [8, 16] },
+  3: { channels: 1, depths: [1, 2, 4, 8] },
+  4: { channels: 2, depths: [8, 16] },
+  6: { channels: 4, depths: [8, 16] }
+};
+
+/**
+ * Adam7 passes: first column, first row, column step, row step
+ */
+const ADAM7 = [
+  [0, 0, 8, 8],
+  [4, 0, 8, 8],
+  [0, 4, 4, 8],
+  [2, 0, 4, 4],
+  [0, 2, 2, 4],
+  [1, 0, 2, 2],
+  [0, 1, 1, 2]
+] as const;
+
+// ========================================
+// Decoding
+// ========================================
+
+/**
+ * @throws ImageStorageError INVALID_IMAGE for corrupt data
+ */
+export async function decodePng(bytes: Uint8Array): Promise<Raster> {
+  if (!PNG_SIGNATURE.every((byte, index) => bytes[index] === byte)) {
+    throw invalid('missing signature');
+  }
+
+  let header: PngHeader | undefined;
+  let palette: Uint8Array | undefined;
+  let transparency: Uint8Array | undefined;
+  const data: Uint8Array[] = [];
+  let offset = PNG_SIGNATURE.length;
+  while (offset + 12 <= bytes.length) {
+    const length = readUint32(bytes, offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const body = bytes.subarray(offset + 8, offset + 8 + length);
+    if (body.length !== length) {
+      throw invalid(`truncated ${type} chunk`);
+    }
+    offset += 12 + length;
+
+    if (type === 'IHDR') {
+      header = readHeader(body);
+    } else if (type === 'PLTE') {
+      palette = body;
+    } else if (type === 'tRNS') {
+      transparency = body;
+    } else if (type === 'IDAT') {
+      data.push(body);
+    } else if (type === 'IEND') {
+      break;
+    }
+  }
+  if (header === undefined) {
+    throw invalid('missing IHDR chunk');
+  }
+  if (data.length === 0) {
+    throw invalid('missing IDAT chunk');
+  }
+  if (header.colorType === 3 && palette === undefined) {
+    throw invalid('missing palette');
+  }
+
+  const pixels = toPixelReader(header, palette, transparency);
+  const inflated = await inflate(data);
+  const { width, height, bitDepth, colorType } = header;
+  const bitsPerPixel = COLOR_TYPES[colorType]!.channels * bitDepth;
+  const bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+  const raster = createRaster(width, height);
+  const passes = header.interlaced ? ADAM7 : ([[0, 0, 1, 1]] as const);
+
+  let position = 0;
+  for (const [firstColumn, firstRow, columnStep, rowStep] of passes) {
+    const passWidth = Math.ceil((width - firstColumn) / columnStep);
+    const passHeight = Math.ceil((height - firstRow) / rowStep);
+    if (passWidth <= 0 || passHeight <= 0) {
+      continue;
+    }
+    const stride = Math.ceil((passWidth * bitsPerPixel) / 8);
+    let previous = new Uint8Array(stride);
+    for (let row = 0; row < passHeight; row++) {
+      if (position + 1 + stride > inflated.length) {
+        throw invalid('image data ends early');
+      }
+      const line = inflated.slice(position + 1, position + 1 + stride);
+      unfilter(inflated[position]!, line, previous, bytesPerPixel);
+      position += 1 + stride;
+
+      const y = firstRow + row * rowStep;
+      for (let column = 0; column < passWidth; column++) {
+        const out = (y * width + firstColumn + column * columnStep) * 3;
+        pixels(line, column, raster.data, out);
+      }
+      previous = line;
+    }
+  }
+  return raster;
+}
+
+// ========================================
+// Helpers
+// ========================================
+
+function readHeader(body: Uint8Array): PngHeader {
+  if (body.length < 13) {
+    throw invalid('short IHDR chunk');
+  }
+  const header: PngHeader = {
+    width: readUint32(body, 0),
+    height: readUint32(body, 4),
+    bitDepth: body[8]!,
+    colorType: body[9]!,
+    interlaced: body[12] === 1
+  };
+  const colorType = COLOR_TYPES[header.colorType];
+  if (colorType === undefined || !colorType.depths.includes(header.bitDepth)) {
+    throw invalid(`bit depth ${header.bitDepth} is not valid for color type ${header.colorType}`);
+  }
+  if (header.width === 0 || header.height === 0) {
+    throw invalid('empty image');
+  }
+  if (body[10] !== 0 || body[11] !== 0 || body[12]! > 1) {
+    throw invalid('unknown compression, filter or interlace method');
+  }
+  return header;
+}
+
+/**
+ * A function writing pixel `index` of an unfiltered scanline as RGB,
+ * flattened onto white
+ */
+function toPixelReader(
+  header: PngHeader,
+  palette: Uint8Array | undefined,
+  transparency: Uint8Array | undefined
+): (line: Uint8Array, index: number, target: Uint8ClampedArray, out: number) => void {
+  const { bitDepth, colorType } = header;
+  const channels = COLOR_TYPES[colorType]!.channels;
+  const maximum = 2 ** bitDepth - 1;
+  const sample = (line: Uint8Array, index: number): number => {
+    if (bitDepth === 8) {
+      return line[index]!;
+    }
+    if (bitDepth === 16) {
+      return (line[index * 2]! << 8) | line[index * 2 + 1]!;
+    }
+    const bit = index * bitDepth;
+    return (line[bit >> 3]! >> (8 - bitDepth - (bit & 7))) & maximum;
+  };
+  const scale = (value: number) => (value * 255) / maximum;
+  const write = (target: Uint8ClampedArray, out: number, red: number, green: number, blue: number, alpha: number) => {
+    const white = 255 - alpha;
+    target[out] = (red * alpha) / 255 + white;
+    target[out + 1] = (green * alpha) / 255 + white;
+    target[out + 2] = (blue * alpha) / 255 + white;
+  };
+  // tRNS for grayscale and RGB names one fully transparent sample value
+  const transparent = transparency !== undefined && colorType !== 3
+    ? Array.from({ length: transparency.length >> 1 }, (_, index) => readUint16(transparency, index * 2))
+    : undefined;
+
+  switch (colorType) {
+    case 0:
+      return (line, index, target, out) => {
+        const gray = sample(line, index);
+        write(target, out, scale(gray), scale(gray), scale(gray), transparent?.[0] === gray ? 0 : 255);
+      };
+    case 2:
+      return (line, index, target, out) => {
+        const [red, green, blue] = [0, 1, 2].map(channel => sample(line, index * 3 + channel)) as [number, number, number];
+        const clear = transparent !== undefined && transparent[0] === red && transparent[1] === green && transparent[2] === blue;
+        write(target, out, scale(red), scale(green), scale(blue), clear ? 0 : 255);
+      };
+    case 3:
+      return (line, index, target, out) => {
+        const entry = sample(line, index);
+        if (entry * 3 + 2 >= palette!.length) {
+          throw invalid(`palette index ${entry} out of range`);
+        }
+        write(target, out, palette![entry * 3]!, palette![entry * 3 + 1]!, palette![entry * 3 + 2]!, transparency?.[entry] ?? 255);
+      };
+    default:
+      return (line, index, target, out) => {
+        const values = Array.from({ length: channels }, (_, channel) => scale(sample(line, index * channels + channel)));
+        const alpha = values[channels - 1]!;
+        if (channels === 2) {
+          write(target, out, values[0]!, values[0]!, values[0]!, alpha);
+        } else {
+          write(target, out, values[0]!, values[1]!, values[2]!, alpha);
+        }
+      };
+  }
+}
+
+/**
+ * Reverse a scanline filter in place (None, Sub, Up, Average, Paeth)
+ */
+function unfilter(type: number, line: Uint8Array, previous: Uint8Array, bytesPerPixel: number): void {
+  for (let index = 0; index < line.length; index++) {
+    const left = index >= bytesPerPixel ? line[index - bytesPerPixel]! : 0;
+    const up = previous[index]!;
+    const upLeft = index >= bytesPerPixel ? previous[index - bytesPerPixel]! : 0;
+    switch (type) {
+      case 0:
+        break;
+      case 1:
+        line[index] = line[index]! + left;
+        break;
+      case 2:
+        line[index] = line[index]! + up;
+        break;
+      case 3:
+        line[index] = line[index]! + ((left + up) >> 1);
+        break;
+      case 4:
+        line[index] = line[index]! + paeth(left, up, upLeft);
+        break;
+      default:
+        throw invalid(`unknown filter type ${type}`);
+    }
+  }
+}
+
+function paeth(left: number, up: number, upLeft: number): number {
+  const estimate = left + up - upLeft;
+  const toLeft = Math.abs(estimate - left);
+  const toUp = Math.abs(estimate - up);
+  const toUpLeft = Math.abs(estimate - upLeft);
+  if (toLeft <= toUp && toLeft <= toUpLeft) {
+    return left;
+  }
+  return toUp <= toUpLeft ? up : upLeft;
+}
+
+async function inflate(parts: Uint8Array[]): Promise<Uint8Array> {
+  try {
+    const stream = new Blob(parts as BlobPart[]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  } catch (error) {
+    throw invalid(`image data does not inflate (${error instanceof Error ? error.message : String(error)})`);
+  }
+}
+
+function readUint16(bytes: Uint8Array, offset: number): number {
+  return ((bytes[offset] ?? 0) << 8) | (bytes[offset + 1] ?? 0);
+}
+
+function readUint32(bytes: Uint8Array, offset: number): number {
+  return readUint16(bytes, offset) * 0x10000 + readUint16(bytes, offset + 2);
+}
+
+function invalid(reason: string): ImageStorageError {
+  return new ImageStorageError('INVALID_IMAGE', `Corrupt PNG: ${reason}`);
+}
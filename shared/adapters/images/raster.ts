@@ -0,0 +1,252 @@
+/**
+ * Raster Operations
+ *
+ * Decoded images as 8-bit RGB pixel buffers and the geometric and tonal
+ * operations of the derivative pipeline. Everything is plain TypeScript on
+ * typed arrays, so it runs unchanged in Workers and Node.
+ */
+
+// ========================================
+// Types
+// ========================================
+
+/**
+ * Row-major RGB, three bytes per pixel
+ */
+export interface Raster {
+  width: number;
+  height: number;
+  data: Uint8ClampedArray;
+}
+
+export interface CropRect {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+export function createRaster(width: number, height: number): Raster {
+  return { width, height, data: new Uint8ClampedArray(width * height * 3) };
+}
+
+// ========================================
+// Geometry
+// ========================================
+
+/**
+ * Resample to exactly width x height. Each output pixel averages the source
+ * area it covers (box filter), which keeps downscaled camera frames free of
+ * aliasing.
+ */
+export function resize(source: Raster, width: number, height: number): Raster {
+  if (width === source.width && height === source.height) {
+    return source;
+  }
+  const horizontal = resampleAxis(source.data, source.width, source.height, width, true);
+  const vertical = resampleAxis(horizontal, width, source.height, height, false);
+  const target = createRaster(width, height);
+  target.data.set(vertical);
+  return target;
+}
+
+/**
+ * The largest size that fits in maxWidth x maxHeight with the source's
+ * aspect ratio; never larger than the source
+ */
+export function fitInside(width: number, height: number, maxWidth: number, maxHeight: number): { width: number; height: number } {
+  const scale = Math.min(1, maxWidth / width, maxHeight / height);
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale))
+  };
+}
+
+/**
+ * The rectangle is clipped to the image
+ */
+export function crop(source: Raster, rect: CropRect): Raster {
+  const x = Math.max(0, Math.floor(rect.x));
+  const y = Math.max(0, Math.floor(rect.y));
+  const width = Math.min(source.width, Math.floor(rect.x + rect.width)) - x;
+  const height = Math.min(source.height, Math.floor(rect.y + rect.height)) - y;
+  if (width <= 0 || height <= 0) {
+    throw new RangeError(`Crop ${rect.width}x${rect.height}+${rect.x}+${rect.y} lies outside the ${source.width}x${source.height} image`);
+  }
+
+  const target = createRaster(width, height);
+  for (let row = 0; row < height; row++) {
+    const start = ((y + row) * source.width + x) * 3;
+    target.data.set(source.data.subarray(start, start + width * 3), row * width * 3);
+  }
+  return target;
+}
+
+/**
+ * Rotate clockwise by a multiple of 90 degrees
+ */
+export function rotate(source: Raster, degrees: number): Raster {
+  const turns = (((degrees / 90) % 4) + 4) % 4;
+  switch (turns) {
+    case 1:
+      return transform(source, (x, y, w, h) => [h - 1 - y, x], 'swap');
+    case 2:
+      return transform(source, (x, y, w, h) => [w - 1 - x, h - 1 - y]);
+    case 3:
+      return transform(source, (x, y, w) => [y, w - 1 - x], 'swap');
+    default:
+      return source;
+  }
+}
+
+/**
+ * Apply an EXIF orientation (1-8) so the pixels are upright
+ */
+export function orient(source: Raster, orientation: number): Raster {
+  switch (orientation) {
+    case 2:
+      return transform(source, (x, y, w) => [w - 1 - x, y]);
+    case 3:
+      return rotate(source, 180);
+    case 4:
+      return transform(source, (x, y, w, h) => [x, h - 1 - y]);
+    case 5:
+      return transform(source, (x, y) => [y, x], 'swap');
+    case 6:
+      return rotate(source, 90);
+    case 7:
+      return transform(source, (x, y, w, h) => [h - 1 - y, w - 1 - x], 'swap');
+    case 8:
+      return rotate(source, 270);
+    default:
+      return source;
+  }
+}
+
+// ========================================
+// Tone
+// ========================================
+
+/**
+ * Stretch the levels so the darkest and brightest `clip` fraction of pixels
+ * (by luminance) become black and white. Evens out frames taken under
+ * different fridge lighting.
+ */
+export function normalize(source: Raster, clip = 0.005): Raster {
+  const { data } = source;
+  const pixels = source.width * source.height;
+  const histogram = new Uint32Array(256);
+  for (let offset = 0; offset < data.length; offset += 3) {
+    histogram[luminance(data[offset]!, data[offset + 1]!, data[offset + 2]!)]! += 1;
+  }
+
+  const threshold = pixels * clip;
+  let low = 0;
+  for (let seen = 0; low < 255 && seen + histogram[low]! <= threshold; low++) {
+    seen += histogram[low]!;
+  }
+  let high = 255;
+  for (let seen = 0; high > 0 && seen + histogram[high]! <= threshold; high--) {
+    seen += histogram[high]!;
+  }
+  if (high <= low) {
+    return source;
+  }
+
+  const scale = 255 / (high - low);
+  const target = createRaster(source.width, source.height);
+  for (let offset = 0; offset < data.length; offset++) {
+    target.data[offset] = (data[offset]! - low) * scale;
+  }
+  return target;
+}
+
+export function grayscale(source: Raster): Raster {
+  const target = createRaster(source.width, source.height);
+  const { data } = source;
+  for (let offset = 0; offset < data.length; offset += 3) {
+    const value = luminance(data[offset]!, data[offset + 1]!, data[offset + 2]!);
+    target.data[offset] = value;
+    target.data[offset + 1] = value;
+    target.data[offset + 2] = value;
+  }
+  return target;
+}
+
+/**
+ * Rec. 601 luma, 0-255
+ */
+export function luminance(red: number, green: number, blue: number): number {
+  return Math.round(0.299 * red + 0.587 * green + 0.114 * blue);
+}
+
+// ========================================
+// Helpers
+// ========================================
+
+/**
+ * Copy pixels through a coordinate mapping from source (x, y) to target;
+ * 'swap' makes the target width x height the source's height x width
+ */
+function transform(
+  source: Raster,
+  map: (x: number, y: number, width: number, height: number) => [number, number],
+  dimensions: 'keep' | 'swap' = 'keep'
+): Raster {
+  const { width, height, data } = source;
+  const target = dimensions === 'swap' ? createRaster(height, width) : createRaster(width, height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const [tx, ty] = map(x, y, width, height);
+      const from = (y * width + x) * 3;
+      const to = (ty * target.width + tx) * 3;
+      target.data[to] = data[from]!;
+      target.data[to + 1] = data[from + 1]!;
+      target.data[to + 2] = data[from + 2]!;
+    }
+  }
+  return target;
+}
+
+/**
+ * Box-filter one axis of an RGB buffer to a new length
+ */
+function resampleAxis(
+  data: ArrayLike<number>,
+  width: number,
+  height: number,
+  length: number,
+  horizontal: boolean
+): Float32Array {
+  const sourceLength = horizontal ? width : height;
+  const lines = horizontal ? height : width;
+  const outWidth = horizontal ? length : width;
+  const target = new Float32Array(outWidth * (horizontal ? height : length) * 3);
+  const scale = sourceLength / length;
+
+  for (let index = 0; index < length; index++) {
+    const start = index * scale;
+    const end = Math.min(sourceLength, start + Math.max(scale, 1));
+    const first = Math.floor(start);
+    const last = Math.min(sourceLength - 1, Math.ceil(end) - 1);
+    const span = end - start;
+
+    for (let line = 0; line < lines; line++) {
+      let red = 0;
+      let green = 0;
+      let blue = 0;
+      for (let source = first; source <= last; source++) {
+        const weight = (Math.min(end, source + 1) - Math.max(start, source)) / span;
+        const offset = (horizontal ? line * width + source : source * width + line) * 3;
+        red += data[offset]! * weight;
+        green += data[offset + 1]! * weight;
+        blue += data[offset + 2]! * weight;
+      }
+      const out = (horizontal ? line * outWidth + index : index * outWidth + line) * 3;
+      target[out] = red;
+      target[out + 1] = green;
+      target[out + 2] = blue;
+    }
+  }
+  return target;
+}
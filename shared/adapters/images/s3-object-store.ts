@@ -0,0 +1,280 @@
+/**
+ * S3 Image Object Store
+ *
+ * ImageObjectStore on the S3 REST API, for Cloudflare R2, MinIO or AWS S3.
+ * Requests are signed with AWS Signature Version 4 on WebCrypto and use
+ * path-style URLs (<endpoint>/<bucket>/<key>), which all three accept.
+ * presignGet() produces query-signed GET URLs, so images are served by the
+ * bucket itself.
+ *
+ *   new S3ImageObjectStore({
+ *     endpoint: 'https://<account>.r2.cloudflarestorage.com',
+ *     bucket: 'delicasa-images',
+ *     region: 'auto',
+ *     accessKeyId, secretAccessKey
+ *   })
+ */
+
+import { ImageStorageError, assertObjectKey, sha256Hex, toHex } from './image-object-store';
+import type { ImageObjectStore } from './image-object-store';
+
+// ========================================
+// Types
+// ========================================
+
+export interface S3ImageObjectStoreOptions {
+  /**
+   * Service URL without the bucket, e.g. http://127.0.0.1:9000 for MinIO
+   */
+  endpoint: string;
+  bucket: string;
+
+  /**
+   * Signing region (default us-east-1; R2 expects "auto")
+   */
+  region?: string;
+
+  accessKeyId: string;
+  secretAccessKey: string;
+
+  fetch?: typeof fetch;
+  now?: () => Date;
+}
+
+/**
+ * Longest lifetime SigV4 allows for a presigned URL
+ */
+export const MAX_PRESIGN_SECONDS = 7 * 24 * 60 * 60;
+
+const ALGORITHM = 'AWS4-HMAC-SHA256';
+const SERVICE = 's3';
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+
+// ========================================
+// S3 Image Object Store
+// ========================================
+
+export class S3ImageObjectStore implements ImageObjectStore {
+  private readonly endpoint: URL;
+  private readonly region: string;
+  private readonly fetch: typeof fetch;
+  private readonly now: () => Date;
+
+  constructor(private readonly options: S3ImageObjectStoreOptions) {
+    this.endpoint = new URL(options.endpoint.replace(/\/+$/, ''));
+    this.region = options.region ?? 'us-east-1';
+    this.fetch = options.fetch ?? ((input, init) => globalThis.fetch(input, init));
+    this.now = options.now ?? (() => new Date());
+  }
+
+  async put(key: string, body: Uint8Array, contentType: string): Promise<void> {
+    assertObjectKey(key);
+    const response = await this.send('PUT', key, {}, body, { 'content-type': contentType });
+    await this.expectOk(response, 'PUT', key);
+  }
+
+  async get(key: string): Promise<Uint8Array | undefined> {
+    assertObjectKey(key);
+    const response = await this.send('GET', key);
+    if (response.status === 404) {
+      return undefined;
+    }
+    await this.expectOk(response, 'GET', key);
+    return new Uint8Array(await response.arrayBuffer());
+  }
+
+  async exists(key: string): Promise<boolean> {
+    assertObjectKey(key);
+    const response = await this.send('HEAD', key);
+    if (response.status === 404) {
+      return false;
+    }
+    await this.expectOk(response, 'HEAD', key);
+    return true;
+  }
+
+  async delete(key: string): Promise<void> {
+    assertObjectKey(key);
+    const response = await this.send('DELETE', key);
+    if (response.status !== 404) {
+      await this.expectOk(response, 'DELETE', key);
+    }
+  }
+
+  /**
+   * ListObjectsV2, following continuation tokens until the listing ends
+   */
+  async list(prefix: string): Promise<string[]> {
+    const keys: string[] = [];
+    let token: string | undefined;
+    do {
+      const query: Record<string, string> = {
+        'list-type': '2',
+        prefix,
+        ...(token !== undefined ? { 'continuation-token': token } : {})
+      };
+      const response = await this.send('GET', undefined, query);
+      await this.expectOk(response, 'LIST', prefix);
+      const xml = await response.text();
+      keys.push(...xmlValues(xml, 'Key'));
+      token = xmlValues(xml, 'IsTruncated')[0] === 'true' ? xmlValues(xml, 'NextContinuationToken')[0] : undefined;
+    } while (token !== undefined);
+    return keys;
+  }
+
+  async presignGet(key: string, expiresAt: Date): Promise<string> {
+    assertObjectKey(key);
+    const now = this.now();
+    const expiresIn = Math.ceil((expiresAt.getTime() - now.getTime()) / 1000);
+    if (expiresIn < 1 || expiresIn > MAX_PRESIGN_SECONDS) {
+      throw new ImageStorageError('UNSUPPORTED', `Presigned URLs must expire within 1 second and 7 days, got ${expiresIn}s`);
+    }
+
+    const url = this.urlOf(key);
+    const amzDate = toAmzDate(now);
+    const scope = this.scopeOf(amzDate);
+    const query: Record<string, string> = {
+      'X-Amz-Algorithm': ALGORITHM,
+      'X-Amz-Credential': `${this.options.accessKeyId}/${scope}`,
+      'X-Amz-Date': amzDate,
+      'X-Amz-Expires': String(expiresIn),
+      'X-Amz-SignedHeaders': 'host'
+    };
+    const signature = await this.signature('GET', url, query, { host: url.host }, UNSIGNED_PAYLOAD, amzDate);
+    url.search = canonicalQuery({ ...query, 'X-Amz-Signature': signature });
+    return url.toString();
+  }
+
+  private async send(
+    method: 'GET' | 'PUT' | 'HEAD' | 'DELETE',
+    key: string | undefined,
+    query: Record<string, string> = {},
+    body?: Uint8Array,
+    extraHeaders: Record<string, string> = {}
+  ): Promise<Response> {
+    const url = this.urlOf(key);
+    const amzDate = toAmzDate(this.now());
+    const payloadHash = await sha256Hex(body ?? new Uint8Array());
+    const headers: Record<string, string> = {
+      ...extraHeaders,
+      host: url.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate
+    };
+    const signature = await this.signature(method, url, query, headers, payloadHash, amzDate);
+    const { host: _host, ...sent } = headers;
+    url.search = canonicalQuery(query);
+
+    try {
+      return await this.fetch(url.toString(), {
+        method,
+        headers: {
+          ...sent,
+          Authorization: `${ALGORITHM} Credential=${this.options.accessKeyId}/${this.scopeOf(amzDate)}, SignedHeaders=${signedHeaders(headers)}, Signature=${signature}`
+        },
+        ...(body !== undefined ? { body: body as BodyInit } : {})
+      });
+    } catch (error) {
+      throw new ImageStorageError('NETWORK', `Object store request failed: ${error instanceof Error ? error.message : String(error)}`);
+    }
+  }
+
+  private async signature(
+    method: string,
+    url: URL,
+    query: Record<string, string>,
+    headers: Record<string, string>,
+    payloadHash: string,
+    amzDate: string
+  ): Promise<string> {
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      canonicalQuery(query),
+      Object.keys(headers).sort().map(name => `${name}:${headers[name]!.trim()}\n`).join(''),
+      signedHeaders(headers),
+      payloadHash
+    ].join('\n');
+    const stringToSign = [ALGORITHM, amzDate, this.scopeOf(amzDate), await sha256Hex(canonicalRequest)].join('\n');
+
+    let key: ArrayBuffer = await hmac(new TextEncoder().encode(`AWS4${this.options.secretAccessKey}`), amzDate.slice(0, 8));
+    for (const part of [this.region, SERVICE, 'aws4_request']) {
+      key = await hmac(key, part);
+    }
+    return toHex(await hmac(key, stringToSign));
+  }
+
+  private scopeOf(amzDate: string): string {
+    return `${amzDate.slice(0, 8)}/${this.region}/${SERVICE}/aws4_request`;
+  }
+
+  /**
+   * Path-style URL of the bucket or of one key in it
+   */
+  private urlOf(key?: string): URL {
+    const url = new URL(this.endpoint);
+    const segments = [this.options.bucket, ...(key !== undefined ? key.split('/') : [])];
+    url.pathname = `${url.pathname.replace(/\/+$/, '')}/${segments.map(uriEncode).join('/')}`;
+    return url;
+  }
+
+  private async expectOk(response: Response, operation: string, key: string): Promise<void> {
+    if (response.ok) {
+      return;
+    }
+    const text = operation === 'HEAD' ? '' : await response.text().catch(() => '');
+    const detail = xmlValues(text, 'Message')[0] ?? xmlValues(text, 'Code')[0] ?? `HTTP ${response.status}`;
+    throw new ImageStorageError(
+      response.status === 404 ? 'NOT_FOUND' : 'STORE_ERROR',
+      `Object store rejected ${operation} ${key}: ${detail}`,
+      response.status
+    );
+  }
+}
+
+// ========================================
+// Helpers
+// ========================================
+
+async function hmac(key: ArrayBuffer | Uint8Array, data: string): Promise<ArrayBuffer> {
+  const cryptoKey = await crypto.subtle.importKey('raw', key as BufferSource, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  return crypto.subtle.sign('HMAC', cryptoKey, new TextEncoder().encode(data));
+}
+
+/**
+ * 20240101T120000Z
+ */
+function toAmzDate(date: Date): string {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * RFC 3986 percent-encoding: everything but A-Z a-z 0-9 - . _ ~
+ */
+function uriEncode(value: string): string {
+  return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function canonicalQuery(query: Record<string, string>): string {
+  return Object.keys(query)
+    .sort()
+    .map(name => `${uriEncode(name)}=${uriEncode(query[name]!)}`)
+    .join('&');
+}
+
+function signedHeaders(headers: Record<string, string>): string {
+  return Object.keys(headers).sort().join(';');
+}
+
+function xmlValues(xml: string, tag: string): string[] {
+  return Array.from(xml.matchAll(new RegExp(`<${tag}>([^<]*)</${tag}>`, 'g')), match => unescapeXml(match[1] ?? ''));
+}
+
+function unescapeXml(value: string): string {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
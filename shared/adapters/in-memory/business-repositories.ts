@@ -0,0 +1,206 @@
+/**
+ * In-Memory Business Logic Repository Adapters (orders and payments)
+ */
+
+import type { FilterOptions } from '../../types/base-repository';
+import type { Order, Payment, PaymentMethod } from '../../types/domain-entities';
+import type {
+  OrderRepositoryPort,
+  PaymentRepositoryPort,
+  PaymentMethodRepositoryPort,
+  OrderStatistics
+} from '../../ports/repository-ports';
+import { OrderStatus, PaymentStatus } from '../../types/domain-entities';
+import { InMemoryRepository } from './in-memory-repository';
+import type { InMemoryAdapterOptions } from './in-memory-repository';
+
+export class InMemoryOrderRepositoryAdapter extends InMemoryRepository<Order> implements OrderRepositoryPort {
+  constructor(options: InMemoryAdapterOptions = {}) {
+    super({ entityType: 'Order', searchFields: ['id', 'notes', 'paymentMethod'], ...options });
+  }
+
+  async findByUserId(userId: string, filters?: FilterOptions): Promise<Order[]> {
+    return this.select(order => order.userId === userId, filters);
+  }
+
+  async findByStatus(status: OrderStatus, filters?: FilterOptions): Promise<Order[]> {
+    return this.select(order => order.status === status, filters);
+  }
+
+  async findByContainer(containerId: string, filters?: FilterOptions): Promise<Order[]> {
+    return this.select(order => order.containerId === containerId, filters);
+  }
+
+  async findByPaymentStatus(paymentStatus: PaymentStatus, filters?: FilterOptions): Promise<Order[]> {
+    return this.select(order => order.paymentStatus === paymentStatus, filters);
+  }
+
+  async updateStatus(id: string, status: OrderStatus): Promise<void> {
+    await this.patch(id, { status });
+  }
+
+  async updatePaymentStatus(id: string, paymentStatus: PaymentStatus): Promise<void> {
+    await this.patch(id, { paymentStatus });
+  }
+
+  async setDeliveryTime(id: string, estimatedTime?: Date, actualTime?: Date): Promise<void> {
+    await this.patch(id, {
+      ...(estimatedTime ? { estimatedDeliveryTime: estimatedTime } : {}),
+      ...(actualTime ? { actualDeliveryTime: actualTime } : {})
+    });
+  }
+
+  async findPendingOrders(olderThan?: Date): Promise<Order[]> {
+    return this.select(order =>
+      order.status === OrderStatus.PENDING &&
+      (olderThan === undefined || order.createdAt < olderThan)
+    );
+  }
+
+  async findOrdersInDateRange(startDate: Date, endDate: Date): Promise<Order[]> {
+    return this.findByDateRange(startDate, endDate);
+  }
+
+  /**
+   * Revenue counts orders whose payment succeeded and that were not cancelled
+   */
+  async calculateRevenue(startDate?: Date, endDate?: Date): Promise<number> {
+    return sum((await this.revenueOrders(startDate, endDate)).map(order => order.totalAmount));
+  }
+
+  async getOrderStatistics(startDate?: Date, endDate?: Date): Promise<OrderStatistics> {
+    const orders = await this.select(order => inRange(order.createdAt, startDate, endDate));
+    const revenueOrders = await this.revenueOrders(startDate, endDate);
+    const totalRevenue = sum(revenueOrders.map(order => order.totalAmount));
+
+    const ordersByStatus = Object.fromEntries(
+      Object.values(OrderStatus).map(status => [status, 0])
+    ) as Record<OrderStatus, number>;
+    const ordersByContainer: Record<string, number> = {};
+    const ordersByTimeOfDay: Record<string, number> = {};
+
+    for (const order of orders) {
+      ordersByStatus[order.status] += 1;
+      if (order.containerId) {
+        ordersByContainer[order.containerId] = (ordersByContainer[order.containerId] ?? 0) + 1;
+      }
+      const hour = String(order.createdAt.getUTCHours()).padStart(2, '0');
+      ordersByTimeOfDay[hour] = (ordersByTimeOfDay[hour] ?? 0) + 1;
+    }
+
+    return {
+      totalOrders: orders.length,
+      totalRevenue,
+      averageOrderValue: revenueOrders.length > 0 ? totalRevenue / revenueOrders.length : 0,
+      ordersByStatus,
+      ordersByContainer,
+      ordersByTimeOfDay
+    };
+  }
+
+  private revenueOrders(startDate?: Date, endDate?: Date): Promise<Order[]> {
+    return this.select(order =>
+      order.paymentStatus === PaymentStatus.SUCCEEDED &&
+      order.status !== OrderStatus.CANCELLED &&
+      inRange(order.createdAt, startDate, endDate)
+    );
+  }
+}
+
+export class InMemoryPaymentRepositoryAdapter extends InMemoryRepository<Payment> implements PaymentRepositoryPort {
+  constructor(options: InMemoryAdapterOptions = {}) {
+    super({ entityType: 'Payment', searchFields: ['id', 'description', 'stripePaymentIntentId', 'pixTxid'], ...options });
+  }
+
+  async findByUserId(userId: string, filters?: FilterOptions): Promise<Payment[]> {
+    return this.select(payment => payment.userId === userId, filters);
+  }
+
+  async findByOrderId(orderId: string): Promise<Payment[]> {
+    return this.select(payment => payment.orderId === orderId);
+  }
+
+  async findByStatus(status: PaymentStatus, filters?: FilterOptions): Promise<Payment[]> {
+    return this.select(payment => payment.status === status, filters);
+  }
+
+  async findByStripePaymentIntentId(stripeId: string): Promise<Payment | null> {
+    return (await this.select(payment => payment.stripePaymentIntentId === stripeId))[0] ?? null;
+  }
+
+  async findByPixTxid(txid: string): Promise<Payment | null> {
+    return (await this.select(payment => payment.pixTxid === txid))[0] ?? null;
+  }
+
+  async updateStatus(id: string, status: PaymentStatus): Promise<void> {
+    await this.patch(id, { status });
+  }
+
+  async calculateTotalAmount(filters?: FilterOptions): Promise<number> {
+    return sum(this.query(filters).map(payment => payment.amount));
+  }
+
+  async findFailedPayments(olderThan?: Date): Promise<Payment[]> {
+    return this.select(payment =>
+      payment.status === PaymentStatus.FAILED &&
+      (olderThan === undefined || payment.createdAt < olderThan)
+    );
+  }
+
+  async findRefundablePayments(filters?: FilterOptions): Promise<Payment[]> {
+    return this.select(payment => payment.status === PaymentStatus.SUCCEEDED, filters);
+  }
+}
+
+export class InMemoryPaymentMethodRepositoryAdapter extends InMemoryRepository<PaymentMethod> implements PaymentMethodRepositoryPort {
+  constructor(options: InMemoryAdapterOptions = {}) {
+    super({ entityType: 'PaymentMethod', searchFields: ['brand', 'lastFour'], ...options });
+  }
+
+  async findByUserId(userId: string): Promise<PaymentMethod[]> {
+    return this.select(method => method.userId === userId);
+  }
+
+  async findByStripePaymentMethodId(stripeId: string): Promise<PaymentMethod | null> {
+    return (await this.select(method => method.stripePaymentMethodId === stripeId))[0] ?? null;
+  }
+
+  async findDefaultForUser(userId: string): Promise<PaymentMethod | null> {
+    return (await this.select(method => method.userId === userId && method.isDefault))[0] ?? null;
+  }
+
+  /**
+   * Exactly one default per user: the previous default is cleared
+   */
+  async setAsDefault(id: string, userId: string): Promise<void> {
+    const method = this.requireActive(id);
+    if (method.userId !== userId) {
+      throw new Error(`PaymentMethod ${id} does not belong to user ${userId}`);
+    }
+
+    for (const other of await this.select(candidate => candidate.userId === userId && candidate.isDefault && candidate.id !== id)) {
+      await this.patch(other.id, { isDefault: false });
+    }
+    await this.patch(id, { isDefault: true });
+  }
+
+  async deactivate(id: string): Promise<void> {
+    await this.patch(id, { isActive: false });
+  }
+
+  async activate(id: string): Promise<void> {
+    await this.patch(id, { isActive: true });
+  }
+
+  async findActiveForUser(userId: string): Promise<PaymentMethod[]> {
+    return this.select(method => method.userId === userId && method.isActive);
+  }
+}
+
+function inRange(date: Date, startDate?: Date, endDate?: Date): boolean {
+  return (startDate === undefined || date >= startDate) && (endDate === undefined || date <= endDate);
+}
+
+function sum(values: number[]): number {
+  return values.reduce((total, value) => total + value, 0);
+}
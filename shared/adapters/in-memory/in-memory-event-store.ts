@@ -0,0 +1,57 @@
+/**
+ * In-Memory Event Store
+ *
+ * Append-only, per-aggregate event log backing DomainEventBus in tests and
+ * local tooling. Versions must be appended strictly in sequence.
+ */
+
+import type { DomainEvent } from '../../types/base-repository';
+import type { EventStorePort } from '../../ports/service-ports';
+import { cloneValue } from './in-memory-repository';
+
+/**
+ * Raised when an appended event does not carry the next expected version
+ */
+export class EventVersionConflictError extends Error {
+  constructor(
+    public readonly aggregateId: string,
+    public readonly expectedVersion: number,
+    public readonly actualVersion: number
+  ) {
+    super(`Version conflict on aggregate ${aggregateId}: expected ${expectedVersion}, got ${actualVersion}`);
+    this.name = 'EventVersionConflictError';
+  }
+}
+
+export class InMemoryEventStore implements EventStorePort {
+  private streams = new Map<string, DomainEvent[]>();
+
+  async append(event: DomainEvent): Promise<void> {
+    const stream = this.streams.get(event.aggregateId) ?? [];
+    const expectedVersion = stream.length + 1;
+
+    if (event.version !== expectedVersion) {
+      throw new EventVersionConflictError(event.aggregateId, expectedVersion, event.version);
+    }
+
+    stream.push(cloneValue(event));
+    this.streams.set(event.aggregateId, stream);
+  }
+
+  async getEvents(aggregateId: string, fromVersion = 1): Promise<DomainEvent[]> {
+    return (this.streams.get(aggregateId) ?? [])
+      .filter(event => event.version >= fromVersion)
+      .map(cloneValue);
+  }
+
+  async getLatestVersion(aggregateId: string): Promise<number> {
+    return this.streams.get(aggregateId)?.length ?? 0;
+  }
+
+  /**
+   * Remove every stored stream
+   */
+  clear(): void {
+    this.streams.clear();
+  }
+}
@@ -0,0 +1,769 @@
+/**
+ * In-Memory Reference Repository
+ *
+ * Generic Map-backed implementation of the base repository contracts. Every
+ * in-memory port adapter builds on this class so that BridgeServer and
+ * next-client unit tests exercise one agreed set of repository semantics.
+ */
+
+import type {
+  FilterOptions,
+  PaginatedResponse,
+  BaseRepository,
+  SoftDeletableRepository,
+  AuditableRepository,
+  TransactionContext,
+  TransactionalRepository,
+  EventAwareRepository,
+  DomainEvent,
+  AuditTrail
+} from '../../types/base-repository';
+
+import type { EventBusServicePort } from '../../ports/service-ports';
+
+import { createCursorCodec, cursorPositionOf } from '../../types/pagination';
+import { isFilterExpression, evaluateFilter } from '../../types/filter-expression';
+import type { FilterExpression } from '../../types/filter-expression';
+import type { CursorCodec } from '../../types/pagination';
+import { DEFAULT_PAGINATION } from '../../types/pagination';
+import { generateEntityId } from '../../types/utilities';
+
+/**
+ * Options shared by all in-memory repository adapters
+ */
+export interface InMemoryRepositoryOptions {
+  /**
+   * Entity type recorded in audit trails (e.g. 'Controller')
+   */
+  entityType: string;
+
+  /**
+   * Field used for sorting when FilterOptions.sortBy is not given
+   */
+  defaultSortBy?: string;
+
+  /**
+   * Fields matched by FilterOptions.search (defaults to every string field)
+   */
+  searchFields?: string[];
+
+  /**
+   * Clock used for audit timestamps, updatedAt and soft deletion
+   */
+  now?: () => Date;
+
+  /**
+   * Event bus used by the EventAwareRepository methods
+   */
+  eventBus?: Pick<EventBusServicePort, 'publishMany'>;
+
+  /**
+   * Secret used to sign pagination cursors
+   */
+  cursorSecret?: string;
+}
+
+/**
+ * Options accepted by the port adapters (entity type is fixed per adapter)
+ */
+export type InMemoryAdapterOptions = Omit<InMemoryRepositoryOptions, 'entityType'>;
+
+/**
+ * Raised when an operation targets an entity that does not exist
+ */
+export class EntityNotFoundError extends Error {
+  constructor(public readonly entityType: string, public readonly entityId: string) {
+    super(`${entityType} not found: ${entityId}`);
+    this.name = 'EntityNotFoundError';
+  }
+}
+
+/**
+ * Raised when createMany receives an ID that is already stored
+ */
+export class DuplicateEntityError extends Error {
+  constructor(public readonly entityType: string, public readonly entityId: string) {
+    super(`${entityType} already exists: ${entityId}`);
+    this.name = 'DuplicateEntityError';
+  }
+}
+
+type Scope = 'active' | 'deleted' | 'all';
+
+/**
+ * Fixed default so cursors stay valid across adapter instances in tests
+ */
+const DEFAULT_CURSOR_SECRET = 'in-memory-cursor-secret';
+
+interface StoreSnapshot<TEntity> {
+  records: Map<string, TEntity>;
+  deletedAt: Map<string, Date>;
+  auditTrail: AuditTrail[];
+}
+
+/**
+ * Transaction context handed out by InMemoryRepository.beginTransaction()
+ */
+class InMemoryTransaction<TEntity> implements TransactionContext {
+  readonly id = generateEntityId();
+  isActive = true;
+  readonly pendingEvents: DomainEvent[] = [];
+
+  constructor(
+    private readonly snapshot: StoreSnapshot<TEntity>,
+    private readonly onCommit: (transaction: InMemoryTransaction<TEntity>) => Promise<void>,
+    private readonly onRollback: (transaction: InMemoryTransaction<TEntity>, snapshot: StoreSnapshot<TEntity>) => void
+  ) {}
+
+  async commit(): Promise<void> {
+    if (!this.isActive) {
+      throw new Error(`Transaction ${this.id} is no longer active`);
+    }
+    this.isActive = false;
+    await this.onCommit(this);
+  }
+
+  async rollback(): Promise<void> {
+    if (!this.isActive) {
+      throw new Error(`Transaction ${this.id} is no longer active`);
+    }
+    this.isActive = false;
+    this.onRollback(this, this.snapshot);
+  }
+}
+
+/**
+ * Generic in-memory repository implementing the base, soft-deletable,
+ * auditable, transactional and event-aware repository contracts.
+ *
+ * Entities are copied on the way in and out, so callers can never mutate
+ * stored state without going through the repository.
+ */
+export class InMemoryRepository<TEntity extends { id: string }> implements
+  BaseRepository<TEntity>,
+  SoftDeletableRepository<TEntity>,
+  AuditableRepository<TEntity>,
+  TransactionalRepository<TEntity>,
+  EventAwareRepository<TEntity> {
+
+  protected records = new Map<string, TEntity>();
+  protected deletedAt = new Map<string, Date>();
+  protected auditTrail: AuditTrail[] = [];
+  protected readonly now: () => Date;
+
+  private transaction: TransactionContext | null = null;
+  private readonly cursors: CursorCodec;
+
+  constructor(protected readonly options: InMemoryRepositoryOptions) {
+    this.now = options.now ?? (() => new Date());
+    this.cursors = createCursorCodec(options.cursorSecret ?? DEFAULT_CURSOR_SECRET);
+  }
+
+  // ========================================
+  // BaseRepository
+  // ========================================
+
+  async findById(id: string): Promise<TEntity | null> {
+    const entity = this.getActive(id);
+    return entity ? cloneValue(entity) : null;
+  }
+
+  async findAll(filters?: FilterOptions): Promise<TEntity[]> {
+    return (await this.paginate(this.query(filters), filters)).map(cloneValue);
+  }
+
+  /**
+   * Pages by offset, or by cursor when FilterOptions.after/before is set.
+   * Both modes return cursors for the neighbouring pages.
+   */
+  async findAllPaginated(filters?: FilterOptions): Promise<PaginatedResponse<TEntity>> {
+    const matches = this.query(filters);
+    const limit = clampLimit(filters?.limit);
+    const { start, end } = await this.window(matches, filters, limit);
+    const data = matches.slice(start, end);
+    const total = matches.length;
+    const { sortBy, sortOrder } = this.sortOf(filters);
+    const first = data[0];
+    const last = data[data.length - 1];
+
+    return {
+      data: data.map(cloneValue),
+      meta: {
+        total,
+        page: Math.floor(start / limit) + 1,
+        limit,
+        totalPages: Math.ceil(total / limit),
+        hasNext: end < total,
+        hasPrevious: start > 0,
+        ...(end < total && last ? { nextCursor: await this.cursors.encode(cursorPositionOf(last, sortBy, sortOrder)) } : {}),
+        ...(start > 0 && first ? { prevCursor: await this.cursors.encode(cursorPositionOf(first, sortBy, sortOrder)) } : {})
+      }
+    };
+  }
+
+  async save(entity: TEntity): Promise<TEntity> {
+    const id = entity.id || generateEntityId();
+    const existing = this.records.get(id);
+
+    if (!existing) {
+      const created = cloneValue({ ...entity, id });
+      this.records.set(id, created);
+      this.recordAudit(id, 'create', diffEntities(undefined, created), created);
+      return cloneValue(created);
+    }
+
+    return this.replace(existing, cloneValue({ ...entity, id }));
+  }
+
+  async update(id: string, updates: Partial<TEntity>): Promise<TEntity> {
+    const existing = this.requireActive(id);
+    return this.replace(existing, { ...existing, ...cloneValue(updates), id });
+  }
+
+  async delete(id: string): Promise<void> {
+    const existing = this.requireActive(id);
+    this.records.delete(id);
+    this.recordAudit(id, 'delete', diffEntities(existing, undefined), existing);
+  }
+
+  async exists(id: string): Promise<boolean> {
+    return this.getActive(id) !== undefined;
+  }
+
+  async count(filters?: FilterOptions): Promise<number> {
+    return this.query(filters).length;
+  }
+
+  async findOne(filters: FilterOptions): Promise<TEntity | null> {
+    const [first] = this.query(filters);
+    return first ? cloneValue(first) : null;
+  }
+
+  async createMany(entities: TEntity[]): Promise<TEntity[]> {
+    const snapshot = this.takeSnapshot();
+
+    try {
+      const created: TEntity[] = [];
+      for (const entity of entities) {
+        if (entity.id && this.records.has(entity.id)) {
+          throw new DuplicateEntityError(this.options.entityType, entity.id);
+        }
+        created.push(await this.save(entity));
+      }
+      return created;
+    } catch (error) {
+      this.restoreSnapshot(snapshot);
+      throw error;
+    }
+  }
+
+  async updateMany(filters: FilterOptions, updates: Partial<TEntity>): Promise<number> {
+    const matches = this.query(filters);
+    for (const entity of matches) {
+      await this.update(entity.id, updates);
+    }
+    return matches.length;
+  }
+
+  async deleteMany(filters: FilterOptions): Promise<number> {
+    const matches = this.query(filters);
+    for (const entity of matches) {
+      await this.delete(entity.id);
+    }
+    return matches.length;
+  }
+
+  // ========================================
+  // SoftDeletableRepository
+  // ========================================
+
+  async softDelete(id: string): Promise<void> {
+    const existing = this.requireActive(id);
+    const timestamp = this.now();
+    const updated = this.withSoftDeleteFields(existing, timestamp);
+
+    this.records.set(id, updated);
+    this.deletedAt.set(id, timestamp);
+    this.recordAudit(id, 'delete', diffEntities(existing, updated), updated, { soft: true });
+  }
+
+  async restore(id: string): Promise<TEntity> {
+    const existing = this.records.get(id);
+    if (!existing || !this.deletedAt.has(id)) {
+      throw new EntityNotFoundError(this.options.entityType, id);
+    }
+
+    const restored = this.withSoftDeleteFields(existing, null);
+    this.records.set(id, restored);
+    this.deletedAt.delete(id);
+    this.recordAudit(id, 'restore', diffEntities(existing, restored), restored);
+    return cloneValue(restored);
+  }
+
+  async findAllWithDeleted(filters?: FilterOptions): Promise<TEntity[]> {
+    return (await this.paginate(this.query(filters, 'all'), filters)).map(cloneValue);
+  }
+
+  async findDeleted(filters?: FilterOptions): Promise<TEntity[]> {
+    return (await this.paginate(this.query(filters, 'deleted'), filters)).map(cloneValue);
+  }
+
+  async forceDelete(id: string): Promise<void> {
+    const existing = this.records.get(id);
+    if (!existing || !this.deletedAt.has(id)) {
+      throw new EntityNotFoundError(this.options.entityType, id);
+    }
+
+    this.records.delete(id);
+    this.deletedAt.delete(id);
+    this.recordAudit(id, 'delete', diffEntities(existing, undefined), existing, { force: true });
+  }
+
+  // ========================================
+  // AuditableRepository
+  // ========================================
+
+  async findByDateRange(startDate: Date, endDate: Date, filters?: FilterOptions): Promise<TEntity[]> {
+    return this.findInRange('createdAt', startDate, endDate, filters);
+  }
+
+  async findModifiedInRange(startDate: Date, endDate: Date, filters?: FilterOptions): Promise<TEntity[]> {
+    return this.findInRange('updatedAt', startDate, endDate, filters);
+  }
+
+  async getAuditTrail(id: string): Promise<AuditTrail[]> {
+    return this.auditTrail.filter(entry => entry.entityId === id).map(cloneValue);
+  }
+
+  // ========================================
+  // TransactionalRepository
+  // ========================================
+
+  /**
+   * Start a transaction that can roll this store back to its current state
+   */
+  beginTransaction(): TransactionContext {
+    return new InMemoryTransaction<TEntity>(
+      this.takeSnapshot(),
+      async transaction => {
+        this.clearTransaction(transaction);
+        if (transaction.pendingEvents.length > 0) {
+          await this.options.eventBus?.publishMany(transaction.pendingEvents);
+        }
+      },
+      (transaction, snapshot) => {
+        this.clearTransaction(transaction);
+        this.restoreSnapshot(snapshot);
+      }
+    );
+  }
+
+  async withTransaction<TResult>(callback: (repository: this) => Promise<TResult>): Promise<TResult> {
+    // Nested calls join the outer transaction
+    if (this.transaction?.isActive) {
+      return callback(this);
+    }
+
+    const transaction = this.beginTransaction();
+    this.setTransaction(transaction);
+
+    try {
+      const result = await callback(this);
+      await transaction.commit();
+      return result;
+    } catch (error) {
+      if (transaction.isActive) {
+        await transaction.rollback();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Only contexts created by beginTransaction() can roll this store back;
+   * foreign contexts are tracked but their rollback is left to the caller.
+   */
+  setTransaction(transaction: TransactionContext): void {
+    this.transaction = transaction;
+  }
+
+  getTransaction(): TransactionContext | null {
+    return this.transaction?.isActive ? this.transaction : null;
+  }
+
+  // ========================================
+  // EventAwareRepository
+  // ========================================
+
+  async saveWithEvents(entity: TEntity, events: DomainEvent[]): Promise<TEntity> {
+    const saved = await this.save(entity);
+    await this.publishEvents(events);
+    return saved;
+  }
+
+  async updateWithEvents(id: string, updates: Partial<TEntity>, events: DomainEvent[]): Promise<TEntity> {
+    const updated = await this.update(id, updates);
+    await this.publishEvents(events);
+    return updated;
+  }
+
+  async deleteWithEvents(id: string, events: DomainEvent[]): Promise<void> {
+    await this.delete(id);
+    await this.publishEvents(events);
+  }
+
+  // ========================================
+  // Test Helpers
+  // ========================================
+
+  /**
+   * Remove all entities, soft-deletion markers and audit entries
+   */
+  clear(): void {
+    this.records.clear();
+    this.deletedAt.clear();
+    this.auditTrail = [];
+  }
+
+  // ========================================
+  // Helpers for Port Adapters
+  // ========================================
+
+  /**
+   * Get an active (not soft-deleted) entity without copying it
+   */
+  protected getActive(id: string): TEntity | undefined {
+    return this.deletedAt.has(id) ? undefined : this.records.get(id);
+  }
+
+  /**
+   * Get an active entity or throw EntityNotFoundError
+   */
+  protected requireActive(id: string): TEntity {
+    const entity = this.getActive(id);
+    if (!entity) {
+      throw new EntityNotFoundError(this.options.entityType, id);
+    }
+    return entity;
+  }
+
+  /**
+   * List active entities matching a predicate, then apply FilterOptions
+   */
+  protected async select(predicate: (entity: TEntity) => boolean, filters?: FilterOptions): Promise<TEntity[]> {
+    return (await this.paginate(this.query(filters).filter(predicate), filters)).map(cloneValue);
+  }
+
+  /**
+   * Apply updates and remove optional fields in a single audited change
+   */
+  protected async patch(id: string, updates: Partial<TEntity>, unset: (keyof TEntity)[] = [], metadata?: Record<string, any>): Promise<TEntity> {
+    const existing = this.requireActive(id);
+    const next: Record<string, unknown> = { ...existing, ...cloneValue(updates), id };
+    for (const key of unset) {
+      delete next[key as string];
+    }
+    return this.replace(existing, next as unknown as TEntity, metadata);
+  }
+
+  /**
+   * Filter, search and sort entities in the given scope (no paging)
+   */
+  protected query(filters?: FilterOptions, scope: Scope = 'active'): TEntity[] {
+    const { sortBy, sortOrder } = this.sortOf(filters);
+
+    return [...this.records.values()]
+      .filter(entity => this.inScope(entity.id, scope))
+      .filter(entity => matchesFieldFilters(entity, filters?.filters))
+      .filter(entity => matchesSearch(entity, filters?.search, this.options.searchFields))
+      .sort((a, b) => compareEntities(a, b, sortBy, sortOrder));
+  }
+
+  /**
+   * Apply offset or cursor, and limit, from FilterOptions to sorted entities
+   */
+  protected async paginate(entities: TEntity[], filters?: FilterOptions): Promise<TEntity[]> {
+    const { start, end } = await this.window(entities, filters, filters?.limit);
+    return entities.slice(start, end);
+  }
+
+  protected sortOf(filters?: FilterOptions): { sortBy: string; sortOrder: 'asc' | 'desc' } {
+    return {
+      sortBy: filters?.sortBy ?? this.options.defaultSortBy ?? 'createdAt',
+      sortOrder: filters?.sortOrder ?? 'desc'
+    };
+  }
+
+  /**
+   * Index range of the requested page. A cursor marks a boundary row, which
+   * is itself excluded from the page.
+   *
+   * @throws InvalidCursorError
+   */
+  private async window(
+    entities: TEntity[],
+    filters: FilterOptions | undefined,
+    limit: number | undefined
+  ): Promise<{ start: number; end: number }> {
+    const cursor = filters?.after ?? filters?.before;
+    if (cursor === undefined) {
+      const start = Math.min(entities.length, Math.max(0, filters?.offset ?? 0));
+      return { start, end: limit === undefined ? entities.length : Math.min(entities.length, start + limit) };
+    }
+
+    const { sortBy, sortOrder } = this.sortOf(filters);
+    const position = await this.cursors.decode(cursor, { sortBy, sortOrder });
+    const boundary = { [sortBy]: position.value, id: position.id };
+    const firstAfter = entities.findIndex(entity => compareEntities(entity, boundary, sortBy, sortOrder) > 0);
+    const afterIndex = firstAfter === -1 ? entities.length : firstAfter;
+
+    if (filters?.after !== undefined) {
+      return { start: afterIndex, end: limit === undefined ? entities.length : Math.min(entities.length, afterIndex + limit) };
+    }
+
+    const firstNotBefore = entities.findIndex(entity => compareEntities(entity, boundary, sortBy, sortOrder) >= 0);
+    const end = firstNotBefore === -1 ? entities.length : firstNotBefore;
+    return { start: limit === undefined ? 0 : Math.max(0, end - limit), end };
+  }
+
+  protected async publishEvents(events: DomainEvent[]): Promise<void> {
+    if (events.length === 0) return;
+
+    const transaction = this.getTransaction();
+    if (transaction instanceof InMemoryTransaction) {
+      transaction.pendingEvents.push(...events);
+      return;
+    }
+
+    await this.options.eventBus?.publishMany(events);
+  }
+
+  // ========================================
+  // Private Implementation
+  // ========================================
+
+  private replace(existing: TEntity, next: TEntity, metadata?: Record<string, any>): TEntity {
+    const record = next as Record<string, unknown>;
+    const previous = existing as Record<string, unknown>;
+
+    if ('updatedAt' in record) {
+      record['updatedAt'] = this.now();
+    }
+    if (typeof previous['version'] === 'number') {
+      record['version'] = previous['version'] + 1;
+    }
+
+    this.records.set(next.id, next);
+    this.recordAudit(next.id, 'update', diffEntities(existing, next), next, metadata);
+    return cloneValue(next);
+  }
+
+  private withSoftDeleteFields(entity: TEntity, timestamp: Date | null): TEntity {
+    const record: Record<string, unknown> = { ...entity };
+    if ('isDeleted' in record) {
+      record['isDeleted'] = timestamp !== null;
+    }
+    if (timestamp) {
+      record['deletedAt'] = timestamp;
+    } else {
+      delete record['deletedAt'];
+    }
+    return record as unknown as TEntity;
+  }
+
+  private findInRange(field: string, startDate: Date, endDate: Date, filters?: FilterOptions): Promise<TEntity[]> {
+    const start = startDate.getTime();
+    const end = endDate.getTime();
+
+    return this.select(entity => {
+      const value = (entity as Record<string, unknown>)[field];
+      return value instanceof Date && value.getTime() >= start && value.getTime() <= end;
+    }, filters);
+  }
+
+  private inScope(id: string, scope: Scope): boolean {
+    switch (scope) {
+      case 'active': return !this.deletedAt.has(id);
+      case 'deleted': return this.deletedAt.has(id);
+      case 'all': return true;
+    }
+  }
+
+  private recordAudit(
+    entityId: string,
+    action: AuditTrail['action'],
+    changes: AuditTrail['changes'],
+    entity: TEntity,
+    metadata?: Record<string, any>
+  ): void {
+    const record = entity as Record<string, unknown>;
+    const userId = record['updatedBy'] ?? record['createdBy'];
+
+    this.auditTrail.push({
+      id: generateEntityId(),
+      entityId,
+      entityType: this.options.entityType,
+      action,
+      changes,
+      timestamp: this.now(),
+      ...(typeof userId === 'string' ? { userId } : {}),
+      ...(metadata ? { metadata } : {})
+    });
+  }
+
+  private takeSnapshot(): StoreSnapshot<TEntity> {
+    return {
+      records: new Map([...this.records].map(([id, entity]) => [id, cloneValue(entity)])),
+      deletedAt: new Map(this.deletedAt),
+      auditTrail: [...this.auditTrail]
+    };
+  }
+
+  private restoreSnapshot(snapshot: StoreSnapshot<TEntity>): void {
+    this.records = snapshot.records;
+    this.deletedAt = snapshot.deletedAt;
+    this.auditTrail = snapshot.auditTrail;
+  }
+
+  private clearTransaction(transaction: TransactionContext): void {
+    if (this.transaction === transaction) {
+      this.transaction = null;
+    }
+  }
+}
+
+// ========================================
+// Shared Helpers
+// ========================================
+
+/**
+ * Deep copy plain objects, arrays and dates; other values are shared
+ */
+export function cloneValue<T>(value: T): T {
+  if (value instanceof Date) {
+    return new Date(value.getTime()) as T;
+  }
+  if (Array.isArray(value)) {
+    return value.map(cloneValue) as T;
+  }
+  if (value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    const copy: Record<string, unknown> = {};
+    for (const [key, nested] of Object.entries(value)) {
+      copy[key] = cloneValue(nested);
+    }
+    return copy as T;
+  }
+  return value;
+}
+
+/**
+ * Structural equality for plain data (dates compared by time)
+ */
+export function valuesEqual(a: unknown, b: unknown): boolean {
+  if (a instanceof Date && b instanceof Date) {
+    return a.getTime() === b.getTime();
+  }
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, index) => valuesEqual(item, b[index]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return [...keys].every(key => valuesEqual(a[key], b[key]));
+  }
+  return a === b;
+}
+
+/**
+ * Great-circle distance between two points in kilometres
+ */
+export function distanceKm(lat1: number, lon1: number, lat2: number, lon2: number): number {
+  const toRadians = (degrees: number) => degrees * Math.PI / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+function clampLimit(limit?: number): number {
+  const requested = limit ?? DEFAULT_PAGINATION.limit;
+  return Math.min(Math.max(1, requested), DEFAULT_PAGINATION.maxLimit);
+}
+
+function diffEntities(before: unknown, after: unknown): AuditTrail['changes'] {
+  const previous = (before ?? {}) as Record<string, unknown>;
+  const next = (after ?? {}) as Record<string, unknown>;
+  const changes: AuditTrail['changes'] = {};
+
+  for (const key of new Set([...Object.keys(previous), ...Object.keys(next)])) {
+    if (!valuesEqual(previous[key], next[key])) {
+      changes[key] = { old: cloneValue(previous[key]), new: cloneValue(next[key]) };
+    }
+  }
+  return changes;
+}
+
+/**
+ * Filter expressions are evaluated as-is. Equality maps: array filter values
+ * match any element, array fields match when they contain the filter value.
+ */
+function matchesFieldFilters(entity: object, filters?: Record<string, any> | FilterExpression): boolean {
+  if (!filters) return true;
+  if (isFilterExpression(filters)) return evaluateFilter(filters, entity as Record<string, unknown>);
+
+  const record = entity as Record<string, unknown>;
+  return Object.entries(filters).every(([field, expected]) => {
+    if (expected === undefined) return true;
+
+    const actual = record[field];
+    if (Array.isArray(expected)) {
+      return expected.some(option => valuesEqual(actual, option));
+    }
+    if (Array.isArray(actual)) {
+      return actual.some(item => valuesEqual(item, expected));
+    }
+    return valuesEqual(actual, expected);
+  });
+}
+
+function matchesSearch(entity: object, search?: string, fields?: string[]): boolean {
+  const term = search?.trim().toLowerCase();
+  if (!term) return true;
+
+  const record = entity as Record<string, unknown>;
+  const candidates = fields ? fields.map(field => record[field]) : Object.values(record);
+  return candidates.some(value => typeof value === 'string' && value.toLowerCase().includes(term));
+}
+
+function compareEntities(a: object, b: object, sortBy: string, sortOrder: 'asc' | 'desc'): number {
+  const left = (a as Record<string, unknown>)[sortBy];
+  const right = (b as Record<string, unknown>)[sortBy];
+  const direction = sortOrder === 'asc' ? 1 : -1;
+
+  // Missing values always sort last
+  if (left === undefined || left === null) return right === undefined || right === null ? tieBreak(a, b) : 1;
+  if (right === undefined || right === null) return -1;
+
+  const result = compareValues(left, right);
+  return result === 0 ? tieBreak(a, b) : result * direction;
+}
+
+function compareValues(left: unknown, right: unknown): number {
+  if (left instanceof Date && right instanceof Date) {
+    return left.getTime() - right.getTime();
+  }
+  if (typeof left === 'number' && typeof right === 'number') {
+    return left - right;
+  }
+  return String(left).localeCompare(String(right));
+}
+
+function tieBreak(a: object, b: object): number {
+  const left = String((a as Record<string, unknown>)['id']);
+  const right = String((b as Record<string, unknown>)['id']);
+  return left < right ? -1 : left > right ? 1 : 0;
+}
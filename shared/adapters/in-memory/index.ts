@@ -0,0 +1,142 @@
+/**
+ * In-Memory Reference Adapters
+ *
+ * Offline implementations of every repository port, intended for unit tests
+ * and local tooling in both BridgeServer and next-client.
+ */
+
+import type { EventBusServicePort } from '../../ports/service-ports';
+import { InMemoryUserRepositoryAdapter, InMemoryUserProfileRepositoryAdapter } from './user-repositories';
+import {
+  InMemoryControllerRepositoryAdapter,
+  InMemoryDeviceRepositoryAdapter,
+  InMemoryContainerRepositoryAdapter
+} from './iot-repositories';
+import type { IotRelations } from './iot-repositories';
+import {
+  InMemoryOrderRepositoryAdapter,
+  InMemoryPaymentRepositoryAdapter,
+  InMemoryPaymentMethodRepositoryAdapter
+} from './business-repositories';
+import {
+  InMemoryAnalyticsRepositoryAdapter,
+  InMemoryAuditLogRepositoryAdapter,
+  InMemorySearchRepositoryAdapter
+} from './monitoring-repositories';
+import {
+  InMemoryClaimCodeRepositoryAdapter,
+  InMemoryDeviceCredentialRepositoryAdapter
+} from './provisioning-repositories';
+import {
+  InMemoryWebhookEventRepositoryAdapter,
+  InMemoryDeadLetterWebhookRepositoryAdapter
+} from './webhook-repositories';
+import { InMemoryPricingRuleSetRepositoryAdapter } from './pricing-repositories';
+import { InMemoryStockLedgerRepositoryAdapter } from './inventory-repositories';
+
+export {
+  InMemoryRepository,
+  EntityNotFoundError,
+  DuplicateEntityError,
+  cloneValue,
+  valuesEqual,
+  distanceKm
+} from './in-memory-repository';
+export type { InMemoryRepositoryOptions, InMemoryAdapterOptions } from './in-memory-repository';
+export { InMemoryUserRepositoryAdapter, InMemoryUserProfileRepositoryAdapter } from './user-repositories';
+export {
+  InMemoryControllerRepositoryAdapter,
+  InMemoryDeviceRepositoryAdapter,
+  InMemoryContainerRepositoryAdapter
+} from './iot-repositories';
+export type { IotRelations } from './iot-repositories';
+export {
+  InMemoryOrderRepositoryAdapter,
+  InMemoryPaymentRepositoryAdapter,
+  InMemoryPaymentMethodRepositoryAdapter
+} from './business-repositories';
+export {
+  InMemoryAnalyticsRepositoryAdapter,
+  InMemoryAuditLogRepositoryAdapter,
+  InMemorySearchRepositoryAdapter
+} from './monitoring-repositories';
+export type { InMemoryAnalyticsOptions, InMemorySearchSources } from './monitoring-repositories';
+export {
+  InMemoryClaimCodeRepositoryAdapter,
+  InMemoryDeviceCredentialRepositoryAdapter
+} from './provisioning-repositories';
+export {
+  InMemoryWebhookEventRepositoryAdapter,
+  InMemoryDeadLetterWebhookRepositoryAdapter
+} from './webhook-repositories';
+export { InMemoryPricingRuleSetRepositoryAdapter } from './pricing-repositories';
+export { InMemoryStockLedgerRepositoryAdapter } from './inventory-repositories';
+export { InMemoryEventStore, EventVersionConflictError } from './in-memory-event-store';
+
+/**
+ * Options applied to every adapter created by createInMemoryRepositories()
+ */
+export interface InMemoryRepositoriesOptions {
+  now?: () => Date;
+  eventBus?: Pick<EventBusServicePort, 'publishMany'>;
+  cursorSecret?: string;
+}
+
+/**
+ * Complete, cross-linked set of in-memory repository adapters
+ */
+export interface InMemoryRepositories {
+  users: InMemoryUserRepositoryAdapter;
+  userProfiles: InMemoryUserProfileRepositoryAdapter;
+  controllers: InMemoryControllerRepositoryAdapter;
+  devices: InMemoryDeviceRepositoryAdapter;
+  containers: InMemoryContainerRepositoryAdapter;
+  claimCodes: InMemoryClaimCodeRepositoryAdapter;
+  deviceCredentials: InMemoryDeviceCredentialRepositoryAdapter;
+  orders: InMemoryOrderRepositoryAdapter;
+  payments: InMemoryPaymentRepositoryAdapter;
+  paymentMethods: InMemoryPaymentMethodRepositoryAdapter;
+  webhookEvents: InMemoryWebhookEventRepositoryAdapter;
+  deadLetterWebhooks: InMemoryDeadLetterWebhookRepositoryAdapter;
+  pricingRuleSets: InMemoryPricingRuleSetRepositoryAdapter;
+  stockLedger: InMemoryStockLedgerRepositoryAdapter;
+  analytics: InMemoryAnalyticsRepositoryAdapter;
+  auditLogs: InMemoryAuditLogRepositoryAdapter;
+  search: InMemorySearchRepositoryAdapter;
+}
+
+/**
+ * Create one adapter per repository port, wired together so that
+ * cross-entity queries (device counts, search, analytics) work
+ */
+export function createInMemoryRepositories(options: InMemoryRepositoriesOptions = {}): InMemoryRepositories {
+  const relations: IotRelations = {};
+  const controllers = new InMemoryControllerRepositoryAdapter(options, relations);
+  const devices = new InMemoryDeviceRepositoryAdapter(options, relations);
+  const containers = new InMemoryContainerRepositoryAdapter(options, relations);
+  const stockLedger = new InMemoryStockLedgerRepositoryAdapter(options);
+  Object.assign(relations, { controllers, devices, containers, stockLedger });
+
+  const users = new InMemoryUserRepositoryAdapter(options);
+  const orders = new InMemoryOrderRepositoryAdapter(options);
+
+  return {
+    users,
+    userProfiles: new InMemoryUserProfileRepositoryAdapter(options),
+    controllers,
+    devices,
+    containers,
+    claimCodes: new InMemoryClaimCodeRepositoryAdapter(options),
+    deviceCredentials: new InMemoryDeviceCredentialRepositoryAdapter(options),
+    orders,
+    payments: new InMemoryPaymentRepositoryAdapter(options),
+    paymentMethods: new InMemoryPaymentMethodRepositoryAdapter(options),
+    webhookEvents: new InMemoryWebhookEventRepositoryAdapter(options),
+    deadLetterWebhooks: new InMemoryDeadLetterWebhookRepositoryAdapter(options),
+    pricingRuleSets: new InMemoryPricingRuleSetRepositoryAdapter(options),
+    stockLedger,
+    analytics: new InMemoryAnalyticsRepositoryAdapter({ orders, ...(options.now ? { now: options.now } : {}) }),
+    auditLogs: new InMemoryAuditLogRepositoryAdapter(options),
+    search: new InMemorySearchRepositoryAdapter({ users, controllers, devices, containers, orders })
+  };
+}
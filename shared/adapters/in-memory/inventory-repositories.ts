@@ -0,0 +1,27 @@
+/**
+ * In-Memory Inventory Repository Adapter
+ *
+ * Per-slot stock ledger kept by StockReconciliationService.
+ */
+
+import type { StockLedgerEntry } from '../../types/domain-entities';
+import type { StockLedgerRepositoryPort } from '../../ports/repository-ports';
+import { InMemoryRepository } from './in-memory-repository';
+import type { InMemoryAdapterOptions } from './in-memory-repository';
+
+export class InMemoryStockLedgerRepositoryAdapter extends InMemoryRepository<StockLedgerEntry> implements StockLedgerRepositoryPort {
+  constructor(options: InMemoryAdapterOptions = {}) {
+    super({ entityType: 'StockLedgerEntry', defaultSortBy: 'occurredAt', searchFields: ['productId', 'slot', 'reason'], ...options });
+  }
+
+  async findByContainer(containerId: string, slot?: string): Promise<StockLedgerEntry[]> {
+    return this.select(
+      entry => entry.containerId === containerId && (slot === undefined || entry.slot === slot),
+      { sortBy: 'occurredAt', sortOrder: 'asc' }
+    );
+  }
+
+  async findByReference(reference: string): Promise<StockLedgerEntry[]> {
+    return this.select(entry => entry.reference === reference, { sortBy: 'occurredAt', sortOrder: 'asc' });
+  }
+}
@@ -0,0 +1,292 @@
+/**
+ * In-Memory IoT/Hardware Repository Adapters
+ *
+ * Controllers, devices and containers reference each other (device →
+ * container → controller), so the three adapters share an IotRelations
+ * object that createInMemoryRepositories() fills in once all exist.
+ */
+
+import type { FilterOptions } from '../../types/base-repository';
+import type {
+  Controller,
+  Device,
+  Container,
+  ControllerStatus,
+  DeviceStatus,
+  ContainerStatus,
+  Coordinates
+} from '../../types/domain-entities';
+import type {
+  ControllerRepositoryPort,
+  DeviceRepositoryPort,
+  ContainerRepositoryPort,
+  StockLedgerRepositoryPort
+} from '../../ports/repository-ports';
+import { DeviceType, ContainerStatus as ContainerStatusValues } from '../../types/domain-entities';
+import { toStockLevel } from '../../domain/stock-reconciliation';
+import { InMemoryRepository, distanceKm } from './in-memory-repository';
+import type { InMemoryAdapterOptions } from './in-memory-repository';
+
+/**
+ * Cross-references between the IoT adapters
+ */
+export interface IotRelations {
+  controllers?: InMemoryControllerRepositoryAdapter;
+  devices?: InMemoryDeviceRepositoryAdapter;
+  containers?: InMemoryContainerRepositoryAdapter;
+
+  /**
+   * Stock of the containers, for findAvailable()
+   */
+  stockLedger?: Pick<StockLedgerRepositoryPort, 'findByContainer'>;
+}
+
+const CAMERA_DEVICE_TYPES: ReadonlySet<DeviceType> = new Set([DeviceType.ESP_CAM, DeviceType.CAMERA]);
+
+export class InMemoryControllerRepositoryAdapter extends InMemoryRepository<Controller> implements ControllerRepositoryPort {
+  constructor(options: InMemoryAdapterOptions = {}, private readonly relations: IotRelations = {}) {
+    super({ entityType: 'Controller', searchFields: ['name', 'location', 'description', 'macAddress', 'serialNumber'], ...options });
+  }
+
+  async findByMacAddress(macAddress: string): Promise<Controller | null> {
+    const normalized = normalizeMac(macAddress);
+    return (await this.select(controller => controller.macAddress !== undefined && normalizeMac(controller.macAddress) === normalized))[0] ?? null;
+  }
+
+  async findBySerialNumber(serialNumber: string): Promise<Controller | null> {
+    return (await this.select(controller => controller.serialNumber === serialNumber))[0] ?? null;
+  }
+
+  async findByHardwareSignature(signature: string): Promise<Controller | null> {
+    return (await this.select(controller => controller.hardwareSignature === signature))[0] ?? null;
+  }
+
+  /**
+   * Identifiers are tried in order of strength: MAC, serial, then signature
+   */
+  async findByHardwareIdentifiers(
+    macAddress?: string,
+    serialNumber?: string,
+    hardwareSignature?: string
+  ): Promise<Controller | null> {
+    return (macAddress ? await this.findByMacAddress(macAddress) : null) ??
+      (serialNumber ? await this.findBySerialNumber(serialNumber) : null) ??
+      (hardwareSignature ? await this.findByHardwareSignature(hardwareSignature) : null);
+  }
+
+  async findByLocation(location: string): Promise<Controller[]> {
+    return this.select(controller => matchesLocation(controller.location, location));
+  }
+
+  async findByStatus(status: ControllerStatus, filters?: FilterOptions): Promise<Controller[]> {
+    return this.select(controller => controller.status === status, filters);
+  }
+
+  async findByCapability(capability: string): Promise<Controller[]> {
+    return this.select(controller => controller.capabilities.includes(capability));
+  }
+
+  async findByGeoArea(lat1: number, lon1: number, lat2: number, lon2: number): Promise<Controller[]> {
+    const [minLat, maxLat] = [Math.min(lat1, lat2), Math.max(lat1, lat2)];
+    const [minLon, maxLon] = [Math.min(lon1, lon2), Math.max(lon1, lon2)];
+
+    return this.select(({ coordinates }) =>
+      coordinates !== undefined &&
+      coordinates.latitude >= minLat && coordinates.latitude <= maxLat &&
+      coordinates.longitude >= minLon && coordinates.longitude <= maxLon
+    );
+  }
+
+  async updateStatus(id: string, status: ControllerStatus, reason?: string): Promise<void> {
+    await this.patch(id, { status }, [], reason ? { reason } : undefined);
+  }
+
+  async updateToken(id: string, token: string): Promise<void> {
+    await this.patch(id, { token });
+  }
+
+  async updateLastSeen(id: string, timestamp: Date): Promise<void> {
+    await this.patch(id, { lastSeen: timestamp });
+  }
+
+  async getCameraCount(controllerId: string): Promise<number> {
+    const devices = await this.devicesOf(controllerId);
+    return devices.filter(device => CAMERA_DEVICE_TYPES.has(device.deviceType)).length;
+  }
+
+  async getDeviceCount(controllerId: string): Promise<number> {
+    return (await this.devicesOf(controllerId)).length;
+  }
+
+  async findNearby(coordinates: Coordinates, radiusKm: number): Promise<Controller[]> {
+    return this.select(controller =>
+      controller.coordinates !== undefined &&
+      distanceKm(coordinates.latitude, coordinates.longitude, controller.coordinates.latitude, controller.coordinates.longitude) <= radiusKm
+    );
+  }
+
+  private async devicesOf(controllerId: string): Promise<Device[]> {
+    return this.relations.devices?.findByControllerId(controllerId) ?? [];
+  }
+}
+
+export class InMemoryDeviceRepositoryAdapter extends InMemoryRepository<Device> implements DeviceRepositoryPort {
+  constructor(options: InMemoryAdapterOptions = {}, private readonly relations: IotRelations = {}) {
+    super({ entityType: 'Device', searchFields: ['name', 'description', 'macAddress', 'ipAddress'], ...options });
+  }
+
+  async findByMacAddress(macAddress: string): Promise<Device | null> {
+    const normalized = normalizeMac(macAddress);
+    return (await this.select(device => normalizeMac(device.macAddress) === normalized))[0] ?? null;
+  }
+
+  /**
+   * Devices belong to a controller through the container they are assigned to
+   */
+  async findByControllerId(controllerId: string): Promise<Device[]> {
+    const containers = await this.relations.containers?.findByControllerId(controllerId) ?? [];
+    const containerIds = new Set(containers.map(container => container.id));
+    return this.select(device => device.containerId !== undefined && containerIds.has(device.containerId));
+  }
+
+  async findByStatus(status: DeviceStatus, filters?: FilterOptions): Promise<Device[]> {
+    return this.select(device => device.status === status, filters);
+  }
+
+  async findByDeviceType(deviceType: DeviceType, filters?: FilterOptions): Promise<Device[]> {
+    return this.select(device => device.deviceType === deviceType, filters);
+  }
+
+  async findByContainer(containerId: string): Promise<Device[]> {
+    return this.select(device => device.containerId === containerId);
+  }
+
+  async updateStatus(id: string, status: DeviceStatus): Promise<void> {
+    await this.patch(id, { status });
+  }
+
+  async updateLastSeen(id: string, timestamp: Date): Promise<void> {
+    await this.patch(id, { lastSeen: timestamp });
+  }
+
+  async updateBatteryLevel(id: string, level: number): Promise<void> {
+    if (level < 0 || level > 100) {
+      throw new RangeError(`Battery level must be between 0 and 100, got ${level}`);
+    }
+    await this.patch(id, { batteryLevel: level });
+  }
+
+  async updateTemperature(id: string, temperature: number): Promise<void> {
+    await this.patch(id, { temperature });
+  }
+
+  async assignToContainer(deviceId: string, containerId: string): Promise<void> {
+    if (this.relations.containers && !(await this.relations.containers.exists(containerId))) {
+      throw new Error(`Container not found: ${containerId}`);
+    }
+    await this.patch(deviceId, { containerId });
+  }
+
+  async removeFromContainer(deviceId: string): Promise<void> {
+    await this.patch(deviceId, {}, ['containerId']);
+  }
+
+  async findLowBattery(threshold: number): Promise<Device[]> {
+    return this.select(device => device.batteryLevel !== undefined && device.batteryLevel < threshold);
+  }
+
+  async findByFirmwareVersion(version: string): Promise<Device[]> {
+    return this.select(device => device.firmwareVersion === version);
+  }
+}
+
+export class InMemoryContainerRepositoryAdapter extends InMemoryRepository<Container> implements ContainerRepositoryPort {
+  constructor(options: InMemoryAdapterOptions = {}, private readonly relations: IotRelations = {}) {
+    super({ entityType: 'Container', searchFields: ['name', 'description', 'location', 'position'], ...options });
+  }
+
+  async findByControllerId(controllerId: string): Promise<Container[]> {
+    return this.select(container => container.controllerId === controllerId);
+  }
+
+  async findByStatus(status: ContainerStatus, filters?: FilterOptions): Promise<Container[]> {
+    return this.select(container => container.status === status, filters);
+  }
+
+  async findByLocation(location: string): Promise<Container[]> {
+    return this.select(container => matchesLocation(container.location, location));
+  }
+
+  /**
+   * Available means active, online and not full. Fullness is judged by the
+   * stock ledger when one is wired in; otherwise only containers with no
+   * capacity count as full.
+   */
+  async findAvailable(filters?: FilterOptions): Promise<Container[]> {
+    const ready = (container: Container) => container.isActive && container.status === ContainerStatusValues.ONLINE && container.capacity > 0;
+    const full = new Set<string>();
+    if (this.relations.stockLedger) {
+      for (const container of this.query().filter(ready)) {
+        const stock = toStockLevel(container, await this.relations.stockLedger.findByContainer(container.id));
+        if (stock.availableSpace === 0) {
+          full.add(container.id);
+        }
+      }
+    }
+    return this.select(container => ready(container) && !full.has(container.id), filters);
+  }
+
+  async updateStatus(id: string, status: ContainerStatus): Promise<void> {
+    await this.patch(id, { status });
+  }
+
+  async updateCapacity(id: string, capacity: number): Promise<void> {
+    if (capacity < 0) {
+      throw new RangeError(`Capacity cannot be negative, got ${capacity}`);
+    }
+    await this.patch(id, { capacity });
+  }
+
+  async findByDeviceType(deviceType: DeviceType): Promise<Container[]> {
+    return this.select(container => container.deviceType === deviceType);
+  }
+
+  async getDevicesInContainer(containerId: string): Promise<Device[]> {
+    return this.relations.devices?.findByContainer(containerId) ?? [];
+  }
+
+  /**
+   * Containers only carry a free-text location, so radiusKm is measured
+   * from the owning controller's coordinates when the controller is known
+   */
+  async findNearLocation(location: string, radiusKm?: number): Promise<Container[]> {
+    const direct = await this.select(container => matchesLocation(container.location, location));
+    if (radiusKm === undefined || !this.relations.controllers) {
+      return direct;
+    }
+
+    const anchors = (await this.relations.controllers.findByLocation(location))
+      .map(controller => controller.coordinates)
+      .filter((point): point is Coordinates => point !== undefined);
+    const nearbyControllerIds = new Set<string>();
+    for (const anchor of anchors) {
+      for (const controller of await this.relations.controllers.findNearby(anchor, radiusKm)) {
+        nearbyControllerIds.add(controller.id);
+      }
+    }
+
+    const directIds = new Set(direct.map(container => container.id));
+    return [
+      ...direct,
+      ...await this.select(container => nearbyControllerIds.has(container.controllerId) && !directIds.has(container.id))
+    ];
+  }
+}
+
+function normalizeMac(macAddress: string): string {
+  return macAddress.replace(/[^0-9a-f]/gi, '').toLowerCase();
+}
+
+function matchesLocation(value: string | undefined, location: string): boolean {
+  return value !== undefined && value.toLowerCase().includes(location.trim().toLowerCase());
+}
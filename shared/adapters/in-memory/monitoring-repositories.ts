@@ -0,0 +1,439 @@
+/**
+ * In-Memory Analytics, Audit Log and Search Repository Adapters
+ */
+
+import type { FilterOptions } from '../../types/base-repository';
+import type { User, Controller, Device, Container, Order } from '../../types/domain-entities';
+import type {
+  AnalyticsRepositoryPort,
+  AuditLogRepositoryPort,
+  SearchRepositoryPort,
+  UserRepositoryPort,
+  ControllerRepositoryPort,
+  DeviceRepositoryPort,
+  ContainerRepositoryPort,
+  OrderRepositoryPort,
+  UserActivityStats,
+  SystemMetricsData,
+  DeviceMetricsData,
+  OrderAnalytics,
+  RevenueAnalytics,
+  AuditLogEntry,
+  SearchResult
+} from '../../ports/repository-ports';
+import { OrderStatus, PaymentStatus } from '../../types/domain-entities';
+import { generateEntityId } from '../../types/utilities';
+import { InMemoryRepository } from './in-memory-repository';
+import type { InMemoryAdapterOptions } from './in-memory-repository';
+
+// ========================================
+// Audit Log
+// ========================================
+
+export class InMemoryAuditLogRepositoryAdapter extends InMemoryRepository<AuditLogEntry> implements AuditLogRepositoryPort {
+  constructor(options: InMemoryAdapterOptions = {}) {
+    super({ entityType: 'AuditLogEntry', defaultSortBy: 'timestamp', searchFields: ['action', 'description', 'entityType'], ...options });
+  }
+
+  async logUserAction(
+    userId: string,
+    action: string,
+    entityType: string,
+    entityId: string,
+    changes?: Record<string, any>,
+    ipAddress?: string,
+    userAgent?: string
+  ): Promise<void> {
+    await this.save({
+      id: generateEntityId(),
+      userId,
+      action,
+      entityType,
+      entityId,
+      description: `${action} ${entityType} ${entityId}`,
+      severity: 'info',
+      timestamp: this.now(),
+      ...(changes ? { changes } : {}),
+      ...(ipAddress ? { ipAddress } : {}),
+      ...(userAgent ? { userAgent } : {})
+    });
+  }
+
+  async logSystemEvent(
+    eventType: string,
+    severity: 'info' | 'warning' | 'error' | 'critical',
+    message: string,
+    metadata?: Record<string, any>
+  ): Promise<void> {
+    await this.save({
+      id: generateEntityId(),
+      action: eventType,
+      entityType: 'System',
+      description: message,
+      severity,
+      timestamp: this.now(),
+      ...(metadata ? { metadata } : {})
+    });
+  }
+
+  async findByUser(userId: string, filters?: FilterOptions): Promise<AuditLogEntry[]> {
+    return this.select(entry => entry.userId === userId, filters);
+  }
+
+  async findByEntity(entityType: string, entityId: string, filters?: FilterOptions): Promise<AuditLogEntry[]> {
+    return this.select(entry => entry.entityType === entityType && entry.entityId === entityId, filters);
+  }
+
+  /**
+   * Audit log entries are ranged by their timestamp
+   */
+  override async findByDateRange(startDate: Date, endDate: Date, filters?: FilterOptions): Promise<AuditLogEntry[]> {
+    return this.select(entry => entry.timestamp >= startDate && entry.timestamp <= endDate, filters);
+  }
+
+  async findByAction(action: string, filters?: FilterOptions): Promise<AuditLogEntry[]> {
+    return this.select(entry => entry.action === action, filters);
+  }
+}
+
+// ========================================
+// Analytics
+// ========================================
+
+interface ActivityRecord {
+  userId: string;
+  action: string;
+  entityType: string;
+  entityId?: string;
+  metadata?: Record<string, any>;
+  timestamp: Date;
+}
+
+interface MetricPoint {
+  name: string;
+  value: number;
+  timestamp: Date;
+  tags?: Record<string, string>;
+}
+
+export interface InMemoryAnalyticsOptions {
+  now?: () => Date;
+  /**
+   * Source for order and revenue analytics
+   */
+  orders?: OrderRepositoryPort;
+}
+
+/**
+ * Analytics adapter keeping raw data points in memory.
+ *
+ * Activity metadata may carry `sessionDuration` (seconds) and `device`
+ * values, which feed averageSessionDuration and deviceUsage respectively.
+ */
+export class InMemoryAnalyticsRepositoryAdapter implements AnalyticsRepositoryPort {
+  private activities: ActivityRecord[] = [];
+  private systemMetrics: MetricPoint[] = [];
+  private deviceMetrics = new Map<string, MetricPoint[]>();
+  private readonly now: () => Date;
+
+  constructor(private readonly options: InMemoryAnalyticsOptions = {}) {
+    this.now = options.now ?? (() => new Date());
+  }
+
+  async recordUserActivity(
+    userId: string,
+    action: string,
+    entityType: string,
+    entityId?: string,
+    metadata?: Record<string, any>
+  ): Promise<void> {
+    this.activities.push({
+      userId,
+      action,
+      entityType,
+      timestamp: this.now(),
+      ...(entityId ? { entityId } : {}),
+      ...(metadata ? { metadata } : {})
+    });
+  }
+
+  async recordSystemMetric(metricName: string, value: number, tags?: Record<string, string>): Promise<void> {
+    this.systemMetrics.push({ name: metricName, value, timestamp: this.now(), ...(tags ? { tags } : {}) });
+  }
+
+  async recordDeviceMetric(deviceId: string, metricType: string, value: number, timestamp?: Date): Promise<void> {
+    const points = this.deviceMetrics.get(deviceId) ?? [];
+    points.push({ name: metricType, value, timestamp: timestamp ?? this.now() });
+    this.deviceMetrics.set(deviceId, points);
+  }
+
+  async getUserActivityStats(userId: string, startDate: Date, endDate: Date): Promise<UserActivityStats> {
+    const activities = this.activities.filter(activity =>
+      activity.userId === userId && inRange(activity.timestamp, startDate, endDate)
+    );
+
+    const sessionDurations = activities
+      .map(activity => activity.metadata?.['sessionDuration'])
+      .filter((value): value is number => typeof value === 'number');
+
+    const deviceUsage: Record<string, number> = {};
+    for (const activity of activities) {
+      const device = activity.metadata?.['device'];
+      if (typeof device === 'string') {
+        deviceUsage[device] = (deviceUsage[device] ?? 0) + 1;
+      }
+    }
+
+    return {
+      totalActions: activities.length,
+      actionsByType: countBy(activities, activity => activity.action),
+      lastActivity: activities.reduce(
+        (latest, activity) => activity.timestamp > latest ? activity.timestamp : latest,
+        new Date(0)
+      ),
+      averageSessionDuration: average(sessionDurations),
+      deviceUsage
+    };
+  }
+
+  async getSystemMetrics(metricNames: string[], startDate: Date, endDate: Date): Promise<SystemMetricsData> {
+    const metrics = metricNames.map(name => ({
+      name,
+      values: this.systemMetrics
+        .filter(point => point.name === name && inRange(point.timestamp, startDate, endDate))
+        .map(point => ({ timestamp: new Date(point.timestamp), value: point.value }))
+    }));
+
+    return {
+      metrics,
+      aggregatedData: Object.fromEntries(
+        metrics.map(metric => [metric.name, average(metric.values.map(point => point.value))])
+      )
+    };
+  }
+
+  async getDeviceMetrics(deviceIds: string[], metricTypes: string[], startDate: Date, endDate: Date): Promise<DeviceMetricsData> {
+    return {
+      deviceMetrics: deviceIds.map(deviceId => {
+        const points = this.deviceMetrics.get(deviceId) ?? [];
+        return {
+          deviceId,
+          metrics: metricTypes.map(type => ({
+            type,
+            values: points
+              .filter(point => point.name === type && inRange(point.timestamp, startDate, endDate))
+              .map(point => ({ timestamp: new Date(point.timestamp), value: point.value }))
+          }))
+        };
+      })
+    };
+  }
+
+  async getOrderAnalytics(startDate: Date, endDate: Date): Promise<OrderAnalytics> {
+    const orders = await this.ordersInRange(startDate, endDate);
+
+    const byHour = countBy(orders, order => String(order.createdAt.getUTCHours()));
+    const byContainer = countBy(orders.filter(order => order.containerId), order => order.containerId as string);
+    const byDate = countBy(orders, order => isoDate(order.createdAt));
+
+    return {
+      totalOrders: orders.length,
+      completedOrders: orders.filter(order => order.status === OrderStatus.DELIVERED).length,
+      cancelledOrders: orders.filter(order => order.status === OrderStatus.CANCELLED).length,
+      averageOrderValue: average(orders.map(order => order.totalAmount)),
+      peakOrderTimes: Object.entries(byHour)
+        .map(([hour, count]) => ({ hour: Number(hour), count }))
+        .sort((a, b) => b.count - a.count || a.hour - b.hour),
+      topContainers: Object.entries(byContainer)
+        .map(([containerId, orderCount]) => ({ containerId, orderCount }))
+        .sort((a, b) => b.orderCount - a.orderCount),
+      orderTrends: Object.entries(byDate)
+        .map(([date, count]) => ({ date, count }))
+        .sort((a, b) => a.date.localeCompare(b.date))
+    };
+  }
+
+  /**
+   * revenueGrowth compares the range with the equally long range before it
+   */
+  async getRevenueAnalytics(startDate: Date, endDate: Date, groupBy: 'day' | 'week' | 'month' = 'day'): Promise<RevenueAnalytics> {
+    const paid = (orders: Order[]) => orders.filter(order =>
+      order.paymentStatus === PaymentStatus.SUCCEEDED && order.status !== OrderStatus.CANCELLED
+    );
+
+    const orders = paid(await this.ordersInRange(startDate, endDate));
+    const span = endDate.getTime() - startDate.getTime();
+    const previous = paid(await this.ordersInRange(new Date(startDate.getTime() - span), new Date(startDate.getTime() - 1)));
+
+    const totalRevenue = sumOf(orders);
+    const previousRevenue = sumOf(previous);
+
+    const byPeriod = new Map<string, number>();
+    const byContainer = new Map<string, number>();
+    for (const order of orders) {
+      const period = periodKey(order.createdAt, groupBy);
+      byPeriod.set(period, (byPeriod.get(period) ?? 0) + order.totalAmount);
+      if (order.containerId) {
+        byContainer.set(order.containerId, (byContainer.get(order.containerId) ?? 0) + order.totalAmount);
+      }
+    }
+
+    return {
+      totalRevenue,
+      revenueByPeriod: [...byPeriod]
+        .map(([period, revenue]) => ({ period, revenue }))
+        .sort((a, b) => a.period.localeCompare(b.period)),
+      revenueByContainer: [...byContainer]
+        .map(([containerId, revenue]) => ({ containerId, revenue }))
+        .sort((a, b) => b.revenue - a.revenue),
+      averageTransactionValue: average(orders.map(order => order.totalAmount)),
+      revenueGrowth: previousRevenue > 0 ? ((totalRevenue - previousRevenue) / previousRevenue) * 100 : 0
+    };
+  }
+
+  /**
+   * Remove all recorded data points
+   */
+  clear(): void {
+    this.activities = [];
+    this.systemMetrics = [];
+    this.deviceMetrics.clear();
+  }
+
+  private async ordersInRange(startDate: Date, endDate: Date): Promise<Order[]> {
+    return this.options.orders?.findOrdersInDateRange(startDate, endDate) ?? [];
+  }
+}
+
+// ========================================
+// Search
+// ========================================
+
+export interface InMemorySearchSources {
+  users?: UserRepositoryPort;
+  controllers?: ControllerRepositoryPort;
+  devices?: DeviceRepositoryPort;
+  containers?: ContainerRepositoryPort;
+  orders?: OrderRepositoryPort;
+}
+
+/**
+ * Search adapter delegating to FilterOptions.search on the source repositories
+ */
+export class InMemorySearchRepositoryAdapter implements SearchRepositoryPort {
+  constructor(private readonly sources: InMemorySearchSources) {}
+
+  async searchUsers(query: string, filters?: FilterOptions): Promise<User[]> {
+    return this.sources.users?.findAll({ ...filters, search: query }) ?? [];
+  }
+
+  async searchControllers(query: string, filters?: FilterOptions): Promise<Controller[]> {
+    return this.sources.controllers?.findAll({ ...filters, search: query }) ?? [];
+  }
+
+  async searchDevices(query: string, filters?: FilterOptions): Promise<Device[]> {
+    return this.sources.devices?.findAll({ ...filters, search: query }) ?? [];
+  }
+
+  async searchContainers(query: string, filters?: FilterOptions): Promise<Container[]> {
+    return this.sources.containers?.findAll({ ...filters, search: query }) ?? [];
+  }
+
+  async searchOrders(query: string, filters?: FilterOptions): Promise<Order[]> {
+    return this.sources.orders?.findAll({ ...filters, search: query }) ?? [];
+  }
+
+  /**
+   * Results are ranked by how closely the title matches the query
+   * (exact, prefix, then substring); limit/offset apply to the merged list
+   */
+  async searchAll(query: string, entityTypes?: string[], filters?: FilterOptions): Promise<SearchResult[]> {
+    const wanted = (type: string) => !entityTypes || entityTypes.includes(type);
+    const unpaged: FilterOptions = { ...filters };
+    delete unpaged.limit;
+    delete unpaged.offset;
+
+    const results: SearchResult[] = [];
+    if (wanted('user')) {
+      for (const user of await this.searchUsers(query, unpaged)) {
+        results.push(toResult(query, user.id, 'user', user.name, user.email));
+      }
+    }
+    if (wanted('controller')) {
+      for (const controller of await this.searchControllers(query, unpaged)) {
+        results.push(toResult(query, controller.id, 'controller', controller.name, controller.location));
+      }
+    }
+    if (wanted('device')) {
+      for (const device of await this.searchDevices(query, unpaged)) {
+        results.push(toResult(query, device.id, 'device', device.name ?? device.macAddress, device.description));
+      }
+    }
+    if (wanted('container')) {
+      for (const container of await this.searchContainers(query, unpaged)) {
+        results.push(toResult(query, container.id, 'container', container.name, container.description));
+      }
+    }
+    if (wanted('order')) {
+      for (const order of await this.searchOrders(query, unpaged)) {
+        results.push(toResult(query, order.id, 'order', `Order ${order.id}`, order.notes));
+      }
+    }
+
+    const offset = filters?.offset ?? 0;
+    const end = filters?.limit !== undefined ? offset + filters.limit : undefined;
+    return results.sort((a, b) => b.score - a.score).slice(offset, end);
+  }
+}
+
+// ========================================
+// Helpers
+// ========================================
+
+function toResult(query: string, id: string, type: string, title: string, description?: string): SearchResult {
+  const term = query.trim().toLowerCase();
+  const normalized = title.toLowerCase();
+  const score = normalized === term ? 1 : normalized.startsWith(term) ? 0.75 : normalized.includes(term) ? 0.5 : 0.25;
+
+  return { id, type, title, score, ...(description ? { description } : {}) };
+}
+
+function inRange(date: Date, startDate: Date, endDate: Date): boolean {
+  return date >= startDate && date <= endDate;
+}
+
+function countBy<T>(items: T[], key: (item: T) => string): Record<string, number> {
+  const counts: Record<string, number> = {};
+  for (const item of items) {
+    const value = key(item);
+    counts[value] = (counts[value] ?? 0) + 1;
+  }
+  return counts;
+}
+
+function average(values: number[]): number {
+  return values.length > 0 ? values.reduce((total, value) => total + value, 0) / values.length : 0;
+}
+
+function sumOf(orders: Order[]): number {
+  return orders.reduce((total, order) => total + order.totalAmount, 0);
+}
+
+function isoDate(date: Date): string {
+  return date.toISOString().slice(0, 10);
+}
+
+function periodKey(date: Date, groupBy: 'day' | 'week' | 'month'): string {
+  switch (groupBy) {
+    case 'day':
+      return isoDate(date);
+    case 'month':
+      return isoDate(date).slice(0, 7);
+    case 'week': {
+      // Weeks start on Monday (UTC)
+      const monday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+      monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+      return isoDate(monday);
+    }
+  }
+}
@@ -0,0 +1,29 @@
+/**
+ * In-Memory Pricing Repository Adapter
+ *
+ * Versioned pricing rule sets read by PricingService.
+ */
+
+import type { PricingRuleSet } from '../../types/domain-entities';
+import type { PricingRuleSetRepositoryPort } from '../../ports/repository-ports';
+import { InMemoryRepository } from './in-memory-repository';
+import type { InMemoryAdapterOptions } from './in-memory-repository';
+
+export class InMemoryPricingRuleSetRepositoryAdapter extends InMemoryRepository<PricingRuleSet> implements PricingRuleSetRepositoryPort {
+  constructor(options: InMemoryAdapterOptions = {}) {
+    super({ entityType: 'PricingRuleSet', defaultSortBy: 'effectiveFrom', searchFields: ['name', 'notes'], ...options });
+  }
+
+  async findEffective(at: Date): Promise<PricingRuleSet | null> {
+    const started = await this.select(ruleSet => ruleSet.effectiveFrom <= at);
+    return started.reduce<PricingRuleSet | null>(
+      (latest, ruleSet) => (latest === null || ruleSet.effectiveFrom > latest.effectiveFrom ? ruleSet : latest),
+      null
+    );
+  }
+
+  async findScheduled(after: Date): Promise<PricingRuleSet[]> {
+    const scheduled = await this.select(ruleSet => ruleSet.effectiveFrom > after);
+    return scheduled.sort((a, b) => a.effectiveFrom.getTime() - b.effectiveFrom.getTime());
+  }
+}
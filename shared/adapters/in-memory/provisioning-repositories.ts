@@ -0,0 +1,70 @@
+/**
+ * In-Memory Provisioning Repository Adapters
+ *
+ * Claim codes and controller/device credentials used by
+ * DeviceProvisioningService.
+ */
+
+import type { ClaimCode, DeviceCredential, ProvisioningTarget } from '../../types/domain-entities';
+import type { ClaimCodeRepositoryPort, DeviceCredentialRepositoryPort } from '../../ports/repository-ports';
+import { InMemoryRepository } from './in-memory-repository';
+import type { InMemoryAdapterOptions } from './in-memory-repository';
+
+export class InMemoryClaimCodeRepositoryAdapter extends InMemoryRepository<ClaimCode> implements ClaimCodeRepositoryPort {
+  constructor(options: InMemoryAdapterOptions = {}) {
+    super({ entityType: 'ClaimCode', searchFields: ['location'], ...options });
+  }
+
+  async findByCodeHash(codeHash: string): Promise<ClaimCode | null> {
+    return (await this.select(claim => claim.codeHash === codeHash))[0] ?? null;
+  }
+
+  async markUsed(id: string, usedAt: Date, claimedBy: string): Promise<boolean> {
+    if (this.requireActive(id).usedAt !== undefined) {
+      return false;
+    }
+    await this.patch(id, { usedAt, claimedBy });
+    return true;
+  }
+
+  async findExpired(before: Date): Promise<ClaimCode[]> {
+    return this.select(claim => claim.usedAt === undefined && claim.expiresAt < before);
+  }
+}
+
+export class InMemoryDeviceCredentialRepositoryAdapter extends InMemoryRepository<DeviceCredential> implements DeviceCredentialRepositoryPort {
+  constructor(options: InMemoryAdapterOptions = {}) {
+    super({ entityType: 'DeviceCredential', defaultSortBy: 'issuedAt', searchFields: ['subjectId'], ...options });
+  }
+
+  async findByTokenHash(tokenHash: string): Promise<DeviceCredential | null> {
+    return (await this.select(credential => credential.tokenHash === tokenHash))[0] ?? null;
+  }
+
+  async findActiveBySubject(subjectType: ProvisioningTarget, subjectId: string, at: Date): Promise<DeviceCredential[]> {
+    return this.select(credential =>
+      credential.subjectType === subjectType &&
+      credential.subjectId === subjectId &&
+      isActive(credential, at)
+    );
+  }
+
+  /**
+   * Active credentials past rotateAfter that have not been replaced yet
+   */
+  async findDueForRotation(at: Date): Promise<DeviceCredential[]> {
+    return this.select(credential =>
+      isActive(credential, at) &&
+      credential.replacedBy === undefined &&
+      credential.rotateAfter <= at
+    );
+  }
+
+  async revoke(id: string, revokedAt: Date, reason: string): Promise<void> {
+    await this.patch(id, { revokedAt, revokedReason: reason });
+  }
+}
+
+function isActive(credential: DeviceCredential, at: Date): boolean {
+  return credential.revokedAt === undefined && credential.expiresAt > at;
+}
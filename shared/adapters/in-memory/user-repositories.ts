@@ -0,0 +1,77 @@
+/**
+ * In-Memory User Management Repository Adapters
+ */
+
+import type { FilterOptions } from '../../types/base-repository';
+import type { User, UserProfile, UserRole, Coordinates } from '../../types/domain-entities';
+import type { UserRepositoryPort, UserProfileRepositoryPort } from '../../ports/repository-ports';
+import { InMemoryRepository, distanceKm } from './in-memory-repository';
+import type { InMemoryAdapterOptions } from './in-memory-repository';
+
+export class InMemoryUserRepositoryAdapter extends InMemoryRepository<User> implements UserRepositoryPort {
+  constructor(options: InMemoryAdapterOptions = {}) {
+    super({ entityType: 'User', searchFields: ['name', 'email', 'phoneNumber'], ...options });
+  }
+
+  async findByEmail(email: string): Promise<User | null> {
+    const normalized = email.trim().toLowerCase();
+    return (await this.select(user => user.email.toLowerCase() === normalized))[0] ?? null;
+  }
+
+  async findByExternalId(externalId: string): Promise<User | null> {
+    return (await this.select(user => user.externalId === externalId))[0] ?? null;
+  }
+
+  async findByRole(role: UserRole, filters?: FilterOptions): Promise<User[]> {
+    return this.select(user => user.role === role, filters);
+  }
+
+  async findActiveUsers(filters?: FilterOptions): Promise<User[]> {
+    return this.select(user => user.isActive, filters);
+  }
+
+  async updateLastLogin(id: string, timestamp: Date): Promise<void> {
+    await this.patch(id, { lastLoginAt: timestamp });
+  }
+
+  async deactivateUser(id: string): Promise<void> {
+    await this.patch(id, { isActive: false });
+  }
+
+  async activateUser(id: string): Promise<void> {
+    await this.patch(id, { isActive: true });
+  }
+
+  async changeRole(id: string, newRole: UserRole): Promise<User> {
+    return this.patch(id, { role: newRole });
+  }
+}
+
+export class InMemoryUserProfileRepositoryAdapter extends InMemoryRepository<UserProfile> implements UserProfileRepositoryPort {
+  constructor(options: InMemoryAdapterOptions = {}) {
+    super({ entityType: 'UserProfile', searchFields: ['firstName', 'lastName'], ...options });
+  }
+
+  async findByUserId(userId: string): Promise<UserProfile | null> {
+    return (await this.select(profile => profile.userId === userId))[0] ?? null;
+  }
+
+  async updatePreferences(userId: string, preferences: Partial<UserProfile['preferences']>): Promise<UserProfile> {
+    const profile = await this.findByUserId(userId);
+    if (!profile) {
+      throw new Error(`UserProfile not found for user: ${userId}`);
+    }
+
+    return this.patch(profile.id, {
+      preferences: { ...profile.preferences, ...preferences }
+    });
+  }
+
+  async findByLocation(coordinates: Coordinates, radiusKm: number): Promise<UserProfile[]> {
+    return this.select(profile => {
+      const point = profile.address?.coordinates;
+      return point !== undefined &&
+        distanceKm(coordinates.latitude, coordinates.longitude, point.latitude, point.longitude) <= radiusKm;
+    });
+  }
+}
@@ -0,0 +1,67 @@
+/**
+ * In-Memory Webhook Repository Adapters
+ *
+ * Idempotency records and the dead-letter store used by
+ * PaymentWebhookProcessor.
+ */
+
+import type { WebhookProvider, WebhookEventRecord, DeadLetterWebhook } from '../../types/domain-entities';
+import type { WebhookEventRepositoryPort, DeadLetterWebhookRepositoryPort } from '../../ports/repository-ports';
+import { InMemoryRepository, cloneValue } from './in-memory-repository';
+import type { InMemoryAdapterOptions } from './in-memory-repository';
+
+export class InMemoryWebhookEventRepositoryAdapter extends InMemoryRepository<WebhookEventRecord> implements WebhookEventRepositoryPort {
+  constructor(options: InMemoryAdapterOptions = {}) {
+    super({ entityType: 'WebhookEvent', defaultSortBy: 'receivedAt', searchFields: ['eventId', 'eventType'], ...options });
+  }
+
+  /**
+   * Atomic here: the lookup and the synchronous part of save() run without
+   * yielding to other deliveries
+   */
+  async reserve(record: WebhookEventRecord): Promise<{ record: WebhookEventRecord; created: boolean }> {
+    const existing = this.findExisting(record.provider, record.eventId);
+    if (existing) {
+      return { record: existing, created: false };
+    }
+    return { record: await this.save(record), created: true };
+  }
+
+  async findByProviderEventId(provider: WebhookProvider, eventId: string): Promise<WebhookEventRecord | null> {
+    return this.findExisting(provider, eventId) ?? null;
+  }
+
+  async findLatestProcessedForPayment(paymentId: string): Promise<WebhookEventRecord | null> {
+    const processed = await this.select(record => record.paymentId === paymentId && record.status === 'processed');
+    return processed.reduce<WebhookEventRecord | null>(
+      (latest, record) => (latest === null || record.occurredAt > latest.occurredAt ? record : latest),
+      null
+    );
+  }
+
+  private findExisting(provider: WebhookProvider, eventId: string): WebhookEventRecord | undefined {
+    for (const record of this.records.values()) {
+      if (record.provider === provider && record.eventId === eventId && this.getActive(record.id)) {
+        return cloneValue(record);
+      }
+    }
+    return undefined;
+  }
+}
+
+export class InMemoryDeadLetterWebhookRepositoryAdapter extends InMemoryRepository<DeadLetterWebhook> implements DeadLetterWebhookRepositoryPort {
+  constructor(options: InMemoryAdapterOptions = {}) {
+    super({ entityType: 'DeadLetterWebhook', defaultSortBy: 'failedAt', searchFields: ['eventId', 'eventType', 'error'], ...options });
+  }
+
+  async findUnresolved(provider?: WebhookProvider): Promise<DeadLetterWebhook[]> {
+    return this.select(entry =>
+      entry.resolvedAt === undefined &&
+      (provider === undefined || entry.provider === provider)
+    );
+  }
+
+  async markResolved(id: string, resolvedAt: Date, resolution: string): Promise<void> {
+    await this.patch(id, { resolvedAt, resolution });
+  }
+}
@@ -0,0 +1,339 @@
+/**
+ * PIX BR Code
+ *
+ * Builds and parses the EMV® QRCPS payload behind PIX QR codes and "copia e
+ * cola" strings, following the BCB "Manual de Padrões para Iniciação do Pix".
+ * A payload is a sequence of ID/length/value fields terminated by a CRC16
+ * (CCITT-FALSE) over everything before it, including the "6304" tag.
+ *
+ * Static payloads carry the receiver's PIX key (and optionally a fixed
+ * amount); dynamic payloads carry the PSP location URL of a charge (cob),
+ * which holds the amount, txid and expiry.
+ */
+
+import type { Result } from '../../types/domain-entities';
+import { success, failure } from '../../types/utilities';
+import { Money } from '../../domain/money';
+
+// ========================================
+// Types
+// ========================================
+
+export interface StaticPixPayloadOptions {
+  pixKey: string;
+  merchantName: string;
+  merchantCity: string;
+
+  /**
+   * Fixed amount in BRL; omitted lets the payer choose
+   */
+  amount?: Money;
+
+  /**
+   * Up to 25 alphanumeric characters (default '***', no identifier)
+   */
+  txid?: string;
+
+  /**
+   * Message shown to the payer; accents are stripped and it is cut to what
+   * fits in the merchant account field
+   */
+  description?: string;
+
+  postalCode?: string;
+}
+
+export interface DynamicPixPayloadOptions {
+  /**
+   * Charge location returned by the PSP, with or without https://
+   */
+  locationUrl: string;
+  merchantName: string;
+  merchantCity: string;
+  postalCode?: string;
+}
+
+export interface ParsedPixPayload {
+  kind: 'static' | 'dynamic';
+  pixKey?: string;
+  locationUrl?: string;
+  description?: string;
+  amount?: Money;
+  merchantName: string;
+  merchantCity: string;
+  postalCode?: string;
+  txid?: string;
+
+  /**
+   * True when the payload may be paid only once (point of initiation 12)
+   */
+  singleUse: boolean;
+
+  /**
+   * Every top-level field by ID, for anything not modelled above
+   */
+  fields: Record<string, string>;
+}
+
+export class PixPayloadError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'PixPayloadError';
+  }
+}
+
+const PIX_GUI = 'br.gov.bcb.pix';
+const BRL_CURRENCY = '986';
+const BRL_CODE = 'BRL';
+const STATIC_TXID = '***';
+
+const ID = {
+  PAYLOAD_FORMAT: '00',
+  POINT_OF_INITIATION: '01',
+  MERCHANT_ACCOUNT: '26',
+  MERCHANT_CATEGORY: '52',
+  CURRENCY: '53',
+  AMOUNT: '54',
+  COUNTRY: '58',
+  MERCHANT_NAME: '59',
+  MERCHANT_CITY: '60',
+  POSTAL_CODE: '61',
+  ADDITIONAL_DATA: '62',
+  CRC: '63'
+} as const;
+
+const ACCOUNT_ID = { GUI: '00', KEY: '01', DESCRIPTION: '02', URL: '25' } as const;
+const ADDITIONAL_ID = { TXID: '05' } as const;
+
+const MAX_NAME_LENGTH = 25;
+const MAX_CITY_LENGTH = 15;
+const MAX_FIELD_LENGTH = 99;
+
+// ========================================
+// Generation
+// ========================================
+
+/**
+ * Reusable payload for a PIX key, optionally with a fixed amount
+ */
+export function createStaticPixPayload(options: StaticPixPayloadOptions): string {
+  if (!options.pixKey.trim()) {
+    throw new PixPayloadError('A PIX key is required');
+  }
+  const txid = options.txid ?? STATIC_TXID;
+  if (txid !== STATIC_TXID && !/^[A-Za-z0-9]{1,25}$/.test(txid)) {
+    throw new PixPayloadError('Static txid must be 1-25 alphanumeric characters');
+  }
+
+  const key = field(ACCOUNT_ID.GUI, PIX_GUI) + field(ACCOUNT_ID.KEY, options.pixKey.trim());
+  // The description gets whatever room the key leaves in the account field
+  const description = toAscii(options.description ?? '').slice(0, MAX_FIELD_LENGTH - key.length - 4);
+  const account = key + (description ? field(ACCOUNT_ID.DESCRIPTION, description) : '');
+
+  return withCrc([
+    field(ID.PAYLOAD_FORMAT, '01'),
+    field(ID.MERCHANT_ACCOUNT, account),
+    ...merchantFields(options, options.amount),
+    field(ID.ADDITIONAL_DATA, field(ADDITIONAL_ID.TXID, txid))
+  ]);
+}
+
+/**
+ * Single-use payload pointing at a PSP charge; the amount, txid and expiry
+ * are served by the PSP from the location
+ */
+export function createDynamicPixPayload(options: DynamicPixPayloadOptions): string {
+  const location = options.locationUrl.replace(/^https?:\/\//, '');
+  if (!location) {
+    throw new PixPayloadError('A charge location is required');
+  }
+
+  return withCrc([
+    field(ID.PAYLOAD_FORMAT, '01'),
+    field(ID.POINT_OF_INITIATION, '12'),
+    field(ID.MERCHANT_ACCOUNT, field(ACCOUNT_ID.GUI, PIX_GUI) + field(ACCOUNT_ID.URL, location)),
+    ...merchantFields(options, undefined),
+    field(ID.ADDITIONAL_DATA, field(ADDITIONAL_ID.TXID, STATIC_TXID))
+  ]);
+}
+
+/**
+ * CRC16/CCITT-FALSE (polynomial 0x1021, initial value 0xFFFF) as four
+ * upper-case hex digits
+ */
+export function crc16(payload: string): string {
+  let crc = 0xffff;
+  for (const byte of new TextEncoder().encode(payload)) {
+    crc ^= byte << 8;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff;
+    }
+  }
+  return crc.toString(16).toUpperCase().padStart(4, '0');
+}
+
+// ========================================
+// Parsing
+// ========================================
+
+/**
+ * Decode a payload and verify its CRC
+ */
+export function parsePixPayload(payload: string): Result<ParsedPixPayload, PixPayloadError> {
+  const trimmed = payload.trim();
+  const crcStart = trimmed.length - 4;
+  if (crcStart < 0 || trimmed.slice(crcStart - 4, crcStart) !== `${ID.CRC}04`) {
+    return failure(new PixPayloadError('Payload does not end with a CRC field'));
+  }
+  const expectedCrc = crc16(trimmed.slice(0, crcStart));
+  if (trimmed.slice(crcStart).toUpperCase() !== expectedCrc) {
+    return failure(new PixPayloadError(`CRC mismatch: payload says ${trimmed.slice(crcStart)}, computed ${expectedCrc}`));
+  }
+
+  let fields: Record<string, string>;
+  let account: Record<string, string>;
+  let additional: Record<string, string>;
+  try {
+    fields = readFields(trimmed);
+    account = readFields(fields[ID.MERCHANT_ACCOUNT] ?? '');
+    additional = readFields(fields[ID.ADDITIONAL_DATA] ?? '');
+  } catch (error) {
+    return failure(error instanceof PixPayloadError ? error : new PixPayloadError(String(error)));
+  }
+
+  if (fields[ID.PAYLOAD_FORMAT] !== '01') {
+    return failure(new PixPayloadError('Unsupported payload format indicator'));
+  }
+  if (account[ACCOUNT_ID.GUI]?.toLowerCase() !== PIX_GUI) {
+    return failure(new PixPayloadError('Merchant account is not a PIX account'));
+  }
+  if (fields[ID.CURRENCY] !== BRL_CURRENCY) {
+    return failure(new PixPayloadError('Currency is not BRL'));
+  }
+
+  const merchantName = fields[ID.MERCHANT_NAME];
+  const merchantCity = fields[ID.MERCHANT_CITY];
+  if (!merchantName || !merchantCity) {
+    return failure(new PixPayloadError('Merchant name and city are required'));
+  }
+
+  const pixKey = account[ACCOUNT_ID.KEY];
+  const locationUrl = account[ACCOUNT_ID.URL];
+  if (!pixKey && !locationUrl) {
+    return failure(new PixPayloadError('Payload has neither a PIX key nor a charge location'));
+  }
+
+  const amountField = fields[ID.AMOUNT];
+  const amount = amountField !== undefined ? parseAmount(amountField) : undefined;
+  if (amount === null) {
+    return failure(new PixPayloadError(`Malformed amount: ${amountField}`));
+  }
+  const description = account[ACCOUNT_ID.DESCRIPTION];
+  const postalCode = fields[ID.POSTAL_CODE];
+  const txid = additional[ADDITIONAL_ID.TXID];
+
+  return success({
+    kind: locationUrl ? 'dynamic' : 'static',
+    merchantName,
+    merchantCity,
+    singleUse: fields[ID.POINT_OF_INITIATION] === '12',
+    fields,
+    ...(pixKey !== undefined ? { pixKey } : {}),
+    ...(locationUrl !== undefined ? { locationUrl } : {}),
+    ...(description !== undefined ? { description } : {}),
+    ...(amount !== undefined ? { amount } : {}),
+    ...(postalCode !== undefined ? { postalCode } : {}),
+    ...(txid !== undefined && txid !== STATIC_TXID ? { txid } : {})
+  });
+}
+
+// ========================================
+// Helpers
+// ========================================
+
+function merchantFields(
+  options: { merchantName: string; merchantCity: string; postalCode?: string },
+  amount: Money | undefined
+): string[] {
+  return [
+    field(ID.MERCHANT_CATEGORY, '0000'),
+    field(ID.CURRENCY, BRL_CURRENCY),
+    ...(amount !== undefined ? [field(ID.AMOUNT, formatAmount(amount))] : []),
+    field(ID.COUNTRY, 'BR'),
+    field(ID.MERCHANT_NAME, normalizeText(options.merchantName, MAX_NAME_LENGTH)),
+    field(ID.MERCHANT_CITY, normalizeText(options.merchantCity, MAX_CITY_LENGTH)),
+    ...(options.postalCode ? [field(ID.POSTAL_CODE, options.postalCode.replace(/\D/g, ''))] : [])
+  ];
+}
+
+function field(id: string, value: string): string {
+  if (value.length > MAX_FIELD_LENGTH) {
+    throw new PixPayloadError(`Field ${id} is longer than 99 characters`);
+  }
+  return `${id}${String(value.length).padStart(2, '0')}${value}`;
+}
+
+function withCrc(fields: string[]): string {
+  const body = `${fields.join('')}${ID.CRC}04`;
+  return body + crc16(body);
+}
+
+function readFields(data: string): Record<string, string> {
+  const fields: Record<string, string> = {};
+  let position = 0;
+  while (position < data.length) {
+    const id = data.slice(position, position + 2);
+    const length = Number(data.slice(position + 2, position + 4));
+    if (!/^\d{2}$/.test(id) || !Number.isInteger(length) || position + 4 + length > data.length) {
+      throw new PixPayloadError(`Malformed field at position ${position}`);
+    }
+    fields[id] = data.slice(position + 4, position + 4 + length);
+    position += 4 + length;
+  }
+  return fields;
+}
+
+/**
+ * Amounts are sent with two decimals and at most 13 characters, written
+ * from the centavos so no float rounding is involved
+ */
+function formatAmount(amount: Money): string {
+  if (amount.currency !== BRL_CODE) {
+    throw new PixPayloadError(`PIX amounts are in BRL, got ${amount.currency}`);
+  }
+  if (amount.cents <= 0) {
+    throw new PixPayloadError('Amount must be positive');
+  }
+  const formatted = `${Math.floor(amount.cents / 100)}.${String(amount.cents % 100).padStart(2, '0')}`;
+  if (formatted.length > 13) {
+    throw new PixPayloadError('Amount is too large');
+  }
+  return formatted;
+}
+
+/**
+ * Decimal reais as sent in field 54 ("10", "10.5", "10.50"); null when
+ * malformed
+ */
+function parseAmount(value: string): Money | null {
+  const match = /^(\d{1,10})(?:\.(\d{1,2}))?$/.exec(value);
+  if (!match) {
+    return null;
+  }
+  return Money.fromCents(Number(match[1]) * 100 + Number((match[2] ?? '').padEnd(2, '0')), BRL_CODE);
+}
+
+/**
+ * Banking apps expect plain ASCII: strip accents
+ */
+function toAscii(value: string): string {
+  return value.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^\x20-\x7e]/g, '').replace(/ {2,}/g, ' ').trim();
+}
+
+function normalizeText(value: string, maxLength: number): string {
+  const normalized = toAscii(value);
+  if (!normalized) {
+    throw new PixPayloadError('Merchant name and city are required');
+  }
+  return normalized.slice(0, maxLength);
+}
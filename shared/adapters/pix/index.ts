@@ -0,0 +1,57 @@
+/**
+ * PIX Payment Adapter
+ */
+
+export {
+  createStaticPixPayload,
+  createDynamicPixPayload,
+  parsePixPayload,
+  crc16,
+  PixPayloadError
+} from './br-code';
+export type {
+  StaticPixPayloadOptions,
+  DynamicPixPayloadOptions,
+  ParsedPixPayload
+} from './br-code';
+
+export {
+  PixPaymentGateway,
+  PixGatewayError,
+  paymentResultOf,
+  chargePaymentStatus,
+  chargeExpiresAt,
+  generateTxid
+} from './pix-gateway';
+export type { PixGatewayErrorCode, PixGatewayOptions, PixIntentMetadata } from './pix-gateway';
+
+export { parsePixWebhook } from './pix-webhook';
+export type { PixWebhookNotification } from './pix-webhook';
+
+export {
+  PixAmountSchema,
+  PixTxidSchema,
+  PixEndToEndIdSchema,
+  PixRefundIdSchema,
+  PixChargeStatusSchema,
+  PixRefundStatusSchema,
+  PixChargeRequestSchema,
+  PixChargeSchema,
+  PixRefundRequestSchema,
+  PixRefundSchema,
+  PixReceivedSchema,
+  PixWebhookPayloadSchema,
+  PixAccessTokenSchema,
+  PixProblemSchema
+} from './pix-schemas';
+export type {
+  PixChargeStatus,
+  PixRefundStatus,
+  PixChargeRequest,
+  PixCharge,
+  PixRefundRequest,
+  PixRefund,
+  PixReceived,
+  PixWebhookPayload,
+  PixProblem
+} from './pix-schemas';
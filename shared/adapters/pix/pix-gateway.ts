@@ -0,0 +1,452 @@
+/**
+ * PIX Payment Gateway
+ *
+ * PaymentGatewayServicePort for PIX through a PSP implementing the BCB PIX
+ * API (v2). A payment intent is an immediate charge (cob) identified by its
+ * txid; the payer pays the returned BR Code from their banking app and the
+ * PSP confirms through the webhook (see parsePixWebhook) or a status lookup.
+ *
+ * PIX has no authorization step and no stored payment methods, so partial
+ * capture and the payment method operations fail with UNSUPPORTED.
+ * Amounts are in BRL.
+ */
+
+import { z } from 'zod';
+
+import { PaymentStatus } from '../../types/domain-entities';
+import type { Result } from '../../types/domain-entities';
+import type {
+  PaymentGatewayServicePort,
+  PaymentIntent,
+  PaymentResult,
+  RefundResult
+} from '../../ports/service-ports';
+import { success, failure } from '../../types/utilities';
+import { createDynamicPixPayload } from './br-code';
+import {
+  PixAccessTokenSchema,
+  PixChargeSchema,
+  PixProblemSchema,
+  PixRefundIdSchema,
+  PixRefundSchema,
+  PixTxidSchema
+} from './pix-schemas';
+import type { PixCharge, PixChargeRequest, PixReceived, PixRefund, PixRefundRequest } from './pix-schemas';
+
+// ========================================
+// Types
+// ========================================
+
+export type PixGatewayErrorCode =
+  | 'INVALID_REQUEST'
+  | 'UNSUPPORTED'
+  | 'NOT_FOUND'
+  | 'NOT_PAID'
+  | 'PSP_ERROR'
+  | 'NETWORK'
+  | 'INVALID_WEBHOOK';
+
+export class PixGatewayError extends Error {
+  constructor(
+    public readonly code: PixGatewayErrorCode,
+    message: string,
+    public readonly status?: number
+  ) {
+    super(message);
+    this.name = 'PixGatewayError';
+  }
+}
+
+export interface PixGatewayOptions {
+  /**
+   * PSP API base URL, e.g. https://pix.example-psp.com.br/api
+   */
+  baseUrl: string;
+
+  /**
+   * Receiver's PIX key (chave)
+   */
+  pixKey: string;
+
+  merchantName: string;
+  merchantCity: string;
+
+  /**
+   * OAuth2 client credentials for the PSP token endpoint (POST /oauth/token);
+   * without them requests are sent unauthenticated
+   */
+  clientId?: string;
+  clientSecret?: string;
+
+  /**
+   * Charge lifetime in seconds (default 15 minutes)
+   */
+  expirationSeconds?: number;
+
+  fetch?: typeof fetch;
+  now?: () => Date;
+}
+
+/**
+ * Metadata understood by createPaymentIntent(); other keys are sent to the
+ * PSP as infoAdicionais
+ */
+export interface PixIntentMetadata {
+  txid?: string;
+  description?: string;
+  expirationSeconds?: number;
+  [key: string]: unknown;
+}
+
+const TXID_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+const TXID_LENGTH = 32;
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+
+// ========================================
+// PIX Payment Gateway
+// ========================================
+
+export class PixPaymentGateway implements PaymentGatewayServicePort {
+  private readonly baseUrl: string;
+  private readonly fetch: typeof fetch;
+  private readonly now: () => Date;
+  private accessToken: { value: string; expiresAt: number } | undefined;
+
+  constructor(private readonly options: PixGatewayOptions) {
+    this.baseUrl = options.baseUrl.replace(/\/+$/, '');
+    this.fetch = options.fetch ?? ((input, init) => globalThis.fetch(input, init));
+    this.now = options.now ?? (() => new Date());
+  }
+
+  /**
+   * Create an immediate charge. `metadata.txid` makes the call idempotent
+   * per order; otherwise a random txid is generated.
+   */
+  async createPaymentIntent(amount: number, currency: string, metadata: PixIntentMetadata = {}): Promise<Result<PaymentIntent>> {
+    if (currency.toUpperCase() !== 'BRL') {
+      return failure(new PixGatewayError('INVALID_REQUEST', `PIX charges are in BRL, not ${currency}`));
+    }
+    if (!Number.isFinite(amount) || amount <= 0 || Math.abs(Math.round(amount * 100) - amount * 100) > 1e-6) {
+      return failure(new PixGatewayError('INVALID_REQUEST', 'Amount must be positive with at most two decimals'));
+    }
+
+    const { txid = generateTxid(), description, expirationSeconds, ...extra } = metadata;
+    if (!PixTxidSchema.safeParse(txid).success) {
+      return failure(new PixGatewayError('INVALID_REQUEST', 'txid must be 26-35 alphanumeric characters'));
+    }
+
+    const infoAdicionais = Object.entries(extra)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([nome, value]) => ({ nome, valor: String(value) }));
+    const request: PixChargeRequest = {
+      calendario: { expiracao: expirationSeconds ?? this.options.expirationSeconds ?? 15 * 60 },
+      valor: { original: amount.toFixed(2) },
+      chave: this.options.pixKey,
+      ...(description !== undefined ? { solicitacaoPagador: description } : {}),
+      ...(infoAdicionais.length > 0 ? { infoAdicionais } : {})
+    };
+
+    const charge = await this.request('PUT', `/v2/cob/${txid}`, PixChargeSchema, request);
+    return charge.success ? success(this.toPaymentIntent(charge.data)) : charge;
+  }
+
+  /**
+   * The payer confirms a PIX in their own bank; this reports whether the
+   * charge has been paid
+   */
+  async confirmPayment(paymentIntentId: string, _paymentMethodId?: string): Promise<Result<PaymentResult>> {
+    const charge = await this.getCharge(paymentIntentId);
+    return charge.success ? success(this.toPaymentResult(charge.data)) : charge;
+  }
+
+  /**
+   * PIX settles immediately, so capturing only reports the charge status
+   */
+  async capturePayment(paymentIntentId: string, amount?: number): Promise<Result<PaymentResult>> {
+    const charge = await this.getCharge(paymentIntentId);
+    if (!charge.success) {
+      return charge;
+    }
+    if (amount !== undefined && amount !== Number(charge.data.valor.original)) {
+      return failure(new PixGatewayError('UNSUPPORTED', 'PIX charges cannot be partially captured; refund the difference instead'));
+    }
+    return success(this.toPaymentResult(charge.data));
+  }
+
+  /**
+   * Withdraw an unpaid charge so its BR Code can no longer be paid
+   */
+  async cancelPaymentIntent(paymentIntentId: string): Promise<Result<PaymentResult>> {
+    if (!PixTxidSchema.safeParse(paymentIntentId).success) {
+      return failure(new PixGatewayError('INVALID_REQUEST', 'txid must be 26-35 alphanumeric characters'));
+    }
+    const charge = await this.request('PATCH', `/v2/cob/${paymentIntentId}`, PixChargeSchema, { status: 'REMOVIDA_PELO_USUARIO_RECEBEDOR' });
+    return charge.success ? success(this.toPaymentResult(charge.data)) : charge;
+  }
+
+  /**
+   * Return part or all of a paid charge (devolução) to the payer. The PSP
+   * keys refunds by `refundId`, so a retry under the same id returns the
+   * refund already made; without one a random id is used. When the PUT
+   * gets no answer the refund is looked up before it is sent again.
+   */
+  async refundPayment(paymentIntentId: string, amount?: number, reason?: string, refundId?: string): Promise<Result<RefundResult>> {
+    if (refundId !== undefined && !PixRefundIdSchema.safeParse(refundId).success) {
+      return failure(new PixGatewayError('INVALID_REQUEST', 'Refund id must be 1-35 alphanumeric characters'));
+    }
+    const charge = await this.getCharge(paymentIntentId);
+    if (!charge.success) {
+      return charge;
+    }
+    const received = charge.data.pix?.[0];
+    if (charge.data.status !== 'CONCLUIDA' || !received) {
+      return failure(new PixGatewayError('NOT_PAID', `Charge ${paymentIntentId} has not been paid`));
+    }
+    const existing = received.devolucoes?.find(refund => refund.id === refundId);
+    if (existing) {
+      return success(toRefundResult(existing, reason));
+    }
+
+    const refundable = Number(received.valor) - refundedAmount(received);
+    const value = amount ?? refundable;
+    if (!(value > 0) || value > refundable + 0.001) {
+      return failure(new PixGatewayError('INVALID_REQUEST', `Refund must be between 0.01 and ${refundable.toFixed(2)}`));
+    }
+
+    const request: PixRefundRequest = {
+      valor: value.toFixed(2),
+      ...(reason !== undefined ? { descricao: reason.slice(0, 140) } : {})
+    };
+    const path = `/v2/pix/${received.endToEndId}/devolucao/${refundId ?? generateRefundId()}`;
+    let refund = await this.request('PUT', path, PixRefundSchema, request);
+    if (!refund.success && refund.error.code === 'NETWORK') {
+      const applied = await this.request('GET', path, PixRefundSchema);
+      refund = applied.success || applied.error.code !== 'NOT_FOUND'
+        ? applied
+        : await this.request('PUT', path, PixRefundSchema, request);
+    }
+    return refund.success ? success(toRefundResult(refund.data, reason)) : refund;
+  }
+
+  async savePaymentMethod(): Promise<Result<string>> {
+    return unsupported('PIX has no stored payment methods');
+  }
+
+  async retrievePaymentMethod(): Promise<Result<never>> {
+    return unsupported('PIX has no stored payment methods');
+  }
+
+  async deletePaymentMethod(): Promise<Result<void>> {
+    return unsupported('PIX has no stored payment methods');
+  }
+
+  async listPaymentMethods(): Promise<Result<never[]>> {
+    return unsupported('PIX has no stored payment methods');
+  }
+
+  /**
+   * Register the URL the PSP notifies for payments to this gateway's key
+   */
+  async registerWebhook(webhookUrl: string): Promise<Result<void>> {
+    const result = await this.request('PUT', `/v2/webhook/${encodeURIComponent(this.options.pixKey)}`, z.unknown(), { webhookUrl });
+    return result.success ? success(undefined) : result;
+  }
+
+  async getCharge(txid: string): Promise<Result<PixCharge>> {
+    if (!PixTxidSchema.safeParse(txid).success) {
+      return failure(new PixGatewayError('INVALID_REQUEST', 'txid must be 26-35 alphanumeric characters'));
+    }
+    return this.request('GET', `/v2/cob/${txid}`, PixChargeSchema);
+  }
+
+  toPaymentIntent(charge: PixCharge): PaymentIntent {
+    const brCode = charge.pixCopiaECola ?? createDynamicPixPayload({
+      locationUrl: charge.location,
+      merchantName: this.options.merchantName,
+      merchantCity: this.options.merchantCity
+    });
+    return {
+      id: charge.txid,
+      amount: Number(charge.valor.original),
+      currency: 'BRL',
+      status: chargePaymentStatus(charge, this.now()),
+      clientSecret: brCode,
+      expiresAt: chargeExpiresAt(charge),
+      pix: { txid: charge.txid, brCode, locationUrl: charge.location, pixKey: charge.chave }
+    };
+  }
+
+  toPaymentResult(charge: PixCharge): PaymentResult {
+    const received = charge.pix?.[0];
+    if (received) {
+      return paymentResultOf(received, charge.txid);
+    }
+    return {
+      id: charge.txid,
+      status: chargePaymentStatus(charge, this.now()),
+      amount: Number(charge.valor.original)
+    };
+  }
+
+  private async request<T>(
+    method: 'GET' | 'PUT' | 'POST' | 'PATCH',
+    path: string,
+    schema: z.ZodType<T>,
+    body?: unknown
+  ): Promise<Result<T, PixGatewayError>> {
+    const token = await this.authorization();
+    if (!token.success) {
+      return token;
+    }
+
+    let response: Response;
+    try {
+      response = await this.fetch(`${this.baseUrl}${path}`, {
+        method,
+        headers: {
+          Accept: 'application/json',
+          ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+          ...(token.data ? { Authorization: `Bearer ${token.data}` } : {})
+        },
+        ...(body !== undefined ? { body: JSON.stringify(body) } : {})
+      });
+    } catch (error) {
+      return failure(new PixGatewayError('NETWORK', `PSP request failed: ${error instanceof Error ? error.message : String(error)}`));
+    }
+
+    const data = await readBody(response);
+    if (!response.ok) {
+      const problem = PixProblemSchema.safeParse(data);
+      const detail = problem.success
+        ? [problem.data.title, problem.data.detail, ...(problem.data.violacoes ?? []).map(v => v.razao)].filter(Boolean).join(': ')
+        : `HTTP ${response.status}`;
+      return failure(new PixGatewayError(response.status === 404 ? 'NOT_FOUND' : 'PSP_ERROR', `PSP rejected ${method} ${path}: ${detail}`, response.status));
+    }
+
+    const parsed = schema.safeParse(data);
+    if (!parsed.success) {
+      return failure(new PixGatewayError('PSP_ERROR', `Unexpected PSP response for ${method} ${path}: ${parsed.error.issues.map(issue => `${issue.path.join('.')}: ${issue.message}`).join('; ')}`, response.status));
+    }
+    return success(parsed.data);
+  }
+
+  /**
+   * Bearer token from the PSP's client-credentials endpoint, cached until
+   * shortly before it expires
+   */
+  private async authorization(): Promise<Result<string | undefined, PixGatewayError>> {
+    const { clientId, clientSecret } = this.options;
+    if (!clientId || !clientSecret) {
+      return success(undefined);
+    }
+    const now = this.now().getTime();
+    if (this.accessToken && this.accessToken.expiresAt - TOKEN_REFRESH_MARGIN_MS > now) {
+      return success(this.accessToken.value);
+    }
+
+    let response: Response;
+    try {
+      response = await this.fetch(`${this.baseUrl}/oauth/token`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Basic ${btoa(`${clientId}:${clientSecret}`)}`,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: 'grant_type=client_credentials'
+      });
+    } catch (error) {
+      return failure(new PixGatewayError('NETWORK', `PSP token request failed: ${error instanceof Error ? error.message : String(error)}`));
+    }
+
+    const parsed = PixAccessTokenSchema.safeParse(await readBody(response));
+    if (!response.ok || !parsed.success) {
+      return failure(new PixGatewayError('PSP_ERROR', `PSP token request failed with HTTP ${response.status}`, response.status));
+    }
+    this.accessToken = { value: parsed.data.access_token, expiresAt: now + parsed.data.expires_in * 1000 };
+    return success(this.accessToken.value);
+  }
+}
+
+// ========================================
+// Mapping
+// ========================================
+
+/**
+ * PaymentResult for a received PIX; the id is the charge txid
+ */
+export function paymentResultOf(received: PixReceived, txid = received.txid): PaymentResult {
+  const amount = Number(received.valor);
+  return {
+    id: txid ?? received.endToEndId,
+    status: refundedAmount(received) >= amount ? PaymentStatus.REFUNDED : PaymentStatus.SUCCEEDED,
+    amount,
+    transactionId: received.endToEndId,
+    paidAt: new Date(received.horario)
+  };
+}
+
+/**
+ * ATIVA charges past their expiry count as cancelled
+ */
+export function chargePaymentStatus(charge: PixCharge, now: Date): PaymentStatus {
+  switch (charge.status) {
+    case 'CONCLUIDA':
+      return charge.pix?.[0] ? paymentResultOf(charge.pix[0]).status : PaymentStatus.SUCCEEDED;
+    case 'ATIVA':
+      return chargeExpiresAt(charge) <= now ? PaymentStatus.CANCELLED : PaymentStatus.PENDING;
+    default:
+      return PaymentStatus.CANCELLED;
+  }
+}
+
+export function chargeExpiresAt(charge: PixCharge): Date {
+  return new Date(new Date(charge.calendario.criacao).getTime() + charge.calendario.expiracao * 1000);
+}
+
+/**
+ * Random 32-character txid, valid for immediate charges
+ */
+export function generateTxid(): string {
+  return randomAlphanumeric(TXID_LENGTH);
+}
+
+function generateRefundId(): string {
+  return `D${randomAlphanumeric(TXID_LENGTH - 1)}`;
+}
+
+function randomAlphanumeric(length: number): string {
+  const bytes = crypto.getRandomValues(new Uint8Array(length));
+  return Array.from(bytes, byte => TXID_ALPHABET[byte % TXID_ALPHABET.length]).join('');
+}
+
+function refundedAmount(received: PixReceived): number {
+  return (received.devolucoes ?? [])
+    .filter(refund => refund.status !== 'NAO_REALIZADO')
+    .reduce((sum, refund) => sum + Number(refund.valor), 0);
+}
+
+function toRefundResult(refund: PixRefund, reason: string | undefined): RefundResult {
+  const refundReason = refund.motivo ?? reason;
+  return {
+    refundId: refund.id,
+    amount: Number(refund.valor),
+    status: refund.status === 'DEVOLVIDO' ? 'processed' : refund.status === 'NAO_REALIZADO' ? 'failed' : 'pending',
+    ...(refundReason !== undefined ? { reason: refundReason } : {})
+  };
+}
+
+function unsupported<T>(message: string): Result<T, PixGatewayError> {
+  return failure(new PixGatewayError('UNSUPPORTED', message));
+}
+
+async function readBody(response: Response): Promise<unknown> {
+  const text = await response.text();
+  if (!text) {
+    return undefined;
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
@@ -0,0 +1,128 @@
+/**
+ * PIX API Schemas
+ *
+ * The subset of the BCB PIX API (v2) used by PixPaymentGateway: immediate
+ * charges (cob), received PIX, refunds (devolução) and webhook
+ * notifications. Field names follow the API, which is in Portuguese.
+ * Amounts are decimal strings in BRL ("12.50").
+ */
+
+import { z } from 'zod';
+
+export const PixAmountSchema = z.string().regex(/^\d{1,10}\.\d{2}$/, 'must be a decimal amount with two places');
+
+/**
+ * Charge id chosen by the receiver: 26-35 alphanumeric characters
+ */
+export const PixTxidSchema = z.string().regex(/^[a-zA-Z0-9]{26,35}$/, 'must be 26-35 alphanumeric characters');
+
+/**
+ * Transaction id assigned by the payer's PSP (E + ISPB + timestamp + sequence)
+ */
+export const PixEndToEndIdSchema = z.string().regex(/^[a-zA-Z0-9]{32}$/, 'must be 32 alphanumeric characters');
+
+export const PixRefundIdSchema = z.string().regex(/^[a-zA-Z0-9]{1,35}$/, 'must be 1-35 alphanumeric characters');
+
+export const PixChargeStatusSchema = z.enum([
+  'ATIVA',
+  'CONCLUIDA',
+  'REMOVIDA_PELO_USUARIO_RECEBEDOR',
+  'REMOVIDA_PELO_PSP'
+]);
+
+export const PixRefundStatusSchema = z.enum(['EM_PROCESSAMENTO', 'DEVOLVIDO', 'NAO_REALIZADO']);
+
+const DateTimeSchema = z.iso.datetime({ offset: true });
+
+export const PixChargeRequestSchema = z.object({
+  calendario: z.object({
+    /**
+     * Seconds after creation until the charge expires
+     */
+    expiracao: z.number().int().positive()
+  }),
+  devedor: z.object({
+    cpf: z.string().regex(/^\d{11}$/).optional(),
+    cnpj: z.string().regex(/^\d{14}$/).optional(),
+    nome: z.string().min(1).max(200)
+  }).optional(),
+  valor: z.object({ original: PixAmountSchema }),
+  chave: z.string().min(1).max(77),
+  solicitacaoPagador: z.string().max(140).optional(),
+  infoAdicionais: z.array(z.object({ nome: z.string().max(50), valor: z.string().max(200) })).max(50).optional()
+});
+
+export const PixRefundRequestSchema = z.object({
+  valor: PixAmountSchema,
+  natureza: z.enum(['ORIGINAL', 'RETIRADA']).optional(),
+  descricao: z.string().max(140).optional()
+});
+
+export const PixRefundSchema = z.object({
+  id: PixRefundIdSchema,
+  rtrId: z.string().min(1),
+  valor: PixAmountSchema,
+  horario: z.object({
+    solicitacao: DateTimeSchema,
+    liquidacao: DateTimeSchema.optional()
+  }),
+  status: PixRefundStatusSchema,
+  motivo: z.string().optional()
+});
+
+export const PixReceivedSchema = z.object({
+  endToEndId: PixEndToEndIdSchema,
+  txid: z.string().optional(),
+  valor: PixAmountSchema,
+  horario: DateTimeSchema,
+  chave: z.string().optional(),
+  infoPagador: z.string().optional(),
+  devolucoes: z.array(PixRefundSchema).optional()
+});
+
+export const PixChargeSchema = PixChargeRequestSchema.extend({
+  calendario: z.object({
+    criacao: DateTimeSchema,
+    expiracao: z.number().int().positive()
+  }),
+  txid: PixTxidSchema,
+  revisao: z.number().int().min(0),
+  status: PixChargeStatusSchema,
+  location: z.string().min(1),
+  pixCopiaECola: z.string().optional(),
+  pix: z.array(PixReceivedSchema).optional()
+});
+
+/**
+ * Body the PSP posts to the registered webhook URL (+ "/pix")
+ */
+export const PixWebhookPayloadSchema = z.object({
+  pix: z.array(PixReceivedSchema).min(1)
+});
+
+export const PixAccessTokenSchema = z.object({
+  access_token: z.string().min(1),
+  token_type: z.string(),
+  expires_in: z.number().int().positive()
+});
+
+/**
+ * RFC 7807 problem body returned by PSPs on errors
+ */
+export const PixProblemSchema = z.object({
+  type: z.string().optional(),
+  title: z.string().optional(),
+  status: z.number().int().optional(),
+  detail: z.string().optional(),
+  violacoes: z.array(z.object({ razao: z.string(), propriedade: z.string().optional() })).optional()
+});
+
+export type PixChargeStatus = z.infer<typeof PixChargeStatusSchema>;
+export type PixRefundStatus = z.infer<typeof PixRefundStatusSchema>;
+export type PixChargeRequest = z.infer<typeof PixChargeRequestSchema>;
+export type PixCharge = z.infer<typeof PixChargeSchema>;
+export type PixRefundRequest = z.infer<typeof PixRefundRequestSchema>;
+export type PixRefund = z.infer<typeof PixRefundSchema>;
+export type PixReceived = z.infer<typeof PixReceivedSchema>;
+export type PixWebhookPayload = z.infer<typeof PixWebhookPayloadSchema>;
+export type PixProblem = z.infer<typeof PixProblemSchema>;
@@ -0,0 +1,59 @@
+/**
+ * PIX Webhook
+ *
+ * Parses the notification a PSP posts when a charge is paid or refunded
+ * ({ pix: [...] } sent to the registered URL + "/pix") into PaymentResults
+ * keyed by txid, the id of the PaymentIntent created for the charge.
+ *
+ * PSPs authenticate webhook calls with mutual TLS; check the client
+ * certificate (or the PSP's signature scheme) before parsing.
+ * PixWebhookProvider does both for PaymentWebhookProcessor.
+ */
+
+import type { Result } from '../../types/domain-entities';
+import type { PaymentResult } from '../../ports/service-ports';
+import { success, failure } from '../../types/utilities';
+import { PixGatewayError, paymentResultOf } from './pix-gateway';
+import { PixWebhookPayloadSchema } from './pix-schemas';
+import type { PixReceived } from './pix-schemas';
+
+export interface PixWebhookNotification {
+  /**
+   * Charge txid; absent for PIX sent to the key without a charge
+   */
+  txid?: string;
+  endToEndId: string;
+  payerMessage?: string;
+  result: PaymentResult;
+  received: PixReceived;
+}
+
+/**
+ * Validate a webhook body (parsed JSON or the raw string)
+ */
+export function parsePixWebhook(body: unknown): Result<PixWebhookNotification[], PixGatewayError> {
+  let data = body;
+  if (typeof body === 'string') {
+    try {
+      data = JSON.parse(body);
+    } catch {
+      return failure(new PixGatewayError('INVALID_WEBHOOK', 'Webhook body is not valid JSON'));
+    }
+  }
+
+  const parsed = PixWebhookPayloadSchema.safeParse(data);
+  if (!parsed.success) {
+    return failure(new PixGatewayError(
+      'INVALID_WEBHOOK',
+      `Invalid PIX webhook: ${parsed.error.issues.map(issue => `${issue.path.join('.')}: ${issue.message}`).join('; ')}`
+    ));
+  }
+
+  return success(parsed.data.pix.map(received => ({
+    endToEndId: received.endToEndId,
+    result: paymentResultOf(received),
+    received,
+    ...(received.txid !== undefined ? { txid: received.txid } : {}),
+    ...(received.infoPagador !== undefined ? { payerMessage: received.infoPagador } : {})
+  })));
+}
@@ -0,0 +1,36 @@
+/**
+ * Vision Adapter
+ *
+ * ComputerVisionServicePort for the fridge cameras: before/after shelf
+ * diffing mapped onto container slots through per-camera shelf layouts, and
+ * SKU detection through a pluggable inference backend (ONNX Runtime on the
+ * CPU, or a deterministic stub).
+ */
+
+export { ShelfVisionService } from './shelf-vision-service';
+export type {
+  VisionImageSource,
+  ShelfVisionServiceDependencies,
+  ShelfVisionServiceOptions,
+  ShelfComparison
+} from './shelf-vision-service';
+export { diffShelfFrames } from './shelf-diff';
+export type { ShelfDiff, ShelfDiffOptions, ShelfChange, SlotOverlap, SlotChangeSummary } from './shelf-diff';
+export {
+  ShelfLayoutSchema,
+  ShelfSchema,
+  ShelfSlotSchema,
+  ShelfRectSchema,
+  StaticShelfLayoutSource
+} from './shelf-layout';
+export type { ShelfLayout, Shelf, ShelfSlot, ShelfRect, ShelfLayoutSource } from './shelf-layout';
+export { VisionError } from './vision-error';
+export type { VisionErrorCode } from './vision-error';
+export { ProductDetector } from './product-detector';
+export type { ProductDetectorDependencies, ProductDetectorOptions } from './product-detector';
+export { SkuLabelSchema, SkuLabelMapSchema, parseSkuLabelMap, loadSkuLabelMap } from './inference-backend';
+export type { Detection, InferenceBackend, SkuLabel, SkuLabelMap, LabelMapFileSystem } from './inference-backend';
+export { OnnxInferenceBackend } from './onnx-inference-backend';
+export type { OnnxInferenceBackendOptions, OnnxRuntime, OnnxSession, OnnxTensor } from './onnx-inference-backend';
+export { StubInferenceBackend } from './stub-inference-backend';
+export type { StubInferenceBackendOptions } from './stub-inference-backend';
@@ -0,0 +1,128 @@
+/**
+ * Inference Backends
+ *
+ * The contract between product detection and the model that runs it. A
+ * backend takes a batch of upright RGB rasters and returns, per raster, the
+ * boxes it found with a class index and a score; ProductDetector turns the
+ * class indices into SKUs through a label map. OnnxInferenceBackend runs an
+ * ONNX model on the CPU in Node; StubInferenceBackend answers
+ * deterministically for tests.
+ *
+ * A label map names the SKU behind each class index of one model:
+ *
+ *   {
+ *     "model": "shelf-yolov8n-2025-09",
+ *     "labels": [
+ *       { "index": 0, "sku": "COCA-350", "name": "Coca-Cola lata 350 ml", "productId": "prod_123" },
+ *       { "index": 1, "sku": "GUARANA-350" }
+ *     ]
+ *   }
+ */
+
+import { z } from 'zod';
+
+import { EntityIdSchema } from '../../types/domain-schemas';
+import type { Raster } from '../images/raster';
+import { VisionError } from './vision-error';
+
+// ========================================
+// Types
+// ========================================
+
+/**
+ * A box in pixels of the raster it was found in
+ */
+export interface Detection {
+  classIndex: number;
+
+  /**
+   * 0-1
+   */
+  score: number;
+
+  box: { x: number; y: number; width: number; height: number };
+}
+
+export interface InferenceBackend {
+  /**
+   * Detections for each raster, in the order given
+   *
+   * @throws VisionError INVALID_MODEL or INFERENCE_ERROR
+   */
+  detect(batch: Raster[]): Promise<Detection[][]>;
+
+  /**
+   * Free the model; the backend is unusable afterwards
+   */
+  close?(): Promise<void>;
+}
+
+export const SkuLabelSchema = z.object({
+  index: z.number().int().nonnegative(),
+  sku: z.string().min(1),
+  name: z.string().optional(),
+  productId: EntityIdSchema.optional()
+});
+
+export const SkuLabelMapSchema = z
+  .object({
+    model: z.string().min(1),
+    labels: z.array(SkuLabelSchema).min(1)
+  })
+  .superRefine((map, context) => {
+    const seen = new Set<number>();
+    map.labels.forEach((label, position) => {
+      if (seen.has(label.index)) {
+        context.addIssue({ code: 'custom', path: ['labels', position, 'index'], message: `Class index ${label.index} is labelled twice` });
+      }
+      seen.add(label.index);
+    });
+  });
+
+export type SkuLabel = z.infer<typeof SkuLabelSchema>;
+export type SkuLabelMap = z.infer<typeof SkuLabelMapSchema>;
+
+/**
+ * The part of node:fs/promises loadSkuLabelMap() needs
+ */
+export interface LabelMapFileSystem {
+  readFile(path: string, encoding: 'utf8'): Promise<string>;
+}
+
+// ========================================
+// Label Maps
+// ========================================
+
+/**
+ * @throws VisionError INVALID_LABELS
+ */
+export function parseSkuLabelMap(value: unknown): SkuLabelMap {
+  const parsed = SkuLabelMapSchema.safeParse(value);
+  if (!parsed.success) {
+    const issue = parsed.error.issues[0];
+    throw new VisionError('INVALID_LABELS', `Invalid label map: ${issue ? `${issue.path.join('.') || 'map'}: ${issue.message}` : 'malformed'}`);
+  }
+  return parsed.data;
+}
+
+/**
+ * Read and validate a JSON label map from disk
+ *
+ * @throws VisionError INVALID_LABELS
+ */
+export async function loadSkuLabelMap(path: string, fs: LabelMapFileSystem): Promise<SkuLabelMap> {
+  let text: string;
+  try {
+    text = await fs.readFile(path, 'utf8');
+  } catch (error) {
+    throw new VisionError('INVALID_LABELS', `Label map ${path} cannot be read: ${error instanceof Error ? error.message : String(error)}`);
+  }
+  try {
+    return parseSkuLabelMap(JSON.parse(text));
+  } catch (error) {
+    if (error instanceof VisionError) {
+      throw new VisionError('INVALID_LABELS', `${path}: ${error.message}`);
+    }
+    throw new VisionError('INVALID_LABELS', `Label map ${path} is not valid JSON`);
+  }
+}
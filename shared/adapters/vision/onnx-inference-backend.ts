@@ -0,0 +1,270 @@
+/**
+ * ONNX Inference Backend
+ *
+ * InferenceBackend running a YOLO-family product detector (YOLOv8 or
+ * YOLOv5 export, one float32 NCHW input) with ONNX Runtime on the CPU. The
+ * runtime is passed in rather than imported, so this package stays free of
+ * native code and loads in Workers; the Node service that runs inference
+ * installs onnxruntime-node and hands it over:
+ *
+ *   import * as ort from 'onnxruntime-node';
+ *
+ *   const backend = new OnnxInferenceBackend({ runtime: ort, modelPath: '/var/lib/delicasa/models/shelf-yolov8n.onnx' });
+ *
+ * The model is loaded from disk on the first batch. Rasters are letterboxed
+ * to inputSize (gray padding, as in training), and boxes are mapped back to
+ * raster pixels after per-class non-maximum suppression.
+ */
+
+import { resize } from '../images/raster';
+import type { Raster } from '../images/raster';
+import type { Detection, InferenceBackend } from './inference-backend';
+import { VisionError } from './vision-error';
+
+// ========================================
+// Types
+// ========================================
+
+/**
+ * The part of onnxruntime-node's Tensor used here
+ */
+export interface OnnxTensor {
+  readonly data: unknown;
+  readonly dims: readonly number[];
+}
+
+/**
+ * The part of onnxruntime-node's InferenceSession used here
+ */
+export interface OnnxSession {
+  readonly inputNames: readonly string[];
+  readonly outputNames: readonly string[];
+  run(feeds: Record<string, OnnxTensor>): Promise<Record<string, OnnxTensor>>;
+  release?(): Promise<void>;
+}
+
+/**
+ * The part of the onnxruntime-node module used here
+ */
+export interface OnnxRuntime {
+  InferenceSession: {
+    create(
+      path: string,
+      options?: { executionProviders?: string[]; intraOpNumThreads?: number; graphOptimizationLevel?: 'all' }
+    ): Promise<OnnxSession>;
+  };
+  Tensor: new (type: 'float32', data: Float32Array, dims: readonly number[]) => OnnxTensor;
+}
+
+export interface OnnxInferenceBackendOptions {
+  runtime: OnnxRuntime;
+  modelPath: string;
+
+  /**
+   * Square input size the model was exported with (default 640)
+   */
+  inputSize?: number;
+
+  /**
+   * Output layout: 'yolov8' is [batch, 4 + classes, anchors] (either axis
+   * order), 'yolov5' is [batch, anchors, 5 + classes] with an objectness
+   * score (default 'yolov8')
+   */
+  outputFormat?: 'yolov8' | 'yolov5';
+
+  /**
+   * Candidates scoring lower are discarded before suppression
+   * (default 0.25)
+   */
+  scoreThreshold?: number;
+
+  /**
+   * Overlap (IoU) above which the weaker of two same-class boxes is
+   * suppressed (default 0.45)
+   */
+  iouThreshold?: number;
+
+  /**
+   * Most detections kept per raster (default 300)
+   */
+  maxDetections?: number;
+
+  /**
+   * CPU threads per inference (default: ONNX Runtime's choice)
+   */
+  threads?: number;
+}
+
+/**
+ * Letterbox padding, as used by the YOLO training pipelines
+ */
+const PAD_VALUE = 114 / 255;
+
+interface Letterbox {
+  scale: number;
+  padX: number;
+  padY: number;
+}
+
+// ========================================
+// ONNX Inference Backend
+// ========================================
+
+export class OnnxInferenceBackend implements InferenceBackend {
+  private session: Promise<OnnxSession> | undefined;
+
+  constructor(private readonly options: OnnxInferenceBackendOptions) {}
+
+  async detect(batch: Raster[]): Promise<Detection[][]> {
+    if (batch.length === 0) {
+      return [];
+    }
+    const session = await this.load();
+    const size = this.options.inputSize ?? 640;
+    const input = new Float32Array(batch.length * 3 * size * size);
+    const letterboxes = batch.map((raster, index) => letterbox(raster, size, input, index));
+
+    const { runtime } = this.options;
+    let outputs: Record<string, OnnxTensor>;
+    try {
+      outputs = await session.run({ [session.inputNames[0]!]: new runtime.Tensor('float32', input, [batch.length, 3, size, size]) });
+    } catch (error) {
+      throw new VisionError('INFERENCE_ERROR', `Inference failed: ${error instanceof Error ? error.message : String(error)}`);
+    }
+
+    const output = outputs[session.outputNames[0]!];
+    if (!output || !(output.data instanceof Float32Array) || output.dims.length !== 3 || output.dims[0] !== batch.length) {
+      throw new VisionError('INVALID_MODEL', `Expected a float32 [${batch.length}, n, m] output, got [${output?.dims.join(', ') ?? ''}]`);
+    }
+    return letterboxes.map((box, index) => this.decode(output.data as Float32Array, output.dims, index, box, batch[index]!));
+  }
+
+  async close(): Promise<void> {
+    const session = this.session;
+    this.session = undefined;
+    await (await session?.catch(() => undefined))?.release?.();
+  }
+
+  private load(): Promise<OnnxSession> {
+    if (!this.session) {
+      const { runtime, modelPath, threads } = this.options;
+      this.session = runtime.InferenceSession.create(modelPath, {
+        executionProviders: ['cpu'],
+        graphOptimizationLevel: 'all',
+        ...(threads !== undefined ? { intraOpNumThreads: threads } : {})
+      }).catch(error => {
+        this.session = undefined;
+        throw new VisionError('INVALID_MODEL', `Model ${modelPath} cannot be loaded: ${error instanceof Error ? error.message : String(error)}`);
+      });
+    }
+    return this.session;
+  }
+
+  /**
+   * Candidates of one batch item, mapped back to the raster and suppressed
+   */
+  private decode(data: Float32Array, dims: readonly number[], item: number, box: Letterbox, raster: Raster): Detection[] {
+    const v5 = this.options.outputFormat === 'yolov5';
+    // YOLOv8 exports put attributes first; some tools transpose them
+    const attributesFirst = !v5 && dims[1]! < dims[2]!;
+    const attributes = attributesFirst ? dims[1]! : dims[2]!;
+    const anchors = attributesFirst ? dims[2]! : dims[1]!;
+    const classes = attributes - (v5 ? 5 : 4);
+    if (classes < 1) {
+      throw new VisionError('INVALID_MODEL', `Output [${dims.join(', ')}] has no class scores`);
+    }
+    const base = item * attributes * anchors;
+    const at = attributesFirst
+      ? (anchor: number, attribute: number) => data[base + attribute * anchors + anchor]!
+      : (anchor: number, attribute: number) => data[base + anchor * attributes + attribute]!;
+
+    const threshold = this.options.scoreThreshold ?? 0.25;
+    const candidates: Detection[] = [];
+    for (let anchor = 0; anchor < anchors; anchor++) {
+      const objectness = v5 ? at(anchor, 4) : 1;
+      let classIndex = 0;
+      let best = -Infinity;
+      for (let index = 0; index < classes; index++) {
+        const value = at(anchor, (v5 ? 5 : 4) + index);
+        if (value > best) {
+          best = value;
+          classIndex = index;
+        }
+      }
+      const score = best * objectness;
+      if (score < threshold) {
+        continue;
+      }
+
+      const centerX = (at(anchor, 0) - box.padX) / box.scale;
+      const centerY = (at(anchor, 1) - box.padY) / box.scale;
+      const halfWidth = at(anchor, 2) / box.scale / 2;
+      const halfHeight = at(anchor, 3) / box.scale / 2;
+      const x = Math.max(0, centerX - halfWidth);
+      const y = Math.max(0, centerY - halfHeight);
+      const width = Math.min(raster.width, centerX + halfWidth) - x;
+      const height = Math.min(raster.height, centerY + halfHeight) - y;
+      if (width > 0 && height > 0) {
+        candidates.push({ classIndex, score, box: { x, y, width, height } });
+      }
+    }
+    return suppress(candidates, this.options.iouThreshold ?? 0.45, this.options.maxDetections ?? 300);
+  }
+}
+
+// ========================================
+// Helpers
+// ========================================
+
+/**
+ * Scale the raster into a size x size square, centred on gray padding, and
+ * write it as planar RGB 0-1 into batch item `item` of the input
+ */
+function letterbox(raster: Raster, size: number, input: Float32Array, item: number): Letterbox {
+  const scale = Math.min(size / raster.width, size / raster.height);
+  const width = Math.max(1, Math.round(raster.width * scale));
+  const height = Math.max(1, Math.round(raster.height * scale));
+  const padX = Math.floor((size - width) / 2);
+  const padY = Math.floor((size - height) / 2);
+  const scaled = resize(raster, width, height);
+
+  const plane = size * size;
+  const offset = item * 3 * plane;
+  input.fill(PAD_VALUE, offset, offset + 3 * plane);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const from = (y * width + x) * 3;
+      const to = offset + (y + padY) * size + x + padX;
+      input[to] = scaled.data[from]! / 255;
+      input[to + plane] = scaled.data[from + 1]! / 255;
+      input[to + 2 * plane] = scaled.data[from + 2]! / 255;
+    }
+  }
+  return { scale, padX, padY };
+}
+
+/**
+ * Greedy per-class non-maximum suppression, highest scores first
+ */
+function suppress(candidates: Detection[], iouThreshold: number, maxDetections: number): Detection[] {
+  const kept: Detection[] = [];
+  for (const candidate of candidates.sort((a, b) => b.score - a.score)) {
+    if (kept.length >= maxDetections) {
+      break;
+    }
+    if (!kept.some(other => other.classIndex === candidate.classIndex && iou(other.box, candidate.box) > iouThreshold)) {
+      kept.push(candidate);
+    }
+  }
+  return kept;
+}
+
+function iou(a: Detection['box'], b: Detection['box']): number {
+  const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+  const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+  if (width <= 0 || height <= 0) {
+    return 0;
+  }
+  const overlap = width * height;
+  return overlap / (a.width * a.height + b.width * b.height - overlap);
+}
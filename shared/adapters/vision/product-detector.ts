@@ -0,0 +1,120 @@
+/**
+ * Product Detector
+ *
+ * Runs an InferenceBackend over capture sets in batches and names what it
+ * finds by SKU. Detections of classes missing from the label map (a model
+ * trained with extra classes such as "hand" or "empty slot") are dropped
+ * unless includeUnlabeled is set, in which case their type is
+ * "class:<index>".
+ */
+
+import type { DetectedObject, ObjectDetectionResult } from '../../ports/service-ports';
+import type { Raster } from '../images/raster';
+import type { Detection, InferenceBackend, SkuLabel, SkuLabelMap } from './inference-backend';
+import { VisionError } from './vision-error';
+
+// ========================================
+// Types
+// ========================================
+
+export interface ProductDetectorDependencies {
+  backend: InferenceBackend;
+  labels: SkuLabelMap;
+}
+
+export interface ProductDetectorOptions {
+  /**
+   * Rasters per backend call (default 4); 1 for models exported with a
+   * fixed batch size of one
+   */
+  batchSize?: number;
+
+  /**
+   * Detections scoring lower are dropped (default 0.25)
+   */
+  minConfidence?: number;
+
+  includeUnlabeled?: boolean;
+
+  /**
+   * Clock for processingTime
+   */
+  now?: () => Date;
+}
+
+const DEFAULT_BATCH_SIZE = 4;
+const DEFAULT_MIN_CONFIDENCE = 0.25;
+
+// ========================================
+// Product Detector
+// ========================================
+
+export class ProductDetector {
+  private readonly labels: Map<number, SkuLabel>;
+  private readonly now: () => Date;
+
+  constructor(
+    private readonly deps: ProductDetectorDependencies,
+    private readonly options: ProductDetectorOptions = {}
+  ) {
+    this.labels = new Map(deps.labels.labels.map(label => [label.index, label]));
+    this.now = options.now ?? (() => new Date());
+  }
+
+  get model(): string {
+    return this.deps.labels.model;
+  }
+
+  /**
+   * One result per raster, in order. processingTime (ms) is the share of
+   * the batch's inference time.
+   *
+   * @throws VisionError from the backend
+   */
+  async detect(rasters: Raster[]): Promise<ObjectDetectionResult[]> {
+    const batchSize = Math.max(1, this.options.batchSize ?? DEFAULT_BATCH_SIZE);
+    const results: ObjectDetectionResult[] = [];
+    for (let start = 0; start < rasters.length; start += batchSize) {
+      const batch = rasters.slice(start, start + batchSize);
+      const startedAt = this.now().getTime();
+      const detections = await this.deps.backend.detect(batch);
+      if (detections.length !== batch.length) {
+        throw new VisionError('INFERENCE_ERROR', `Backend returned ${detections.length} results for a batch of ${batch.length}`);
+      }
+      const processingTime = (this.now().getTime() - startedAt) / batch.length;
+      for (const found of detections) {
+        const objects = this.toObjects(found);
+        results.push({ objects, totalObjects: objects.length, processingTime });
+      }
+    }
+    return results;
+  }
+
+  private toObjects(detections: Detection[]): DetectedObject[] {
+    const minConfidence = this.options.minConfidence ?? DEFAULT_MIN_CONFIDENCE;
+    const objects: DetectedObject[] = [];
+    for (const detection of detections) {
+      const label = this.labels.get(detection.classIndex);
+      if (detection.score < minConfidence || (!label && !this.options.includeUnlabeled)) {
+        continue;
+      }
+      objects.push({
+        type: label?.sku ?? `class:${detection.classIndex}`,
+        confidence: detection.score,
+        boundingBox: {
+          x: Math.round(detection.box.x),
+          y: Math.round(detection.box.y),
+          width: Math.round(detection.box.width),
+          height: Math.round(detection.box.height)
+        },
+        attributes: {
+          classIndex: detection.classIndex,
+          model: this.deps.labels.model,
+          ...(label?.name !== undefined ? { name: label.name } : {}),
+          ...(label?.productId !== undefined ? { productId: label.productId } : {})
+        }
+      });
+    }
+    return objects.sort((a, b) => b.confidence - a.confidence);
+  }
+}
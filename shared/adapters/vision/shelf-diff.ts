@@ -0,0 +1,693 @@
+/**
+ * Shelf Diff
+ *
+ * Finds what changed on the shelves between the capture taken before the
+ * door opened and the one taken after it closed, and which container slots
+ * the changes fall in. This is what grab-and-go billing charges from.
+ *
+ * Both frames are scaled down to an analysis size and then:
+ *
+ * 1. aligned: the translation that best matches their edge maps, within
+ *    maxShift, absorbs the camera moving when the door slams;
+ * 2. matched in color: a per-channel gain and offset, fitted on the pixels
+ *    that did not change, keeps auto-exposure and the fridge light warming
+ *    up from reading as change;
+ * 3. differenced inside the shelf regions, minus the static masks;
+ * 4. thresholded above the frame's own noise level (median plus noiseFactor
+ *    robust deviations), cleaned with a morphological open and close, and
+ *    split into connected regions.
+ *
+ * Each region gets a confidence from its contrast over the threshold, how
+ * solid it is and its size, and a type from the edge density it had before
+ * and after: a product taken usually uncovers plain shelf ('removed'), one
+ * put back adds edges ('added').
+ */
+
+import type { ImageDifference } from '../../ports/service-ports';
+import { resize } from '../images/raster';
+import type { Raster } from '../images/raster';
+import type { ShelfLayout, ShelfRect } from './shelf-layout';
+
+// ========================================
+// Types
+// ========================================
+
+export interface ShelfDiffOptions {
+  /**
+   * Width the frames are scaled to before comparing (default 320)
+   */
+  analysisWidth?: number;
+
+  /**
+   * Largest camera movement searched for, as a fraction of the frame width
+   * (default 0.04)
+   */
+  maxShift?: number;
+
+  /**
+   * Smallest color distance (0-255) that counts as change (default 24)
+   */
+  minThreshold?: number;
+
+  /**
+   * Robust standard deviations above the median difference a pixel must be
+   * to count as change (default 4)
+   */
+  noiseFactor?: number;
+
+  /**
+   * Smallest region kept, as a fraction of the compared area
+   * (default 0.002)
+   */
+  minRegionFraction?: number;
+
+  /**
+   * Regions below this confidence are dropped (default 0.3)
+   */
+  minConfidence?: number;
+
+  /**
+   * Fraction of a slot's area that must change for the slot to count as
+   * changed (default 0.02)
+   */
+  minSlotChange?: number;
+}
+
+/**
+ * How much of a changed region falls in one slot
+ */
+export interface SlotOverlap {
+  containerId: string;
+  shelfLevel: number;
+  position?: string;
+
+  /**
+   * Fraction of the region's pixels inside the slot
+   */
+  overlap: number;
+}
+
+/**
+ * An ImageDifference located on the shelves. location is in pixels of the
+ * "before" capture; containerId, shelfLevel and position are those of the
+ * slot holding most of the region.
+ */
+export interface ShelfChange extends ImageDifference {
+  type: 'removed' | 'added' | 'changed';
+
+  /**
+   * 0-1
+   */
+  confidence: number;
+
+  containerId?: string;
+  shelfLevel?: number;
+  position?: string;
+
+  /**
+   * Every slot the region overlaps, largest overlap first
+   */
+  slots: SlotOverlap[];
+}
+
+export interface SlotChangeSummary {
+  containerId: string;
+  shelfLevel: number;
+  position?: string;
+
+  /**
+   * Fraction of the slot's compared area that changed
+   */
+  changedFraction: number;
+
+  /**
+   * Highest confidence of the regions in the slot; 0 when none
+   */
+  confidence: number;
+
+  changed: boolean;
+}
+
+export interface ShelfDiff {
+  /**
+   * 1 minus the changed fraction of the compared area
+   */
+  similarity: number;
+
+  /**
+   * The per-pixel color distance used, 0-1
+   */
+  threshold: number;
+
+  /**
+   * True when no change was found
+   */
+  isMatch: boolean;
+
+  /**
+   * Camera movement from before to after, in pixels of the "before" capture
+   */
+  alignment: { dx: number; dy: number };
+
+  differences: ShelfChange[];
+
+  /**
+   * Every slot of the layout, in layout order
+   */
+  slots: SlotChangeSummary[];
+}
+
+const DEFAULTS = {
+  analysisWidth: 320,
+  maxShift: 0.04,
+  minThreshold: 24,
+  noiseFactor: 4,
+  minRegionFraction: 0.002,
+  minConfidence: 0.3,
+  minSlotChange: 0.02
+};
+
+/**
+ * Edge density after / before beyond which a region is 'added' (or, its
+ * inverse, 'removed')
+ */
+const EDGE_RATIO = 1.25;
+
+/**
+ * sqrt(3): scales an RGB distance to 0-255
+ */
+const RGB_NORM = Math.sqrt(3);
+
+interface Plane {
+  width: number;
+  height: number;
+  data: Float32Array;
+}
+
+interface Region {
+  pixels: number[];
+  minX: number;
+  minY: number;
+  maxX: number;
+  maxY: number;
+  differenceSum: number;
+}
+
+// ========================================
+// Diffing
+// ========================================
+
+/**
+ * Compare two upright captures from the camera the layout describes
+ *
+ * @throws RangeError when the frames do not have the same aspect ratio
+ */
+export function diffShelfFrames(before: Raster, after: Raster, layout: ShelfLayout, options: ShelfDiffOptions = {}): ShelfDiff {
+  const settings = { ...DEFAULTS, ...withoutUndefined(options) };
+  if (Math.abs(before.width / before.height - after.width / after.height) > 0.02 * (before.width / before.height)) {
+    throw new RangeError(`Frames ${before.width}x${before.height} and ${after.width}x${after.height} do not have the same aspect ratio`);
+  }
+
+  const width = Math.min(settings.analysisWidth, before.width);
+  const height = Math.max(1, Math.round((before.height * width) / before.width));
+  const scaledBefore = resize(before, width, height);
+  const scaledAfter = resize(after, width, height);
+  const toAnalysis = { x: width / layout.frame.width, y: height / layout.frame.height };
+  const toCapture = { x: before.width / width, y: before.height / height };
+
+  // Where to compare: inside a shelf, outside every static mask
+  const shelfOf = new Int16Array(width * height).fill(-1);
+  layout.shelves.forEach((shelf, index) => {
+    fillRect(shelfOf, width, height, scaleRect(shelf.region, toAnalysis), index);
+    for (const mask of shelf.staticMasks) {
+      fillRect(shelfOf, width, height, scaleRect(mask, toAnalysis), -1, index);
+    }
+  });
+  for (const mask of layout.staticMasks) {
+    fillRect(shelfOf, width, height, scaleRect(mask, toAnalysis), -1);
+  }
+
+  const edgesBefore = edgeMap(scaledBefore);
+  const edgesAfter = edgeMap(scaledAfter);
+  const maxShift = Math.round(settings.maxShift * width);
+  const shift = align(edgesBefore, edgesAfter, shelfOf, maxShift);
+
+  // Compared pixels: in the mask and still inside the frame after the shift
+  const compared = new Uint8Array(width * height);
+  let comparedArea = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const index = y * width + x;
+      const ax = x + shift.dx;
+      const ay = y + shift.dy;
+      if (shelfOf[index]! >= 0 && ax >= 0 && ay >= 0 && ax < width && ay < height) {
+        compared[index] = 1;
+        comparedArea++;
+      }
+    }
+  }
+  const alignment = { dx: Math.round(shift.dx * toCapture.x), dy: Math.round(shift.dy * toCapture.y) };
+  const slots = layout.slots.map(slot => ({ slot, rect: scaleRect(slot.region, toAnalysis) }));
+  if (comparedArea === 0) {
+    return {
+      similarity: 1,
+      threshold: round(settings.minThreshold / 255, 4),
+      isMatch: true,
+      alignment,
+      differences: [],
+      slots: layout.slots.map(slot => ({ ...slotIdentity(slot), changedFraction: 0, confidence: 0, changed: false }))
+    };
+  }
+
+  const difference = colorDifference(scaledBefore, scaledAfter, compared, shift);
+  const threshold = noiseThreshold(difference, compared, settings.minThreshold, settings.noiseFactor);
+  let changed: Uint8Array = new Uint8Array(width * height);
+  for (let index = 0; index < changed.length; index++) {
+    changed[index] = compared[index] && difference.data[index]! > threshold ? 1 : 0;
+  }
+  changed = erode(dilate(dilate(erode(changed, width, height), width, height), width, height), width, height);
+  for (let index = 0; index < changed.length; index++) {
+    changed[index] = changed[index]! & compared[index]!;
+  }
+
+  const minRegion = Math.max(4, settings.minRegionFraction * comparedArea);
+  const differences: ShelfChange[] = [];
+  const slotChanged = new Float64Array(slots.length);
+  const slotConfidence = new Float64Array(slots.length);
+  let changedArea = 0;
+
+  for (const region of connectedRegions(changed, difference, width, height)) {
+    const count = region.pixels.length;
+    if (count < minRegion) {
+      continue;
+    }
+    const boxWidth = region.maxX - region.minX + 1;
+    const boxHeight = region.maxY - region.minY + 1;
+    const contrast = clamp((region.differenceSum / count - threshold) / threshold);
+    const solidity = count / (boxWidth * boxHeight);
+    const size = clamp(count / (4 * minRegion));
+    const confidence = round(0.5 * contrast + 0.25 * solidity + 0.25 * size);
+    if (confidence < settings.minConfidence) {
+      continue;
+    }
+
+    const perSlot = new Float64Array(slots.length);
+    const perShelf = new Float64Array(layout.shelves.length);
+    let edgeBefore = 0;
+    let edgeAfter = 0;
+    for (const index of region.pixels) {
+      const x = index % width;
+      const y = (index - x) / width;
+      slots.forEach(({ rect }, slot) => {
+        if (x >= rect.x && y >= rect.y && x < rect.x + rect.width && y < rect.y + rect.height) {
+          perSlot[slot]! += 1;
+        }
+      });
+      perShelf[shelfOf[index]!]! += 1;
+      edgeBefore += edgesBefore.data[index]!;
+      edgeAfter += edgesAfter.data[(y + shift.dy) * width + x + shift.dx]!;
+    }
+
+    const overlaps: SlotOverlap[] = [];
+    perSlot.forEach((pixels, slot) => {
+      if (pixels > 0) {
+        overlaps.push({ ...slotIdentity(slots[slot]!.slot), overlap: round(pixels / count) });
+        slotChanged[slot]! += pixels;
+        slotConfidence[slot] = Math.max(slotConfidence[slot]!, confidence);
+      }
+    });
+    overlaps.sort((a, b) => b.overlap - a.overlap);
+    const primary = overlaps[0];
+    const shelf = layout.shelves[perShelf.indexOf(Math.max(...perShelf))];
+    const ratio = (edgeAfter + 1) / (edgeBefore + 1);
+    changedArea += count;
+
+    differences.push({
+      type: ratio >= EDGE_RATIO ? 'added' : ratio <= 1 / EDGE_RATIO ? 'removed' : 'changed',
+      location: {
+        x: Math.round(region.minX * toCapture.x),
+        y: Math.round(region.minY * toCapture.y),
+        width: Math.round(boxWidth * toCapture.x),
+        height: Math.round(boxHeight * toCapture.y)
+      },
+      severity: confidence >= 0.75 ? 'high' : confidence >= 0.5 ? 'medium' : 'low',
+      confidence,
+      ...(primary ? { containerId: primary.containerId } : {}),
+      ...(primary ? { shelfLevel: primary.shelfLevel } : shelf ? { shelfLevel: shelf.shelfLevel } : {}),
+      ...(primary?.position !== undefined ? { position: primary.position } : {}),
+      slots: overlaps
+    });
+  }
+  differences.sort((a, b) => b.confidence - a.confidence);
+
+  return {
+    similarity: round(1 - changedArea / comparedArea, 4),
+    threshold: round(threshold / 255, 4),
+    isMatch: differences.length === 0,
+    alignment,
+    differences,
+    slots: slots.map(({ slot, rect }, index) => {
+      const area = countInRect(compared, width, rect);
+      const changedFraction = area > 0 ? round(slotChanged[index]! / area) : 0;
+      return {
+        ...slotIdentity(slot),
+        changedFraction,
+        confidence: slotConfidence[index]!,
+        changed: changedFraction >= settings.minSlotChange
+      };
+    })
+  };
+}
+
+// ========================================
+// Alignment
+// ========================================
+
+/**
+ * Gradient magnitude of the luminance, scaled to a mean of 1 so frames of
+ * different exposure compare
+ */
+function edgeMap(raster: Raster): Plane {
+  const { width, height, data } = raster;
+  const luma = new Float32Array(width * height);
+  for (let index = 0; index < luma.length; index++) {
+    luma[index] = 0.299 * data[index * 3]! + 0.587 * data[index * 3 + 1]! + 0.114 * data[index * 3 + 2]!;
+  }
+  const edges = new Float32Array(width * height);
+  let total = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const index = y * width + x;
+      const dx = luma[y * width + Math.min(width - 1, x + 1)]! - luma[y * width + Math.max(0, x - 1)]!;
+      const dy = luma[Math.min(height - 1, y + 1) * width + x]! - luma[Math.max(0, y - 1) * width + x]!;
+      edges[index] = Math.abs(dx) + Math.abs(dy);
+      total += edges[index]!;
+    }
+  }
+  const mean = total / edges.length || 1;
+  for (let index = 0; index < edges.length; index++) {
+    edges[index] = edges[index]! / mean;
+  }
+  return { width, height, data: edges };
+}
+
+/**
+ * The shift (after relative to before) minimizing the mean absolute edge
+ * difference over the compared area; searched on every other pixel, then
+ * refined on every pixel around the best candidate
+ */
+function align(before: Plane, after: Plane, mask: Int16Array, maxShift: number): { dx: number; dy: number } {
+  const score = (dx: number, dy: number, step: number): number => {
+    const { width, height } = before;
+    let sum = 0;
+    let count = 0;
+    for (let y = Math.max(0, -dy); y < Math.min(height, height - dy); y += step) {
+      for (let x = Math.max(0, -dx); x < Math.min(width, width - dx); x += step) {
+        const index = y * width + x;
+        if (mask[index]! >= 0) {
+          sum += Math.abs(before.data[index]! - after.data[index + dy * width + dx]!);
+          count++;
+        }
+      }
+    }
+    return count > 0 ? sum / count : Infinity;
+  };
+
+  let best = { dx: 0, dy: 0, score: score(0, 0, 2) };
+  for (let dy = -maxShift; dy <= maxShift; dy += 2) {
+    for (let dx = -maxShift; dx <= maxShift; dx += 2) {
+      const candidate = score(dx, dy, 2);
+      // Prefer no movement unless a shift is clearly better
+      if (candidate < best.score * 0.98) {
+        best = { dx, dy, score: candidate };
+      }
+    }
+  }
+  const coarse = best;
+  best = { ...coarse, score: score(coarse.dx, coarse.dy, 1) };
+  for (let dy = coarse.dy - 1; dy <= coarse.dy + 1; dy++) {
+    for (let dx = coarse.dx - 1; dx <= coarse.dx + 1; dx++) {
+      if (Math.abs(dx) <= maxShift && Math.abs(dy) <= maxShift) {
+        const candidate = score(dx, dy, 1);
+        if (candidate < best.score) {
+          best = { dx, dy, score: candidate };
+        }
+      }
+    }
+  }
+  return { dx: best.dx, dy: best.dy };
+}
+
+// ========================================
+// Difference
+// ========================================
+
+/**
+ * RGB distance (0-255) after mapping the after frame's colors onto the
+ * before frame's, smoothed with a 3x3 box filter
+ */
+function colorDifference(before: Raster, after: Raster, compared: Uint8Array, shift: { dx: number; dy: number }): Plane {
+  const { width, height } = before;
+  const afterIndex = (index: number) => index + shift.dy * width + shift.dx;
+
+  const pixels: number[] = [];
+  for (let index = 0; index < compared.length; index++) {
+    if (compared[index]) {
+      pixels.push(index);
+    }
+  }
+  const gain = [1, 1, 1];
+  const offset = [0, 0, 0];
+  for (let channel = 0; channel < 3; channel++) {
+    const fit = matchChannel(
+      pixels.map(index => after.data[afterIndex(index) * 3 + channel]!),
+      pixels.map(index => before.data[index * 3 + channel]!)
+    );
+    gain[channel] = fit.gain;
+    offset[channel] = fit.offset;
+  }
+
+  const raw = new Float32Array(width * height);
+  for (let index = 0; index < raw.length; index++) {
+    if (!compared[index]) {
+      continue;
+    }
+    const from = afterIndex(index) * 3;
+    let squares = 0;
+    for (let channel = 0; channel < 3; channel++) {
+      const delta = before.data[index * 3 + channel]! - (after.data[from + channel]! * gain[channel]! + offset[channel]!);
+      squares += delta * delta;
+    }
+    raw[index] = Math.sqrt(squares) / RGB_NORM;
+  }
+
+  const smoothed = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      let count = 0;
+      for (let ny = Math.max(0, y - 1); ny <= Math.min(height - 1, y + 1); ny++) {
+        for (let nx = Math.max(0, x - 1); nx <= Math.min(width - 1, x + 1); nx++) {
+          if (compared[ny * width + nx]) {
+            sum += raw[ny * width + nx]!;
+            count++;
+          }
+        }
+      }
+      smoothed[y * width + x] = count > 0 ? sum / count : 0;
+    }
+  }
+  return { width, height, data: smoothed };
+}
+
+/**
+ * Least-squares gain and offset taking after values to before values,
+ * refitted without the pixels that disagree most, so the changed area
+ * itself does not skew the match
+ */
+function matchChannel(after: number[], before: number[]): { gain: number; offset: number } {
+  let gain = 1;
+  let offset = 0;
+  let inliers = after.map((_, index) => index);
+  for (let pass = 0; pass < 3 && inliers.length > 1; pass++) {
+    let sumAfter = 0;
+    let sumBefore = 0;
+    let sumProduct = 0;
+    let sumSquares = 0;
+    for (const index of inliers) {
+      sumAfter += after[index]!;
+      sumBefore += before[index]!;
+      sumProduct += after[index]! * before[index]!;
+      sumSquares += after[index]! ** 2;
+    }
+    const count = inliers.length;
+    const variance = sumSquares - (sumAfter * sumAfter) / count;
+    gain = variance > count ? clampRange((sumProduct - (sumAfter * sumBefore) / count) / variance, 0.5, 2) : 1;
+    offset = (sumBefore - gain * sumAfter) / count;
+
+    const residuals = after.map((value, index) => Math.abs(before[index]! - (gain * value + offset)));
+    const limit = 3 * percentile(residuals, 0.5) + 2;
+    inliers = inliers.filter(index => residuals[index]! <= limit);
+  }
+  return { gain, offset };
+}
+
+/**
+ * median + noiseFactor * 1.4826 * MAD of the compared differences, and at
+ * least minThreshold
+ */
+function noiseThreshold(difference: Plane, compared: Uint8Array, minThreshold: number, noiseFactor: number): number {
+  const values: number[] = [];
+  for (let index = 0; index < compared.length; index++) {
+    if (compared[index]) {
+      values.push(difference.data[index]!);
+    }
+  }
+  const median = percentile(values, 0.5);
+  const deviation = percentile(values.map(value => Math.abs(value - median)), 0.5);
+  return Math.max(minThreshold, median + noiseFactor * 1.4826 * deviation);
+}
+
+// ========================================
+// Regions
+// ========================================
+
+function erode(mask: Uint8Array, width: number, height: number): Uint8Array {
+  return morph(mask, width, height, true);
+}
+
+function dilate(mask: Uint8Array, width: number, height: number): Uint8Array {
+  return morph(mask, width, height, false);
+}
+
+/**
+ * 3x3 erosion (every neighbour set) or dilation (any neighbour set)
+ */
+function morph(mask: Uint8Array, width: number, height: number, erosion: boolean): Uint8Array {
+  const target = new Uint8Array(mask.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let result = erosion ? 1 : 0;
+      for (let ny = y - 1; ny <= y + 1 && result === (erosion ? 1 : 0); ny++) {
+        for (let nx = x - 1; nx <= x + 1; nx++) {
+          const inside = nx >= 0 && ny >= 0 && nx < width && ny < height;
+          const set = inside && mask[ny * width + nx] === 1;
+          if (erosion ? inside && !set : set) {
+            result = erosion ? 0 : 1;
+            break;
+          }
+        }
+      }
+      target[y * width + x] = result;
+    }
+  }
+  return target;
+}
+
+/**
+ * 8-connected regions of set pixels
+ */
+function connectedRegions(mask: Uint8Array, difference: Plane, width: number, height: number): Region[] {
+  const seen = new Uint8Array(mask.length);
+  const regions: Region[] = [];
+  for (let start = 0; start < mask.length; start++) {
+    if (!mask[start] || seen[start]) {
+      continue;
+    }
+    const region: Region = { pixels: [], minX: width, minY: height, maxX: 0, maxY: 0, differenceSum: 0 };
+    const stack = [start];
+    seen[start] = 1;
+    while (stack.length > 0) {
+      const index = stack.pop()!;
+      const x = index % width;
+      const y = (index - x) / width;
+      region.pixels.push(index);
+      region.differenceSum += difference.data[index]!;
+      region.minX = Math.min(region.minX, x);
+      region.minY = Math.min(region.minY, y);
+      region.maxX = Math.max(region.maxX, x);
+      region.maxY = Math.max(region.maxY, y);
+      for (let ny = Math.max(0, y - 1); ny <= Math.min(height - 1, y + 1); ny++) {
+        for (let nx = Math.max(0, x - 1); nx <= Math.min(width - 1, x + 1); nx++) {
+          const neighbour = ny * width + nx;
+          if (mask[neighbour] && !seen[neighbour]) {
+            seen[neighbour] = 1;
+            stack.push(neighbour);
+          }
+        }
+      }
+    }
+    regions.push(region);
+  }
+  return regions;
+}
+
+// ========================================
+// Helpers
+// ========================================
+
+function scaleRect(rect: ShelfRect, scale: { x: number; y: number }): ShelfRect {
+  return { x: rect.x * scale.x, y: rect.y * scale.y, width: rect.width * scale.x, height: rect.height * scale.y };
+}
+
+/**
+ * Set the pixels whose centres fall in the rectangle to value; with only,
+ * just those currently equal to it
+ */
+function fillRect(plane: Int16Array, width: number, height: number, rect: ShelfRect, value: number, only?: number): void {
+  const x0 = Math.max(0, Math.round(rect.x));
+  const y0 = Math.max(0, Math.round(rect.y));
+  const x1 = Math.min(width, Math.round(rect.x + rect.width));
+  const y1 = Math.min(height, Math.round(rect.y + rect.height));
+  for (let y = y0; y < y1; y++) {
+    for (let x = x0; x < x1; x++) {
+      if (only === undefined || plane[y * width + x] === only) {
+        plane[y * width + x] = value;
+      }
+    }
+  }
+}
+
+function countInRect(mask: Uint8Array, width: number, rect: ShelfRect): number {
+  let count = 0;
+  const height = mask.length / width;
+  for (let y = Math.max(0, Math.ceil(rect.y)); y < Math.min(height, rect.y + rect.height); y++) {
+    for (let x = Math.max(0, Math.ceil(rect.x)); x < Math.min(width, rect.x + rect.width); x++) {
+      count += mask[y * width + x]!;
+    }
+  }
+  return count;
+}
+
+function slotIdentity(slot: ShelfLayout['slots'][number]): Pick<SlotOverlap, 'containerId' | 'shelfLevel' | 'position'> {
+  return {
+    containerId: slot.containerId,
+    shelfLevel: slot.shelfLevel,
+    ...(slot.position !== undefined ? { position: slot.position } : {})
+  };
+}
+
+function percentile(values: number[], fraction: number): number {
+  if (values.length === 0) {
+    return 0;
+  }
+  const sorted = Float64Array.from(values).sort();
+  return sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))]!;
+}
+
+function clamp(value: number): number {
+  return clampRange(value, 0, 1);
+}
+
+function clampRange(value: number, min: number, max: number): number {
+  return Math.min(max, Math.max(min, value));
+}
+
+function round(value: number, digits = 2): number {
+  const scale = 10 ** digits;
+  return Math.round(value * scale) / scale;
+}
+
+function withoutUndefined<T extends object>(value: T): { [K in keyof T]-?: Exclude<T[K], undefined> } {
+  return Object.fromEntries(Object.entries(value).filter(([, entry]) => entry !== undefined)) as never;
+}
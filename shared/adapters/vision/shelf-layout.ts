@@ -0,0 +1,103 @@
+/**
+ * Shelf Layouts
+ *
+ * Where the shelves and container slots of a fridge appear in one camera's
+ * frame, measured once when the camera is mounted. Coordinates are pixels
+ * of a reference frame (frame.width x frame.height) and are scaled to the
+ * size of each capture, so a layout survives a change of camera resolution.
+ *
+ * Static masks cover what changes without anything being taken: price
+ * labels, the shelf lip, reflections on the door glass, the timestamp
+ * overlay. Per-shelf masks apply within that shelf; the top-level ones
+ * anywhere in the frame. Pixels outside every shelf are never compared.
+ */
+
+import { z } from 'zod';
+
+import { EntityIdSchema } from '../../types/domain-schemas';
+
+// ========================================
+// Schemas
+// ========================================
+
+export const ShelfRectSchema = z.object({
+  x: z.number().nonnegative(),
+  y: z.number().nonnegative(),
+  width: z.number().positive(),
+  height: z.number().positive()
+});
+
+export const ShelfSchema = z.object({
+  shelfLevel: z.number().int().min(0),
+  region: ShelfRectSchema,
+  staticMasks: z.array(ShelfRectSchema).default([])
+});
+
+/**
+ * The frame area of one Container; containerId, shelfLevel and position
+ * mirror the Container entity
+ */
+export const ShelfSlotSchema = z.object({
+  containerId: EntityIdSchema,
+  shelfLevel: z.number().int().min(0),
+  position: z.string().optional(),
+  region: ShelfRectSchema
+});
+
+export const ShelfLayoutSchema = z
+  .object({
+    cameraId: z.string().min(1),
+    frame: z.object({ width: z.number().int().positive(), height: z.number().int().positive() }),
+    shelves: z.array(ShelfSchema).min(1),
+    slots: z.array(ShelfSlotSchema),
+    staticMasks: z.array(ShelfRectSchema).default([])
+  })
+  .superRefine((layout, context) => {
+    const levels = new Set(layout.shelves.map(shelf => shelf.shelfLevel));
+    layout.slots.forEach((slot, index) => {
+      if (!levels.has(slot.shelfLevel)) {
+        context.addIssue({
+          code: 'custom',
+          path: ['slots', index, 'shelfLevel'],
+          message: `Slot ${slot.containerId} is on shelf ${slot.shelfLevel}, which the layout does not define`
+        });
+      }
+    });
+  });
+
+export type ShelfRect = z.infer<typeof ShelfRectSchema>;
+export type Shelf = z.infer<typeof ShelfSchema>;
+export type ShelfSlot = z.infer<typeof ShelfSlotSchema>;
+export type ShelfLayout = z.infer<typeof ShelfLayoutSchema>;
+
+// ========================================
+// Layout Sources
+// ========================================
+
+/**
+ * Looks up the layout of the camera that took a capture
+ */
+export interface ShelfLayoutSource {
+  getLayout(cameraId: string): Promise<ShelfLayout | undefined>;
+}
+
+/**
+ * Layouts from configuration, validated up front
+ */
+export class StaticShelfLayoutSource implements ShelfLayoutSource {
+  private readonly layouts = new Map<string, ShelfLayout>();
+
+  /**
+   * @throws z.ZodError when a layout is malformed
+   */
+  constructor(layouts: z.input<typeof ShelfLayoutSchema>[]) {
+    for (const layout of layouts) {
+      const parsed = ShelfLayoutSchema.parse(layout);
+      this.layouts.set(parsed.cameraId, parsed);
+    }
+  }
+
+  async getLayout(cameraId: string): Promise<ShelfLayout | undefined> {
+    return this.layouts.get(cameraId);
+  }
+}
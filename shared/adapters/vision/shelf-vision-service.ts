@@ -0,0 +1,246 @@
+/**
+ * Shelf Vision Service
+ *
+ * ComputerVisionServicePort for the fridge cameras. compareImages() diffs
+ * the capture taken before the door opened against the one taken after it
+ * closed (see shelf-diff) and maps each change to the container slot it
+ * overlaps, using the shelf layout of the camera named in the images'
+ * metadata (ImageMetadata.cameraId). Layout coordinates are in the upright
+ * frame, after EXIF orientation.
+ *
+ * Given a ProductDetector, detectObjects() and classifyImage() name the
+ * SKUs in a capture, and detectCaptureSet() runs a whole capture set
+ * through the model in batches. The remaining analyses fail with
+ * UNSUPPORTED, as do those two without a detector.
+ *
+ *   const vision = new ShelfVisionService({ images, layouts: new StaticShelfLayoutSource(layouts), detector });
+ *   const result = await vision.compareImages(beforeId, afterId);
+ *   result.data.slots.filter(slot => slot.changed);
+ */
+
+import type { Result } from '../../types/domain-entities';
+import type {
+  AnalysisType,
+  AnomalyDetectionResult,
+  ComputerVisionServicePort,
+  ClassificationCategory,
+  ImageClassificationResult,
+  ImageComparisonResult,
+  ImageFeatures,
+  ImageMetadata,
+  ObjectDetectionResult,
+  TextRecognitionResult,
+  VisionAnalysisResult
+} from '../../ports/service-ports';
+import { success, failure } from '../../types/utilities';
+import { ImageStorageError } from '../images/image-object-store';
+import { decodeImage } from '../images/image-derivatives';
+import type { Raster } from '../images/raster';
+import type { ProductDetector } from './product-detector';
+import { diffShelfFrames } from './shelf-diff';
+import type { ShelfChange, ShelfDiffOptions, SlotChangeSummary } from './shelf-diff';
+import type { ShelfLayoutSource } from './shelf-layout';
+import { VisionError } from './vision-error';
+
+// ========================================
+// Types
+// ========================================
+
+/**
+ * Where captures are read from; ContentAddressedImageStorage fits
+ */
+export interface VisionImageSource {
+  getImage(imageId: string): Promise<Result<{ bytes: Uint8Array; metadata: ImageMetadata }, ImageStorageError>>;
+}
+
+export interface ShelfVisionServiceDependencies {
+  images: VisionImageSource;
+  layouts: ShelfLayoutSource;
+  detector?: ProductDetector;
+}
+
+export interface ShelfVisionServiceOptions {
+  diff?: ShelfDiffOptions;
+}
+
+/**
+ * An ImageComparisonResult with the shelf details of shelf-diff
+ */
+export interface ShelfComparison extends ImageComparisonResult {
+  cameraId: string;
+  differences: ShelfChange[];
+
+  /**
+   * Camera movement from before to after, in pixels of the "before" capture
+   */
+  alignment: { dx: number; dy: number };
+
+  /**
+   * Every slot of the camera's layout
+   */
+  slots: SlotChangeSummary[];
+}
+
+// ========================================
+// Shelf Vision Service
+// ========================================
+
+export class ShelfVisionService implements ComputerVisionServicePort {
+  constructor(
+    private readonly deps: ShelfVisionServiceDependencies,
+    private readonly options: ShelfVisionServiceOptions = {}
+  ) {}
+
+  /**
+   * Diff two stored captures of the same camera: imageId1 before the door
+   * opened, imageId2 after it closed
+   */
+  async compareImages(imageId1: string, imageId2: string): Promise<Result<ShelfComparison>> {
+    return this.attempt(async () => {
+      const before = await this.loadImage(imageId1);
+      const after = await this.loadImage(imageId2);
+      const cameraId = before.metadata.cameraId;
+      if (cameraId === undefined) {
+        throw new VisionError('NO_LAYOUT', `Image ${imageId1} has no cameraId, so its shelf layout is unknown`);
+      }
+      if (after.metadata.cameraId !== cameraId) {
+        throw new VisionError('CAMERA_MISMATCH', `Images ${imageId1} and ${imageId2} come from different cameras`);
+      }
+      return this.compare(cameraId, await decode(imageId1, before.bytes), await decode(imageId2, after.bytes));
+    });
+  }
+
+  /**
+   * Diff two captures that are not stored, e.g. straight from the camera
+   */
+  async compareCaptures(cameraId: string, before: Uint8Array, after: Uint8Array): Promise<Result<ShelfComparison, VisionError>> {
+    return this.attempt(async () => this.compare(cameraId, await decode('before', before), await decode('after', after)));
+  }
+
+  async analyzeImage(_imageId: string, _analysisType: AnalysisType[]): Promise<Result<VisionAnalysisResult>> {
+    return unsupported('Image analysis');
+  }
+
+  async detectObjects(imageId: string): Promise<Result<ObjectDetectionResult>> {
+    const detector = this.deps.detector;
+    if (!detector) {
+      return unsupported('Object detection');
+    }
+    return this.attempt(async () => {
+      const [result] = await detector.detect([await decode(imageId, (await this.loadImage(imageId)).bytes)]);
+      return result!;
+    });
+  }
+
+  /**
+   * Detect products in every capture of a set (e.g. all cameras of one
+   * fridge), batched through the model; one result per image, in order
+   */
+  async detectCaptureSet(imageIds: string[]): Promise<Result<ObjectDetectionResult[], VisionError>> {
+    const detector = this.deps.detector;
+    if (!detector) {
+      return unsupported('Object detection');
+    }
+    return this.attempt(async () => {
+      const rasters: Raster[] = [];
+      for (const imageId of imageIds) {
+        rasters.push(await decode(imageId, (await this.loadImage(imageId)).bytes));
+      }
+      return detector.detect(rasters);
+    });
+  }
+
+  async recognizeText(_imageId: string): Promise<Result<TextRecognitionResult>> {
+    return unsupported('Text recognition');
+  }
+
+  /**
+   * Classes are the SKUs detected, each with its best detection's
+   * confidence; an image without products is classified 'none'
+   */
+  async classifyImage(imageId: string): Promise<Result<ImageClassificationResult>> {
+    if (!this.deps.detector) {
+      return unsupported('Image classification');
+    }
+    const detected = await this.detectObjects(imageId);
+    if (!detected.success) {
+      return detected;
+    }
+    const best = new Map<string, number>();
+    for (const object of detected.data.objects) {
+      best.set(object.type, Math.max(best.get(object.type) ?? 0, object.confidence));
+    }
+    const categories: ClassificationCategory[] = [...best]
+      .map(([name, confidence]) => ({ name, confidence }))
+      .sort((a, b) => b.confidence - a.confidence);
+    return success({
+      categories,
+      primaryCategory: categories[0]?.name ?? 'none',
+      confidence: categories[0]?.confidence ?? 0
+    });
+  }
+
+  async extractFeatures(_imageId: string): Promise<Result<ImageFeatures>> {
+    return unsupported('Feature extraction');
+  }
+
+  async detectAnomalies(_imageId: string, _baselineImages: string[]): Promise<Result<AnomalyDetectionResult>> {
+    return unsupported('Anomaly detection');
+  }
+
+  private async compare(cameraId: string, before: Raster, after: Raster): Promise<ShelfComparison> {
+    const layout = await this.deps.layouts.getLayout(cameraId);
+    if (!layout) {
+      throw new VisionError('NO_LAYOUT', `No shelf layout for camera ${cameraId}`);
+    }
+    try {
+      return { cameraId, ...diffShelfFrames(before, after, layout, this.options.diff) };
+    } catch (error) {
+      if (error instanceof RangeError) {
+        throw new VisionError('FRAME_MISMATCH', error.message);
+      }
+      throw error;
+    }
+  }
+
+  private async loadImage(imageId: string): Promise<{ bytes: Uint8Array; metadata: ImageMetadata }> {
+    const image = await this.deps.images.getImage(imageId);
+    if (!image.success) {
+      throw new VisionError(
+        image.error.code === 'NOT_FOUND' ? 'NOT_FOUND' : 'STORAGE_ERROR',
+        `Image ${imageId} could not be read: ${image.error.message}`
+      );
+    }
+    return image.data;
+  }
+
+  private async attempt<T>(task: () => Promise<T>): Promise<Result<T, VisionError>> {
+    try {
+      return success(await task());
+    } catch (error) {
+      if (error instanceof VisionError) {
+        return failure(error);
+      }
+      throw error;
+    }
+  }
+}
+
+// ========================================
+// Helpers
+// ========================================
+
+async function decode(label: string, bytes: Uint8Array): Promise<Raster> {
+  try {
+    return await decodeImage(bytes);
+  } catch (error) {
+    if (error instanceof ImageStorageError) {
+      throw new VisionError('INVALID_IMAGE', `Image ${label} cannot be decoded: ${error.message}`);
+    }
+    throw error;
+  }
+}
+
+function unsupported(analysis: string): Result<never, VisionError> {
+  return failure(new VisionError('UNSUPPORTED', `${analysis} needs a model; ShelfVisionService was given none for it`));
+}
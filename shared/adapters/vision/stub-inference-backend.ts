@@ -0,0 +1,105 @@
+/**
+ * Stub Inference Backend
+ *
+ * Deterministic InferenceBackend for tests and local development. With a
+ * `respond` callback it returns whatever the test scripts for each raster;
+ * without one it makes up 1-3 detections per raster, seeded from the
+ * pixels, so the same image always yields the same boxes and classes.
+ *
+ *   const backend = new StubInferenceBackend({
+ *     respond: (raster, index) => [{ classIndex: 0, score: 0.9, box: { x: 10, y: 10, width: 40, height: 80 } }]
+ *   });
+ */
+
+import type { Raster } from '../images/raster';
+import type { Detection, InferenceBackend } from './inference-backend';
+import { VisionError } from './vision-error';
+
+// ========================================
+// Types
+// ========================================
+
+export interface StubInferenceBackendOptions {
+  /**
+   * Detections for one raster; `index` is its position in the batch
+   */
+  respond?: (raster: Raster, index: number) => Detection[];
+
+  /**
+   * Classes the generated detections are drawn from (default 1)
+   */
+  classCount?: number;
+}
+
+// ========================================
+// Stub Inference Backend
+// ========================================
+
+export class StubInferenceBackend implements InferenceBackend {
+  /**
+   * Sizes of the batches received, in order
+   */
+  readonly batches: number[] = [];
+
+  private closed = false;
+
+  constructor(private readonly options: StubInferenceBackendOptions = {}) {}
+
+  async detect(batch: Raster[]): Promise<Detection[][]> {
+    if (this.closed) {
+      throw new VisionError('INFERENCE_ERROR', 'Backend is closed');
+    }
+    this.batches.push(batch.length);
+    return batch.map((raster, index) => (this.options.respond ? this.options.respond(raster, index) : this.generate(raster)));
+  }
+
+  async close(): Promise<void> {
+    this.closed = true;
+  }
+
+  private generate(raster: Raster): Detection[] {
+    const random = seeded(fingerprint(raster));
+    const classCount = Math.max(1, this.options.classCount ?? 1);
+    const count = 1 + Math.floor(random() * 3);
+    const detections: Detection[] = [];
+    for (let index = 0; index < count; index++) {
+      const width = raster.width * (0.1 + random() * 0.2);
+      const height = raster.height * (0.1 + random() * 0.3);
+      detections.push({
+        classIndex: Math.floor(random() * classCount),
+        score: 0.5 + random() * 0.5,
+        box: { x: random() * (raster.width - width), y: random() * (raster.height - height), width, height }
+      });
+    }
+    return detections;
+  }
+}
+
+// ========================================
+// Helpers
+// ========================================
+
+/**
+ * FNV-1a over the size and a sample of the pixels
+ */
+function fingerprint(raster: Raster): number {
+  let hash = 0x811c9dc5 ^ raster.width ^ (raster.height << 16);
+  const step = Math.max(1, Math.floor(raster.data.length / 4096));
+  for (let index = 0; index < raster.data.length; index += step) {
+    hash = Math.imul(hash ^ raster.data[index]!, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * mulberry32
+ */
+function seeded(seed: number): () => number {
+  let state = seed;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let value = Math.imul(state ^ (state >>> 15), 1 | state);
+    value = (value + Math.imul(value ^ (value >>> 7), 61 | value)) ^ value;
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -0,0 +1,28 @@
+/**
+ * Vision Errors
+ *
+ * Raised by the vision adapter's services and inference backends; the
+ * services turn them into failed Results.
+ */
+
+export type VisionErrorCode =
+  | 'NOT_FOUND'
+  | 'INVALID_IMAGE'
+  | 'NO_LAYOUT'
+  | 'CAMERA_MISMATCH'
+  | 'FRAME_MISMATCH'
+  | 'STORAGE_ERROR'
+  | 'INVALID_LABELS'
+  | 'INVALID_MODEL'
+  | 'INFERENCE_ERROR'
+  | 'UNSUPPORTED';
+
+export class VisionError extends Error {
+  constructor(
+    public readonly code: VisionErrorCode,
+    message: string
+  ) {
+    super(message);
+    this.name = 'VisionError';
+  }
+}
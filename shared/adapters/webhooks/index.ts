@@ -0,0 +1,12 @@
+/**
+ * Payment Webhook Providers
+ *
+ * Signature verification and event decoding for Stripe and PIX PSP
+ * webhooks (PaymentWebhookProviderPort), used by PaymentWebhookProcessor.
+ */
+
+export { StripeWebhookProvider, createStripeSignatureHeader, STRIPE_SIGNATURE_HEADER } from './stripe-webhook-provider';
+export type { StripeWebhookProviderOptions } from './stripe-webhook-provider';
+export { PixWebhookProvider, PIX_SIGNATURE_HEADER, PIX_CLIENT_VERIFY_HEADER } from './pix-webhook-provider';
+export type { PixWebhookAuthentication, PixWebhookProviderOptions } from './pix-webhook-provider';
+export { WebhookSignatureError, hmacSha256Hex, signaturesEqual, headerValue } from './webhook-signature';
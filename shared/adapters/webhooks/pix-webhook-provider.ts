@@ -0,0 +1,127 @@
+/**
+ * PIX Webhook Provider
+ *
+ * Authenticates PSP callbacks and turns each received PIX into payment
+ * events. The BCB API specifies mutual TLS for webhooks; PSPs that cannot
+ * present a client certificate to the app sign the body instead. Both are
+ * supported:
+ *
+ * - 'hmac': HMAC-SHA256 of the raw body, hex, in a header (optionally
+ *   prefixed "sha256=")
+ * - 'mtls': the TLS terminator checked the client certificate and reports
+ *   the outcome in a header (nginx: $ssl_client_verify = SUCCESS)
+ *
+ * PSPs resend the whole PIX object when it is refunded, so the receipt and
+ * every settled devolução get their own event id and redeliveries dedupe.
+ */
+
+import type { Result } from '../../types/domain-entities';
+import { PaymentStatus } from '../../types/domain-entities';
+import type { PaymentWebhookProviderPort, PaymentWebhookEvent, WebhookRequest } from '../../ports/service-ports';
+import { success, failure } from '../../types/utilities';
+import { parsePixWebhook } from '../pix/pix-webhook';
+import type { PixRefund } from '../pix/pix-schemas';
+import { WebhookSignatureError, hmacSha256Hex, signaturesEqual, headerValue } from './webhook-signature';
+
+// ========================================
+// Types
+// ========================================
+
+export type PixWebhookAuthentication =
+  | { type: 'hmac'; secret: string; header?: string }
+  | { type: 'mtls'; header?: string };
+
+export interface PixWebhookProviderOptions {
+  authentication: PixWebhookAuthentication;
+}
+
+export const PIX_SIGNATURE_HEADER = 'x-webhook-signature';
+export const PIX_CLIENT_VERIFY_HEADER = 'x-ssl-client-verify';
+
+// ========================================
+// PIX Webhook Provider
+// ========================================
+
+export class PixWebhookProvider implements PaymentWebhookProviderPort {
+  readonly provider = 'pix' as const;
+
+  constructor(private readonly options: PixWebhookProviderOptions) {
+    if (options.authentication.type === 'hmac' && !options.authentication.secret) {
+      throw new Error('PixWebhookProvider needs a signing secret');
+    }
+  }
+
+  async verify(request: WebhookRequest): Promise<Result<void>> {
+    const authentication = this.options.authentication;
+
+    if (authentication.type === 'mtls') {
+      const header = authentication.header ?? PIX_CLIENT_VERIFY_HEADER;
+      return headerValue(request.headers, header) === 'SUCCESS'
+        ? success(undefined)
+        : failure(new WebhookSignatureError('pix', `Client certificate not verified (${header})`));
+    }
+
+    const header = authentication.header ?? PIX_SIGNATURE_HEADER;
+    const signature = headerValue(request.headers, header)?.replace(/^sha256=/i, '');
+    if (!signature) {
+      return failure(new WebhookSignatureError('pix', `Missing ${header} header`));
+    }
+    const expected = await hmacSha256Hex(authentication.secret, request.body);
+    return signaturesEqual(expected, signature)
+      ? success(undefined)
+      : failure(new WebhookSignatureError('pix', 'Signature does not match the signing secret'));
+  }
+
+  /**
+   * A 'pix.received' event per PIX, followed by a 'pix.refunded' event per
+   * settled devolução. Only the devolução that refunds the full amount
+   * carries a status; partial ones are informational.
+   */
+  parse(body: string): Result<PaymentWebhookEvent[]> {
+    const notifications = parsePixWebhook(body);
+    if (!notifications.success) {
+      return failure(notifications.error);
+    }
+
+    const events: PaymentWebhookEvent[] = [];
+    for (const notification of notifications.data) {
+      const { received } = notification;
+      const reference = notification.txid !== undefined ? { pixTxid: notification.txid } : {};
+      const amount = Number(received.valor);
+
+      events.push({
+        provider: 'pix',
+        eventId: received.endToEndId,
+        eventType: 'pix.received',
+        occurredAt: new Date(received.horario),
+        status: PaymentStatus.SUCCEEDED,
+        amount,
+        ...reference
+      });
+
+      let refunded = 0;
+      const settled = (received.devolucoes ?? [])
+        .filter(refund => refund.status === 'DEVOLVIDO')
+        .sort((a, b) => refundTime(a).getTime() - refundTime(b).getTime());
+      for (const refund of settled) {
+        refunded += Number(refund.valor);
+        const full = Math.round(refunded * 100) >= Math.round(amount * 100);
+        events.push({
+          provider: 'pix',
+          eventId: `${received.endToEndId}-${refund.id}`,
+          eventType: 'pix.refunded',
+          occurredAt: refundTime(refund),
+          amount: Number(refund.valor),
+          ...(full ? { status: PaymentStatus.REFUNDED } : { reason: 'partial refund' }),
+          ...(refund.motivo !== undefined && full ? { reason: refund.motivo } : {}),
+          ...reference
+        });
+      }
+    }
+    return success(events);
+  }
+}
+
+function refundTime(refund: PixRefund): Date {
+  return new Date(refund.horario.liquidacao ?? refund.horario.solicitacao);
+}
@@ -0,0 +1,208 @@
+/**
+ * Stripe Webhook Provider
+ *
+ * Verifies the Stripe-Signature header (t=<unix seconds>,v1=<hex>, an
+ * HMAC-SHA256 of "<t>.<raw body>" with the endpoint's signing secret) and
+ * maps PaymentIntent and Charge events to payment statuses. Amounts arrive
+ * in the currency's minor unit and are converted to BRL-style decimals.
+ */
+
+import { z } from 'zod';
+import type { Result } from '../../types/domain-entities';
+import { PaymentStatus } from '../../types/domain-entities';
+import type { PaymentWebhookProviderPort, PaymentWebhookEvent, WebhookRequest } from '../../ports/service-ports';
+import { success, failure } from '../../types/utilities';
+import { WebhookSignatureError, hmacSha256Hex, signaturesEqual, headerValue } from './webhook-signature';
+
+// ========================================
+// Types
+// ========================================
+
+export interface StripeWebhookProviderOptions {
+  /**
+   * Endpoint signing secret(s) (whsec_...); several while rolling a secret
+   */
+  secret: string | string[];
+
+  /**
+   * Maximum age of a signature (default 300 seconds, as in Stripe's SDKs)
+   */
+  toleranceSeconds?: number;
+
+  now?: () => Date;
+}
+
+export const STRIPE_SIGNATURE_HEADER = 'stripe-signature';
+
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+const StripeEventSchema = z.object({
+  id: z.string().min(1),
+  type: z.string().min(1),
+  created: z.number().int(),
+  data: z.object({ object: z.record(z.string(), z.unknown()) })
+});
+
+const StripePaymentIntentSchema = z.looseObject({
+  id: z.string().min(1),
+  amount: z.number().int(),
+  amount_received: z.number().int().optional(),
+  last_payment_error: z.looseObject({ message: z.string().optional() }).nullish(),
+  cancellation_reason: z.string().nullish()
+});
+
+const StripeChargeSchema = z.looseObject({
+  payment_intent: z.string().min(1),
+  amount: z.number().int(),
+  amount_refunded: z.number().int(),
+  refunded: z.boolean()
+});
+
+/**
+ * PaymentIntent event types and the status each one moves the payment to
+ */
+const PAYMENT_INTENT_STATUSES: Readonly<Record<string, PaymentStatus>> = {
+  'payment_intent.processing': PaymentStatus.PROCESSING,
+  'payment_intent.succeeded': PaymentStatus.SUCCEEDED,
+  'payment_intent.payment_failed': PaymentStatus.FAILED,
+  'payment_intent.canceled': PaymentStatus.CANCELLED
+};
+
+// ========================================
+// Stripe Webhook Provider
+// ========================================
+
+export class StripeWebhookProvider implements PaymentWebhookProviderPort {
+  readonly provider = 'stripe' as const;
+  private readonly secrets: string[];
+  private readonly toleranceSeconds: number;
+  private readonly now: () => Date;
+
+  constructor(options: StripeWebhookProviderOptions) {
+    this.secrets = Array.isArray(options.secret) ? options.secret : [options.secret];
+    this.toleranceSeconds = options.toleranceSeconds ?? DEFAULT_TOLERANCE_SECONDS;
+    this.now = options.now ?? (() => new Date());
+    if (this.secrets.length === 0 || this.secrets.some(secret => !secret)) {
+      throw new Error('StripeWebhookProvider needs a signing secret');
+    }
+  }
+
+  async verify(request: WebhookRequest): Promise<Result<void>> {
+    const header = headerValue(request.headers, STRIPE_SIGNATURE_HEADER);
+    if (!header) {
+      return failure(new WebhookSignatureError('stripe', 'Missing Stripe-Signature header'));
+    }
+
+    const { timestamp, signatures } = parseSignatureHeader(header);
+    if (timestamp === undefined || signatures.length === 0) {
+      return failure(new WebhookSignatureError('stripe', 'Malformed Stripe-Signature header'));
+    }
+
+    const ageSeconds = Math.abs(this.now().getTime() / 1000 - timestamp);
+    if (ageSeconds > this.toleranceSeconds) {
+      return failure(new WebhookSignatureError('stripe', `Signature timestamp is outside the ${this.toleranceSeconds}s tolerance`));
+    }
+
+    for (const secret of this.secrets) {
+      const expected = await hmacSha256Hex(secret, `${timestamp}.${request.body}`);
+      if (signatures.some(signature => signaturesEqual(expected, signature))) {
+        return success(undefined);
+      }
+    }
+    return failure(new WebhookSignatureError('stripe', 'No signature matches the signing secret'));
+  }
+
+  /**
+   * One event per delivery. Event types without a status mapping (and
+   * partial refunds) decode to an event without a status.
+   */
+  parse(body: string): Result<PaymentWebhookEvent[]> {
+    let data: unknown;
+    try {
+      data = JSON.parse(body);
+    } catch {
+      return failure(new Error('Stripe webhook body is not valid JSON'));
+    }
+
+    const parsed = StripeEventSchema.safeParse(data);
+    if (!parsed.success) {
+      return failure(new Error(`Invalid Stripe event: ${formatIssues(parsed.error)}`));
+    }
+
+    const event = parsed.data;
+    const base: PaymentWebhookEvent = {
+      provider: 'stripe',
+      eventId: event.id,
+      eventType: event.type,
+      occurredAt: new Date(event.created * 1000)
+    };
+
+    const intentStatus = PAYMENT_INTENT_STATUSES[event.type];
+    if (intentStatus !== undefined) {
+      const intent = StripePaymentIntentSchema.safeParse(event.data.object);
+      if (!intent.success) {
+        return failure(new Error(`Invalid PaymentIntent in ${event.type}: ${formatIssues(intent.error)}`));
+      }
+      const reason = intent.data.last_payment_error?.message ?? intent.data.cancellation_reason ?? undefined;
+      const amount = intentStatus === PaymentStatus.SUCCEEDED && intent.data.amount_received !== undefined
+        ? intent.data.amount_received
+        : intent.data.amount;
+      return success([{
+        ...base,
+        stripePaymentIntentId: intent.data.id,
+        status: intentStatus,
+        amount: fromMinorUnits(amount),
+        ...(reason ? { reason } : {})
+      }]);
+    }
+
+    if (event.type === 'charge.refunded') {
+      const charge = StripeChargeSchema.safeParse(event.data.object);
+      if (!charge.success) {
+        return failure(new Error(`Invalid Charge in ${event.type}: ${formatIssues(charge.error)}`));
+      }
+      return success([{
+        ...base,
+        stripePaymentIntentId: charge.data.payment_intent,
+        amount: fromMinorUnits(charge.data.amount_refunded),
+        ...(charge.data.refunded ? { status: PaymentStatus.REFUNDED } : { reason: 'partial refund' })
+      }]);
+    }
+
+    return success([base]);
+  }
+}
+
+// ========================================
+// Helpers
+// ========================================
+
+/**
+ * Build a Stripe-Signature header for a body, e.g. for test deliveries
+ */
+export async function createStripeSignatureHeader(body: string, secret: string, timestamp: Date = new Date()): Promise<string> {
+  const seconds = Math.floor(timestamp.getTime() / 1000);
+  return `t=${seconds},v1=${await hmacSha256Hex(secret, `${seconds}.${body}`)}`;
+}
+
+function parseSignatureHeader(header: string): { timestamp: number | undefined; signatures: string[] } {
+  let timestamp: number | undefined;
+  const signatures: string[] = [];
+  for (const part of header.split(',')) {
+    const [key, value] = part.trim().split('=', 2);
+    if (key === 't' && value && /^\d+$/.test(value)) {
+      timestamp = Number(value);
+    } else if (key === 'v1' && value) {
+      signatures.push(value);
+    }
+  }
+  return { timestamp, signatures };
+}
+
+function fromMinorUnits(amount: number): number {
+  return amount / 100;
+}
+
+function formatIssues(error: z.ZodError): string {
+  return error.issues.map(issue => `${issue.path.join('.')}: ${issue.message}`).join('; ');
+}
@@ -0,0 +1,54 @@
+/**
+ * Webhook Signature Helpers
+ *
+ * HMAC-SHA256 signing and constant-time comparison on WebCrypto, shared by
+ * the webhook providers (and by anything that has to produce signed test
+ * deliveries).
+ */
+
+import type { WebhookProvider } from '../../types/domain-entities';
+import type { WebhookRequest } from '../../ports/service-ports';
+
+/**
+ * The delivery is unsigned, signed with another secret, or too old
+ */
+export class WebhookSignatureError extends Error {
+  constructor(public readonly provider: WebhookProvider, message: string) {
+    super(message);
+    this.name = 'WebhookSignatureError';
+  }
+}
+
+export async function hmacSha256Hex(secret: string, payload: string): Promise<string> {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(payload));
+  return Array.from(new Uint8Array(signature), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Compare two signatures without leaking the position of the first
+ * difference through timing
+ */
+export function signaturesEqual(expected: string, actual: string): boolean {
+  const a = expected.toLowerCase();
+  const b = actual.toLowerCase();
+  let difference = a.length ^ b.length;
+  for (let index = 0; index < a.length; index++) {
+    difference |= a.charCodeAt(index) ^ b.charCodeAt(index % Math.max(b.length, 1));
+  }
+  return difference === 0;
+}
+
+/**
+ * Case-insensitive header lookup; repeated headers yield the first value
+ */
+export function headerValue(headers: WebhookRequest['headers'], name: string): string | undefined {
+  const wanted = name.toLowerCase();
+  for (const [key, value] of Object.entries(headers)) {
+    if (key.toLowerCase() === wanted) {
+      return Array.isArray(value) ? value[0] : value;
+    }
+  }
+  return undefined;
+}
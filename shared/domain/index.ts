@@ -0,0 +1,77 @@
+/**
+ * Domain Rules
+ *
+ * Pure business rules shared by BridgeServer and next-client.
+ */
+
+export {
+  ORDER_TRANSITIONS,
+  PAYMENT_TRANSITIONS,
+  ORDER_PAYMENT_REQUIREMENTS,
+  PAYMENT_ORDER_RESTRICTIONS,
+  StateTransitionError,
+  IllegalTransitionError,
+  TransitionGuardError,
+  isOrderTransitionAllowed,
+  checkOrderTransition,
+  getAvailableOrderTransitions,
+  transitionOrder,
+  isPaymentTransitionAllowed,
+  checkPaymentTransition,
+  getAvailablePaymentTransitions,
+  transitionPayment
+} from './order-state-machine';
+export type {
+  StateMachineEntity,
+  TransitionEffect,
+  TransitionOptions,
+  OrderTransitionOptions,
+  PaymentTransitionOptions,
+  OrderTransition,
+  PaymentTransition
+} from './order-state-machine';
+
+export {
+  Money,
+  MoneyError,
+  DEFAULT_CURRENCY,
+  MoneySchema,
+  MoneyJsonSchema,
+  MoneyCodec,
+  decimalMoneyCodec
+} from './money';
+export type { RoundingMode, MoneyJson, MoneyErrorCode } from './money';
+
+export { calculateOrderTotal, toOrderCalculation } from './order-totals';
+export type { OrderTotalOptions, PricedItem, OrderTaxRate, OrderTaxTotal, OrderLineTotal, OrderTotal } from './order-totals';
+
+export { PricingEngine, PricingError } from './pricing-engine';
+export type {
+  PricingErrorCode,
+  PricingRulesInput,
+  MerchantInfo,
+  PricingContext,
+  AppliedPromotion,
+  PriceQuote,
+  PricingEngineOptions
+} from './pricing-engine';
+
+export {
+  StockReconciliationError,
+  DEFAULT_MIN_OBSERVATION_CONFIDENCE,
+  bookStock,
+  reconcileStock,
+  discrepancySeverity,
+  toStockLevel
+} from './stock-reconciliation';
+export type {
+  StockReconciliationErrorCode,
+  StockDiscrepancyType,
+  StockDiscrepancySeverity,
+  SlotStock,
+  SlotObservation,
+  StockDiscrepancy,
+  StockAdjustment,
+  StockReconciliationOptions,
+  StockReconciliationOutcome
+} from './stock-reconciliation';
@@ -0,0 +1,337 @@
+/**
+ * Money
+ *
+ * An amount of one currency held as an integer number of minor units
+ * (centavos for BRL), so sums never pick up floating-point residue.
+ * Entities still store decimal reais (Order.totalAmount, Payment.amount);
+ * convert with Money.fromDecimal() on the way in and toDecimal() on the way
+ * out, and do the arithmetic in between on Money.
+ *
+ * Operations that cannot be exact take a RoundingMode: multiply() rounds
+ * once, and allocate() splits an amount by ratios without losing or
+ * inventing a cent.
+ */
+
+import { z } from 'zod';
+import type { ValueObject } from '../types/domain-entities';
+import { CurrencyCodeSchema } from '../types/domain-schemas';
+
+// ========================================
+// Types
+// ========================================
+
+/**
+ * half-up: halves away from zero (the usual rule for BRL taxes);
+ * half-even: halves to the even cent (banker's rounding);
+ * down: toward zero; up: away from zero
+ */
+export type RoundingMode = 'half-up' | 'half-even' | 'down' | 'up';
+
+/**
+ * Wire format: the amount in minor units and the ISO 4217 code
+ */
+export interface MoneyJson {
+  amount: number;
+  currency: string;
+}
+
+export type MoneyErrorCode =
+  | 'INVALID_AMOUNT'
+  | 'INVALID_CURRENCY'
+  | 'CURRENCY_MISMATCH'
+  | 'INVALID_ALLOCATION';
+
+export class MoneyError extends Error {
+  constructor(public readonly code: MoneyErrorCode, message: string) {
+    super(message);
+    this.name = 'MoneyError';
+  }
+}
+
+export const DEFAULT_CURRENCY = 'BRL';
+
+const CURRENCY_CODE = /^[A-Z]{3}$/;
+
+/**
+ * Products of cents and rates are rounded to this many significant digits
+ * first, so 1999 * 0.1 is 199.9 and not 199.90000000000003
+ */
+const PRODUCT_PRECISION = 15;
+
+const minorDigitsCache = new Map<string, number>();
+
+// ========================================
+// Money
+// ========================================
+
+export class Money implements ValueObject {
+  private constructor(
+    /**
+     * Amount in the currency's minor unit (centavos for BRL)
+     */
+    readonly cents: number,
+    readonly currency: string
+  ) {}
+
+  static fromCents(cents: number, currency: string = DEFAULT_CURRENCY): Money {
+    if (!Number.isSafeInteger(cents)) {
+      throw new MoneyError('INVALID_AMOUNT', `Minor units must be a safe integer, got ${cents}`);
+    }
+    return new Money(cents === 0 ? 0 : cents, normalizeCurrency(currency));
+  }
+
+  /**
+   * Convert a decimal amount (12.75 reais). Without a rounding mode the
+   * amount must already be a whole number of minor units.
+   */
+  static fromDecimal(amount: number, currency: string = DEFAULT_CURRENCY, rounding?: RoundingMode): Money {
+    const code = normalizeCurrency(currency);
+    if (!Number.isFinite(amount)) {
+      throw new MoneyError('INVALID_AMOUNT', `Amount must be a finite number, got ${amount}`);
+    }
+    const scaled = toPrecision(amount * 10 ** minorDigits(code));
+    if (rounding === undefined && !Number.isInteger(scaled)) {
+      throw new MoneyError('INVALID_AMOUNT', `${amount} has more than ${minorDigits(code)} decimals for ${code}`);
+    }
+    return Money.fromCents(roundTo(scaled, rounding ?? 'half-up'), code);
+  }
+
+  static zero(currency: string = DEFAULT_CURRENCY): Money {
+    return new Money(0, normalizeCurrency(currency));
+  }
+
+  /**
+   * Total of a list of amounts; zero in the given currency when it is empty
+   */
+  static sum(amounts: readonly Money[], currency: string = DEFAULT_CURRENCY): Money {
+    return amounts.reduce((total, amount) => total.add(amount), Money.zero(amounts[0]?.currency ?? currency));
+  }
+
+  /**
+   * Whether a decimal amount is a whole number of the currency's minor units
+   */
+  static isRepresentable(amount: number, currency: string = DEFAULT_CURRENCY): boolean {
+    return Number.isFinite(amount) && Number.isInteger(toPrecision(amount * 10 ** minorDigits(normalizeCurrency(currency))));
+  }
+
+  add(other: Money): Money {
+    this.assertSameCurrency(other);
+    return Money.fromCents(this.cents + other.cents, this.currency);
+  }
+
+  subtract(other: Money): Money {
+    this.assertSameCurrency(other);
+    return Money.fromCents(this.cents - other.cents, this.currency);
+  }
+
+  /**
+   * Multiply by a quantity or a rate (0.17 for 17%), rounding the result
+   * once to a whole minor unit
+   */
+  multiply(factor: number, rounding: RoundingMode = 'half-up'): Money {
+    if (!Number.isFinite(factor)) {
+      throw new MoneyError('INVALID_AMOUNT', `Factor must be a finite number, got ${factor}`);
+    }
+    return Money.fromCents(roundTo(toPrecision(this.cents * factor), rounding), this.currency);
+  }
+
+  negate(): Money {
+    return Money.fromCents(-this.cents, this.currency);
+  }
+
+  /**
+   * Split into parts proportional to ratios (largest remainder method). The
+   * parts always add up to this amount; leftover minor units go to the parts
+   * with the largest remainders, earlier parts first on ties.
+   */
+  allocate(ratios: readonly number[]): Money[] {
+    if (ratios.length === 0) {
+      throw new MoneyError('INVALID_ALLOCATION', 'Allocate needs at least one ratio');
+    }
+    if (ratios.some(ratio => !Number.isFinite(ratio) || ratio < 0)) {
+      throw new MoneyError('INVALID_ALLOCATION', 'Ratios must be finite and not negative');
+    }
+    const totalRatio = ratios.reduce((sum, ratio) => sum + ratio, 0);
+    if (totalRatio === 0) {
+      throw new MoneyError('INVALID_ALLOCATION', 'Ratios must not all be zero');
+    }
+
+    const sign = this.cents < 0 ? -1 : 1;
+    const total = Math.abs(this.cents);
+    const exact = ratios.map(ratio => toPrecision(total * ratio / totalRatio));
+    const parts = exact.map(share => Math.floor(share));
+    let leftover = total - parts.reduce((sum, part) => sum + part, 0);
+
+    const byRemainder = exact
+      .map((share, index) => ({ index, remainder: share - Math.floor(share) }))
+      .sort((a, b) => b.remainder - a.remainder || a.index - b.index);
+    for (const { index } of byRemainder) {
+      if (leftover === 0) {
+        break;
+      }
+      parts[index]! += 1;
+      leftover -= 1;
+    }
+
+    return parts.map(part => Money.fromCents(sign * part, this.currency));
+  }
+
+  /**
+   * Split into n parts that differ by at most one minor unit
+   */
+  split(parts: number): Money[] {
+    if (!Number.isInteger(parts) || parts < 1) {
+      throw new MoneyError('INVALID_ALLOCATION', `Cannot split into ${parts} parts`);
+    }
+    return this.allocate(new Array<number>(parts).fill(1));
+  }
+
+  compare(other: Money): -1 | 0 | 1 {
+    this.assertSameCurrency(other);
+    return this.cents === other.cents ? 0 : this.cents < other.cents ? -1 : 1;
+  }
+
+  greaterThan(other: Money): boolean {
+    return this.compare(other) > 0;
+  }
+
+  lessThan(other: Money): boolean {
+    return this.compare(other) < 0;
+  }
+
+  isZero(): boolean {
+    return this.cents === 0;
+  }
+
+  isPositive(): boolean {
+    return this.cents > 0;
+  }
+
+  isNegative(): boolean {
+    return this.cents < 0;
+  }
+
+  /**
+   * Decimal amount for entity fields and gateways (12.75)
+   */
+  toDecimal(): number {
+    return this.cents / 10 ** minorDigits(this.currency);
+  }
+
+  /**
+   * Localized display string; "R$ 12,75" in pt-BR
+   */
+  format(locale = 'pt-BR'): string {
+    return new Intl.NumberFormat(locale, { style: 'currency', currency: this.currency }).format(this.toDecimal());
+  }
+
+  equals(other: ValueObject): boolean {
+    return other instanceof Money && other.cents === this.cents && other.currency === this.currency;
+  }
+
+  /**
+   * Locale-independent form for logs and keys: "12.75 BRL"
+   */
+  toString(): string {
+    return `${this.toDecimal().toFixed(minorDigits(this.currency))} ${this.currency}`;
+  }
+
+  toJSON(): MoneyJson {
+    return { amount: this.cents, currency: this.currency };
+  }
+
+  private assertSameCurrency(other: Money): void {
+    if (other.currency !== this.currency) {
+      throw new MoneyError('CURRENCY_MISMATCH', `Cannot combine ${this.currency} and ${other.currency}`);
+    }
+  }
+}
+
+// ========================================
+// Schemas and Codecs
+// ========================================
+
+export const MoneySchema = z.custom<Money>(value => value instanceof Money, 'Expected a Money value');
+
+export const MoneyJsonSchema = z.object({
+  amount: z.number().int().refine(Number.isSafeInteger, 'Amount is not a safe integer'),
+  currency: CurrencyCodeSchema,
+});
+
+/**
+ * MoneyJson <-> Money, for API payloads that carry minor units:
+ * MoneyCodec.decode({ amount: 1275, currency: 'BRL' })
+ */
+export const MoneyCodec = z.codec(MoneyJsonSchema, MoneySchema, {
+  decode: json => Money.fromCents(json.amount, json.currency),
+  encode: money => money.toJSON()
+});
+
+/**
+ * Decimal number <-> Money in a fixed currency, for the existing decimal
+ * fields (Order.totalAmount, OrderItem.unitPrice, Payment.amount). Amounts
+ * with fractions of a minor unit are rejected, not rounded.
+ */
+export function decimalMoneyCodec(currency: string = DEFAULT_CURRENCY) {
+  const code = normalizeCurrency(currency);
+  return z.codec(
+    z.number().refine(amount => Money.isRepresentable(amount, code), `Amount must be a whole number of ${code} minor units`),
+    MoneySchema,
+    {
+      decode: amount => Money.fromDecimal(amount, code),
+      encode: money => money.toDecimal()
+    }
+  );
+}
+
+// ========================================
+// Helpers
+// ========================================
+
+function normalizeCurrency(currency: string): string {
+  const code = currency.toUpperCase();
+  if (!CURRENCY_CODE.test(code)) {
+    throw new MoneyError('INVALID_CURRENCY', `Invalid currency code: ${currency}`);
+  }
+  return code;
+}
+
+/**
+ * Decimal places of the currency's minor unit (2 for BRL, 0 for JPY)
+ */
+function minorDigits(currency: string): number {
+  let digits = minorDigitsCache.get(currency);
+  if (digits === undefined) {
+    digits = new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits ?? 2;
+    minorDigitsCache.set(currency, digits);
+  }
+  return digits;
+}
+
+function toPrecision(value: number): number {
+  return Number(value.toPrecision(PRODUCT_PRECISION));
+}
+
+function roundTo(value: number, mode: RoundingMode): number {
+  const magnitude = Math.abs(value);
+  const sign = value < 0 ? -1 : 1;
+  let rounded: number;
+  switch (mode) {
+    case 'down':
+      rounded = Math.floor(magnitude);
+      break;
+    case 'up':
+      rounded = Math.ceil(magnitude);
+      break;
+    case 'half-even': {
+      const floor = Math.floor(magnitude);
+      const fraction = magnitude - floor;
+      rounded = fraction > 0.5 || (fraction === 0.5 && floor % 2 === 1) ? floor + 1 : floor;
+      break;
+    }
+    case 'half-up':
+      rounded = Math.round(magnitude);
+      break;
+  }
+  return sign * rounded;
+}
@@ -0,0 +1,388 @@
+/**
+ * Order and Payment State Machine
+ *
+ * Single definition of the legal OrderStatus and PaymentStatus transitions,
+ * the guards that cross-check an order against its payment, and the side
+ * effects a transition implies. BridgeServer and next-client both apply
+ * status changes through these functions so they enforce the same rules.
+ *
+ * The functions are pure: they return the changes to persist, the domain
+ * events to publish and the follow-up actions to run, and throw a
+ * StateTransitionError when a move is not allowed.
+ */
+
+import type { Order, Payment, OrderStatusChanged, PaymentProcessed } from '../types/domain-entities';
+import { OrderStatus, PaymentStatus } from '../types/domain-entities';
+import { generateEntityId } from '../types/utilities';
+
+// ========================================
+// Transition Tables
+// ========================================
+
+/**
+ * Legal next states for each order state. DELIVERED and CANCELLED are final.
+ */
+export const ORDER_TRANSITIONS: Readonly<Record<OrderStatus, readonly OrderStatus[]>> = {
+  [OrderStatus.PENDING]: [OrderStatus.CONFIRMED, OrderStatus.CANCELLED],
+  [OrderStatus.CONFIRMED]: [OrderStatus.PREPARING, OrderStatus.CANCELLED],
+  [OrderStatus.PREPARING]: [OrderStatus.READY, OrderStatus.CANCELLED],
+  [OrderStatus.READY]: [OrderStatus.DELIVERED, OrderStatus.CANCELLED],
+  [OrderStatus.DELIVERED]: [],
+  [OrderStatus.CANCELLED]: []
+};
+
+/**
+ * Legal next states for each payment state. A failed payment may be retried;
+ * CANCELLED and REFUNDED are final.
+ */
+export const PAYMENT_TRANSITIONS: Readonly<Record<PaymentStatus, readonly PaymentStatus[]>> = {
+  [PaymentStatus.PENDING]: [PaymentStatus.PROCESSING, PaymentStatus.SUCCEEDED, PaymentStatus.FAILED, PaymentStatus.CANCELLED],
+  [PaymentStatus.PROCESSING]: [PaymentStatus.SUCCEEDED, PaymentStatus.FAILED, PaymentStatus.CANCELLED],
+  [PaymentStatus.SUCCEEDED]: [PaymentStatus.REFUNDED],
+  [PaymentStatus.FAILED]: [PaymentStatus.PENDING, PaymentStatus.CANCELLED],
+  [PaymentStatus.CANCELLED]: [],
+  [PaymentStatus.REFUNDED]: []
+};
+
+/**
+ * Payment states an order may be in to enter the given order state.
+ * PROCESSING covers an authorized payment that is captured after delivery.
+ */
+export const ORDER_PAYMENT_REQUIREMENTS: Readonly<Partial<Record<OrderStatus, readonly PaymentStatus[]>>> = {
+  [OrderStatus.CONFIRMED]: [PaymentStatus.PENDING, PaymentStatus.PROCESSING, PaymentStatus.SUCCEEDED],
+  [OrderStatus.PREPARING]: [PaymentStatus.PROCESSING, PaymentStatus.SUCCEEDED],
+  [OrderStatus.READY]: [PaymentStatus.PROCESSING, PaymentStatus.SUCCEEDED],
+  [OrderStatus.DELIVERED]: [PaymentStatus.PROCESSING, PaymentStatus.SUCCEEDED]
+};
+
+/**
+ * Payment states a payment may enter while its order is in the given state
+ */
+export const PAYMENT_ORDER_RESTRICTIONS: Readonly<Partial<Record<OrderStatus, readonly PaymentStatus[]>>> = {
+  [OrderStatus.CANCELLED]: [PaymentStatus.FAILED, PaymentStatus.CANCELLED, PaymentStatus.REFUNDED],
+  [OrderStatus.DELIVERED]: [PaymentStatus.SUCCEEDED, PaymentStatus.FAILED, PaymentStatus.REFUNDED]
+};
+
+// ========================================
+// Errors
+// ========================================
+
+export type StateMachineEntity = 'Order' | 'Payment';
+
+/**
+ * Base class for rejected status changes
+ */
+export class StateTransitionError extends Error {
+  constructor(
+    message: string,
+    public readonly entityType: StateMachineEntity,
+    public readonly entityId: string,
+    public readonly from: string,
+    public readonly to: string
+  ) {
+    super(message);
+    this.name = 'StateTransitionError';
+  }
+}
+
+/**
+ * The target state is not reachable from the current state
+ */
+export class IllegalTransitionError extends StateTransitionError {
+  constructor(entityType: StateMachineEntity, entityId: string, from: string, to: string) {
+    super(`${entityType} ${entityId} cannot move from ${from} to ${to}`, entityType, entityId, from, to);
+    this.name = 'IllegalTransitionError';
+  }
+}
+
+/**
+ * The transition is legal but the related order or payment does not allow it
+ */
+export class TransitionGuardError extends StateTransitionError {
+  constructor(
+    entityType: StateMachineEntity,
+    entityId: string,
+    from: string,
+    to: string,
+    public readonly relatedStatus: string,
+    reason: string
+  ) {
+    super(`${entityType} ${entityId} cannot move from ${from} to ${to}: ${reason}`, entityType, entityId, from, to);
+    this.name = 'TransitionGuardError';
+  }
+}
+
+// ========================================
+// Transition Results
+// ========================================
+
+/**
+ * Follow-up action the caller must perform on the related aggregate
+ */
+export interface TransitionEffect {
+  type: 'cancelPayment' | 'refundPayment' | 'confirmOrder' | 'cancelOrder';
+  orderId: string;
+  paymentId?: string;
+  reason: string;
+}
+
+export interface TransitionOptions {
+  userId?: string;
+  reason?: string;
+  now?: () => Date;
+}
+
+export interface OrderTransitionOptions extends TransitionOptions {
+  /**
+   * Payment to check against; defaults to the order's own paymentStatus
+   */
+  payment?: Pick<Payment, 'id' | 'status'>;
+}
+
+export interface PaymentTransitionOptions extends TransitionOptions {
+  /**
+   * Order the payment belongs to. When given, guards are checked against it
+   * and its paymentStatus is kept in sync.
+   */
+  order?: Order;
+}
+
+export interface OrderTransition {
+  order: Order;
+  changes: Partial<Order>;
+  events: OrderStatusChanged[];
+  effects: TransitionEffect[];
+}
+
+export interface PaymentTransition {
+  payment: Payment;
+  changes: Partial<Payment>;
+  order?: Order;
+  orderChanges?: Partial<Order>;
+  events: PaymentProcessed[];
+  effects: TransitionEffect[];
+}
+
+// ========================================
+// Order Transitions
+// ========================================
+
+/**
+ * Check whether the state table alone allows the move
+ */
+export function isOrderTransitionAllowed(from: OrderStatus, to: OrderStatus): boolean {
+  return ORDER_TRANSITIONS[from].includes(to);
+}
+
+/**
+ * Return the error that transitionOrder() would throw, or null
+ */
+export function checkOrderTransition(
+  order: Order,
+  to: OrderStatus,
+  options: Pick<OrderTransitionOptions, 'payment'> = {}
+): StateTransitionError | null {
+  if (!isOrderTransitionAllowed(order.status, to)) {
+    return new IllegalTransitionError('Order', order.id, order.status, to);
+  }
+
+  const paymentStatus = options.payment?.status ?? order.paymentStatus;
+  const required = ORDER_PAYMENT_REQUIREMENTS[to];
+  if (required && !required.includes(paymentStatus)) {
+    return new TransitionGuardError(
+      'Order', order.id, order.status, to, paymentStatus,
+      `payment is ${paymentStatus} (requires ${required.join(' or ')})`
+    );
+  }
+
+  return null;
+}
+
+/**
+ * Order states reachable from the current state given the payment status
+ */
+export function getAvailableOrderTransitions(
+  order: Order,
+  options: Pick<OrderTransitionOptions, 'payment'> = {}
+): OrderStatus[] {
+  return ORDER_TRANSITIONS[order.status].filter(to => checkOrderTransition(order, to, options) === null);
+}
+
+/**
+ * Move an order to a new status
+ *
+ * Delivering stamps actualDeliveryTime. Cancelling cancels a payment that is
+ * still open, or requests a refund of one that already succeeded.
+ *
+ * @throws IllegalTransitionError | TransitionGuardError
+ */
+export function transitionOrder(order: Order, to: OrderStatus, options: OrderTransitionOptions = {}): OrderTransition {
+  const error = checkOrderTransition(order, to, options);
+  if (error) {
+    throw error;
+  }
+
+  const now = options.now?.() ?? new Date();
+  const changes: Partial<Order> = { status: to };
+  const effects: TransitionEffect[] = [];
+  const payment = options.payment ? { paymentId: options.payment.id } : {};
+  const paymentStatus = options.payment?.status ?? order.paymentStatus;
+
+  if (to === OrderStatus.DELIVERED) {
+    changes.actualDeliveryTime = now;
+  }
+
+  if (to === OrderStatus.CANCELLED) {
+    const reason = options.reason ?? 'order cancelled';
+    if (paymentStatus === PaymentStatus.SUCCEEDED) {
+      effects.push({ type: 'refundPayment', orderId: order.id, ...payment, reason });
+    } else if (paymentStatus === PaymentStatus.PENDING || paymentStatus === PaymentStatus.PROCESSING) {
+      changes.paymentStatus = PaymentStatus.CANCELLED;
+      effects.push({ type: 'cancelPayment', orderId: order.id, ...payment, reason });
+    }
+  }
+
+  const event: OrderStatusChanged = {
+    id: generateEntityId(),
+    type: 'OrderStatusChanged',
+    aggregateId: order.id,
+    aggregateType: 'Order',
+    version: order.version + 1,
+    timestamp: now,
+    ...(options.userId !== undefined ? { userId: options.userId } : {}),
+    ...(options.reason !== undefined ? { metadata: { reason: options.reason } } : {}),
+    payload: {
+      orderId: order.id,
+      userId: order.userId,
+      previousStatus: order.status,
+      newStatus: to
+    }
+  };
+
+  return {
+    order: { ...order, ...changes, updatedAt: now },
+    changes,
+    events: [event],
+    effects
+  };
+}
+
+// ========================================
+// Payment Transitions
+// ========================================
+
+/**
+ * Check whether the state table alone allows the move
+ */
+export function isPaymentTransitionAllowed(from: PaymentStatus, to: PaymentStatus): boolean {
+  return PAYMENT_TRANSITIONS[from].includes(to);
+}
+
+/**
+ * Return the error that transitionPayment() would throw, or null
+ */
+export function checkPaymentTransition(
+  payment: Payment,
+  to: PaymentStatus,
+  options: Pick<PaymentTransitionOptions, 'order'> = {}
+): StateTransitionError | null {
+  if (!isPaymentTransitionAllowed(payment.status, to)) {
+    return new IllegalTransitionError('Payment', payment.id, payment.status, to);
+  }
+
+  const order = options.order;
+  if (order) {
+    if (payment.orderId !== undefined && payment.orderId !== order.id) {
+      return new TransitionGuardError(
+        'Payment', payment.id, payment.status, to, order.status,
+        `payment belongs to order ${payment.orderId}, not ${order.id}`
+      );
+    }
+
+    const allowed = PAYMENT_ORDER_RESTRICTIONS[order.status];
+    if (allowed && !allowed.includes(to)) {
+      return new TransitionGuardError(
+        'Payment', payment.id, payment.status, to, order.status,
+        `order is ${order.status}`
+      );
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Payment states reachable from the current state given the order status
+ */
+export function getAvailablePaymentTransitions(
+  payment: Payment,
+  options: Pick<PaymentTransitionOptions, 'order'> = {}
+): PaymentStatus[] {
+  return PAYMENT_TRANSITIONS[payment.status].filter(to => checkPaymentTransition(payment, to, options) === null);
+}
+
+/**
+ * Move a payment to a new status
+ *
+ * When the order is supplied its paymentStatus is updated as well. A
+ * successful payment on a pending order requests confirmation; a refund on
+ * an open order requests cancellation.
+ *
+ * @throws IllegalTransitionError | TransitionGuardError
+ */
+export function transitionPayment(payment: Payment, to: PaymentStatus, options: PaymentTransitionOptions = {}): PaymentTransition {
+  const error = checkPaymentTransition(payment, to, options);
+  if (error) {
+    throw error;
+  }
+
+  const now = options.now?.() ?? new Date();
+  const changes: Partial<Payment> = { status: to };
+  const effects: TransitionEffect[] = [];
+  const order = options.order;
+
+  const event: PaymentProcessed = {
+    id: generateEntityId(),
+    type: 'PaymentProcessed',
+    aggregateId: payment.id,
+    aggregateType: 'Payment',
+    version: payment.version + 1,
+    timestamp: now,
+    ...(options.userId !== undefined ? { userId: options.userId } : {}),
+    metadata: {
+      previousStatus: payment.status,
+      ...(options.reason !== undefined ? { reason: options.reason } : {})
+    },
+    payload: {
+      paymentId: payment.id,
+      ...(payment.orderId !== undefined ? { orderId: payment.orderId } : {}),
+      userId: payment.userId,
+      amount: payment.amount,
+      status: to
+    }
+  };
+
+  const result: PaymentTransition = {
+    payment: { ...payment, ...changes, updatedAt: now },
+    changes,
+    events: [event],
+    effects
+  };
+
+  if (order) {
+    const orderChanges: Partial<Order> = { paymentStatus: to };
+    result.order = { ...order, ...orderChanges, updatedAt: now };
+    result.orderChanges = orderChanges;
+
+    if (to === PaymentStatus.SUCCEEDED && order.status === OrderStatus.PENDING) {
+      effects.push({ type: 'confirmOrder', orderId: order.id, paymentId: payment.id, reason: 'payment succeeded' });
+    }
+
+    const orderIsOpen = ORDER_TRANSITIONS[order.status].includes(OrderStatus.CANCELLED);
+    if (to === PaymentStatus.REFUNDED && orderIsOpen) {
+      effects.push({ type: 'cancelOrder', orderId: order.id, paymentId: payment.id, reason: options.reason ?? 'payment refunded' });
+    }
+  }
+
+  return result;
+}
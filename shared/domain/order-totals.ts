@@ -0,0 +1,178 @@
+/**
+ * Order Totals
+ *
+ * The arithmetic behind OrderManagementServicePort.calculateOrderTotal,
+ * done in Money so the lines, the order-level figures and the total always
+ * agree to the cent:
+ *
+ * - line subtotal = unitPrice x quantity (item.totalPrice is recomputed,
+ *   never trusted)
+ * - the order discount is spread over the lines by subtotal
+ * - each tax is charged once on the discounted subtotal, rounded on its own,
+ *   and spread the same way
+ * - total = subtotal - discounts + tax + delivery fee
+ */
+
+import type { OrderItem } from '../types/domain-entities';
+import type { OrderCalculation } from '../ports/service-ports';
+import { Money, MoneyError, DEFAULT_CURRENCY } from './money';
+import type { RoundingMode } from './money';
+
+// ========================================
+// Types
+// ========================================
+
+export interface OrderTotalOptions {
+  /**
+   * Currency of the unit prices (default BRL)
+   */
+  currency?: string;
+
+  /**
+   * Tax as a fraction of the discounted subtotal (0.17 for 17%; default 0)
+   */
+  taxRate?: number;
+
+  /**
+   * Named taxes (ICMS, ISS...), each a fraction of the discounted subtotal;
+   * takes precedence over taxRate
+   */
+  taxes?: readonly OrderTaxRate[];
+
+  /**
+   * Rounding of each tax amount (default half-up)
+   */
+  taxRounding?: RoundingMode;
+
+  deliveryFee?: Money;
+
+  /**
+   * Order-level discount; capped at the subtotal
+   */
+  discount?: Money;
+}
+
+/**
+ * The fields of an OrderItem that are priced
+ */
+export type PricedItem = Pick<OrderItem, 'productId' | 'quantity' | 'unitPrice'>;
+
+export interface OrderTaxRate {
+  type: string;
+  rate: number;
+}
+
+export interface OrderTaxTotal extends OrderTaxRate {
+  amount: Money;
+}
+
+export interface OrderLineTotal {
+  productId: string;
+  quantity: number;
+  unitPrice: Money;
+  subtotal: Money;
+  discount: Money;
+  tax: Money;
+
+  /**
+   * subtotal - discount + tax
+   */
+  total: Money;
+}
+
+export interface OrderTotal {
+  currency: string;
+  lines: OrderLineTotal[];
+  subtotal: Money;
+  discounts: Money;
+
+  /**
+   * Sum of taxes
+   */
+  tax: Money;
+  taxes: OrderTaxTotal[];
+  deliveryFee: Money;
+  total: Money;
+}
+
+// ========================================
+// Calculation
+// ========================================
+
+/**
+ * @throws MoneyError when a unit price has fractions of a cent, amounts mix
+ * currencies, or a tax rate is negative
+ */
+export function calculateOrderTotal(items: readonly PricedItem[], options: OrderTotalOptions = {}): OrderTotal {
+  const currency = options.currency ?? DEFAULT_CURRENCY;
+  const taxRates = options.taxes ?? (options.taxRate ? [{ type: 'tax', rate: options.taxRate }] : []);
+  for (const { type, rate } of taxRates) {
+    if (!Number.isFinite(rate) || rate < 0) {
+      throw new MoneyError('INVALID_AMOUNT', `Tax rate of ${type} must be a non-negative number, got ${rate}`);
+    }
+  }
+
+  const lines = items.map(item => {
+    const unitPrice = Money.fromDecimal(item.unitPrice, currency);
+    return { item, unitPrice, subtotal: unitPrice.multiply(item.quantity) };
+  });
+  const subtotal = Money.sum(lines.map(line => line.subtotal), currency);
+  const zero = Money.zero(subtotal.currency);
+
+  const requested = options.discount ?? zero;
+  if (requested.isNegative()) {
+    throw new MoneyError('INVALID_AMOUNT', `Discount must not be negative, got ${requested}`);
+  }
+  const discounts = requested.greaterThan(subtotal) ? subtotal : requested;
+  const taxable = subtotal.subtract(discounts);
+  const taxes = taxRates.map(({ type, rate }) => ({
+    type,
+    rate,
+    amount: taxable.multiply(rate, options.taxRounding ?? 'half-up')
+  }));
+  const tax = Money.sum(taxes.map(entry => entry.amount), subtotal.currency);
+  const deliveryFee = options.deliveryFee ?? zero;
+
+  const weights = lines.map(line => line.subtotal.cents);
+  const spreadable = weights.some(weight => weight > 0);
+  const lineDiscounts = spreadable ? discounts.allocate(weights) : lines.map(() => zero);
+  const lineTaxes = spreadable ? tax.allocate(weights) : lines.map(() => zero);
+
+  return {
+    currency: subtotal.currency,
+    lines: lines.map((line, index) => {
+      const discount = lineDiscounts[index] ?? zero;
+      const lineTax = lineTaxes[index] ?? zero;
+      return {
+        productId: line.item.productId,
+        quantity: line.item.quantity,
+        unitPrice: line.unitPrice,
+        subtotal: line.subtotal,
+        discount,
+        tax: lineTax,
+        total: line.subtotal.subtract(discount).add(lineTax)
+      };
+    }),
+    subtotal,
+    discounts,
+    tax,
+    taxes,
+    deliveryFee,
+    total: taxable.add(tax).add(deliveryFee)
+  };
+}
+
+/**
+ * The decimal OrderCalculation returned by calculateOrderTotal() on
+ * OrderManagementServicePort
+ */
+export function toOrderCalculation(total: OrderTotal, estimatedDeliveryTime: Date): OrderCalculation {
+  return {
+    subtotal: total.subtotal.toDecimal(),
+    tax: total.tax.toDecimal(),
+    deliveryFee: total.deliveryFee.toDecimal(),
+    discounts: total.discounts.toDecimal(),
+    total: total.total.toDecimal(),
+    estimatedDeliveryTime
+  };
+}
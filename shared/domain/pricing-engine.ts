@@ -0,0 +1,460 @@
+/**
+ * Pricing Engine
+ *
+ * Applies a PricingRules document (taxes per location, fees per payment
+ * method, delivery fees, promotions and rounding) to an order. The rules
+ * are plain data, validated by PricingRulesSchema, so they can be stored
+ * and changed by admins; the engine only interprets them. All arithmetic
+ * goes through calculateOrderTotal() and Money.
+ *
+ * Locations are hyphen-separated keys, broadest first ("BR-SP-CAMPINAS").
+ * A rule listing "BR-SP" covers every location below it, the most specific
+ * matching rule wins, and a rule without locations applies everywhere else.
+ */
+
+import type { z } from 'zod';
+import type {
+  Order,
+  Payment,
+  PaymentMethod,
+  PaymentMethodType,
+  PricingRules,
+  PromotionRule
+} from '../types/domain-entities';
+import { PricingRulesSchema } from '../types/domain-schemas';
+import type { FeeCalculation, PaymentReceipt, ReceiptItem, TaxBreakdown } from '../ports/service-ports';
+import { generateEntityId } from '../types/utilities';
+import { Money } from './money';
+import { calculateOrderTotal } from './order-totals';
+import type { OrderTaxRate, OrderTotal, PricedItem } from './order-totals';
+
+// ========================================
+// Types
+// ========================================
+
+export type PricingErrorCode =
+  | 'INVALID_RULES'
+  | 'NO_RULES'
+  | 'NO_FEE_RULE'
+  | 'NO_MERCHANT_INFO'
+  | 'INVALID_EFFECTIVE_DATE';
+
+export class PricingError extends Error {
+  constructor(public readonly code: PricingErrorCode, message: string) {
+    super(message);
+    this.name = 'PricingError';
+  }
+}
+
+/**
+ * Rules as an admin writes them: defaults may be left out
+ */
+export type PricingRulesInput = z.input<typeof PricingRulesSchema>;
+
+export type MerchantInfo = PaymentReceipt['merchantInfo'];
+
+export interface PricingContext {
+  /**
+   * Location key of the container or delivery address ("BR-SP-CAMPINAS")
+   */
+  location?: string;
+  paymentMethod?: PaymentMethodType;
+  promoCodes?: readonly string[];
+
+  /**
+   * Whether the order is delivered; container pickups pay no delivery fee
+   * (default false)
+   */
+  delivery?: boolean;
+
+  /**
+   * Moment promotions are checked against (default now)
+   */
+  at?: Date;
+}
+
+export interface AppliedPromotion {
+  id: string;
+  code?: string;
+  description: string;
+  amount: Money;
+}
+
+export interface PriceQuote {
+  currency: string;
+  totals: OrderTotal;
+  taxes: TaxBreakdown[];
+  promotions: AppliedPromotion[];
+
+  /**
+   * Promo codes given in the context that did not apply
+   */
+  rejectedPromoCodes: string[];
+
+  /**
+   * What the merchant pays to accept the total, when the context names a
+   * payment method that has a fee rule
+   */
+  fees?: FeeCalculation;
+}
+
+export interface PricingEngineOptions {
+  /**
+   * Printed on receipts
+   */
+  merchant?: MerchantInfo;
+  now?: () => Date;
+}
+
+/**
+ * Receipt line labels (receipts are issued in pt-BR)
+ */
+const RECEIPT_LABELS = {
+  deliveryFee: 'Taxa de entrega',
+  discount: 'Desconto',
+  payment: 'Pagamento'
+} as const;
+
+// ========================================
+// Pricing Engine
+// ========================================
+
+export class PricingEngine {
+  readonly rules: PricingRules;
+  private readonly now: () => Date;
+
+  /**
+   * @throws PricingError('INVALID_RULES') when the rules do not validate or
+   * hold amounts with fractions of a cent
+   */
+  constructor(rules: PricingRulesInput, private readonly options: PricingEngineOptions = {}) {
+    const parsed = PricingRulesSchema.safeParse(rules);
+    if (!parsed.success) {
+      throw new PricingError('INVALID_RULES', parsed.error.issues.map(issue => `${issue.path.join('.')}: ${issue.message}`).join('; '));
+    }
+    this.rules = parsed.data;
+    this.now = options.now ?? (() => new Date());
+    assertRepresentable(this.rules);
+  }
+
+  /**
+   * Price an order: promotions, then delivery, then taxes on the discounted
+   * subtotal
+   *
+   * @throws MoneyError when a unit price has fractions of a cent
+   */
+  quote(items: readonly PricedItem[], context: PricingContext = {}): PriceQuote {
+    const currency = this.rules.currency;
+    const base = calculateOrderTotal(items, { currency });
+    const { promotions, rejectedPromoCodes } = this.applyPromotions(base, context);
+    const discount = Money.sum(promotions.map(promotion => promotion.amount), currency);
+    const deliveryFee = context.delivery
+      ? this.deliveryFeeFor(base.subtotal.subtract(discount), context.location)
+      : Money.zero(currency);
+
+    const totals = calculateOrderTotal(items, {
+      currency,
+      taxes: this.taxRatesFor(context.location),
+      taxRounding: this.rules.rounding.tax,
+      discount,
+      deliveryFee
+    });
+
+    const feeRule = context.paymentMethod !== undefined
+      ? this.rules.paymentFees.find(rule => rule.method === context.paymentMethod)
+      : undefined;
+
+    return {
+      currency: totals.currency,
+      totals,
+      taxes: toTaxBreakdown(totals),
+      promotions,
+      rejectedPromoCodes,
+      ...(feeRule && context.paymentMethod !== undefined
+        ? { fees: this.calculateFees(totals.total.toDecimal(), context.paymentMethod) }
+        : {})
+    };
+  }
+
+  /**
+   * Tax rates in force at a location, one per tax type
+   */
+  taxRatesFor(location?: string): OrderTaxRate[] {
+    const types = [...new Set(this.rules.taxes.map(rule => rule.type))];
+    return types.flatMap(type => {
+      const rule = mostSpecific(this.rules.taxes.filter(candidate => candidate.type === type), location);
+      return rule ? [{ type, rate: rule.rate }] : [];
+    });
+  }
+
+  /**
+   * Processing (acquirer/PSP) and platform fees for accepting an amount.
+   * Implements PaymentDomainServicePort.calculateFees.
+   *
+   * @throws PricingError('NO_FEE_RULE') when the method has no fee rule
+   */
+  calculateFees(amount: number, paymentMethod: Pick<PaymentMethod, 'type'> | PaymentMethodType): FeeCalculation {
+    const method = typeof paymentMethod === 'string' ? paymentMethod : paymentMethod.type;
+    const rule = this.rules.paymentFees.find(candidate => candidate.method === method);
+    if (!rule) {
+      throw new PricingError('NO_FEE_RULE', `No fee rule for payment method ${method}`);
+    }
+
+    const currency = this.rules.currency;
+    const rounding = this.rules.rounding.fees;
+    const value = Money.fromDecimal(amount, currency);
+    let processingFee = value.multiply(rule.percentage, rounding).add(Money.fromDecimal(rule.fixed, currency));
+    if (rule.minimum !== undefined && processingFee.lessThan(Money.fromDecimal(rule.minimum, currency))) {
+      processingFee = Money.fromDecimal(rule.minimum, currency);
+    }
+    if (rule.maximum !== undefined && processingFee.greaterThan(Money.fromDecimal(rule.maximum, currency))) {
+      processingFee = Money.fromDecimal(rule.maximum, currency);
+    }
+    const platformFee = value.multiply(rule.platformPercentage, rounding).add(Money.fromDecimal(rule.platformFixed, currency));
+
+    return {
+      processingFee: processingFee.toDecimal(),
+      platformFee: platformFee.toDecimal(),
+      totalFees: processingFee.add(platformFee).toDecimal(),
+      currency
+    };
+  }
+
+  /**
+   * Receipt for a payment. With the order, items, delivery fee and discount
+   * come from the order as charged and taxes are broken down with the rates
+   * in force at the context's location. Implements
+   * PaymentDomainServicePort.generatePaymentReceipt.
+   *
+   * @throws PricingError('NO_MERCHANT_INFO') without options.merchant
+   */
+  generatePaymentReceipt(payment: Payment, order?: Order, context: Pick<PricingContext, 'location'> = {}): PaymentReceipt {
+    const merchant = this.options.merchant;
+    if (!merchant) {
+      throw new PricingError('NO_MERCHANT_INFO', 'Receipts need merchant name, address and tax id');
+    }
+
+    const amount = payment.capturedAmount ?? payment.amount;
+    const receipt = {
+      receiptId: generateEntityId(),
+      paymentId: payment.id,
+      amount,
+      currency: payment.currency,
+      timestamp: payment.capturedAt ?? payment.updatedAt,
+      merchantInfo: merchant
+    };
+
+    if (!order) {
+      return {
+        ...receipt,
+        items: [{ description: payment.description ?? RECEIPT_LABELS.payment, quantity: 1, unitPrice: amount, totalPrice: amount }],
+        taxes: []
+      };
+    }
+
+    const currency = this.rules.currency;
+    const totals = calculateOrderTotal(order.items, {
+      currency,
+      taxes: this.taxRatesFor(context.location),
+      taxRounding: this.rules.rounding.tax,
+      discount: Money.fromDecimal(order.discountAmount ?? 0, currency),
+      deliveryFee: Money.fromDecimal(order.deliveryFee, currency)
+    });
+
+    const items: ReceiptItem[] = totals.lines.map((line, index) => ({
+      description: order.items[index]?.productName ?? line.productId,
+      quantity: line.quantity,
+      unitPrice: line.unitPrice.toDecimal(),
+      totalPrice: line.subtotal.toDecimal()
+    }));
+    if (totals.deliveryFee.isPositive()) {
+      const fee = totals.deliveryFee.toDecimal();
+      items.push({ description: RECEIPT_LABELS.deliveryFee, quantity: 1, unitPrice: fee, totalPrice: fee });
+    }
+    if (totals.discounts.isPositive()) {
+      const discount = totals.discounts.negate().toDecimal();
+      items.push({ description: RECEIPT_LABELS.discount, quantity: 1, unitPrice: discount, totalPrice: discount });
+    }
+
+    return { ...receipt, items, taxes: toTaxBreakdown(totals) };
+  }
+
+  /**
+   * Eligible promotions: every stackable one plus the best of the rest,
+   * together never more than the subtotal
+   */
+  private applyPromotions(base: OrderTotal, context: PricingContext): Pick<PriceQuote, 'promotions' | 'rejectedPromoCodes'> {
+    const at = context.at ?? this.now();
+    const codes = new Set((context.promoCodes ?? []).map(code => code.toUpperCase()));
+
+    const eligible = this.rules.promotions
+      .filter(promotion => isEligible(promotion, base, context, codes, at))
+      .map(promotion => ({ promotion, amount: this.promotionAmount(promotion, base) }))
+      .filter(candidate => candidate.amount.isPositive());
+
+    const best = eligible
+      .filter(candidate => !candidate.promotion.stackable)
+      .reduce<(typeof eligible)[number] | undefined>(
+        (current, candidate) => (current === undefined || candidate.amount.greaterThan(current.amount) ? candidate : current),
+        undefined
+      );
+    const chosen = eligible.filter(candidate => candidate.promotion.stackable || candidate === best);
+
+    let remaining = base.subtotal;
+    const promotions: AppliedPromotion[] = [];
+    for (const { promotion, amount } of chosen) {
+      const applied = amount.greaterThan(remaining) ? remaining : amount;
+      if (applied.isZero()) {
+        continue;
+      }
+      remaining = remaining.subtract(applied);
+      promotions.push({
+        id: promotion.id,
+        description: promotion.description,
+        amount: applied,
+        ...(promotion.code !== undefined ? { code: promotion.code } : {})
+      });
+    }
+
+    const used = new Set(promotions.flatMap(promotion => (promotion.code !== undefined ? [promotion.code.toUpperCase()] : [])));
+    const rejectedPromoCodes = (context.promoCodes ?? []).filter(code => !used.has(code.toUpperCase()));
+    return { promotions, rejectedPromoCodes };
+  }
+
+  private promotionAmount(promotion: PromotionRule, base: OrderTotal): Money {
+    const currency = base.currency;
+    const eligibleSubtotal = Money.sum(
+      base.lines
+        .filter(line => promotion.productIds === undefined || promotion.productIds.includes(line.productId))
+        .map(line => line.subtotal),
+      currency
+    );
+
+    let amount = promotion.type === 'percentage'
+      ? eligibleSubtotal.multiply(promotion.value, this.rules.rounding.discount)
+      : Money.fromDecimal(promotion.value, currency);
+    if (amount.greaterThan(eligibleSubtotal)) {
+      amount = eligibleSubtotal;
+    }
+    if (promotion.maxDiscount !== undefined && amount.greaterThan(Money.fromDecimal(promotion.maxDiscount, currency))) {
+      amount = Money.fromDecimal(promotion.maxDiscount, currency);
+    }
+    return amount;
+  }
+
+  private deliveryFeeFor(discountedSubtotal: Money, location?: string): Money {
+    const currency = this.rules.currency;
+    const rule = mostSpecific(this.rules.deliveryFees, location);
+    if (!rule) {
+      return Money.zero(currency);
+    }
+    if (rule.freeAbove !== undefined && !discountedSubtotal.lessThan(Money.fromDecimal(rule.freeAbove, currency))) {
+      return Money.zero(currency);
+    }
+    return Money.fromDecimal(rule.fee, currency);
+  }
+}
+
+// ========================================
+// Helpers
+// ========================================
+
+function isEligible(
+  promotion: PromotionRule,
+  base: OrderTotal,
+  context: PricingContext,
+  codes: ReadonlySet<string>,
+  at: Date
+): boolean {
+  if (promotion.validFrom !== undefined && at < promotion.validFrom) {
+    return false;
+  }
+  if (promotion.validUntil !== undefined && at > promotion.validUntil) {
+    return false;
+  }
+  if (promotion.code !== undefined && !codes.has(promotion.code.toUpperCase())) {
+    return false;
+  }
+  if (promotion.paymentMethods !== undefined &&
+    (context.paymentMethod === undefined || !promotion.paymentMethods.includes(context.paymentMethod))) {
+    return false;
+  }
+  if (locationScore(promotion.locations, context.location) < 0) {
+    return false;
+  }
+  if (promotion.minSubtotal !== undefined && base.subtotal.lessThan(Money.fromDecimal(promotion.minSubtotal, base.currency))) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * -1: the rule does not cover the location; 0: the rule applies everywhere;
+ * otherwise the depth of the most specific listed location that covers it
+ */
+function locationScore(locations: readonly string[] | undefined, location: string | undefined): number {
+  if (locations === undefined || locations.length === 0) {
+    return 0;
+  }
+  if (location === undefined) {
+    return -1;
+  }
+  const key = location.toUpperCase();
+  return locations.reduce((score, candidate) => {
+    const prefix = candidate.toUpperCase();
+    const covers = key === prefix || key.startsWith(`${prefix}-`);
+    return covers ? Math.max(score, prefix.split('-').length) : score;
+  }, -1);
+}
+
+/**
+ * The rule whose locations match most specifically (first on ties)
+ */
+function mostSpecific<T extends { locations?: string[] | undefined }>(rules: readonly T[], location: string | undefined): T | undefined {
+  let best: { rule: T; score: number } | undefined;
+  for (const rule of rules) {
+    const score = locationScore(rule.locations, location);
+    if (score >= 0 && (best === undefined || score > best.score)) {
+      best = { rule, score };
+    }
+  }
+  return best?.rule;
+}
+
+function toTaxBreakdown(totals: OrderTotal): TaxBreakdown[] {
+  return totals.taxes.map(tax => ({ type: tax.type, rate: tax.rate, amount: tax.amount.toDecimal() }));
+}
+
+/**
+ * Fixed amounts in the rules must be whole cents, or every quote using them
+ * would fail
+ */
+function assertRepresentable(rules: PricingRules): void {
+  const amounts: Array<[string, number | undefined]> = [
+    ...rules.paymentFees.flatMap((rule, index): Array<[string, number | undefined]> => [
+      [`paymentFees.${index}.fixed`, rule.fixed],
+      [`paymentFees.${index}.minimum`, rule.minimum],
+      [`paymentFees.${index}.maximum`, rule.maximum],
+      [`paymentFees.${index}.platformFixed`, rule.platformFixed]
+    ]),
+    ...rules.deliveryFees.flatMap((rule, index): Array<[string, number | undefined]> => [
+      [`deliveryFees.${index}.fee`, rule.fee],
+      [`deliveryFees.${index}.freeAbove`, rule.freeAbove]
+    ]),
+    ...rules.promotions.flatMap((rule, index): Array<[string, number | undefined]> => [
+      [`promotions.${index}.value`, rule.type === 'fixed' ? rule.value : undefined],
+      [`promotions.${index}.maxDiscount`, rule.maxDiscount],
+      [`promotions.${index}.minSubtotal`, rule.minSubtotal]
+    ])
+  ];
+
+  const invalid = amounts.filter(([, amount]) => amount !== undefined && !Money.isRepresentable(amount, rules.currency));
+  if (invalid.length > 0) {
+    throw new PricingError('INVALID_RULES', `Amounts must be whole ${rules.currency} cents: ${invalid.map(([path]) => path).join(', ')}`);
+  }
+
+  const percentages = rules.promotions.filter(rule => rule.type === 'percentage' && rule.value > 1);
+  if (percentages.length > 0) {
+    throw new PricingError('INVALID_RULES', `Percentage promotions take a fraction up to 1: ${percentages.map(rule => rule.id).join(', ')}`);
+  }
+}
@@ -0,0 +1,347 @@
+/**
+ * Stock Reconciliation
+ *
+ * Compares what the ledger says each container slot holds (restocks minus
+ * completed orders, plus earlier corrections) with what the cameras
+ * counted, and says what the difference means:
+ *
+ * - misplacement: units missing from one slot turned up in another slot of
+ *   the same container; the total is right, the slots are not
+ * - shrinkage: units are gone without an order (theft, damage, a sale that
+ *   was never recorded)
+ * - surplus: more units than were ever put in; an unrecorded restock
+ * - vision_miscount: the count cannot be trusted, because the slot was
+ *   seen with low confidence or the count is more than the container holds;
+ *   the ledger is left alone
+ *
+ * Only slots that were observed are judged. The adjustments returned make
+ * the ledger agree with every trusted count.
+ */
+
+import type { Container, StockLedgerEntry } from '../types/domain-entities';
+import type { StockItem, StockLevel } from '../ports/service-ports';
+
+// ========================================
+// Types
+// ========================================
+
+export type StockReconciliationErrorCode =
+  | 'INVALID_REQUEST'
+  | 'INVALID_OBSERVATION'
+  | 'CONTAINER_NOT_FOUND'
+  | 'ORDER_NOT_COMPLETED';
+
+export class StockReconciliationError extends Error {
+  constructor(public readonly code: StockReconciliationErrorCode, message: string) {
+    super(message);
+    this.name = 'StockReconciliationError';
+  }
+}
+
+export type StockDiscrepancyType = 'shrinkage' | 'misplacement' | 'surplus' | 'vision_miscount';
+
+export type StockDiscrepancySeverity = 'low' | 'medium' | 'high';
+
+/**
+ * Units of one product in one slot
+ */
+export interface SlotStock {
+  slot: string;
+  productId: string;
+  quantity: number;
+}
+
+/**
+ * What the cameras counted in one slot
+ */
+export interface SlotObservation {
+  slot: string;
+
+  /**
+   * Units per product id; products of the slot that are not listed were
+   * counted as 0
+   */
+  counts: Record<string, number>;
+
+  /**
+   * 0-1, how well the slot was seen (detection confidence, occlusion)
+   */
+  confidence: number;
+
+  imageId?: string;
+}
+
+export interface StockDiscrepancy {
+  type: StockDiscrepancyType;
+  severity: StockDiscrepancySeverity;
+  productId: string;
+  slot: string;
+
+  /**
+   * Misplacement: the slot the units were found in
+   */
+  toSlot?: string;
+
+  /**
+   * Units in the slot by the ledger and by the count
+   */
+  expected: number;
+  observed: number;
+
+  /**
+   * Units involved
+   */
+  quantity: number;
+
+  /**
+   * Whether an adjustment was made for it
+   */
+  corrected: boolean;
+  description: string;
+}
+
+/**
+ * A correction to write to the ledger
+ */
+export interface StockAdjustment extends SlotStock {
+  reason: Exclude<StockDiscrepancyType, 'vision_miscount'>;
+}
+
+export interface StockReconciliationOptions {
+  /**
+   * Observations less confident than this are reported but not trusted
+   * (default 0.6)
+   */
+  minConfidence?: number;
+
+  /**
+   * Units the container holds; a surplus beyond it is a miscount
+   */
+  capacity?: number;
+}
+
+export interface StockReconciliationOutcome {
+  /**
+   * Most severe first
+   */
+  discrepancies: StockDiscrepancy[];
+  adjustments: StockAdjustment[];
+}
+
+export const DEFAULT_MIN_OBSERVATION_CONFIDENCE = 0.6;
+
+const SEVERITY_ORDER: Record<StockDiscrepancySeverity, number> = { high: 0, medium: 1, low: 2 };
+
+interface Gap {
+  slot: string;
+  expected: number;
+  observed: number;
+  remaining: number;
+}
+
+// ========================================
+// Reconciliation
+// ========================================
+
+/**
+ * Units per slot and product by the ledger; entries that cancel out are
+ * left out
+ */
+export function bookStock(entries: readonly Pick<StockLedgerEntry, 'slot' | 'productId' | 'quantity'>[]): SlotStock[] {
+  const totals = new Map<string, SlotStock>();
+  for (const entry of entries) {
+    const key = `${entry.slot}\u0000${entry.productId}`;
+    const stock = totals.get(key) ?? { slot: entry.slot, productId: entry.productId, quantity: 0 };
+    stock.quantity += entry.quantity;
+    totals.set(key, stock);
+  }
+  return [...totals.values()].filter(stock => stock.quantity !== 0);
+}
+
+/**
+ * @throws StockReconciliationError INVALID_OBSERVATION
+ */
+export function reconcileStock(
+  book: readonly SlotStock[],
+  observations: readonly SlotObservation[],
+  options: StockReconciliationOptions = {}
+): StockReconciliationOutcome {
+  const minConfidence = options.minConfidence ?? DEFAULT_MIN_OBSERVATION_CONFIDENCE;
+  const expected = new Map<string, Map<string, number>>();
+  for (const stock of book) {
+    const slot = expected.get(stock.slot) ?? new Map<string, number>();
+    slot.set(stock.productId, (slot.get(stock.productId) ?? 0) + stock.quantity);
+    expected.set(stock.slot, slot);
+  }
+
+  const discrepancies: StockDiscrepancy[] = [];
+  const adjustments: StockAdjustment[] = [];
+  const shortages = new Map<string, Gap[]>();
+  const surpluses = new Map<string, Gap[]>();
+  const seen = new Set<string>();
+
+  for (const observation of observations) {
+    checkObservation(observation, seen);
+    const slotBook = expected.get(observation.slot) ?? new Map<string, number>();
+    const products = new Set([...slotBook.keys(), ...Object.keys(observation.counts)]);
+    for (const productId of products) {
+      const wanted = slotBook.get(productId) ?? 0;
+      const counted = observation.counts[productId] ?? 0;
+      const difference = counted - wanted;
+      if (difference === 0) {
+        continue;
+      }
+      if (observation.confidence < minConfidence) {
+        discrepancies.push(discrepancy('vision_miscount', productId, observation.slot, wanted, counted, Math.abs(difference), false,
+          `Slot ${observation.slot} was seen with confidence ${observation.confidence.toFixed(2)}; counted ${counted} × ${productId}, ledger has ${wanted}`));
+        continue;
+      }
+      const gaps = difference < 0 ? shortages : surpluses;
+      const list = gaps.get(productId) ?? [];
+      list.push({ slot: observation.slot, expected: wanted, observed: counted, remaining: Math.abs(difference) });
+      gaps.set(productId, list);
+    }
+  }
+
+  // Units missing here and found there moved; pair the largest gaps first
+  for (const [productId, missing] of shortages) {
+    const found = (surpluses.get(productId) ?? []).sort((a, b) => b.remaining - a.remaining);
+    for (const from of missing.sort((a, b) => b.remaining - a.remaining)) {
+      for (const to of found) {
+        const moved = Math.min(from.remaining, to.remaining);
+        if (moved === 0) {
+          continue;
+        }
+        from.remaining -= moved;
+        to.remaining -= moved;
+        adjustments.push({ slot: from.slot, productId, quantity: -moved, reason: 'misplacement' });
+        adjustments.push({ slot: to.slot, productId, quantity: moved, reason: 'misplacement' });
+        discrepancies.push({
+          ...discrepancy('misplacement', productId, from.slot, from.expected, from.observed, moved, true,
+            `${moved} × ${productId} belonging in slot ${from.slot} found in slot ${to.slot}`),
+          toSlot: to.slot
+        });
+      }
+      if (from.remaining > 0) {
+        adjustments.push({ slot: from.slot, productId, quantity: -from.remaining, reason: 'shrinkage' });
+        discrepancies.push(discrepancy('shrinkage', productId, from.slot, from.expected, from.observed, from.remaining, true,
+          `${from.remaining} × ${productId} missing from slot ${from.slot} without an order (ledger ${from.expected}, counted ${from.observed})`));
+      }
+    }
+  }
+
+  // What is left over was never put in by the books; accept it up to what
+  // the container can hold
+  let headroom = Infinity;
+  if (options.capacity !== undefined) {
+    const corrected = [...book, ...adjustments].reduce((total, stock) => total + stock.quantity, 0);
+    headroom = Math.max(0, options.capacity - corrected);
+  }
+  for (const [productId, extra] of surpluses) {
+    for (const gap of extra.sort((a, b) => b.remaining - a.remaining)) {
+      if (gap.remaining === 0) {
+        continue;
+      }
+      const accepted = Math.min(gap.remaining, headroom);
+      headroom -= accepted;
+      if (accepted > 0) {
+        adjustments.push({ slot: gap.slot, productId, quantity: accepted, reason: 'surplus' });
+        discrepancies.push(discrepancy('surplus', productId, gap.slot, gap.expected, gap.observed, accepted, true,
+          `${accepted} × ${productId} in slot ${gap.slot} beyond the ledger (ledger ${gap.expected}, counted ${gap.observed}); restock not recorded`));
+      }
+      if (gap.remaining > accepted) {
+        discrepancies.push(discrepancy('vision_miscount', productId, gap.slot, gap.expected, gap.observed, gap.remaining - accepted, false,
+          `Counted ${gap.observed} × ${productId} in slot ${gap.slot}, more than the container holds`));
+      }
+    }
+  }
+
+  discrepancies.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity] || a.slot.localeCompare(b.slot));
+  return { discrepancies, adjustments };
+}
+
+/**
+ * Shrinkage is the costly case: 3 or more units, or half the slot, is high.
+ * Other discrepancies are low, or medium from 3 units.
+ */
+export function discrepancySeverity(type: StockDiscrepancyType, quantity: number, expected: number): StockDiscrepancySeverity {
+  if (type === 'shrinkage') {
+    if (quantity >= 3) {
+      return 'high';
+    }
+    return quantity >= 2 || (expected > 0 && quantity / expected >= 0.5) ? 'medium' : 'low';
+  }
+  return quantity >= 3 ? 'medium' : 'low';
+}
+
+/**
+ * StockLevel of a container from its ledger. Slots the ledger has gone
+ * negative in (sales recorded before the restock) count as empty.
+ */
+export function toStockLevel(container: Pick<Container, 'id' | 'capacity'>, entries: readonly StockLedgerEntry[]): StockLevel {
+  const items = new Map<string, StockItem>();
+  for (const entry of entries) {
+    const key = `${entry.slot}\u0000${entry.productId}`;
+    const item = items.get(key) ?? { productId: entry.productId, quantity: 0, location: entry.slot, lastUpdated: entry.occurredAt };
+    item.quantity += entry.quantity;
+    if (entry.occurredAt > item.lastUpdated) {
+      item.lastUpdated = entry.occurredAt;
+    }
+    items.set(key, item);
+  }
+
+  const itemBreakdown = [...items.values()]
+    .filter(item => item.quantity > 0)
+    .sort((a, b) => a.location.localeCompare(b.location) || a.productId.localeCompare(b.productId));
+  const currentStock = itemBreakdown.reduce((total, item) => total + item.quantity, 0);
+  return {
+    containerId: container.id,
+    totalCapacity: container.capacity,
+    currentStock,
+    availableSpace: Math.max(0, container.capacity - currentStock),
+    utilizationPercentage: container.capacity > 0 ? Math.round((currentStock / container.capacity) * 1000) / 10 : 0,
+    itemBreakdown
+  };
+}
+
+// ========================================
+// Helpers
+// ========================================
+
+function checkObservation(observation: SlotObservation, seen: Set<string>): void {
+  if (seen.has(observation.slot)) {
+    throw new StockReconciliationError('INVALID_OBSERVATION', `Slot ${observation.slot} is observed twice`);
+  }
+  seen.add(observation.slot);
+  if (!(observation.confidence >= 0 && observation.confidence <= 1)) {
+    throw new StockReconciliationError('INVALID_OBSERVATION', `Confidence of slot ${observation.slot} must be between 0 and 1`);
+  }
+  for (const [productId, count] of Object.entries(observation.counts)) {
+    if (!Number.isInteger(count) || count < 0) {
+      throw new StockReconciliationError('INVALID_OBSERVATION', `Count of ${productId} in slot ${observation.slot} must be a whole number of units`);
+    }
+  }
+}
+
+function discrepancy(
+  type: StockDiscrepancyType,
+  productId: string,
+  slot: string,
+  expected: number,
+  observed: number,
+  quantity: number,
+  corrected: boolean,
+  description: string
+): StockDiscrepancy {
+  return {
+    type,
+    severity: discrepancySeverity(type, quantity, expected),
+    productId,
+    slot,
+    expected,
+    observed,
+    quantity,
+    corrected,
+    description
+  };
+}
@@ -8,6 +8,10 @@
  * @author DeliCasa Development Team
  */
 
+import type { DomainEventType } from './types/domain-entities';
+import { DEFAULT_PAGINATION } from './types/pagination';
+import { generateEntityId } from './types/utilities';
+
 // ========================================
 // Base Repository Interfaces and Types
 // ========================================
@@ -26,6 +30,55 @@ export type {
   AuditTrail
 } from './types/base-repository';
 
+// ========================================
+// Filter Expressions
+// ========================================
+
+export {
+  FILTER_OPERATORS,
+  MAX_FILTER_DEPTH,
+  MAX_FILTER_NODES,
+  FilterScalarSchema,
+  FilterExpressionSchema,
+  ControllerFilterSchema,
+  DeviceFilterSchema,
+  ContainerFilterSchema,
+  OrderFilterSchema,
+  PaymentFilterSchema,
+  UserFilterSchema,
+  createFilterExpressionSchema,
+  isFilterExpression,
+  evaluateFilter,
+  compileFilter,
+  measureFilter
+} from './types/filter-expression';
+
+export type {
+  FilterScalar,
+  FilterCondition,
+  FilterExpression,
+  FilterOperator
+} from './types/filter-expression';
+
+// ========================================
+// Cursor Pagination
+// ========================================
+
+export {
+  CursorSchema,
+  SortOrderSchema,
+  FilterOptionsSchema,
+  PaginationMetaSchema,
+  createPaginatedResponseSchema,
+  InvalidCursorError,
+  cursorPositionOf,
+  encodeCursor,
+  decodeCursor,
+  createCursorCodec
+} from './types/pagination';
+
+export type { CursorValue, CursorPosition, CursorCodec } from './types/pagination';
+
 // ========================================
 // Domain Entities and Value Objects
 // ========================================
@@ -52,6 +105,21 @@ export type {
   OrderItem,
   Payment,
   PaymentMethod,
+  ClaimCode,
+  DeviceCredential,
+  ProvisioningTarget,
+  WebhookProvider,
+  WebhookEventStatus,
+  WebhookEventRecord,
+  DeadLetterWebhook,
+  TaxRule,
+  PaymentFeeRule,
+  DeliveryFeeRule,
+  PromotionRule,
+  PricingRules,
+  PricingRuleSet,
+  StockMovementType,
+  StockLedgerEntry,
   
   // Domain Events
   UserRegistered,
@@ -65,6 +133,8 @@ export type {
   OrderStatusChanged,
   PaymentProcessed,
   PaymentMethodAdded,
+  DomainEventMap,
+  DomainEventType,
   
   // Utility Types
   CreateEntity,
@@ -88,6 +158,83 @@ export {
   PaymentMethodType
 } from './types/domain-entities';
 
+// ========================================
+// Domain Runtime Schemas
+// ========================================
+
+export {
+  // Primitives and Enumerations
+  EntityIdSchema,
+  MacAddressSchema,
+  IpAddressSchema,
+  CurrencyCodeSchema,
+  UserRoleSchema,
+  DeviceTypeSchema,
+  ConnectionTypeSchema,
+  ControllerStatusSchema,
+  DeviceStatusSchema,
+  ContainerStatusSchema,
+  OrderStatusSchema,
+  PaymentStatusSchema,
+  PaymentMethodTypeSchema,
+
+  // Base Entities
+  BaseEntitySchema,
+  SoftDeletableEntitySchema,
+  AuditableEntitySchema,
+
+  // Value Objects
+  CoordinatesSchema,
+  AddressSchema,
+  NotificationPreferencesSchema,
+  UserPreferencesSchema,
+  OrderItemSchema,
+
+  // Entities
+  UserSchema,
+  UserProfileSchema,
+  ControllerSchema,
+  DeviceSchema,
+  ContainerSchema,
+  OrderSchema,
+  PaymentSchema,
+  PaymentMethodSchema,
+  ProvisioningTargetSchema,
+  ClaimCodeSchema,
+  DeviceCredentialSchema,
+  WebhookProviderSchema,
+  WebhookEventStatusSchema,
+  WebhookEventRecordSchema,
+  DeadLetterWebhookSchema,
+
+  // Pricing Rules
+  RoundingModeSchema,
+  TaxRuleSchema,
+  PaymentFeeRuleSchema,
+  DeliveryFeeRuleSchema,
+  PromotionRuleSchema,
+  PricingRulesSchema,
+  PricingRuleSetSchema,
+
+  // Inventory
+  StockMovementTypeSchema,
+  StockLedgerEntrySchema,
+
+  // Commands
+  RegisterUserCommandSchema,
+  RegisterControllerCommandSchema,
+  RegisterDeviceCommandSchema,
+  CreateContainerCommandSchema,
+  OrderItemInputSchema,
+  CreateOrderCommandSchema,
+  ProcessPaymentCommandSchema,
+  UpdateProfileCommandSchema,
+  ScheduleMaintenanceCommandSchema,
+  UpdateDeliveryCommandSchema,
+  SavePaymentMethodCommandSchema,
+  ClaimProvisioningCommandSchema
+} from './types/domain-schemas';
+
 // ========================================
 // Repository Port Interfaces
 // ========================================
@@ -104,6 +251,12 @@ export type {
   AnalyticsRepositoryPort,
   AuditLogRepositoryPort,
   SearchRepositoryPort,
+  ClaimCodeRepositoryPort,
+  DeviceCredentialRepositoryPort,
+  WebhookEventRepositoryPort,
+  DeadLetterWebhookRepositoryPort,
+  PricingRuleSetRepositoryPort,
+  StockLedgerRepositoryPort,
   
   // Supporting Types
   OrderStatistics,
@@ -137,12 +290,15 @@ export type {
   
   // External Service Integration Ports
   NotificationServicePort,
+  TokenVerifierPort,
   AuthenticationServicePort,
   PaymentGatewayServicePort,
+  PaymentWebhookProviderPort,
   ImageStorageServicePort,
   ComputerVisionServicePort,
   CacheServicePort,
   EventBusServicePort,
+  EventStorePort,
   LoggingServicePort,
   
   // Commands
@@ -153,6 +309,7 @@ export type {
   CreateOrderCommand,
   ProcessPaymentCommand,
   UpdateProfileCommand,
+  ClaimProvisioningCommand,
   
   // Results and Response Types
   AuthenticationResult,
@@ -161,6 +318,27 @@ export type {
   OrderCalculation,
   PaymentIntent,
   PaymentResult,
+  PixPaymentDetails,
+  RefundResult,
+  FeeCalculation,
+  PaymentReceipt,
+  ReceiptItem,
+  TaxBreakdown,
+  AuthToken,
+  TokenValidationResult,
+  TokenRejectionReason,
+  WebhookRequest,
+  PaymentWebhookEvent,
+  ImageMetadata,
+  ImageUploadResult,
+  ImageOperation,
+  ProcessedImageResult,
+  ImageInfo,
+  ImageComparisonResult,
+  ImageDifference,
+  StockLevel,
+  StockItem,
+  StockData,
   
   // Supporting Types
   TimeRange,
@@ -189,7 +367,36 @@ export type {
   ControllerListOutput,
   ControllerDetailOutput,
   UpdateControllerStatusInput,
-  UpdateControllerStatusOutput
+  UpdateControllerStatusOutput,
+  ControllerDetailInput,
+  EntityDetailInput,
+  MutationResult,
+  DeviceListInput,
+  DeviceOutput,
+  DeviceListOutput,
+  UpdateDeviceStatusInput,
+  ContainerListInput,
+  ContainerOutput,
+  ContainerListOutput,
+  CaptureControllerInput,
+  CaptureResult,
+  CaptureControllerOutput,
+  CaptureDeviceInput,
+  CaptureDeviceOutput,
+  OrderListInput,
+  OrderOutput,
+  OrderListOutput,
+  UpdateOrderStatusInput,
+  CancelOrderInput,
+  PaymentOutput,
+  PaymentListByOrderInput,
+  PaymentListOutput,
+  RefundPaymentInput,
+  PaymentStatusOutput,
+  AppRouterContext,
+  AppRouterHandlers,
+  ProcedureHandler,
+  NoInputProcedureHandler
 } from './ports/trpc-router';
 
 export {
@@ -200,21 +407,442 @@ export {
   ControllerListOutputSchema,
   ControllerDetailOutputSchema,
   UpdateControllerStatusInputSchema,
-  UpdateControllerStatusOutputSchema
+  UpdateControllerStatusOutputSchema,
+  ControllerDetailInputSchema,
+  EntityDetailInputSchema,
+  MutationResultSchema,
+  DeviceListInputSchema,
+  DeviceOutputSchema,
+  DeviceListOutputSchema,
+  UpdateDeviceStatusInputSchema,
+  ContainerListInputSchema,
+  ContainerOutputSchema,
+  ContainerListOutputSchema,
+  CaptureControllerInputSchema,
+  CaptureResultSchema,
+  CaptureControllerOutputSchema,
+  CaptureDeviceInputSchema,
+  CaptureDeviceOutputSchema,
+  OrderListInputSchema,
+  OrderOutputSchema,
+  OrderListOutputSchema,
+  UpdateOrderStatusInputSchema,
+  CancelOrderInputSchema,
+  PaymentOutputSchema,
+  PaymentListByOrderInputSchema,
+  PaymentListOutputSchema,
+  RefundPaymentInputSchema,
+  PaymentStatusOutputSchema,
+  createAppRouter,
+  notImplemented
 } from './ports/trpc-router';
 
+// ========================================
+// Order and Payment State Machine
+// ========================================
+
+export {
+  ORDER_TRANSITIONS,
+  PAYMENT_TRANSITIONS,
+  ORDER_PAYMENT_REQUIREMENTS,
+  PAYMENT_ORDER_RESTRICTIONS,
+  StateTransitionError,
+  IllegalTransitionError,
+  TransitionGuardError,
+  isOrderTransitionAllowed,
+  checkOrderTransition,
+  getAvailableOrderTransitions,
+  transitionOrder,
+  isPaymentTransitionAllowed,
+  checkPaymentTransition,
+  getAvailablePaymentTransitions,
+  transitionPayment
+} from './domain';
+
+export type {
+  StateMachineEntity,
+  TransitionEffect,
+  TransitionOptions,
+  OrderTransitionOptions,
+  PaymentTransitionOptions,
+  OrderTransition,
+  PaymentTransition
+} from './domain';
+
+// ========================================
+// Money and Order Totals
+// ========================================
+
+export {
+  Money,
+  MoneyError,
+  DEFAULT_CURRENCY,
+  MoneySchema,
+  MoneyJsonSchema,
+  MoneyCodec,
+  decimalMoneyCodec,
+  calculateOrderTotal,
+  toOrderCalculation
+} from './domain';
+
+export type {
+  RoundingMode,
+  MoneyJson,
+  MoneyErrorCode,
+  OrderTotalOptions,
+  PricedItem,
+  OrderTaxRate,
+  OrderTaxTotal,
+  OrderLineTotal,
+  OrderTotal
+} from './domain';
+
+// ========================================
+// Pricing
+// ========================================
+
+export { PricingEngine, PricingError } from './domain';
+
+export type {
+  PricingErrorCode,
+  PricingRulesInput,
+  MerchantInfo,
+  PricingContext,
+  AppliedPromotion,
+  PriceQuote,
+  PricingEngineOptions
+} from './domain';
+
+export { PricingService } from './services';
+
+export type { PricingServiceDependencies, PricingServiceOptions, PublishRuleSetRequest } from './services';
+
+// ========================================
+// Stock Reconciliation
+// ========================================
+
+export {
+  StockReconciliationError,
+  DEFAULT_MIN_OBSERVATION_CONFIDENCE,
+  bookStock,
+  reconcileStock,
+  discrepancySeverity,
+  toStockLevel
+} from './domain';
+
+export type {
+  StockReconciliationErrorCode,
+  StockDiscrepancyType,
+  StockDiscrepancySeverity,
+  SlotStock,
+  SlotObservation,
+  StockDiscrepancy,
+  StockAdjustment,
+  StockReconciliationOptions,
+  StockReconciliationOutcome
+} from './domain';
+
+export { StockReconciliationService } from './services';
+
+export type {
+  StockReconciliationDependencies,
+  StockReconciliationServiceOptions,
+  RestockRequest,
+  ReconcileRequest,
+  StockReconciliation
+} from './services';
+
+// ========================================
+// Device Liveness
+// ========================================
+
+export { LivenessTracker, DEFAULT_LIVENESS_POLICIES } from './services';
+
+export type {
+  LivenessPolicy,
+  LivenessTargetKind,
+  LivenessTrackerDependencies,
+  LivenessTrackerOptions,
+  LivenessSnapshot,
+  LivenessTransition
+} from './services';
+
+// ========================================
+// Device Provisioning
+// ========================================
+
+export { DeviceProvisioningService, ProvisioningError, normalizeClaimCode } from './services';
+
+export type {
+  ProvisioningErrorCode,
+  DeviceProvisioningDependencies,
+  DeviceProvisioningOptions,
+  IssueClaimCodeRequest,
+  IssuedClaimCode,
+  IssuedCredential,
+  ProvisioningResult,
+  DeviceAuthentication
+} from './services';
+
+// ========================================
+// Payment Webhooks
+// ========================================
+
+export { PaymentWebhookProcessor, PaymentWebhookError } from './services';
+
+export type {
+  PaymentWebhookErrorCode,
+  PaymentWebhookDependencies,
+  PaymentWebhookOptions,
+  WebhookEventOutcomeStatus,
+  WebhookEventOutcome,
+  WebhookDeliveryOutcome
+} from './services';
+
+export {
+  StripeWebhookProvider,
+  createStripeSignatureHeader,
+  STRIPE_SIGNATURE_HEADER,
+  PixWebhookProvider,
+  PIX_SIGNATURE_HEADER,
+  PIX_CLIENT_VERIFY_HEADER,
+  WebhookSignatureError,
+  hmacSha256Hex,
+  signaturesEqual,
+  headerValue
+} from './adapters/webhooks';
+
+export type {
+  StripeWebhookProviderOptions,
+  PixWebhookAuthentication,
+  PixWebhookProviderOptions
+} from './adapters/webhooks';
+
+// ========================================
+// Payment Settlement
+// ========================================
+
+export { PaymentSettlementService, PaymentSettlementError, refundableAmount } from './services';
+
+export type {
+  PaymentSettlementErrorCode,
+  PaymentSettlementDependencies,
+  PaymentSettlementOptions,
+  AuthorizeRequest,
+  SettlementStepOptions,
+  SettlementResult,
+  AuthorizationResult,
+  RefundSettlementResult
+} from './services';
+
+// ========================================
+// In-Memory Reference Adapters
+// ========================================
+
+export {
+  InMemoryRepository,
+  EntityNotFoundError,
+  DuplicateEntityError,
+  InMemoryUserRepositoryAdapter,
+  InMemoryUserProfileRepositoryAdapter,
+  InMemoryControllerRepositoryAdapter,
+  InMemoryDeviceRepositoryAdapter,
+  InMemoryContainerRepositoryAdapter,
+  InMemoryOrderRepositoryAdapter,
+  InMemoryPaymentRepositoryAdapter,
+  InMemoryPaymentMethodRepositoryAdapter,
+  InMemoryAnalyticsRepositoryAdapter,
+  InMemoryAuditLogRepositoryAdapter,
+  InMemorySearchRepositoryAdapter,
+  InMemoryClaimCodeRepositoryAdapter,
+  InMemoryDeviceCredentialRepositoryAdapter,
+  InMemoryWebhookEventRepositoryAdapter,
+  InMemoryDeadLetterWebhookRepositoryAdapter,
+  InMemoryPricingRuleSetRepositoryAdapter,
+  InMemoryStockLedgerRepositoryAdapter,
+  InMemoryEventStore,
+  EventVersionConflictError,
+  createInMemoryRepositories
+} from './adapters/in-memory';
+
+export type {
+  InMemoryRepositoryOptions,
+  InMemoryAdapterOptions,
+  InMemoryAnalyticsOptions,
+  InMemorySearchSources,
+  InMemoryRepositoriesOptions,
+  InMemoryRepositories,
+  IotRelations
+} from './adapters/in-memory';
+
+// ========================================
+// Domain Event Bus
+// ========================================
+
+export { DomainEventBus, EventHandlerError, ALL_EVENTS } from './adapters/event-bus';
+export type { DomainEventBusOptions } from './adapters/event-bus';
+
+// ========================================
+// Token Verification
+// ========================================
+
+export {
+  JoseTokenVerifier,
+  TokenVerificationError,
+  bridgeProxyIssuer,
+  cognitoIssuer,
+  BRIDGE_PROXY_ISSUER,
+  BRIDGE_SERVER_AUDIENCE
+} from './adapters/auth';
+
+export type {
+  TokenKeySource,
+  RoleMapping,
+  TrustedIssuer,
+  JoseTokenVerifierOptions,
+  BridgeProxyIssuerOptions,
+  CognitoIssuerOptions
+} from './adapters/auth';
+
+// ========================================
+// PIX Payments
+// ========================================
+
+export {
+  createStaticPixPayload,
+  createDynamicPixPayload,
+  parsePixPayload,
+  crc16,
+  PixPayloadError
+} from './adapters/pix';
+export type {
+  StaticPixPayloadOptions,
+  DynamicPixPayloadOptions,
+  ParsedPixPayload
+} from './adapters/pix';
+
+export {
+  PixPaymentGateway,
+  PixGatewayError,
+  paymentResultOf,
+  chargePaymentStatus,
+  chargeExpiresAt,
+  generateTxid
+} from './adapters/pix';
+export type { PixGatewayErrorCode, PixGatewayOptions, PixIntentMetadata } from './adapters/pix';
+
+export { parsePixWebhook } from './adapters/pix';
+export type { PixWebhookNotification } from './adapters/pix';
+
+export {
+  PixAmountSchema,
+  PixTxidSchema,
+  PixEndToEndIdSchema,
+  PixRefundIdSchema,
+  PixChargeStatusSchema,
+  PixRefundStatusSchema,
+  PixChargeRequestSchema,
+  PixChargeSchema,
+  PixRefundRequestSchema,
+  PixRefundSchema,
+  PixReceivedSchema,
+  PixWebhookPayloadSchema,
+  PixAccessTokenSchema,
+  PixProblemSchema
+} from './adapters/pix';
+export type {
+  PixChargeStatus,
+  PixRefundStatus,
+  PixChargeRequest,
+  PixCharge,
+  PixRefundRequest,
+  PixRefund,
+  PixReceived,
+  PixWebhookPayload,
+  PixProblem
+} from './adapters/pix';
+
+// ========================================
+// Image Storage
+// ========================================
+
+export {
+  ContentAddressedImageStorage,
+  FilesystemImageObjectStore,
+  S3ImageObjectStore,
+  ImageStorageError,
+  MAX_PRESIGN_SECONDS,
+  IMAGE_SIZE_LIMITS,
+  MAX_DERIVATIVE_SOURCE_PIXELS,
+  DerivativeOperationSchema,
+  decodeImage,
+  detectImageFormat,
+  parseImageOperations,
+  stripImageMetadata,
+  signImageUrl,
+  verifySignedImageUrl
+} from './adapters/images';
+export type {
+  ContentAddressedImageStorageDependencies,
+  ContentAddressedImageStorageOptions,
+  ImageCaptureMetadata,
+  StoredImage,
+  ImageObjectStore,
+  ImageStorageErrorCode,
+  ImageFileSystem,
+  FilesystemImageObjectStoreOptions,
+  S3ImageObjectStoreOptions,
+  ImageFormat,
+  ImageUrlSigningOptions,
+  DerivativeOperation,
+  Raster
+} from './adapters/images';
+
+// ========================================
+// Shelf Vision
+// ========================================
+
+export {
+  ShelfVisionService,
+  VisionError,
+  StaticShelfLayoutSource,
+  ShelfLayoutSchema,
+  diffShelfFrames,
+  ProductDetector,
+  OnnxInferenceBackend,
+  StubInferenceBackend,
+  SkuLabelMapSchema,
+  parseSkuLabelMap,
+  loadSkuLabelMap
+} from './adapters/vision';
+export type {
+  VisionErrorCode,
+  VisionImageSource,
+  ShelfVisionServiceDependencies,
+  ShelfVisionServiceOptions,
+  ShelfComparison,
+  ShelfDiff,
+  ShelfDiffOptions,
+  ShelfChange,
+  SlotOverlap,
+  SlotChangeSummary,
+  ShelfLayout,
+  ShelfLayoutSource,
+  ProductDetectorOptions,
+  Detection,
+  InferenceBackend,
+  SkuLabel,
+  SkuLabelMap,
+  OnnxInferenceBackendOptions,
+  OnnxRuntime,
+  StubInferenceBackendOptions
+} from './adapters/vision';
+
 // ========================================
 // Constants and Configuration
 // ========================================
 
-/**
- * Default pagination settings
- */
-export const DEFAULT_PAGINATION = {
-  limit: 20,
-  offset: 0,
-  maxLimit: 100
-} as const;
+export { DEFAULT_PAGINATION } from './types/pagination';
 
 /**
  * Default filter options
@@ -259,7 +887,7 @@ export const DOMAIN_EVENT_TYPES = {
   // Payment Events
   PAYMENT_PROCESSED: 'PaymentProcessed',
   PAYMENT_METHOD_ADDED: 'PaymentMethodAdded'
-} as const;
+} as const satisfies Record<string, DomainEventType>;
 
 /**
  * Table ownership mapping for shared database strategy
@@ -318,25 +946,13 @@ export const DATABASE_SCHEMAS = {
 // Utility Functions
 // ========================================
 
-/**
- * Generate a new entity ID
- */
-export function generateEntityId(): string {
-  // Simple UUID v4 generator for Node.js/browser compatibility
-  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
-    return crypto.randomUUID();
-  }
-  
-  // Fallback implementation
-  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-    const r = Math.random() * 16 | 0;
-    const v = c === 'x' ? r : (r & 0x3 | 0x8);
-    return v.toString(16);
-  });
-}
+export { generateEntityId, success, failure, isSuccess, isFailure } from './types/utilities';
 
 /**
  * Create a domain event
+ *
+ * DomainEventBus assigns the aggregate's next version on publish by default;
+ * pass `version` explicitly when the bus runs with `versioning: 'expect'`.
  */
 export function createDomainEvent<T extends Record<string, any>>(
   type: string,
@@ -344,14 +960,15 @@ export function createDomainEvent<T extends Record<string, any>>(
   aggregateType: string,
   payload: T,
   userId?: string,
-  metadata?: Record<string, any>
+  metadata?: Record<string, any>,
+  version: number = 1
 ) {
   return {
     id: generateEntityId(),
     type,
     aggregateId,
     aggregateType,
-    version: 1,
+    version,
     timestamp: new Date(),
     userId,
     metadata,
@@ -379,34 +996,6 @@ export function getTableOwner(tableName: string): keyof typeof TABLE_OWNERSHIP |
   return null;
 }
 
-/**
- * Create a successful result
- */
-export function success<T>(data: T) {
-  return { success: true as const, data };
-}
-
-/**
- * Create an error result
- */
-export function failure<E>(error: E) {
-  return { success: false as const, error };
-}
-
-/**
- * Type guard for successful results
- */
-export function isSuccess<T, E>(result: { success: boolean; data?: T; error?: E }): result is { success: true; data: T } {
-  return result.success;
-}
-
-/**
- * Type guard for error results
- */
-export function isFailure<T, E>(result: { success: boolean; data?: T; error?: E }): result is { success: false; error: E } {
-  return !result.success;
-}
-
 // ========================================
 // Version and Metadata
 // ========================================
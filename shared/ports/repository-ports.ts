@@ -31,7 +31,15 @@ import type {
   OrderStatus,
   PaymentStatus,
   DeviceType,
-  Coordinates
+  Coordinates,
+  ClaimCode,
+  DeviceCredential,
+  ProvisioningTarget,
+  WebhookProvider,
+  WebhookEventRecord,
+  DeadLetterWebhook,
+  PricingRuleSet,
+  StockLedgerEntry
 } from '../types/domain-entities';
 
 // ========================================
@@ -124,6 +132,24 @@ export interface ContainerRepositoryPort extends
   findNearLocation(location: string, radiusKm?: number): Promise<Container[]>;
 }
 
+export interface ClaimCodeRepositoryPort extends BaseRepository<ClaimCode> {
+  findByCodeHash(codeHash: string): Promise<ClaimCode | null>;
+
+  /**
+   * Mark the code used unless it already is, in one atomic step; resolves
+   * false when another claim got there first
+   */
+  markUsed(id: string, usedAt: Date, claimedBy: string): Promise<boolean>;
+  findExpired(before: Date): Promise<ClaimCode[]>;
+}
+
+export interface DeviceCredentialRepositoryPort extends BaseRepository<DeviceCredential> {
+  findByTokenHash(tokenHash: string): Promise<DeviceCredential | null>;
+  findActiveBySubject(subjectType: ProvisioningTarget, subjectId: string, at: Date): Promise<DeviceCredential[]>;
+  findDueForRotation(at: Date): Promise<DeviceCredential[]>;
+  revoke(id: string, revokedAt: Date, reason: string): Promise<void>;
+}
+
 // ========================================
 // Business Logic Ports (Primarily Next-Client)
 // ========================================
@@ -155,6 +181,7 @@ export interface PaymentRepositoryPort extends
   findByOrderId(orderId: string): Promise<Payment[]>;
   findByStatus(status: PaymentStatus, filters?: FilterOptions): Promise<Payment[]>;
   findByStripePaymentIntentId(stripeId: string): Promise<Payment | null>;
+  findByPixTxid(txid: string): Promise<Payment | null>;
   updateStatus(id: string, status: PaymentStatus): Promise<void>;
   findByDateRange(startDate: Date, endDate: Date): Promise<Payment[]>;
   calculateTotalAmount(filters?: FilterOptions): Promise<number>;
@@ -175,6 +202,58 @@ export interface PaymentMethodRepositoryPort extends
   findActiveForUser(userId: string): Promise<PaymentMethod[]>;
 }
 
+export interface WebhookEventRepositoryPort extends BaseRepository<WebhookEventRecord> {
+  /**
+   * Store the record unless one with the same provider and eventId exists.
+   * Must be atomic (e.g. a unique index), since providers deliver
+   * concurrently; created is false when the existing record is returned.
+   */
+  reserve(record: WebhookEventRecord): Promise<{ record: WebhookEventRecord; created: boolean }>;
+  findByProviderEventId(provider: WebhookProvider, eventId: string): Promise<WebhookEventRecord | null>;
+
+  /**
+   * Latest processed event applied to the payment, by occurredAt
+   */
+  findLatestProcessedForPayment(paymentId: string): Promise<WebhookEventRecord | null>;
+}
+
+export interface DeadLetterWebhookRepositoryPort extends BaseRepository<DeadLetterWebhook> {
+  findUnresolved(provider?: WebhookProvider): Promise<DeadLetterWebhook[]>;
+  markResolved(id: string, resolvedAt: Date, resolution: string): Promise<void>;
+}
+
+// ========================================
+// Pricing Ports
+// ========================================
+
+export interface PricingRuleSetRepositoryPort extends BaseRepository<PricingRuleSet> {
+  /**
+   * The rule set in force at a moment: the latest effectiveFrom not after it
+   */
+  findEffective(at: Date): Promise<PricingRuleSet | null>;
+
+  /**
+   * Rule sets published to take effect after a moment, soonest first
+   */
+  findScheduled(after: Date): Promise<PricingRuleSet[]>;
+}
+
+// ========================================
+// Inventory Ports
+// ========================================
+
+export interface StockLedgerRepositoryPort extends BaseRepository<StockLedgerEntry> {
+  /**
+   * Entries of a container, optionally of one slot, oldest first
+   */
+  findByContainer(containerId: string, slot?: string): Promise<StockLedgerEntry[]>;
+
+  /**
+   * Entries written for an order, restock or reconciliation
+   */
+  findByReference(reference: string): Promise<StockLedgerEntry[]>;
+}
+
 // ========================================
 // Analytics and Monitoring Ports
 // ========================================
@@ -20,11 +20,29 @@ import type {
   OrderStatus,
   PaymentStatus,
   Coordinates,
+  UserRole,
+  WebhookProvider,
   Result
 } from '../types/domain-entities';
 
 import type { FilterOptions } from '../types/base-repository';
 
+import type { z } from 'zod';
+import type {
+  RegisterUserCommandSchema,
+  RegisterControllerCommandSchema,
+  RegisterDeviceCommandSchema,
+  ClaimProvisioningCommandSchema,
+  CreateContainerCommandSchema,
+  CreateOrderCommandSchema,
+  ProcessPaymentCommandSchema,
+  UpdateProfileCommandSchema,
+  ScheduleMaintenanceCommandSchema,
+  UpdateDeliveryCommandSchema,
+  SavePaymentMethodCommandSchema,
+  OrderItemInputSchema
+} from '../types/domain-schemas';
+
 // ========================================
 // Application Service Ports
 // ========================================
@@ -82,6 +100,11 @@ export interface OrderManagementServicePort {
   processPayment(orderId: string, paymentData: ProcessPaymentCommand): Promise<Result<Payment>>;
   getOrderById(orderId: string): Promise<Result<Order>>;
   getUserOrders(userId: string, filters?: FilterOptions): Promise<Result<Order[]>>;
+
+  /**
+   * Compute with calculateOrderTotal() from the domain rules, which does the
+   * arithmetic in Money, and return toOrderCalculation() of its result
+   */
   calculateOrderTotal(items: OrderItem[], userId?: string): Promise<Result<OrderCalculation>>;
   estimateDeliveryTime(orderId: string): Promise<Result<Date>>;
   updateDeliveryStatus(orderId: string, deliveryData: UpdateDeliveryCommand): Promise<Result<void>>;
@@ -148,10 +171,19 @@ export interface NotificationServicePort {
   getNotificationHistory(userId: string, filters?: FilterOptions): Promise<Result<NotificationHistory[]>>;
 }
 
-export interface AuthenticationServicePort {
+/**
+ * Token validation on its own, for services that only accept tokens issued
+ * elsewhere (bridge proxy, Cognito). A rejected token is a success with
+ * isValid false; failure means the token could not be checked (e.g. the
+ * JWKS endpoint is unreachable).
+ */
+export interface TokenVerifierPort {
+  validateToken(token: string, type: TokenType): Promise<Result<TokenValidationResult>>;
+}
+
+export interface AuthenticationServicePort extends TokenVerifierPort {
   authenticate(credentials: AuthenticationCredentials): Promise<Result<AuthenticationResult>>;
   generateToken(user: User, type: TokenType): Promise<Result<AuthToken>>;
-  validateToken(token: string, type: TokenType): Promise<Result<TokenValidationResult>>;
   refreshToken(refreshToken: string): Promise<Result<AuthToken>>;
   revokeToken(token: string): Promise<Result<void>>;
   generatePasswordResetToken(email: string): Promise<Result<string>>;
@@ -163,13 +195,34 @@ export interface PaymentGatewayServicePort {
   createPaymentIntent(amount: number, currency: string, metadata?: Record<string, any>): Promise<Result<PaymentIntent>>;
   confirmPayment(paymentIntentId: string, paymentMethodId: string): Promise<Result<PaymentResult>>;
   capturePayment(paymentIntentId: string, amount?: number): Promise<Result<PaymentResult>>;
-  refundPayment(paymentIntentId: string, amount?: number, reason?: string): Promise<Result<RefundResult>>;
+
+  /**
+   * Void an intent that has not been captured (releases an authorization)
+   */
+  cancelPaymentIntent(paymentIntentId: string): Promise<Result<PaymentResult>>;
+
+  /**
+   * `refundId` is the caller's idempotency key: refunding again under the
+   * same id returns the refund already made instead of making another
+   */
+  refundPayment(paymentIntentId: string, amount?: number, reason?: string, refundId?: string): Promise<Result<RefundResult>>;
   savePaymentMethod(userId: string, paymentMethodData: any): Promise<Result<string>>;
   retrievePaymentMethod(paymentMethodId: string): Promise<Result<any>>;
   deletePaymentMethod(paymentMethodId: string): Promise<Result<void>>;
   listPaymentMethods(userId: string): Promise<Result<any[]>>;
 }
 
+/**
+ * Authenticates and decodes the webhooks of one payment provider. verify()
+ * runs on the raw body before parse(); a failure means the delivery cannot
+ * be shown to come from the provider and must not be processed.
+ */
+export interface PaymentWebhookProviderPort {
+  readonly provider: WebhookProvider;
+  verify(request: WebhookRequest): Promise<Result<void>>;
+  parse(body: string): Result<PaymentWebhookEvent[]>;
+}
+
 export interface ImageStorageServicePort {
   uploadImage(file: File, metadata?: ImageMetadata): Promise<Result<ImageUploadResult>>;
   getImageUrl(imageId: string, size?: ImageSize): Promise<Result<string>>;
@@ -211,6 +264,12 @@ export interface EventBusServicePort {
   replay(aggregateId: string, fromVersion?: number): Promise<void>;
 }
 
+export interface EventStorePort {
+  append(event: DomainEvent): Promise<void>;
+  getEvents(aggregateId: string, fromVersion?: number): Promise<DomainEvent[]>;
+  getLatestVersion(aggregateId: string): Promise<number>;
+}
+
 export interface LoggingServicePort {
   debug(message: string, context?: LogContext): void;
   info(message: string, context?: LogContext): void;
@@ -226,62 +285,23 @@ export interface LoggingServicePort {
 // Command and Query Types
 // ========================================
 
-export interface RegisterUserCommand {
-  email: string;
-  password: string;
-  name: string;
-  role?: string;
-  phoneNumber?: string;
-}
+// Commands are inferred from the zod schemas in types/domain-schemas.ts
 
-export interface RegisterControllerCommand {
-  name: string;
-  macAddress: string;
-  location?: string;
-  coordinates?: Coordinates;
-  deviceType: string;
-  capabilities: string[];
-}
+export type RegisterUserCommand = z.infer<typeof RegisterUserCommandSchema>;
 
-export interface RegisterDeviceCommand {
-  macAddress: string;
-  ipAddress: string;
-  deviceType: string;
-  firmwareVersion: string;
-  controllerId?: string;
-}
+export type RegisterControllerCommand = z.infer<typeof RegisterControllerCommandSchema>;
 
-export interface CreateContainerCommand {
-  name: string;
-  controllerId: string;
-  deviceType: string;
-  capacity: number;
-  position?: string;
-  description?: string;
-}
+export type RegisterDeviceCommand = z.infer<typeof RegisterDeviceCommandSchema>;
 
-export interface CreateOrderCommand {
-  userId: string;
-  items: OrderItem[];
-  deliveryAddress?: string;
-  paymentMethodId?: string;
-  containerId?: string;
-}
+export type ClaimProvisioningCommand = z.infer<typeof ClaimProvisioningCommandSchema>;
 
-export interface ProcessPaymentCommand {
-  amount: number;
-  currency: string;
-  paymentMethodId: string;
-  orderId?: string;
-  description?: string;
-}
+export type CreateContainerCommand = z.infer<typeof CreateContainerCommandSchema>;
 
-export interface UpdateProfileCommand {
-  name?: string;
-  phoneNumber?: string;
-  preferences?: Record<string, any>;
-  address?: string;
-}
+export type CreateOrderCommand = z.infer<typeof CreateOrderCommandSchema>;
+
+export type ProcessPaymentCommand = z.infer<typeof ProcessPaymentCommandSchema>;
+
+export type UpdateProfileCommand = z.infer<typeof UpdateProfileCommandSchema>;
 
 // ========================================
 // Result Types
@@ -321,6 +341,23 @@ export interface PaymentIntent {
   currency: string;
   status: string;
   clientSecret: string;
+  expiresAt?: Date;
+  pix?: PixPaymentDetails;
+}
+
+/**
+ * What the payer needs to pay a PIX payment intent
+ */
+export interface PixPaymentDetails {
+  txid: string;
+
+  /**
+   * "Copia e cola" payload, also rendered as the QR code
+   */
+  brCode: string;
+
+  locationUrl: string;
+  pixKey: string;
 }
 
 export interface PaymentResult {
@@ -328,6 +365,42 @@ export interface PaymentResult {
   status: PaymentStatus;
   amount: number;
   transactionId?: string;
+  paidAt?: Date;
+}
+
+export interface WebhookRequest {
+  /**
+   * Body exactly as received; signatures cover the raw bytes
+   */
+  body: string;
+  headers: Record<string, string | string[] | undefined>;
+}
+
+/**
+ * Provider-neutral payment event decoded from a webhook
+ */
+export interface PaymentWebhookEvent {
+  provider: WebhookProvider;
+
+  /**
+   * Unique per provider; redeliveries carry the same id
+   */
+  eventId: string;
+  eventType: string;
+  occurredAt: Date;
+
+  /**
+   * Provider reference of the payment (one is set for actionable events)
+   */
+  stripePaymentIntentId?: string;
+  pixTxid?: string;
+
+  /**
+   * Status the payment moves to; absent for events that change nothing
+   */
+  status?: PaymentStatus;
+  amount?: number;
+  reason?: string;
 }
 
 // ========================================
@@ -359,11 +432,7 @@ export interface ControllerConfiguration {
   endpoints: Record<string, string>;
 }
 
-export interface OrderItem {
-  productId: string;
-  quantity: number;
-  price: number;
-}
+export type OrderItem = z.infer<typeof OrderItemInputSchema>;
 
 export type TokenType = 'access' | 'refresh' | 'reset' | 'verification';
 
@@ -423,27 +492,11 @@ export interface ContainerUtilization {
   period: TimeRange;
 }
 
-export interface ScheduleMaintenanceCommand {
-  scheduledDate: Date;
-  maintenanceType: string;
-  description: string;
-  estimatedDuration: number; // minutes
-  assignedTechnician?: string;
-}
+export type ScheduleMaintenanceCommand = z.infer<typeof ScheduleMaintenanceCommandSchema>;
 
-export interface UpdateDeliveryCommand {
-  estimatedDeliveryTime?: Date;
-  actualDeliveryTime?: Date;
-  deliveryNotes?: string;
-  trackingNumber?: string;
-}
+export type UpdateDeliveryCommand = z.infer<typeof UpdateDeliveryCommandSchema>;
 
-export interface SavePaymentMethodCommand {
-  type: string;
-  stripePaymentMethodId: string;
-  isDefault?: boolean;
-  billingAddress?: string;
-}
+export type SavePaymentMethodCommand = z.infer<typeof SavePaymentMethodCommandSchema>;
 
 export interface PlacementRecommendation {
   deviceId: string;
@@ -679,7 +732,42 @@ export interface TokenValidationResult {
   expiresAt?: Date;
   scope?: string[];
   errors?: string[];
-}
+
+  /**
+   * Why the token was rejected (first failed check)
+   */
+  reason?: TokenRejectionReason;
+
+  /**
+   * Role mapped from the token's claims
+   */
+  role?: UserRole;
+
+  /**
+   * Name of the trusted issuer that accepted the token
+   */
+  issuer?: string;
+
+  email?: string;
+
+  /**
+   * Verified claims, for issuer-specific fields
+   */
+  claims?: Record<string, unknown>;
+}
+
+export type TokenRejectionReason =
+  | 'MALFORMED'
+  | 'UNKNOWN_ISSUER'
+  | 'UNSUPPORTED_TOKEN_TYPE'
+  | 'ALGORITHM_NOT_ALLOWED'
+  | 'NO_MATCHING_KEY'
+  | 'INVALID_SIGNATURE'
+  | 'EXPIRED'
+  | 'NOT_YET_VALID'
+  | 'AUDIENCE_MISMATCH'
+  | 'INVALID_CLAIMS'
+  | 'ROLE_UNMAPPED';
 
 export interface RefundResult {
   refundId: string;
@@ -697,6 +785,12 @@ export interface ImageMetadata {
   height: number;
   capturedAt?: Date;
   deviceId?: string;
+
+  /**
+   * Camera that took the picture and the controller it is attached to
+   */
+  cameraId?: string;
+  controllerId?: string;
   location?: Coordinates;
   tags?: string[];
 }
@@ -6,6 +6,30 @@
  */
 
 import { z } from "zod";
+import { initTRPC, TRPCError } from "@trpc/server";
+import superjson from "superjson";
+
+import {
+  DeviceSchema,
+  ContainerSchema,
+  OrderSchema,
+  PaymentSchema,
+  EntityIdSchema,
+  DeviceStatusSchema,
+  DeviceTypeSchema,
+  ContainerStatusSchema,
+  OrderStatusSchema,
+  PaymentStatusSchema,
+  CreateOrderCommandSchema,
+  ProcessPaymentCommandSchema,
+} from "../types/domain-schemas";
+import { CursorSchema } from "../types/pagination";
+import {
+  ControllerFilterSchema,
+  DeviceFilterSchema,
+  ContainerFilterSchema,
+  OrderFilterSchema,
+} from "../types/filter-expression";
 
 // ========================================
 // Health Router Types
@@ -42,12 +66,18 @@ export const DetailedHealthOutputSchema = z.object({
 // Controller Router Types  
 // ========================================
 
-export const ControllerListInputSchema = z.object({
+export const ControllerListInputSchema = withSinglePosition(z.object({
   limit: z.number().min(1).max(100).default(20).optional(),
   offset: z.number().min(0).default(0).optional(),
+  after: CursorSchema.optional(),
+  before: CursorSchema.optional(),
   status: z.enum(["online", "offline", "maintenance", "error", "configuring"]).optional(),
-});
+  filter: ControllerFilterSchema.optional(),
+}));
 
+/**
+ * Controllers are returned without their authentication token
+ */
 export const ControllerOutputSchema = z.object({
   id: z.string(),
   name: z.string(),
@@ -62,7 +92,6 @@ export const ControllerOutputSchema = z.object({
   connectionType: z.string(),
   capabilities: z.array(z.string()),
   osInfo: z.string().nullable(),
-  token: z.string().nullable(),
   lastSeen: z.string(),
   location: z.string().nullable(),
   coordinates: z.object({
@@ -77,6 +106,8 @@ export const ControllerListOutputSchema = z.object({
   controllers: z.array(ControllerOutputSchema),
   total: z.number(),
   hasMore: z.boolean(),
+  nextCursor: CursorSchema.optional(),
+  prevCursor: CursorSchema.optional(),
 });
 
 export const ControllerDetailOutputSchema = ControllerOutputSchema.extend({
@@ -97,6 +128,199 @@ export const UpdateControllerStatusOutputSchema = z.object({
   message: z.string(),
 });
 
+export const ControllerDetailInputSchema = z.object({
+  id: z.string(),
+});
+
+// ========================================
+// Shared Procedure Shapes
+// ========================================
+
+/**
+ * Lookup of a single entity by ID
+ */
+export const EntityDetailInputSchema = z.object({
+  id: EntityIdSchema,
+});
+
+/**
+ * Acknowledgement returned by status-changing mutations
+ */
+export const MutationResultSchema = UpdateControllerStatusOutputSchema;
+
+/**
+ * Offset or cursor paging for list procedures (use either offset or a cursor)
+ */
+const ListPaginationSchema = z.object({
+  limit: z.number().min(1).max(100).default(20).optional(),
+  offset: z.number().min(0).default(0).optional(),
+  after: CursorSchema.optional(),
+  before: CursorSchema.optional(),
+});
+
+/**
+ * Refine a list input so it pages from one position only: after or before,
+ * or an offset. Applied to the final schema, since refined objects cannot be
+ * extended.
+ */
+function withSinglePosition<T extends z.ZodType<{ offset?: number | undefined; after?: string | undefined; before?: string | undefined }>>(schema: T) {
+  return schema.refine(input => !(input.after && input.before), {
+    message: "Use either after or before, not both",
+    path: ["before"],
+  }).refine(input => !(input.offset && (input.after || input.before)), {
+    message: "offset cannot be combined with a cursor",
+    path: ["offset"],
+  });
+}
+
+const ListCursorsSchema = z.object({
+  nextCursor: CursorSchema.optional(),
+  prevCursor: CursorSchema.optional(),
+});
+
+// ========================================
+// Device Router Types
+// ========================================
+
+export const DeviceListInputSchema = withSinglePosition(ListPaginationSchema.extend({
+  status: DeviceStatusSchema.optional(),
+  deviceType: DeviceTypeSchema.optional(),
+  containerId: EntityIdSchema.optional(),
+  filter: DeviceFilterSchema.optional(),
+}));
+
+/**
+ * Devices are returned without their authentication token
+ */
+export const DeviceOutputSchema = DeviceSchema.omit({ token: true });
+
+export const DeviceListOutputSchema = ListCursorsSchema.extend({
+  devices: z.array(DeviceOutputSchema),
+  total: z.number(),
+  hasMore: z.boolean(),
+});
+
+export const UpdateDeviceStatusInputSchema = z.object({
+  id: EntityIdSchema,
+  status: DeviceStatusSchema,
+});
+
+// ========================================
+// Container Router Types
+// ========================================
+
+export const ContainerListInputSchema = withSinglePosition(ListPaginationSchema.extend({
+  controllerId: EntityIdSchema.optional(),
+  status: ContainerStatusSchema.optional(),
+  filter: ContainerFilterSchema.optional(),
+}));
+
+export const ContainerOutputSchema = ContainerSchema;
+
+export const ContainerListOutputSchema = ListCursorsSchema.extend({
+  containers: z.array(ContainerOutputSchema),
+  total: z.number(),
+  hasMore: z.boolean(),
+});
+
+// ========================================
+// Capture Router Types
+// ========================================
+
+/**
+ * Bulk capture from every camera attached to a controller
+ * (REST equivalent: POST /controllers/:id/capture)
+ */
+export const CaptureControllerInputSchema = z.object({
+  controllerId: EntityIdSchema,
+  quality: z.number().int().min(0).max(63).optional(),
+  format: z.enum(["jpeg", "png"]).optional(),
+  metadata: z.record(z.string(), z.any()).optional(),
+});
+
+export const CaptureResultSchema = z.object({
+  cameraId: z.string(),
+  success: z.boolean(),
+  imageId: z.string().optional(),
+  imageUrl: z.string().optional(),
+  error: z.string().optional(),
+});
+
+export const CaptureControllerOutputSchema = z.object({
+  success: z.boolean(),
+  captured: z.number(),
+  results: z.array(CaptureResultSchema),
+});
+
+/**
+ * Single-camera capture (REST equivalent: POST /devices/:id/capture)
+ */
+export const CaptureDeviceInputSchema = z.object({
+  deviceId: EntityIdSchema,
+  metadata: z.record(z.string(), z.any()).optional(),
+});
+
+export const CaptureDeviceOutputSchema = z.object({
+  success: z.boolean(),
+  imageId: z.string().optional(),
+  imageUrl: z.string().optional(),
+  capturedAt: z.string().optional(),
+  error: z.string().optional(),
+});
+
+// ========================================
+// Order Router Types
+// ========================================
+
+export const OrderListInputSchema = withSinglePosition(ListPaginationSchema.extend({
+  userId: EntityIdSchema.optional(),
+  status: OrderStatusSchema.optional(),
+  filter: OrderFilterSchema.optional(),
+}));
+
+export const OrderOutputSchema = OrderSchema;
+
+export const OrderListOutputSchema = ListCursorsSchema.extend({
+  orders: z.array(OrderOutputSchema),
+  total: z.number(),
+  hasMore: z.boolean(),
+});
+
+export const UpdateOrderStatusInputSchema = z.object({
+  id: EntityIdSchema,
+  status: OrderStatusSchema,
+});
+
+export const CancelOrderInputSchema = z.object({
+  id: EntityIdSchema,
+  reason: z.string().optional(),
+});
+
+// ========================================
+// Payment Router Types
+// ========================================
+
+export const PaymentOutputSchema = PaymentSchema;
+
+export const PaymentListByOrderInputSchema = z.object({
+  orderId: EntityIdSchema,
+});
+
+export const PaymentListOutputSchema = z.object({
+  payments: z.array(PaymentOutputSchema),
+});
+
+export const RefundPaymentInputSchema = z.object({
+  paymentId: EntityIdSchema,
+  amount: z.number().positive().optional(),
+  reason: z.string().optional(),
+});
+
+export const PaymentStatusOutputSchema = z.object({
+  id: EntityIdSchema,
+  status: PaymentStatusSchema,
+});
+
 // ========================================
 // Type Inference
 // ========================================
@@ -109,13 +333,235 @@ export type ControllerListOutput = z.infer<typeof ControllerListOutputSchema>;
 export type ControllerDetailOutput = z.infer<typeof ControllerDetailOutputSchema>;
 export type UpdateControllerStatusInput = z.infer<typeof UpdateControllerStatusInputSchema>;
 export type UpdateControllerStatusOutput = z.infer<typeof UpdateControllerStatusOutputSchema>;
+export type ControllerDetailInput = z.infer<typeof ControllerDetailInputSchema>;
+export type EntityDetailInput = z.infer<typeof EntityDetailInputSchema>;
+export type MutationResult = z.infer<typeof MutationResultSchema>;
+export type DeviceListInput = z.infer<typeof DeviceListInputSchema>;
+export type DeviceOutput = z.infer<typeof DeviceOutputSchema>;
+export type DeviceListOutput = z.infer<typeof DeviceListOutputSchema>;
+export type UpdateDeviceStatusInput = z.infer<typeof UpdateDeviceStatusInputSchema>;
+export type ContainerListInput = z.infer<typeof ContainerListInputSchema>;
+export type ContainerOutput = z.infer<typeof ContainerOutputSchema>;
+export type ContainerListOutput = z.infer<typeof ContainerListOutputSchema>;
+export type CaptureControllerInput = z.infer<typeof CaptureControllerInputSchema>;
+export type CaptureResult = z.infer<typeof CaptureResultSchema>;
+export type CaptureControllerOutput = z.infer<typeof CaptureControllerOutputSchema>;
+export type CaptureDeviceInput = z.infer<typeof CaptureDeviceInputSchema>;
+export type CaptureDeviceOutput = z.infer<typeof CaptureDeviceOutputSchema>;
+export type OrderListInput = z.infer<typeof OrderListInputSchema>;
+export type OrderOutput = z.infer<typeof OrderOutputSchema>;
+export type OrderListOutput = z.infer<typeof OrderListOutputSchema>;
+export type UpdateOrderStatusInput = z.infer<typeof UpdateOrderStatusInputSchema>;
+export type CancelOrderInput = z.infer<typeof CancelOrderInputSchema>;
+export type PaymentOutput = z.infer<typeof PaymentOutputSchema>;
+export type PaymentListByOrderInput = z.infer<typeof PaymentListByOrderInputSchema>;
+export type PaymentListOutput = z.infer<typeof PaymentListOutputSchema>;
+export type RefundPaymentInput = z.infer<typeof RefundPaymentInputSchema>;
+export type PaymentStatusOutput = z.infer<typeof PaymentStatusOutputSchema>;
 
 // ========================================
-// AppRouter Type Declaration
+// AppRouter Contract
 // ========================================
 
 /**
- * AppRouter type declaration that matches BridgeServer implementation
- * This will be augmented with proper tRPC types in the client setup
+ * Request context available to procedure handlers. BridgeServer fills it
+ * from the verified bearer token; it is empty for public procedures.
+ */
+export interface AppRouterContext {
+  userId?: string | undefined;
+  role?: string | undefined;
+  requestId?: string | undefined;
+}
+
+/**
+ * Handler for one procedure: receives the parsed input and returns data
+ * matching the procedure's output schema
+ */
+export type ProcedureHandler<TInput extends z.ZodType, TOutput extends z.ZodType> = (
+  input: z.output<TInput>,
+  ctx: AppRouterContext
+) => Promise<z.input<TOutput>>;
+
+/**
+ * Handler for a procedure without input
+ */
+export type NoInputProcedureHandler<TOutput extends z.ZodType> = (
+  ctx: AppRouterContext
+) => Promise<z.input<TOutput>>;
+
+/**
+ * Implementation BridgeServer supplies to createAppRouter()
+ */
+export interface AppRouterHandlers {
+  health: {
+    check: NoInputProcedureHandler<typeof HealthCheckOutputSchema>;
+    detailed: NoInputProcedureHandler<typeof DetailedHealthOutputSchema>;
+  };
+  controller: {
+    list: ProcedureHandler<typeof ControllerListInputSchema, typeof ControllerListOutputSchema>;
+    detail: ProcedureHandler<typeof ControllerDetailInputSchema, typeof ControllerDetailOutputSchema>;
+    updateStatus: ProcedureHandler<typeof UpdateControllerStatusInputSchema, typeof UpdateControllerStatusOutputSchema>;
+  };
+  device: {
+    list: ProcedureHandler<typeof DeviceListInputSchema, typeof DeviceListOutputSchema>;
+    detail: ProcedureHandler<typeof EntityDetailInputSchema, typeof DeviceOutputSchema>;
+    updateStatus: ProcedureHandler<typeof UpdateDeviceStatusInputSchema, typeof MutationResultSchema>;
+  };
+  container: {
+    list: ProcedureHandler<typeof ContainerListInputSchema, typeof ContainerListOutputSchema>;
+    detail: ProcedureHandler<typeof EntityDetailInputSchema, typeof ContainerOutputSchema>;
+  };
+  capture: {
+    controller: ProcedureHandler<typeof CaptureControllerInputSchema, typeof CaptureControllerOutputSchema>;
+    device: ProcedureHandler<typeof CaptureDeviceInputSchema, typeof CaptureDeviceOutputSchema>;
+  };
+  order: {
+    list: ProcedureHandler<typeof OrderListInputSchema, typeof OrderListOutputSchema>;
+    detail: ProcedureHandler<typeof EntityDetailInputSchema, typeof OrderOutputSchema>;
+    create: ProcedureHandler<typeof CreateOrderCommandSchema, typeof OrderOutputSchema>;
+    updateStatus: ProcedureHandler<typeof UpdateOrderStatusInputSchema, typeof MutationResultSchema>;
+    cancel: ProcedureHandler<typeof CancelOrderInputSchema, typeof MutationResultSchema>;
+  };
+  payment: {
+    detail: ProcedureHandler<typeof EntityDetailInputSchema, typeof PaymentOutputSchema>;
+    listByOrder: ProcedureHandler<typeof PaymentListByOrderInputSchema, typeof PaymentListOutputSchema>;
+    process: ProcedureHandler<typeof ProcessPaymentCommandSchema, typeof PaymentOutputSchema>;
+    refund: ProcedureHandler<typeof RefundPaymentInputSchema, typeof PaymentOutputSchema>;
+    status: ProcedureHandler<typeof EntityDetailInputSchema, typeof PaymentStatusOutputSchema>;
+  };
+}
+
+const t = initTRPC.context<AppRouterContext>().create({ transformer: superjson });
+
+/**
+ * Build the tRPC router from an implementation of every procedure.
+ * Inputs and outputs are validated against the shared schemas.
+ */
+export function createAppRouter(handlers: AppRouterHandlers) {
+  return t.router({
+    health: t.router({
+      check: t.procedure
+        .output(HealthCheckOutputSchema)
+        .query(({ ctx }) => handlers.health.check(ctx)),
+      detailed: t.procedure
+        .output(DetailedHealthOutputSchema)
+        .query(({ ctx }) => handlers.health.detailed(ctx)),
+    }),
+
+    controller: t.router({
+      list: t.procedure
+        .input(ControllerListInputSchema)
+        .output(ControllerListOutputSchema)
+        .query(({ input, ctx }) => handlers.controller.list(input, ctx)),
+      detail: t.procedure
+        .input(ControllerDetailInputSchema)
+        .output(ControllerDetailOutputSchema)
+        .query(({ input, ctx }) => handlers.controller.detail(input, ctx)),
+      updateStatus: t.procedure
+        .input(UpdateControllerStatusInputSchema)
+        .output(UpdateControllerStatusOutputSchema)
+        .mutation(({ input, ctx }) => handlers.controller.updateStatus(input, ctx)),
+    }),
+
+    device: t.router({
+      list: t.procedure
+        .input(DeviceListInputSchema)
+        .output(DeviceListOutputSchema)
+        .query(({ input, ctx }) => handlers.device.list(input, ctx)),
+      detail: t.procedure
+        .input(EntityDetailInputSchema)
+        .output(DeviceOutputSchema)
+        .query(({ input, ctx }) => handlers.device.detail(input, ctx)),
+      updateStatus: t.procedure
+        .input(UpdateDeviceStatusInputSchema)
+        .output(MutationResultSchema)
+        .mutation(({ input, ctx }) => handlers.device.updateStatus(input, ctx)),
+    }),
+
+    container: t.router({
+      list: t.procedure
+        .input(ContainerListInputSchema)
+        .output(ContainerListOutputSchema)
+        .query(({ input, ctx }) => handlers.container.list(input, ctx)),
+      detail: t.procedure
+        .input(EntityDetailInputSchema)
+        .output(ContainerOutputSchema)
+        .query(({ input, ctx }) => handlers.container.detail(input, ctx)),
+    }),
+
+    capture: t.router({
+      controller: t.procedure
+        .input(CaptureControllerInputSchema)
+        .output(CaptureControllerOutputSchema)
+        .mutation(({ input, ctx }) => handlers.capture.controller(input, ctx)),
+      device: t.procedure
+        .input(CaptureDeviceInputSchema)
+        .output(CaptureDeviceOutputSchema)
+        .mutation(({ input, ctx }) => handlers.capture.device(input, ctx)),
+    }),
+
+    order: t.router({
+      list: t.procedure
+        .input(OrderListInputSchema)
+        .output(OrderListOutputSchema)
+        .query(({ input, ctx }) => handlers.order.list(input, ctx)),
+      detail: t.procedure
+        .input(EntityDetailInputSchema)
+        .output(OrderOutputSchema)
+        .query(({ input, ctx }) => handlers.order.detail(input, ctx)),
+      create: t.procedure
+        .input(CreateOrderCommandSchema)
+        .output(OrderOutputSchema)
+        .mutation(({ input, ctx }) => handlers.order.create(input, ctx)),
+      updateStatus: t.procedure
+        .input(UpdateOrderStatusInputSchema)
+        .output(MutationResultSchema)
+        .mutation(({ input, ctx }) => handlers.order.updateStatus(input, ctx)),
+      cancel: t.procedure
+        .input(CancelOrderInputSchema)
+        .output(MutationResultSchema)
+        .mutation(({ input, ctx }) => handlers.order.cancel(input, ctx)),
+    }),
+
+    payment: t.router({
+      detail: t.procedure
+        .input(EntityDetailInputSchema)
+        .output(PaymentOutputSchema)
+        .query(({ input, ctx }) => handlers.payment.detail(input, ctx)),
+      listByOrder: t.procedure
+        .input(PaymentListByOrderInputSchema)
+        .output(PaymentListOutputSchema)
+        .query(({ input, ctx }) => handlers.payment.listByOrder(input, ctx)),
+      process: t.procedure
+        .input(ProcessPaymentCommandSchema)
+        .output(PaymentOutputSchema)
+        .mutation(({ input, ctx }) => handlers.payment.process(input, ctx)),
+      refund: t.procedure
+        .input(RefundPaymentInputSchema)
+        .output(PaymentOutputSchema)
+        .mutation(({ input, ctx }) => handlers.payment.refund(input, ctx)),
+      status: t.procedure
+        .input(EntityDetailInputSchema)
+        .output(PaymentStatusOutputSchema)
+        .query(({ input, ctx }) => handlers.payment.status(input, ctx)),
+    }),
+  });
+}
+
+/**
+ * Full procedure contract implemented by BridgeServer. NextClient builds
+ * its typed client from this type without importing BridgeServer source:
+ *
+ *   createTRPCClient<AppRouter>({ links: [httpBatchLink({ url, transformer: superjson })] })
+ */
+export type AppRouter = ReturnType<typeof createAppRouter>;
+
+/**
+ * Handler that rejects with NOT_IMPLEMENTED, for partially implemented
+ * routers and tests
  */
-export type AppRouter = any;
\ No newline at end of file
+export function notImplemented(procedure: string): () => Promise<never> {
+  return async () => {
+    throw new TRPCError({ code: "NOT_IMPLEMENTED", message: `${procedure} is not implemented` });
+  };
+}
\ No newline at end of file
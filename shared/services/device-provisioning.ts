@@ -0,0 +1,636 @@
+/**
+ * Device Provisioning Service
+ *
+ * Claim-code enrollment for controllers (Raspberry Pi) and devices
+ * (ESP32-CAM). An operator issues a one-time claim code; on first boot the
+ * hardware redeems it with its hardware signature and MAC address and
+ * receives a bearer token bound to that signature. Tokens are rotated on a
+ * schedule (authenticate() reports when rotation is due, rotateToken()
+ * swaps the token with a short overlap) and can be revoked at any time.
+ *
+ * Claim codes and tokens are stored only as SHA-256 hashes. Successful
+ * enrollment publishes ControllerRegistered / DeviceRegistered.
+ */
+
+import type {
+  Controller,
+  Device,
+  ClaimCode,
+  DeviceCredential,
+  DeviceType,
+  ProvisioningTarget,
+  ControllerRegistered,
+  DeviceRegistered,
+  Result
+} from '../types/domain-entities';
+import { ConnectionType, ControllerStatus, DeviceStatus } from '../types/domain-entities';
+import type {
+  ControllerRepositoryPort,
+  DeviceRepositoryPort,
+  ContainerRepositoryPort,
+  ClaimCodeRepositoryPort,
+  DeviceCredentialRepositoryPort
+} from '../ports/repository-ports';
+import type {
+  EventBusServicePort,
+  ClaimProvisioningCommand,
+  ControllerRegistrationResult,
+  DeviceRegistrationResult
+} from '../ports/service-ports';
+import { ClaimProvisioningCommandSchema } from '../types/domain-schemas';
+import { generateEntityId, success, failure } from '../types/utilities';
+import { KeyedLock } from './keyed-lock';
+
+// ========================================
+// Types
+// ========================================
+
+export type ProvisioningErrorCode =
+  | 'INVALID_REQUEST'
+  | 'INVALID_CLAIM_CODE'
+  | 'CLAIM_CODE_EXPIRED'
+  | 'CLAIM_CODE_USED'
+  | 'HARDWARE_MISMATCH'
+  | 'INVALID_TOKEN'
+  | 'TOKEN_EXPIRED'
+  | 'TOKEN_REVOKED'
+  | 'TOKEN_REPLACED';
+
+export class ProvisioningError extends Error {
+  constructor(public readonly code: ProvisioningErrorCode, message: string) {
+    super(message);
+    this.name = 'ProvisioningError';
+  }
+}
+
+export interface DeviceProvisioningDependencies {
+  controllers: ControllerRepositoryPort;
+  devices: DeviceRepositoryPort;
+  claimCodes: ClaimCodeRepositoryPort;
+  credentials: DeviceCredentialRepositoryPort;
+  eventBus: Pick<EventBusServicePort, 'publish'>;
+
+  /**
+   * Resolves the controller of a device claimed into a container
+   */
+  containers?: Pick<ContainerRepositoryPort, 'findById'>;
+}
+
+export interface DeviceProvisioningOptions {
+  now?: () => Date;
+
+  /**
+   * Lifetime of an unused claim code (default 24 hours)
+   */
+  claimCodeTtlMs?: number;
+
+  /**
+   * Lifetime of a token (default 90 days)
+   */
+  tokenTtlMs?: number;
+
+  /**
+   * Age after which authenticate() reports rotationDue (default 30 days)
+   */
+  rotateAfterMs?: number;
+
+  /**
+   * How long a rotated-out token keeps working (default 1 hour)
+   */
+  rotationOverlapMs?: number;
+
+  /**
+   * Base for the configuration URL handed to enrolled hardware
+   */
+  configurationBaseUrl?: string;
+}
+
+export interface IssueClaimCodeRequest {
+  target: ProvisioningTarget;
+  deviceType: DeviceType;
+  controllerId?: string;
+  containerId?: string;
+  location?: string;
+  hardwareSignature?: string;
+  ttlMs?: number;
+  createdBy?: string;
+}
+
+export interface IssuedClaimCode {
+  /**
+   * Plain-text code (XXXX-XXXX-XXXX); it cannot be recovered later
+   */
+  code: string;
+  claimCode: ClaimCode;
+}
+
+export interface IssuedCredential {
+  credentialId: string;
+  token: string;
+  rotateAfter: Date;
+  expiresAt: Date;
+}
+
+export type ProvisioningResult =
+  | { target: 'controller'; registration: ControllerRegistrationResult; credential: IssuedCredential; reenrolled: boolean }
+  | { target: 'device'; registration: DeviceRegistrationResult; credential: IssuedCredential; reenrolled: boolean };
+
+export interface DeviceAuthentication {
+  subjectType: ProvisioningTarget;
+  subjectId: string;
+  credentialId: string;
+  expiresAt: Date;
+  rotationDue: boolean;
+}
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/**
+ * Unambiguous characters for codes typed in by installers (no 0/O, 1/I/L, U)
+ */
+const CLAIM_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTVWXYZ23456789';
+const CLAIM_CODE_LENGTH = 12;
+const TOKEN_PREFIX = 'dct_';
+
+// ========================================
+// Device Provisioning Service
+// ========================================
+
+export class DeviceProvisioningService {
+  private readonly now: () => Date;
+  private readonly claimCodeTtlMs: number;
+  private readonly tokenTtlMs: number;
+  private readonly rotateAfterMs: number;
+  private readonly rotationOverlapMs: number;
+  private readonly configurationBaseUrl: string;
+  private readonly rotationLocks = new KeyedLock();
+  private readonly claimLocks = new KeyedLock();
+
+  constructor(
+    private readonly deps: DeviceProvisioningDependencies,
+    options: DeviceProvisioningOptions = {}
+  ) {
+    this.now = options.now ?? (() => new Date());
+    this.claimCodeTtlMs = options.claimCodeTtlMs ?? DAY;
+    this.tokenTtlMs = options.tokenTtlMs ?? 90 * DAY;
+    this.rotateAfterMs = options.rotateAfterMs ?? 30 * DAY;
+    this.rotationOverlapMs = options.rotationOverlapMs ?? HOUR;
+    this.configurationBaseUrl = (options.configurationBaseUrl ?? '/config').replace(/\/+$/, '');
+  }
+
+  /**
+   * Create a one-time claim code for a controller or device
+   */
+  async issueClaimCode(request: IssueClaimCodeRequest): Promise<Result<IssuedClaimCode, ProvisioningError>> {
+    if (request.target === 'device' && !request.controllerId && !request.containerId) {
+      return failure(new ProvisioningError('INVALID_REQUEST', 'Device claim codes need a controllerId or containerId'));
+    }
+
+    const now = this.now();
+    const code = generateClaimCode();
+    const claimCode = await this.deps.claimCodes.save({
+      id: generateEntityId(),
+      codeHash: await sha256Hex(normalizeClaimCode(code)),
+      target: request.target,
+      deviceType: request.deviceType,
+      ...(request.controllerId !== undefined ? { controllerId: request.controllerId } : {}),
+      ...(request.containerId !== undefined ? { containerId: request.containerId } : {}),
+      ...(request.location !== undefined ? { location: request.location } : {}),
+      ...(request.hardwareSignature !== undefined ? { hardwareSignature: request.hardwareSignature } : {}),
+      ...(request.createdBy !== undefined ? { createdBy: request.createdBy } : {}),
+      expiresAt: new Date(now.getTime() + (request.ttlMs ?? this.claimCodeTtlMs)),
+      createdAt: now,
+      updatedAt: now
+    });
+
+    return success({ code, claimCode });
+  }
+
+  /**
+   * Redeem a claim code: create (or re-enroll) the controller/device, bind
+   * a token to its hardware signature and publish the registration event.
+   *
+   * The code is consumed before the entity is written, so a failed write
+   * requires a new code.
+   */
+  async claim(command: ClaimProvisioningCommand): Promise<Result<ProvisioningResult, ProvisioningError>> {
+    const parsed = ClaimProvisioningCommandSchema.safeParse(command);
+    if (!parsed.success) {
+      return failure(new ProvisioningError('INVALID_REQUEST', parsed.error.issues.map(issue => issue.message).join('; ')));
+    }
+
+    const codeHash = await sha256Hex(normalizeClaimCode(command.code));
+    return this.claimLocks.run(codeHash, async () => {
+      const now = this.now();
+      const claimCode = await this.deps.claimCodes.findByCodeHash(codeHash);
+      if (!claimCode) {
+        return failure(new ProvisioningError('INVALID_CLAIM_CODE', 'Unknown claim code'));
+      }
+      if (claimCode.usedAt) {
+        return failure(new ProvisioningError('CLAIM_CODE_USED', 'Claim code has already been used'));
+      }
+      if (claimCode.expiresAt <= now) {
+        return failure(new ProvisioningError('CLAIM_CODE_EXPIRED', 'Claim code has expired'));
+      }
+      if (claimCode.hardwareSignature && claimCode.hardwareSignature !== command.hardwareSignature) {
+        return failure(new ProvisioningError('HARDWARE_MISMATCH', 'Claim code is bound to different hardware'));
+      }
+
+      return claimCode.target === 'controller'
+        ? this.claimController(claimCode, command, now)
+        : this.claimDevice(claimCode, command, now);
+    });
+  }
+
+  /**
+   * Validate a bearer token presented together with the hardware signature
+   */
+  async authenticate(token: string, hardwareSignature: string): Promise<Result<DeviceAuthentication, ProvisioningError>> {
+    const found = await this.findCredential(token, hardwareSignature);
+    if (!found.success) {
+      return found;
+    }
+
+    const credential = found.data;
+    return success({
+      subjectType: credential.subjectType,
+      subjectId: credential.subjectId,
+      credentialId: credential.id,
+      expiresAt: credential.expiresAt,
+      rotationDue: credential.replacedBy === undefined && credential.rotateAfter <= this.now()
+    });
+  }
+
+  /**
+   * Exchange a valid token for a new one. The old token keeps working for
+   * the rotation overlap so in-flight requests do not fail, but only for
+   * authentication: a token is rotated once, so the chain never forks.
+   */
+  async rotateToken(token: string, hardwareSignature: string): Promise<Result<IssuedCredential, ProvisioningError>> {
+    return this.rotationLocks.run(await sha256Hex(token), async () => {
+      const found = await this.findCredential(token, hardwareSignature);
+      if (!found.success) {
+        return found;
+      }
+
+      const current = found.data;
+      if (current.replacedBy !== undefined) {
+        return failure(new ProvisioningError('TOKEN_REPLACED', `Token was already rotated; use its replacement ${current.replacedBy}`));
+      }
+      const now = this.now();
+      const issued = await this.issueCredential(current.subjectType, current.subjectId, hardwareSignature, now);
+      const overlapEnd = new Date(now.getTime() + this.rotationOverlapMs);
+
+      await this.deps.credentials.update(current.id, {
+        replacedBy: issued.credentialId,
+        expiresAt: overlapEnd < current.expiresAt ? overlapEnd : current.expiresAt
+      });
+      await this.storeTokenHash(current.subjectType, current.subjectId, issued.token);
+
+      return success(issued);
+    });
+  }
+
+  /**
+   * Revoke a single token
+   */
+  async revokeToken(token: string, reason: string): Promise<Result<void, ProvisioningError>> {
+    const credential = await this.deps.credentials.findByTokenHash(await sha256Hex(token));
+    if (!credential) {
+      return failure(new ProvisioningError('INVALID_TOKEN', 'Unknown token'));
+    }
+    if (!credential.revokedAt) {
+      await this.deps.credentials.revoke(credential.id, this.now(), reason);
+    }
+    return success(undefined);
+  }
+
+  /**
+   * Revoke every active token of a controller or device (e.g. stolen
+   * hardware). Returns the number of tokens revoked.
+   */
+  async revokeSubject(subjectType: ProvisioningTarget, subjectId: string, reason: string): Promise<Result<number>> {
+    const now = this.now();
+    const active = await this.deps.credentials.findActiveBySubject(subjectType, subjectId, now);
+    for (const credential of active) {
+      await this.deps.credentials.revoke(credential.id, now, reason);
+    }
+    return success(active.length);
+  }
+
+  /**
+   * Credentials whose holders should call rotateToken()
+   */
+  async findDueForRotation(): Promise<DeviceCredential[]> {
+    return this.deps.credentials.findDueForRotation(this.now());
+  }
+
+  /**
+   * Delete unused claim codes past their expiry. Returns the number removed.
+   */
+  async purgeExpiredClaimCodes(): Promise<number> {
+    const expired = await this.deps.claimCodes.findExpired(this.now());
+    for (const claimCode of expired) {
+      await this.deps.claimCodes.delete(claimCode.id);
+    }
+    return expired.length;
+  }
+
+  private async claimController(
+    claimCode: ClaimCode,
+    command: ClaimProvisioningCommand,
+    now: Date
+  ): Promise<Result<ProvisioningResult, ProvisioningError>> {
+    const existing = await this.deps.controllers.findByHardwareIdentifiers(
+      command.macAddress,
+      command.serialNumber,
+      command.hardwareSignature
+    );
+    const mismatch = await this.checkHardwareBinding('controller', existing?.id, existing?.hardwareSignature, command.hardwareSignature, now);
+    if (mismatch) {
+      return failure(mismatch);
+    }
+
+    const controllerId = existing?.id ?? generateEntityId();
+    const consumed = await this.consumeClaimCode(claimCode, controllerId, now);
+    if (consumed) {
+      return failure(consumed);
+    }
+    if (existing) {
+      await this.revokeActive('controller', existing.id, now);
+    }
+    const credential = await this.issueCredential('controller', controllerId, command.hardwareSignature, now);
+    const tokenHash = await sha256Hex(credential.token);
+
+    const fields = {
+      macAddress: command.macAddress,
+      hardwareSignature: command.hardwareSignature,
+      ...(command.serialNumber !== undefined ? { serialNumber: command.serialNumber } : {}),
+      ...(command.ipAddress !== undefined ? { ipAddress: command.ipAddress } : {}),
+      ...(claimCode.location !== undefined ? { location: claimCode.location } : {}),
+      token: tokenHash,
+      status: ControllerStatus.ONLINE,
+      lastSeen: now
+    };
+
+    const controller: Controller = existing
+      ? await this.deps.controllers.update(existing.id, fields)
+      : await this.deps.controllers.save({
+          id: controllerId,
+          name: command.name ?? `${claimCode.deviceType}-${macSuffix(command.macAddress)}`,
+          deviceType: claimCode.deviceType,
+          connectionType: command.connectionType ?? ConnectionType.WIFI,
+          capabilities: command.capabilities ?? [],
+          version: 1,
+          createdAt: now,
+          updatedAt: now,
+          ...fields
+        });
+
+    const event: ControllerRegistered = {
+      id: generateEntityId(),
+      type: 'ControllerRegistered',
+      aggregateId: controller.id,
+      aggregateType: 'Controller',
+      version: controller.version,
+      timestamp: now,
+      metadata: { claimCodeId: claimCode.id, reenrolled: existing !== null },
+      payload: {
+        controllerId: controller.id,
+        macAddress: command.macAddress,
+        ...(controller.location !== undefined ? { location: controller.location } : {})
+      }
+    };
+    await this.deps.eventBus.publish(event);
+
+    return success({
+      target: 'controller',
+      registration: {
+        controller,
+        token: credential.token,
+        configurationEndpoint: `${this.configurationBaseUrl}/controllers/${controller.id}`
+      },
+      credential,
+      reenrolled: existing !== null
+    });
+  }
+
+  private async claimDevice(
+    claimCode: ClaimCode,
+    command: ClaimProvisioningCommand,
+    now: Date
+  ): Promise<Result<ProvisioningResult, ProvisioningError>> {
+    if (!command.ipAddress || !command.firmwareVersion) {
+      return failure(new ProvisioningError('INVALID_REQUEST', 'Devices must report ipAddress and firmwareVersion'));
+    }
+
+    const existing = await this.deps.devices.findByMacAddress(command.macAddress);
+    const mismatch = await this.checkHardwareBinding('device', existing?.id, undefined, command.hardwareSignature, now);
+    if (mismatch) {
+      return failure(mismatch);
+    }
+
+    const deviceId = existing?.id ?? generateEntityId();
+    const consumed = await this.consumeClaimCode(claimCode, deviceId, now);
+    if (consumed) {
+      return failure(consumed);
+    }
+    if (existing) {
+      await this.revokeActive('device', existing.id, now);
+    }
+    const credential = await this.issueCredential('device', deviceId, command.hardwareSignature, now);
+
+    const fields = {
+      macAddress: command.macAddress,
+      ipAddress: command.ipAddress,
+      firmwareVersion: command.firmwareVersion,
+      token: await sha256Hex(credential.token),
+      status: DeviceStatus.ONLINE,
+      lastSeen: now,
+      ...(claimCode.containerId !== undefined ? { containerId: claimCode.containerId } : {}),
+      ...(command.name !== undefined ? { name: command.name } : {})
+    };
+
+    const device: Device = existing
+      ? await this.deps.devices.update(existing.id, fields)
+      : await this.deps.devices.save({
+          id: deviceId,
+          deviceType: claimCode.deviceType,
+          version: 1,
+          createdAt: now,
+          updatedAt: now,
+          ...fields
+        });
+
+    const controllerId = claimCode.controllerId ?? await this.controllerOfContainer(claimCode.containerId);
+    const event: DeviceRegistered = {
+      id: generateEntityId(),
+      type: 'DeviceRegistered',
+      aggregateId: device.id,
+      aggregateType: 'Device',
+      version: device.version,
+      timestamp: now,
+      metadata: { claimCodeId: claimCode.id, reenrolled: existing !== null },
+      payload: {
+        deviceId: device.id,
+        macAddress: device.macAddress,
+        deviceType: device.deviceType,
+        ...(controllerId !== undefined ? { controllerId } : {})
+      }
+    };
+    await this.deps.eventBus.publish(event);
+
+    return success({
+      target: 'device',
+      registration: {
+        device,
+        authToken: credential.token,
+        configurationUrl: `${this.configurationBaseUrl}/devices/${device.id}`
+      },
+      credential,
+      reenrolled: existing !== null
+    });
+  }
+
+  /**
+   * Re-enrolling known hardware must present the signature it was bound to
+   */
+  private async checkHardwareBinding(
+    subjectType: ProvisioningTarget,
+    subjectId: string | undefined,
+    storedSignature: string | undefined,
+    presentedSignature: string,
+    now: Date
+  ): Promise<ProvisioningError | null> {
+    if (subjectId === undefined) {
+      return null;
+    }
+
+    const active = await this.deps.credentials.findActiveBySubject(subjectType, subjectId, now);
+    const boundSignature = storedSignature ?? active[0]?.hardwareSignature;
+    if (boundSignature !== undefined && boundSignature !== presentedSignature) {
+      return new ProvisioningError('HARDWARE_MISMATCH', `Hardware signature does not match ${subjectType} ${subjectId}`);
+    }
+    return null;
+  }
+
+  /**
+   * Use up the claim code before anything is created, so a code raced by two
+   * claims enrolls only one of them
+   */
+  private async consumeClaimCode(claimCode: ClaimCode, claimedBy: string, now: Date): Promise<ProvisioningError | null> {
+    if (!(await this.deps.claimCodes.markUsed(claimCode.id, now, claimedBy))) {
+      return new ProvisioningError('CLAIM_CODE_USED', 'Claim code has already been used');
+    }
+    return null;
+  }
+
+  /**
+   * Revoke the tokens of a re-enrolled controller or device
+   */
+  private async revokeActive(subjectType: ProvisioningTarget, subjectId: string, now: Date): Promise<void> {
+    for (const credential of await this.deps.credentials.findActiveBySubject(subjectType, subjectId, now)) {
+      await this.deps.credentials.revoke(credential.id, now, 're-enrolled');
+    }
+  }
+
+  private async issueCredential(
+    subjectType: ProvisioningTarget,
+    subjectId: string,
+    hardwareSignature: string,
+    now: Date
+  ): Promise<IssuedCredential> {
+    const token = generateToken();
+    const credential = await this.deps.credentials.save({
+      id: generateEntityId(),
+      subjectType,
+      subjectId,
+      tokenHash: await sha256Hex(token),
+      hardwareSignature,
+      issuedAt: now,
+      rotateAfter: new Date(now.getTime() + this.rotateAfterMs),
+      expiresAt: new Date(now.getTime() + this.tokenTtlMs),
+      createdAt: now,
+      updatedAt: now
+    });
+
+    return {
+      credentialId: credential.id,
+      token,
+      rotateAfter: credential.rotateAfter,
+      expiresAt: credential.expiresAt
+    };
+  }
+
+  private async findCredential(token: string, hardwareSignature: string): Promise<Result<DeviceCredential, ProvisioningError>> {
+    const credential = await this.deps.credentials.findByTokenHash(await sha256Hex(token));
+    if (!credential) {
+      return failure(new ProvisioningError('INVALID_TOKEN', 'Unknown token'));
+    }
+    if (credential.revokedAt) {
+      return failure(new ProvisioningError('TOKEN_REVOKED', `Token was revoked: ${credential.revokedReason ?? 'no reason given'}`));
+    }
+    if (credential.expiresAt <= this.now()) {
+      return failure(new ProvisioningError('TOKEN_EXPIRED', 'Token has expired'));
+    }
+    if (credential.hardwareSignature !== hardwareSignature) {
+      return failure(new ProvisioningError('HARDWARE_MISMATCH', 'Token is bound to different hardware'));
+    }
+    return success(credential);
+  }
+
+  /**
+   * Keep the entity's token field pointing at the newest token hash
+   */
+  private async storeTokenHash(subjectType: ProvisioningTarget, subjectId: string, token: string): Promise<void> {
+    const tokenHash = await sha256Hex(token);
+    if (subjectType === 'controller') {
+      await this.deps.controllers.updateToken(subjectId, tokenHash);
+    } else {
+      await this.deps.devices.update(subjectId, { token: tokenHash });
+    }
+  }
+
+  private async controllerOfContainer(containerId: string | undefined): Promise<string | undefined> {
+    if (!containerId || !this.deps.containers) {
+      return undefined;
+    }
+    return (await this.deps.containers.findById(containerId))?.controllerId;
+  }
+}
+
+// ========================================
+// Helpers
+// ========================================
+
+/**
+ * Uppercase and strip separators so codes can be typed loosely
+ */
+export function normalizeClaimCode(code: string): string {
+  return code.toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+function generateClaimCode(): string {
+  const bytes = crypto.getRandomValues(new Uint8Array(CLAIM_CODE_LENGTH));
+  const chars = Array.from(bytes, byte => CLAIM_CODE_ALPHABET[byte % CLAIM_CODE_ALPHABET.length]).join('');
+  return chars.match(/.{4}/g)!.join('-');
+}
+
+function generateToken(): string {
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return TOKEN_PREFIX + btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+async function sha256Hex(value: string): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function macSuffix(macAddress: string): string {
+  return macAddress.replace(/[^0-9A-Fa-f]/g, '').slice(-4).toLowerCase();
+}
@@ -0,0 +1,61 @@
+/**
+ * Application Services
+ *
+ * Reference services built on the repository and service ports.
+ */
+
+export { LivenessTracker, DEFAULT_LIVENESS_POLICIES } from './liveness-tracker';
+export type {
+  LivenessPolicy,
+  LivenessTargetKind,
+  LivenessTrackerDependencies,
+  LivenessTrackerOptions,
+  LivenessSnapshot,
+  LivenessTransition
+} from './liveness-tracker';
+
+export { DeviceProvisioningService, ProvisioningError, normalizeClaimCode } from './device-provisioning';
+export type {
+  ProvisioningErrorCode,
+  DeviceProvisioningDependencies,
+  DeviceProvisioningOptions,
+  IssueClaimCodeRequest,
+  IssuedClaimCode,
+  IssuedCredential,
+  ProvisioningResult,
+  DeviceAuthentication
+} from './device-provisioning';
+
+export { PaymentWebhookProcessor, PaymentWebhookError } from './payment-webhooks';
+export type {
+  PaymentWebhookErrorCode,
+  PaymentWebhookDependencies,
+  PaymentWebhookOptions,
+  WebhookEventOutcomeStatus,
+  WebhookEventOutcome,
+  WebhookDeliveryOutcome
+} from './payment-webhooks';
+
+export { PaymentSettlementService, PaymentSettlementError, refundableAmount } from './payment-settlement';
+export type {
+  PaymentSettlementErrorCode,
+  PaymentSettlementDependencies,
+  PaymentSettlementOptions,
+  AuthorizeRequest,
+  SettlementStepOptions,
+  SettlementResult,
+  AuthorizationResult,
+  RefundSettlementResult
+} from './payment-settlement';
+
+export { PricingService } from './pricing';
+export type { PricingServiceDependencies, PricingServiceOptions, PublishRuleSetRequest } from './pricing';
+
+export { StockReconciliationService } from './stock-reconciliation';
+export type {
+  StockReconciliationDependencies,
+  StockReconciliationServiceOptions,
+  RestockRequest,
+  ReconcileRequest,
+  StockReconciliation
+} from './stock-reconciliation';
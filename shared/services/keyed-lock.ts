@@ -0,0 +1,25 @@
+/**
+ * Keyed Lock
+ *
+ * Runs async tasks that share a key one after another, e.g. every change
+ * to one payment. Only serializes within this process; storage-level
+ * checks still have to cover other instances.
+ */
+
+export class KeyedLock {
+  private readonly tails = new Map<string, Promise<void>>();
+
+  async run<T>(key: string, task: () => Promise<T>): Promise<T> {
+    const previous = this.tails.get(key) ?? Promise.resolve();
+    const result = previous.then(task);
+    const tail = result.then(() => undefined, () => undefined);
+    this.tails.set(key, tail);
+    try {
+      return await result;
+    } finally {
+      if (this.tails.get(key) === tail) {
+        this.tails.delete(key);
+      }
+    }
+  }
+}
@@ -0,0 +1,445 @@
+/**
+ * Liveness Tracker
+ *
+ * Decides when a controller or device is ONLINE or OFFLINE from its
+ * heartbeats. Each DeviceType has its own heartbeat interval and grace
+ * period; a target that misses both is marked OFFLINE by sweep(). Coming
+ * back requires a run of timely heartbeats, and targets that flap are held
+ * OFFLINE until their heartbeats have been steady for a hold-down period.
+ *
+ * ControllerStatusChanged / DeviceStatusChanged are published only when the
+ * stored status actually changes. Operator-managed states (MAINTENANCE,
+ * UPDATING, CONFIGURING) are never overridden.
+ *
+ * All timing goes through the injected `now` clock so the tracker can be
+ * driven deterministically in tests.
+ */
+
+import type {
+  Controller,
+  Device,
+  ControllerStatusChanged,
+  DeviceStatusChanged
+} from '../types/domain-entities';
+import { DeviceType, ControllerStatus, DeviceStatus } from '../types/domain-entities';
+import type { ControllerRepositoryPort, DeviceRepositoryPort, ContainerRepositoryPort } from '../ports/repository-ports';
+import type { EventBusServicePort } from '../ports/service-ports';
+import { DEFAULT_PAGINATION } from '../types/pagination';
+import { generateEntityId } from '../types/utilities';
+
+// ========================================
+// Policies
+// ========================================
+
+export interface LivenessPolicy {
+  /**
+   * Expected time between heartbeats
+   */
+  heartbeatIntervalMs: number;
+
+  /**
+   * Extra silence tolerated after a missed heartbeat before going OFFLINE
+   */
+  gracePeriodMs: number;
+
+  /**
+   * Consecutive timely heartbeats required to return to ONLINE
+   */
+  recoveryHeartbeats: number;
+
+  /**
+   * Window in which status transitions are counted for flap detection
+   */
+  flapWindowMs: number;
+
+  /**
+   * Transitions within the window that mark a target as flapping
+   */
+  flapThreshold: number;
+
+  /**
+   * While flapping, how long heartbeats must be steady before returning to ONLINE
+   */
+  flapHoldDownMs: number;
+}
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+/**
+ * Defaults per device type. ESP32 boards report often and drop off WiFi
+ * briefly, so they get a short interval with damping; sensors sleep between
+ * reports.
+ */
+export const DEFAULT_LIVENESS_POLICIES: Readonly<Record<DeviceType, LivenessPolicy>> = {
+  [DeviceType.ESP32]: {
+    heartbeatIntervalMs: 30 * SECOND, gracePeriodMs: 30 * SECOND, recoveryHeartbeats: 2,
+    flapWindowMs: 10 * MINUTE, flapThreshold: 4, flapHoldDownMs: 5 * MINUTE
+  },
+  [DeviceType.ESP_CAM]: {
+    heartbeatIntervalMs: 30 * SECOND, gracePeriodMs: 30 * SECOND, recoveryHeartbeats: 2,
+    flapWindowMs: 10 * MINUTE, flapThreshold: 4, flapHoldDownMs: 5 * MINUTE
+  },
+  [DeviceType.CAMERA]: {
+    heartbeatIntervalMs: 30 * SECOND, gracePeriodMs: 30 * SECOND, recoveryHeartbeats: 2,
+    flapWindowMs: 10 * MINUTE, flapThreshold: 4, flapHoldDownMs: 5 * MINUTE
+  },
+  [DeviceType.RASPBERRY_PI]: {
+    heartbeatIntervalMs: MINUTE, gracePeriodMs: MINUTE, recoveryHeartbeats: 1,
+    flapWindowMs: 15 * MINUTE, flapThreshold: 4, flapHoldDownMs: 5 * MINUTE
+  },
+  [DeviceType.CONTROLLER]: {
+    heartbeatIntervalMs: MINUTE, gracePeriodMs: MINUTE, recoveryHeartbeats: 1,
+    flapWindowMs: 15 * MINUTE, flapThreshold: 4, flapHoldDownMs: 5 * MINUTE
+  },
+  [DeviceType.SENSOR]: {
+    heartbeatIntervalMs: 5 * MINUTE, gracePeriodMs: 5 * MINUTE, recoveryHeartbeats: 1,
+    flapWindowMs: MINUTE * 60, flapThreshold: 4, flapHoldDownMs: 15 * MINUTE
+  }
+};
+
+// ========================================
+// Tracker Types
+// ========================================
+
+export type LivenessTargetKind = 'controller' | 'device';
+
+export interface LivenessTrackerDependencies {
+  controllers: ControllerRepositoryPort;
+  devices: DeviceRepositoryPort;
+  eventBus: Pick<EventBusServicePort, 'publish'>;
+
+  /**
+   * Used to fill controllerId on DeviceStatusChanged
+   */
+  containers?: Pick<ContainerRepositoryPort, 'findById'>;
+}
+
+export interface LivenessTrackerOptions {
+  now?: () => Date;
+  policies?: Partial<Record<DeviceType, Partial<LivenessPolicy>>>;
+}
+
+/**
+ * Liveness state kept per target between heartbeats
+ */
+export interface LivenessSnapshot {
+  kind: LivenessTargetKind;
+  id: string;
+  lastHeartbeat?: Date;
+  consecutiveHeartbeats: number;
+  streakStartedAt?: Date;
+  recentTransitions: Date[];
+  flapping: boolean;
+}
+
+/**
+ * A status change applied by the tracker
+ */
+export interface LivenessTransition {
+  kind: LivenessTargetKind;
+  id: string;
+  previousStatus: ControllerStatus | DeviceStatus;
+  newStatus: ControllerStatus | DeviceStatus;
+  reason: string;
+  at: Date;
+}
+
+interface TrackedState {
+  deviceType: DeviceType;
+  lastHeartbeat?: Date;
+  consecutiveHeartbeats: number;
+  streakStartedAt?: Date;
+  recentTransitions: Date[];
+}
+
+type Target =
+  | { kind: 'controller'; entity: Controller }
+  | { kind: 'device'; entity: Device };
+
+/**
+ * States the tracker moves out of on silence. Others are operator-managed.
+ */
+const EXPIRABLE_STATUSES = new Set<string>([
+  ControllerStatus.ONLINE,
+  ControllerStatus.ERROR,
+  DeviceStatus.ONLINE,
+  DeviceStatus.ERROR
+]);
+
+// ========================================
+// Liveness Tracker
+// ========================================
+
+export class LivenessTracker {
+  private readonly now: () => Date;
+  private readonly policies: Record<DeviceType, LivenessPolicy>;
+  private readonly states = new Map<string, TrackedState>();
+  private sweepTimer: ReturnType<typeof setInterval> | undefined;
+
+  constructor(
+    private readonly deps: LivenessTrackerDependencies,
+    options: LivenessTrackerOptions = {}
+  ) {
+    this.now = options.now ?? (() => new Date());
+    this.policies = { ...DEFAULT_LIVENESS_POLICIES };
+    for (const [deviceType, overrides] of Object.entries(options.policies ?? {})) {
+      const type = deviceType as DeviceType;
+      this.policies[type] = { ...DEFAULT_LIVENESS_POLICIES[type], ...overrides };
+    }
+  }
+
+  /**
+   * Effective policy for a device type
+   */
+  getPolicy(deviceType: DeviceType): LivenessPolicy {
+    return this.policies[deviceType];
+  }
+
+  /**
+   * Record a controller heartbeat and bring it back ONLINE if it has recovered
+   */
+  async recordControllerHeartbeat(controllerId: string, at: Date = this.now()): Promise<LivenessTransition | null> {
+    const controller = await this.deps.controllers.findById(controllerId);
+    if (!controller) {
+      return null;
+    }
+    await this.deps.controllers.updateLastSeen(controllerId, at);
+    return this.onHeartbeat({ kind: 'controller', entity: controller }, at);
+  }
+
+  /**
+   * Record a device heartbeat and bring it back ONLINE if it has recovered
+   */
+  async recordDeviceHeartbeat(deviceId: string, at: Date = this.now()): Promise<LivenessTransition | null> {
+    const device = await this.deps.devices.findById(deviceId);
+    if (!device) {
+      return null;
+    }
+    await this.deps.devices.updateLastSeen(deviceId, at);
+    return this.onHeartbeat({ kind: 'device', entity: device }, at);
+  }
+
+  /**
+   * Mark every ONLINE or ERROR target whose heartbeat has expired as OFFLINE
+   */
+  async sweep(): Promise<LivenessTransition[]> {
+    const now = this.now();
+    const targets: Target[] = [];
+
+    for (const status of [ControllerStatus.ONLINE, ControllerStatus.ERROR]) {
+      for (const entity of await this.collect(filters => this.deps.controllers.findByStatus(status, filters))) {
+        targets.push({ kind: 'controller', entity });
+      }
+    }
+    for (const status of [DeviceStatus.ONLINE, DeviceStatus.ERROR]) {
+      for (const entity of await this.collect(filters => this.deps.devices.findByStatus(status, filters))) {
+        targets.push({ kind: 'device', entity });
+      }
+    }
+
+    const transitions: LivenessTransition[] = [];
+    for (const target of targets) {
+      if (!this.isExpired(target, now)) {
+        continue;
+      }
+
+      const state = this.stateFor(target);
+      state.consecutiveHeartbeats = 0;
+      delete state.streakStartedAt;
+
+      const policy = this.getPolicy(target.entity.deviceType);
+      const silentFor = now.getTime() - this.lastHeartbeatOf(target).getTime();
+      transitions.push(await this.apply(target, 'offline', `no heartbeat for ${Math.round(silentFor / SECOND)}s (limit ${Math.round((policy.heartbeatIntervalMs + policy.gracePeriodMs) / SECOND)}s)`, now));
+    }
+
+    return transitions;
+  }
+
+  /**
+   * Run sweep() periodically until stop() is called
+   */
+  start(intervalMs: number, onError?: (error: unknown) => void): void {
+    this.stop();
+    this.sweepTimer = setInterval(() => {
+      this.sweep().catch(error => onError?.(error));
+    }, intervalMs);
+    // Node timers must not keep the process alive; browsers return a number
+    (this.sweepTimer as unknown as { unref?: () => void }).unref?.();
+  }
+
+  stop(): void {
+    if (this.sweepTimer !== undefined) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = undefined;
+    }
+  }
+
+  getSnapshot(kind: LivenessTargetKind, id: string): LivenessSnapshot | undefined {
+    const state = this.states.get(`${kind}:${id}`);
+    if (!state) {
+      return undefined;
+    }
+    this.pruneTransitions(state, this.now());
+
+    return {
+      kind,
+      id,
+      ...(state.lastHeartbeat ? { lastHeartbeat: state.lastHeartbeat } : {}),
+      consecutiveHeartbeats: state.consecutiveHeartbeats,
+      ...(state.streakStartedAt ? { streakStartedAt: state.streakStartedAt } : {}),
+      recentTransitions: [...state.recentTransitions],
+      flapping: state.recentTransitions.length >= this.getPolicy(state.deviceType).flapThreshold
+    };
+  }
+
+  /**
+   * Forget tracked state (e.g. after a target is deleted)
+   */
+  forget(kind: LivenessTargetKind, id: string): void {
+    this.states.delete(`${kind}:${id}`);
+  }
+
+  private async onHeartbeat(target: Target, at: Date): Promise<LivenessTransition | null> {
+    const policy = this.getPolicy(target.entity.deviceType);
+    const state = this.stateFor(target);
+    const previous = state.lastHeartbeat ?? target.entity.lastSeen;
+    const timely = at.getTime() - previous.getTime() <= policy.heartbeatIntervalMs + policy.gracePeriodMs;
+
+    if (timely && state.consecutiveHeartbeats > 0) {
+      state.consecutiveHeartbeats += 1;
+    } else {
+      state.consecutiveHeartbeats = 1;
+      state.streakStartedAt = at;
+    }
+    state.lastHeartbeat = at;
+
+    if (target.entity.status !== 'offline') {
+      return null;
+    }
+    if (state.consecutiveHeartbeats < policy.recoveryHeartbeats) {
+      return null;
+    }
+
+    this.pruneTransitions(state, at);
+    if (state.recentTransitions.length >= policy.flapThreshold) {
+      const steadyFor = at.getTime() - (state.streakStartedAt ?? at).getTime();
+      if (steadyFor < policy.flapHoldDownMs) {
+        return null;
+      }
+    }
+
+    return this.apply(target, 'online', `${state.consecutiveHeartbeats} consecutive heartbeat(s)`, at);
+  }
+
+  private async apply(
+    target: Target,
+    status: 'online' | 'offline',
+    reason: string,
+    at: Date
+  ): Promise<LivenessTransition> {
+    const state = this.stateFor(target);
+    state.recentTransitions.push(at);
+    this.pruneTransitions(state, at);
+
+    // The heartbeat that triggered this already bumped the entity's version,
+    // so the event takes the version the status update was saved with
+    const base = (saved: { version: number } | null) => ({
+      id: generateEntityId(),
+      version: saved?.version ?? target.entity.version + 1,
+      timestamp: at,
+      metadata: { source: 'liveness-tracker' }
+    });
+
+    if (target.kind === 'controller') {
+      const previousStatus = target.entity.status;
+      const newStatus = status === 'online' ? ControllerStatus.ONLINE : ControllerStatus.OFFLINE;
+      await this.deps.controllers.updateStatus(target.entity.id, newStatus, reason);
+
+      const event: ControllerStatusChanged = {
+        ...base(await this.deps.controllers.findById(target.entity.id)),
+        type: 'ControllerStatusChanged',
+        aggregateId: target.entity.id,
+        aggregateType: 'Controller',
+        payload: { controllerId: target.entity.id, previousStatus, newStatus, reason }
+      };
+      await this.deps.eventBus.publish(event);
+      return { kind: 'controller', id: target.entity.id, previousStatus, newStatus, reason, at };
+    }
+
+    const previousStatus = target.entity.status;
+    const newStatus = status === 'online' ? DeviceStatus.ONLINE : DeviceStatus.OFFLINE;
+    await this.deps.devices.updateStatus(target.entity.id, newStatus);
+
+    const controllerId = await this.controllerIdOf(target.entity);
+    const event: DeviceStatusChanged = {
+      ...base(await this.deps.devices.findById(target.entity.id)),
+      type: 'DeviceStatusChanged',
+      aggregateId: target.entity.id,
+      aggregateType: 'Device',
+      metadata: { source: 'liveness-tracker', reason },
+      payload: {
+        deviceId: target.entity.id,
+        ...(controllerId !== undefined ? { controllerId } : {}),
+        previousStatus,
+        newStatus,
+        ...(target.entity.batteryLevel !== undefined ? { batteryLevel: target.entity.batteryLevel } : {}),
+        ...(target.entity.temperature !== undefined ? { temperature: target.entity.temperature } : {})
+      }
+    };
+    await this.deps.eventBus.publish(event);
+    return { kind: 'device', id: target.entity.id, previousStatus, newStatus, reason, at };
+  }
+
+  private isExpired(target: Target, now: Date): boolean {
+    if (!EXPIRABLE_STATUSES.has(target.entity.status)) {
+      return false;
+    }
+    const policy = this.getPolicy(target.entity.deviceType);
+    return now.getTime() - this.lastHeartbeatOf(target).getTime() > policy.heartbeatIntervalMs + policy.gracePeriodMs;
+  }
+
+  private lastHeartbeatOf(target: Target): Date {
+    const tracked = this.states.get(`${target.kind}:${target.entity.id}`)?.lastHeartbeat;
+    return tracked && tracked > target.entity.lastSeen ? tracked : target.entity.lastSeen;
+  }
+
+  private stateFor(target: Target): TrackedState {
+    const key = `${target.kind}:${target.entity.id}`;
+    let state = this.states.get(key);
+    if (!state) {
+      state = { deviceType: target.entity.deviceType, consecutiveHeartbeats: 0, recentTransitions: [] };
+      this.states.set(key, state);
+    }
+    return state;
+  }
+
+  private pruneTransitions(state: TrackedState, now: Date): void {
+    const cutoff = now.getTime() - this.getPolicy(state.deviceType).flapWindowMs;
+    state.recentTransitions = state.recentTransitions.filter(at => at.getTime() > cutoff);
+  }
+
+  private async controllerIdOf(device: Device): Promise<string | undefined> {
+    if (!device.containerId || !this.deps.containers) {
+      return undefined;
+    }
+    const container = await this.deps.containers.findById(device.containerId);
+    return container?.controllerId;
+  }
+
+  /**
+   * Page through a status query so no target is skipped
+   */
+  private async collect<T>(query: (filters: { limit: number; offset: number }) => Promise<T[]>): Promise<T[]> {
+    const results: T[] = [];
+    const limit = DEFAULT_PAGINATION.maxLimit;
+
+    for (let offset = 0; ; offset += limit) {
+      const page = await query({ limit, offset });
+      results.push(...page);
+      if (page.length < limit) {
+        return results;
+      }
+    }
+  }
+}
@@ -0,0 +1,650 @@
+/**
+ * Payment Settlement
+ *
+ * The vending flow charges after the fact: a payment is authorized for the
+ * most the customer could take, captured for what the vision check says
+ * was taken, and partially refunded when a charge is disputed.
+ *
+ * - authorize(): create a manual-capture intent for the maximum
+ * - capture(): capture the computed amount (at most the authorization)
+ * - release(): void an authorization that will not be captured
+ * - refund(): return part or all of what was captured; refunds never
+ *   exceed the captured total, and the last one moves the payment to
+ *   REFUNDED
+ *
+ * Every step, including gateway failures, is written to the audit log
+ * against the payment, and status changes go through the order/payment
+ * state machine so the Order's paymentStatus follows.
+ *
+ * Gateways that settle immediately (PIX) cannot capture less than they
+ * charged; their payments are captured in full and the difference is
+ * refunded straight away.
+ */
+
+import type { Order, Payment, Result } from '../types/domain-entities';
+import { PaymentStatus } from '../types/domain-entities';
+import type { PaymentRepositoryPort, OrderRepositoryPort, AuditLogRepositoryPort } from '../ports/repository-ports';
+import type {
+  EventBusServicePort,
+  PaymentGatewayServicePort,
+  PaymentIntent,
+  RefundResult
+} from '../ports/service-ports';
+import type { TransitionEffect } from '../domain/order-state-machine';
+import { transitionPayment, StateTransitionError } from '../domain/order-state-machine';
+import { generateEntityId, success, failure } from '../types/utilities';
+import { KeyedLock } from './keyed-lock';
+
+// ========================================
+// Types
+// ========================================
+
+export type PaymentSettlementErrorCode =
+  | 'INVALID_REQUEST'
+  | 'ORDER_NOT_FOUND'
+  | 'PAYMENT_NOT_FOUND'
+  | 'ALREADY_AUTHORIZED'
+  | 'NOT_AUTHORIZED'
+  | 'ALREADY_CAPTURED'
+  | 'EXCEEDS_AUTHORIZATION'
+  | 'NOT_CAPTURED'
+  | 'EXCEEDS_CAPTURED'
+  | 'DECLINED'
+  | 'GATEWAY_ERROR'
+  | 'INVALID_TRANSITION';
+
+export class PaymentSettlementError extends Error {
+  constructor(public readonly code: PaymentSettlementErrorCode, message: string) {
+    super(message);
+    this.name = 'PaymentSettlementError';
+  }
+}
+
+export interface PaymentSettlementDependencies {
+  payments: Pick<PaymentRepositoryPort, 'findById' | 'findByOrderId' | 'save' | 'update'>;
+  orders: Pick<OrderRepositoryPort, 'findById' | 'update'>;
+  gateway: PaymentGatewayServicePort;
+  auditLog: Pick<AuditLogRepositoryPort, 'save'>;
+  eventBus: Pick<EventBusServicePort, 'publish'>;
+}
+
+export interface PaymentSettlementOptions {
+  now?: () => Date;
+
+  /**
+   * Payment field that stores the gateway's intent id (default
+   * 'stripePaymentIntentId'; 'pixTxid' for PixPaymentGateway)
+   */
+  referenceField?: 'stripePaymentIntentId' | 'pixTxid';
+}
+
+export interface AuthorizeRequest {
+  orderId: string;
+
+  /**
+   * Most that may be captured, e.g. the price of everything in the
+   * container
+   */
+  maxAmount: number;
+  currency: string;
+  paymentMethodId?: string;
+  description?: string;
+  userId?: string;
+}
+
+export interface SettlementStepOptions {
+  reason?: string;
+
+  /**
+   * Acting user; omitted for system steps
+   */
+  userId?: string;
+
+  /**
+   * What the amount was computed from (e.g. the vision analysis id); kept in
+   * the audit log
+   */
+  evidence?: Record<string, unknown>;
+}
+
+export interface SettlementResult {
+  payment: Payment;
+  order?: Order;
+
+  /**
+   * Follow-up actions from the state machine (confirm or cancel the order)
+   */
+  effects: TransitionEffect[];
+}
+
+export interface AuthorizationResult extends SettlementResult {
+  /**
+   * What the payer needs to approve the authorization (client secret, PIX
+   * BR Code)
+   */
+  intent: PaymentIntent;
+}
+
+export interface RefundSettlementResult extends SettlementResult {
+  refund: RefundResult;
+}
+
+type SettlementAuditAction =
+  | 'payment.authorized'
+  | 'payment.authorization_failed'
+  | 'payment.captured'
+  | 'payment.capture_adjusted'
+  | 'payment.capture_failed'
+  | 'payment.released'
+  | 'payment.release_failed'
+  | 'payment.refunded'
+  | 'payment.refund_failed';
+
+/**
+ * Statuses of a payment that still blocks a new authorization for its order
+ */
+const OPEN_PAYMENT_STATUSES: readonly PaymentStatus[] = [
+  PaymentStatus.PENDING,
+  PaymentStatus.PROCESSING,
+  PaymentStatus.SUCCEEDED
+];
+
+/**
+ * Payment metadata counting the refunds the gateway has answered; see
+ * refundAtGateway()
+ */
+const REFUND_SEQUENCE_KEY = 'refundSequence';
+
+// ========================================
+// Payment Settlement Service
+// ========================================
+
+export class PaymentSettlementService {
+  private readonly now: () => Date;
+  private readonly referenceField: 'stripePaymentIntentId' | 'pixTxid';
+  private readonly paymentLocks = new KeyedLock();
+
+  constructor(
+    private readonly deps: PaymentSettlementDependencies,
+    options: PaymentSettlementOptions = {}
+  ) {
+    this.now = options.now ?? (() => new Date());
+    this.referenceField = options.referenceField ?? 'stripePaymentIntentId';
+  }
+
+  /**
+   * Hold up to maxAmount for an order. The payment stays PROCESSING until it
+   * is captured, or is SUCCEEDED straight away when the gateway settles on
+   * payment (PIX), in which case capture() refunds what was not taken.
+   */
+  async authorize(request: AuthorizeRequest): Promise<Result<AuthorizationResult, PaymentSettlementError>> {
+    const { orderId, maxAmount, currency } = request;
+    if (!isPositiveAmount(maxAmount)) {
+      return failure(new PaymentSettlementError('INVALID_REQUEST', 'maxAmount must be positive with at most two decimals'));
+    }
+
+    return this.paymentLocks.run(`order:${orderId}`, async () => {
+      const order = await this.deps.orders.findById(orderId);
+      if (!order) {
+        return failure(new PaymentSettlementError('ORDER_NOT_FOUND', `Order not found: ${orderId}`));
+      }
+      const open = (await this.deps.payments.findByOrderId(orderId))
+        .find(payment => OPEN_PAYMENT_STATUSES.includes(payment.status));
+      if (open) {
+        return failure(new PaymentSettlementError('ALREADY_AUTHORIZED', `Order ${orderId} already has payment ${open.id} (${open.status})`));
+      }
+
+      const intent = await this.deps.gateway.createPaymentIntent(maxAmount, currency, {
+        orderId,
+        captureMethod: 'manual',
+        ...(request.description !== undefined ? { description: request.description } : {})
+      });
+      if (!intent.success) {
+        await this.audit('payment.authorization_failed', 'warning', order.id, `Authorization of ${formatAmount(maxAmount)} for order ${orderId} failed: ${intent.error.message}`, request, {
+          orderId,
+          amount: maxAmount
+        }, 'Order');
+        return failure(new PaymentSettlementError('GATEWAY_ERROR', intent.error.message));
+      }
+
+      const now = this.now();
+      const payment = await this.deps.payments.save({
+        id: generateEntityId(),
+        userId: order.userId,
+        orderId,
+        [this.referenceField]: intent.data.id,
+        amount: maxAmount,
+        authorizedAmount: maxAmount,
+        authorizedAt: now,
+        currency: currency.toUpperCase(),
+        status: PaymentStatus.PENDING,
+        ...(request.paymentMethodId !== undefined ? { paymentMethodId: request.paymentMethodId } : {}),
+        ...(request.description !== undefined ? { description: request.description } : {}),
+        createdAt: now,
+        updatedAt: now,
+        version: 1
+      });
+
+      let status = PaymentStatus.PROCESSING;
+      if (request.paymentMethodId !== undefined) {
+        const confirmed = await this.deps.gateway.confirmPayment(intent.data.id, request.paymentMethodId);
+        if (!confirmed.success || confirmed.data.status === PaymentStatus.FAILED) {
+          const message = confirmed.success ? 'payment method was declined' : confirmed.error.message;
+          await this.move(payment, order, PaymentStatus.FAILED, message, request.userId);
+          await this.audit('payment.authorization_failed', 'warning', payment.id, `Authorization of ${formatAmount(maxAmount)} declined: ${message}`, request, {
+            orderId,
+            reference: intent.data.id,
+            amount: maxAmount
+          });
+          return failure(new PaymentSettlementError('DECLINED', message));
+        }
+        if (confirmed.data.status === PaymentStatus.SUCCEEDED) {
+          status = PaymentStatus.SUCCEEDED;
+        }
+      }
+
+      const moved = await this.move(payment, order, status, 'authorized', request.userId);
+      if (!moved.success) {
+        return moved;
+      }
+      await this.audit('payment.authorized', 'info', payment.id, `Authorized ${formatAmount(maxAmount)} for order ${orderId}`, request, {
+        orderId,
+        reference: intent.data.id,
+        authorizedAmount: maxAmount,
+        status
+      });
+      return success({ ...moved.data, intent: intent.data });
+    });
+  }
+
+  /**
+   * Capture the amount actually owed (at most the authorization). Capturing
+   * is done once; disputes afterwards are settled with refund().
+   */
+  async capture(paymentId: string, amount: number, options: SettlementStepOptions = {}): Promise<Result<SettlementResult, PaymentSettlementError>> {
+    if (!isPositiveAmount(amount)) {
+      return failure(new PaymentSettlementError('INVALID_REQUEST', 'Capture amount must be positive with at most two decimals'));
+    }
+
+    return this.withPayment(paymentId, async (payment, order) => {
+      if (payment.capturedAmount !== undefined) {
+        return failure(new PaymentSettlementError('ALREADY_CAPTURED', `Payment ${payment.id} was captured for ${formatAmount(payment.capturedAmount)}`));
+      }
+      const paidUpfront = payment.status === PaymentStatus.SUCCEEDED;
+      if (payment.status !== PaymentStatus.PROCESSING && !paidUpfront) {
+        return failure(new PaymentSettlementError('NOT_AUTHORIZED', `Payment ${payment.id} is ${payment.status}, not authorized`));
+      }
+      const authorized = payment.authorizedAmount ?? payment.amount;
+      if (toCents(amount) > toCents(authorized)) {
+        return failure(new PaymentSettlementError('EXCEEDS_AUTHORIZATION', `Cannot capture ${formatAmount(amount)}; only ${formatAmount(authorized)} was authorized`));
+      }
+
+      const reference = this.referenceOf(payment);
+      const captured = await this.deps.gateway.capturePayment(reference, amount);
+      let adjustment: RefundResult | undefined;
+      if (!captured.success) {
+        if (errorCode(captured.error) !== 'UNSUPPORTED') {
+          await this.audit('payment.capture_failed', 'error', payment.id, `Capture of ${formatAmount(amount)} failed: ${captured.error.message}`, options, {
+            orderId: payment.orderId,
+            reference,
+            amount
+          });
+          return failure(new PaymentSettlementError('GATEWAY_ERROR', captured.error.message));
+        }
+
+        // The gateway can only take the full amount, so take it and give the
+        // difference back
+        const full = await this.deps.gateway.capturePayment(reference);
+        if (!full.success) {
+          await this.audit('payment.capture_failed', 'error', payment.id, `Capture of ${formatAmount(authorized)} in full failed: ${full.error.message}`, options, {
+            orderId: payment.orderId,
+            reference,
+            amount
+          });
+          return failure(new PaymentSettlementError('GATEWAY_ERROR', full.error.message));
+        }
+        if (full.data.status !== PaymentStatus.SUCCEEDED) {
+          await this.audit('payment.capture_failed', 'warning', payment.id, `Capture of ${formatAmount(authorized)} in full found the payment ${full.data.status}, not paid`, options, {
+            orderId: payment.orderId,
+            reference,
+            amount,
+            gatewayStatus: full.data.status
+          });
+          return failure(new PaymentSettlementError('NOT_AUTHORIZED', `Payment ${payment.id} has not been paid (${full.data.status})`));
+        }
+        const difference = fromCents(toCents(authorized) - toCents(amount));
+        if (difference > 0) {
+          const refunded = await this.refundAtGateway(payment, difference, options.reason ?? 'amount not taken');
+          if (!refunded.success || refunded.data.status === 'failed') {
+            const message = refunded.success ? refunded.data.reason ?? 'refund failed' : refunded.error.message;
+            await this.audit('payment.capture_failed', 'error', payment.id, `Captured ${formatAmount(authorized)} in full but refunding the ${formatAmount(difference)} not taken failed: ${message}`, options, {
+              orderId: payment.orderId,
+              reference,
+              amount
+            });
+            return failure(new PaymentSettlementError('GATEWAY_ERROR', message));
+          }
+          adjustment = refunded.data;
+          await this.audit('payment.capture_adjusted', 'info', payment.id, `Refunded ${formatAmount(difference)} not taken from the ${formatAmount(authorized)} charged`, options, {
+            orderId: payment.orderId,
+            reference,
+            refundId: refunded.data.refundId,
+            amount: difference
+          });
+        }
+      } else if (captured.data.status === PaymentStatus.FAILED) {
+        await this.audit('payment.capture_failed', 'error', payment.id, `Capture of ${formatAmount(amount)} was declined`, options, {
+          orderId: payment.orderId,
+          reference,
+          amount
+        });
+        return failure(new PaymentSettlementError('DECLINED', `Capture of payment ${payment.id} was declined`));
+      } else if (captured.data.status !== PaymentStatus.SUCCEEDED) {
+        await this.audit('payment.capture_failed', 'warning', payment.id, `Capture of ${formatAmount(amount)} found the payment ${captured.data.status}, not paid`, options, {
+          orderId: payment.orderId,
+          reference,
+          amount,
+          gatewayStatus: captured.data.status
+        });
+        return failure(new PaymentSettlementError('NOT_AUTHORIZED', `Payment ${payment.id} has not been paid (${captured.data.status})`));
+      }
+
+      const capture: Partial<Payment> = { amount, capturedAmount: amount, capturedAt: this.now() };
+      let result: SettlementResult;
+      if (paidUpfront) {
+        const current = await this.deps.payments.update(payment.id, capture);
+        result = { payment: current, ...(order ? { order } : {}), effects: [] };
+      } else {
+        // The capture is saved with the move to SUCCEEDED, so a payment the
+        // state machine refuses is not left captured but still PROCESSING
+        const moved = await this.move(payment, order, PaymentStatus.SUCCEEDED, options.reason ?? 'captured', options.userId, capture);
+        if (!moved.success) {
+          await this.audit('payment.capture_failed', 'error', payment.id, `Captured ${formatAmount(amount)} at the gateway but the payment could not be settled: ${moved.error.message}`, options, {
+            orderId: payment.orderId,
+            reference,
+            amount
+          });
+          return moved;
+        }
+        result = moved.data;
+      }
+
+      await this.audit('payment.captured', 'info', payment.id, `Captured ${formatAmount(amount)} of ${formatAmount(authorized)} authorized`, options, {
+        orderId: payment.orderId,
+        reference,
+        authorizedAmount: authorized,
+        capturedAmount: amount,
+        ...(adjustment ? { adjustmentRefundId: adjustment.refundId } : {})
+      });
+      return success(result);
+    });
+  }
+
+  /**
+   * Give up an authorization that will not be captured. PIX payments that
+   * were already paid are refunded in full.
+   */
+  async release(paymentId: string, options: SettlementStepOptions = {}): Promise<Result<SettlementResult, PaymentSettlementError>> {
+    return this.withPayment(paymentId, async (payment, order) => {
+      if (payment.capturedAmount !== undefined) {
+        return failure(new PaymentSettlementError('ALREADY_CAPTURED', `Payment ${payment.id} was captured; refund it instead`));
+      }
+      const reference = this.referenceOf(payment);
+      const reason = options.reason ?? 'authorization released';
+
+      if (payment.status === PaymentStatus.SUCCEEDED) {
+        const refunded = await this.refundAtGateway(payment, undefined, reason);
+        if (!refunded.success || refunded.data.status === 'failed') {
+          const message = refunded.success ? refunded.data.reason ?? 'refund failed' : refunded.error.message;
+          await this.audit('payment.release_failed', 'error', payment.id, `Releasing payment ${payment.id} failed: ${message}`, options, {
+            orderId: payment.orderId,
+            reference
+          });
+          return failure(new PaymentSettlementError('GATEWAY_ERROR', message));
+        }
+        const updated = await this.deps.payments.update(payment.id, { refundedAmount: refunded.data.amount });
+        const moved = await this.move(updated, order, PaymentStatus.REFUNDED, reason, options.userId);
+        if (moved.success) {
+          await this.audit('payment.released', 'info', payment.id, `Released payment ${payment.id} by refunding ${formatAmount(refunded.data.amount)}`, options, {
+            orderId: payment.orderId,
+            reference,
+            refundId: refunded.data.refundId
+          });
+        }
+        return moved;
+      }
+
+      if (payment.status !== PaymentStatus.PENDING && payment.status !== PaymentStatus.PROCESSING) {
+        return failure(new PaymentSettlementError('NOT_AUTHORIZED', `Payment ${payment.id} is ${payment.status}, not authorized`));
+      }
+      const cancelled = await this.deps.gateway.cancelPaymentIntent(reference);
+      if (!cancelled.success) {
+        await this.audit('payment.release_failed', 'error', payment.id, `Releasing payment ${payment.id} failed: ${cancelled.error.message}`, options, {
+          orderId: payment.orderId,
+          reference
+        });
+        return failure(new PaymentSettlementError('GATEWAY_ERROR', cancelled.error.message));
+      }
+      const moved = await this.move(payment, order, PaymentStatus.CANCELLED, reason, options.userId);
+      if (moved.success) {
+        await this.audit('payment.released', 'info', payment.id, `Released the ${formatAmount(payment.authorizedAmount ?? payment.amount)} authorization`, options, {
+          orderId: payment.orderId,
+          reference
+        });
+      }
+      return moved;
+    });
+  }
+
+  /**
+   * Refund part of a captured payment, or what is left of it when amount is
+   * omitted. Refunds add up to at most the captured amount.
+   */
+  async refund(paymentId: string, amount?: number, options: SettlementStepOptions = {}): Promise<Result<RefundSettlementResult, PaymentSettlementError>> {
+    if (amount !== undefined && !isPositiveAmount(amount)) {
+      return failure(new PaymentSettlementError('INVALID_REQUEST', 'Refund amount must be positive with at most two decimals'));
+    }
+
+    return this.withPayment(paymentId, async (payment, order) => {
+      if (payment.capturedAmount === undefined || payment.status !== PaymentStatus.SUCCEEDED) {
+        return failure(new PaymentSettlementError('NOT_CAPTURED', `Payment ${payment.id} is ${payment.status} and has nothing captured to refund`));
+      }
+      const refundable = refundableAmount(payment);
+      const value = amount ?? refundable;
+      if (toCents(value) > toCents(refundable)) {
+        return failure(new PaymentSettlementError('EXCEEDS_CAPTURED', `Cannot refund ${formatAmount(value)}; ${formatAmount(refundable)} of the ${formatAmount(payment.capturedAmount)} captured is left`));
+      }
+
+      const reference = this.referenceOf(payment);
+      const refunded = await this.refundAtGateway(payment, value, options.reason);
+      if (!refunded.success || refunded.data.status === 'failed') {
+        const message = refunded.success ? refunded.data.reason ?? 'refund failed' : refunded.error.message;
+        await this.audit('payment.refund_failed', 'warning', payment.id, `Refund of ${formatAmount(value)} failed: ${message}`, options, {
+          orderId: payment.orderId,
+          reference,
+          amount: value
+        });
+        return failure(new PaymentSettlementError('GATEWAY_ERROR', message));
+      }
+
+      const refundedAmount = fromCents(toCents(payment.refundedAmount ?? 0) + toCents(value));
+      const updated = await this.deps.payments.update(payment.id, { refundedAmount });
+      let result: SettlementResult = { payment: updated, ...(order ? { order } : {}), effects: [] };
+      if (toCents(refundedAmount) >= toCents(payment.capturedAmount)) {
+        const moved = await this.move(updated, order, PaymentStatus.REFUNDED, options.reason ?? 'refunded', options.userId);
+        if (!moved.success) {
+          return moved;
+        }
+        result = moved.data;
+      }
+
+      await this.audit('payment.refunded', 'info', payment.id, `Refunded ${formatAmount(value)}; ${formatAmount(refundedAmount)} of ${formatAmount(payment.capturedAmount)} captured refunded in total`, options, {
+        orderId: payment.orderId,
+        reference,
+        refundId: refunded.data.refundId,
+        amount: value,
+        refundedAmount,
+        capturedAmount: payment.capturedAmount
+      });
+      return success({ ...result, refund: refunded.data });
+    });
+  }
+
+  private async withPayment<T>(
+    paymentId: string,
+    task: (payment: Payment, order: Order | undefined) => Promise<Result<T, PaymentSettlementError>>
+  ): Promise<Result<T, PaymentSettlementError>> {
+    return this.paymentLocks.run(paymentId, async () => {
+      const payment = await this.deps.payments.findById(paymentId);
+      if (!payment) {
+        return failure(new PaymentSettlementError('PAYMENT_NOT_FOUND', `Payment not found: ${paymentId}`));
+      }
+      if (this.referenceOf(payment) === '') {
+        return failure(new PaymentSettlementError('INVALID_REQUEST', `Payment ${paymentId} has no ${this.referenceField}`));
+      }
+      const order = payment.orderId !== undefined
+        ? await this.deps.orders.findById(payment.orderId) ?? undefined
+        : undefined;
+      return task(payment, order);
+    });
+  }
+
+  /**
+   * Move the payment through the state machine, keeping its order's
+   * paymentStatus in sync and publishing PaymentProcessed. Changes are
+   * saved in the same update as the new status.
+   */
+  private async move(
+    payment: Payment,
+    order: Order | undefined,
+    to: PaymentStatus,
+    reason: string,
+    userId: string | undefined,
+    changes: Partial<Payment> = {}
+  ): Promise<Result<SettlementResult, PaymentSettlementError>> {
+    let transition;
+    try {
+      transition = transitionPayment({ ...payment, ...changes }, to, {
+        ...(order ? { order } : {}),
+        ...(userId !== undefined ? { userId } : {}),
+        reason,
+        now: this.now
+      });
+    } catch (error) {
+      if (error instanceof StateTransitionError) {
+        return failure(new PaymentSettlementError('INVALID_TRANSITION', error.message));
+      }
+      throw error;
+    }
+
+    const updated = await this.deps.payments.update(payment.id, { ...changes, ...transition.changes });
+    const updatedOrder = order && transition.orderChanges
+      ? await this.deps.orders.update(order.id, transition.orderChanges)
+      : order;
+    for (const processed of transition.events) {
+      await this.deps.eventBus.publish(processed);
+    }
+    return success({
+      payment: updated,
+      ...(updatedOrder ? { order: updatedOrder } : {}),
+      effects: transition.effects
+    });
+  }
+
+  /**
+   * Refund under an id made of the payment id and its refund sequence, so
+   * a retry after a lost gateway response reuses the id and gets back the
+   * refund already made instead of a second one. The sequence moves on once
+   * the gateway has answered.
+   */
+  private async refundAtGateway(payment: Payment, amount: number | undefined, reason: string | undefined): Promise<Result<RefundResult>> {
+    const sequence = refundSequenceOf(payment);
+    const refunded = await this.deps.gateway.refundPayment(this.referenceOf(payment), amount, reason, refundIdOf(payment.id, sequence));
+    if (refunded.success) {
+      await this.deps.payments.update(payment.id, { metadata: { ...payment.metadata, [REFUND_SEQUENCE_KEY]: sequence + 1 } });
+    }
+    return refunded;
+  }
+
+  private async audit(
+    action: SettlementAuditAction,
+    severity: 'info' | 'warning' | 'error',
+    entityId: string,
+    description: string,
+    options: Pick<SettlementStepOptions, 'reason' | 'userId' | 'evidence'>,
+    changes: Record<string, unknown>,
+    entityType: 'Payment' | 'Order' = 'Payment'
+  ): Promise<void> {
+    await this.deps.auditLog.save({
+      id: generateEntityId(),
+      action,
+      entityType,
+      entityId,
+      description,
+      severity,
+      timestamp: this.now(),
+      changes: Object.fromEntries(Object.entries(changes).filter(([, value]) => value !== undefined)),
+      ...(options.userId !== undefined ? { userId: options.userId } : {}),
+      ...(options.reason !== undefined || options.evidence !== undefined
+        ? {
+            metadata: {
+              ...(options.reason !== undefined ? { reason: options.reason } : {}),
+              ...(options.evidence !== undefined ? { evidence: options.evidence } : {})
+            }
+          }
+        : {})
+    });
+  }
+
+  private referenceOf(payment: Payment): string {
+    return payment[this.referenceField] ?? '';
+  }
+}
+
+// ========================================
+// Helpers
+// ========================================
+
+/**
+ * What can still be refunded: captured minus already refunded (0 before
+ * capture)
+ */
+export function refundableAmount(payment: Pick<Payment, 'capturedAmount' | 'refundedAmount'>): number {
+  if (payment.capturedAmount === undefined) {
+    return 0;
+  }
+  return fromCents(Math.max(0, toCents(payment.capturedAmount) - toCents(payment.refundedAmount ?? 0)));
+}
+
+function refundSequenceOf(payment: Payment): number {
+  const sequence = payment.metadata?.[REFUND_SEQUENCE_KEY];
+  return typeof sequence === 'number' && Number.isInteger(sequence) && sequence >= 0 ? sequence : 0;
+}
+
+/**
+ * Alphanumeric, at most 35 characters, as PIX devolução ids must be
+ */
+function refundIdOf(paymentId: string, sequence: number): string {
+  return `${paymentId.replace(/[^A-Za-z0-9]/g, '').slice(0, 30)}R${String(sequence).padStart(4, '0')}`;
+}
+
+function isPositiveAmount(amount: number): boolean {
+  return Number.isFinite(amount) && amount > 0 && Math.abs(toCents(amount) - amount * 100) < 1e-6;
+}
+
+function toCents(amount: number): number {
+  return Math.round(amount * 100);
+}
+
+function fromCents(cents: number): number {
+  return cents / 100;
+}
+
+function formatAmount(amount: number): string {
+  return amount.toFixed(2);
+}
+
+function errorCode(error: Error): string | undefined {
+  const code = (error as { code?: unknown }).code;
+  return typeof code === 'string' ? code : undefined;
+}
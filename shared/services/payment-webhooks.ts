@@ -0,0 +1,519 @@
+/**
+ * Payment Webhook Processor
+ *
+ * Ingests Stripe and PIX PSP webhooks: the provider verifies the signature
+ * and decodes the body into payment events, and each event is applied at
+ * most once through the order/payment state machine: its Order's
+ * paymentStatus is updated and PaymentProcessed published, then the Payment
+ * is saved, so the payment only shows the new status once both are done.
+ *
+ * Idempotency: every event is reserved in the webhook event store under
+ * (provider, eventId) before it is applied, so redeliveries and concurrent
+ * deliveries are reported as duplicates.
+ *
+ * Ordering: events for the same payment are applied one at a time. An event
+ * older than the last one applied is superseded, one for a state that was
+ * already passed is ignored, and one that arrives ahead of its predecessor
+ * (a refund before the payment succeeded) is retried until the
+ * predecessor has been applied.
+ *
+ * Failures: a delivery that cannot be processed now (payment not stored
+ * yet, out of order, storage error) asks the provider to retry. After
+ * maxAttempts, or straight away for bodies that cannot be decoded and for
+ * transitions the order forbids, it is parked in the dead-letter store and
+ * acknowledged; replay() runs it again once the cause is fixed.
+ */
+
+import type {
+  Order,
+  Payment,
+  PaymentProcessed,
+  WebhookProvider,
+  WebhookEventRecord,
+  DeadLetterWebhook,
+  Result
+} from '../types/domain-entities';
+import { PaymentStatus } from '../types/domain-entities';
+import type {
+  PaymentRepositoryPort,
+  OrderRepositoryPort,
+  WebhookEventRepositoryPort,
+  DeadLetterWebhookRepositoryPort
+} from '../ports/repository-ports';
+import type {
+  EventBusServicePort,
+  PaymentWebhookProviderPort,
+  PaymentWebhookEvent,
+  WebhookRequest
+} from '../ports/service-ports';
+import type { TransitionEffect } from '../domain/order-state-machine';
+import {
+  checkPaymentTransition,
+  transitionPayment,
+  isPaymentTransitionAllowed,
+  IllegalTransitionError
+} from '../domain/order-state-machine';
+import { generateEntityId, success, failure } from '../types/utilities';
+import { KeyedLock } from './keyed-lock';
+
+// ========================================
+// Types
+// ========================================
+
+export type PaymentWebhookErrorCode =
+  | 'UNKNOWN_PROVIDER'
+  | 'INVALID_SIGNATURE'
+  | 'NOT_FOUND'
+  | 'ALREADY_RESOLVED';
+
+export class PaymentWebhookError extends Error {
+  constructor(public readonly code: PaymentWebhookErrorCode, message: string) {
+    super(message);
+    this.name = 'PaymentWebhookError';
+  }
+}
+
+export interface PaymentWebhookDependencies {
+  providers: PaymentWebhookProviderPort[];
+  payments: Pick<PaymentRepositoryPort, 'findByStripePaymentIntentId' | 'findByPixTxid' | 'findById' | 'update'>;
+  orders: Pick<OrderRepositoryPort, 'findById' | 'update'>;
+  webhookEvents: WebhookEventRepositoryPort;
+  deadLetters: DeadLetterWebhookRepositoryPort;
+  eventBus: Pick<EventBusServicePort, 'publish'>;
+}
+
+export interface PaymentWebhookOptions {
+  now?: () => Date;
+
+  /**
+   * Deliveries of an event before it is dead-lettered (default 5)
+   */
+  maxAttempts?: number;
+
+  /**
+   * How long an event stays reserved by a delivery that is processing it;
+   * after this a redelivery takes over (default 5 minutes)
+   */
+  processingTimeoutMs?: number;
+}
+
+/**
+ * applied: the payment moved; unchanged: it already had the status;
+ * duplicate: the event was handled before; ignored: nothing to apply
+ * (unknown reference, no status, superseded or already passed);
+ * retry: ask the provider to redeliver; dead_lettered: parked for replay
+ */
+export type WebhookEventOutcomeStatus =
+  | 'applied'
+  | 'unchanged'
+  | 'duplicate'
+  | 'ignored'
+  | 'retry'
+  | 'dead_lettered';
+
+export interface WebhookEventOutcome {
+  eventId: string;
+  eventType: string;
+  status: WebhookEventOutcomeStatus;
+  paymentId?: string;
+  paymentStatus?: PaymentStatus;
+  reason?: string;
+
+  /**
+   * Follow-up actions from the state machine (confirm or cancel the order)
+   */
+  effects: TransitionEffect[];
+}
+
+export interface WebhookDeliveryOutcome {
+  provider: WebhookProvider;
+  events: WebhookEventOutcome[];
+
+  /**
+   * True when the delivery should be answered with an error status so the
+   * provider sends it again
+   */
+  retry: boolean;
+
+  deadLetterId?: string;
+}
+
+/**
+ * An event that may succeed when delivered again
+ */
+class RetryableWebhookError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'RetryableWebhookError';
+  }
+}
+
+/**
+ * An event that will never succeed as delivered
+ */
+class PoisonWebhookError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'PoisonWebhookError';
+  }
+}
+
+const MINUTE = 60 * 1000;
+
+/**
+ * How far along the payment lifecycle each status is, to tell late events
+ * (already passed) from early ones (predecessor not applied yet)
+ */
+const PAYMENT_PROGRESS: Readonly<Record<PaymentStatus, number>> = {
+  [PaymentStatus.PENDING]: 0,
+  [PaymentStatus.PROCESSING]: 1,
+  [PaymentStatus.FAILED]: 2,
+  [PaymentStatus.SUCCEEDED]: 3,
+  [PaymentStatus.CANCELLED]: 3,
+  [PaymentStatus.REFUNDED]: 4
+};
+
+// ========================================
+// Payment Webhook Processor
+// ========================================
+
+export class PaymentWebhookProcessor {
+  private readonly now: () => Date;
+  private readonly maxAttempts: number;
+  private readonly processingTimeoutMs: number;
+  private readonly providers: Map<WebhookProvider, PaymentWebhookProviderPort>;
+  private readonly paymentLocks = new KeyedLock();
+
+  constructor(
+    private readonly deps: PaymentWebhookDependencies,
+    options: PaymentWebhookOptions = {}
+  ) {
+    this.now = options.now ?? (() => new Date());
+    this.maxAttempts = options.maxAttempts ?? 5;
+    this.processingTimeoutMs = options.processingTimeoutMs ?? 5 * MINUTE;
+    this.providers = new Map(deps.providers.map(provider => [provider.provider, provider]));
+  }
+
+  /**
+   * Verify and process one delivery. A failure means the delivery was
+   * rejected (answer 400/401); otherwise answer 2xx unless retry is set.
+   */
+  async handle(provider: WebhookProvider, request: WebhookRequest): Promise<Result<WebhookDeliveryOutcome, PaymentWebhookError>> {
+    const adapter = this.providers.get(provider);
+    if (!adapter) {
+      return failure(new PaymentWebhookError('UNKNOWN_PROVIDER', `No webhook provider registered for ${provider}`));
+    }
+
+    const verified = await adapter.verify(request);
+    if (!verified.success) {
+      return failure(new PaymentWebhookError('INVALID_SIGNATURE', verified.error.message));
+    }
+
+    return success(await this.process(adapter, request.body));
+  }
+
+  /**
+   * Process a dead-lettered delivery again, without the signature check it
+   * passed when it was received. The entry is resolved when none of its
+   * events fails again.
+   */
+  async replay(deadLetterId: string): Promise<Result<WebhookDeliveryOutcome, PaymentWebhookError>> {
+    const entry = await this.deps.deadLetters.findById(deadLetterId);
+    if (!entry) {
+      return failure(new PaymentWebhookError('NOT_FOUND', `Dead letter not found: ${deadLetterId}`));
+    }
+    if (entry.resolvedAt) {
+      return failure(new PaymentWebhookError('ALREADY_RESOLVED', `Dead letter ${deadLetterId} was resolved: ${entry.resolution ?? 'no resolution given'}`));
+    }
+    const adapter = this.providers.get(entry.provider);
+    if (!adapter) {
+      return failure(new PaymentWebhookError('UNKNOWN_PROVIDER', `No webhook provider registered for ${entry.provider}`));
+    }
+
+    const outcome = await this.process(adapter, entry.body, entry);
+    const now = this.now();
+    const failed = outcome.events.find(event => event.status === 'retry' || event.status === 'dead_lettered');
+    if (outcome.deadLetterId === undefined && !failed) {
+      await this.deps.deadLetters.markResolved(entry.id, now, 'replayed');
+    } else {
+      await this.deps.deadLetters.update(entry.id, {
+        replayedAt: now,
+        attempts: entry.attempts + 1,
+        error: failed?.reason ?? entry.error
+      });
+    }
+    return success({ ...outcome, retry: false });
+  }
+
+  /**
+   * Deliveries waiting in the dead-letter store
+   */
+  async findDeadLetters(provider?: WebhookProvider): Promise<DeadLetterWebhook[]> {
+    return this.deps.deadLetters.findUnresolved(provider);
+  }
+
+  private async process(
+    adapter: PaymentWebhookProviderPort,
+    body: string,
+    replaying?: DeadLetterWebhook
+  ): Promise<WebhookDeliveryOutcome> {
+    const provider = adapter.provider;
+    const parsed = adapter.parse(body);
+    if (!parsed.success) {
+      if (replaying) {
+        return { provider, events: [], retry: false, deadLetterId: replaying.id };
+      }
+      const deadLetter = await this.park(provider, body, parsed.error.message);
+      return { provider, events: [], retry: false, deadLetterId: deadLetter.id };
+    }
+
+    const events = replaying?.eventId !== undefined
+      ? parsed.data.filter(event => event.eventId === replaying.eventId)
+      : parsed.data;
+
+    const outcomes: WebhookEventOutcome[] = [];
+    for (const event of events) {
+      outcomes.push(await this.processEvent(event, body, replaying !== undefined));
+    }
+
+    return {
+      provider,
+      events: outcomes,
+      retry: outcomes.some(outcome => outcome.status === 'retry')
+    };
+  }
+
+  private async processEvent(event: PaymentWebhookEvent, body: string, replaying: boolean): Promise<WebhookEventOutcome> {
+    const now = this.now();
+    const reserved = await this.deps.webhookEvents.reserve({
+      id: generateEntityId(),
+      provider: event.provider,
+      eventId: event.eventId,
+      eventType: event.eventType,
+      status: 'processing',
+      attempts: 0,
+      occurredAt: event.occurredAt,
+      receivedAt: now,
+      createdAt: now,
+      updatedAt: now
+    });
+
+    let record = reserved.record;
+    if (!reserved.created) {
+      const busy = record.status === 'processing' && now.getTime() - record.updatedAt.getTime() < this.processingTimeoutMs;
+      const retriable = record.status === 'failed' || (replaying && record.status === 'dead_lettered');
+      if (busy) {
+        return outcomeOf(event, 'retry', { reason: 'event is being processed by another delivery' });
+      }
+      if (!retriable && record.status !== 'processing') {
+        return outcomeOf(event, 'duplicate', {
+          ...(record.paymentId !== undefined ? { paymentId: record.paymentId } : {})
+        });
+      }
+    }
+
+    record = await this.deps.webhookEvents.update(record.id, { status: 'processing', attempts: record.attempts + 1 });
+
+    try {
+      const outcome = await this.apply(event);
+      await this.deps.webhookEvents.update(record.id, {
+        status: outcome.status === 'ignored' ? 'ignored' : 'processed',
+        processedAt: this.now(),
+        ...(outcome.paymentId !== undefined ? { paymentId: outcome.paymentId } : {})
+      });
+      return outcome;
+    } catch (error) {
+      return this.fail(event, record, body, error, replaying);
+    }
+  }
+
+  /**
+   * Find the payment and move it, holding its lock
+   */
+  private async apply(event: PaymentWebhookEvent): Promise<WebhookEventOutcome> {
+    const target = event.status;
+    if (target === undefined) {
+      return outcomeOf(event, 'ignored', { reason: event.reason ?? `${event.eventType} does not change payments` });
+    }
+
+    const found = await this.findPayment(event);
+    if (found === undefined) {
+      return outcomeOf(event, 'ignored', { reason: 'event does not reference a payment' });
+    }
+    if (found === null) {
+      throw new RetryableWebhookError(`No payment for ${describeReference(event)}`);
+    }
+
+    return this.paymentLocks.run(found.id, async () => {
+      const payment = await this.deps.payments.findById(found.id);
+      if (!payment) {
+        throw new RetryableWebhookError(`Payment ${found.id} disappeared`);
+      }
+      const details = { paymentId: payment.id, paymentStatus: payment.status };
+
+      if (payment.status === target) {
+        return outcomeOf(event, 'unchanged', details);
+      }
+
+      const latest = await this.deps.webhookEvents.findLatestProcessedForPayment(payment.id);
+      if (latest && latest.occurredAt > event.occurredAt) {
+        return outcomeOf(event, 'ignored', { ...details, reason: `superseded by ${latest.eventType} ${latest.eventId}` });
+      }
+
+      const order = payment.orderId !== undefined
+        ? await this.deps.orders.findById(payment.orderId) ?? undefined
+        : undefined;
+      return this.transition(event, payment, target, order);
+    });
+  }
+
+  private async transition(
+    event: PaymentWebhookEvent,
+    payment: Payment,
+    target: PaymentStatus,
+    order: Order | undefined
+  ): Promise<WebhookEventOutcome> {
+    // Stripe reports payment_failed and lets the customer try again on the
+    // same intent, so a failed payment is reopened before it moves on
+    const path = payment.status === PaymentStatus.FAILED &&
+      target !== PaymentStatus.PENDING &&
+      !isPaymentTransitionAllowed(payment.status, target) &&
+      isPaymentTransitionAllowed(PaymentStatus.PENDING, target)
+      ? [PaymentStatus.PENDING, target]
+      : [target];
+
+    const options = { ...(order ? { order } : {}) };
+    const error = checkPaymentTransition(payment, path[0]!, options);
+    if (error) {
+      if (!(error instanceof IllegalTransitionError)) {
+        throw new PoisonWebhookError(error.message);
+      }
+      if (PAYMENT_PROGRESS[target] <= PAYMENT_PROGRESS[payment.status]) {
+        return outcomeOf(event, 'ignored', {
+          paymentId: payment.id,
+          paymentStatus: payment.status,
+          reason: `payment is already ${payment.status}`
+        });
+      }
+      throw new RetryableWebhookError(`${event.eventType} arrived before the payment could move from ${payment.status} to ${target}`);
+    }
+
+    let current = payment;
+    let currentOrder = order;
+    const effects: TransitionEffect[] = [];
+    for (const status of path) {
+      const result = transitionPayment(current, status, {
+        ...(currentOrder ? { order: currentOrder } : {}),
+        reason: event.reason ?? event.eventType,
+        now: this.now
+      });
+
+      if (currentOrder && result.orderChanges) {
+        currentOrder = await this.deps.orders.update(currentOrder.id, result.orderChanges);
+      }
+      for (const processed of result.events) {
+        await this.deps.eventBus.publish(withWebhookMetadata(processed, event));
+      }
+      // The payment is written last: until it has the new status a
+      // redelivery finds it unmoved and redoes the whole step, so a failure
+      // above cannot leave the order or the event behind. Handlers may then
+      // see PaymentProcessed twice and must be idempotent.
+      current = await this.deps.payments.update(current.id, result.changes);
+      effects.push(...result.effects);
+    }
+
+    return outcomeOf(event, 'applied', { paymentId: current.id, paymentStatus: current.status, effects });
+  }
+
+  private async fail(
+    event: PaymentWebhookEvent,
+    record: WebhookEventRecord,
+    body: string,
+    error: unknown,
+    replaying: boolean
+  ): Promise<WebhookEventOutcome> {
+    const message = error instanceof Error ? error.message : String(error);
+    const poison = error instanceof PoisonWebhookError;
+
+    if (replaying || (!poison && record.attempts < this.maxAttempts)) {
+      await this.deps.webhookEvents.update(record.id, { status: 'failed', lastError: message });
+      return outcomeOf(event, 'retry', { reason: message });
+    }
+
+    const deadLetter = await this.park(event.provider, body, message, event, record.attempts);
+    await this.deps.webhookEvents.update(record.id, { status: 'dead_lettered', lastError: message });
+    return outcomeOf(event, 'dead_lettered', { reason: `${message} (dead letter ${deadLetter.id})` });
+  }
+
+  private async park(
+    provider: WebhookProvider,
+    body: string,
+    error: string,
+    event?: PaymentWebhookEvent,
+    attempts = 1
+  ): Promise<DeadLetterWebhook> {
+    const now = this.now();
+    return this.deps.deadLetters.save({
+      id: generateEntityId(),
+      provider,
+      body,
+      error,
+      attempts,
+      failedAt: now,
+      createdAt: now,
+      updatedAt: now,
+      ...(event ? { eventId: event.eventId, eventType: event.eventType } : {})
+    });
+  }
+
+  /**
+   * undefined: the event names no payment; null: the payment is not stored
+   */
+  private async findPayment(event: PaymentWebhookEvent): Promise<Payment | null | undefined> {
+    if (event.stripePaymentIntentId !== undefined) {
+      return this.deps.payments.findByStripePaymentIntentId(event.stripePaymentIntentId);
+    }
+    if (event.pixTxid !== undefined) {
+      return this.deps.payments.findByPixTxid(event.pixTxid);
+    }
+    return undefined;
+  }
+}
+
+// ========================================
+// Helpers
+// ========================================
+
+function outcomeOf(
+  event: PaymentWebhookEvent,
+  status: WebhookEventOutcomeStatus,
+  details: Partial<Pick<WebhookEventOutcome, 'paymentId' | 'paymentStatus' | 'reason' | 'effects'>> = {}
+): WebhookEventOutcome {
+  return {
+    eventId: event.eventId,
+    eventType: event.eventType,
+    status,
+    effects: details.effects ?? [],
+    ...(details.paymentId !== undefined ? { paymentId: details.paymentId } : {}),
+    ...(details.paymentStatus !== undefined ? { paymentStatus: details.paymentStatus } : {}),
+    ...(details.reason !== undefined ? { reason: details.reason } : {})
+  };
+}
+
+function withWebhookMetadata(processed: PaymentProcessed, event: PaymentWebhookEvent): PaymentProcessed {
+  return {
+    ...processed,
+    metadata: {
+      ...processed.metadata,
+      source: 'webhook',
+      webhookProvider: event.provider,
+      webhookEventId: event.eventId
+    }
+  };
+}
+
+function describeReference(event: PaymentWebhookEvent): string {
+  return event.stripePaymentIntentId !== undefined
+    ? `Stripe PaymentIntent ${event.stripePaymentIntentId}`
+    : `PIX txid ${event.pixTxid}`;
+}
@@ -0,0 +1,216 @@
+/**
+ * Pricing Service
+ *
+ * Serves prices from the pricing rule set in force. Admins publish a new
+ * rule set (validated before it is stored) with the moment it takes
+ * effect; quotes use the one in force now, and receipts the one that was
+ * in force when the order was placed, so old receipts reproduce.
+ *
+ * Engines are cached per rule set version; the repository is asked which
+ * version is in force on every call, so a published change applies without
+ * a restart.
+ */
+
+import type { Order, Payment, PaymentMethod, PaymentMethodType, PricingRuleSet, Result } from '../types/domain-entities';
+import type { PricingRuleSetRepositoryPort, AuditLogRepositoryPort } from '../ports/repository-ports';
+import type { FeeCalculation, OrderCalculation, PaymentReceipt } from '../ports/service-ports';
+import { PricingEngine, PricingError } from '../domain/pricing-engine';
+import type { MerchantInfo, PriceQuote, PricingContext, PricingRulesInput } from '../domain/pricing-engine';
+import type { PricedItem } from '../domain/order-totals';
+import { toOrderCalculation } from '../domain/order-totals';
+import { MoneyError } from '../domain/money';
+import { generateEntityId, success, failure } from '../types/utilities';
+
+// ========================================
+// Types
+// ========================================
+
+export interface PricingServiceDependencies {
+  ruleSets: Pick<PricingRuleSetRepositoryPort, 'findEffective' | 'save'>;
+
+  /**
+   * Records who published which rule set
+   */
+  auditLog?: Pick<AuditLogRepositoryPort, 'save'>;
+}
+
+export interface PricingServiceOptions {
+  now?: () => Date;
+
+  /**
+   * Printed on receipts
+   */
+  merchant?: MerchantInfo;
+}
+
+export interface PublishRuleSetRequest {
+  name: string;
+  rules: PricingRulesInput;
+
+  /**
+   * When the rules take effect (default now); never in the past, so
+   * receipts of earlier orders keep their rules
+   */
+  effectiveFrom?: Date;
+  notes?: string;
+  userId?: string;
+}
+
+// ========================================
+// Pricing Service
+// ========================================
+
+export class PricingService {
+  private readonly now: () => Date;
+  private readonly engines = new Map<string, PricingEngine>();
+
+  constructor(
+    private readonly deps: PricingServiceDependencies,
+    private readonly options: PricingServiceOptions = {}
+  ) {
+    this.now = options.now ?? (() => new Date());
+  }
+
+  /**
+   * Validate and store a new version of the rules
+   */
+  async publishRuleSet(request: PublishRuleSetRequest): Promise<Result<PricingRuleSet, PricingError>> {
+    const now = this.now();
+    const effectiveFrom = request.effectiveFrom ?? now;
+    if (effectiveFrom < now) {
+      return failure(new PricingError('INVALID_EFFECTIVE_DATE', 'Rule sets cannot take effect in the past'));
+    }
+
+    let engine: PricingEngine;
+    try {
+      engine = this.createEngine(request.rules);
+    } catch (error) {
+      return failure(toPricingError(error));
+    }
+
+    const ruleSet = await this.deps.ruleSets.save({
+      id: generateEntityId(),
+      name: request.name,
+      effectiveFrom,
+      rules: engine.rules,
+      createdAt: now,
+      updatedAt: now,
+      version: 1,
+      ...(request.notes !== undefined ? { notes: request.notes } : {}),
+      ...(request.userId !== undefined ? { createdBy: request.userId } : {})
+    });
+    this.engines.set(engineKey(ruleSet), engine);
+
+    await this.deps.auditLog?.save({
+      id: generateEntityId(),
+      action: 'pricing.rules_published',
+      entityType: 'PricingRuleSet',
+      entityId: ruleSet.id,
+      description: `Published pricing rules "${ruleSet.name}" effective ${effectiveFrom.toISOString()}`,
+      severity: 'info',
+      timestamp: now,
+      changes: { rules: ruleSet.rules, effectiveFrom },
+      ...(request.userId !== undefined ? { userId: request.userId } : {})
+    });
+    return success(ruleSet);
+  }
+
+  /**
+   * Engine for the rule set in force at a moment (default now)
+   */
+  async engineAt(at: Date = this.now()): Promise<Result<PricingEngine, PricingError>> {
+    const ruleSet = await this.deps.ruleSets.findEffective(at);
+    if (!ruleSet) {
+      return failure(new PricingError('NO_RULES', `No pricing rules in force at ${at.toISOString()}`));
+    }
+
+    const key = engineKey(ruleSet);
+    let engine = this.engines.get(key);
+    if (!engine) {
+      try {
+        engine = this.createEngine(ruleSet.rules);
+      } catch (error) {
+        return failure(toPricingError(error));
+      }
+      this.engines.set(key, engine);
+    }
+    return success(engine);
+  }
+
+  async quote(items: readonly PricedItem[], context: PricingContext = {}): Promise<Result<PriceQuote, PricingError | MoneyError>> {
+    return this.withEngine(context.at, engine => engine.quote(items, context));
+  }
+
+  /**
+   * For OrderManagementServicePort.calculateOrderTotal
+   */
+  async calculateOrderTotal(
+    items: readonly PricedItem[],
+    context: PricingContext,
+    estimatedDeliveryTime: Date
+  ): Promise<Result<OrderCalculation, PricingError | MoneyError>> {
+    return this.withEngine(context.at, engine => toOrderCalculation(engine.quote(items, context).totals, estimatedDeliveryTime));
+  }
+
+  async calculateFees(
+    amount: number,
+    paymentMethod: Pick<PaymentMethod, 'type'> | PaymentMethodType
+  ): Promise<Result<FeeCalculation, PricingError | MoneyError>> {
+    return this.withEngine(undefined, engine => engine.calculateFees(amount, paymentMethod));
+  }
+
+  /**
+   * Receipt priced with the rules in force when the order (or, without
+   * one, the payment) was created
+   */
+  async generatePaymentReceipt(
+    payment: Payment,
+    order?: Order,
+    context: Pick<PricingContext, 'location'> = {}
+  ): Promise<Result<PaymentReceipt, PricingError | MoneyError>> {
+    return this.withEngine(order?.createdAt ?? payment.createdAt, engine => engine.generatePaymentReceipt(payment, order, context));
+  }
+
+  private async withEngine<T>(
+    at: Date | undefined,
+    task: (engine: PricingEngine) => T
+  ): Promise<Result<T, PricingError | MoneyError>> {
+    const engine = await this.engineAt(at);
+    if (!engine.success) {
+      return engine;
+    }
+    try {
+      return success(task(engine.data));
+    } catch (error) {
+      if (error instanceof PricingError || error instanceof MoneyError) {
+        return failure(error);
+      }
+      throw error;
+    }
+  }
+
+  private createEngine(rules: PricingRulesInput): PricingEngine {
+    return new PricingEngine(rules, {
+      now: this.now,
+      ...(this.options.merchant ? { merchant: this.options.merchant } : {})
+    });
+  }
+}
+
+// ========================================
+// Helpers
+// ========================================
+
+function engineKey(ruleSet: PricingRuleSet): string {
+  return `${ruleSet.id}:${ruleSet.version}`;
+}
+
+function toPricingError(error: unknown): PricingError {
+  if (error instanceof PricingError) {
+    return error;
+  }
+  if (error instanceof MoneyError) {
+    return new PricingError('INVALID_RULES', error.message);
+  }
+  throw error;
+}
@@ -0,0 +1,324 @@
+/**
+ * Stock Reconciliation Service
+ *
+ * Keeps a ledger per container slot and squares it with what the cameras
+ * see:
+ *
+ * - recordRestock(): units put into a slot
+ * - recordOrder(): units taken by a delivered order, booked once per order
+ * - reconcile(): compare the ledger with per-slot vision counts, write the
+ *   corrections (see domain/stock-reconciliation) and return the
+ *   discrepancies and the corrected StockLevel
+ * - calculateStockLevels(): the container's StockLevel by the ledger
+ *
+ * The ledger is append-only: corrections are 'adjustment' entries
+ * referencing the reconciliation, and every reconciliation is written to
+ * the audit log with its discrepancies, so any stock figure can be traced
+ * back to the restocks, orders and counts behind it.
+ */
+
+import type { Container, Order, Result, StockLedgerEntry } from '../types/domain-entities';
+import { OrderStatus } from '../types/domain-entities';
+import type { AuditLogRepositoryPort, ContainerRepositoryPort, StockLedgerRepositoryPort } from '../ports/repository-ports';
+import type { InventoryDomainServicePort, StockLevel } from '../ports/service-ports';
+import { StockReconciliationError, bookStock, reconcileStock, toStockLevel } from '../domain/stock-reconciliation';
+import type { SlotObservation, StockDiscrepancy } from '../domain/stock-reconciliation';
+import { generateEntityId, success, failure } from '../types/utilities';
+import { KeyedLock } from './keyed-lock';
+
+// ========================================
+// Types
+// ========================================
+
+export interface StockReconciliationDependencies {
+  ledger: Pick<StockLedgerRepositoryPort, 'findByContainer' | 'findByReference' | 'save'>;
+  containers: Pick<ContainerRepositoryPort, 'findById'>;
+  auditLog: Pick<AuditLogRepositoryPort, 'save'>;
+}
+
+export interface StockReconciliationServiceOptions {
+  now?: () => Date;
+
+  /**
+   * Slot observations less confident than this are reported as vision
+   * miscounts and never corrected from (default 0.6)
+   */
+  minConfidence?: number;
+}
+
+export interface RestockRequest {
+  containerId: string;
+  slot: string;
+  productId: string;
+  quantity: number;
+
+  /**
+   * Restock or delivery note id
+   */
+  reference?: string;
+  userId?: string;
+  occurredAt?: Date;
+}
+
+export interface ReconcileRequest {
+  containerId: string;
+
+  /**
+   * One per slot the cameras saw; slots not listed are not judged
+   */
+  observations: SlotObservation[];
+
+  /**
+   * Acting user; omitted for the automatic check after a purchase
+   */
+  userId?: string;
+
+  /**
+   * What the counts came from (capture ids, vision analysis id); kept in
+   * the audit log
+   */
+  evidence?: Record<string, unknown>;
+}
+
+export interface StockReconciliation {
+  id: string;
+  containerId: string;
+  reconciledAt: Date;
+  discrepancies: StockDiscrepancy[];
+
+  /**
+   * Ledger entries written to correct the stock
+   */
+  adjustments: StockLedgerEntry[];
+
+  /**
+   * Stock after the corrections
+   */
+  stockLevel: StockLevel;
+}
+
+/**
+ * Slot of a product in an order item's metadata, when the purchase flow
+ * knows it
+ */
+const ORDER_ITEM_SLOT_KEY = 'slot';
+
+// ========================================
+// Stock Reconciliation Service
+// ========================================
+
+export class StockReconciliationService implements Pick<InventoryDomainServicePort, 'calculateStockLevels'> {
+  private readonly now: () => Date;
+  private readonly containerLocks = new KeyedLock();
+
+  constructor(
+    private readonly deps: StockReconciliationDependencies,
+    private readonly options: StockReconciliationServiceOptions = {}
+  ) {
+    this.now = options.now ?? (() => new Date());
+  }
+
+  async recordRestock(request: RestockRequest): Promise<Result<StockLedgerEntry, StockReconciliationError>> {
+    if (!Number.isInteger(request.quantity) || request.quantity <= 0) {
+      return failure(new StockReconciliationError('INVALID_REQUEST', 'Restock quantity must be a positive whole number'));
+    }
+    return this.attempt(() => this.containerLocks.run(request.containerId, async () => {
+      await this.requireContainer(request.containerId);
+      return this.append(request.containerId, request.slot, request.productId, 'restock', request.quantity, request.occurredAt ?? this.now(), {
+        ...(request.reference !== undefined ? { reference: request.reference } : {}),
+        ...(request.userId !== undefined ? { userId: request.userId } : {})
+      });
+    }));
+  }
+
+  /**
+   * Book the units a delivered order took from its container. Items name
+   * their slot in metadata.slot; otherwise units come out of the slots
+   * holding the most of the product. Booking an order again returns its
+   * existing entries.
+   */
+  async recordOrder(order: Order): Promise<Result<StockLedgerEntry[], StockReconciliationError>> {
+    const containerId = order.containerId;
+    if (containerId === undefined) {
+      return failure(new StockReconciliationError('INVALID_REQUEST', `Order ${order.id} was not taken from a container`));
+    }
+    if (order.status !== OrderStatus.DELIVERED) {
+      return failure(new StockReconciliationError('ORDER_NOT_COMPLETED', `Order ${order.id} is ${order.status}; only delivered orders leave the shelf`));
+    }
+
+    return this.attempt(() => this.containerLocks.run(containerId, async () => {
+      const booked = await this.deps.ledger.findByReference(order.id);
+      if (booked.length > 0) {
+        return booked;
+      }
+      await this.requireContainer(containerId);
+
+      const stock = bookStock(await this.deps.ledger.findByContainer(containerId));
+      const occurredAt = order.actualDeliveryTime ?? order.updatedAt;
+      const entries: StockLedgerEntry[] = [];
+      for (const item of order.items) {
+        const slot = item.metadata?.[ORDER_ITEM_SLOT_KEY];
+        const takes = typeof slot === 'string'
+          ? [{ slot, quantity: item.quantity }]
+          : takeFromSlots(stock, item.productId, item.quantity);
+        for (const take of takes) {
+          entries.push(await this.append(containerId, take.slot, item.productId, 'sale', -take.quantity, occurredAt, {
+            reference: order.id,
+            userId: order.userId
+          }));
+        }
+      }
+      return entries;
+    }));
+  }
+
+  async reconcile(request: ReconcileRequest): Promise<Result<StockReconciliation, StockReconciliationError>> {
+    return this.attempt(() => this.containerLocks.run(request.containerId, async () => {
+      const container = await this.requireContainer(request.containerId);
+      const ledger = await this.deps.ledger.findByContainer(container.id);
+      const outcome = reconcileStock(bookStock(ledger), request.observations, {
+        capacity: container.capacity,
+        ...(this.options.minConfidence !== undefined ? { minConfidence: this.options.minConfidence } : {})
+      });
+
+      const id = generateEntityId();
+      const reconciledAt = this.now();
+      const adjustments: StockLedgerEntry[] = [];
+      for (const adjustment of outcome.adjustments) {
+        adjustments.push(await this.append(container.id, adjustment.slot, adjustment.productId, 'adjustment', adjustment.quantity, reconciledAt, {
+          reference: id,
+          reason: adjustment.reason,
+          ...(request.userId !== undefined ? { userId: request.userId } : {})
+        }));
+      }
+      const stockLevel = toStockLevel(container, [...ledger, ...adjustments]);
+
+      const { discrepancies } = outcome;
+      await this.deps.auditLog.save({
+        id: generateEntityId(),
+        action: 'stock.reconciled',
+        entityType: 'Container',
+        entityId: container.id,
+        description: discrepancies.length === 0
+          ? `Stock of container ${container.id} matches the counts of ${request.observations.length} slots`
+          : `Stock of container ${container.id} reconciled: ${summarize(discrepancies)}`,
+        severity: discrepancies.some(found => found.severity === 'high') ? 'warning' : 'info',
+        timestamp: reconciledAt,
+        changes: {
+          reconciliationId: id,
+          discrepancies,
+          adjustments: adjustments.map(entry => ({ id: entry.id, slot: entry.slot, productId: entry.productId, quantity: entry.quantity, reason: entry.reason })),
+          currentStock: stockLevel.currentStock
+        },
+        ...(request.userId !== undefined ? { userId: request.userId } : {}),
+        metadata: {
+          observedSlots: request.observations.map(observation => observation.slot),
+          ...(request.evidence !== undefined ? { evidence: request.evidence } : {})
+        }
+      });
+
+      return { id, containerId: container.id, reconciledAt, discrepancies, adjustments, stockLevel };
+    }));
+  }
+
+  /**
+   * @throws StockReconciliationError CONTAINER_NOT_FOUND
+   */
+  async calculateStockLevels(containerId: string): Promise<StockLevel> {
+    const container = await this.requireContainer(containerId);
+    return toStockLevel(container, await this.deps.ledger.findByContainer(containerId));
+  }
+
+  /**
+   * Ledger entries of a container, or of one of its slots, oldest first
+   */
+  async getLedger(containerId: string, slot?: string): Promise<StockLedgerEntry[]> {
+    return this.deps.ledger.findByContainer(containerId, slot);
+  }
+
+  private async append(
+    containerId: string,
+    slot: string,
+    productId: string,
+    type: StockLedgerEntry['type'],
+    quantity: number,
+    occurredAt: Date,
+    details: Pick<StockLedgerEntry, 'reference' | 'reason' | 'userId'>
+  ): Promise<StockLedgerEntry> {
+    const now = this.now();
+    return this.deps.ledger.save({
+      id: generateEntityId(),
+      containerId,
+      slot,
+      productId,
+      type,
+      quantity,
+      occurredAt,
+      ...details,
+      createdAt: now,
+      updatedAt: now
+    });
+  }
+
+  private async requireContainer(containerId: string): Promise<Container> {
+    const container = await this.deps.containers.findById(containerId);
+    if (!container) {
+      throw new StockReconciliationError('CONTAINER_NOT_FOUND', `Container not found: ${containerId}`);
+    }
+    return container;
+  }
+
+  private async attempt<T>(task: () => Promise<T>): Promise<Result<T, StockReconciliationError>> {
+    try {
+      return success(await task());
+    } catch (error) {
+      if (error instanceof StockReconciliationError) {
+        return failure(error);
+      }
+      throw error;
+    }
+  }
+}
+
+// ========================================
+// Helpers
+// ========================================
+
+/**
+ * Take units of a product from the slots holding the most of it, updating
+ * the stock as it goes. Units the ledger does not have are taken from the
+ * fullest slot anyway (or "unassigned"), for reconciliation to sort out.
+ */
+function takeFromSlots(stock: { slot: string; productId: string; quantity: number }[], productId: string, quantity: number): { slot: string; quantity: number }[] {
+  const holding = stock
+    .filter(entry => entry.productId === productId && entry.quantity > 0)
+    .sort((a, b) => b.quantity - a.quantity);
+  const takes: { slot: string; quantity: number }[] = [];
+  let left = quantity;
+  for (const entry of holding) {
+    const taken = Math.min(left, entry.quantity);
+    entry.quantity -= taken;
+    left -= taken;
+    takes.push({ slot: entry.slot, quantity: taken });
+    if (left === 0) {
+      break;
+    }
+  }
+  if (left > 0) {
+    const first = takes[0];
+    if (first) {
+      first.quantity += left;
+    } else {
+      takes.push({ slot: 'unassigned', quantity: left });
+    }
+  }
+  return takes;
+}
+
+function summarize(discrepancies: StockDiscrepancy[]): string {
+  const counts = new Map<string, number>();
+  for (const found of discrepancies) {
+    counts.set(found.type, (counts.get(found.type) ?? 0) + found.quantity);
+  }
+  return [...counts].map(([type, units]) => `${type.replace('_', ' ')} ${units}`).join(', ');
+}
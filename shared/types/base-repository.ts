@@ -5,6 +5,8 @@
  * across both BridgeServer and next-client projects.
  */
 
+import type { FilterExpression } from './filter-expression';
+
 /**
  * Basic filter options for repository queries
  */
@@ -14,7 +16,23 @@ export interface FilterOptions {
   sortBy?: string;
   sortOrder?: 'asc' | 'desc';
   search?: string;
-  filters?: Record<string, any>;
+
+  /**
+   * Field equality map, or a FilterExpression (use FilterExpression<Entity>
+   * at the call site to type-check field names and values)
+   */
+  filters?: Record<string, any> | FilterExpression;
+
+  /**
+   * Opaque cursor (PaginationMeta.nextCursor): return rows after it.
+   * Takes the place of offset; use either after or before.
+   */
+  after?: string;
+
+  /**
+   * Opaque cursor (PaginationMeta.prevCursor): return rows before it
+   */
+  before?: string;
 }
 
 /**
@@ -27,6 +45,16 @@ export interface PaginationMeta {
   totalPages: number;
   hasNext: boolean;
   hasPrevious: boolean;
+
+  /**
+   * Cursor for the following page (pass as FilterOptions.after)
+   */
+  nextCursor?: string;
+
+  /**
+   * Cursor for the preceding page (pass as FilterOptions.before)
+   */
+  prevCursor?: string;
 }
 
 /**
@@ -3,9 +3,46 @@
  * 
  * These interfaces define the contract for domain entities across both
  * BridgeServer and next-client projects following DDD principles.
+ *
+ * Entity and value object fields are inferred from the zod schemas in
+ * domain-schemas.ts; change the schema to change the shape.
  */
 
+import type { z } from 'zod';
 import type { DomainEvent } from './base-repository';
+import type {
+  BaseEntitySchema,
+  SoftDeletableEntitySchema,
+  AuditableEntitySchema,
+  UserSchema,
+  UserProfileSchema,
+  UserPreferencesSchema,
+  NotificationPreferencesSchema,
+  AddressSchema,
+  CoordinatesSchema,
+  ControllerSchema,
+  DeviceSchema,
+  ContainerSchema,
+  OrderSchema,
+  OrderItemSchema,
+  PaymentSchema,
+  PaymentMethodSchema,
+  ProvisioningTargetSchema,
+  ClaimCodeSchema,
+  DeviceCredentialSchema,
+  WebhookProviderSchema,
+  WebhookEventStatusSchema,
+  WebhookEventRecordSchema,
+  DeadLetterWebhookSchema,
+  TaxRuleSchema,
+  PaymentFeeRuleSchema,
+  DeliveryFeeRuleSchema,
+  PromotionRuleSchema,
+  PricingRulesSchema,
+  PricingRuleSetSchema,
+  StockMovementTypeSchema,
+  StockLedgerEntrySchema
+} from './domain-schemas';
 
 // Re-export DomainEvent so it's available from this module
 export type { DomainEvent } from './base-repository';
@@ -18,28 +55,17 @@ export type EntityId = string;
 /**
  * Base interface for all domain entities
  */
-export interface BaseEntity {
-  id: EntityId;
-  createdAt: Date;
-  updatedAt: Date;
-}
+export interface BaseEntity extends z.infer<typeof BaseEntitySchema> {}
 
 /**
  * Interface for entities that can be soft deleted
  */
-export interface SoftDeletableEntity extends BaseEntity {
-  deletedAt?: Date;
-  isDeleted: boolean;
-}
+export interface SoftDeletableEntity extends z.infer<typeof SoftDeletableEntitySchema> {}
 
 /**
  * Interface for entities with audit information
  */
-export interface AuditableEntity extends BaseEntity {
-  createdBy?: string;
-  updatedBy?: string;
-  version: number;
-}
+export interface AuditableEntity extends z.infer<typeof AuditableEntitySchema> {}
 
 /**
  * Base aggregate root interface for DDD aggregates
@@ -88,195 +114,121 @@ export interface ValueObject {
 /**
  * User entity - shared between both services
  */
-export interface User extends AuditableEntity {
-  name: string;
-  email: string;
-  role: UserRole;
-  externalId?: string;
-  phoneNumber?: string;
-  isActive: boolean;
-  lastLoginAt?: Date;
-  profile?: UserProfile;
-}
+export interface User extends z.infer<typeof UserSchema> {}
 
 /**
  * User profile entity
  */
-export interface UserProfile extends BaseEntity {
-  userId: string;
-  firstName?: string;
-  lastName?: string;
-  avatar?: string;
-  preferences: UserPreferences;
-  address?: Address;
-}
+export interface UserProfile extends z.infer<typeof UserProfileSchema> {}
 
 /**
  * User preferences value object
  */
-export interface UserPreferences extends ValueObject {
-  language: string;
-  timezone: string;
-  notifications: NotificationPreferences;
-  theme: 'light' | 'dark' | 'auto';
-}
+export interface UserPreferences extends z.infer<typeof UserPreferencesSchema>, ValueObject {}
 
 /**
  * Notification preferences
  */
-export interface NotificationPreferences {
-  email: boolean;
-  sms: boolean;
-  push: boolean;
-  orderUpdates: boolean;
-  systemAlerts: boolean;
-  marketing: boolean;
-}
+export interface NotificationPreferences extends z.infer<typeof NotificationPreferencesSchema> {}
 
 /**
  * Address value object
  */
-export interface Address extends ValueObject {
-  street: string;
-  city: string;
-  state?: string;
-  postalCode: string;
-  country: string;
-  coordinates?: Coordinates;
-}
+export interface Address extends z.infer<typeof AddressSchema>, ValueObject {}
 
 /**
  * Coordinates value object
  */
-export interface Coordinates extends ValueObject {
-  latitude: number;
-  longitude: number;
-  accuracy?: number;
-}
+export interface Coordinates extends z.infer<typeof CoordinatesSchema>, ValueObject {}
 
 /**
  * Controller entity - shared between both services
  */
-export interface Controller extends AuditableEntity {
-  name: string;
-  location?: string;
-  coordinates?: Coordinates;
-  ipAddress?: string;
-  macAddress?: string;
-  serialNumber?: string;
-  hardwareSignature?: string;
-  apiEndpoint?: string;
-  deviceType: DeviceType;
-  connectionType: ConnectionType;
-  status: ControllerStatus;
-  capabilities: string[];
-  osInfo?: string;
-  metadata?: Record<string, any>;
-  token?: string;
-  lastSeen: Date;
-  description?: string;
-}
+export interface Controller extends z.infer<typeof ControllerSchema> {}
 
 /**
  * Device entity - shared between both services
  */
-export interface Device extends AuditableEntity {
-  macAddress: string;
-  ipAddress: string;
-  firmwareVersion: string;
-  token: string;
-  status: DeviceStatus;
-  deviceType: DeviceType;
-  lastSeen: Date;
-  containerId?: string;
-  shelfLevel?: number;
-  position?: string;
-  name?: string;
-  description?: string;
-  batteryLevel?: number;
-  temperature?: number;
-}
+export interface Device extends z.infer<typeof DeviceSchema> {}
 
 /**
  * Container entity - shared between both services
  */
-export interface Container extends AuditableEntity {
-  controllerId: string;
-  name: string;
-  description?: string;
-  deviceType: DeviceType;
-  position?: string;
-  shelfLevel?: number;
-  capacity: number;
-  isActive: boolean;
-  status: ContainerStatus;
-  location?: string;
-  metadata?: Record<string, any>;
-}
+export interface Container extends z.infer<typeof ContainerSchema> {}
+
+/**
+ * Kind of hardware a claim code or credential is for
+ */
+export type ProvisioningTarget = z.infer<typeof ProvisioningTargetSchema>;
+
+/**
+ * One-time provisioning claim code - BridgeServer
+ */
+export interface ClaimCode extends z.infer<typeof ClaimCodeSchema> {}
+
+/**
+ * Controller/device bearer credential - BridgeServer
+ */
+export interface DeviceCredential extends z.infer<typeof DeviceCredentialSchema> {}
 
 /**
  * Order entity - primarily Next-Client but read by BridgeServer
  */
-export interface Order extends AuditableEntity {
-  userId: string;
-  containerId?: string;
-  status: OrderStatus;
-  totalAmount: number;
-  subtotal: number;
-  tax: number;
-  deliveryFee: number;
-  discountAmount?: number;
-  paymentMethod: string;
-  paymentStatus: PaymentStatus;
-  deliveryAddress?: Address;
-  estimatedDeliveryTime?: Date;
-  actualDeliveryTime?: Date;
-  notes?: string;
-  items: OrderItem[];
-}
+export interface Order extends z.infer<typeof OrderSchema> {}
 
 /**
  * Order item value object
  */
-export interface OrderItem extends ValueObject {
-  productId: string;
-  productName: string;
-  quantity: number;
-  unitPrice: number;
-  totalPrice: number;
-  metadata?: Record<string, any>;
-}
+export interface OrderItem extends z.infer<typeof OrderItemSchema>, ValueObject {}
 
 /**
  * Payment entity - primarily Next-Client
  */
-export interface Payment extends AuditableEntity {
-  userId: string;
-  orderId?: string;
-  sessionId?: string;
-  paymentMethodId?: string;
-  stripePaymentIntentId?: string;
-  amount: number;
-  currency: string;
-  status: PaymentStatus;
-  description?: string;
-  metadata?: Record<string, any>;
-}
+export interface Payment extends z.infer<typeof PaymentSchema> {}
 
 /**
  * Payment method entity - primarily Next-Client
  */
-export interface PaymentMethod extends AuditableEntity {
-  userId: string;
-  stripePaymentMethodId: string;
-  type: PaymentMethodType;
-  brand?: string;
-  lastFour?: string;
-  expiryMonth?: number;
-  expiryYear?: number;
-  isDefault: boolean;
-  isActive: boolean;
-}
+export interface PaymentMethod extends z.infer<typeof PaymentMethodSchema> {}
+
+/**
+ * Payment provider that sends webhooks
+ */
+export type WebhookProvider = z.infer<typeof WebhookProviderSchema>;
+
+export type WebhookEventStatus = z.infer<typeof WebhookEventStatusSchema>;
+
+/**
+ * Processed (or in-flight) provider webhook event - Next-Client
+ */
+export interface WebhookEventRecord extends z.infer<typeof WebhookEventRecordSchema> {}
+
+/**
+ * Webhook delivery parked for replay - Next-Client
+ */
+export interface DeadLetterWebhook extends z.infer<typeof DeadLetterWebhookSchema> {}
+
+export interface TaxRule extends z.infer<typeof TaxRuleSchema> {}
+export interface PaymentFeeRule extends z.infer<typeof PaymentFeeRuleSchema> {}
+export interface DeliveryFeeRule extends z.infer<typeof DeliveryFeeRuleSchema> {}
+export interface PromotionRule extends z.infer<typeof PromotionRuleSchema> {}
+
+/**
+ * Taxes, payment fees, delivery fees, promotions and rounding in force
+ */
+export interface PricingRules extends z.infer<typeof PricingRulesSchema> {}
+
+/**
+ * Published, dated version of the pricing rules - Next-Client
+ */
+export interface PricingRuleSet extends z.infer<typeof PricingRuleSetSchema> {}
+
+export type StockMovementType = z.infer<typeof StockMovementTypeSchema>;
+
+/**
+ * Signed stock movement in a container slot - BridgeServer (inventory)
+ */
+export interface StockLedgerEntry extends z.infer<typeof StockLedgerEntrySchema> {}
 
 // ========================================
 // Enumerations and Status Types
@@ -352,7 +304,8 @@ export enum PaymentStatus {
 export enum PaymentMethodType {
   CARD = 'card',
   BANK_ACCOUNT = 'bank_account',
-  DIGITAL_WALLET = 'digital_wallet'
+  DIGITAL_WALLET = 'digital_wallet',
+  PIX = 'pix'
 }
 
 // ========================================
@@ -487,6 +440,25 @@ export interface PaymentMethodAdded extends DomainEvent {
   };
 }
 
+/**
+ * Domain events keyed by their type name (see DOMAIN_EVENT_TYPES)
+ */
+export interface DomainEventMap {
+  UserRegistered: UserRegistered;
+  UserProfileUpdated: UserProfileUpdated;
+  ControllerStatusChanged: ControllerStatusChanged;
+  ControllerRegistered: ControllerRegistered;
+  DeviceStatusChanged: DeviceStatusChanged;
+  DeviceRegistered: DeviceRegistered;
+  ContainerStatusChanged: ContainerStatusChanged;
+  OrderCreated: OrderCreated;
+  OrderStatusChanged: OrderStatusChanged;
+  PaymentProcessed: PaymentProcessed;
+  PaymentMethodAdded: PaymentMethodAdded;
+}
+
+export type DomainEventType = keyof DomainEventMap;
+
 // ========================================
 // Utility Types
 // ========================================
@@ -0,0 +1,534 @@
+/**
+ * Runtime Schemas for Domain Entities, Value Objects and Commands
+ *
+ * These zod schemas are the single source of truth for the shape of shared
+ * domain data. The interfaces in domain-entities.ts and the command types in
+ * service-ports.ts are inferred from them, so runtime validation at the
+ * BridgeServer/next-client boundary cannot drift from the static types.
+ *
+ * Date fields use coercion so ISO strings from JSON payloads parse to Date.
+ */
+
+import { z } from "zod";
+
+import {
+  UserRole,
+  DeviceType,
+  ConnectionType,
+  ControllerStatus,
+  DeviceStatus,
+  ContainerStatus,
+  OrderStatus,
+  PaymentStatus,
+  PaymentMethodType
+} from './domain-entities';
+
+// ========================================
+// Primitives and Enumerations
+// ========================================
+
+export const EntityIdSchema = z.string().min(1);
+
+/**
+ * MAC address with ':' or '-' separators, or none at all
+ */
+export const MacAddressSchema = z.string().regex(
+  /^[0-9A-Fa-f]{2}([:-]?[0-9A-Fa-f]{2}){5}$/,
+  "Invalid MAC address"
+);
+
+export const IpAddressSchema = z.union([z.ipv4(), z.ipv6()]);
+
+/**
+ * ISO 4217 currency code (e.g. BRL)
+ */
+export const CurrencyCodeSchema = z.string().regex(/^[A-Za-z]{3}$/, "Invalid currency code");
+
+const MetadataSchema = z.record(z.string(), z.any());
+
+export const UserRoleSchema = z.enum(UserRole);
+export const DeviceTypeSchema = z.enum(DeviceType);
+export const ConnectionTypeSchema = z.enum(ConnectionType);
+export const ControllerStatusSchema = z.enum(ControllerStatus);
+export const DeviceStatusSchema = z.enum(DeviceStatus);
+export const ContainerStatusSchema = z.enum(ContainerStatus);
+export const OrderStatusSchema = z.enum(OrderStatus);
+export const PaymentStatusSchema = z.enum(PaymentStatus);
+export const PaymentMethodTypeSchema = z.enum(PaymentMethodType);
+
+// ========================================
+// Base Entity Schemas
+// ========================================
+
+export const BaseEntitySchema = z.object({
+  id: EntityIdSchema,
+  createdAt: z.coerce.date(),
+  updatedAt: z.coerce.date(),
+});
+
+export const SoftDeletableEntitySchema = BaseEntitySchema.extend({
+  deletedAt: z.coerce.date().optional(),
+  isDeleted: z.boolean(),
+});
+
+export const AuditableEntitySchema = BaseEntitySchema.extend({
+  createdBy: z.string().optional(),
+  updatedBy: z.string().optional(),
+  version: z.number().int().min(0),
+});
+
+// ========================================
+// Value Object Schemas
+// ========================================
+
+export const CoordinatesSchema = z.object({
+  latitude: z.number().min(-90).max(90),
+  longitude: z.number().min(-180).max(180),
+  accuracy: z.number().min(0).optional(),
+});
+
+export const AddressSchema = z.object({
+  street: z.string().min(1),
+  city: z.string().min(1),
+  state: z.string().optional(),
+  postalCode: z.string().min(1),
+  country: z.string().min(1),
+  coordinates: CoordinatesSchema.optional(),
+});
+
+export const NotificationPreferencesSchema = z.object({
+  email: z.boolean(),
+  sms: z.boolean(),
+  push: z.boolean(),
+  orderUpdates: z.boolean(),
+  systemAlerts: z.boolean(),
+  marketing: z.boolean(),
+});
+
+export const UserPreferencesSchema = z.object({
+  language: z.string().min(1),
+  timezone: z.string().min(1),
+  notifications: NotificationPreferencesSchema,
+  theme: z.enum(["light", "dark", "auto"]),
+});
+
+export const OrderItemSchema = z.object({
+  productId: EntityIdSchema,
+  productName: z.string().min(1),
+  quantity: z.number().int().positive(),
+  unitPrice: z.number().min(0),
+  totalPrice: z.number().min(0),
+  metadata: MetadataSchema.optional(),
+});
+
+// ========================================
+// Entity Schemas
+// ========================================
+
+export const UserProfileSchema = BaseEntitySchema.extend({
+  userId: EntityIdSchema,
+  firstName: z.string().optional(),
+  lastName: z.string().optional(),
+  avatar: z.string().optional(),
+  preferences: UserPreferencesSchema,
+  address: AddressSchema.optional(),
+});
+
+export const UserSchema = AuditableEntitySchema.extend({
+  name: z.string().min(1),
+  email: z.email(),
+  role: UserRoleSchema,
+  externalId: z.string().optional(),
+  phoneNumber: z.string().optional(),
+  isActive: z.boolean(),
+  lastLoginAt: z.coerce.date().optional(),
+  profile: UserProfileSchema.optional(),
+});
+
+export const ControllerSchema = AuditableEntitySchema.extend({
+  name: z.string().min(1),
+  location: z.string().optional(),
+  coordinates: CoordinatesSchema.optional(),
+  ipAddress: z.string().optional(),
+  macAddress: z.string().optional(),
+  serialNumber: z.string().optional(),
+  hardwareSignature: z.string().optional(),
+  apiEndpoint: z.string().optional(),
+  deviceType: DeviceTypeSchema,
+  connectionType: ConnectionTypeSchema,
+  status: ControllerStatusSchema,
+  capabilities: z.array(z.string()),
+  osInfo: z.string().optional(),
+  metadata: MetadataSchema.optional(),
+  token: z.string().optional(),
+  lastSeen: z.coerce.date(),
+  description: z.string().optional(),
+});
+
+export const DeviceSchema = AuditableEntitySchema.extend({
+  macAddress: MacAddressSchema,
+  ipAddress: z.string(),
+  firmwareVersion: z.string(),
+  token: z.string(),
+  status: DeviceStatusSchema,
+  deviceType: DeviceTypeSchema,
+  lastSeen: z.coerce.date(),
+  containerId: EntityIdSchema.optional(),
+  shelfLevel: z.number().int().min(0).optional(),
+  position: z.string().optional(),
+  name: z.string().optional(),
+  description: z.string().optional(),
+  batteryLevel: z.number().min(0).max(100).optional(),
+  temperature: z.number().optional(),
+});
+
+export const ContainerSchema = AuditableEntitySchema.extend({
+  controllerId: EntityIdSchema,
+  name: z.string().min(1),
+  description: z.string().optional(),
+  deviceType: DeviceTypeSchema,
+  position: z.string().optional(),
+  shelfLevel: z.number().int().min(0).optional(),
+  capacity: z.number().int().min(0),
+  isActive: z.boolean(),
+  status: ContainerStatusSchema,
+  location: z.string().optional(),
+  metadata: MetadataSchema.optional(),
+});
+
+export const ProvisioningTargetSchema = z.enum(["controller", "device"]);
+
+/**
+ * One-time enrollment code. Only the SHA-256 hash of the code is stored.
+ */
+export const ClaimCodeSchema = BaseEntitySchema.extend({
+  codeHash: z.string().min(1),
+  target: ProvisioningTargetSchema,
+  deviceType: DeviceTypeSchema,
+  controllerId: EntityIdSchema.optional(), // devices: controller they attach to
+  containerId: EntityIdSchema.optional(),
+  location: z.string().optional(),
+  hardwareSignature: z.string().optional(), // pre-bound hardware, if known
+  expiresAt: z.coerce.date(),
+  usedAt: z.coerce.date().optional(),
+  claimedBy: EntityIdSchema.optional(), // controller/device created by the claim
+  createdBy: z.string().optional(),
+});
+
+/**
+ * Bearer credential issued to a controller or device, bound to its
+ * hardware signature. Only the SHA-256 hash of the token is stored.
+ */
+export const DeviceCredentialSchema = BaseEntitySchema.extend({
+  subjectType: ProvisioningTargetSchema,
+  subjectId: EntityIdSchema,
+  tokenHash: z.string().min(1),
+  hardwareSignature: z.string().min(1),
+  issuedAt: z.coerce.date(),
+  rotateAfter: z.coerce.date(),
+  expiresAt: z.coerce.date(),
+  revokedAt: z.coerce.date().optional(),
+  revokedReason: z.string().optional(),
+  replacedBy: EntityIdSchema.optional(),
+});
+
+export const OrderSchema = AuditableEntitySchema.extend({
+  userId: EntityIdSchema,
+  containerId: EntityIdSchema.optional(),
+  status: OrderStatusSchema,
+  totalAmount: z.number().min(0),
+  subtotal: z.number().min(0),
+  tax: z.number().min(0),
+  deliveryFee: z.number().min(0),
+  discountAmount: z.number().min(0).optional(),
+  paymentMethod: z.string(),
+  paymentStatus: PaymentStatusSchema,
+  deliveryAddress: AddressSchema.optional(),
+  estimatedDeliveryTime: z.coerce.date().optional(),
+  actualDeliveryTime: z.coerce.date().optional(),
+  notes: z.string().optional(),
+  items: z.array(OrderItemSchema),
+});
+
+export const PaymentSchema = AuditableEntitySchema.extend({
+  userId: EntityIdSchema,
+  orderId: EntityIdSchema.optional(),
+  sessionId: z.string().optional(),
+  paymentMethodId: z.string().optional(),
+  stripePaymentIntentId: z.string().optional(),
+  pixTxid: z.string().optional(), // txid of the PIX charge (cob)
+  amount: z.number().min(0), // authorized maximum until captured, then the captured amount
+  authorizedAmount: z.number().min(0).optional(),
+  capturedAmount: z.number().min(0).optional(),
+  refundedAmount: z.number().min(0).optional(),
+  authorizedAt: z.coerce.date().optional(),
+  capturedAt: z.coerce.date().optional(),
+  currency: CurrencyCodeSchema,
+  status: PaymentStatusSchema,
+  description: z.string().optional(),
+  metadata: MetadataSchema.optional(),
+});
+
+export const PaymentMethodSchema = AuditableEntitySchema.extend({
+  userId: EntityIdSchema,
+  stripePaymentMethodId: z.string().min(1),
+  type: PaymentMethodTypeSchema,
+  brand: z.string().optional(),
+  lastFour: z.string().regex(/^\d{4}$/).optional(),
+  expiryMonth: z.number().int().min(1).max(12).optional(),
+  expiryYear: z.number().int().optional(),
+  isDefault: z.boolean(),
+  isActive: z.boolean(),
+});
+
+export const WebhookProviderSchema = z.enum(["stripe", "pix"]);
+
+export const WebhookEventStatusSchema = z.enum(["processing", "processed", "ignored", "failed", "dead_lettered"]);
+
+/**
+ * Idempotency record of a provider webhook event, unique per
+ * (provider, eventId)
+ */
+export const WebhookEventRecordSchema = BaseEntitySchema.extend({
+  provider: WebhookProviderSchema,
+  eventId: z.string().min(1),
+  eventType: z.string().min(1),
+  status: WebhookEventStatusSchema,
+  attempts: z.number().int().min(0),
+  occurredAt: z.coerce.date(), // when the provider says it happened
+  receivedAt: z.coerce.date(), // first delivery
+  processedAt: z.coerce.date().optional(),
+  paymentId: EntityIdSchema.optional(),
+  lastError: z.string().optional(),
+});
+
+/**
+ * Webhook delivery that could not be processed, kept for replay
+ */
+export const DeadLetterWebhookSchema = BaseEntitySchema.extend({
+  provider: WebhookProviderSchema,
+  eventId: z.string().optional(), // absent when the body could not be parsed
+  eventType: z.string().optional(),
+  body: z.string(), // raw body as delivered
+  error: z.string(),
+  attempts: z.number().int().min(1),
+  failedAt: z.coerce.date(),
+  replayedAt: z.coerce.date().optional(),
+  resolvedAt: z.coerce.date().optional(),
+  resolution: z.string().optional(),
+});
+
+// ========================================
+// Pricing Rule Schemas
+// ========================================
+
+export const RoundingModeSchema = z.enum(["half-up", "half-even", "down", "up"]);
+
+/**
+ * Location keys are hyphen-separated, broadest first ("BR-SP-CAMPINAS"); a
+ * rule listing "BR-SP" covers every location below it
+ */
+const PricingLocationsSchema = z.array(z.string().min(1)).optional(); // absent: everywhere
+
+const RateSchema = z.number().min(0).max(1); // fraction, 0.18 for 18%
+
+export const TaxRuleSchema = z.object({
+  type: z.string().min(1), // e.g. ICMS, ISS; one rate per type applies
+  rate: RateSchema,
+  locations: PricingLocationsSchema,
+  description: z.string().optional(),
+});
+
+export const PaymentFeeRuleSchema = z.object({
+  method: PaymentMethodTypeSchema,
+  percentage: RateSchema, // acquirer/PSP fee
+  fixed: z.number().min(0).default(0), // per transaction, decimal
+  minimum: z.number().min(0).optional(),
+  maximum: z.number().min(0).optional(),
+  platformPercentage: RateSchema.default(0),
+  platformFixed: z.number().min(0).default(0),
+});
+
+export const DeliveryFeeRuleSchema = z.object({
+  fee: z.number().min(0),
+  freeAbove: z.number().min(0).optional(), // discounted subtotal from which delivery is free
+  locations: PricingLocationsSchema,
+});
+
+export const PromotionRuleSchema = z.object({
+  id: z.string().min(1),
+  code: z.string().min(1).optional(), // absent: applied automatically
+  description: z.string().min(1),
+  type: z.enum(["percentage", "fixed"]),
+  value: z.number().positive(), // fraction for percentage, decimal amount for fixed
+  maxDiscount: z.number().positive().optional(),
+  minSubtotal: z.number().min(0).optional(),
+  productIds: z.array(EntityIdSchema).optional(), // absent: every item
+  paymentMethods: z.array(PaymentMethodTypeSchema).optional(),
+  locations: PricingLocationsSchema,
+  validFrom: z.coerce.date().optional(),
+  validUntil: z.coerce.date().optional(),
+  stackable: z.boolean().default(false), // otherwise only the best non-stackable promotion applies
+});
+
+/**
+ * Everything the pricing engine needs; stored as data so admins can change
+ * prices without a deploy
+ */
+export const PricingRulesSchema = z.object({
+  currency: CurrencyCodeSchema,
+  taxes: z.array(TaxRuleSchema).default([]),
+  paymentFees: z.array(PaymentFeeRuleSchema).default([]),
+  deliveryFees: z.array(DeliveryFeeRuleSchema).default([]),
+  promotions: z.array(PromotionRuleSchema).default([]),
+  rounding: z.object({
+    tax: RoundingModeSchema.default("half-up"),
+    discount: RoundingModeSchema.default("half-up"),
+    fees: RoundingModeSchema.default("half-up"),
+  }).default({ tax: "half-up", discount: "half-up", fees: "half-up" }),
+});
+
+/**
+ * A published version of the pricing rules; the latest one whose
+ * effectiveFrom has passed is in force
+ */
+export const PricingRuleSetSchema = AuditableEntitySchema.extend({
+  name: z.string().min(1),
+  effectiveFrom: z.coerce.date(),
+  rules: PricingRulesSchema,
+  notes: z.string().optional(),
+});
+
+// ========================================
+// Inventory Schemas
+// ========================================
+
+/**
+ * Same names as StockData.changeType; 'adjustment' entries are written by
+ * stock reconciliation
+ */
+export const StockMovementTypeSchema = z.enum(["restock", "sale", "adjustment"]);
+
+/**
+ * One signed movement of a product in a container slot. Entries are never
+ * changed; the stock of a slot is the sum of its entries.
+ */
+export const StockLedgerEntrySchema = BaseEntitySchema.extend({
+  containerId: EntityIdSchema,
+  slot: z.string().min(1), // ShelfSlot position, e.g. "A1"
+  productId: EntityIdSchema,
+  type: StockMovementTypeSchema,
+  quantity: z.number().int().refine(quantity => quantity !== 0, "quantity must not be zero"),
+  occurredAt: z.coerce.date(),
+  reference: z.string().optional(), // order id, restock id or reconciliation id
+  reason: z.string().optional(),
+  userId: EntityIdSchema.optional(),
+  metadata: MetadataSchema.optional(),
+});
+
+// ========================================
+// Command Schemas
+// ========================================
+
+export const RegisterUserCommandSchema = z.object({
+  email: z.email(),
+  password: z.string().min(8),
+  name: z.string().min(1),
+  role: z.string().optional(),
+  phoneNumber: z.string().optional(),
+});
+
+export const RegisterControllerCommandSchema = z.object({
+  name: z.string().min(1),
+  macAddress: MacAddressSchema,
+  location: z.string().optional(),
+  coordinates: CoordinatesSchema.optional(),
+  deviceType: z.string().min(1),
+  capabilities: z.array(z.string()),
+});
+
+export const RegisterDeviceCommandSchema = z.object({
+  macAddress: MacAddressSchema,
+  ipAddress: IpAddressSchema,
+  deviceType: z.string().min(1),
+  firmwareVersion: z.string().min(1),
+  controllerId: EntityIdSchema.optional(),
+});
+
+/**
+ * Sent by a controller or device on first boot to redeem a claim code
+ */
+export const ClaimProvisioningCommandSchema = z.object({
+  code: z.string().min(1),
+  hardwareSignature: z.string().min(1),
+  macAddress: MacAddressSchema,
+  serialNumber: z.string().optional(),
+  ipAddress: IpAddressSchema.optional(),
+  firmwareVersion: z.string().optional(),
+  name: z.string().min(1).optional(),
+  capabilities: z.array(z.string()).optional(),
+  connectionType: ConnectionTypeSchema.optional(),
+});
+
+export const CreateContainerCommandSchema = z.object({
+  name: z.string().min(1),
+  controllerId: EntityIdSchema,
+  deviceType: z.string().min(1),
+  capacity: z.number().int().min(0),
+  position: z.string().optional(),
+  description: z.string().optional(),
+});
+
+/**
+ * Order line as submitted by clients (price is the quoted unit price)
+ */
+export const OrderItemInputSchema = z.object({
+  productId: EntityIdSchema,
+  quantity: z.number().int().positive(),
+  price: z.number().min(0),
+});
+
+export const CreateOrderCommandSchema = z.object({
+  userId: EntityIdSchema,
+  items: z.array(OrderItemInputSchema).min(1),
+  deliveryAddress: z.string().optional(),
+  paymentMethodId: z.string().optional(),
+  containerId: EntityIdSchema.optional(),
+});
+
+export const ProcessPaymentCommandSchema = z.object({
+  amount: z.number().positive(),
+  currency: CurrencyCodeSchema,
+  paymentMethodId: z.string().min(1),
+  orderId: EntityIdSchema.optional(),
+  description: z.string().optional(),
+});
+
+export const UpdateProfileCommandSchema = z.object({
+  name: z.string().min(1).optional(),
+  phoneNumber: z.string().optional(),
+  preferences: MetadataSchema.optional(),
+  address: z.string().optional(),
+});
+
+export const ScheduleMaintenanceCommandSchema = z.object({
+  scheduledDate: z.coerce.date(),
+  maintenanceType: z.string().min(1),
+  description: z.string(),
+  estimatedDuration: z.number().int().positive(), // minutes
+  assignedTechnician: z.string().optional(),
+});
+
+export const UpdateDeliveryCommandSchema = z.object({
+  estimatedDeliveryTime: z.coerce.date().optional(),
+  actualDeliveryTime: z.coerce.date().optional(),
+  deliveryNotes: z.string().optional(),
+  trackingNumber: z.string().optional(),
+});
+
+export const SavePaymentMethodCommandSchema = z.object({
+  type: z.string().min(1),
+  stripePaymentMethodId: z.string().min(1),
+  isDefault: z.boolean().optional(),
+  billingAddress: z.string().optional(),
+});
@@ -0,0 +1,305 @@
+/**
+ * Filter Expressions
+ *
+ * Typed filter AST for FilterOptions.filters. Field conditions (eq, ne, in,
+ * gt/gte/lt/lte, between, contains, isNull) combine with and/or/not, and are
+ * bound to an entity's fields through FilterExpression<T>. The zod schemas
+ * validate expressions arriving over tRPC (with an optional field
+ * whitelist), and evaluateFilter() is the reference evaluator used by the
+ * in-memory adapters. Database adapters translate the same AST to SQL.
+ *
+ * Dates may be given as Date or ISO string; strings are parsed when the
+ * entity field holds a Date.
+ */
+
+import { z } from "zod";
+
+import {
+  ControllerSchema,
+  DeviceSchema,
+  ContainerSchema,
+  OrderSchema,
+  PaymentSchema,
+  UserSchema,
+} from "./domain-schemas";
+
+// ========================================
+// Expression Types
+// ========================================
+
+export type FilterScalar = string | number | boolean | Date | null;
+
+type FieldOf<T> = Extract<keyof T, string>;
+
+/**
+ * Accepted value for a field; untyped records accept any scalar
+ */
+type FieldValue<V> = unknown extends V ? FilterScalar : Exclude<V, undefined>;
+
+type OrderedValue<V> = unknown extends V ? string | number | Date : Extract<Exclude<V, undefined>, string | number | Date> | (Date extends V ? string : never);
+
+type ElementValue<V> = unknown extends V ? FilterScalar : NonNullable<V> extends readonly (infer E)[] ? E : string;
+
+type FieldCondition<T, K extends FieldOf<T>> =
+  | { op: "eq" | "ne"; field: K; value: FieldValue<T[K]> }
+  | { op: "in"; field: K; values: FieldValue<T[K]>[] }
+  | { op: "gt" | "gte" | "lt" | "lte"; field: K; value: OrderedValue<T[K]> }
+  | { op: "between"; field: K; from: OrderedValue<T[K]>; to: OrderedValue<T[K]> }
+  | { op: "contains"; field: K; value: ElementValue<T[K]>; caseSensitive?: boolean }
+  | { op: "isNull"; field: K };
+
+/**
+ * A single-field condition on T
+ */
+export type FilterCondition<T = Record<string, unknown>> = {
+  [K in FieldOf<T>]: FieldCondition<T, K>;
+}[FieldOf<T>];
+
+export type FilterExpression<T = Record<string, unknown>> =
+  | FilterCondition<T>
+  | { op: "and"; conditions: FilterExpression<T>[] }
+  | { op: "or"; conditions: FilterExpression<T>[] }
+  | { op: "not"; condition: FilterExpression<T> };
+
+export type FilterOperator = FilterExpression["op"];
+
+export const FILTER_OPERATORS = [
+  "eq", "ne", "in", "gt", "gte", "lt", "lte", "between", "contains", "isNull", "and", "or", "not",
+] as const satisfies readonly FilterOperator[];
+
+/**
+ * Nesting limit enforced by the schemas, so clients cannot send
+ * arbitrarily deep expressions
+ */
+export const MAX_FILTER_DEPTH = 8;
+
+/**
+ * Limit on the total number of nodes in one expression
+ */
+export const MAX_FILTER_NODES = 100;
+
+// ========================================
+// Schemas
+// ========================================
+
+export const FilterScalarSchema = z.union([z.string(), z.number(), z.boolean(), z.date(), z.null()]);
+
+const OrderedScalarSchema = z.union([z.string(), z.number(), z.date()]);
+
+/**
+ * Schema for filter expressions. With `fields`, only those field names (or
+ * dotted paths below them) are accepted.
+ */
+export function createFilterExpressionSchema(fields?: readonly string[]) {
+  const allowed = fields ? new Set(fields) : undefined;
+  const field = z.string().min(1).refine(
+    path => !allowed || allowed.has(path.split(".")[0] ?? ""),
+    { message: "Unknown filter field" }
+  );
+
+  const expression: z.ZodType<FilterExpression> = z.lazy(() =>
+    z.discriminatedUnion("op", [
+      z.object({ op: z.enum(["eq", "ne"]), field, value: FilterScalarSchema }),
+      z.object({ op: z.literal("in"), field, values: z.array(FilterScalarSchema).min(1) }),
+      z.object({ op: z.enum(["gt", "gte", "lt", "lte"]), field, value: OrderedScalarSchema }),
+      z.object({ op: z.literal("between"), field, from: OrderedScalarSchema, to: OrderedScalarSchema }),
+      z.object({ op: z.literal("contains"), field, value: FilterScalarSchema, caseSensitive: z.boolean().optional() }),
+      z.object({ op: z.literal("isNull"), field }),
+      z.object({ op: z.enum(["and", "or"]), conditions: z.array(expression).min(1) }),
+      z.object({ op: z.literal("not"), condition: expression }),
+    ])
+  ) as z.ZodType<FilterExpression>;
+
+  // Measured before the recursive parse, which would otherwise exhaust the
+  // stack on a deeply nested payload before any limit is checked
+  const bounded = z.unknown().superRefine((value, ctx) => {
+    const { depth, nodes } = measureNodes(value, MAX_FILTER_DEPTH, MAX_FILTER_NODES);
+    if (depth > MAX_FILTER_DEPTH) {
+      ctx.addIssue({ code: "custom", message: `Filter nesting exceeds ${MAX_FILTER_DEPTH} levels` });
+    }
+    if (nodes > MAX_FILTER_NODES) {
+      ctx.addIssue({ code: "custom", message: `Filter has more than ${MAX_FILTER_NODES} conditions` });
+    }
+  });
+
+  return bounded.pipe(expression);
+}
+
+/**
+ * Filter expression over any field name
+ */
+export const FilterExpressionSchema = createFilterExpressionSchema();
+
+// Credentials are never filterable: a prefix or range query would reveal
+// them a character at a time
+export const ControllerFilterSchema = createFilterExpressionSchema(
+  ControllerSchema.omit({ token: true, hardwareSignature: true }).keyof().options
+);
+export const DeviceFilterSchema = createFilterExpressionSchema(DeviceSchema.omit({ token: true }).keyof().options);
+export const ContainerFilterSchema = createFilterExpressionSchema(ContainerSchema.keyof().options);
+export const OrderFilterSchema = createFilterExpressionSchema(OrderSchema.keyof().options);
+export const PaymentFilterSchema = createFilterExpressionSchema(PaymentSchema.keyof().options);
+export const UserFilterSchema = createFilterExpressionSchema(UserSchema.keyof().options);
+
+// ========================================
+// Evaluation
+// ========================================
+
+/**
+ * Distinguish a filter expression from a legacy equality map
+ */
+export function isFilterExpression(value: unknown): value is FilterExpression {
+  if (value === null || typeof value !== "object" || Array.isArray(value)) {
+    return false;
+  }
+  const op = (value as { op?: unknown }).op;
+  return typeof op === "string" && (FILTER_OPERATORS as readonly string[]).includes(op);
+}
+
+/**
+ * Evaluate an expression against an entity. Fields may be dotted paths
+ * into nested objects (e.g. "coordinates.latitude").
+ */
+export function evaluateFilter<T>(expression: FilterExpression<T>, entity: T): boolean {
+  return evaluateNode(expression as FilterExpression, entity);
+}
+
+/**
+ * Compile an expression into a reusable predicate
+ */
+export function compileFilter<T>(expression: FilterExpression<T>): (entity: T) => boolean {
+  return entity => evaluateFilter(expression, entity);
+}
+
+/**
+ * Nesting depth and node count of an expression
+ */
+export function measureFilter(expression: FilterExpression<any>): { depth: number; nodes: number } {
+  return measureNodes(expression, Infinity, Infinity);
+}
+
+/**
+ * Iterative walk over and/or/not nodes of a possibly unvalidated value,
+ * stopping once either limit is passed
+ */
+function measureNodes(value: unknown, maxDepth: number, maxNodes: number): { depth: number; nodes: number } {
+  const pending: { node: unknown; depth: number }[] = [{ node: value, depth: 1 }];
+  let depth = 0;
+  let nodes = 0;
+  while (pending.length > 0 && depth <= maxDepth && nodes <= maxNodes) {
+    const { node, depth: level } = pending.pop()!;
+    nodes++;
+    depth = Math.max(depth, level);
+    if (node === null || typeof node !== "object") {
+      continue;
+    }
+    const { op, conditions, condition } = node as { op?: unknown; conditions?: unknown; condition?: unknown };
+    if ((op === "and" || op === "or") && Array.isArray(conditions)) {
+      for (const child of conditions) {
+        pending.push({ node: child, depth: level + 1 });
+      }
+    } else if (op === "not") {
+      pending.push({ node: condition, depth: level + 1 });
+    }
+  }
+  return { depth, nodes };
+}
+
+function evaluateNode(node: FilterExpression, entity: unknown): boolean {
+  switch (node.op) {
+    case "and":
+      return node.conditions.every(condition => evaluateNode(condition, entity));
+    case "or":
+      return node.conditions.some(condition => evaluateNode(condition, entity));
+    case "not":
+      return !evaluateNode(node.condition, entity);
+  }
+
+  const actual = readField(entity, node.field);
+
+  switch (node.op) {
+    case "eq":
+      return scalarEquals(actual, node.value);
+    case "ne":
+      return !scalarEquals(actual, node.value);
+    case "in":
+      return node.values.some(value => scalarEquals(actual, value));
+    case "gt":
+      return compareOrdered(actual, node.value, result => result > 0);
+    case "gte":
+      return compareOrdered(actual, node.value, result => result >= 0);
+    case "lt":
+      return compareOrdered(actual, node.value, result => result < 0);
+    case "lte":
+      return compareOrdered(actual, node.value, result => result <= 0);
+    case "between":
+      return compareOrdered(actual, node.from, result => result >= 0) && compareOrdered(actual, node.to, result => result <= 0);
+    case "contains":
+      return contains(actual, node.value, node.caseSensitive ?? false);
+    case "isNull":
+      return actual === null || actual === undefined;
+  }
+}
+
+function readField(entity: unknown, path: string): unknown {
+  let current: unknown = entity;
+  for (const segment of path.split(".")) {
+    if (current === null || typeof current !== "object") {
+      return undefined;
+    }
+    current = (current as Record<string, unknown>)[segment];
+  }
+  return current;
+}
+
+/**
+ * Bring the filter value to the field's type: ISO strings against Date fields
+ */
+function align(actual: unknown, expected: unknown): unknown {
+  if (actual instanceof Date && typeof expected === "string") {
+    const parsed = new Date(expected);
+    return Number.isNaN(parsed.getTime()) ? expected : parsed;
+  }
+  return expected;
+}
+
+function scalarEquals(actual: unknown, expected: unknown): boolean {
+  if (expected === null) {
+    return actual === null || actual === undefined;
+  }
+  const value = align(actual, expected);
+  if (actual instanceof Date && value instanceof Date) {
+    return actual.getTime() === value.getTime();
+  }
+  return actual === value;
+}
+
+function compareOrdered(actual: unknown, expected: unknown, test: (result: number) => boolean): boolean {
+  if (actual === null || actual === undefined) {
+    return false;
+  }
+
+  const value = align(actual, expected);
+  if (actual instanceof Date && value instanceof Date) {
+    return test(actual.getTime() - value.getTime());
+  }
+  if (typeof actual === "number" && typeof value === "number") {
+    return test(actual - value);
+  }
+  if (typeof actual === "string" && typeof value === "string") {
+    return test(actual < value ? -1 : actual > value ? 1 : 0);
+  }
+  return false;
+}
+
+function contains(actual: unknown, expected: unknown, caseSensitive: boolean): boolean {
+  if (Array.isArray(actual)) {
+    return actual.some(item => scalarEquals(item, expected));
+  }
+  if (typeof actual === "string" && typeof expected === "string") {
+    return caseSensitive
+      ? actual.includes(expected)
+      : actual.toLowerCase().includes(expected.toLowerCase());
+  }
+  return false;
+}
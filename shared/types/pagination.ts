@@ -0,0 +1,250 @@
+/**
+ * Cursor Pagination
+ *
+ * Opaque, signed cursors for keyset pagination alongside limit/offset.
+ * A cursor records the sort key (sortBy value + id tiebreak) of a boundary
+ * row, so pages stay stable while new rows are written. Cursors are
+ * HMAC-SHA256 signed with a server-side secret: clients cannot forge or
+ * edit them, and a cursor issued for one sort order is rejected for another.
+ *
+ * Signing uses Web Crypto, available in Node 20, browsers and edge runtimes.
+ */
+
+import { z } from "zod";
+
+import { FilterExpressionSchema } from "./filter-expression";
+
+/**
+ * Default pagination settings
+ */
+export const DEFAULT_PAGINATION = {
+  limit: 20,
+  offset: 0,
+  maxLimit: 100
+} as const;
+
+// ========================================
+// Schemas
+// ========================================
+
+/**
+ * `<base64url payload>.<base64url signature>`
+ */
+export const CursorSchema = z.string().regex(/^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/, "Invalid cursor");
+
+export const SortOrderSchema = z.enum(["asc", "desc"]);
+
+export const FilterOptionsSchema = z.object({
+  limit: z.number().int().min(1).max(100).optional(),
+  offset: z.number().int().min(0).optional(),
+  sortBy: z.string().min(1).optional(),
+  sortOrder: SortOrderSchema.optional(),
+  search: z.string().optional(),
+  filters: z.union([FilterExpressionSchema, z.record(z.string(), z.any())]).optional(),
+  after: CursorSchema.optional(),
+  before: CursorSchema.optional(),
+}).refine(options => !(options.after && options.before), {
+  message: "Use either after or before, not both",
+  path: ["before"],
+}).refine(options => !(options.offset && (options.after || options.before)), {
+  message: "offset cannot be combined with a cursor",
+  path: ["offset"],
+});
+
+export const PaginationMetaSchema = z.object({
+  total: z.number().int().min(0),
+  page: z.number().int().min(1),
+  limit: z.number().int().min(1),
+  totalPages: z.number().int().min(0),
+  hasNext: z.boolean(),
+  hasPrevious: z.boolean(),
+  nextCursor: CursorSchema.optional(),
+  prevCursor: CursorSchema.optional(),
+});
+
+/**
+ * Schema for PaginatedResponse<T> given the schema of T
+ */
+export function createPaginatedResponseSchema<T extends z.ZodType>(itemSchema: T) {
+  return z.object({
+    data: z.array(itemSchema),
+    meta: PaginationMetaSchema,
+  });
+}
+
+// ========================================
+// Cursor Encoding
+// ========================================
+
+export type CursorValue = string | number | boolean | null | Date;
+
+/**
+ * Position of a boundary row in a sorted result set
+ */
+export interface CursorPosition {
+  sortBy: string;
+  sortOrder: "asc" | "desc";
+  value: CursorValue;
+  id: string;
+}
+
+/**
+ * Raised for malformed, tampered or mismatched cursors
+ */
+export class InvalidCursorError extends Error {
+  constructor(message: string, public readonly cursor: string) {
+    super(message);
+    this.name = "InvalidCursorError";
+  }
+}
+
+interface EncodedPosition {
+  v: 1;
+  s: string;
+  o: "asc" | "desc";
+  k: [unknown, string];
+}
+
+const CURSOR_VERSION = 1;
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+const keyCache = new Map<string, Promise<CryptoKey>>();
+
+/**
+ * Build the cursor position of an entity for the given sort
+ */
+export function cursorPositionOf(
+  entity: { id: string },
+  sortBy: string,
+  sortOrder: "asc" | "desc"
+): CursorPosition {
+  const raw = (entity as unknown as Record<string, unknown>)[sortBy];
+  const value = raw === undefined || raw === null || raw instanceof Date || ["string", "number", "boolean"].includes(typeof raw)
+    ? (raw ?? null) as CursorValue
+    : String(raw);
+
+  return { sortBy, sortOrder, value, id: entity.id };
+}
+
+/**
+ * Encode and sign a cursor position
+ */
+export async function encodeCursor(position: CursorPosition, secret: string): Promise<string> {
+  const body: EncodedPosition = {
+    v: CURSOR_VERSION,
+    s: position.sortBy,
+    o: position.sortOrder,
+    k: [position.value instanceof Date ? { $d: position.value.toISOString() } : position.value, position.id],
+  };
+
+  const payload = encoder.encode(JSON.stringify(body));
+  const signature = new Uint8Array(await crypto.subtle.sign("HMAC", await hmacKey(secret), payload));
+  return `${toBase64Url(payload)}.${toBase64Url(signature)}`;
+}
+
+/**
+ * Verify and decode a cursor. When `expected` is given, the cursor must
+ * have been issued for the same sort.
+ *
+ * @throws InvalidCursorError
+ */
+export async function decodeCursor(
+  cursor: string,
+  secret: string,
+  expected?: { sortBy?: string; sortOrder?: "asc" | "desc" }
+): Promise<CursorPosition> {
+  if (!CursorSchema.safeParse(cursor).success) {
+    throw new InvalidCursorError("Malformed cursor", cursor);
+  }
+
+  const [encodedPayload = "", encodedSignature = ""] = cursor.split(".");
+  let payload: Uint8Array<ArrayBuffer>;
+  let signature: Uint8Array<ArrayBuffer>;
+  try {
+    payload = fromBase64Url(encodedPayload);
+    signature = fromBase64Url(encodedSignature);
+  } catch {
+    throw new InvalidCursorError("Malformed cursor", cursor);
+  }
+
+  const valid = await crypto.subtle.verify("HMAC", await hmacKey(secret), signature, payload);
+  if (!valid) {
+    throw new InvalidCursorError("Cursor signature does not match", cursor);
+  }
+
+  let body: EncodedPosition;
+  try {
+    body = JSON.parse(decoder.decode(payload)) as EncodedPosition;
+  } catch {
+    throw new InvalidCursorError("Malformed cursor", cursor);
+  }
+  if (body.v !== CURSOR_VERSION || !Array.isArray(body.k) || typeof body.k[1] !== "string") {
+    throw new InvalidCursorError("Unsupported cursor version", cursor);
+  }
+
+  const position: CursorPosition = {
+    sortBy: body.s,
+    sortOrder: body.o,
+    value: reviveValue(body.k[0]),
+    id: body.k[1],
+  };
+
+  if (expected?.sortBy !== undefined && expected.sortBy !== position.sortBy) {
+    throw new InvalidCursorError(`Cursor was issued for sortBy=${position.sortBy}, not ${expected.sortBy}`, cursor);
+  }
+  if (expected?.sortOrder !== undefined && expected.sortOrder !== position.sortOrder) {
+    throw new InvalidCursorError(`Cursor was issued for sortOrder=${position.sortOrder}, not ${expected.sortOrder}`, cursor);
+  }
+
+  return position;
+}
+
+/**
+ * Encoder/decoder pair bound to one secret
+ */
+export function createCursorCodec(secret: string) {
+  if (!secret) {
+    throw new Error("Cursor secret must not be empty");
+  }
+
+  return {
+    encode: (position: CursorPosition) => encodeCursor(position, secret),
+    decode: (cursor: string, expected?: { sortBy?: string; sortOrder?: "asc" | "desc" }) =>
+      decodeCursor(cursor, secret, expected),
+  };
+}
+
+export type CursorCodec = ReturnType<typeof createCursorCodec>;
+
+function hmacKey(secret: string): Promise<CryptoKey> {
+  let key = keyCache.get(secret);
+  if (!key) {
+    key = crypto.subtle.importKey("raw", encoder.encode(secret), { name: "HMAC", hash: "SHA-256" }, false, ["sign", "verify"]);
+    keyCache.set(secret, key);
+  }
+  return key;
+}
+
+function reviveValue(value: unknown): CursorValue {
+  if (value !== null && typeof value === "object" && typeof (value as { $d?: unknown }).$d === "string") {
+    return new Date((value as { $d: string }).$d);
+  }
+  return value as CursorValue;
+}
+
+function toBase64Url(bytes: Uint8Array): string {
+  let binary = "";
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(value: string): Uint8Array<ArrayBuffer> {
+  const binary = atob(value.replace(/-/g, "+").replace(/_/g, "/"));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
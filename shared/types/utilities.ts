@@ -0,0 +1,60 @@
+/**
+ * Utilities
+ *
+ * Entity IDs and Result constructors. They are defined here rather than in
+ * the package index so that modules inside the package can import them
+ * without importing the index, which imports those modules back.
+ */
+
+// ========================================
+// Entity IDs
+// ========================================
+
+/**
+ * Generate a new entity ID
+ */
+export function generateEntityId(): string {
+  // Simple UUID v4 generator for Node.js/browser compatibility
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+
+  // Fallback implementation
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
+    const r = Math.random() * 16 | 0;
+    const v = c === 'x' ? r : (r & 0x3 | 0x8);
+    return v.toString(16);
+  });
+}
+
+// ========================================
+// Results
+// ========================================
+
+/**
+ * Create a successful result
+ */
+export function success<T>(data: T) {
+  return { success: true as const, data };
+}
+
+/**
+ * Create an error result
+ */
+export function failure<E>(error: E) {
+  return { success: false as const, error };
+}
+
+/**
+ * Type guard for successful results
+ */
+export function isSuccess<T, E>(result: { success: boolean; data?: T; error?: E }): result is { success: true; data: T } {
+  return result.success;
+}
+
+/**
+ * Type guard for error results
+ */
+export function isFailure<T, E>(result: { success: boolean; data?: T; error?: E }): result is { success: false; error: E } {
+  return !result.success;
+}
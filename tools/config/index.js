@@ -0,0 +1,196 @@
+/**
+ * Tools configuration
+ *
+ * Resolves the URLs and secrets used by the tools scripts for a named
+ * profile (development, staging, production, mock). Values are layered,
+ * later sources winning:
+ *
+ *   1. config/profiles.json (or DELICASA_PROFILE_FILE) - committed defaults
+ *   2. tools/.env                                      - local, all profiles
+ *   3. tools/.env.<profile>                            - local, one profile
+ *   4. process environment
+ *
+ * The result is validated with zod. Secrets are never printed: use
+ * redact()/formatConfig() for output. Scripts list the secrets they need
+ * and loading fails with ConfigError when one is missing.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { parseEnv } = require("util");
+const { z } = require("zod");
+
+const PROFILES = ["development", "staging", "production", "mock"];
+const SECRET_KEYS = ["NEXTAUTH_SECRET", "BRIDGE_JWT_SECRET"];
+const DEFAULT_PROFILE = "development";
+const TOOLS_DIR = path.join(__dirname, "..");
+const DEFAULT_PROFILE_FILE = path.join(__dirname, "profiles.json");
+const REDACTED = "[redacted]";
+
+const ConfigSchema = z.object({
+  NEXT_CLIENT_URL: z.url(),
+  BRIDGE_SERVER_URL: z.url(),
+  NEXTAUTH_SECRET: z.string().min(16, "must be at least 16 characters").optional(),
+  BRIDGE_JWT_SECRET: z.string().min(16, "must be at least 16 characters").optional(),
+  BRIDGE_TOKEN_ISSUER: z.string().min(1).default("delicasa-bridge-proxy"),
+  BRIDGE_TOKEN_AUDIENCE: z.string().min(1).default("bridgeserver.delicasa.workers.dev"),
+  BRIDGE_TOKEN_TTL_SECONDS: z.coerce.number().int().positive().default(15 * 60),
+});
+
+const CONFIG_KEYS = Object.keys(ConfigSchema.shape);
+
+const ProfileFileSchema = z.record(z.string(), z.record(z.string(), z.union([z.string(), z.number()])));
+
+class ConfigError extends Error {
+  constructor(message, issues = []) {
+    super(message);
+    this.name = "ConfigError";
+    this.issues = issues;
+  }
+}
+
+/**
+ * Load and validate the configuration for a profile:
+ *   loadConfig({ profile, secrets: ["NEXTAUTH_SECRET"], env, envDir, profileFile })
+ *
+ * Returns { profile, values, sources }, where sources records which
+ * layer supplied each value.
+ */
+function loadConfig(options = {}) {
+  const env = options.env || process.env;
+  const profile = options.profile || env.DELICASA_PROFILE || DEFAULT_PROFILE;
+  if (!PROFILES.includes(profile)) {
+    throw new ConfigError(`Unknown profile "${profile}". Available profiles: ${PROFILES.join(", ")}`);
+  }
+
+  const envDir = options.envDir || TOOLS_DIR;
+  const profileFile = options.profileFile || env.DELICASA_PROFILE_FILE || DEFAULT_PROFILE_FILE;
+  const layers = [
+    { source: path.relative(TOOLS_DIR, profileFile) || profileFile, values: readProfile(profileFile, profile) },
+    { source: ".env", values: readEnvFile(path.join(envDir, ".env")) },
+    { source: `.env.${profile}`, values: readEnvFile(path.join(envDir, `.env.${profile}`)) },
+    { source: "environment", values: env },
+  ];
+
+  const raw = {};
+  const sources = {};
+  for (const layer of layers) {
+    for (const key of CONFIG_KEYS) {
+      const value = layer.values[key];
+      if (value !== undefined && value !== "") {
+        raw[key] = value;
+        sources[key] = layer.source;
+      }
+    }
+  }
+
+  const result = ConfigSchema.safeParse(raw);
+  if (!result.success) {
+    const issues = result.error.issues.map((issue) =>
+      `${issue.path.join(".")}: ${raw[issue.path[0]] === undefined ? `not set (add it to tools/.env.${profile} or the environment)` : issue.message}`
+    );
+    throw new ConfigError(`Invalid configuration for profile "${profile}":\n  ${issues.join("\n  ")}`, result.error.issues);
+  }
+
+  const missing = (options.secrets || []).filter((key) => result.data[key] === undefined);
+  if (missing.length > 0) {
+    throw new ConfigError(
+      `Missing secret(s) for profile "${profile}": ${missing.join(", ")}. ` +
+        `Set them in the environment or in tools/.env.${profile} (see tools/.env.example).`
+    );
+  }
+
+  for (const key of CONFIG_KEYS) {
+    sources[key] = sources[key] || (result.data[key] === undefined ? undefined : "default");
+  }
+
+  return Object.freeze({ profile, values: Object.freeze(result.data), sources });
+}
+
+/**
+ * Entry point for scripts: load the config or print the problem and exit
+ * with status 2
+ */
+function requireConfig(options = {}) {
+  try {
+    return loadConfig(options);
+  } catch (error) {
+    if (!(error instanceof ConfigError)) {
+      throw error;
+    }
+    console.error(`❌ ${error.message}`);
+    process.exit(2);
+  }
+}
+
+/**
+ * Copy of the values with every secret replaced
+ */
+function redact(values) {
+  const copy = { ...values };
+  for (const key of SECRET_KEYS) {
+    if (copy[key] !== undefined) {
+      copy[key] = REDACTED;
+    }
+  }
+  return copy;
+}
+
+/**
+ * Human-readable, redacted listing of a loaded config
+ */
+function formatConfig(config) {
+  const values = redact(config.values);
+  return [
+    `🌍 Profile: ${config.profile}`,
+    ...Object.entries(values)
+      .filter(([, value]) => value !== undefined)
+      .map(([key, value]) => `   ${key}=${value} (${config.sources[key]})`),
+  ].join("\n");
+}
+
+/**
+ * Split a profile name off the front of a script's arguments:
+ *   [profile] [--profile <name>] ...rest
+ */
+function takeProfileArg(argv) {
+  const rest = [...argv];
+  const flag = rest.indexOf("--profile");
+  if (flag !== -1) {
+    const [, profile] = rest.splice(flag, 2);
+    return { profile, argv: rest };
+  }
+  if (rest[0] && !rest[0].startsWith("-")) {
+    return { profile: rest.shift(), argv: rest };
+  }
+  return { profile: undefined, argv: rest };
+}
+
+function readProfile(file, profile) {
+  let parsed;
+  try {
+    parsed = ProfileFileSchema.parse(JSON.parse(fs.readFileSync(file, "utf8")));
+  } catch (error) {
+    throw new ConfigError(`Cannot read profile file ${file}: ${error.message}`);
+  }
+  return Object.fromEntries(Object.entries(parsed[profile] || {}).map(([key, value]) => [key, String(value)]));
+}
+
+function readEnvFile(file) {
+  if (!fs.existsSync(file)) {
+    return {};
+  }
+  return parseEnv(fs.readFileSync(file, "utf8"));
+}
+
+module.exports = {
+  PROFILES,
+  SECRET_KEYS,
+  ConfigSchema,
+  ConfigError,
+  loadConfig,
+  requireConfig,
+  redact,
+  formatConfig,
+  takeProfileArg,
+};
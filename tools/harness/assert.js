@@ -0,0 +1,112 @@
+/**
+ * Assertions available to steps as ctx.assert
+ *
+ * Every helper throws AssertionError, which fails the current attempt (and
+ * triggers a retry when the step has retries left).
+ */
+
+const { AssertionError } = require("./errors");
+
+function ok(value, message = "Expected value to be truthy", details = {}) {
+  if (!value) {
+    throw new AssertionError(message, details);
+  }
+}
+
+function equal(actual, expected, message) {
+  if (!Object.is(actual, expected)) {
+    throw new AssertionError(message || `Expected ${format(expected)}, got ${format(actual)}`, { actual, expected });
+  }
+}
+
+function notEqual(actual, unexpected, message) {
+  if (Object.is(actual, unexpected)) {
+    throw new AssertionError(message || `Expected value other than ${format(unexpected)}`, { actual });
+  }
+}
+
+function includes(haystack, needle, message) {
+  const found = typeof haystack === "string" || Array.isArray(haystack) ? haystack.includes(needle) : false;
+  if (!found) {
+    throw new AssertionError(message || `Expected ${format(haystack)} to include ${format(needle)}`, { haystack, needle });
+  }
+}
+
+function match(value, pattern, message) {
+  if (typeof value !== "string" || !pattern.test(value)) {
+    throw new AssertionError(message || `Expected ${format(value)} to match ${pattern}`, { value, pattern: String(pattern) });
+  }
+}
+
+function atMost(actual, limit, message) {
+  if (!(actual <= limit)) {
+    throw new AssertionError(message || `Expected ${actual} to be at most ${limit}`, { actual, limit });
+  }
+}
+
+function atLeast(actual, limit, message) {
+  if (!(actual >= limit)) {
+    throw new AssertionError(message || `Expected ${actual} to be at least ${limit}`, { actual, limit });
+  }
+}
+
+/**
+ * Response from the HTTP transport must be 2xx (or the given status)
+ */
+function httpOk(response, message) {
+  if (!response.ok) {
+    throw new AssertionError(
+      message || `HTTP request failed: ${response.error || `status ${response.status}`}`,
+      { status: response.status, error: response.error, data: response.data }
+    );
+  }
+}
+
+function httpStatus(response, expected, message) {
+  const statuses = Array.isArray(expected) ? expected : [expected];
+  if (!statuses.includes(response.status)) {
+    throw new AssertionError(
+      message || `Expected HTTP ${statuses.join(" or ")}, got ${response.status ?? response.error}`,
+      { status: response.status, error: response.error, data: response.data }
+    );
+  }
+}
+
+/**
+ * Result from the SSH/MQTT transports must have exited with 0
+ */
+function commandOk(result, message) {
+  if (!result.ok) {
+    throw new AssertionError(
+      message || `Command failed: ${result.error || result.stderr || `exit code ${result.exitCode}`}`,
+      { exitCode: result.exitCode, stderr: result.stderr, error: result.error }
+    );
+  }
+}
+
+function fail(message, details = {}) {
+  throw new AssertionError(message, details);
+}
+
+function format(value) {
+  try {
+    const text = JSON.stringify(value);
+    return text && text.length > 80 ? `${text.slice(0, 77)}...` : String(text);
+  } catch {
+    return String(value);
+  }
+}
+
+module.exports = {
+  ok,
+  equal,
+  notEqual,
+  includes,
+  match,
+  atMost,
+  atLeast,
+  httpOk,
+  httpStatus,
+  commandOk,
+  fail,
+};
@@ -0,0 +1,33 @@
+/**
+ * Harness errors
+ *
+ * Thrown inside steps to fail, skip or time out with a recognisable cause.
+ */
+
+class AssertionError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = "AssertionError";
+    this.details = details;
+  }
+}
+
+class StepTimeoutError extends Error {
+  constructor(stepName, timeoutMs) {
+    super(`Step "${stepName}" timed out after ${timeoutMs}ms`);
+    this.name = "StepTimeoutError";
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+/**
+ * Thrown by ctx.skip(); marks the step skipped instead of failed
+ */
+class StepSkipped extends Error {
+  constructor(reason) {
+    super(reason);
+    this.name = "StepSkipped";
+  }
+}
+
+module.exports = { AssertionError, StepTimeoutError, StepSkipped };
@@ -0,0 +1,50 @@
+/**
+ * DeliCasa test harness
+ *
+ * Shared step/assertion model, transports and runner for the integration
+ * suites. See tools/README.md for how to write a suite.
+ */
+
+const assert = require("./assert");
+const { AssertionError, StepTimeoutError, StepSkipped } = require("./errors");
+const { STATUS, STATUS_ICONS } = require("./status");
+const { STEP_DEFAULTS, step, defineSuite, isSuite, resolveConfig, runSuite, sleep } = require("./suite");
+const { EXIT_CODES, runSuites, runCli, exitCodeOf, parseArgs } = require("./runner");
+const { createConsoleReporter } = require("./reporters/console");
+const { toJUnitXml } = require("./reporters/junit");
+const { createHttpTransport } = require("./transports/http");
+const { createSshTransport } = require("./transports/ssh");
+const { createMqttTransport } = require("./transports/mqtt");
+
+module.exports = {
+  // Model
+  step,
+  defineSuite,
+  isSuite,
+  resolveConfig,
+  sleep,
+  assert,
+  STATUS,
+  STATUS_ICONS,
+  STEP_DEFAULTS,
+
+  // Errors
+  AssertionError,
+  StepTimeoutError,
+  StepSkipped,
+
+  // Running
+  runSuite,
+  runSuites,
+  runCli,
+  exitCodeOf,
+  parseArgs,
+  EXIT_CODES,
+  createConsoleReporter,
+  toJUnitXml,
+
+  // Transports
+  createHttpTransport,
+  createSshTransport,
+  createMqttTransport,
+};
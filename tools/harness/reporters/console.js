@@ -0,0 +1,90 @@
+/**
+ * Console reporter
+ *
+ * Human-readable progress for interactive runs. Step data and log payloads
+ * are printed with --verbose (or VERBOSE=1).
+ */
+
+const { STATUS, STATUS_ICONS } = require("../status");
+
+function createConsoleReporter(options = {}) {
+  const verbose = options.verbose ?? Boolean(process.env.VERBOSE);
+  const write = options.write || ((line) => console.log(line));
+
+  return {
+    runStarted(suites) {
+      write(`🧪 Running ${suites.length} suite(s) at ${new Date().toISOString()}`);
+    },
+
+    suiteStarted(suite, config) {
+      write("");
+      write(suite.title);
+      write("=".repeat(Math.min(60, suite.title.length + 2)));
+      if (suite.description) {
+        write(suite.description);
+      }
+      if (verbose) {
+        write(`   ⚙️  ${JSON.stringify(config)}`);
+      }
+    },
+
+    stepStarted(definition) {
+      write(`${STATUS_ICONS.running} ${definition.name}`);
+    },
+
+    stepLog(definition, entry) {
+      const icon = entry.level === "warn" ? STATUS_ICONS.warn : "  ";
+      write(`   ${icon} ${entry.message}`);
+      if (verbose && entry.data !== undefined) {
+        write(indent(JSON.stringify(entry.data, null, 2), 6));
+      }
+    },
+
+    stepFinished(suite, result) {
+      const attempts = result.attempts.length > 1 ? `, ${result.attempts.length} attempts` : "";
+      const detail = result.status === STATUS.FAILED
+        ? `: ${result.error.message}`
+        : result.status === STATUS.SKIPPED
+          ? `: ${result.skipReason}`
+          : "";
+      write(`${STATUS_ICONS[result.status]} ${result.name} (${result.durationMs}ms${attempts})${detail}`);
+      if (result.annotations) {
+        write(`   ↳ ${Object.entries(result.annotations).map(([key, value]) => `${key}=${typeof value === "string" ? value : JSON.stringify(value)}`).join(" ")}`);
+      }
+      if (verbose && result.data !== undefined) {
+        write(indent(JSON.stringify(result.data, null, 2), 6));
+      }
+    },
+
+    suiteFinished(suite, result) {
+      const { passed, failed, skipped, total } = result.summary;
+      write(`${STATUS_ICONS[result.status]} ${suite.name}: ${passed}/${total} passed, ${failed} failed, ${skipped} skipped in ${(result.durationMs / 1000).toFixed(2)}s`);
+      if (result.error) {
+        write(`   ${STATUS_ICONS.failed} Suite error: ${result.error.message}`);
+      }
+      if (result.report) {
+        write(indent(JSON.stringify(result.report, null, 2), 3));
+      }
+    },
+
+    runFinished(run) {
+      const { passed, failed, skipped, total } = run.summary.steps;
+      write("");
+      write("📊 SUMMARY");
+      write("==========");
+      for (const suite of run.suites) {
+        write(`${STATUS_ICONS[suite.status]} ${suite.name}`);
+      }
+      write(`Steps: ${passed} passed, ${failed} failed, ${skipped} skipped (${total} total)`);
+      write(`Duration: ${(run.durationMs / 1000).toFixed(2)}s`);
+      write(`🏁 ${run.status === STATUS.PASSED ? "PASSED" : "FAILED"}`);
+    },
+  };
+}
+
+function indent(text, spaces) {
+  const pad = " ".repeat(spaces);
+  return text.split("\n").map((line) => pad + line).join("\n");
+}
+
+module.exports = { createConsoleReporter };
@@ -0,0 +1,103 @@
+/**
+ * JUnit reporter
+ *
+ * Renders a run result as JUnit XML for CI test report viewers: one
+ * <testsuite> per suite and one <testcase> per step. Step annotations
+ * become testcase properties, and logs go to <system-out>.
+ */
+
+const { STATUS } = require("../status");
+
+function toJUnitXml(run) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites${attributes({
+      name: "delicasa",
+      tests: run.summary.steps.total,
+      failures: run.summary.steps.failed,
+      errors: run.suites.filter((suite) => suite.error).length,
+      skipped: run.summary.steps.skipped,
+      time: seconds(run.durationMs),
+      timestamp: run.startedAt,
+    })}>`,
+  ];
+
+  for (const suite of run.suites) {
+    lines.push(`  <testsuite${attributes({
+      name: suite.name,
+      tests: suite.summary.total,
+      failures: suite.summary.failed,
+      errors: suite.error ? 1 : 0,
+      skipped: suite.summary.skipped,
+      time: seconds(suite.durationMs),
+      timestamp: suite.startedAt,
+    })}>`);
+
+    for (const step of suite.steps) {
+      lines.push(...testcase(suite, step));
+    }
+
+    if (suite.error) {
+      lines.push(`    <testcase${attributes({ classname: suite.name, name: "(suite setup/teardown)", time: 0 })}>`);
+      lines.push(`      <error${attributes({ message: suite.error.message, type: suite.error.name })}>${escape(suite.error.stack || suite.error.message)}</error>`);
+      lines.push("    </testcase>");
+    }
+
+    if (suite.report) {
+      lines.push(`    <system-out>${escape(JSON.stringify(suite.report, null, 2))}</system-out>`);
+    }
+    lines.push("  </testsuite>");
+  }
+
+  lines.push("</testsuites>");
+  return `${lines.join("\n")}\n`;
+}
+
+function testcase(suite, step) {
+  const lines = [`    <testcase${attributes({ classname: suite.name, name: step.name, time: seconds(step.durationMs) })}>`];
+
+  if (step.annotations) {
+    lines.push("      <properties>");
+    for (const [name, value] of Object.entries(step.annotations)) {
+      lines.push(`        <property${attributes({ name, value: typeof value === "string" ? value : JSON.stringify(value) })}/>`);
+    }
+    lines.push("      </properties>");
+  }
+
+  if (step.status === STATUS.FAILED) {
+    const body = step.error.details ? JSON.stringify(step.error.details, null, 2) : step.error.stack || "";
+    lines.push(`      <failure${attributes({ message: step.error.message, type: step.error.name })}>${escape(body)}</failure>`);
+  } else if (step.status === STATUS.SKIPPED) {
+    lines.push(`      <skipped${attributes({ message: step.skipReason })}/>`);
+  }
+
+  if (step.logs.length > 0) {
+    const logs = step.logs.map((entry) => `[${entry.level}] ${entry.message}`).join("\n");
+    lines.push(`      <system-out>${escape(logs)}</system-out>`);
+  }
+
+  lines.push("    </testcase>");
+  return lines;
+}
+
+function attributes(values) {
+  return Object.entries(values)
+    .filter(([, value]) => value !== undefined)
+    .map(([name, value]) => ` ${name}="${escape(String(value))}"`)
+    .join("");
+}
+
+function escape(value) {
+  return String(value)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function seconds(ms) {
+  return ((ms || 0) / 1000).toFixed(3);
+}
+
+module.exports = { toJUnitXml };
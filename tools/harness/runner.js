@@ -0,0 +1,224 @@
+/**
+ * Runner
+ *
+ * Runs suites in sequence, aggregates a structured result and maps it to a
+ * process exit code: 0 when every suite passed, 1 when any step or suite
+ * failed, 2 for usage errors.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { STATUS } = require("./status");
+const { isSuite, runSuite } = require("./suite");
+const { createConsoleReporter } = require("./reporters/console");
+const { toJUnitXml } = require("./reporters/junit");
+
+const EXIT_CODES = Object.freeze({ PASSED: 0, FAILED: 1, USAGE: 2 });
+
+async function runSuites(suites, options = {}) {
+  const reporter = options.reporter || createConsoleReporter({ verbose: options.verbose });
+  const startedAt = new Date();
+  const results = [];
+
+  reporter.runStarted?.(suites);
+
+  for (const suite of suites) {
+    const result = await runSuite(suite, { ...options, reporter });
+    results.push(result);
+    if (result.status === STATUS.FAILED && options.bail) {
+      break;
+    }
+  }
+
+  const finishedAt = new Date();
+  const steps = results.flatMap((result) => result.steps);
+  const run = {
+    status: results.length === suites.length && results.every((result) => result.status === STATUS.PASSED)
+      ? STATUS.PASSED
+      : STATUS.FAILED,
+    startedAt: startedAt.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+    durationMs: finishedAt - startedAt,
+    summary: {
+      suites: {
+        total: suites.length,
+        passed: results.filter((result) => result.status === STATUS.PASSED).length,
+        failed: results.filter((result) => result.status === STATUS.FAILED).length,
+        notRun: suites.length - results.length,
+      },
+      steps: {
+        total: steps.length,
+        passed: steps.filter((result) => result.status === STATUS.PASSED).length,
+        failed: steps.filter((result) => result.status === STATUS.FAILED).length,
+        skipped: steps.filter((result) => result.status === STATUS.SKIPPED).length,
+      },
+    },
+    suites: results,
+  };
+
+  reporter.runFinished?.(run);
+  return run;
+}
+
+function exitCodeOf(run) {
+  return run.status === STATUS.PASSED ? EXIT_CODES.PASSED : EXIT_CODES.FAILED;
+}
+
+/**
+ * Parse runner arguments:
+ *   [suite...] --list --bail --verbose --json <file> --junit <file> --timeout <ms> --retries <n>
+ *
+ * A report file of "-" is written to stdout; progress then goes to stderr.
+ */
+function parseArgs(argv) {
+  const args = { names: [], list: false, bail: false, verbose: false, stepDefaults: {} };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      const next = argv[++i];
+      if (next === undefined) {
+        throw new UsageError(`${arg} requires a value`);
+      }
+      return next;
+    };
+
+    switch (arg) {
+      case "--list":
+        args.list = true;
+        break;
+      case "--bail":
+        args.bail = true;
+        break;
+      case "--verbose":
+        args.verbose = true;
+        break;
+      case "--json":
+        args.json = value();
+        break;
+      case "--junit":
+        args.junit = value();
+        break;
+      case "--timeout":
+        args.stepDefaults.timeoutMs = positiveInteger(arg, value());
+        break;
+      case "--retries":
+        args.stepDefaults.retries = positiveInteger(arg, value(), true);
+        break;
+      case "--help":
+      case "-h":
+        args.help = true;
+        break;
+      default:
+        if (arg.startsWith("-")) {
+          throw new UsageError(`Unknown option ${arg}`);
+        }
+        args.names.push(arg);
+    }
+  }
+
+  return args;
+}
+
+/**
+ * Entry point for runner scripts. Resolves with the exit code; callers do
+ * `runCli(suites).then((code) => process.exit(code))`.
+ */
+async function runCli(available, argv = process.argv.slice(2), options = {}) {
+  let args;
+  try {
+    args = parseArgs(argv);
+  } catch (error) {
+    if (!(error instanceof UsageError)) {
+      throw error;
+    }
+    console.error(`❌ ${error.message}`);
+    console.error(usage(options.command));
+    return EXIT_CODES.USAGE;
+  }
+
+  if (args.help) {
+    console.log(usage(options.command));
+    return EXIT_CODES.PASSED;
+  }
+
+  const suites = available.filter(isSuite);
+  if (args.list) {
+    for (const suite of suites) {
+      console.log(`${suite.name.padEnd(28)} ${suite.title}`);
+    }
+    return EXIT_CODES.PASSED;
+  }
+
+  const unknown = args.names.filter((name) => !suites.some((suite) => suite.name === name));
+  if (unknown.length > 0) {
+    console.error(`❌ Unknown suite(s): ${unknown.join(", ")}`);
+    console.error(`Available: ${suites.map((suite) => suite.name).join(", ")}`);
+    return EXIT_CODES.USAGE;
+  }
+
+  const selected = args.names.length > 0
+    ? suites.filter((suite) => args.names.includes(suite.name))
+    : suites;
+
+  const toStdout = args.json === "-" || args.junit === "-";
+  const log = toStdout ? (line) => console.error(line) : (line) => console.log(line);
+  const run = await runSuites(selected, {
+    bail: args.bail,
+    verbose: args.verbose,
+    stepDefaults: args.stepDefaults,
+    reporter: createConsoleReporter({ verbose: args.verbose, write: log }),
+  });
+
+  if (args.json) {
+    writeReport(args.json, `${JSON.stringify(run, null, 2)}\n`, log);
+  }
+  if (args.junit) {
+    writeReport(args.junit, toJUnitXml(run), log);
+  }
+
+  return exitCodeOf(run);
+}
+
+function writeReport(file, content, log) {
+  if (file === "-") {
+    process.stdout.write(content);
+    return;
+  }
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, content);
+  log(`📝 Results written to ${file}`);
+}
+
+function usage(command = "run-suites.js") {
+  return [
+    `Usage: node ${command} [suite...] [options]`,
+    "",
+    "Options:",
+    "  --list            List available suites",
+    "  --bail            Stop at the first failed step",
+    "  --verbose         Print step data and logged payloads",
+    "  --json <file>     Write the structured result to <file> (- for stdout)",
+    "  --junit <file>    Write JUnit XML to <file> (- for stdout)",
+    "  --timeout <ms>    Default per-step timeout",
+    "  --retries <n>     Default retries per step",
+  ].join("\n");
+}
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+function positiveInteger(flag, raw, allowZero = false) {
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < (allowZero ? 0 : 1)) {
+    throw new UsageError(`${flag} expects a ${allowZero ? "non-negative" : "positive"} integer, got "${raw}"`);
+  }
+  return value;
+}
+
+module.exports = { EXIT_CODES, runSuites, runCli, exitCodeOf, parseArgs };
@@ -0,0 +1,22 @@
+/**
+ * Step and suite statuses
+ *
+ * One vocabulary for every suite, replacing the SUCCESS/PASS/ERROR/FAIL/
+ * PROGRESS/RUNNING mix of the archived scripts.
+ */
+
+const STATUS = Object.freeze({
+  PASSED: "passed",
+  FAILED: "failed",
+  SKIPPED: "skipped",
+});
+
+const STATUS_ICONS = Object.freeze({
+  [STATUS.PASSED]: "✅",
+  [STATUS.FAILED]: "❌",
+  [STATUS.SKIPPED]: "⏭️ ",
+  running: "🔄",
+  warn: "⚠️ ",
+});
+
+module.exports = { STATUS, STATUS_ICONS };
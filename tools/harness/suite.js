@@ -0,0 +1,320 @@
+/**
+ * Suites and steps
+ *
+ * A suite is an ordered list of steps sharing config, transports and a
+ * `state` object. Each step runs with a timeout and optional retries and
+ * ends in exactly one status: passed, failed or skipped. Steps listed in
+ * `needs` must have passed, otherwise the dependent step is skipped.
+ */
+
+const assert = require("./assert");
+const { StepTimeoutError, StepSkipped } = require("./errors");
+const { STATUS } = require("./status");
+const { createHttpTransport } = require("./transports/http");
+
+const STEP_DEFAULTS = {
+  timeoutMs: 30000,
+  retries: 0,
+  retryDelayMs: 1000,
+};
+
+/**
+ * Declare a step: step(name, run, { timeoutMs, retries, retryDelayMs, needs })
+ */
+function step(name, run, options = {}) {
+  if (typeof run !== "function") {
+    throw new TypeError(`Step "${name}" needs a run function`);
+  }
+  return { name, run, ...options };
+}
+
+/**
+ * Declare a suite:
+ *   defineSuite({ name, title, description, config, transports, setup, teardown, steps })
+ *
+ * `config` holds defaults; any key can be overridden by an environment
+ * variable of the same name. `transports(config)` returns the transports
+ * exposed on the step context (an HTTP transport is provided by default).
+ */
+function defineSuite(definition) {
+  if (!definition.name || !Array.isArray(definition.steps) || definition.steps.length === 0) {
+    throw new TypeError("defineSuite requires a name and at least one step");
+  }
+
+  const names = new Set();
+  for (const entry of definition.steps) {
+    if (names.has(entry.name)) {
+      throw new TypeError(`Suite "${definition.name}" has duplicate step "${entry.name}"`);
+    }
+    for (const needed of entry.needs || []) {
+      if (!names.has(needed)) {
+        throw new TypeError(`Step "${entry.name}" needs "${needed}", which is not an earlier step`);
+      }
+    }
+    names.add(entry.name);
+  }
+
+  return { title: definition.name, config: {}, ...definition, isSuite: true };
+}
+
+function isSuite(value) {
+  return Boolean(value && value.isSuite === true);
+}
+
+/**
+ * Apply environment overrides to a suite's config defaults, keeping the
+ * type of each default (numbers, booleans, JSON arrays/objects)
+ */
+function resolveConfig(defaults, env = process.env) {
+  const config = {};
+  for (const [key, value] of Object.entries(defaults)) {
+    const override = env[key];
+    config[key] = override === undefined ? value : coerce(override, value);
+  }
+  return config;
+}
+
+async function runSuite(suite, options = {}) {
+  const reporter = options.reporter || {};
+  const stepDefaults = { ...STEP_DEFAULTS, ...suite.stepDefaults, ...options.stepDefaults };
+  const startedAt = new Date();
+  const config = resolveConfig(suite.config, options.env);
+  const state = {};
+  const steps = [];
+  let setupError;
+
+  reporter.suiteStarted?.(suite, config);
+
+  let transports = { http: createHttpTransport() };
+  try {
+    transports = { ...transports, ...(suite.transports ? suite.transports(config) : {}) };
+    await suite.setup?.({ config, state, ...transports });
+  } catch (error) {
+    setupError = serializeError(error);
+  }
+
+  let bailed = false;
+  for (const definition of suite.steps) {
+    const skipReason = setupError
+      ? "Suite setup failed"
+      : bailed
+        ? "Stopped after an earlier failure (--bail)"
+        : unmetNeeds(definition, steps);
+
+    const result = skipReason
+      ? skippedResult(definition, skipReason)
+      : await runStep(definition, { config, state, transports, reporter, stepDefaults });
+
+    steps.push(result);
+    reporter.stepFinished?.(suite, result);
+
+    if (result.status === STATUS.FAILED && options.bail) {
+      bailed = true;
+    }
+  }
+
+  try {
+    await suite.teardown?.({ config, state, ...transports });
+  } catch (error) {
+    setupError = setupError || serializeError(error);
+  }
+
+  const finishedAt = new Date();
+  const summary = summarize(steps);
+  const result = {
+    name: suite.name,
+    title: suite.title,
+    status: setupError || summary.failed > 0 ? STATUS.FAILED : STATUS.PASSED,
+    startedAt: startedAt.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+    durationMs: finishedAt - startedAt,
+    summary,
+    steps,
+    ...(setupError ? { error: setupError } : {}),
+    ...(suite.report ? { report: safeReport(suite, state) } : {}),
+  };
+
+  reporter.suiteFinished?.(suite, result);
+  return result;
+}
+
+/**
+ * Run one step with retries; each attempt is bounded by timeoutMs
+ */
+async function runStep(definition, { config, state, transports, reporter, stepDefaults }) {
+  const timeoutMs = definition.timeoutMs ?? stepDefaults.timeoutMs;
+  const retries = definition.retries ?? stepDefaults.retries;
+  const retryDelayMs = definition.retryDelayMs ?? stepDefaults.retryDelayMs;
+  const startedAt = new Date();
+  const logs = [];
+  const attempts = [];
+  const annotations = {};
+
+  reporter.stepStarted?.(definition);
+
+  for (let attempt = 1; attempt <= retries + 1; attempt++) {
+    const attemptStart = Date.now();
+    const controller = new AbortController();
+    const ctx = {
+      ...bindTransports(transports, controller.signal),
+      config,
+      state,
+      assert,
+      attempt,
+      signal: controller.signal,
+      log: (message, data) => record(logs, reporter, definition, "info", message, data),
+      warn: (message, data) => record(logs, reporter, definition, "warn", message, data),
+      annotate: (fields) => Object.assign(annotations, fields),
+      skip: (reason) => {
+        throw new StepSkipped(reason);
+      },
+    };
+
+    try {
+      const data = await withTimeout(definition.run(ctx), timeoutMs, controller, definition.name);
+      attempts.push({ attempt, status: STATUS.PASSED, durationMs: Date.now() - attemptStart });
+      return finish(definition, startedAt, STATUS.PASSED, { attempts, logs, annotations, data });
+    } catch (error) {
+      if (error instanceof StepSkipped) {
+        attempts.push({ attempt, status: STATUS.SKIPPED, durationMs: Date.now() - attemptStart });
+        return finish(definition, startedAt, STATUS.SKIPPED, { attempts, logs, annotations, skipReason: error.message });
+      }
+
+      const serialized = serializeError(error);
+      attempts.push({ attempt, status: STATUS.FAILED, durationMs: Date.now() - attemptStart, error: serialized });
+
+      if (attempt <= retries) {
+        const delay = retryDelayMs * 2 ** (attempt - 1);
+        record(logs, reporter, definition, "warn", `Attempt ${attempt} failed: ${serialized.message}; retrying in ${delay}ms`);
+        await sleep(delay);
+        continue;
+      }
+      return finish(definition, startedAt, STATUS.FAILED, { attempts, logs, annotations, error: serialized });
+    }
+  }
+}
+
+function finish(definition, startedAt, status, extra) {
+  return {
+    name: definition.name,
+    status,
+    startedAt: startedAt.toISOString(),
+    durationMs: Date.now() - startedAt.getTime(),
+    attempts: extra.attempts,
+    logs: extra.logs,
+    ...(Object.keys(extra.annotations).length > 0 ? { annotations: extra.annotations } : {}),
+    ...(extra.data !== undefined ? { data: extra.data } : {}),
+    ...(extra.error ? { error: extra.error } : {}),
+    ...(extra.skipReason ? { skipReason: extra.skipReason } : {}),
+  };
+}
+
+function skippedResult(definition, reason) {
+  return {
+    name: definition.name,
+    status: STATUS.SKIPPED,
+    startedAt: new Date().toISOString(),
+    durationMs: 0,
+    attempts: [],
+    logs: [],
+    skipReason: reason,
+  };
+}
+
+function unmetNeeds(definition, finished) {
+  const unmet = (definition.needs || []).filter(
+    (needed) => finished.find((result) => result.name === needed)?.status !== STATUS.PASSED
+  );
+  return unmet.length > 0 ? `Requires ${unmet.join(", ")} to pass` : undefined;
+}
+
+function summarize(steps) {
+  return {
+    total: steps.length,
+    passed: steps.filter((result) => result.status === STATUS.PASSED).length,
+    failed: steps.filter((result) => result.status === STATUS.FAILED).length,
+    skipped: steps.filter((result) => result.status === STATUS.SKIPPED).length,
+  };
+}
+
+function record(logs, reporter, definition, level, message, data) {
+  const entry = { level, message, at: new Date().toISOString(), ...(data !== undefined ? { data } : {}) };
+  logs.push(entry);
+  reporter.stepLog?.(definition, entry);
+}
+
+/**
+ * Bind each transport that supports it to the step's abort signal, so a
+ * step timeout also cancels the requests and processes still running
+ */
+function bindTransports(transports, signal) {
+  return Object.fromEntries(
+    Object.entries(transports).map(([name, transport]) => [
+      name,
+      typeof transport?.withSignal === "function" ? transport.withSignal(signal) : transport,
+    ])
+  );
+}
+
+function withTimeout(promise, timeoutMs, controller, stepName) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new StepTimeoutError(stepName, timeoutMs));
+    }, timeoutMs);
+  });
+  return Promise.race([Promise.resolve(promise), timeout]).finally(() => clearTimeout(timer));
+}
+
+function serializeError(error) {
+  if (!(error instanceof Error)) {
+    return { name: "Error", message: String(error) };
+  }
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.details ? { details: error.details } : {}),
+    ...(error.stack ? { stack: error.stack } : {}),
+  };
+}
+
+function safeReport(suite, state) {
+  try {
+    return suite.report(state);
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+function coerce(raw, example) {
+  if (typeof example === "number") {
+    const value = Number(raw);
+    return Number.isNaN(value) ? example : value;
+  }
+  if (typeof example === "boolean") {
+    return raw === "true" || raw === "1";
+  }
+  if (example !== null && typeof example === "object") {
+    try {
+      return JSON.parse(raw);
+    } catch {
+      return example;
+    }
+  }
+  return raw;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  STEP_DEFAULTS,
+  step,
+  defineSuite,
+  isSuite,
+  resolveConfig,
+  runSuite,
+  sleep,
+};
@@ -0,0 +1,46 @@
+/**
+ * Process execution shared by the SSH and MQTT transports
+ */
+
+const { execFile } = require("child_process");
+
+/**
+ * Run a program without a shell. Resolves with
+ * { ok, exitCode, stdout, stderr, durationMs, error? } and never rejects;
+ * aborting `signal` kills the process.
+ */
+function runProcess(file, args, timeoutMs, signal) {
+  const startTime = Date.now();
+
+  return new Promise((resolve) => {
+    const execOptions = { timeout: timeoutMs, maxBuffer: 10 * 1024 * 1024, ...(signal ? { signal } : {}) };
+    execFile(file, args, execOptions, (error, stdout, stderr) => {
+      const result = {
+        ok: !error,
+        exitCode: error ? (typeof error.code === "number" ? error.code : null) : 0,
+        stdout: String(stdout).trim(),
+        stderr: String(stderr).trim(),
+        durationMs: Date.now() - startTime,
+      };
+
+      if (error && error.name === "AbortError") {
+        result.aborted = true;
+        result.error = `${file} was aborted`;
+      } else if (error) {
+        result.timedOut = Boolean(error.killed && error.signal);
+        result.error = result.timedOut ? `${file} timed out after ${timeoutMs}ms` : error.message;
+      }
+      resolve(result);
+    });
+  });
+}
+
+/**
+ * Quote one argument for a POSIX shell (used for remote commands over SSH)
+ */
+function shellQuote(value) {
+  const text = String(value);
+  return /^[A-Za-z0-9_\/.:=@%+,-]+$/.test(text) ? text : `'${text.replace(/'/g, "'\\''")}'`;
+}
+
+module.exports = { runProcess, shellQuote };
@@ -0,0 +1,105 @@
+/**
+ * HTTP transport
+ *
+ * Wraps node-fetch with a per-request timeout and timing. Requests never
+ * throw: network errors, timeouts and aborts come back as
+ * { ok: false, error }, so steps decide with assertions what counts as a
+ * failure.
+ */
+
+function createHttpTransport(options = {}) {
+  const baseUrl = (options.baseUrl || "").replace(/\/+$/, "");
+  const defaultHeaders = { "Content-Type": "application/json", ...options.headers };
+  const defaultTimeoutMs = options.timeoutMs ?? 10000;
+
+  async function request(url, requestOptions = {}) {
+    const fetch = (await import("node-fetch")).default;
+    const target = /^https?:\/\//.test(url) ? url : `${baseUrl}${url}`;
+    const timeoutMs = requestOptions.timeoutMs ?? defaultTimeoutMs;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    const abortSignal = requestOptions.signal ?? options.signal;
+    const signal = abortSignal ? AbortSignal.any([abortSignal, controller.signal]) : controller.signal;
+    const startTime = Date.now();
+
+    try {
+      const response = await fetch(target, {
+        method: requestOptions.method || "GET",
+        headers: { ...defaultHeaders, ...requestOptions.headers },
+        body: requestOptions.body === undefined || typeof requestOptions.body === "string"
+          ? requestOptions.body
+          : JSON.stringify(requestOptions.body),
+        signal,
+      });
+
+      const text = await response.text();
+      return {
+        ok: response.ok,
+        status: response.status,
+        headers: Object.fromEntries(response.headers.entries()),
+        data: parseJson(text),
+        text,
+        durationMs: Date.now() - startTime,
+        url: target,
+      };
+    } catch (error) {
+      const aborted = Boolean(abortSignal?.aborted) && !controller.signal.aborted;
+      return {
+        ok: false,
+        status: undefined,
+        error: controller.signal.aborted
+          ? `Request timed out after ${timeoutMs}ms`
+          : aborted ? "Request was aborted" : error.message,
+        timedOut: controller.signal.aborted,
+        ...(aborted ? { aborted } : {}),
+        durationMs: Date.now() - startTime,
+        url: target,
+      };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  return {
+    kind: "http",
+    request,
+    get: (url, requestOptions = {}) => request(url, { ...requestOptions, method: "GET" }),
+    post: (url, body, requestOptions = {}) => request(url, { ...requestOptions, method: "POST", body }),
+    put: (url, body, requestOptions = {}) => request(url, { ...requestOptions, method: "PUT", body }),
+
+    /**
+     * tRPC query over GET with superjson-style { json } input
+     */
+    trpcQuery(procedure, input, requestOptions = {}) {
+      const query = input === undefined ? "" : `?input=${encodeURIComponent(JSON.stringify({ json: input }))}`;
+      return request(`/trpc/${procedure}${query}`, { ...requestOptions, method: "GET" });
+    },
+
+    /**
+     * tRPC mutation over POST with superjson-style { json } input
+     */
+    trpcMutation(procedure, input = {}, requestOptions = {}) {
+      return request(`/trpc/${procedure}`, { ...requestOptions, method: "POST", body: { json: input } });
+    },
+
+    /**
+     * The same transport with its requests aborted when `signal` aborts
+     */
+    withSignal(signal) {
+      return createHttpTransport({ ...options, signal });
+    },
+  };
+}
+
+function parseJson(text) {
+  if (!text) {
+    return undefined;
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    return undefined;
+  }
+}
+
+module.exports = { createHttpTransport };
@@ -0,0 +1,86 @@
+/**
+ * MQTT transport
+ *
+ * Publishes and subscribes with the mosquitto command-line clients, either
+ * locally or on the broker host through an SSH transport (`via`). This is
+ * how the Pi broker is reached in the field: it only listens on localhost.
+ */
+
+const { runProcess, shellQuote } = require("./exec");
+
+function createMqttTransport(options = {}) {
+  const brokerHost = options.host || "localhost";
+  const port = options.port ?? 1883;
+  const via = options.via;
+  const defaultTimeoutMs = options.timeoutMs ?? 10000;
+
+  function run(program, args, timeoutMs, signal = options.signal) {
+    const argv = ["-h", brokerHost, "-p", String(port), ...args];
+    return via
+      ? via.exec([program, ...argv].map(shellQuote).join(" "), { timeoutMs, ...(signal ? { signal } : {}) })
+      : runProcess(program, argv, timeoutMs, signal);
+  }
+
+  return {
+    kind: "mqtt",
+
+    /**
+     * Publish one message; objects are sent as JSON
+     */
+    publish(topic, message, publishOptions = {}) {
+      const payload = typeof message === "string" ? message : JSON.stringify(message);
+      const args = ["-t", topic, "-m", payload, "-q", String(publishOptions.qos ?? 0)];
+      if (publishOptions.retain) {
+        args.push("-r");
+      }
+      return run("mosquitto_pub", args, publishOptions.timeoutMs ?? defaultTimeoutMs, publishOptions.signal);
+    },
+
+    /**
+     * Wait for up to `count` messages on a topic (wildcards allowed).
+     * Resolves with { ok, messages: [{ topic, payload, data }] }; ok is
+     * false when nothing arrived before the timeout.
+     */
+    async waitForMessages(topic, waitOptions = {}) {
+      const count = waitOptions.count ?? 1;
+      const timeoutMs = waitOptions.timeoutMs ?? defaultTimeoutMs;
+      const waitSeconds = Math.max(1, Math.ceil(timeoutMs / 1000));
+      const result = await run(
+        "mosquitto_sub",
+        ["-t", topic, "-C", String(count), "-W", String(waitSeconds), "-v"],
+        timeoutMs + 5000,
+        waitOptions.signal
+      );
+
+      const messages = result.stdout
+        ? result.stdout.split("\n").filter(Boolean).map(parseLine)
+        : [];
+      return { ...result, ok: messages.length > 0, messages };
+    },
+
+    /**
+     * The same transport with its clients killed when `signal` aborts
+     */
+    withSignal(signal) {
+      return createMqttTransport({ ...options, signal });
+    },
+  };
+}
+
+/**
+ * `mosquitto_sub -v` prints "<topic> <payload>"
+ */
+function parseLine(line) {
+  const separator = line.indexOf(" ");
+  const topic = separator === -1 ? line : line.slice(0, separator);
+  const payload = separator === -1 ? "" : line.slice(separator + 1);
+  let data;
+  try {
+    data = JSON.parse(payload);
+  } catch {
+    data = undefined;
+  }
+  return { topic, payload, data };
+}
+
+module.exports = { createMqttTransport };
@@ -0,0 +1,50 @@
+/**
+ * SSH transport
+ *
+ * Runs commands on a remote host (the Pi) through the system ssh client in
+ * batch mode, so a missing key fails fast instead of prompting.
+ */
+
+const { runProcess, shellQuote } = require("./exec");
+
+const DEFAULT_SSH_OPTIONS = ["-o", "BatchMode=yes", "-o", "ConnectTimeout=5"];
+
+function createSshTransport(options = {}) {
+  if (!options.host) {
+    throw new Error("createSshTransport requires a host");
+  }
+
+  const host = options.host;
+  const sshOptions = options.sshOptions || DEFAULT_SSH_OPTIONS;
+  const defaultTimeoutMs = options.timeoutMs ?? 10000;
+
+  /**
+   * Run a shell command string on the remote host
+   */
+  function exec(command, execOptions = {}) {
+    const signal = execOptions.signal ?? options.signal;
+    return runProcess("ssh", [...sshOptions, host, command], execOptions.timeoutMs ?? defaultTimeoutMs, signal);
+  }
+
+  return {
+    kind: "ssh",
+    host,
+    exec,
+
+    /**
+     * Run a program with arguments, quoting each for the remote shell
+     */
+    execArgs(args, execOptions = {}) {
+      return exec(args.map(shellQuote).join(" "), execOptions);
+    },
+
+    /**
+     * The same transport with commands killed when `signal` aborts
+     */
+    withSignal(signal) {
+      return createSshTransport({ ...options, signal });
+    },
+  };
+}
+
+module.exports = { createSshTransport };
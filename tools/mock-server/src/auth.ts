@@ -0,0 +1,148 @@
+/**
+ * Mock Authentication
+ *
+ * Reproduces the two token hops of the real stack with HS256 JWTs:
+ * NextClient accepts a NextAuth session cookie and exchanges it for a bridge
+ * token, which BridgeServer verifies on every protected route. Tokens are
+ * checked against the wall clock, not the fixture clock, so an expired token
+ * is rejected exactly as it would be in production.
+ */
+
+import { SignJWT, jwtVerify, errors } from 'jose';
+import { UserRoleSchema } from '@delicasa/shared-types';
+import type { AppRouterContext } from '@delicasa/shared-types';
+
+export const BRIDGE_TOKEN_ISSUER = 'delicasa-bridge-proxy';
+export const BRIDGE_TOKEN_AUDIENCE = 'bridgeserver.delicasa.workers.dev';
+export const SESSION_COOKIE_NAMES = ['next-auth.session-token', '__Secure-next-auth.session-token'] as const;
+
+/**
+ * Mock-only secrets, matching the "mock" profile in tools/config/profiles.json
+ * so the tools scripts run against the mock without any configuration
+ */
+export const DEFAULT_SECRETS = {
+  nextAuthSecret: 'delicasa-mock-nextauth-secret',
+  bridgeJwtSecret: 'delicasa-mock-bridge-secret'
+} as const;
+
+export interface MockAuthOptions {
+  nextAuthSecret?: string;
+  bridgeJwtSecret?: string;
+  bridgeTokenTtlSeconds?: number;
+}
+
+export interface MockIdentity {
+  userId: string;
+  email?: string;
+  name?: string;
+  role: string;
+}
+
+/**
+ * Raised for a missing, malformed, expired or wrongly signed token
+ */
+export class MockAuthError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'MockAuthError';
+  }
+}
+
+export interface MockAuth {
+  verifySessionCookie(cookieHeader: string | undefined): Promise<MockIdentity>;
+  issueBridgeToken(identity: MockIdentity): Promise<string>;
+  verifyBridgeToken(authorizationHeader: string | undefined): Promise<MockIdentity>;
+  contextFor(authorizationHeader: string | undefined, requestId?: string): Promise<AppRouterContext>;
+}
+
+export function createMockAuth(options: MockAuthOptions = {}): MockAuth {
+  const encoder = new TextEncoder();
+  const sessionKey = encoder.encode(options.nextAuthSecret ?? DEFAULT_SECRETS.nextAuthSecret);
+  const bridgeKey = encoder.encode(options.bridgeJwtSecret ?? DEFAULT_SECRETS.bridgeJwtSecret);
+  const bridgeTokenTtl = options.bridgeTokenTtlSeconds ?? 15 * 60;
+
+  async function verify(token: string, key: Uint8Array, claims: { issuer?: string; audience?: string } = {}) {
+    try {
+      const { payload } = await jwtVerify(token, key, { algorithms: ['HS256'], ...claims });
+      return identityOf(payload);
+    } catch (error) {
+      if (error instanceof errors.JWTExpired) {
+        throw new MockAuthError('Token expired');
+      }
+      if (error instanceof MockAuthError) {
+        throw error;
+      }
+      throw new MockAuthError('Invalid token');
+    }
+  }
+
+  async function verifyBridgeToken(authorizationHeader: string | undefined) {
+    const match = /^Bearer\s+(.+)$/i.exec(authorizationHeader ?? '');
+    if (!match?.[1]) {
+      throw new MockAuthError('Missing bearer token');
+    }
+    return verify(match[1], bridgeKey, { issuer: BRIDGE_TOKEN_ISSUER, audience: BRIDGE_TOKEN_AUDIENCE });
+  }
+
+  return {
+    async verifySessionCookie(cookieHeader) {
+      const cookies = parseCookies(cookieHeader);
+      const token = SESSION_COOKIE_NAMES.map((name) => cookies.get(name)).find(Boolean);
+      if (!token) {
+        throw new MockAuthError('No session');
+      }
+      return verify(token, sessionKey);
+    },
+
+    async issueBridgeToken(identity) {
+      return new SignJWT({
+        ...(identity.email ? { email: identity.email } : {}),
+        ...(identity.name ? { name: identity.name } : {}),
+        role: identity.role
+      })
+        .setProtectedHeader({ alg: 'HS256', typ: 'JWT' })
+        .setSubject(identity.userId)
+        .setIssuer(BRIDGE_TOKEN_ISSUER)
+        .setAudience(BRIDGE_TOKEN_AUDIENCE)
+        .setIssuedAt()
+        .setExpirationTime(`${bridgeTokenTtl}s`)
+        .sign(bridgeKey);
+    },
+
+    verifyBridgeToken,
+
+    async contextFor(authorizationHeader, requestId) {
+      const base: AppRouterContext = requestId ? { requestId } : {};
+      if (!authorizationHeader) {
+        return base;
+      }
+      const identity = await verifyBridgeToken(authorizationHeader);
+      return { ...base, userId: identity.userId, role: identity.role };
+    }
+  };
+}
+
+function identityOf(payload: Record<string, unknown>): MockIdentity {
+  const role = UserRoleSchema.safeParse(payload.role);
+  if (typeof payload.sub !== 'string' || !payload.sub || !role.success) {
+    throw new MockAuthError('Token is missing sub or a valid role');
+  }
+
+  return {
+    userId: payload.sub,
+    ...(typeof payload.email === 'string' ? { email: payload.email } : {}),
+    ...(typeof payload.name === 'string' ? { name: payload.name } : {}),
+    role: role.data
+  };
+}
+
+function parseCookies(header: string | undefined): Map<string, string> {
+  const cookies = new Map<string, string>();
+  for (const part of (header ?? '').split(';')) {
+    const separator = part.indexOf('=');
+    if (separator > 0) {
+      cookies.set(part.slice(0, separator).trim(), decodeURIComponent(part.slice(separator + 1).trim()));
+    }
+  }
+  return cookies;
+}
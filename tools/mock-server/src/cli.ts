@@ -0,0 +1,85 @@
+/**
+ * Start the mock servers from the command line:
+ *
+ *   npm start                                   # BridgeServer :8080, NextClient :3000, PSP :8090, S3 :9000
+ *   npm start -- --bridge-port 18080 --client-port 13000 --psp-port 18090 --s3-port 19000
+ *
+ * Environment: MOCK_BRIDGE_PORT, MOCK_CLIENT_PORT, MOCK_PSP_PORT, MOCK_S3_PORT, MOCK_HOST, MOCK_NOW (ISO
+ * timestamp for the fixture clock), NEXTAUTH_SECRET, BRIDGE_JWT_SECRET.
+ */
+
+import { parseArgs } from 'node:util';
+
+import { startMockServer } from './server';
+import type { MockServerOptions } from './server';
+
+const { values } = parseArgs({
+  options: {
+    'bridge-port': { type: 'string' },
+    'client-port': { type: 'string' },
+    'psp-port': { type: 'string' },
+    's3-port': { type: 'string' },
+    host: { type: 'string' },
+    now: { type: 'string' }
+  }
+});
+
+function port(raw: string | undefined, name: string): number | undefined {
+  if (raw === undefined) {
+    return undefined;
+  }
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < 0 || value > 65535) {
+    throw new Error(`${name} must be a port number, got "${raw}"`);
+  }
+  return value;
+}
+
+function clock(raw: string | undefined): (() => Date) | undefined {
+  if (raw === undefined) {
+    return undefined;
+  }
+  const fixed = new Date(raw);
+  if (Number.isNaN(fixed.getTime())) {
+    throw new Error(`MOCK_NOW must be an ISO timestamp, got "${raw}"`);
+  }
+  return () => new Date(fixed);
+}
+
+async function main(): Promise<void> {
+  const env = process.env;
+  const bridgePort = port(values['bridge-port'] ?? env.MOCK_BRIDGE_PORT, 'bridge port');
+  const clientPort = port(values['client-port'] ?? env.MOCK_CLIENT_PORT, 'client port');
+  const pspPort = port(values['psp-port'] ?? env.MOCK_PSP_PORT, 'PSP port');
+  const objectStorePort = port(values['s3-port'] ?? env.MOCK_S3_PORT, 'S3 port');
+  const host = values.host ?? env.MOCK_HOST;
+  const now = clock(values.now ?? env.MOCK_NOW);
+
+  const options: MockServerOptions = {
+    ...(bridgePort !== undefined ? { bridgePort } : {}),
+    ...(clientPort !== undefined ? { clientPort } : {}),
+    ...(pspPort !== undefined ? { pspPort } : {}),
+    ...(objectStorePort !== undefined ? { objectStorePort } : {}),
+    ...(host ? { host } : {}),
+    ...(now ? { now } : {}),
+    ...(env.NEXTAUTH_SECRET ? { nextAuthSecret: env.NEXTAUTH_SECRET } : {}),
+    ...(env.BRIDGE_JWT_SECRET ? { bridgeJwtSecret: env.BRIDGE_JWT_SECRET } : {})
+  };
+
+  const server = await startMockServer(options);
+  console.log(`🧪 Mock BridgeServer listening on ${server.bridgeUrl}`);
+  console.log(`🧪 Mock NextClient listening on ${server.clientUrl}`);
+  console.log(`🧪 Fake PIX PSP listening on ${server.pspUrl}`);
+  console.log(`🧪 Fake S3 object store listening on ${server.objectStoreUrl}`);
+
+  const shutdown = () => {
+    server.close().then(() => process.exit(0), () => process.exit(1));
+  };
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+}
+
+main().catch((error: unknown) => {
+  console.error('💥 Mock server failed to start:', error instanceof Error ? error.message : error);
+  process.exit(1);
+});
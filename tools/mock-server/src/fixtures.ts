@@ -0,0 +1,238 @@
+/**
+ * Seeded Fixtures
+ *
+ * Deterministic entities the mock server starts with. IDs mirror the real
+ * hardware the diagnostics and archive suites look for (the PiOrchestrator
+ * controller and the cam-E6B4 ESP32-CAM), and every timestamp is derived
+ * from a fixed epoch so responses are identical from run to run.
+ */
+
+import {
+  ControllerStatus,
+  ConnectionType,
+  ContainerStatus,
+  DeviceStatus,
+  DeviceType,
+  OrderStatus,
+  PaymentStatus,
+  UserRole
+} from '@delicasa/shared-types';
+import type {
+  Container,
+  Controller,
+  Device,
+  InMemoryRepositories,
+  Order,
+  Payment,
+  User
+} from '@delicasa/shared-types';
+
+/**
+ * Default clock for the mock server (overridable with MOCK_NOW)
+ */
+export const FIXTURE_EPOCH = new Date('2025-01-15T12:00:00.000Z');
+
+export const FIXTURE_IDS = {
+  controller: 'piorches-mewv58x9-b827',
+  offlineController: 'piorches-offline-0001',
+  camera: 'cam-E6B4',
+  secondCamera: 'cam-A1F0',
+  offlineCamera: 'cam-DEAD',
+  container: 'container-main-fridge',
+  secondContainer: 'container-snack-shelf',
+  user: 'user-test-customer',
+  admin: 'user-test-admin',
+  order: 'order-0001',
+  payment: 'payment-0001'
+} as const;
+
+export interface Fixtures {
+  users: User[];
+  controllers: Controller[];
+  devices: Device[];
+  containers: Container[];
+  orders: Order[];
+  payments: Payment[];
+}
+
+/**
+ * Build the fixture set relative to the given clock
+ */
+export function createFixtures(now: Date = FIXTURE_EPOCH): Fixtures {
+  const minutesAgo = (minutes: number) => new Date(now.getTime() - minutes * 60_000);
+  const created = minutesAgo(30 * 24 * 60);
+  const audit = { createdAt: created, updatedAt: minutesAgo(60), version: 1 };
+
+  const users: User[] = [
+    {
+      ...audit,
+      id: FIXTURE_IDS.user,
+      name: 'Test Customer',
+      email: 'customer@delicasa.com',
+      role: UserRole.CUSTOMER,
+      isActive: true
+    },
+    {
+      ...audit,
+      id: FIXTURE_IDS.admin,
+      name: 'Test Admin',
+      email: 'admin@delicasa.com',
+      role: UserRole.ADMIN,
+      isActive: true
+    }
+  ];
+
+  const controllers: Controller[] = [
+    {
+      ...audit,
+      id: FIXTURE_IDS.controller,
+      name: 'PiOrchestrator Main',
+      description: 'Raspberry Pi orchestrator for the main fridge',
+      location: 'Loja Centro',
+      coordinates: { latitude: -23.5505, longitude: -46.6333 },
+      ipAddress: '192.168.1.50',
+      macAddress: 'B8:27:EB:12:34:56',
+      serialNumber: '00000000b827eb12',
+      hardwareSignature: 'rpi4-b827eb123456',
+      apiEndpoint: 'http://192.168.1.50:8081',
+      deviceType: DeviceType.RASPBERRY_PI,
+      connectionType: ConnectionType.WIFI,
+      status: ControllerStatus.ONLINE,
+      capabilities: ['camera', 'door_control', 'mqtt'],
+      osInfo: 'Raspberry Pi OS 12 (bookworm)',
+      lastSeen: minutesAgo(1)
+    },
+    {
+      ...audit,
+      id: FIXTURE_IDS.offlineController,
+      name: 'PiOrchestrator Backup',
+      location: 'Loja Norte',
+      deviceType: DeviceType.RASPBERRY_PI,
+      connectionType: ConnectionType.ETHERNET,
+      status: ControllerStatus.OFFLINE,
+      capabilities: ['camera'],
+      lastSeen: minutesAgo(6 * 60)
+    }
+  ];
+
+  const containers: Container[] = [
+    {
+      ...audit,
+      id: FIXTURE_IDS.container,
+      controllerId: FIXTURE_IDS.controller,
+      name: 'Main Fridge',
+      deviceType: DeviceType.ESP_CAM,
+      shelfLevel: 0,
+      capacity: 24,
+      isActive: true,
+      status: ContainerStatus.ONLINE,
+      location: 'Loja Centro'
+    },
+    {
+      ...audit,
+      id: FIXTURE_IDS.secondContainer,
+      controllerId: FIXTURE_IDS.controller,
+      name: 'Snack Shelf',
+      deviceType: DeviceType.ESP_CAM,
+      shelfLevel: 1,
+      capacity: 40,
+      isActive: true,
+      status: ContainerStatus.ONLINE,
+      location: 'Loja Centro'
+    }
+  ];
+
+  const devices: Device[] = [
+    {
+      ...audit,
+      id: FIXTURE_IDS.camera,
+      name: 'Fridge Camera',
+      macAddress: 'E8:9F:6D:12:E6:B4',
+      ipAddress: '192.168.1.61',
+      firmwareVersion: '2.1.0',
+      token: 'mock-device-token-e6b4',
+      status: DeviceStatus.ONLINE,
+      deviceType: DeviceType.ESP_CAM,
+      lastSeen: minutesAgo(1),
+      containerId: FIXTURE_IDS.container,
+      shelfLevel: 0,
+      position: 'top'
+    },
+    {
+      ...audit,
+      id: FIXTURE_IDS.secondCamera,
+      name: 'Shelf Camera',
+      macAddress: 'E8:9F:6D:12:A1:F0',
+      ipAddress: '192.168.1.62',
+      firmwareVersion: '2.1.0',
+      token: 'mock-device-token-a1f0',
+      status: DeviceStatus.ONLINE,
+      deviceType: DeviceType.ESP_CAM,
+      lastSeen: minutesAgo(2),
+      containerId: FIXTURE_IDS.secondContainer,
+      shelfLevel: 1,
+      position: 'top'
+    },
+    {
+      ...audit,
+      id: FIXTURE_IDS.offlineCamera,
+      name: 'Broken Camera',
+      macAddress: 'E8:9F:6D:12:DE:AD',
+      ipAddress: '192.168.1.63',
+      firmwareVersion: '2.0.3',
+      token: 'mock-device-token-dead',
+      status: DeviceStatus.OFFLINE,
+      deviceType: DeviceType.ESP_CAM,
+      lastSeen: minutesAgo(3 * 60),
+      containerId: FIXTURE_IDS.secondContainer,
+      shelfLevel: 1,
+      position: 'bottom'
+    }
+  ];
+
+  const orders: Order[] = [
+    {
+      ...audit,
+      id: FIXTURE_IDS.order,
+      userId: FIXTURE_IDS.user,
+      containerId: FIXTURE_IDS.container,
+      status: OrderStatus.DELIVERED,
+      subtotal: 11,
+      tax: 0,
+      deliveryFee: 0,
+      totalAmount: 11,
+      paymentMethod: 'pix',
+      paymentStatus: PaymentStatus.SUCCEEDED,
+      items: [
+        { productId: 'prod_001', productName: 'Coca-Cola 350ml', quantity: 2, unitPrice: 5.5, totalPrice: 11 }
+      ]
+    }
+  ];
+
+  const payments: Payment[] = [
+    {
+      ...audit,
+      id: FIXTURE_IDS.payment,
+      userId: FIXTURE_IDS.user,
+      orderId: FIXTURE_IDS.order,
+      amount: 11,
+      currency: 'BRL',
+      status: PaymentStatus.SUCCEEDED,
+      description: 'PIX payment for order-0001'
+    }
+  ];
+
+  return { users, controllers, devices, containers, orders, payments };
+}
+
+/**
+ * Load the fixtures into a fresh set of in-memory repositories
+ */
+export async function seedRepositories(repositories: InMemoryRepositories, fixtures: Fixtures): Promise<void> {
+  await repositories.users.createMany(fixtures.users);
+  await repositories.controllers.createMany(fixtures.controllers);
+  await repositories.containers.createMany(fixtures.containers);
+  await repositories.devices.createMany(fixtures.devices);
+  await repositories.orders.createMany(fixtures.orders);
+  await repositories.payments.createMany(fixtures.payments);
+}
@@ -0,0 +1,311 @@
+/**
+ * Mock Procedure Handlers
+ *
+ * AppRouterHandlers backed by seeded in-memory repositories. The same
+ * handlers serve the tRPC router and the REST routes, so both surfaces
+ * return identical data. Reads and the capture/status mutations are
+ * implemented; order and payment mutations are NOT_IMPLEMENTED, like an
+ * unfinished BridgeServer deployment.
+ */
+
+import { TRPCError } from '@trpc/server';
+import {
+  ControllerStatus,
+  DeviceStatus,
+  InvalidCursorError,
+  notImplemented
+} from '@delicasa/shared-types';
+import type {
+  AppRouterHandlers,
+  CaptureDeviceOutput,
+  CaptureResult,
+  Controller,
+  ControllerOutput,
+  Device,
+  FilterExpression,
+  FilterOptions,
+  InMemoryRepositories
+} from '@delicasa/shared-types';
+
+export interface MockHandlerOptions {
+  repositories: InMemoryRepositories;
+
+  /**
+   * Fixture clock (timestamps in responses)
+   */
+  now: () => Date;
+
+  /**
+   * Base URL of the mock server, used to build image URLs
+   */
+  publicUrl: string;
+
+  startedAt?: Date;
+  version?: string;
+}
+
+interface ListInput {
+  limit?: number | undefined;
+  offset?: number | undefined;
+  after?: string | undefined;
+  before?: string | undefined;
+  filter?: FilterExpression | undefined;
+}
+
+export function createMockHandlers(options: MockHandlerOptions): AppRouterHandlers {
+  const { repositories, now, publicUrl } = options;
+  const startedAt = options.startedAt ?? now();
+  let captureSequence = 0;
+
+  const uptime = () => Math.max(0, Math.round((now().getTime() - startedAt.getTime()) / 1000));
+
+  async function requireController(id: string): Promise<Controller> {
+    const controller = await repositories.controllers.findById(id);
+    if (!controller) {
+      throw new TRPCError({ code: 'NOT_FOUND', message: `Controller not found: ${id}` });
+    }
+    return controller;
+  }
+
+  async function requireEntity<T>(entityType: string, id: string, find: (id: string) => Promise<T | null>): Promise<T> {
+    const entity = await find(id);
+    if (!entity) {
+      throw new TRPCError({ code: 'NOT_FOUND', message: `${entityType} not found: ${id}` });
+    }
+    return entity;
+  }
+
+  async function camerasOf(controllerId: string): Promise<Device[]> {
+    const containers = await repositories.containers.findByControllerId(controllerId);
+    const devices = await Promise.all(containers.map((container) => repositories.devices.findByContainer(container.id)));
+    return devices.flat().sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  /**
+   * Deterministic capture: online cameras succeed with sequential image
+   * IDs, anything else fails with the reason the real Pi reports
+   */
+  function capture(device: Device): CaptureDeviceOutput {
+    if (device.status !== DeviceStatus.ONLINE) {
+      return { success: false, error: `Camera ${device.id} is ${device.status}` };
+    }
+    captureSequence += 1;
+    const imageId = `img_${device.id}_${String(captureSequence).padStart(4, '0')}`;
+    return {
+      success: true,
+      imageId,
+      imageUrl: `${publicUrl}/images/${imageId}.jpg`,
+      capturedAt: now().toISOString()
+    };
+  }
+
+  return {
+    health: {
+      check: async () => ({ status: 'OK', time: now().toISOString(), db: true, r2: true, uptime: uptime() }),
+      detailed: async () => ({
+        status: 'OK',
+        time: now().toISOString(),
+        db: true,
+        r2: true,
+        services: {
+          database: { status: 'connected', responseTime: 1 },
+          cache: { status: 'connected', responseTime: 1 }
+        },
+        version: options.version ?? 'mock',
+        uptime: uptime()
+      })
+    },
+
+    controller: {
+      list: async (input) => {
+        const page = await paginate(() => repositories.controllers.findAllPaginated(
+          filterOptionsOf(input, { status: input.status })
+        ));
+        return {
+          controllers: page.data.map(toControllerOutput),
+          total: page.meta.total,
+          hasMore: page.meta.hasNext,
+          ...cursorsOf(page.meta)
+        };
+      },
+      detail: async (input) => {
+        const controller = await requireController(input.id);
+        const cameras = await camerasOf(controller.id);
+        return {
+          ...toControllerOutput(controller),
+          cameras: cameras.map((camera) => ({
+            id: camera.id,
+            name: camera.name ?? camera.id,
+            status: camera.status === DeviceStatus.UPDATING ? 'maintenance' : camera.status
+          }))
+        };
+      },
+      updateStatus: async (input) => {
+        await requireController(input.id);
+        await repositories.controllers.updateStatus(input.id, input.status as ControllerStatus);
+        return { success: true, message: `Controller ${input.id} is now ${input.status}` };
+      }
+    },
+
+    device: {
+      list: async (input) => {
+        const page = await paginate(() => repositories.devices.findAllPaginated(
+          filterOptionsOf(input, { status: input.status, deviceType: input.deviceType, containerId: input.containerId })
+        ));
+        return {
+          devices: page.data.map(withoutToken),
+          total: page.meta.total,
+          hasMore: page.meta.hasNext,
+          ...cursorsOf(page.meta)
+        };
+      },
+      detail: async (input) => withoutToken(
+        await requireEntity('Device', input.id, (id) => repositories.devices.findById(id))
+      ),
+      updateStatus: async (input) => {
+        await requireEntity('Device', input.id, (id) => repositories.devices.findById(id));
+        await repositories.devices.updateStatus(input.id, input.status);
+        return { success: true, message: `Device ${input.id} is now ${input.status}` };
+      }
+    },
+
+    container: {
+      list: async (input) => {
+        const page = await paginate(() => repositories.containers.findAllPaginated(
+          filterOptionsOf(input, { controllerId: input.controllerId, status: input.status })
+        ));
+        return {
+          containers: page.data,
+          total: page.meta.total,
+          hasMore: page.meta.hasNext,
+          ...cursorsOf(page.meta)
+        };
+      },
+      detail: async (input) => requireEntity('Container', input.id, (id) => repositories.containers.findById(id))
+    },
+
+    capture: {
+      controller: async (input) => {
+        const controller = await requireController(input.controllerId);
+        const cameras = await camerasOf(controller.id);
+        const results: CaptureResult[] = cameras.map((camera) => {
+          if (controller.status !== ControllerStatus.ONLINE) {
+            return { cameraId: camera.id, success: false, error: `Controller ${controller.id} is ${controller.status}` };
+          }
+          const { capturedAt: _capturedAt, ...result } = capture(camera);
+          return { cameraId: camera.id, ...result };
+        });
+        const captured = results.filter((result) => result.success).length;
+        return { success: captured > 0, captured, results };
+      },
+      device: async (input) => capture(
+        await requireEntity('Device', input.deviceId, (id) => repositories.devices.findById(id))
+      )
+    },
+
+    order: {
+      list: async (input) => {
+        const page = await paginate(() => repositories.orders.findAllPaginated(
+          filterOptionsOf(input, { userId: input.userId, status: input.status })
+        ));
+        return {
+          orders: page.data,
+          total: page.meta.total,
+          hasMore: page.meta.hasNext,
+          ...cursorsOf(page.meta)
+        };
+      },
+      detail: async (input) => requireEntity('Order', input.id, (id) => repositories.orders.findById(id)),
+      create: notImplemented('order.create'),
+      updateStatus: notImplemented('order.updateStatus'),
+      cancel: notImplemented('order.cancel')
+    },
+
+    payment: {
+      detail: async (input) => requireEntity('Payment', input.id, (id) => repositories.payments.findById(id)),
+      listByOrder: async (input) => ({ payments: await repositories.payments.findByOrderId(input.orderId) }),
+      process: notImplemented('payment.process'),
+      refund: notImplemented('payment.refund'),
+      status: async (input) => {
+        const payment = await requireEntity('Payment', input.id, (id) => repositories.payments.findById(id));
+        return { id: payment.id, status: payment.status };
+      }
+    }
+  };
+}
+
+/**
+ * Map a stored controller to the wire shape (nulls instead of missing
+ * fields, ISO strings instead of dates, no token)
+ */
+export function toControllerOutput(controller: Controller): ControllerOutput {
+  return {
+    id: controller.id,
+    name: controller.name,
+    description: controller.description ?? null,
+    status: controller.status,
+    ipAddress: controller.ipAddress ?? null,
+    macAddress: controller.macAddress ?? null,
+    serialNumber: controller.serialNumber ?? null,
+    hardwareSignature: controller.hardwareSignature ?? null,
+    apiEndpoint: controller.apiEndpoint ?? null,
+    deviceType: controller.deviceType,
+    connectionType: controller.connectionType,
+    capabilities: controller.capabilities,
+    osInfo: controller.osInfo ?? null,
+    lastSeen: controller.lastSeen.toISOString(),
+    location: controller.location ?? null,
+    coordinates: controller.coordinates
+      ? { latitude: controller.coordinates.latitude, longitude: controller.coordinates.longitude }
+      : null,
+    createdAt: controller.createdAt.toISOString(),
+    updatedAt: controller.updatedAt.toISOString()
+  };
+}
+
+function withoutToken({ token: _token, ...device }: Device) {
+  return device;
+}
+
+/**
+ * Combine the list procedure's equality shortcuts with its filter expression
+ */
+function filterOptionsOf(input: ListInput, equalities: Record<string, string | undefined>): FilterOptions {
+  const conditions: FilterExpression[] = Object.entries(equalities)
+    .filter((entry): entry is [string, string] => entry[1] !== undefined)
+    .map(([field, value]) => ({ op: 'eq', field, value }));
+  if (input.filter) {
+    conditions.push(input.filter);
+  }
+
+  const [only] = conditions;
+  return {
+    ...(input.limit !== undefined ? { limit: input.limit } : {}),
+    ...(input.offset !== undefined ? { offset: input.offset } : {}),
+    ...(input.after ? { after: input.after } : {}),
+    ...(input.before ? { before: input.before } : {}),
+    ...(conditions.length === 1 && only ? { filters: only } : {}),
+    ...(conditions.length > 1 ? { filters: { op: 'and', conditions } } : {})
+  };
+}
+
+function cursorsOf(meta: { nextCursor?: string | undefined; prevCursor?: string | undefined }) {
+  return {
+    ...(meta.nextCursor ? { nextCursor: meta.nextCursor } : {}),
+    ...(meta.prevCursor ? { prevCursor: meta.prevCursor } : {})
+  };
+}
+
+/**
+ * Report a tampered or stale cursor as a client error
+ */
+async function paginate<T>(query: () => Promise<T>): Promise<T> {
+  try {
+    return await query();
+  } catch (error) {
+    if (error instanceof InvalidCursorError) {
+      throw new TRPCError({ code: 'BAD_REQUEST', message: error.message, cause: error });
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,25 @@
+/**
+ * Offline BridgeServer/NextClient/PIX PSP/S3 stand-in for diagnostics and
+ * integration tests. See tools/README.md.
+ */
+
+export { startMockServer } from './server';
+export type { MockServer, MockServerOptions } from './server';
+export {
+  BRIDGE_TOKEN_AUDIENCE,
+  BRIDGE_TOKEN_ISSUER,
+  DEFAULT_SECRETS,
+  MockAuthError,
+  createMockAuth
+} from './auth';
+export type { MockAuth, MockAuthOptions, MockIdentity } from './auth';
+export { FIXTURE_EPOCH, FIXTURE_IDS, createFixtures, seedRepositories } from './fixtures';
+export type { Fixtures } from './fixtures';
+export { createMockHandlers, toControllerOutput } from './handlers';
+export type { MockHandlerOptions } from './handlers';
+export { FAKE_PSP_CREDENTIALS, FAKE_PSP_ISPB, FAKE_PSP_WEBHOOK_SECRET, createFakePsp } from './pix-psp';
+export type { FakePsp, FakePspOptions, WebhookDelivery } from './pix-psp';
+export { FAKE_S3_CREDENTIALS, FAKE_S3_REGION, createFakeObjectStore } from './object-store';
+export type { FakeObjectStore, FakeObjectStoreOptions, FakeStoredObject } from './object-store';
+export { BadRequestError, createBridgeRoutes, createClientRoutes } from './routes';
+export type { Route, RouteContext, RouteResult } from './routes';
@@ -0,0 +1,291 @@
+/**
+ * Fake S3 Object Store
+ *
+ * In-memory, MinIO-style stand-in for the S3 API subset used by
+ * S3ImageObjectStore, so content-addressed image storage can be exercised
+ * offline the way it runs against R2:
+ *
+ *   PUT    /:bucket/:key                   store an object
+ *   GET    /:bucket/:key, HEAD ...         read an object
+ *   DELETE /:bucket/:key                   remove an object
+ *   GET    /:bucket?list-type=2&prefix=    ListObjectsV2
+ *
+ * Every request must carry a valid AWS Signature Version 4, either in the
+ * Authorization header or as a presigned query (X-Amz-Signature), checked
+ * here independently of the shared signer. Presigned URLs expire against the
+ * wall clock. Buckets are created on first write.
+ */
+
+import { createHash, createHmac } from 'node:crypto';
+import type { IncomingMessage, ServerResponse } from 'node:http';
+
+import { send } from './routes';
+import type { RouteResult } from './routes';
+
+/**
+ * Mock-only access key pair, in the spirit of MinIO's minioadmin default
+ */
+export const FAKE_S3_CREDENTIALS = {
+  accessKeyId: 'delicasa-mock-s3',
+  secretAccessKey: 'delicasa-mock-s3-secret'
+} as const;
+
+export const FAKE_S3_REGION = 'us-east-1';
+
+export interface FakeObjectStoreOptions {
+  accessKeyId?: string;
+  secretAccessKey?: string;
+  region?: string;
+
+  /**
+   * Clock for request dates and presigned URL expiry (default: wall clock)
+   */
+  now?: () => Date;
+}
+
+export interface FakeStoredObject {
+  body: Buffer;
+  contentType: string;
+  etag: string;
+  lastModified: Date;
+}
+
+export interface FakeObjectStore {
+  /**
+   * Objects by "<bucket>/<key>"
+   */
+  readonly objects: ReadonlyMap<string, FakeStoredObject>;
+  handle(request: IncomingMessage, response: ServerResponse): void;
+}
+
+const MAX_CLOCK_SKEW_MS = 15 * 60 * 1000;
+const MAX_KEYS = 1000;
+
+class S3Error extends Error {
+  constructor(
+    public readonly status: number,
+    public readonly code: string,
+    message: string
+  ) {
+    super(message);
+    this.name = 'S3Error';
+  }
+}
+
+export function createFakeObjectStore(options: FakeObjectStoreOptions = {}): FakeObjectStore {
+  const now = options.now ?? (() => new Date());
+  const accessKeyId = options.accessKeyId ?? FAKE_S3_CREDENTIALS.accessKeyId;
+  const secretAccessKey = options.secretAccessKey ?? FAKE_S3_CREDENTIALS.secretAccessKey;
+  const region = options.region ?? FAKE_S3_REGION;
+  const objects = new Map<string, FakeStoredObject>();
+
+  /**
+   * Recompute the request's SigV4 signature and compare
+   */
+  function authenticate(request: IncomingMessage, url: URL, body: Buffer): void {
+    const query = url.searchParams;
+    const presigned = query.has('X-Amz-Signature');
+    let credential: string;
+    let amzDate: string;
+    let signedHeaders: string[];
+    let signature: string;
+    let payloadHash: string;
+
+    if (presigned) {
+      credential = query.get('X-Amz-Credential') ?? '';
+      amzDate = query.get('X-Amz-Date') ?? '';
+      signedHeaders = (query.get('X-Amz-SignedHeaders') ?? '').split(';');
+      signature = query.get('X-Amz-Signature') ?? '';
+      payloadHash = 'UNSIGNED-PAYLOAD';
+      const expires = Number(query.get('X-Amz-Expires'));
+      if (query.get('X-Amz-Algorithm') !== 'AWS4-HMAC-SHA256' || !Number.isInteger(expires) || expires < 1 || expires > 604800) {
+        throw new S3Error(400, 'AuthorizationQueryParametersError', 'Invalid presigned URL parameters');
+      }
+      if (parseAmzDate(amzDate) + expires * 1000 <= now().getTime()) {
+        throw new S3Error(403, 'AccessDenied', 'Request has expired');
+      }
+    } else {
+      const match = /^AWS4-HMAC-SHA256 Credential=([^,]+), ?SignedHeaders=([^,]+), ?Signature=([0-9a-f]+)$/.exec(request.headers.authorization ?? '');
+      if (!match) {
+        throw new S3Error(403, 'AccessDenied', 'Request is not signed with AWS Signature Version 4');
+      }
+      [, credential = '', , signature = ''] = match;
+      signedHeaders = (match[2] ?? '').split(';');
+      amzDate = header(request, 'x-amz-date');
+      payloadHash = header(request, 'x-amz-content-sha256');
+      if (payloadHash !== 'UNSIGNED-PAYLOAD' && payloadHash !== createHash('sha256').update(body).digest('hex')) {
+        throw new S3Error(400, 'XAmzContentSHA256Mismatch', 'The provided x-amz-content-sha256 does not match the body');
+      }
+      if (Math.abs(parseAmzDate(amzDate) - now().getTime()) > MAX_CLOCK_SKEW_MS) {
+        throw new S3Error(403, 'RequestTimeTooSkewed', 'The difference between the request time and the server time is too large');
+      }
+    }
+
+    const [keyId, date, scopeRegion, service, terminator] = credential.split('/');
+    if (keyId !== accessKeyId) {
+      throw new S3Error(403, 'InvalidAccessKeyId', 'The access key does not exist');
+    }
+    if (date !== amzDate.slice(0, 8) || scopeRegion !== region || service !== 's3' || terminator !== 'aws4_request') {
+      throw new S3Error(403, 'SignatureDoesNotMatch', 'Invalid credential scope');
+    }
+    if (!signedHeaders.includes('host')) {
+      throw new S3Error(403, 'SignatureDoesNotMatch', 'The host header must be signed');
+    }
+
+    const canonicalQuery = [...query.entries()]
+      .filter(([name]) => name !== 'X-Amz-Signature')
+      .map(([name, value]) => [encodeRfc3986(name), encodeRfc3986(value)] as const)
+      .sort(([a, x], [b, y]) => (a < b ? -1 : a > b ? 1 : x < y ? -1 : x > y ? 1 : 0))
+      .map(([name, value]) => `${name}=${value}`)
+      .join('&');
+    const canonicalRequest = [
+      request.method ?? 'GET',
+      url.pathname,
+      canonicalQuery,
+      signedHeaders.map((name) => `${name}:${header(request, name).trim().replace(/\s+/g, ' ')}\n`).join(''),
+      signedHeaders.join(';'),
+      payloadHash
+    ].join('\n');
+    const scope = `${date}/${region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, createHash('sha256').update(canonicalRequest).digest('hex')].join('\n');
+
+    let key: Buffer = createHmac('sha256', `AWS4${secretAccessKey}`).update(date).digest();
+    for (const part of [region, 's3', 'aws4_request']) {
+      key = createHmac('sha256', key).update(part).digest();
+    }
+    if (createHmac('sha256', key).update(stringToSign).digest('hex') !== signature) {
+      throw new S3Error(403, 'SignatureDoesNotMatch', 'The request signature we calculated does not match the signature you provided');
+    }
+  }
+
+  function list(bucket: string, query: URLSearchParams): RouteResult {
+    const prefix = query.get('prefix') ?? '';
+    const maxKeys = Math.min(Number(query.get('max-keys') ?? MAX_KEYS) || MAX_KEYS, MAX_KEYS);
+    const token = query.get('continuation-token');
+    const after = token ? Buffer.from(token, 'base64url').toString('utf8') : '';
+    const keys = [...objects.keys()]
+      .filter((name) => name.startsWith(`${bucket}/`))
+      .map((name) => name.slice(bucket.length + 1))
+      .filter((key) => key.startsWith(prefix) && key > after)
+      .sort();
+    const page = keys.slice(0, maxKeys);
+    const truncated = keys.length > page.length;
+    const contents = page.map((key) => {
+      const object = objects.get(`${bucket}/${key}`)!;
+      return `<Contents><Key>${escapeXml(key)}</Key><LastModified>${object.lastModified.toISOString()}</LastModified>`
+        + `<ETag>&quot;${object.etag}&quot;</ETag><Size>${object.body.length}</Size></Contents>`;
+    });
+    return xml(200, '<?xml version="1.0" encoding="UTF-8"?>'
+      + '<ListBucketResult xmlns="http://s3.amazonaws.com/doc/2006-03-01/">'
+      + `<Name>${escapeXml(bucket)}</Name><Prefix>${escapeXml(prefix)}</Prefix><KeyCount>${page.length}</KeyCount>`
+      + `<MaxKeys>${maxKeys}</MaxKeys><IsTruncated>${truncated}</IsTruncated>`
+      + (truncated ? `<NextContinuationToken>${Buffer.from(page[page.length - 1]!, 'utf8').toString('base64url')}</NextContinuationToken>` : '')
+      + contents.join('')
+      + '</ListBucketResult>');
+  }
+
+  async function route(request: IncomingMessage): Promise<RouteResult> {
+    const url = new URL(request.url ?? '/', 'http://localhost');
+    const body = await readBody(request);
+    authenticate(request, url, body);
+
+    const [, bucketPart = '', ...keyParts] = url.pathname.split('/');
+    const bucket = decodeURIComponent(bucketPart);
+    const key = keyParts.map((part) => decodeURIComponent(part)).join('/');
+    if (!bucket) {
+      throw new S3Error(400, 'InvalidRequest', 'Bucket listing is not supported');
+    }
+    const method = request.method ?? 'GET';
+    if (!key) {
+      if (method === 'GET' && url.searchParams.get('list-type') === '2') {
+        return list(bucket, url.searchParams);
+      }
+      throw new S3Error(405, 'MethodNotAllowed', `${method} on a bucket is not supported`);
+    }
+
+    const name = `${bucket}/${key}`;
+    switch (method) {
+      case 'PUT': {
+        const object: FakeStoredObject = {
+          body,
+          contentType: header(request, 'content-type') || 'application/octet-stream',
+          etag: createHash('md5').update(body).digest('hex'),
+          lastModified: now()
+        };
+        objects.set(name, object);
+        return { status: 200, headers: { ETag: `"${object.etag}"` }, body: new Uint8Array() };
+      }
+      case 'GET':
+      case 'HEAD': {
+        const object = objects.get(name);
+        if (!object) {
+          throw new S3Error(404, 'NoSuchKey', 'The specified key does not exist.');
+        }
+        return {
+          status: 200,
+          headers: { 'Content-Type': object.contentType, ETag: `"${object.etag}"`, 'Last-Modified': object.lastModified.toUTCString() },
+          body: new Uint8Array(object.body)
+        };
+      }
+      case 'DELETE':
+        objects.delete(name);
+        return { status: 204, body: new Uint8Array() };
+      default:
+        throw new S3Error(405, 'MethodNotAllowed', `${method} is not supported`);
+    }
+  }
+
+  return {
+    objects,
+    handle(request, response) {
+      route(request)
+        .then((result) => send(response, result))
+        .catch((error: unknown) => {
+          send(response, error instanceof S3Error
+            ? errorXml(error.status, error.code, error.message)
+            : errorXml(500, 'InternalError', error instanceof Error ? error.message : String(error)));
+        });
+    }
+  };
+}
+
+function header(request: IncomingMessage, name: string): string {
+  const value = request.headers[name.toLowerCase()];
+  return Array.isArray(value) ? value.join(',') : value ?? '';
+}
+
+async function readBody(request: IncomingMessage): Promise<Buffer> {
+  const chunks: Buffer[] = [];
+  for await (const chunk of request) {
+    chunks.push(chunk as Buffer);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * 20240101T120000Z as epoch milliseconds
+ */
+function parseAmzDate(value: string): number {
+  const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(value);
+  if (!match) {
+    throw new S3Error(403, 'AccessDenied', `Invalid X-Amz-Date: ${value}`);
+  }
+  const [, year, month, day, hour, minute, second] = match.map(Number);
+  return Date.UTC(year!, month! - 1, day!, hour!, minute!, second!);
+}
+
+function encodeRfc3986(value: string): string {
+  return encodeURIComponent(value).replace(/[!'()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function escapeXml(value: string): string {
+  return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+
+function xml(status: number, document: string): RouteResult {
+  return { status, headers: { 'Content-Type': 'application/xml' }, body: new Uint8Array(Buffer.from(document, 'utf8')) };
+}
+
+function errorXml(status: number, code: string, message: string): RouteResult {
+  return xml(status, `<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code><Message>${escapeXml(message)}</Message></Error>`);
+}
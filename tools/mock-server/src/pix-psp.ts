@@ -0,0 +1,440 @@
+/**
+ * Fake PIX PSP
+ *
+ * In-memory stand-in for a payment service provider implementing the BCB
+ * PIX API (v2), so PixPaymentGateway can be exercised end to end offline:
+ *
+ *   POST /oauth/token                      client credentials (HTTP Basic)
+ *   PUT  /v2/cob/:txid, GET /v2/cob/:txid  immediate charges
+ *   PATCH /v2/cob/:txid                    withdraw an unpaid charge
+ *   GET  /v2/pix/:e2eid                    received PIX
+ *   PUT  /v2/pix/:e2eid/devolucao/:id      refunds
+ *   GET  /v2/pix/:e2eid/devolucao/:id      refund lookup
+ *   PUT  /v2/webhook/:chave, GET ...       webhook registration
+ *   GET  /qr/v2/:locationId                charge behind a dynamic BR Code
+ *   POST /sandbox/cob/:txid/pay            simulate the payer paying a charge
+ *
+ * Requests and responses are validated with the shared PIX schemas. Paying
+ * or refunding posts the webhook ({ pix: [...] } to the registered URL +
+ * "/pix", HMAC-signed), as a real PSP would. Charges expire against the wall clock.
+ */
+
+import { createHmac, randomBytes } from 'node:crypto';
+import type { IncomingMessage, ServerResponse } from 'node:http';
+import {
+  PixChargeRequestSchema,
+  PixChargeSchema,
+  PixRefundIdSchema,
+  PixRefundRequestSchema,
+  PixTxidSchema,
+  chargeExpiresAt,
+  createDynamicPixPayload
+} from '@delicasa/shared-types';
+import type { PixCharge, PixReceived, PixRefund } from '@delicasa/shared-types';
+
+import { BadRequestError, readJson, send } from './routes';
+import type { RouteResult } from './routes';
+
+/**
+ * Mock-only client credentials, matching the archive payment suite defaults
+ */
+export const FAKE_PSP_CREDENTIALS = {
+  clientId: 'delicasa-mock-psp',
+  clientSecret: 'delicasa-mock-psp-secret'
+} as const;
+
+/**
+ * Mock-only secret the webhook deliveries are signed with
+ * (x-webhook-signature: sha256=<HMAC-SHA256 of the body>), as expected by
+ * PixWebhookProvider's 'hmac' authentication
+ */
+export const FAKE_PSP_WEBHOOK_SECRET = 'delicasa-mock-psp-webhook-secret';
+
+/**
+ * ISPB used in generated end-to-end and return ids
+ */
+export const FAKE_PSP_ISPB = '99999999';
+
+export interface FakePspOptions {
+  /**
+   * Base URL the PSP is reachable at, used for charge locations
+   */
+  publicUrl: string;
+
+  clientId?: string;
+  clientSecret?: string;
+  merchantName?: string;
+  merchantCity?: string;
+
+  /**
+   * Secret for webhook signatures (default FAKE_PSP_WEBHOOK_SECRET)
+   */
+  webhookSecret?: string;
+
+  /**
+   * Clock for charge creation and expiry (default: wall clock)
+   */
+  now?: () => Date;
+
+  /**
+   * Used to deliver webhooks
+   */
+  fetch?: typeof fetch;
+}
+
+export interface WebhookDelivery {
+  url: string;
+  txid?: string;
+  endToEndId: string;
+  status?: number;
+  error?: string;
+}
+
+export interface FakePsp {
+  readonly charges: ReadonlyMap<string, PixCharge>;
+  readonly webhooks: ReadonlyMap<string, string>;
+  readonly deliveries: readonly WebhookDelivery[];
+  handle(request: IncomingMessage, response: ServerResponse): void;
+}
+
+interface PspRoute {
+  method: 'GET' | 'PUT' | 'POST' | 'PATCH';
+  pattern: RegExp;
+  authenticated?: boolean;
+  handle(params: string[], body: unknown): Promise<RouteResult>;
+}
+
+const TOKEN_TTL_SECONDS = 3600;
+
+export function createFakePsp(options: FakePspOptions): FakePsp {
+  const now = options.now ?? (() => new Date());
+  const deliver = options.fetch ?? ((input, init) => globalThis.fetch(input, init));
+  const clientId = options.clientId ?? FAKE_PSP_CREDENTIALS.clientId;
+  const clientSecret = options.clientSecret ?? FAKE_PSP_CREDENTIALS.clientSecret;
+  const merchantName = options.merchantName ?? 'DeliCasa';
+  const merchantCity = options.merchantCity ?? 'BRASILIA';
+  const webhookSecret = options.webhookSecret ?? FAKE_PSP_WEBHOOK_SECRET;
+  const locationBase = `${options.publicUrl.replace(/^https?:\/\//, '').replace(/\/+$/, '')}/qr/v2`;
+
+  const charges = new Map<string, PixCharge>();
+  const locations = new Map<string, string>();
+  const webhooks = new Map<string, string>();
+  const deliveries: WebhookDelivery[] = [];
+  const tokens = new Set<string>();
+
+  function findReceived(endToEndId: string): { charge: PixCharge; received: PixReceived } | undefined {
+    for (const charge of charges.values()) {
+      const received = charge.pix?.find((pix) => pix.endToEndId === endToEndId);
+      if (received) {
+        return { charge, received };
+      }
+    }
+    return undefined;
+  }
+
+  async function notify(charge: PixCharge, received: PixReceived): Promise<WebhookDelivery | undefined> {
+    const url = webhooks.get(charge.chave);
+    if (!url) {
+      return undefined;
+    }
+    const delivery: WebhookDelivery = { url: `${url.replace(/\/+$/, '')}/pix`, txid: charge.txid, endToEndId: received.endToEndId };
+    const body = JSON.stringify({ pix: [received] });
+    const signature = createHmac('sha256', webhookSecret).update(body).digest('hex');
+    try {
+      const response = await deliver(delivery.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'x-webhook-signature': `sha256=${signature}` },
+        body
+      });
+      delivery.status = response.status;
+    } catch (error) {
+      delivery.error = error instanceof Error ? error.message : String(error);
+    }
+    deliveries.push(delivery);
+    return delivery;
+  }
+
+  const routes: PspRoute[] = [
+    {
+      method: 'PUT',
+      pattern: /^\/v2\/cob\/([^/]+)$/,
+      authenticated: true,
+      handle: async ([txid = ''], body) => {
+        if (!PixTxidSchema.safeParse(txid).success) {
+          return problem(400, 'txid inválido', 'txid must be 26-35 alphanumeric characters');
+        }
+        if (charges.has(txid)) {
+          return problem(409, 'txid em uso', `A charge with txid ${txid} already exists`);
+        }
+        const request = PixChargeRequestSchema.safeParse(body);
+        if (!request.success) {
+          return problem(400, 'Cobrança inválida', 'The charge does not match the schema', request.error.issues);
+        }
+
+        const locationId = randomId(20);
+        const location = `${locationBase}/${locationId}`;
+        const charge: PixCharge = {
+          ...request.data,
+          calendario: { criacao: now().toISOString(), expiracao: request.data.calendario.expiracao },
+          txid,
+          revisao: 0,
+          status: 'ATIVA',
+          location,
+          pixCopiaECola: createDynamicPixPayload({ locationUrl: location, merchantName, merchantCity })
+        };
+        charges.set(txid, charge);
+        locations.set(locationId, txid);
+        return validated(201, charge);
+      }
+    },
+    {
+      method: 'GET',
+      pattern: /^\/v2\/cob\/([^/]+)$/,
+      authenticated: true,
+      handle: async ([txid = '']) => {
+        const charge = charges.get(txid);
+        return charge ? validated(200, charge) : problem(404, 'Cobrança não encontrada', `No charge with txid ${txid}`);
+      }
+    },
+    {
+      method: 'PATCH',
+      pattern: /^\/v2\/cob\/([^/]+)$/,
+      authenticated: true,
+      handle: async ([txid = ''], body) => {
+        const charge = charges.get(txid);
+        if (!charge) {
+          return problem(404, 'Cobrança não encontrada', `No charge with txid ${txid}`);
+        }
+        if ((body as { status?: unknown } | undefined)?.status !== 'REMOVIDA_PELO_USUARIO_RECEBEDOR') {
+          return problem(400, 'Cobrança inválida', 'Only status REMOVIDA_PELO_USUARIO_RECEBEDOR is supported');
+        }
+        if (charge.status !== 'ATIVA') {
+          return problem(400, 'Cobrança não está ativa', `Charge ${txid} is ${charge.status}`);
+        }
+        charge.status = 'REMOVIDA_PELO_USUARIO_RECEBEDOR';
+        charge.revisao += 1;
+        return validated(200, charge);
+      }
+    },
+    {
+      method: 'GET',
+      pattern: /^\/v2\/pix\/([^/]+)$/,
+      authenticated: true,
+      handle: async ([endToEndId = '']) => {
+        const found = findReceived(endToEndId);
+        return found ? { status: 200, body: found.received } : problem(404, 'Pix não encontrado', `No PIX ${endToEndId}`);
+      }
+    },
+    {
+      method: 'GET',
+      pattern: /^\/v2\/pix\/([^/]+)\/devolucao\/([^/]+)$/,
+      authenticated: true,
+      handle: async ([endToEndId = '', id = '']) => {
+        const refund = findReceived(endToEndId)?.received.devolucoes?.find((candidate) => candidate.id === id);
+        return refund ? { status: 200, body: refund } : problem(404, 'Devolução não encontrada', `No refund ${id} of PIX ${endToEndId}`);
+      }
+    },
+    {
+      method: 'PUT',
+      pattern: /^\/v2\/pix\/([^/]+)\/devolucao\/([^/]+)$/,
+      authenticated: true,
+      handle: async ([endToEndId = '', id = ''], body) => {
+        const found = findReceived(endToEndId);
+        if (!found) {
+          return problem(404, 'Pix não encontrado', `No PIX ${endToEndId}`);
+        }
+        if (!PixRefundIdSchema.safeParse(id).success) {
+          return problem(400, 'id inválido', 'Refund id must be 1-35 alphanumeric characters');
+        }
+        const request = PixRefundRequestSchema.safeParse(body);
+        if (!request.success) {
+          return problem(400, 'Devolução inválida', 'The refund does not match the schema', request.error.issues);
+        }
+
+        const refunds = found.received.devolucoes ?? [];
+        if (refunds.some((refund) => refund.id === id)) {
+          return problem(409, 'id em uso', `Refund ${id} already exists`);
+        }
+        const refunded = refunds.filter((refund) => refund.status !== 'NAO_REALIZADO').reduce((sum, refund) => sum + cents(refund.valor), 0);
+        if (refunded + cents(request.data.valor) > cents(found.received.valor)) {
+          return problem(422, 'Valor de devolução excedido', `At most ${((cents(found.received.valor) - refunded) / 100).toFixed(2)} can be refunded`);
+        }
+
+        const timestamp = now().toISOString();
+        const refund: PixRefund = {
+          id,
+          rtrId: `D${FAKE_PSP_ISPB}${stamp(now())}${randomId(11)}`,
+          valor: request.data.valor,
+          horario: { solicitacao: timestamp, liquidacao: timestamp },
+          status: 'DEVOLVIDO'
+        };
+        found.received.devolucoes = [...refunds, refund];
+        await notify(found.charge, found.received);
+        return { status: 201, body: refund };
+      }
+    },
+    {
+      method: 'PUT',
+      pattern: /^\/v2\/webhook\/([^/]+)$/,
+      authenticated: true,
+      handle: async ([key = ''], body) => {
+        const webhookUrl = (body as { webhookUrl?: unknown } | undefined)?.webhookUrl;
+        if (typeof webhookUrl !== 'string' || !URL.canParse(webhookUrl)) {
+          return problem(400, 'Webhook inválido', 'webhookUrl must be a URL');
+        }
+        webhooks.set(decodeURIComponent(key), webhookUrl);
+        return { status: 200, body: {} };
+      }
+    },
+    {
+      method: 'GET',
+      pattern: /^\/v2\/webhook\/([^/]+)$/,
+      authenticated: true,
+      handle: async ([key = '']) => {
+        const webhookUrl = webhooks.get(decodeURIComponent(key));
+        return webhookUrl
+          ? { status: 200, body: { webhookUrl, chave: decodeURIComponent(key) } }
+          : problem(404, 'Webhook não encontrado', `No webhook for ${decodeURIComponent(key)}`);
+      }
+    },
+    {
+      method: 'GET',
+      pattern: /^\/qr\/v2\/([^/]+)$/,
+      handle: async ([locationId = '']) => {
+        const charge = charges.get(locations.get(locationId) ?? '');
+        // A real PSP serves a JWS signed with its certificate
+        return charge ? validated(200, charge) : problem(404, 'Location não encontrada', `No charge at ${locationId}`);
+      }
+    },
+    {
+      method: 'POST',
+      pattern: /^\/sandbox\/cob\/([^/]+)\/pay$/,
+      handle: async ([txid = ''], body) => {
+        const charge = charges.get(txid);
+        if (!charge) {
+          return problem(404, 'Cobrança não encontrada', `No charge with txid ${txid}`);
+        }
+        const input = (body ?? {}) as { valor?: unknown; horario?: unknown; infoPagador?: unknown };
+        const paidAt = typeof input.horario === 'string' ? new Date(input.horario) : now();
+        if (Number.isNaN(paidAt.getTime())) {
+          return problem(400, 'horario inválido', 'horario must be an ISO timestamp');
+        }
+        if (charge.status !== 'ATIVA') {
+          return problem(409, 'Cobrança não está ativa', `Charge ${txid} is ${charge.status}`);
+        }
+        if (chargeExpiresAt(charge) <= paidAt) {
+          return problem(409, 'Cobrança expirada', `Charge ${txid} expired at ${chargeExpiresAt(charge).toISOString()}`);
+        }
+        const valor = input.valor === undefined ? charge.valor.original : String(input.valor);
+        if (valor !== charge.valor.original) {
+          return problem(422, 'Valor divergente', `Charge ${txid} must be paid with exactly ${charge.valor.original}`);
+        }
+
+        const received: PixReceived = {
+          endToEndId: `E${FAKE_PSP_ISPB}${stamp(paidAt)}${randomId(11)}`,
+          txid,
+          valor,
+          horario: paidAt.toISOString(),
+          chave: charge.chave,
+          ...(typeof input.infoPagador === 'string' ? { infoPagador: input.infoPagador } : {})
+        };
+        charge.status = 'CONCLUIDA';
+        charge.pix = [received];
+        const webhook = await notify(charge, received);
+        return { status: 200, body: { endToEndId: received.endToEndId, webhook: webhook ?? null } };
+      }
+    }
+  ];
+
+  async function route(request: IncomingMessage): Promise<RouteResult> {
+    const url = new URL(request.url ?? '/', 'http://psp.local');
+    if (url.pathname === '/oauth/token' && request.method === 'POST') {
+      const expected = `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`;
+      if (request.headers.authorization !== expected) {
+        return { status: 401, body: { error: 'invalid_client' } };
+      }
+      const token = randomId(40);
+      tokens.add(token);
+      return { status: 200, body: { access_token: token, token_type: 'Bearer', expires_in: TOKEN_TTL_SECONDS } };
+    }
+
+    const matching = routes.filter((candidate) => candidate.pattern.test(url.pathname));
+    const match = matching.find((candidate) => candidate.method === request.method);
+    if (!match) {
+      return matching.length > 0
+        ? problem(405, 'Método não permitido', `Method ${request.method} not allowed`)
+        : problem(404, 'Não encontrado', `No route for ${url.pathname}`);
+    }
+
+    if (match.authenticated) {
+      const token = /^Bearer\s+(.+)$/i.exec(request.headers.authorization ?? '')?.[1];
+      if (!token || !tokens.has(token)) {
+        return problem(401, 'Não autorizado', 'Missing or unknown access token');
+      }
+    }
+
+    const body = request.method === 'GET' ? undefined : await readJson(request);
+    return match.handle(match.pattern.exec(url.pathname)?.slice(1) ?? [], body);
+  }
+
+  return {
+    charges,
+    webhooks,
+    deliveries,
+    handle(request, response) {
+      route(request)
+        .then((result) => send(response, result))
+        .catch((error: unknown) => {
+          send(response, error instanceof BadRequestError
+            ? problem(400, 'Requisição inválida', error.message)
+            : problem(500, 'Erro interno', error instanceof Error ? error.message : String(error)));
+        });
+    }
+  };
+}
+
+/**
+ * RFC 7807 problem response, as returned by PSPs
+ */
+function problem(status: number, title: string, detail: string, issues: Array<{ path: PropertyKey[]; message: string }> = []): RouteResult {
+  return {
+    status,
+    headers: { 'Content-Type': 'application/problem+json' },
+    body: {
+      type: `https://pix.bcb.gov.br/api/v2/error/${status}`,
+      title,
+      status,
+      detail,
+      ...(issues.length > 0
+        ? { violacoes: issues.map((issue) => ({ razao: issue.message, propriedade: issue.path.map(String).join('.') })) }
+        : {})
+    }
+  };
+}
+
+/**
+ * Responses go through the shared schema, so drift shows up as a 500
+ */
+function validated(status: number, charge: PixCharge): RouteResult {
+  const result = PixChargeSchema.safeParse(charge);
+  if (!result.success) {
+    return problem(500, 'Resposta inválida', 'Charge failed schema validation', result.error.issues);
+  }
+  return { status, body: result.data };
+}
+
+function cents(amount: string): number {
+  return Math.round(Number(amount) * 100);
+}
+
+/**
+ * yyyyMMddHHmm in UTC, as used in end-to-end ids
+ */
+function stamp(date: Date): string {
+  return date.toISOString().replace(/\D/g, '').slice(0, 12);
+}
+
+function randomId(length: number): string {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+  return Array.from(randomBytes(length), (byte) => alphabet[byte % alphabet.length]).join('');
+}
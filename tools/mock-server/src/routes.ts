@@ -0,0 +1,298 @@
+/**
+ * Mock HTTP Routes
+ *
+ * REST routes of BridgeServer and NextClient used by the diagnostics and
+ * integration scripts. Every BridgeServer response that has a shared schema
+ * is parsed with it before it is sent; a response that fails validation is
+ * returned as a 500 listing the issues, so schema drift between the mock,
+ * the fixtures and the shared package shows up as a failing diagnostic.
+ */
+
+import type { IncomingMessage, ServerResponse } from 'node:http';
+import { TRPCError } from '@trpc/server';
+import { getHTTPStatusCodeFromError } from '@trpc/server/http';
+import {
+  CaptureControllerInputSchema,
+  CaptureControllerOutputSchema,
+  CaptureDeviceInputSchema,
+  CaptureDeviceOutputSchema,
+  ControllerListInputSchema,
+  ControllerListOutputSchema,
+  HealthCheckOutputSchema
+} from '@delicasa/shared-types';
+import type { AppRouterContext, AppRouterHandlers } from '@delicasa/shared-types';
+
+import { MockAuthError } from './auth';
+import type { MockAuth, MockIdentity } from './auth';
+
+/**
+ * Minimal view of a zod schema, so the mock does not depend on the zod
+ * copy the shared package was built with
+ */
+interface Parser<T> {
+  safeParse(data: unknown): { success: true; data: T } | { success: false; error: { issues: unknown[] } };
+}
+
+export interface RouteContext {
+  request: IncomingMessage;
+  params: string[];
+  query: URLSearchParams;
+  body: unknown;
+  ctx: AppRouterContext;
+}
+
+export interface RouteResult {
+  status: number;
+  body: unknown;
+  headers?: Record<string, string>;
+}
+
+export interface Route {
+  method: 'GET' | 'POST';
+  pattern: RegExp;
+  authenticated?: boolean;
+  handle(context: RouteContext): Promise<RouteResult>;
+}
+
+/**
+ * Raised by route handlers for a malformed request
+ */
+export class BadRequestError extends Error {
+  constructor(message: string, public readonly issues: unknown[] = []) {
+    super(message);
+    this.name = 'BadRequestError';
+  }
+}
+
+// ========================================
+// BridgeServer
+// ========================================
+
+export function createBridgeRoutes(handlers: AppRouterHandlers, now: () => Date): Route[] {
+  return [
+    {
+      method: 'GET',
+      pattern: /^\/health$/,
+      handle: async ({ ctx }) => validated(HealthCheckOutputSchema, await handlers.health.check(ctx))
+    },
+    {
+      method: 'GET',
+      pattern: /^\/ping$/,
+      handle: async () => ({ status: 200, body: { message: 'pong', time: now().toISOString() } })
+    },
+    {
+      method: 'GET',
+      pattern: /^\/controllers$/,
+      authenticated: true,
+      handle: async ({ query, ctx }) => {
+        const input = parseInput(ControllerListInputSchema, {
+          ...numberParam(query, 'limit'),
+          ...numberParam(query, 'offset'),
+          ...stringParam(query, 'after'),
+          ...stringParam(query, 'before'),
+          ...stringParam(query, 'status')
+        });
+        return validated(ControllerListOutputSchema, await handlers.controller.list(input, ctx));
+      }
+    },
+    {
+      method: 'POST',
+      pattern: /^\/controllers\/([^/]+)\/capture$/,
+      authenticated: true,
+      handle: async ({ params, body, ctx }) => {
+        const input = parseInput(CaptureControllerInputSchema, { ...objectBody(body), controllerId: params[0] });
+        return validated(CaptureControllerOutputSchema, await handlers.capture.controller(input, ctx));
+      }
+    },
+    {
+      method: 'POST',
+      pattern: /^\/devices\/([^/]+)\/capture$/,
+      authenticated: true,
+      handle: async ({ params, body, ctx }) => {
+        const input = parseInput(CaptureDeviceInputSchema, { ...objectBody(body), deviceId: params[0] });
+        return validated(CaptureDeviceOutputSchema, await handlers.capture.device(input, ctx));
+      }
+    },
+    {
+      method: 'GET',
+      pattern: /^\/images\/([^/]+)\.jpg$/,
+      handle: async () => ({ status: 200, body: PLACEHOLDER_JPEG, headers: { 'Content-Type': 'image/jpeg' } })
+    }
+  ];
+}
+
+// ========================================
+// NextClient
+// ========================================
+
+export function createClientRoutes(auth: MockAuth, now: () => Date, bridgeUrl: string): Route[] {
+  return [
+    {
+      method: 'POST',
+      pattern: /^\/api\/bridge\/auth-token$/,
+      handle: async ({ request }) => {
+        try {
+          const identity = await auth.verifySessionCookie(request.headers.cookie);
+          return { status: 200, body: { success: true, token: await auth.issueBridgeToken(identity) } };
+        } catch (error) {
+          if (error instanceof MockAuthError) {
+            return { status: 401, body: { success: false, error: `Unauthorized: ${error.message}` } };
+          }
+          throw error;
+        }
+      }
+    },
+    {
+      method: 'GET',
+      pattern: /^\/api\/health$/,
+      handle: async () => ({ status: 200, body: { status: 'ok', time: now().toISOString(), bridgeServerUrl: bridgeUrl } })
+    }
+  ];
+}
+
+// ========================================
+// Dispatch
+// ========================================
+
+/**
+ * Serve a request from the route table. Resolves false when no route
+ * matches the path, so the caller can fall through to another handler.
+ */
+export async function dispatch(
+  routes: Route[],
+  auth: MockAuth,
+  request: IncomingMessage,
+  response: ServerResponse
+): Promise<boolean> {
+  const url = new URL(request.url ?? '/', 'http://mock.local');
+  const matching = routes.filter((route) => route.pattern.test(url.pathname));
+  if (matching.length === 0) {
+    return false;
+  }
+
+  const route = matching.find((candidate) => candidate.method === request.method);
+  if (!route) {
+    send(response, { status: 405, body: { success: false, error: `Method ${request.method} not allowed` } });
+    return true;
+  }
+
+  const requestId = headerOf(request, 'x-request-id');
+  let identity: MockIdentity | undefined;
+  if (route.authenticated) {
+    try {
+      identity = await auth.verifyBridgeToken(headerOf(request, 'authorization'));
+    } catch (error) {
+      if (!(error instanceof MockAuthError)) {
+        throw error;
+      }
+      send(response, { status: 401, body: { success: false, error: `Unauthorized: ${error.message}` } });
+      return true;
+    }
+  }
+
+  try {
+    const body = request.method === 'POST' ? await readJson(request) : undefined;
+    const result = await route.handle({
+      request,
+      params: route.pattern.exec(url.pathname)?.slice(1) ?? [],
+      query: url.searchParams,
+      body,
+      ctx: {
+        ...(identity ? { userId: identity.userId, role: identity.role } : {}),
+        ...(requestId ? { requestId } : {})
+      }
+    });
+    send(response, result);
+  } catch (error) {
+    send(response, errorResult(error));
+  }
+  return true;
+}
+
+export function send(response: ServerResponse, result: RouteResult): void {
+  const binary = result.body instanceof Uint8Array;
+  const payload = binary ? result.body as Uint8Array : JSON.stringify(result.body);
+  response.writeHead(result.status, {
+    'Content-Type': 'application/json',
+    ...result.headers,
+    'Content-Length': String(typeof payload === 'string' ? Buffer.byteLength(payload) : payload.byteLength)
+  });
+  response.end(payload);
+}
+
+function errorResult(error: unknown): RouteResult {
+  if (error instanceof BadRequestError) {
+    return { status: 400, body: { success: false, error: error.message, issues: error.issues } };
+  }
+  if (error instanceof TRPCError || (error instanceof Error && error.name === 'TRPCError')) {
+    const trpcError = error as TRPCError;
+    return { status: getHTTPStatusCodeFromError(trpcError), body: { success: false, error: trpcError.message, code: trpcError.code } };
+  }
+  const message = error instanceof Error ? error.message : String(error);
+  return { status: 500, body: { success: false, error: message } };
+}
+
+function validated<T>(schema: Parser<T>, data: unknown): RouteResult {
+  const result = schema.safeParse(data);
+  if (!result.success) {
+    return { status: 500, body: { success: false, error: 'Response failed schema validation', issues: result.error.issues } };
+  }
+  return { status: 200, body: result.data };
+}
+
+function parseInput<T>(schema: Parser<T>, data: unknown): T {
+  const result = schema.safeParse(data);
+  if (!result.success) {
+    throw new BadRequestError('Invalid request', result.error.issues);
+  }
+  return result.data;
+}
+
+export async function readJson(request: IncomingMessage): Promise<unknown> {
+  const chunks: Buffer[] = [];
+  for await (const chunk of request) {
+    chunks.push(chunk as Buffer);
+  }
+  const text = Buffer.concat(chunks).toString('utf8').trim();
+  if (!text) {
+    return undefined;
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new BadRequestError('Request body is not valid JSON');
+  }
+}
+
+function objectBody(body: unknown): Record<string, unknown> {
+  if (body === undefined) {
+    return {};
+  }
+  if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+    throw new BadRequestError('Request body must be a JSON object');
+  }
+  return body as Record<string, unknown>;
+}
+
+function numberParam(query: URLSearchParams, name: string): Record<string, unknown> {
+  const value = query.get(name);
+  return value === null ? {} : { [name]: Number(value) };
+}
+
+function stringParam(query: URLSearchParams, name: string): Record<string, unknown> {
+  const value = query.get(name);
+  return value === null ? {} : { [name]: value };
+}
+
+function headerOf(request: IncomingMessage, name: string): string | undefined {
+  const value = request.headers[name];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * 1x1 grey JPEG served for every captured image URL
+ */
+const PLACEHOLDER_JPEG = Uint8Array.from(Buffer.from(
+  '/9j/4AAQSkZJRgABAQEASABIAAD/2wBDAP//////////////////////////////////////////////////////////////////////////////////////wgALCAABAAEBAREA/8QAFBABAAAAAAAAAAAAAAAAAAAAAP/aAAgBAQABPxA=',
+  'base64'
+));
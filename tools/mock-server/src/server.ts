@@ -0,0 +1,180 @@
+/**
+ * Mock Server
+ *
+ * Starts four HTTP listeners: a BridgeServer stand-in (REST routes plus the
+ * shared tRPC router under /trpc), a NextClient stand-in serving the bridge
+ * auth-token exchange, a fake PIX PSP and a fake S3 object store. State
+ * lives in freshly seeded in-memory repositories, so every start yields the
+ * same data.
+ */
+
+import { createServer } from 'node:http';
+import type { IncomingMessage, Server, ServerResponse } from 'node:http';
+import type { AddressInfo } from 'node:net';
+import { createHTTPHandler } from '@trpc/server/adapters/standalone';
+import { TRPCError } from '@trpc/server';
+import { createAppRouter, createInMemoryRepositories } from '@delicasa/shared-types';
+import type { InMemoryRepositories } from '@delicasa/shared-types';
+
+import { MockAuthError, createMockAuth } from './auth';
+import type { MockAuth, MockAuthOptions } from './auth';
+import { FIXTURE_EPOCH, createFixtures, seedRepositories } from './fixtures';
+import type { Fixtures } from './fixtures';
+import { createMockHandlers } from './handlers';
+import { createFakePsp } from './pix-psp';
+import type { FakePsp } from './pix-psp';
+import { createFakeObjectStore } from './object-store';
+import type { FakeObjectStore } from './object-store';
+import { createBridgeRoutes, createClientRoutes, dispatch, send } from './routes';
+import type { Route } from './routes';
+
+export interface MockServerOptions extends MockAuthOptions {
+  host?: string;
+
+  /**
+   * BridgeServer port (0 picks a free port)
+   */
+  bridgePort?: number;
+
+  /**
+   * NextClient port (0 picks a free port)
+   */
+  clientPort?: number;
+
+  /**
+   * Fake PIX PSP port (0 picks a free port)
+   */
+  pspPort?: number;
+
+  /**
+   * Fake S3 object store port (0 picks a free port)
+   */
+  objectStorePort?: number;
+
+  /**
+   * Fixture clock; fixed by default so responses are deterministic
+   */
+  now?: () => Date;
+
+  fixtures?: Fixtures;
+}
+
+export interface MockServer {
+  readonly bridgeUrl: string;
+  readonly clientUrl: string;
+  readonly pspUrl: string;
+  readonly objectStoreUrl: string;
+  readonly repositories: InMemoryRepositories;
+  readonly auth: MockAuth;
+  readonly psp: FakePsp;
+  readonly objectStore: FakeObjectStore;
+  close(): Promise<void>;
+}
+
+/**
+ * Seed the repositories and start listening on all four ports
+ */
+export async function startMockServer(options: MockServerOptions = {}): Promise<MockServer> {
+  const host = options.host ?? '127.0.0.1';
+  const now = options.now ?? (() => new Date(FIXTURE_EPOCH));
+  const auth = createMockAuth(options);
+  const repositories = createInMemoryRepositories({ now });
+  await seedRepositories(repositories, options.fixtures ?? createFixtures(now()));
+
+  const bridge = createServer();
+  const client = createServer();
+  const pspServer = createServer();
+  const objectStoreServer = createServer();
+  const bridgePort = await listen(bridge, host, options.bridgePort ?? 8080);
+  const clientPort = await listen(client, host, options.clientPort ?? 3000);
+  const pspPort = await listen(pspServer, host, options.pspPort ?? 8090);
+  const objectStorePort = await listen(objectStoreServer, host, options.objectStorePort ?? 9000);
+  const bridgeUrl = `http://${host}:${bridgePort}`;
+  const clientUrl = `http://${host}:${clientPort}`;
+  const pspUrl = `http://${host}:${pspPort}`;
+  const objectStoreUrl = `http://${host}:${objectStorePort}`;
+
+  const handlers = createMockHandlers({ repositories, now, publicUrl: bridgeUrl });
+  const trpc = createHTTPHandler({
+    router: createAppRouter(handlers),
+    basePath: '/trpc/',
+    createContext: async ({ req }) => {
+      try {
+        const authorization = req.headers.authorization;
+        const requestId = req.headers['x-request-id'];
+        return await auth.contextFor(authorization, typeof requestId === 'string' ? requestId : undefined);
+      } catch (error) {
+        if (error instanceof MockAuthError) {
+          throw new TRPCError({ code: 'UNAUTHORIZED', message: error.message });
+        }
+        throw error;
+      }
+    }
+  });
+
+  bridge.on('request', serve(createBridgeRoutes(handlers, now), auth, (request, response) => {
+    if (request.url?.startsWith('/trpc/')) {
+      trpc(request, response);
+      return;
+    }
+    notFound(response);
+  }));
+  client.on('request', serve(createClientRoutes(auth, now, bridgeUrl), auth, (_request, response) => notFound(response)));
+  const psp = createFakePsp({ publicUrl: pspUrl });
+  pspServer.on('request', psp.handle);
+  const objectStore = createFakeObjectStore();
+  objectStoreServer.on('request', objectStore.handle);
+
+  return {
+    bridgeUrl,
+    clientUrl,
+    pspUrl,
+    objectStoreUrl,
+    repositories,
+    auth,
+    psp,
+    objectStore,
+    close: async () => {
+      await Promise.all([close(bridge), close(client), close(pspServer), close(objectStoreServer)]);
+    }
+  };
+}
+
+function serve(
+  routes: Route[],
+  auth: MockAuth,
+  fallback: (request: IncomingMessage, response: ServerResponse) => void
+) {
+  return (request: IncomingMessage, response: ServerResponse) => {
+    dispatch(routes, auth, request, response)
+      .then((handled) => {
+        if (!handled) {
+          fallback(request, response);
+        }
+      })
+      .catch((error: unknown) => {
+        send(response, { status: 500, body: { success: false, error: error instanceof Error ? error.message : String(error) } });
+      });
+  };
+}
+
+function notFound(response: ServerResponse): void {
+  send(response, { status: 404, body: { success: false, error: 'Not found' } });
+}
+
+function listen(server: Server, host: string, port: number): Promise<number> {
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.off('error', reject);
+      resolve((server.address() as AddressInfo).port);
+    });
+  });
+}
+
+function close(server: Server): Promise<void> {
+  return new Promise((resolve, reject) => {
+    server.close((error) => (error ? reject(error) : resolve()));
+    server.closeAllConnections();
+  });
+}
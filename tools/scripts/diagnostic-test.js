@@ -1,233 +1,206 @@
 #!/usr/bin/env node
+/**
+ * Bridge Server integration diagnostics.
+ *
+ *   node scripts/diagnostic-test.js [profile] [runner options]
+ *   node scripts/diagnostic-test.js mock --json results/diagnostics.json --junit results/diagnostics.xml
+ *
+ * URLs and NEXTAUTH_SECRET come from the profile (see tools/config).
+ *
+ * Every check records its HTTP status, latency and a diagnosis category as
+ * step annotations, and the analysis summary is computed from those results.
+ * Exits 0 when every check passed, 1 on any failure, 2 on usage errors.
+ */
 const jwt = require("jsonwebtoken");
 
-// Configuration
-const NEXTAUTH_SECRET = "0NzAR+1I7q5KpMOQLjhHXhBqRLELErpFo278InzEN+M=";
-const BRIDGE_JWT_SECRET = "MySecretKey123!!";
-
-// Test both development and production environments
-const ENVIRONMENTS = {
-  development: {
-    NEXT_CLIENT_URL: "http://localhost:3000",
-    BRIDGE_SERVER_URL: "http://localhost:8080",
-  },
-  production: {
-    NEXT_CLIENT_URL: "https://delicasa.pages.dev",
-    BRIDGE_SERVER_URL: "https://bridgeserver.delicasa.workers.dev",
-  },
-};
-
-// Allow environment selection via command line argument
-const targetEnv = process.argv[2] || "development";
-const config = ENVIRONMENTS[targetEnv];
-
-if (!config) {
-  console.error(`❌ Invalid environment: ${targetEnv}`);
-  console.error(
-    `Available environments: ${Object.keys(ENVIRONMENTS).join(", ")}`
-  );
-  process.exit(1);
+const { defineSuite, step, runCli, createHttpTransport, EXIT_CODES } = require("../harness");
+const { requireConfig, formatConfig, takeProfileArg } = require("../config");
+
+/**
+ * Diagnosis categories recorded for every check
+ */
+const DIAGNOSIS = Object.freeze({
+  NONE: "none",
+  AUTH_FAILURE: "auth_failure",
+  DB_BINDING: "db_binding",
+  SERVICE_INIT: "service_init",
+  NETWORK: "network",
+  OTHER: "other",
+});
+
+/**
+ * Classify an HTTP transport response. `expectStatus` is the status the
+ * check wants (e.g. 401 for rejection checks); getting it means no fault.
+ */
+function diagnose(response, expectStatus) {
+  if (response.status === undefined) {
+    return DIAGNOSIS.NETWORK;
+  }
+  if (expectStatus === undefined ? response.ok : response.status === expectStatus) {
+    return DIAGNOSIS.NONE;
+  }
+
+  const error = String(response.data?.error ?? response.text ?? "");
+  if (error.includes("Database binding")) {
+    return DIAGNOSIS.DB_BINDING;
+  }
+  if (error.includes("Service initialization")) {
+    return DIAGNOSIS.SERVICE_INIT;
+  }
+  if (response.status === 401 || response.status === 403 || expectStatus === 401) {
+    return DIAGNOSIS.AUTH_FAILURE;
+  }
+  return DIAGNOSIS.OTHER;
 }
 
-console.log(`🔍 DETAILED DIAGNOSTIC: Bridge Server Integration Analysis`);
-console.log(`🌍 Environment: ${targetEnv.toUpperCase()}`);
-console.log("=========================================================");
-
-async function runDiagnostics() {
-  try {
-    const fetch = await import("node-fetch").then((m) => m.default);
-
-    console.log("\n📋 STEP 1: Authentication Flow Test");
-    console.log("-----------------------------------");
-
-    // Create mock NextAuth session token
-    const sessionToken = jwt.sign(
-      {
-        sub: "test-user-id",
-        email: "test@example.com",
-        name: "Test User",
-        role: "ADMIN",
-        iat: Math.floor(Date.now() / 1000),
-        exp: Math.floor(Date.now() / 1000) + 60 * 60,
-      },
-      NEXTAUTH_SECRET
-    );
-
-    console.log("✅ NextAuth session token created");
-
-    // Get bridge token from Next.js
-    const authResponse = await fetch(
-      `${config.NEXT_CLIENT_URL}/api/bridge/auth-token`,
-      {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Cookie: `next-auth.session-token=${sessionToken}`,
-        },
-      }
-    );
-
-    const authResult = await authResponse.json();
-    if (!authResult.success) {
-      console.error("❌ Bridge auth failed:", authResult.error);
-      return;
-    }
+/**
+ * Record the response on the step and in state, for the summary
+ */
+function observe({ annotate, state }, check, response, expectStatus) {
+  const diagnosis = diagnose(response, expectStatus);
+  const observation = {
+    httpStatus: response.status ?? null,
+    latencyMs: response.durationMs,
+    diagnosis,
+    ...(response.error ? { error: response.error } : {}),
+  };
+  annotate(observation);
+  state.checks[check] = observation;
+  return observation;
+}
 
-    console.log("✅ Bridge token received from Next.js");
-    const bridgeToken = authResult.token;
-
-    console.log("\n📋 STEP 2: BridgeServer Endpoint Tests");
-    console.log("------------------------------------");
-
-    // Test different endpoints to see which ones work
-    const endpoints = [
-      { path: "/health", description: "Health check (should work)" },
-      { path: "/controllers", description: "List controllers (requires DB)" },
-      { path: "/ping", description: "Simple ping (minimal deps)" },
-    ];
-
-    for (const endpoint of endpoints) {
-      console.log(`\n🧪 Testing: ${endpoint.path} - ${endpoint.description}`);
-
-      try {
-        const response = await fetch(
-          `${config.BRIDGE_SERVER_URL}${endpoint.path}`,
-          {
-            method: "GET",
-            headers: {
-              Authorization: `Bearer ${bridgeToken}`,
-            },
-          }
+/**
+ * Build the suite for a loaded tools config (see tools/config)
+ */
+function createSuite({ profile, values }) {
+  return defineSuite({
+    name: "diagnostics",
+    title: `🔍 Bridge Server Integration Diagnostics (${profile.toUpperCase()})`,
+    config: { NEXT_CLIENT_URL: values.NEXT_CLIENT_URL, BRIDGE_SERVER_URL: values.BRIDGE_SERVER_URL },
+    stepDefaults: { timeoutMs: 20000 },
+
+    transports(config) {
+      return {
+        client: createHttpTransport({ baseUrl: config.NEXT_CLIENT_URL }),
+        bridge: createHttpTransport({ baseUrl: config.BRIDGE_SERVER_URL }),
+      };
+    },
+
+    setup({ state }) {
+      state.profile = profile;
+      state.checks = {};
+    },
+
+    steps: [
+      step("Bridge token exchange", async (ctx) => {
+        const now = Math.floor(Date.now() / 1000);
+        const sessionToken = jwt.sign(
+          { sub: "test-user-id", email: "test@example.com", name: "Test User", role: "ADMIN", iat: now, exp: now + 60 * 60 },
+          values.NEXTAUTH_SECRET
         );
 
-        const result = await response.json();
-
-        if (response.ok) {
-          console.log(`   ✅ SUCCESS (${response.status}):`, result);
-        } else {
-          console.log(`   ❌ FAILED (${response.status}):`, result);
-
-          // Analyze the error
-          if (result.error && result.error.includes("Database binding")) {
-            console.log(
-              `   🔍 DIAGNOSIS: Database dependency issue (authentication worked)`
-            );
-          } else if (
-            result.error &&
-            result.error.includes("Service initialization")
-          ) {
-            console.log(
-              `   🔍 DIAGNOSIS: Service layer dependency issue (authentication worked)`
-            );
-          } else if (response.status === 401) {
-            console.log(`   🔍 DIAGNOSIS: Authentication failed`);
-          } else {
-            console.log(`   🔍 DIAGNOSIS: Other error`);
-          }
-        }
-      } catch (error) {
-        console.log(`   💥 NETWORK ERROR:`, error.message);
-      }
-    }
-
-    console.log("\n📋 STEP 3: Authentication Verification");
-    console.log("------------------------------------");
-
-    // Test with invalid token to verify authentication is working
-    console.log("🧪 Testing /controllers with invalid token...");
-    try {
-      const invalidResponse = await fetch(
-        `${config.BRIDGE_SERVER_URL}/controllers`,
-        {
-          method: "GET",
-          headers: {
-            Authorization: `Bearer invalid-token`,
-          },
-        }
-      );
-
-      const invalidResult = await invalidResponse.json();
-      if (invalidResponse.status === 401) {
-        console.log("   ✅ Invalid token correctly rejected");
-      } else {
-        console.log("   ❌ Invalid token was accepted:", invalidResult);
-      }
-    } catch (error) {
-      console.log("   💥 Error testing invalid token:", error.message);
-    }
+        const response = await ctx.client.post("/api/bridge/auth-token", undefined, {
+          headers: { Cookie: `next-auth.session-token=${sessionToken}` },
+        });
+        observe(ctx, "tokenExchange", response);
+        ctx.assert.httpOk(response, `Bridge auth failed: ${response.data?.error || response.error || `status ${response.status}`}`);
+        ctx.assert.ok(response.data?.success && response.data.token, "Bridge auth response has no token", { data: response.data });
+
+        ctx.state.bridgeToken = response.data.token;
+      }),
+
+      ...["/health", "/ping"].map((path) =>
+        step(`GET ${path}`, async (ctx) => {
+          const headers = ctx.state.bridgeToken ? { Authorization: `Bearer ${ctx.state.bridgeToken}` } : {};
+          const response = await ctx.bridge.get(path, { headers });
+          observe(ctx, path, response);
+          ctx.assert.httpOk(response);
+          return response.data;
+        })
+      ),
+
+      step("GET /controllers", async (ctx) => {
+        const response = await ctx.bridge.get("/controllers", {
+          headers: { Authorization: `Bearer ${ctx.state.bridgeToken}` },
+        });
+        observe(ctx, "/controllers", response);
+        ctx.assert.httpOk(response);
+        return { controllers: response.data?.controllers?.length ?? 0, total: response.data?.total };
+      }, { needs: ["Bridge token exchange"] }),
+
+      step("Invalid token rejected", async (ctx) => {
+        const response = await ctx.bridge.get("/controllers", { headers: { Authorization: "Bearer invalid-token" } });
+        observe(ctx, "invalidToken", response, 401);
+        ctx.assert.httpStatus(response, 401, `Invalid token was not rejected (status ${response.status ?? response.error})`);
+      }),
+
+      step("Missing token rejected", async (ctx) => {
+        const response = await ctx.bridge.get("/controllers");
+        observe(ctx, "missingToken", response, 401);
+        ctx.assert.httpStatus(response, 401, `Request without auth was not rejected (status ${response.status ?? response.error})`);
+      }),
+    ],
+
+    report(state) {
+      return summarize(state);
+    },
+  });
+}
 
-    // Test without token
-    console.log("🧪 Testing /controllers without authentication...");
-    try {
-      const noAuthResponse = await fetch(
-        `${config.BRIDGE_SERVER_URL}/controllers`,
-        {
-          method: "GET",
-        }
-      );
-
-      const noAuthResult = await noAuthResponse.json();
-      if (noAuthResponse.status === 401) {
-        console.log("   ✅ Request without auth correctly rejected");
-      } else {
-        console.log("   ❌ Request without auth was accepted:", noAuthResult);
-      }
-    } catch (error) {
-      console.log("   💥 Error testing no auth:", error.message);
+/**
+ * Analysis summary derived from the recorded checks; checks that did not
+ * run are reported as "not run" rather than assumed to work
+ */
+function summarize(state) {
+  const verdict = (check) => {
+    const observation = state.checks[check];
+    if (!observation) {
+      return "not run";
     }
-
-    console.log("\n📋 STEP 4: Analysis Summary");
-    console.log("---------------------------");
-    console.log("🔑 Authentication Status: WORKING");
-    console.log("   - NextAuth session token validation: ✅");
-    console.log("   - Bridge token generation: ✅");
-    console.log("   - BridgeServer JWT validation: ✅");
-    console.log("   - Invalid token rejection: ✅");
-    console.log("   - Unauthenticated endpoint rejection: ✅");
-
-    console.log("\n🏗️  Service Layer Status: BLOCKED IN DEVELOPMENT");
-    console.log("   - Database bindings: ❌ Missing (expected in dev)");
-    console.log(
-      "   - Service factory initialization: ❌ Fails (expected in dev)"
-    );
-    console.log(
-      "   - Controller endpoints: ❌ Cannot access data (expected in dev)"
-    );
-
-    console.log("\n✅ Working Endpoints:");
-    console.log("   - /health (intentionally unauthenticated)");
-    console.log("   - /ping (intentionally unauthenticated)");
-    console.log("   - Authentication flow (validates correctly)");
-
-    console.log("\n❌ Blocked Endpoints (expected in development):");
-    console.log("   - /controllers (needs database to list controllers)");
-    console.log("   - Most data-related endpoints");
-
-    console.log("\n🎯 CONCLUSION:");
-    console.log("==============");
-    console.log("✅ The authentication integration is FULLY FUNCTIONAL");
-
-    if (targetEnv === "development") {
-      console.log(
-        "❌ The 'empty controller panel' is caused by DATABASE BINDING MISSING in development"
-      );
-      console.log(
-        "🔧 In development: Database endpoints fail (this is expected behavior)"
-      );
-      console.log(
-        "🚀 In production with proper D1 bindings: Everything works correctly"
-      );
-      console.log(
-        "\n💡 Production testing requires real authentication (not mock tokens)"
-      );
-      console.log("💡 Use the integration-test.js for production verification");
-    } else {
-      console.log("🎯 Production environment tested successfully!");
-      console.log("🚀 All systems operational in production environment");
+    return observation.diagnosis === DIAGNOSIS.NONE ? "working" : `failing (${observation.diagnosis})`;
+  };
+
+  const authentication = {
+    tokenExchange: verdict("tokenExchange"),
+    tokenAccepted: verdict("/controllers"),
+    invalidTokenRejected: verdict("invalidToken"),
+    missingTokenRejected: verdict("missingToken"),
+  };
+  const endpoints = {
+    "/health": verdict("/health"),
+    "/ping": verdict("/ping"),
+    "/controllers": verdict("/controllers"),
+  };
+
+  const diagnoses = {};
+  for (const observation of Object.values(state.checks)) {
+    if (observation.diagnosis !== DIAGNOSIS.NONE) {
+      diagnoses[observation.diagnosis] = (diagnoses[observation.diagnosis] || 0) + 1;
     }
-  } catch (error) {
-    console.error("💥 Diagnostic failed:", error.message);
   }
+
+  return {
+    profile: state.profile,
+    authentication: {
+      status: Object.values(authentication).every((value) => value === "working") ? "working" : "failing",
+      ...authentication,
+    },
+    endpoints,
+    diagnoses,
+  };
+}
+
+if (require.main === module) {
+  const { profile, argv } = takeProfileArg(process.argv.slice(2));
+  const config = requireConfig({ profile, secrets: ["NEXTAUTH_SECRET"] });
+  console.error(formatConfig(config));
+
+  runCli([createSuite(config)], argv, { command: "scripts/diagnostic-test.js [profile]" })
+    .then((code) => process.exit(code))
+    .catch((error) => {
+      console.error("💥 Diagnostic crashed:", error);
+      process.exit(EXIT_CODES.FAILED);
+    });
 }
 
-runDiagnostics();
+module.exports = { DIAGNOSIS, diagnose, createSuite, summarize };
@@ -1,14 +1,24 @@
 #!/usr/bin/env node
+/**
+ * End-to-end bridge authentication check:
+ *
+ *   node scripts/integration-test.js [profile]
+ *
+ * URLs and NEXTAUTH_SECRET come from the profile (see tools/config).
+ */
 const jwt = require("jsonwebtoken");
 
-// Configuration
-const NEXTAUTH_SECRET = "0NzAR+1I7q5KpMOQLjhHXhBqRLELErpFo278InzEN+M=";
-const BRIDGE_JWT_SECRET = "MySecretKey123!!";
-const NEXT_CLIENT_URL = "http://localhost:3001";
-const BRIDGE_SERVER_URL = "http://localhost:8080";
+const { requireConfig, formatConfig, takeProfileArg } = require("../config");
+
+const config = requireConfig({
+  profile: takeProfileArg(process.argv.slice(2)).profile,
+  secrets: ["NEXTAUTH_SECRET"],
+});
+const { NEXTAUTH_SECRET, NEXT_CLIENT_URL, BRIDGE_SERVER_URL } = config.values;
 
 console.log("🧪 INTEGRATION TEST: Starting complete bridge integration test");
 console.log("=====================================");
+console.log(formatConfig(config));
 
 // Step 1: Create a mock NextAuth session token
 console.log("🔑 Step 1: Creating mock NextAuth session token...");
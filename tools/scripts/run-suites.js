@@ -0,0 +1,22 @@
+#!/usr/bin/env node
+/**
+ * Run the integration suites on the shared harness.
+ *
+ *   node scripts/run-suites.js                 # every suite
+ *   node scripts/run-suites.js camera-capture  # selected suites
+ *   node scripts/run-suites.js --list
+ *
+ * Exits 0 when every suite passed, 1 on any failure, 2 on usage errors.
+ */
+const path = require("path");
+
+const { runCli } = require("../harness");
+
+const suites = require(path.join(__dirname, "..", "..", "archive", "scripts", "suites"));
+
+runCli(suites, process.argv.slice(2), { command: "scripts/run-suites.js" })
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error("💥 Runner crashed:", error);
+    process.exit(1);
+  });
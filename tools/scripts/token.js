@@ -0,0 +1,603 @@
+#!/usr/bin/env node
+/**
+ * Token CLI: mint, decode and verify the JWTs used across DeliCasa.
+ *
+ *   node scripts/token.js mint session [--role ADMIN] [--sub id] [--email e] [--name n]
+ *   node scripts/token.js mint bridge --role CUSTOMER --expires-in 1h --claim storeId=centro
+ *   node scripts/token.js mint device --device-id cam-E6B4 --device-type esp-cam
+ *   node scripts/token.js mint bridge --key keys/es256.private.pem      # ES256/RS256 from the key
+ *   node scripts/token.js decode <token>
+ *   node scripts/token.js verify <token> [--kind bridge] [--key keys/es256.public.pem]
+ *   node scripts/token.js keygen --alg ES256 --out keys/es256
+ *
+ * HS256 tokens use the profile's secrets (see tools/config): NEXTAUTH_SECRET
+ * for session tokens, BRIDGE_JWT_SECRET for bridge and device tokens.
+ * Exits 0 on success (or a token that verifies), 1 when a token would be
+ * rejected, 2 on usage or configuration errors.
+ */
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+
+const { EXIT_CODES } = require("../harness");
+const { requireConfig, formatConfig } = require("../config");
+
+/**
+ * UserRole values (shared/types/domain-entities.ts)
+ */
+const USER_ROLES = ["ADMIN", "USER", "PROVIDER", "CUSTOMER"];
+
+/**
+ * DeviceType values (shared/types/domain-entities.ts)
+ */
+const DEVICE_TYPES = ["esp32", "esp-cam", "raspberry-pi", "camera", "sensor", "controller"];
+
+const ALGORITHMS = ["HS256", "RS256", "ES256"];
+
+/**
+ * Named values accepted by --iss and --aud ("none" omits the claim)
+ */
+const ISSUER_PRESETS = {
+  "bridge-proxy": "delicasa-bridge-proxy",
+};
+const AUDIENCE_PRESETS = {
+  bridge: "bridgeserver.delicasa.workers.dev",
+  "bridge-legacy": "delicasa-bridge-server",
+  device: "delicasa-devices",
+};
+
+const REGISTERED_CLAIMS = ["iss", "sub", "aud", "exp", "nbf", "iat", "jti"];
+
+/**
+ * Token kinds: the secret they are signed with, their default registered
+ * claims, and whether they identify a user (role) or a device
+ */
+const KINDS = {
+  session: {
+    secret: "NEXTAUTH_SECRET",
+    subject: "user",
+    defaults: () => ({ expiresIn: "1h" }),
+  },
+  bridge: {
+    secret: "BRIDGE_JWT_SECRET",
+    subject: "user",
+    defaults: (values) => ({
+      issuer: values.BRIDGE_TOKEN_ISSUER,
+      audience: values.BRIDGE_TOKEN_AUDIENCE,
+      expiresIn: `${values.BRIDGE_TOKEN_TTL_SECONDS}s`,
+    }),
+  },
+  device: {
+    secret: "BRIDGE_JWT_SECRET",
+    subject: "device",
+    defaults: (values) => ({
+      issuer: values.BRIDGE_TOKEN_ISSUER,
+      audience: AUDIENCE_PRESETS.device,
+      expiresIn: "24h",
+    }),
+  },
+};
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+const OPTIONS = {
+  profile: { type: "string" },
+  kind: { type: "string" },
+  alg: { type: "string" },
+  key: { type: "string" },
+  role: { type: "string" },
+  sub: { type: "string" },
+  email: { type: "string" },
+  name: { type: "string" },
+  "device-id": { type: "string" },
+  "device-type": { type: "string" },
+  "controller-id": { type: "string" },
+  claim: { type: "string", multiple: true },
+  iss: { type: "string" },
+  aud: { type: "string" },
+  "expires-in": { type: "string" },
+  "not-before": { type: "string" },
+  "clock-tolerance": { type: "string" },
+  out: { type: "string" },
+  json: { type: "boolean" },
+  help: { type: "boolean", short: "h" },
+};
+
+// ========================================
+// Commands
+// ========================================
+
+async function mint(kindName, options) {
+  const kind = kindOf(kindName);
+  const jose = await import("jose");
+  const config = loadConfigFor(kind, options);
+  const defaults = kind.defaults(config.values);
+  const signing = signingKey(kind, config, options);
+
+  const claims = kind.subject === "user" ? userClaims(options) : deviceClaims(options);
+  const payload = { ...claims.payload, ...customClaims(options.claim) };
+  const issuer = preset(options.iss, ISSUER_PRESETS, defaults.issuer);
+  const audience = preset(options.aud, AUDIENCE_PRESETS, defaults.audience);
+  const expiresIn = timeSpan(options["expires-in"] ?? defaults.expiresIn, "--expires-in");
+
+  const jwt = new jose.SignJWT(payload)
+    .setProtectedHeader({ alg: signing.alg, typ: "JWT" })
+    .setSubject(claims.subject)
+    .setIssuedAt()
+    .setExpirationTime(expiresIn);
+  if (issuer) {
+    jwt.setIssuer(issuer);
+  }
+  if (audience) {
+    jwt.setAudience(audience);
+  }
+  if (options["not-before"]) {
+    jwt.setNotBefore(timeSpan(options["not-before"], "--not-before"));
+  }
+
+  const token = await jwt.sign(signing.key);
+  const decoded = { header: jose.decodeProtectedHeader(token), payload: jose.decodeJwt(token) };
+
+  console.error(formatConfig(config));
+  console.error(`🔐 ${kindName} token signed with ${signing.description}`);
+  console.error(`⏰ Expires: ${new Date(decoded.payload.exp * 1000).toISOString()}`);
+
+  if (options.out) {
+    fs.mkdirSync(path.dirname(path.resolve(options.out)), { recursive: true });
+    fs.writeFileSync(options.out, `${token}\n`);
+    console.error(`💾 Token saved to ${options.out}`);
+  }
+  console.log(options.json ? JSON.stringify({ token, ...decoded }, null, 2) : token);
+  return EXIT_CODES.PASSED;
+}
+
+async function decode(token, options) {
+  const jose = await import("jose");
+  const decoded = decodeToken(jose, requireToken(token));
+  if (decoded.error) {
+    console.error(`❌ ${decoded.error}`);
+    return EXIT_CODES.FAILED;
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(decoded, null, 2));
+  } else {
+    console.log("Header:", JSON.stringify(decoded.header, null, 2));
+    console.log("Payload:", JSON.stringify(decoded.payload, null, 2));
+    for (const line of describeTimes(decoded.payload, Date.now() / 1000)) {
+      console.log(line);
+    }
+    console.log("⚠️  Signature not checked; use verify");
+  }
+  return EXIT_CODES.PASSED;
+}
+
+async function verify(token, options) {
+  const jose = await import("jose");
+  const decoded = decodeToken(jose, requireToken(token));
+  if (decoded.error) {
+    return report(options, { valid: false, problems: [decoded.error] });
+  }
+
+  const kindName = options.kind ?? inferKind(decoded.payload);
+  const kind = kindOf(kindName);
+  const config = loadConfigFor(kind, options);
+  const defaults = kind.defaults(config.values);
+  const verification = verificationKey(kind, config, options);
+  const tolerance = seconds(options["clock-tolerance"] ?? "0", "--clock-tolerance");
+
+  const problems = [];
+  if (decoded.header.alg !== verification.alg) {
+    problems.push(`Algorithm ${decoded.header.alg} is not accepted; expected ${verification.alg}`);
+  } else {
+    try {
+      await jose.compactVerify(token, verification.key, { algorithms: [verification.alg] });
+    } catch {
+      problems.push(`Signature does not verify with ${verification.description}`);
+    }
+  }
+
+  problems.push(...checkClaims(decoded.payload, {
+    kind,
+    issuer: preset(options.iss, ISSUER_PRESETS, defaults.issuer),
+    audience: preset(options.aud, AUDIENCE_PRESETS, defaults.audience),
+    now: Date.now() / 1000,
+    tolerance,
+  }));
+
+  return report(options, { valid: problems.length === 0, kind: kindName, ...decoded, problems });
+}
+
+async function keygen(options) {
+  const alg = options.alg;
+  if (alg !== "RS256" && alg !== "ES256") {
+    throw new UsageError("keygen needs --alg RS256 or --alg ES256");
+  }
+  if (!options.out) {
+    throw new UsageError("keygen needs --out <path prefix>");
+  }
+
+  const jose = await import("jose");
+  const { privateKey, publicKey } = await jose.generateKeyPair(alg, { extractable: true });
+  const privateFile = `${options.out}.private.pem`;
+  const publicFile = `${options.out}.public.pem`;
+
+  fs.mkdirSync(path.dirname(path.resolve(privateFile)), { recursive: true });
+  fs.writeFileSync(privateFile, await jose.exportPKCS8(privateKey), { mode: 0o600 });
+  fs.writeFileSync(publicFile, await jose.exportSPKI(publicKey));
+  console.log(`🔑 ${alg} key pair written to ${privateFile} and ${publicFile}`);
+  return EXIT_CODES.PASSED;
+}
+
+// ========================================
+// Claims
+// ========================================
+
+function userClaims(options) {
+  const role = (options.role ?? "ADMIN").toUpperCase();
+  if (!USER_ROLES.includes(role)) {
+    throw new UsageError(`--role must be one of ${USER_ROLES.join(", ")}`);
+  }
+  return {
+    subject: options.sub ?? "test-user-id",
+    payload: {
+      email: options.email ?? "test@example.com",
+      name: options.name ?? "Test User",
+      role,
+    },
+  };
+}
+
+function deviceClaims(options) {
+  const deviceType = options["device-type"] ?? "esp-cam";
+  if (!DEVICE_TYPES.includes(deviceType)) {
+    throw new UsageError(`--device-type must be one of ${DEVICE_TYPES.join(", ")}`);
+  }
+  const deviceId = options["device-id"] ?? options.sub ?? "cam-E6B4";
+  return {
+    subject: deviceId,
+    payload: {
+      deviceId,
+      deviceType,
+      ...(options["controller-id"] ? { controllerId: options["controller-id"] } : {}),
+    },
+  };
+}
+
+/**
+ * --claim key=value (repeatable); values are parsed as JSON when possible
+ */
+function customClaims(entries = []) {
+  const claims = {};
+  for (const entry of entries) {
+    const separator = entry.indexOf("=");
+    if (separator <= 0) {
+      throw new UsageError(`--claim expects key=value, got "${entry}"`);
+    }
+    const key = entry.slice(0, separator);
+    if (REGISTERED_CLAIMS.includes(key)) {
+      throw new UsageError(`Set "${key}" with its own option (--sub, --iss, --aud, --expires-in, --not-before), not --claim`);
+    }
+    const raw = entry.slice(separator + 1);
+    try {
+      claims[key] = JSON.parse(raw);
+    } catch {
+      claims[key] = raw;
+    }
+  }
+  return claims;
+}
+
+/**
+ * Explain every reason the token's claims would be rejected
+ */
+function checkClaims(payload, { kind, issuer, audience, now, tolerance }) {
+  const problems = [];
+
+  if (typeof payload.exp !== "number") {
+    problems.push("No exp claim; tokens without expiry are rejected");
+  } else if (payload.exp <= now - tolerance) {
+    problems.push(`Expired ${humanize(now - payload.exp)} ago (exp ${isoOf(payload.exp)})`);
+  }
+  if (typeof payload.nbf === "number" && payload.nbf > now + tolerance) {
+    problems.push(`Not valid for another ${humanize(payload.nbf - now)} (nbf ${isoOf(payload.nbf)})`);
+  }
+  if (typeof payload.iat === "number" && payload.iat > now + tolerance) {
+    problems.push(`Issued ${humanize(payload.iat - now)} in the future (iat ${isoOf(payload.iat)}); check the signer's clock`);
+  }
+
+  if (issuer && payload.iss !== issuer) {
+    problems.push(`Issuer ${JSON.stringify(payload.iss ?? null)} does not match expected "${issuer}"`);
+  }
+  if (audience) {
+    const audiences = [].concat(payload.aud ?? []);
+    if (!audiences.includes(audience)) {
+      const hint = audiences.find((value) => Object.values(AUDIENCE_PRESETS).includes(value));
+      problems.push(
+        `Audience ${JSON.stringify(payload.aud ?? null)} does not include expected "${audience}"` +
+          (hint ? ` (it matches the ${Object.keys(AUDIENCE_PRESETS).find((name) => AUDIENCE_PRESETS[name] === hint)} preset)` : "")
+      );
+    }
+  }
+
+  if (typeof payload.sub !== "string" || !payload.sub) {
+    problems.push("No sub claim");
+  }
+  if (kind.subject === "user" && !USER_ROLES.includes(payload.role)) {
+    problems.push(`Role ${JSON.stringify(payload.role ?? null)} is not a UserRole (${USER_ROLES.join(", ")})`);
+  }
+  if (kind.subject === "device" && !DEVICE_TYPES.includes(payload.deviceType)) {
+    problems.push(`deviceType ${JSON.stringify(payload.deviceType ?? null)} is not a DeviceType (${DEVICE_TYPES.join(", ")})`);
+  }
+
+  return problems;
+}
+
+/**
+ * Guess the kind from the audience; tokens without one are sessions
+ */
+function inferKind(payload) {
+  const audiences = [].concat(payload.aud ?? []);
+  if (audiences.includes(AUDIENCE_PRESETS.device)) {
+    return "device";
+  }
+  return audiences.length > 0 ? "bridge" : "session";
+}
+
+// ========================================
+// Keys
+// ========================================
+
+/**
+ * HS256 with the kind's secret, or RS256/ES256 from a private key PEM
+ * (the algorithm follows the key type unless --alg is given)
+ */
+function signingKey(kind, config, options) {
+  if (!options.key) {
+    assertAlgorithm(options.alg, "HS256");
+    return { alg: "HS256", key: secretOf(kind, config), description: `${kind.secret} (${config.profile} profile)` };
+  }
+  const key = readKey(options.key, crypto.createPrivateKey);
+  const alg = algorithmOf(key, options.alg, options.key);
+  return { alg, key, description: `${alg} key ${options.key}` };
+}
+
+/**
+ * Accepts a public key, certificate or private key PEM for RS256/ES256
+ */
+function verificationKey(kind, config, options) {
+  if (!options.key) {
+    assertAlgorithm(options.alg, "HS256");
+    return { alg: "HS256", key: secretOf(kind, config), description: `${kind.secret} (${config.profile} profile)` };
+  }
+  const key = readKey(options.key, crypto.createPublicKey);
+  const alg = algorithmOf(key, options.alg, options.key);
+  return { alg, key, description: `${alg} key ${options.key}` };
+}
+
+function secretOf(kind, config) {
+  return new TextEncoder().encode(config.values[kind.secret]);
+}
+
+function readKey(file, create) {
+  let pem;
+  try {
+    pem = fs.readFileSync(file, "utf8");
+  } catch (error) {
+    throw new UsageError(`Cannot read key ${file}: ${error.message}`);
+  }
+  try {
+    return create(pem);
+  } catch (error) {
+    throw new UsageError(`${file} is not a usable PEM key: ${error.message}`);
+  }
+}
+
+function algorithmOf(key, requested, file) {
+  const alg = key.asymmetricKeyType === "rsa"
+    ? "RS256"
+    : key.asymmetricKeyType === "ec" && key.asymmetricKeyDetails?.namedCurve === "prime256v1"
+      ? "ES256"
+      : undefined;
+  if (!alg) {
+    throw new UsageError(`${file} must be an RSA or P-256 EC key for RS256/ES256`);
+  }
+  assertAlgorithm(requested, alg);
+  return alg;
+}
+
+function assertAlgorithm(requested, actual) {
+  if (requested && !ALGORITHMS.includes(requested)) {
+    throw new UsageError(`--alg must be one of ${ALGORITHMS.join(", ")}`);
+  }
+  if (requested && requested !== actual) {
+    throw new UsageError(
+      actual === "HS256" ? `--alg ${requested} needs --key <pem file>` : `--alg ${requested} does not match the ${actual} key`
+    );
+  }
+}
+
+// ========================================
+// Helpers
+// ========================================
+
+function kindOf(name) {
+  const kind = KINDS[name];
+  if (!kind) {
+    throw new UsageError(`Token kind must be one of ${Object.keys(KINDS).join(", ")}, got "${name ?? ""}"`);
+  }
+  return kind;
+}
+
+/**
+ * Only HS256 needs the kind's secret; RS256/ES256 need the profile for claims
+ */
+function loadConfigFor(kind, options) {
+  return requireConfig({ profile: options.profile, secrets: options.key ? [] : [kind.secret] });
+}
+
+function requireToken(token) {
+  if (!token) {
+    throw new UsageError("Missing token argument");
+  }
+  return token.trim();
+}
+
+function decodeToken(jose, token) {
+  try {
+    return { header: jose.decodeProtectedHeader(token), payload: jose.decodeJwt(token) };
+  } catch (error) {
+    return { error: `Malformed token: ${error.message}` };
+  }
+}
+
+function preset(value, presets, fallback) {
+  if (value === undefined) {
+    return fallback;
+  }
+  if (value === "none") {
+    return undefined;
+  }
+  return presets[value] ?? value;
+}
+
+/**
+ * jose time span ("15m", "1h", "2d") or a number of seconds
+ */
+function timeSpan(value, flag) {
+  if (/^\d+$/.test(value)) {
+    return `${value}s`;
+  }
+  if (!/^\d+(\.\d+)?\s*(s|sec|secs|second|seconds|m|min|mins|minute|minutes|h|hr|hrs|hour|hours|d|day|days|w|week|weeks|y|yr|yrs|year|years)$/i.test(value)) {
+    throw new UsageError(`${flag} expects seconds or a span like 15m, 1h, 7d; got "${value}"`);
+  }
+  return value;
+}
+
+function seconds(value, flag) {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed < 0) {
+    throw new UsageError(`${flag} expects a number of seconds, got "${value}"`);
+  }
+  return parsed;
+}
+
+function describeTimes(payload, now) {
+  const lines = [];
+  if (typeof payload.iat === "number") {
+    lines.push(`🕐 Issued: ${isoOf(payload.iat)}`);
+  }
+  if (typeof payload.exp === "number") {
+    lines.push(payload.exp > now
+      ? `⏰ Expires: ${isoOf(payload.exp)} (in ${humanize(payload.exp - now)})`
+      : `⏰ Expired: ${isoOf(payload.exp)} (${humanize(now - payload.exp)} ago)`);
+  }
+  return lines;
+}
+
+function report(options, result) {
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else if (result.valid) {
+    console.log(`✅ Token would be accepted as a ${result.kind} token`);
+    console.log(`   sub=${result.payload.sub}${result.payload.role ? ` role=${result.payload.role}` : ""}`);
+  } else {
+    console.log(`❌ Token would be rejected${result.kind ? ` as a ${result.kind} token` : ""}:`);
+    for (const problem of result.problems) {
+      console.log(`   - ${problem}`);
+    }
+  }
+  return result.valid ? EXIT_CODES.PASSED : EXIT_CODES.FAILED;
+}
+
+function humanize(totalSeconds) {
+  const value = Math.round(Math.abs(totalSeconds));
+  if (value < 120) {
+    return `${value}s`;
+  }
+  if (value < 2 * 3600) {
+    return `${Math.round(value / 60)}m`;
+  }
+  if (value < 2 * 86400) {
+    return `${Math.round(value / 3600)}h`;
+  }
+  return `${Math.round(value / 86400)}d`;
+}
+
+function isoOf(epochSeconds) {
+  return new Date(epochSeconds * 1000).toISOString();
+}
+
+function usage() {
+  return [
+    "Usage: node scripts/token.js <command> [options]",
+    "",
+    "Commands:",
+    "  mint <session|bridge|device>   Sign a token (printed on stdout)",
+    "  decode <token>                 Show header and claims without checking the signature",
+    "  verify <token>                 Check a token and explain why it would be rejected",
+    "  keygen --alg <RS256|ES256> --out <prefix>   Write a PEM key pair",
+    "",
+    "Options:",
+    "  --profile <name>           Config profile (development, staging, production, mock)",
+    "  --kind <kind>              verify: token kind (guessed from aud when omitted)",
+    "  --key <pem>                RS256/ES256 key (private to mint, public or private to verify)",
+    "  --alg <alg>                Expected algorithm (HS256 without --key)",
+    `  --role <role>              ${USER_ROLES.join(" | ")} (default ADMIN)`,
+    "  --sub, --email, --name     User claims",
+    "  --device-id, --device-type, --controller-id   Device claims",
+    "  --claim key=value          Extra claim, repeatable (JSON values are parsed)",
+    `  --iss <value|preset>       Issuer (${Object.keys(ISSUER_PRESETS).join(", ")}, none)`,
+    `  --aud <value|preset>       Audience (${Object.keys(AUDIENCE_PRESETS).join(", ")}, none)`,
+    "  --expires-in <span>        Lifetime: seconds or 15m, 1h, 7d",
+    "  --not-before <span>        Delay before the token becomes valid",
+    "  --clock-tolerance <s>      verify: allowed clock skew in seconds",
+    "  --out <file>               mint: also write the token to <file>",
+    "  --json                     Machine-readable output",
+  ].join("\n");
+}
+
+async function main(argv) {
+  const { values: options, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true });
+  const [command, argument] = positionals;
+
+  if (options.help || !command) {
+    console.log(usage());
+    return command || options.help ? EXIT_CODES.PASSED : EXIT_CODES.USAGE;
+  }
+
+  switch (command) {
+    case "mint":
+      return mint(argument, options);
+    case "decode":
+      return decode(argument, options);
+    case "verify":
+      return verify(argument, options);
+    case "keygen":
+      return keygen(options);
+    default:
+      throw new UsageError(`Unknown command "${command}"`);
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then((code) => process.exit(code))
+    .catch((error) => {
+      if (error instanceof UsageError || error.code?.startsWith("ERR_PARSE_ARGS")) {
+        console.error(`❌ ${error.message}`);
+        console.error(usage());
+        process.exit(EXIT_CODES.USAGE);
+      }
+      console.error("💥 Token command failed:", error);
+      process.exit(EXIT_CODES.FAILED);
+    });
+}
+
+module.exports = { KINDS, USER_ROLES, AUDIENCE_PRESETS, ISSUER_PRESETS, checkClaims, inferKind };